@@ -0,0 +1,9 @@
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS content_files (
+  path TEXT PRIMARY KEY,
+  content TEXT NOT NULL,
+  sha TEXT NOT NULL,
+  message TEXT NOT NULL DEFAULT '',
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
@@ -0,0 +1,13 @@
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS post_contents (
+  site_id INTEGER NOT NULL,
+  post_slug TEXT NOT NULL,
+  content TEXT NOT NULL,
+  content_html TEXT NOT NULL,
+  content_sha TEXT NOT NULL DEFAULT '',
+  render_version INTEGER NOT NULL DEFAULT 0,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY(site_id, post_slug),
+  FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+);
@@ -0,0 +1,10 @@
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS site_configs (
+  site_id INTEGER PRIMARY KEY,
+  config_json TEXT NOT NULL,
+  config_version INTEGER NOT NULL DEFAULT 0,
+  content_sha TEXT NOT NULL DEFAULT '',
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+);
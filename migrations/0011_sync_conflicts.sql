@@ -0,0 +1,18 @@
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS sync_conflicts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  post_slug TEXT NOT NULL,
+  file_path TEXT NOT NULL,
+  commit_sha TEXT NOT NULL DEFAULT '',
+  repo_sha TEXT NOT NULL DEFAULT '',
+  reason TEXT NOT NULL DEFAULT '',
+  committed_at TEXT NOT NULL DEFAULT '',
+  admin_updated_at TEXT NOT NULL DEFAULT '',
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_conflicts_site_created
+ON sync_conflicts(site_id, created_at DESC);
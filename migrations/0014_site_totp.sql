@@ -0,0 +1,14 @@
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS site_totp (
+  site_id INTEGER NOT NULL,
+  member_id INTEGER NOT NULL DEFAULT 0,
+  secret_enc TEXT NOT NULL DEFAULT '',
+  pending_secret_enc TEXT NOT NULL DEFAULT '',
+  last_used_step INTEGER NOT NULL DEFAULT 0,
+  recovery_codes TEXT NOT NULL DEFAULT '[]',
+  enabled_at TEXT,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY(site_id, member_id),
+  FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+);
@@ -0,0 +1,24 @@
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS site_passkeys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  member_id INTEGER NOT NULL DEFAULT 0,
+  credential_id TEXT NOT NULL,
+  public_key_jwk TEXT NOT NULL,
+  algorithm INTEGER NOT NULL,
+  sign_count INTEGER NOT NULL DEFAULT 0,
+  label TEXT NOT NULL DEFAULT '',
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_used_at TEXT,
+  UNIQUE(site_id, credential_id),
+  FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS passkey_challenges (
+  challenge TEXT PRIMARY KEY,
+  site_id INTEGER NOT NULL,
+  member_id INTEGER NOT NULL DEFAULT 0,
+  purpose TEXT NOT NULL,
+  expires_at TEXT NOT NULL
+);
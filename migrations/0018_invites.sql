@@ -0,0 +1,30 @@
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS invites (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  batch_id TEXT NOT NULL,
+  code_hash TEXT NOT NULL UNIQUE,
+  code_hint TEXT NOT NULL DEFAULT '',
+  issuer_note TEXT NOT NULL DEFAULT '',
+  max_uses INTEGER NOT NULL DEFAULT 1,
+  use_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TEXT,
+  revoked_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_invites_batch
+ON invites(batch_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS invite_redemptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invite_id INTEGER NOT NULL,
+  site_id INTEGER,
+  site_slug TEXT NOT NULL,
+  redeemed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  FOREIGN KEY(invite_id) REFERENCES invites(id) ON DELETE CASCADE,
+  FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_invite_redemptions_invite
+ON invite_redemptions(invite_id, redeemed_at DESC);
@@ -0,0 +1,12 @@
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS post_tags (
+  site_id INTEGER NOT NULL,
+  post_slug TEXT NOT NULL,
+  tag TEXT NOT NULL,
+  PRIMARY KEY(site_id, post_slug, tag),
+  FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_tags_tag
+ON post_tags(tag, site_id);
@@ -0,0 +1,8 @@
+PRAGMA foreign_keys = ON;
+
+ALTER TABLE posts
+ADD COLUMN publish_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_posts_publish_at
+ON posts(publish_at)
+WHERE publish_at IS NOT NULL;
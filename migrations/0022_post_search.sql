@@ -0,0 +1,10 @@
+PRAGMA foreign_keys = ON;
+
+CREATE VIRTUAL TABLE IF NOT EXISTS post_search USING fts5(
+  title,
+  description,
+  body,
+  site_id UNINDEXED,
+  post_slug UNINDEXED,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
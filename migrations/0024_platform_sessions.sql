@@ -0,0 +1,6 @@
+CREATE TABLE IF NOT EXISTS platform_sessions (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expires_at TEXT NOT NULL,
+  revoked_at TEXT
+);
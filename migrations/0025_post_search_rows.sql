@@ -0,0 +1,12 @@
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS post_search_rows (
+  site_id INTEGER NOT NULL,
+  post_slug TEXT NOT NULL,
+  search_rowid INTEGER NOT NULL,
+  PRIMARY KEY(site_id, post_slug)
+);
+
+INSERT OR IGNORE INTO post_search_rows (site_id, post_slug, search_rowid)
+SELECT site_id, post_slug, rowid
+FROM post_search;
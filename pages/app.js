@@ -13,10 +13,19 @@ const allSitesEl = document.getElementById("all-sites");
 const globalFeedEl = document.getElementById("global-feed");
 const siteFilterInput = document.getElementById("site-filter");
 const themePicker = document.getElementById("theme-picker");
+const searchForm = document.getElementById("search-form");
+const searchInput = document.getElementById("search-input");
+const searchStatusEl = document.getElementById("search-status");
+const searchResultsEl = document.getElementById("search-results");
+const searchPagerEl = document.getElementById("search-pager");
+const searchPrevBtn = document.getElementById("search-prev");
+const searchNextBtn = document.getElementById("search-next");
+const searchPageEl = document.getElementById("search-page");
 
 let timer = null;
 let pollTimer = null;
 let allSites = [];
+let searchState = { query: "", page: 1, totalPages: 1 };
 const THEME_KEY = "stublogs-home-theme";
 const ALLOWED_THEMES = new Set(["default", "ocean", "forest", "violet", "sunset", "mint", "graphite"]);
 
@@ -184,6 +193,77 @@ async function refreshFeed() {
     : `<li class="meta">尚無公開文章</li>`;
 }
 
+/* ── Campus search ── */
+
+function renderSearchResults(payload) {
+  const groups = payload.sites || [];
+  // titleHtml / snippetHtml are escaped by the API, only <mark> is left as markup.
+  searchResultsEl.innerHTML = groups
+    .map(
+      (group) =>
+        `<div class="search-group"><h3><a href="${escapeText(group.siteUrl)}" target="_blank" rel="noreferrer noopener">${escapeText(
+          group.siteName
+        )}</a> <span class="meta">${escapeText(group.siteSlug)}.bdfz.net</span></h3><ul class="site-list">${group.posts
+          .map(
+            (post) =>
+              `<li><a href="${escapeText(post.url)}" target="_blank" rel="noreferrer noopener">${post.titleHtml}</a><div class="meta">${post.snippetHtml}</div></li>`
+          )
+          .join("")}</ul></div>`
+    )
+    .join("");
+
+  searchStatusEl.textContent = payload.total
+    ? `找到 ${payload.total} 篇文章`
+    : "沒有找到相關文章";
+  searchPagerEl.hidden = payload.totalPages <= 1;
+  searchPageEl.textContent = `第 ${payload.page} / ${payload.totalPages} 頁`;
+  searchPrevBtn.disabled = payload.page <= 1;
+  searchNextBtn.disabled = payload.page >= payload.totalPages;
+}
+
+async function runSearch(query, page = 1) {
+  const keyword = String(query || "").trim();
+  searchState = { query: keyword, page, totalPages: 1 };
+  const url = new URL(window.location.href);
+  if (keyword) {
+    url.searchParams.set("q", keyword);
+  } else {
+    url.searchParams.delete("q");
+  }
+  window.history.replaceState(null, "", url);
+
+  if (!keyword) {
+    searchResultsEl.innerHTML = "";
+    searchStatusEl.textContent = "";
+    searchPagerEl.hidden = true;
+    return;
+  }
+
+  searchStatusEl.textContent = "搜尋中…";
+  try {
+    const payload = await fetchJson(`/api/search?q=${encodeURIComponent(keyword)}&page=${page}`);
+    if (searchState.query !== keyword) return;
+    searchState.page = payload.page;
+    searchState.totalPages = payload.totalPages;
+    renderSearchResults(payload);
+  } catch (error) {
+    searchStatusEl.textContent = error.message || "搜尋失敗，請稍後再試";
+  }
+}
+
+searchForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  runSearch(searchInput.value, 1);
+});
+
+searchPrevBtn.addEventListener("click", () => {
+  if (searchState.page > 1) runSearch(searchState.query, searchState.page - 1);
+});
+
+searchNextBtn.addEventListener("click", () => {
+  if (searchState.page < searchState.totalPages) runSearch(searchState.query, searchState.page + 1);
+});
+
 /* ── Slug check ── */
 
 async function checkSlug() {
@@ -263,6 +343,10 @@ async function refreshAll() {
 
 refreshAll();
 initTheme();
+searchInput.value = new URLSearchParams(window.location.search).get("q") || "";
+if (searchInput.value.trim()) {
+  runSearch(searchInput.value, 1);
+}
 pollTimer = setInterval(refreshAll, POLL_MS);
 
 window.addEventListener("beforeunload", () => {
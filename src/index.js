@@ -1,3 +1,4 @@
+import { AsyncLocalStorage } from "node:async_hooks";
 import { scryptSync } from "node:crypto";
 
 const DEFAULT_RESERVED_SLUGS = [
@@ -27,7 +28,26 @@ const SESSION_TTL_SECONDS = 60 * 60 * 24 * 7;
 const DEFAULT_API_ENTRY_SLUG = "app";
 const SITE_CONFIG_VERSION = 3;
 const LEGACY_FOOTER_NOTE = "在這裡，把語文寫成你自己。";
+const POST_TAGS_MAX = 10;
+const POST_TAG_MAX_LENGTH = 30;
+const POST_FRONT_MATTER_KEYS = new Set([
+  "title",
+  "description",
+  "published",
+  "is_page",
+  "created_at",
+  "updated_at",
+  "tags",
+  "publish_at",
+]);
 const POSTS_PAGE_SIZE = 10;
+const SEARCH_QUERY_MAX_LENGTH = 100;
+const RESERVED_POST_SLUGS = new Set(["admin", "search"]);
+const SEARCH_TERMS_MAX = 8;
+const SEARCH_RESULTS_LIMIT = 30;
+const SEARCH_SNIPPET_RADIUS = 60;
+const CAMPUS_SEARCH_PAGE_SIZE = 20;
+const POST_REDIRECTS_LIST_LIMIT = 500;
 const COMMENTS_PAGE_SIZE = 20;
 const DEFAULT_FAVICON_URL = "https://img.bdfz.net/20250503004.webp";
 const PASSWORD_SCRYPT_N = 1 << 14;
@@ -41,6 +61,138 @@ const REACTOR_COOKIE = "stublogs_reactor";
 const REACTOR_COOKIE_TTL_SECONDS = 60 * 60 * 24 * 365 * 2;
 const HOME_VIEW_KEY = "__home__";
 const NOTIFICATION_PAGE_SIZE = 40;
+const MARKDOWN_RENDER_VERSION = 2;
+const GITHUB_COMMIT_MAX_ATTEMPTS = 3;
+const GITHUB_COMPARE_FILES_LIMIT = 300;
+const GITHUB_REQUEST_MAX_ATTEMPTS = 3;
+const GITHUB_RETRY_BASE_DELAY_MS = 300;
+const GITHUB_RETRY_MAX_DELAY_MS = 8000;
+const GITHUB_CIRCUIT_FAILURE_THRESHOLD = 5;
+const GITHUB_CIRCUIT_OPEN_MS = 30 * 1000;
+const POST_REVISIONS_LIMIT = 30;
+const GITHUB_WEBHOOK_MAX_BYTES = 2 * 1024 * 1024;
+const GITHUB_PUSH_COMMITS_LIMIT = 20;
+const GITHUB_PUSH_COMMIT_FILES_LIMIT = 300;
+const SYNC_CONFLICTS_LIMIT = 50;
+const LOCKED_PASSWORD_HASH_PREFIX = "locked$";
+const REINDEX_DEFAULT_LIMIT = 200;
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// [ecPerBlock, group1Blocks, group1Data, group2Blocks, group2Data] by version.
+const QR_EC_BLOCKS_M = [
+  null,
+  [10, 1, 16, 0, 0],
+  [16, 1, 28, 0, 0],
+  [26, 1, 44, 0, 0],
+  [18, 2, 32, 0, 0],
+  [24, 2, 43, 0, 0],
+  [16, 4, 27, 0, 0],
+  [18, 4, 31, 0, 0],
+  [22, 2, 38, 2, 39],
+  [22, 3, 36, 2, 37],
+  [26, 4, 43, 1, 44],
+  [30, 1, 50, 4, 51],
+  [22, 6, 36, 2, 37],
+  [22, 8, 37, 1, 38],
+  [24, 4, 40, 5, 41],
+  [24, 5, 41, 5, 42],
+];
+const QR_ALIGNMENT_POSITIONS = [
+  null,
+  [],
+  [6, 18],
+  [6, 22],
+  [6, 26],
+  [6, 30],
+  [6, 34],
+  [6, 22, 38],
+  [6, 24, 42],
+  [6, 26, 46],
+  [6, 28, 50],
+  [6, 30, 54],
+  [6, 32, 58],
+  [6, 34, 62],
+  [6, 26, 46, 66],
+  [6, 26, 48, 70],
+];
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+const TOTP_DRIFT_STEPS = 1;
+const TOTP_RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const TOTP_RATE_WINDOW_MS = 15 * 60 * 1000;
+const TOTP_RATE_MAX_ATTEMPTS = 5;
+const PASSKEY_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const PASSKEY_OPTIONS_RATE_WINDOW_MS = 60 * 1000;
+const PASSKEY_OPTIONS_RATE_MAX_ATTEMPTS = 10;
+const COSE_ALG_ES256 = -7;
+const COSE_ALG_RS256 = -257;
+const PLATFORM_SESSION_COOKIE = "stublogs_platform";
+const PLATFORM_SESSION_TTL_SECONDS = 12 * 60 * 60;
+const PLATFORM_SITES_PAGE_SIZE = 50;
+const SITE_DELETION_GRACE_DAYS = 14;
+const SITE_PURGE_BATCH_SIZE = 5;
+const SCHEDULED_PUBLISH_BATCH_SIZE = 20;
+const DEFAULT_SLUG_REDIRECT_DAYS = 90;
+const SITE_DELETION_ALLOWED_PATHS = new Set([
+  "/api/login",
+  "/api/login/totp",
+  "/api/logout",
+  "/api/auth/passkeys/login/options",
+  "/api/auth/passkeys/login",
+  "/api/site-deletion/cancel",
+]);
+const INVITE_CODE_LENGTH = 12;
+const INVITE_BATCH_MAX = 200;
+const INVITE_MAX_USES = 1000;
+const INVITES_LIST_LIMIT = 500;
+const CSRF_HEADER = "x-csrf-token";
+const CSRF_SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+const CSRF_TOKEN_EXEMPT_PATHS = new Set([
+  "/api/login",
+  "/api/login/totp",
+  "/api/platform/login",
+  "/api/auth/passkeys/login/options",
+  "/api/auth/passkeys/login",
+  "/api/site-members/accept",
+  "/api/view",
+  "/api/reactions",
+  "/api/comments",
+]);
+const API_TOKEN_PREFIX = "sbt_";
+const API_TOKEN_DEFAULT_TTL_DAYS = 90;
+const API_TOKEN_MAX_TTL_DAYS = 365;
+const API_TOKEN_SCOPES = Object.freeze({
+  "admin:read": Object.freeze([]),
+  "posts:write": Object.freeze(["posts:write", "posts:write-any"]),
+  "comments:moderate": Object.freeze(["comments:moderate"]),
+  "export:read": Object.freeze(["export"]),
+  "settings:write": Object.freeze(["settings:write"]),
+});
+const SITE_INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SITE_ROLE_PERMISSIONS = Object.freeze({
+  owner: Object.freeze([
+    "posts:write",
+    "posts:write-any",
+    "comments:moderate",
+    "settings:write",
+    "members:manage",
+    "export",
+  ]),
+  editor: Object.freeze(["posts:write", "posts:write-any", "comments:moderate", "export"]),
+  author: Object.freeze(["posts:write"]),
+  moderator: Object.freeze(["comments:moderate"]),
+});
+const SITE_INVITABLE_ROLES = Object.freeze(["editor", "author", "moderator"]);
 
 const LOGIN_RATE_WINDOW_MS = 15 * 60 * 1000;
 const LOGIN_RATE_MAX_ATTEMPTS = 5;
@@ -55,6 +207,22 @@ let rateLimitsTableReadyPromise = null;
 let reactionsTableReadyPromise = null;
 let viewsTableReadyPromise = null;
 let notificationTablesReadyPromise = null;
+let contentFilesTableReadyPromise = null;
+let postContentsTableReadyPromise = null;
+let siteConfigsTableReadyPromise = null;
+let syncConflictsTableReadyPromise = null;
+let siteMembersTablesReadyPromise = null;
+let siteSessionsTableReadyPromise = null;
+let siteTotpTableReadyPromise = null;
+let sitePasskeysTablesReadyPromise = null;
+let siteApiTokensTableReadyPromise = null;
+let siteStatusTableReadyPromise = null;
+let platformSessionsTableReadyPromise = null;
+let invitesTablesReadyPromise = null;
+let siteSlugRedirectsTableReadyPromise = null;
+let postTagsTableReadyPromise = null;
+let postSearchTableReadyPromise = null;
+let postRedirectsTableReadyPromise = null;
 const postsColumnsPromiseByDb = new WeakMap();
 
 const REACTION_PRESETS = Object.freeze([
@@ -77,15 +245,79 @@ const REACTION_PRESET_MAP = new Map(
   REACTION_PRESETS.map((item) => [item.key, item])
 );
 
+const CONTENT_STORES = Object.freeze({
+  github: Object.freeze({
+    kind: "github",
+    read: githubReadFile,
+    write: async (env, filePath, content, message) => {
+      const result = await githubWriteFile(env, filePath, content, message);
+      return { sha: String(result?.content?.sha || "") };
+    },
+    delete: githubDeleteFile,
+    commit: githubCommitFiles,
+    listRevisions: githubListFileCommits,
+    readRevision: githubReadFile,
+    list: githubListFiles,
+  }),
+  d1: Object.freeze({
+    kind: "d1",
+    read: d1ReadFile,
+    write: d1WriteFile,
+    delete: d1DeleteFile,
+    commit: d1CommitFiles,
+    list: d1ListFiles,
+  }),
+  r2: Object.freeze({
+    kind: "r2",
+    read: r2ReadFile,
+    write: r2WriteFile,
+    delete: r2DeleteFile,
+    commit: (env, changes, message) =>
+      applyContentChanges(env, changes, message, r2WriteFile, r2DeleteFile),
+    list: r2ListFiles,
+  }),
+  fs: Object.freeze({
+    kind: "fs",
+    read: fsReadFile,
+    write: fsWriteFile,
+    delete: fsDeleteFile,
+    commit: (env, changes, message) =>
+      applyContentChanges(env, changes, message, fsWriteFile, fsDeleteFile),
+    list: fsListFiles,
+  }),
+});
+
+const githubRequestScope = new AsyncLocalStorage();
+const githubClientState = {
+  requests: 0,
+  retries: 0,
+  failures: 0,
+  consecutiveFailures: 0,
+  circuitOpenUntil: 0,
+  lastError: "",
+  rateLimit: null,
+};
+
 export default {
   async fetch(request, env, ctx) {
     try {
-      return await handleRequest(request, env, ctx);
+      return await githubRequestScope.run({ shaCache: new Map() }, () =>
+        handleRequest(request, env, ctx)
+      );
     } catch (error) {
       console.error("Unhandled error", error);
       return json({ error: "Internal server error" }, 500);
     }
   },
+
+  async scheduled(event, env, ctx) {
+    const task = githubRequestScope
+      .run({ shaCache: new Map() }, () => runScheduledTasks(env))
+      .catch((error) => {
+        console.error("Scheduled tasks failed", error);
+      });
+    ctx.waitUntil(task);
+  },
 };
 
 export function getReservedSlugs(env) {
@@ -97,6 +329,12 @@ export function getReservedSlugs(env) {
   return new Set([...DEFAULT_RESERVED_SLUGS, ...configured]);
 }
 
+function getApiEntrySlug(env) {
+  return String(env.API_ENTRY_SLUG || DEFAULT_API_ENTRY_SLUG)
+    .trim()
+    .toLowerCase();
+}
+
 export function validateSlug(rawSlug, reservedSlugs = new Set()) {
   const slug = String(rawSlug || "").trim().toLowerCase();
 
@@ -147,6 +385,10 @@ export function validatePostSlug(rawSlug) {
     return { ok: false, reason: "post-slug-double-dash" };
   }
 
+  if (RESERVED_POST_SLUGS.has(slug)) {
+    return { ok: false, reason: "post-slug-reserved" };
+  }
+
   return { ok: true, slug };
 }
 
@@ -204,14 +446,17 @@ async function handleRequest(request, env, ctx) {
   const hostHeader = request.headers.get("host") || url.host;
   const hostname = hostHeader.split(":")[0].toLowerCase();
   const baseDomain = String(env.BASE_DOMAIN || "bdfz.net").toLowerCase();
-  const apiEntrySlug = String(env.API_ENTRY_SLUG || DEFAULT_API_ENTRY_SLUG)
-    .trim()
-    .toLowerCase();
+  const apiEntrySlug = getApiEntrySlug(env);
   const hostSlug = getHostSlug(hostname, baseDomain);
   const reservedSlugs = getReservedSlugs(env);
 
   if (path === "/healthz") {
-    return text("ok");
+    const telemetry = getGithubTelemetry();
+    const status = telemetry.circuit.state === "open" ? "degraded" : "ok";
+    if (await isPlatformAdminRequest(request, env)) {
+      return json({ ok: true, status, github: telemetry }, 200);
+    }
+    return json({ ok: true, status, github: { circuit: { state: telemetry.circuit.state } } }, 200);
   }
 
   let resolvedSiteLoaded = false;
@@ -229,6 +474,16 @@ async function handleRequest(request, env, ctx) {
     return resolvedSite;
   }
 
+  if (hostSlug && hostSlug !== apiEntrySlug && !reservedSlugs.has(hostSlug) && !(await resolveSiteOnce())) {
+    const redirect = await getSiteSlugRedirect(env, hostSlug);
+    if (redirect) {
+      return Response.redirect(
+        `https://${redirect.slug}.${baseDomain}${url.pathname}${url.search}`,
+        request.method === "GET" || request.method === "HEAD" ? 301 : 308
+      );
+    }
+  }
+
   if (path.startsWith("/api/")) {
     const reservedHostPassthrough = Boolean(
       hostSlug && reservedSlugs.has(hostSlug) && hostSlug !== apiEntrySlug
@@ -245,6 +500,24 @@ async function handleRequest(request, env, ctx) {
       return fetch(request);
     }
 
+    const hostSite = await resolveSiteOnce();
+    if (hostSite && hostSite.status === "suspended") {
+      return withCors(json({ error: "Site suspended" }, 403), request, env);
+    }
+    if (
+      hostSite &&
+      hostSite.status === "pending_deletion" &&
+      request.method !== "GET" &&
+      request.method !== "OPTIONS" &&
+      !SITE_DELETION_ALLOWED_PATHS.has(path)
+    ) {
+      return withCors(
+        json({ error: "Site is scheduled for deletion", purgeAfter: hostSite.purgeAfter }, 410),
+        request,
+        env
+      );
+    }
+
     if (request.method === "OPTIONS") {
       return buildApiPreflightResponse(request, env);
     }
@@ -294,7 +567,16 @@ async function handleRequest(request, env, ctx) {
   }
 
   if (hostSlug === apiEntrySlug && path === "/admin") {
-    return html(renderRootAdminHelp(baseDomain), 200);
+    const platformSession = await readPlatformSession(request, env);
+    return html(
+      renderPlatformAdminPage(
+        baseDomain,
+        Boolean(platformSession),
+        platformSession ? await createCsrfToken(`platform:${platformSession.nonce}`, env) : ""
+      ),
+      200,
+      { "Cache-Control": PRIVATE_NO_CACHE_CONTROL }
+    );
   }
 
   const site = await resolveSiteOnce();
@@ -304,11 +586,30 @@ async function handleRequest(request, env, ctx) {
     return fetch(request);
   }
 
+  if (site.status === "suspended") {
+    return html(renderSimpleMessage("403", `${site.displayName} 已被平台暫停`), 403, {
+      "Cache-Control": PRIVATE_NO_CACHE_CONTROL,
+    });
+  }
+
+  if (site.status === "pending_deletion" && path !== "/admin") {
+    return html(renderSimpleMessage("410", `${site.displayName} 已排定刪除`), 410, {
+      "Cache-Control": PRIVATE_NO_CACHE_CONTROL,
+    });
+  }
+
   if (path === "/admin") {
-    const authed = await isSiteAuthenticated(request, env, site.slug);
+    const session = await getSiteSession(request, env, site);
     const siteConfig = await getSiteConfig(env, site);
     return html(
-      renderAdminPage(site, siteConfig, authed, baseDomain),
+      renderAdminPage(
+        site,
+        siteConfig,
+        Boolean(session),
+        baseDomain,
+        session ? formatMemberForClient(session.member) : null,
+        session ? await createCsrfToken(session.sessionId, env) : ""
+      ),
       200,
       { "Cache-Control": PRIVATE_NO_CACHE_CONTROL }
     );
@@ -339,7 +640,7 @@ async function handleRequest(request, env, ctx) {
   if (path === "/") {
     const siteConfig = await getSiteConfig(env, site);
     const page = parsePositiveInt(url.searchParams.get("page"), 1, 1, 9999);
-    const [homeViewCount, postsPage, sitePages, communitySites, campusFeed] = await Promise.all([
+    const [homeViewCount, postsPage, sitePages, communitySites, campusFeed, siteTags] = await Promise.all([
       listPageViewCounts(env, site.id, "home", [HOME_VIEW_KEY]).then(
         (map) => Math.max(Number(map.get(HOME_VIEW_KEY) || 0), 0)
       ),
@@ -347,6 +648,7 @@ async function handleRequest(request, env, ctx) {
       listSitePages(env, site.id, 20),
       siteConfig.hideCommunitySites ? Promise.resolve([]) : listCommunitySites(env, site.slug, 12),
       siteConfig.hideCampusFeed ? Promise.resolve([]) : listCampusFeed(env, site.id, 18),
+      listSiteTags(env, site.id),
     ]);
     const postViewMap = await listPageViewCounts(
       env,
@@ -368,7 +670,8 @@ async function handleRequest(request, env, ctx) {
         campusFeed,
         baseDomain,
         postsPage,
-        homeViewCount
+        homeViewCount,
+        siteTags
       ),
       200,
       { "Cache-Control": PUBLIC_SSR_CACHE_CONTROL }
@@ -381,8 +684,8 @@ async function handleRequest(request, env, ctx) {
       return notFound("Preview not found");
     }
 
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
       return html(renderSimpleMessage("401", "Preview requires login"), 401);
     }
 
@@ -390,8 +693,11 @@ async function handleRequest(request, env, ctx) {
     if (!post) {
       return notFound("Preview not found");
     }
+    if (!(await canReadPost(env, session, site.id, post.postSlug))) {
+      return html(renderSimpleMessage("403", "You cannot preview this post"), 403);
+    }
 
-    const file = await githubReadFile(env, getPostFilePath(site.slug, post.postSlug));
+    const file = await readContentFile(env, getPostFilePath(site.slug, post.postSlug));
     if (!file) {
       return notFound("Post content missing");
     }
@@ -404,13 +710,14 @@ async function handleRequest(request, env, ctx) {
       listSitePages(env, site.id, 20),
     ]);
     const commentPage = parsePositiveInt(url.searchParams.get("cpage"), 1, 1, 9999);
-    const [commentsData, postViewCount] = await Promise.all([
+    const [commentsData, postViewCount, postTags] = await Promise.all([
       siteConfig.commentsEnabled
         ? listPostComments(env, site.id, post.postSlug, commentPage, COMMENTS_PAGE_SIZE)
         : Promise.resolve({ comments: [], page: 1, totalPages: 1, total: 0 }),
       listPageViewCounts(env, site.id, "post", [post.postSlug]).then(
         (map) => Math.max(Number(map.get(post.postSlug) || 0), 0)
       ),
+      getPostTags(env, site.id, post.postSlug),
     ]);
     const articleHtml = renderMarkdown(file.content);
     return html(
@@ -423,6 +730,7 @@ async function handleRequest(request, env, ctx) {
         commentsTotal: commentsData.total,
         commentBasePath: `/preview/${encodeURIComponent(post.postSlug)}`,
         postViewCount,
+        tags: postTags,
         reactionsEnabled: false,
       }),
       200
@@ -433,6 +741,55 @@ async function handleRequest(request, env, ctx) {
     return text("User-agent: *\nAllow: /\n");
   }
 
+  if (path === "/search") {
+    const siteConfig = await getSiteConfig(env, site);
+    const query = String(url.searchParams.get("q") || "").trim().slice(0, SEARCH_QUERY_MAX_LENGTH);
+    const [results, sitePages] = await Promise.all([
+      query ? searchSitePosts(env, site.id, query) : Promise.resolve([]),
+      listSitePages(env, site.id, 20),
+    ]);
+    return html(
+      renderSearchPage(site, siteConfig, query, results, sitePages, baseDomain),
+      200,
+      { "Cache-Control": PUBLIC_SSR_CACHE_CONTROL }
+    );
+  }
+
+  const tagMatch = path.match(/^\/tags\/([^/]+)(\/feed\.xml)?$/);
+  if (tagMatch) {
+    let rawTag = "";
+    try {
+      rawTag = decodeURIComponent(tagMatch[1]);
+    } catch {
+      return notFound("Tag not found");
+    }
+    const [tag] = normalizePostTags([rawTag]);
+    if (!tag) {
+      return notFound("Tag not found");
+    }
+    const posts = await listPostsByTag(env, site.id, tag);
+    if (!posts.length) {
+      return notFound("Tag not found");
+    }
+    const siteConfig = await getSiteConfig(env, site);
+    if (tagMatch[2]) {
+      return xml(
+        renderSiteRssXml(site, siteConfig, posts, baseDomain, { tag }),
+        200,
+        { "Cache-Control": PUBLIC_SSR_CACHE_CONTROL }
+      );
+    }
+    const [siteTags, sitePages] = await Promise.all([
+      listSiteTags(env, site.id),
+      listSitePages(env, site.id, 20),
+    ]);
+    return html(
+      renderTagPage(site, siteConfig, tag, posts, siteTags, sitePages, baseDomain),
+      200,
+      { "Cache-Control": PUBLIC_SSR_CACHE_CONTROL }
+    );
+  }
+
   const segments = path.slice(1).split("/").filter(Boolean);
   if (segments.length !== 1) {
     return notFound();
@@ -441,11 +798,18 @@ async function handleRequest(request, env, ctx) {
   const postSlug = segments[0].toLowerCase();
   const post = await getPostMeta(env, site.id, postSlug, false);
   if (!post) {
+    const redirect = await getPostRedirect(env, site.id, postSlug);
+    if (redirect) {
+      return Response.redirect(
+        `${url.origin}/${encodeURIComponent(redirect.toSlug)}${url.search}`,
+        301
+      );
+    }
     return notFound("Post not found");
   }
 
-  const file = await githubReadFile(env, getPostFilePath(site.slug, post.postSlug));
-  if (!file) {
+  const postContent = await loadPostContent(env, ctx, site, post.postSlug);
+  if (!postContent) {
     return notFound("Post content missing");
   }
 
@@ -458,7 +822,7 @@ async function handleRequest(request, env, ctx) {
   ]);
   const commentPage = parsePositiveInt(url.searchParams.get("cpage"), 1, 1, 9999);
   const reactor = await resolveReactorToken(request, env);
-  const [commentsData, postViewCount, reactionSnapshot] = await Promise.all([
+  const [commentsData, postViewCount, reactionSnapshot, postTags] = await Promise.all([
     siteConfig.commentsEnabled
       ? listPostComments(env, site.id, post.postSlug, commentPage, COMMENTS_PAGE_SIZE)
       : Promise.resolve({ comments: [], page: 1, totalPages: 1, total: 0 }),
@@ -466,8 +830,9 @@ async function handleRequest(request, env, ctx) {
       (map) => Math.max(Number(map.get(post.postSlug) || 0), 0)
     ),
     listPostReactionSnapshot(env, site.id, post.postSlug, reactor.token),
+    getPostTags(env, site.id, post.postSlug),
   ]);
-  const articleHtml = renderMarkdown(file.content);
+  const articleHtml = postContent.html;
   let response = html(
     renderPostPage(site, siteConfig, post, articleHtml, communitySites, sitePages, baseDomain, {
       comments: commentsData.comments,
@@ -478,6 +843,7 @@ async function handleRequest(request, env, ctx) {
       commentBasePath: `/${encodeURIComponent(post.postSlug)}`,
       postViewCount,
       reactionSnapshot,
+      tags: postTags,
     }),
     200,
     { "Cache-Control": PUBLIC_SSR_CACHE_CONTROL }
@@ -491,6 +857,11 @@ async function handleRequest(request, env, ctx) {
 async function handleApi(request, env, ctx, context) {
   const { path, url, hostSlug, baseDomain, reservedSlugs, apiEntrySlug } = context;
 
+  const csrfError = await checkCsrf(request, env, url, path);
+  if (csrfError) {
+    return json({ error: csrfError }, 403);
+  }
+
   if (request.method === "GET" && path === "/api/check-slug") {
     const slug = String(url.searchParams.get("slug") || "")
       .trim()
@@ -521,10 +892,12 @@ async function handleApi(request, env, ctx, context) {
   }
 
   if (request.method === "GET" && path === "/api/public-feed") {
-    const feed = await listCampusFeed(env, null, 80);
+    const [tag = ""] = normalizePostTags(url.searchParams.get("tag") || "");
+    const feed = await listCampusFeed(env, null, 80, tag);
     return json(
       {
         generatedAt: new Date().toISOString(),
+        tag: tag || null,
         total: feed.length,
         posts: feed,
       },
@@ -559,15 +932,6 @@ async function handleApi(request, env, ctx, context) {
     const adminPassword = String(body.adminPassword || "");
     const inviteCode = String(body.inviteCode || "").trim();
 
-    const inviteCodes = getInviteCodes(env);
-    if (!inviteCodes.size) {
-      return json({ error: "Invite codes are not configured" }, 503);
-    }
-
-    if (!inviteCodes.has(inviteCode)) {
-      return json({ error: "Invalid invite code" }, 403);
-    }
-
     if (hostSlug && hostSlug !== apiEntrySlug && !reservedSlugs.has(hostSlug) && slug !== hostSlug) {
       return json({ error: "Slug must match current hostname" }, 400);
     }
@@ -581,16 +945,23 @@ async function handleApi(request, env, ctx, context) {
       return json({ error: "Password must be at least 8 characters" }, 400);
     }
 
-    const existing = await getSiteBySlug(env, slug);
+    const existing = (await getSiteBySlug(env, slug)) || (await getSiteSlugRedirect(env, slug));
     if (existing) {
       return json({ error: "Slug already exists" }, 409);
     }
 
-    const now = new Date().toISOString();
-    const passwordHash = await createPasswordHash(adminPassword, env);
+    const invite = await consumeInviteCode(env, inviteCode);
+    if (!invite.ok) {
+      if (invite.unconfigured) {
+        return json({ error: "Invite codes are not configured" }, 503);
+      }
+      return json({ error: "Invalid invite code" }, 403);
+    }
 
+    const now = new Date().toISOString();
     let siteId = null;
     try {
+      const passwordHash = await createPasswordHash(adminPassword, env);
       const insert = await env.DB.prepare(
         `INSERT INTO sites (slug, display_name, description, admin_secret_hash, created_at, updated_at)
          VALUES (?, ?, ?, ?, ?, ?)`
@@ -603,53 +974,62 @@ async function handleApi(request, env, ctx, context) {
         const createdSite = await getSiteBySlug(env, slug);
         siteId = Number(createdSite?.id || 0);
       }
+      await recordInviteRedemption(env, invite.inviteId, siteId, slug);
 
-      const siteConfig = JSON.stringify(
-        normalizeSiteConfig(
-          {
-            slug,
-            displayName,
-            description,
-            heroTitle: "",
-            heroSubtitle: "",
-            colorTheme: "default",
-            footerNote: "",
-            customCss: "",
-            faviconUrl: DEFAULT_FAVICON_URL,
-            headerLinks: [],
-            hideCommunitySites: false,
-            hideCampusFeed: false,
-            commentsEnabled: true,
-            createdAt: now,
-            updatedAt: now,
-            exportVersion: SITE_CONFIG_VERSION,
-          },
-          {
-            slug,
-            displayName,
-            description,
-            createdAt: now,
-            updatedAt: now,
-          }
-        ),
-        null,
-        2
-      );
-
-      await githubWriteFile(
-        env,
-        getSiteConfigPath(slug),
-        `${siteConfig}\n`,
-        `feat(${slug}): initialize blog`
+      const initialConfig = normalizeSiteConfig(
+        {
+          slug,
+          displayName,
+          description,
+          heroTitle: "",
+          heroSubtitle: "",
+          colorTheme: "default",
+          footerNote: "",
+          customCss: "",
+          faviconUrl: DEFAULT_FAVICON_URL,
+          headerLinks: [],
+          hideCommunitySites: false,
+          hideCampusFeed: false,
+          commentsEnabled: true,
+          createdAt: now,
+          updatedAt: now,
+          exportVersion: SITE_CONFIG_VERSION,
+        },
+        {
+          slug,
+          displayName,
+          description,
+          createdAt: now,
+          updatedAt: now,
+        }
       );
 
       const welcomeSlug = "hello-world";
-      await githubWriteFile(
+      const welcomePath = getPostFilePath(slug, welcomeSlug);
+      const welcomeBody = buildWelcomePost(slug, displayName, baseDomain);
+      const configPath = getSiteConfigPath(slug);
+      const committed = await commitContentFiles(
         env,
-        getPostFilePath(slug, welcomeSlug),
-        buildWelcomePost(slug, displayName, baseDomain),
-        `feat(${slug}): add welcome post`
+        [
+          { path: configPath, content: `${JSON.stringify(initialConfig, null, 2)}\n` },
+          {
+            path: welcomePath,
+            content: buildPostDocument(
+              {
+                title: "Hello World",
+                description: "你的第一篇文章，開始編輯它吧。",
+                published: 1,
+                isPage: 0,
+                createdAt: now,
+                updatedAt: now,
+              },
+              welcomeBody
+            ),
+          },
+        ],
+        `feat(${slug}): initialize blog with welcome post`
       );
+      await upsertSiteConfigCache(env, siteId, initialConfig, committed.files[configPath], now);
 
       await upsertPostMeta(
         env,
@@ -662,6 +1042,7 @@ async function handleApi(request, env, ctx, context) {
         now,
         { excludeFromCampusFeed: true, isPage: false }
       );
+      await upsertPostContent(env, siteId, welcomeSlug, welcomeBody, committed.files[welcomePath]);
 
       const notifyTask = notifyTelegramNewSite(env, {
         slug,
@@ -680,8 +1061,14 @@ async function handleApi(request, env, ctx, context) {
     } catch (error) {
       console.error("Failed to register site", error);
 
+      await releaseInviteCode(env, invite.inviteId).catch((releaseError) => {
+        console.error("Failed to release invite code", releaseError);
+      });
       if (siteId) {
+        await ensureSiteConfigsTable(env);
         await env.DB.batch([
+          env.DB.prepare("DELETE FROM invite_redemptions WHERE site_id = ?").bind(siteId),
+          env.DB.prepare("DELETE FROM site_configs WHERE site_id = ?").bind(siteId),
           env.DB.prepare("DELETE FROM posts WHERE site_id = ?").bind(siteId),
           env.DB.prepare("DELETE FROM sites WHERE id = ?").bind(siteId),
         ]);
@@ -716,10 +1103,13 @@ async function handleApi(request, env, ctx, context) {
       return json({ error: "Site not found" }, 404);
     }
 
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
+    if (!hasSiteReadPermission(session, "settings:write")) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
     const config = await getSiteConfig(env, site);
     return json({ site: formatSiteForClient(site), config }, 200);
@@ -735,10 +1125,13 @@ async function handleApi(request, env, ctx, context) {
       return json({ error: "Site not found" }, 404);
     }
 
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
+    if (!hasSitePermission(session, "settings:write")) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
     const body = await readJson(request);
     const currentConfig = await getSiteConfig(env, site);
@@ -811,12 +1204,13 @@ async function handleApi(request, env, ctx, context) {
         .bind(displayName, description, now, site.id)
         .run();
 
-      await githubWriteFile(
+      const written = await writeContentFile(
         env,
         getSiteConfigPath(site.slug),
         `${JSON.stringify(nextConfig, null, 2)}\n`,
         `feat(${site.slug}): update site settings`
       );
+      await upsertSiteConfigCache(env, site.id, nextConfig, written.sha, now);
     } catch (error) {
       console.error("Failed to save site settings", error);
       return json(
@@ -863,6 +1257,7 @@ async function handleApi(request, env, ctx, context) {
 
     const body = await readJson(request);
     const password = String(body.password || "");
+    const username = String(body.username || "").trim().toLowerCase();
     const slug = String(body.slug || hostSlug)
       .trim()
       .toLowerCase();
@@ -876,6 +1271,22 @@ async function handleApi(request, env, ctx, context) {
       return json({ error: "Site not found" }, 404);
     }
 
+    if (username) {
+      const member = await getSiteMemberByUsername(env, site.id, username);
+      const memberVerified = member
+        ? await verifyPassword(password, member.passwordHash, env)
+        : false;
+      if (!memberVerified) {
+        return json({ error: "Invalid credentials" }, 401);
+      }
+
+      return finishPasswordLogin(request, env, site, member.id, rateKey);
+    }
+
+    if (isLockedPasswordHash(site.adminSecretHash)) {
+      return json({ error: "Site credentials are locked, contact the platform admin" }, 423);
+    }
+
     const verified = await verifyPassword(password, site.adminSecretHash, env);
     if (!verified) {
       return json({ error: "Invalid credentials" }, 401);
@@ -896,547 +1307,732 @@ async function handleApi(request, env, ctx, context) {
       }
     }
 
-    await clearRateLimit(env, rateKey);
-    const token = await createSessionToken(site.slug, env);
-    const response = json({ ok: true }, 200);
-    return withCookie(response, buildSessionCookie(token));
-  }
-
-  if (request.method === "POST" && path === "/api/logout") {
-    const response = json({ ok: true }, 200);
-    return withCookie(response, buildClearSessionCookie());
+    return finishPasswordLogin(request, env, site, 0, rateKey);
   }
 
-  if (request.method === "POST" && path === "/api/change-password") {
+  if (request.method === "POST" && path === "/api/login/totp") {
     if (!hostSlug) {
-      return json({ error: "Missing site context" }, 400);
+      return json({ error: "Login must happen on site subdomain" }, 400);
     }
 
     const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
-    const rateKey = `${clientIp}:${hostSlug}:change-password`;
+    const rateKey = `${clientIp}:${hostSlug}:totp`;
     const rateResult = await consumeRateLimit(
       env,
       rateKey,
-      15 * 60 * 1000,
-      6,
+      TOTP_RATE_WINDOW_MS,
+      TOTP_RATE_MAX_ATTEMPTS,
       ctx
     );
     if (!rateResult.allowed) {
       return json(
-        { error: "Too many password change attempts, please try later" },
+        { error: "Too many verification attempts, please try later" },
         429,
         { "Retry-After": String(Math.ceil(rateResult.retryAfterMs / 1000)) }
       );
     }
 
+    const body = await readJson(request);
+    const challenge = await verifyLoginChallenge(body.challenge, env);
+    if (!challenge || challenge.slug !== hostSlug) {
+      return json({ error: "Login challenge expired, please sign in again" }, 401);
+    }
+
     const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
 
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
-      return json({ error: "Unauthorized" }, 401);
-    }
-
-    const body = await readJson(request);
-    const currentPassword = String(body.currentPassword || "");
-    const newPassword = String(body.newPassword || "");
-
-    if (newPassword.length < 8) {
-      return json({ error: "New password must be at least 8 characters" }, 400);
-    }
-
-    const validCurrent = await verifyPassword(currentPassword, site.adminSecretHash, env);
-    if (!validCurrent) {
-      return json({ error: "Current password is incorrect" }, 403);
+    const memberId = Number(challenge.mid || 0);
+    const verified = await verifySecondFactor(env, site.id, memberId, body.code);
+    if (!verified) {
+      return json({ error: "Invalid verification code" }, 401);
     }
 
-    const nextHash = await createPasswordHash(newPassword, env);
-    const now = new Date().toISOString();
-    await env.DB.prepare(
-      `UPDATE sites
-       SET admin_secret_hash = ?, updated_at = ?
-       WHERE id = ?`
-    )
-      .bind(nextHash, now, site.id)
-      .run();
-
     await clearRateLimit(env, rateKey);
-    return json({ ok: true }, 200);
+    const token = await startSiteSession(request, env, site, memberId);
+    return withCookie(
+      json({ ok: true, usedRecoveryCode: verified === "recovery" }, 200),
+      buildSessionCookie(token)
+    );
   }
 
-  if (request.method === "GET" && path === "/api/list-posts") {
-    let slug = hostSlug;
-    if (!slug) {
-      slug = String(url.searchParams.get("slug") || "")
-        .trim()
-        .toLowerCase();
-    }
-
-    if (!slug) {
-      return json({ error: "Missing slug" }, 400);
+  if (request.method === "GET" && path === "/api/totp") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
     }
 
-    const site = await getSiteBySlug(env, slug);
+    const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
 
-    let includeDrafts = url.searchParams.get("includeDrafts") === "1";
-    if (includeDrafts) {
-      const authed = await isSiteAuthenticated(request, env, site.slug);
-      if (!authed) {
-        includeDrafts = false;
-      }
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
     }
 
-    const posts = await listPosts(env, site.id, includeDrafts);
+    const record = await getSiteTotp(env, site.id, session.member.id);
     return json(
       {
-        site: {
-          slug: site.slug,
-          displayName: site.displayName,
-          description: site.description,
-        },
-        posts,
+        enabled: Boolean(record && record.secretEnc),
+        enabledAt: record?.enabledAt || "",
+        recoveryCodesRemaining: record ? parseRecoveryCodeHashes(record.recoveryCodes).length : 0,
       },
       200
     );
   }
 
-  if (request.method === "POST" && path === "/api/view") {
+  if (request.method === "POST" && path === "/api/totp/setup") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
+
     const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
-    const body = await readJson(request);
-    const resourceType = normalizeViewResourceType(body.resourceType || body.type || "post");
-    const resourceKeyInput = String(body.resourceKey || body.postSlug || "").trim().toLowerCase();
-    const resourceKey = resourceType === "home" ? HOME_VIEW_KEY : resourceKeyInput;
-    if (!resourceKey) {
-      return json({ error: "Missing resource key" }, 400);
-    }
-    if (resourceType === "post") {
-      const post = await getPostMeta(env, site.id, resourceKey, false);
-      if (!post) {
-        return json({ error: "Post not found" }, 404);
-      }
+
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
     }
 
-    const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
-    const viewRate = await consumeRateLimit(
-      env,
-      `${clientIp}:${site.slug}:view:${resourceType}:${resourceKey}`,
-      VIEW_RATE_WINDOW_MS,
-      VIEW_RATE_MAX_ATTEMPTS,
-      ctx
-    );
-    if (!viewRate.allowed) {
-      const viewMap = await listPageViewCounts(env, site.id, resourceType, [resourceKey]);
-      const currentCount = Math.max(Number(viewMap.get(resourceKey) || 0), 0);
-      return json(
-        { ok: true, throttled: true, count: currentCount },
-        200
-      );
+    const existing = await getSiteTotp(env, site.id, session.member.id);
+    if (existing && existing.secretEnc) {
+      return json({ error: "Two-factor authentication is already enabled" }, 409);
     }
 
-    const count = await incrementPageViewCount(env, site.id, resourceType, resourceKey);
-    return json(
-      {
-        ok: true,
-        resourceType,
-        resourceKey,
-        count,
-      },
-      200
-    );
+    const secretBytes = new Uint8Array(20);
+    crypto.getRandomValues(secretBytes);
+    const secret = base32Encode(secretBytes);
+    await savePendingTotpSecret(env, site.id, session.member.id, await encryptSensitiveValue(secret, env));
+
+    const label = `${site.slug}.${baseDomain}:${session.member.username}`;
+    const otpauthUrl = `otpauth://totp/${encodeURIComponent(label)}?secret=${secret}&issuer=${encodeURIComponent("Stublogs")}&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+    return json({ secret, otpauthUrl, qrSvg: renderQrCodeSvg(otpauthUrl) }, 200);
   }
 
-  if (request.method === "GET" && path === "/api/admin/comments") {
+  if (request.method === "POST" && path === "/api/totp/enable") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
+
     const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
 
-    await ensureCommentsTable(env);
-    const postSlug = String(url.searchParams.get("postSlug") || "").trim().toLowerCase();
-    const page = parsePositiveInt(url.searchParams.get("page"), 1, 1, 9999);
-    const pageSize = COMMENTS_PAGE_SIZE;
+    const body = await readJson(request);
+    const record = await getSiteTotp(env, site.id, session.member.id);
+    const pendingSecret = record ? await decryptSensitiveValue(record.pendingSecretEnc, env) : "";
+    if (!pendingSecret) {
+      return json({ error: "Start two-factor setup first" }, 400);
+    }
+    const step = await matchTotpStep(pendingSecret, body.code, 0);
+    if (step === null) {
+      return json({ error: "Invalid verification code" }, 400);
+    }
 
-    if (postSlug) {
-      const commentsData = await listPostComments(env, site.id, postSlug, page, pageSize);
-      return json(
-        {
-          postSlug,
-          comments: commentsData.comments,
-          page: commentsData.page,
-          totalPages: commentsData.totalPages,
-          total: commentsData.total,
-        },
-        200
-      );
-    }
-
-    const commentsData = await listSiteComments(env, site.id, page, pageSize);
-    return json(
-      {
-        comments: commentsData.comments,
-        page: commentsData.page,
-        totalPages: commentsData.totalPages,
-        total: commentsData.total,
-      },
-      200
+    const recoveryCodes = generateRecoveryCodes();
+    await enableSiteTotp(
+      env,
+      site.id,
+      session.member.id,
+      record.pendingSecretEnc,
+      step,
+      await hashRecoveryCodes(recoveryCodes, env)
     );
+    return json({ ok: true, recoveryCodes }, 200);
   }
 
-  if (request.method === "GET" && path === "/api/admin/notify-settings") {
+  if (
+    request.method === "POST" &&
+    (path === "/api/totp/disable" || path === "/api/totp/recovery-codes")
+  ) {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
+
     const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
-    const settings = await getSiteNotifySettings(env, site.id, { includeBotToken: false });
-    return json({ settings }, 200);
+
+    const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
+    const rateKey = `${clientIp}:${hostSlug}:totp`;
+    const rateResult = await consumeRateLimit(
+      env,
+      rateKey,
+      TOTP_RATE_WINDOW_MS,
+      TOTP_RATE_MAX_ATTEMPTS,
+      ctx
+    );
+    if (!rateResult.allowed) {
+      return json(
+        { error: "Too many verification attempts, please try later" },
+        429,
+        { "Retry-After": String(Math.ceil(rateResult.retryAfterMs / 1000)) }
+      );
+    }
+
+    const body = await readJson(request);
+    const verified = await verifySecondFactor(env, site.id, session.member.id, body.code);
+    if (!verified) {
+      return json({ error: "Invalid verification code" }, 400);
+    }
+    await clearRateLimit(env, rateKey);
+
+    if (path === "/api/totp/disable") {
+      await deleteSiteTotp(env, site.id, session.member.id);
+      return json({ ok: true }, 200);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await updateRecoveryCodeHashes(
+      env,
+      site.id,
+      session.member.id,
+      await hashRecoveryCodes(recoveryCodes, env)
+    );
+    return json({ ok: true, recoveryCodes }, 200);
   }
 
-  if (request.method === "POST" && path === "/api/admin/notify-settings") {
+  if (request.method === "POST" && path === "/api/logout") {
+    const session = await readSessionFromRequest(request, env);
+    if (session) {
+      await endSiteSession(env, session.sid);
+    }
+    const response = json({ ok: true }, 200);
+    return withCookie(response, buildClearSessionCookie());
+  }
+
+  if (request.method === "POST" && path === "/api/change-password") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
+
+    const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
+    const rateKey = `${clientIp}:${hostSlug}:change-password`;
+    const rateResult = await consumeRateLimit(
+      env,
+      rateKey,
+      15 * 60 * 1000,
+      6,
+      ctx
+    );
+    if (!rateResult.allowed) {
+      return json(
+        { error: "Too many password change attempts, please try later" },
+        429,
+        { "Retry-After": String(Math.ceil(rateResult.retryAfterMs / 1000)) }
+      );
+    }
+
     const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
 
     const body = await readJson(request);
-    const settings = await upsertSiteNotifySettings(env, site.id, {
-      enabled: body.enabled,
-      notifyComments: body.notifyComments,
-      notifyReactions: body.notifyReactions,
-      telegramChatId: body.telegramChatId,
-      telegramBotToken: body.telegramBotToken,
-      clearBotToken: body.clearBotToken,
-    });
-    return json({ ok: true, settings }, 200);
+    const currentPassword = String(body.currentPassword || "");
+    const newPassword = String(body.newPassword || "");
+
+    if (newPassword.length < 8) {
+      return json({ error: "New password must be at least 8 characters" }, 400);
+    }
+
+    const memberId = Number(session.member.id || 0);
+    const currentHash = memberId
+      ? (await getSiteMemberByUsername(env, site.id, session.member.username))?.passwordHash
+      : site.adminSecretHash;
+    const validCurrent = await verifyPassword(currentPassword, currentHash, env);
+    if (!validCurrent) {
+      return json({ error: "Current password is incorrect" }, 403);
+    }
+
+    const nextHash = await createPasswordHash(newPassword, env);
+    await revokeSiteSessions(env, site.id, memberId, { exceptSessionId: session.sessionId });
+    const revokedApiTokens = await revokeSiteApiTokens(env, site.id, memberId);
+    if (memberId) {
+      await updateSiteMemberPassword(env, site.id, memberId, nextHash);
+    } else {
+      const now = new Date().toISOString();
+      await env.DB.prepare(
+        `UPDATE sites
+         SET admin_secret_hash = ?, updated_at = ?
+         WHERE id = ?`
+      )
+        .bind(nextHash, now, site.id)
+        .run();
+    }
+
+    await clearRateLimit(env, rateKey);
+    return json({ ok: true, revokedApiTokens }, 200);
   }
 
-  if (request.method === "GET" && path === "/api/admin/notifications") {
+  if (request.method === "GET" && path === "/api/site-deletion") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
+
     const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
 
-    const page = parsePositiveInt(url.searchParams.get("page"), 1, 1, 9999);
-    const notificationsData = await listSiteNotifications(
-      env,
-      site.id,
-      page,
-      NOTIFICATION_PAGE_SIZE
+    return json(
+      {
+        pending: site.status === "pending_deletion",
+        purgeAfter: site.status === "pending_deletion" ? site.purgeAfter : null,
+        exportUrl: site.status === "pending_deletion" ? "/api/export" : null,
+        exportAvailableUntil: site.status === "pending_deletion" ? site.purgeAfter : null,
+        graceDays: SITE_DELETION_GRACE_DAYS,
+      },
+      200
     );
-    return json(notificationsData, 200);
   }
 
-  if (request.method === "POST" && path === "/api/admin/notifications/read") {
+  if (request.method === "POST" && path === "/api/site-deletion") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
+
+    const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
+    const rateKey = `${clientIp}:${hostSlug}:site-deletion`;
+    const rateResult = await consumeRateLimit(
+      env,
+      rateKey,
+      LOGIN_RATE_WINDOW_MS,
+      LOGIN_RATE_MAX_ATTEMPTS,
+      ctx
+    );
+    if (!rateResult.allowed) {
+      return json(
+        { error: "Too many attempts, please try later" },
+        429,
+        { "Retry-After": String(Math.ceil(rateResult.retryAfterMs / 1000)) }
+      );
+    }
+
     const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
+    if (!hasSitePermission(session, "members:manage")) {
+      return json({ error: "Forbidden" }, 403);
+    }
+    if (site.status === "pending_deletion") {
+      return json({ error: "Site is already scheduled for deletion" }, 409);
+    }
 
     const body = await readJson(request);
-    await markSiteNotificationsRead(env, site.id, {
-      all: body.all === true,
-      ids: Array.isArray(body.ids) ? body.ids : [],
-    });
-    const notificationsData = await listSiteNotifications(
+    if (String(body.confirm || "") !== site.slug) {
+      return json({ error: "Type the site slug to confirm deletion" }, 400);
+    }
+
+    const memberId = Number(session.member.id || 0);
+    const passwordHash = memberId
+      ? (await getSiteMemberByUsername(env, site.id, session.member.username))?.passwordHash
+      : site.adminSecretHash;
+    const validPassword = await verifyPassword(String(body.password || ""), passwordHash, env);
+    if (!validPassword) {
+      return json({ error: "Password is incorrect" }, 403);
+    }
+
+    const purgeAfter = new Date(
+      Date.now() + SITE_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString();
+    await setSiteStatus(
       env,
       site.id,
-      1,
-      NOTIFICATION_PAGE_SIZE
+      "pending_deletion",
+      `Requested by ${session.member.username}`,
+      purgeAfter
+    );
+    await clearRateLimit(env, rateKey);
+    return json(
+      { ok: true, pending: true, purgeAfter, exportUrl: "/api/export", exportAvailableUntil: purgeAfter },
+      200
     );
-    return json({ ok: true, unread: notificationsData.unread }, 200);
   }
 
-  if (request.method === "GET" && path === "/api/reactions") {
+  if (request.method === "POST" && path === "/api/site-deletion/cancel") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
+
     const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
-    const postSlug = String(url.searchParams.get("postSlug") || "").trim().toLowerCase();
-    if (!postSlug) {
-      return json({ error: "Missing post slug" }, 400);
+
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
     }
-    const post = await getPostMeta(env, site.id, postSlug, false);
-    if (!post) {
-      return json({ error: "Post not found" }, 404);
+    if (!hasSitePermission(session, "members:manage")) {
+      return json({ error: "Forbidden" }, 403);
     }
-    const reactor = await resolveReactorToken(request, env);
-    const snapshot = await listPostReactionSnapshot(env, site.id, postSlug, reactor.token);
-    let response = json(
-      {
-        ok: true,
-        postSlug,
-        total: snapshot.total,
-        selectedKeys: snapshot.selectedKeys,
-        reactions: snapshot.items.map((item) => ({
-          key: item.key,
-          icon: item.icon,
-          label: item.label,
-          count: item.count,
-          selected: item.selected,
-        })),
-      },
-      200
-    );
-    if (reactor.shouldSetCookie) {
-      response = withCookie(response, buildReactorCookie(reactor.token));
+    if (site.status !== "pending_deletion") {
+      return json({ error: "Site is not scheduled for deletion" }, 409);
     }
-    return response;
+
+    await clearSiteStatus(env, site.id);
+    return json({ ok: true, pending: false }, 200);
   }
 
-  if (request.method === "POST" && path === "/api/reactions") {
+  if (request.method === "POST" && path === "/api/site-slug") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
-    const site = await getSiteBySlug(env, hostSlug);
-    if (!site) {
-      return json({ error: "Site not found" }, 404);
-    }
+
     const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
-    const reactionRate = await consumeRateLimit(
+    const rateKey = `${clientIp}:${hostSlug}:site-slug`;
+    const rateResult = await consumeRateLimit(
       env,
-      `${clientIp}:${site.slug}:reactions`,
-      REACTION_RATE_WINDOW_MS,
-      REACTION_RATE_MAX_ATTEMPTS,
+      rateKey,
+      LOGIN_RATE_WINDOW_MS,
+      LOGIN_RATE_MAX_ATTEMPTS,
       ctx
     );
-    if (!reactionRate.allowed) {
+    if (!rateResult.allowed) {
       return json(
-        { error: "Too many reaction requests, please try later" },
+        { error: "Too many attempts, please try later" },
         429,
-        { "Retry-After": String(Math.ceil(reactionRate.retryAfterMs / 1000)) }
+        { "Retry-After": String(Math.ceil(rateResult.retryAfterMs / 1000)) }
       );
     }
 
-    const body = await readJson(request);
-    const postSlug = String(body.postSlug || "").trim().toLowerCase();
-    const reactionKey = sanitizeReactionKey(body.reactionKey || "");
-    if (!postSlug) {
-      return json({ error: "Missing post slug" }, 400);
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
     }
-    if (!reactionKey) {
-      return json({ error: "Invalid reaction key" }, 400);
+
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSitePermission(session, "members:manage")) {
+      return json({ error: "Forbidden" }, 403);
     }
 
-    const post = await getPostMeta(env, site.id, postSlug, false);
-    if (!post) {
-      return json({ error: "Post not found" }, 404);
+    const body = await readJson(request);
+    const memberId = Number(session.member.id || 0);
+    const passwordHash = memberId
+      ? (await getSiteMemberByUsername(env, site.id, session.member.username))?.passwordHash
+      : site.adminSecretHash;
+    const validPassword = await verifyPassword(String(body.password || ""), passwordHash, env);
+    if (!validPassword) {
+      return json({ error: "Password is incorrect" }, 403);
     }
 
-    const reactor = await resolveReactorToken(request, env);
-    const active = await togglePostReaction(env, site.id, postSlug, reactionKey, reactor.token);
-    if (active) {
-      const reactionPreset = REACTION_PRESET_MAP.get(reactionKey);
-      queueSiteNotificationEvent(env, ctx, site, {
-        eventType: "reaction",
-        postSlug,
-        postTitle: post.title || postSlug,
-        reactionKey,
-        reactionLabel: reactionPreset
-          ? `${reactionPreset.icon} ${reactionPreset.label}`
-          : reactionKey,
-        targetPath: `/${encodeURIComponent(postSlug)}#reactions`,
-      });
+    const newSlug = String(body.newSlug || "").trim().toLowerCase();
+    const check = await checkSiteRename(env, site, newSlug, reservedSlugs);
+    if (!check.ok) {
+      return json({ error: check.error, reason: check.reason }, check.status);
     }
-    const snapshot = await listPostReactionSnapshot(env, site.id, postSlug, reactor.token);
-    let response = json(
-      {
-        ok: true,
-        postSlug,
-        reactionKey,
-        active,
-        total: snapshot.total,
-        selectedKeys: snapshot.selectedKeys,
-        reactions: snapshot.items.map((item) => ({
-          key: item.key,
-          icon: item.icon,
-          label: item.label,
-          count: item.count,
-          selected: item.selected,
-        })),
-      },
-      200
-    );
-    if (reactor.shouldSetCookie) {
-      response = withCookie(response, buildReactorCookie(reactor.token));
+
+    try {
+      const renamed = await renameSite(env, site, newSlug);
+      await clearRateLimit(env, rateKey);
+      return json(
+        { ok: true, ...renamed, siteUrl: `https://${newSlug}.${baseDomain}` },
+        200
+      );
+    } catch (error) {
+      if (error && error.status === 409) {
+        return json({ error: "站點內容在搬移期間被修改，請重試。" }, 409);
+      }
+      console.error("Failed to rename site", error);
+      return json(
+        {
+          error: "Failed to rename site",
+          detail: String(error && error.message ? error.message : error),
+        },
+        502
+      );
     }
-    return response;
   }
 
-  if (request.method === "GET" && path === "/api/comments") {
+  if (request.method === "GET" && path === "/api/auth/passkeys") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
+
     const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
-    const postSlug = String(url.searchParams.get("postSlug") || "").trim().toLowerCase();
-    if (!postSlug) {
-      return json({ error: "Missing post slug" }, 400);
+
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
     }
 
-    const post = await getPostMeta(env, site.id, postSlug, false);
-    if (!post) {
-      return json({ error: "Post not found" }, 404);
+    const passkeys = await listSitePasskeys(env, site.id, session.member.id);
+    return json({ passkeys }, 200);
+  }
+
+  if (request.method === "POST" && path === "/api/auth/passkeys/register/options") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
     }
 
-    const siteConfig = await getSiteConfig(env, site);
-    if (!siteConfig.commentsEnabled) {
-      return json({ comments: [], page: 1, totalPages: 1, total: 0 }, 200);
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
     }
 
-    const page = parsePositiveInt(url.searchParams.get("page"), 1, 1, 9999);
-    const commentsData = await listPostComments(env, site.id, postSlug, page, COMMENTS_PAGE_SIZE);
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    const challenge = await createPasskeyChallenge(env, site.id, session.member.id, "register");
+    const existing = await listSitePasskeys(env, site.id, session.member.id);
     return json(
       {
-        comments: commentsData.comments,
-        page: commentsData.page,
-        totalPages: commentsData.totalPages,
-        total: commentsData.total,
+        publicKey: {
+          challenge,
+          rp: { id: url.hostname, name: site.displayName || site.slug },
+          user: {
+            id: bytesToBase64Url(
+              new TextEncoder().encode(`${site.id}:${session.member.id}`)
+            ),
+            name: `${session.member.username}@${site.slug}`,
+            displayName: session.member.displayName || session.member.username,
+          },
+          pubKeyCredParams: [
+            { type: "public-key", alg: COSE_ALG_ES256 },
+            { type: "public-key", alg: COSE_ALG_RS256 },
+          ],
+          timeout: PASSKEY_CHALLENGE_TTL_MS,
+          attestation: "none",
+          authenticatorSelection: {
+            residentKey: "required",
+            requireResidentKey: true,
+            userVerification: "required",
+          },
+          excludeCredentials: existing.map((item) => ({
+            type: "public-key",
+            id: item.credentialId,
+          })),
+        },
       },
       200
     );
   }
 
-  if (request.method === "POST" && path === "/api/comments") {
+  if (request.method === "POST" && path === "/api/auth/passkeys/register") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
+
     const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
 
-    const siteConfig = await getSiteConfig(env, site);
-    if (!siteConfig.commentsEnabled) {
-      return json({ error: "Comments are disabled for this site" }, 403);
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await readJson(request);
+    const challengeOk = await consumePasskeyChallenge(
+      env,
+      body.challenge,
+      site.id,
+      session.member.id,
+      "register"
+    );
+    if (!challengeOk) {
+      return json({ error: "Passkey challenge expired, please try again" }, 400);
+    }
+
+    let registration;
+    try {
+      registration = await verifyPasskeyRegistration(body.credential, {
+        challenge: String(body.challenge || ""),
+        origin: url.origin,
+        rpId: url.hostname,
+      });
+    } catch (error) {
+      return json({ error: "Passkey registration failed", detail: error.message }, 400);
+    }
+
+    try {
+      const passkey = await createSitePasskey(env, site.id, session.member.id, {
+        ...registration,
+        label: String(body.label || "").trim().slice(0, 60) || describeUserAgent(request.headers.get("user-agent") || ""),
+      });
+      return json({ ok: true, passkey }, 201);
+    } catch (error) {
+      if (String(error?.message || "").includes("UNIQUE")) {
+        return json({ error: "Passkey already registered" }, 409);
+      }
+      console.error("Failed to save passkey", error);
+      return json({ error: "Failed to save passkey", detail: error.message }, 502);
+    }
+  }
+
+  if (request.method === "POST" && path === "/api/auth/passkeys/login/options") {
+    if (!hostSlug) {
+      return json({ error: "Login must happen on site subdomain" }, 400);
     }
 
     const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
-    const rateKey = `${clientIp}:${site.slug}:comments`;
+    const rateResult = await consumeRateLimit(
+      env,
+      `${clientIp}:${hostSlug}:passkey-options`,
+      PASSKEY_OPTIONS_RATE_WINDOW_MS,
+      PASSKEY_OPTIONS_RATE_MAX_ATTEMPTS,
+      ctx
+    );
+    if (!rateResult.allowed) {
+      return json(
+        { error: "Too many login attempts, please try later" },
+        429,
+        { "Retry-After": String(Math.ceil(rateResult.retryAfterMs / 1000)) }
+      );
+    }
+
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+
+    const challenge = await createPasskeyChallenge(env, site.id, 0, "login");
+    return json(
+      {
+        publicKey: {
+          challenge,
+          rpId: url.hostname,
+          timeout: PASSKEY_CHALLENGE_TTL_MS,
+          userVerification: "required",
+          allowCredentials: [],
+        },
+      },
+      200
+    );
+  }
+
+  if (request.method === "POST" && path === "/api/auth/passkeys/login") {
+    if (!hostSlug) {
+      return json({ error: "Login must happen on site subdomain" }, 400);
+    }
+
+    const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
+    const rateKey = `${clientIp}:${hostSlug}:passkey`;
     const rateResult = await consumeRateLimit(
       env,
       rateKey,
-      COMMENT_RATE_WINDOW_MS,
-      COMMENT_RATE_MAX_ATTEMPTS,
+      LOGIN_RATE_WINDOW_MS,
+      LOGIN_RATE_MAX_ATTEMPTS,
       ctx
     );
     if (!rateResult.allowed) {
       return json(
-        { error: "Too many comments, please try later" },
+        { error: "Too many login attempts, please try later" },
         429,
         { "Retry-After": String(Math.ceil(rateResult.retryAfterMs / 1000)) }
       );
     }
 
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+
     const body = await readJson(request);
-    const postSlug = String(body.postSlug || "").trim().toLowerCase();
-    const authorName = sanitizeCommentAuthor(body.authorName || "");
-    const authorSite = sanitizeOptionalSiteSlug(body.authorSiteSlug || "");
-    const content = sanitizeCommentContent(body.content || "");
-    if (!postSlug) {
-      return json({ error: "Missing post slug" }, 400);
+    const challengeOk = await consumePasskeyChallenge(env, body.challenge, site.id, 0, "login");
+    if (!challengeOk) {
+      return json({ error: "Passkey challenge expired, please try again" }, 400);
     }
-    if (!authorName) {
-      return json({ error: "Name is required" }, 400);
+
+    const credentialId = String(body.credential?.id || "");
+    const passkey = credentialId
+      ? await getSitePasskeyByCredentialId(env, site.id, credentialId)
+      : null;
+    if (!passkey) {
+      return json({ error: "Passkey not recognized for this site" }, 401);
     }
-    if (!content) {
-      return json({ error: "Comment content is required" }, 400);
+    if (passkey.memberId && !(await getSiteMember(env, site.id, passkey.memberId))) {
+      return json({ error: "Passkey not recognized for this site" }, 401);
     }
 
-    const post = await getPostMeta(env, site.id, postSlug, false);
-    if (!post) {
-      return json({ error: "Post not found" }, 404);
+    let signCount;
+    try {
+      signCount = await verifyPasskeyAssertion(body.credential, passkey, {
+        challenge: String(body.challenge || ""),
+        origin: url.origin,
+        rpId: url.hostname,
+      });
+    } catch (error) {
+      return json({ error: "Passkey verification failed", detail: error.message }, 401);
     }
 
-    const created = await createComment(env, site.id, postSlug, authorName, authorSite, content);
-    queueSiteNotificationEvent(env, ctx, site, {
-      eventType: "comment",
-      postSlug,
-      postTitle: post.title || postSlug,
-      actorName: created.authorName,
-      actorSiteSlug: created.authorSiteSlug,
-      contentPreview: created.content,
-      targetPath: `/${encodeURIComponent(postSlug)}#comments`,
-      createdAt: created.createdAt,
-    });
-    return json({ ok: true, comment: created }, 201);
+    await touchSitePasskey(env, passkey.id, signCount);
+    await clearRateLimit(env, rateKey);
+    const token = await startSiteSession(request, env, site, passkey.memberId);
+    return withCookie(json({ ok: true }, 200), buildSessionCookie(token));
   }
 
-  if (request.method === "DELETE" && path.startsWith("/api/comments/")) {
+  const passkeyMatch = path.match(/^\/api\/auth\/passkeys\/(\d+)$/);
+  if (passkeyMatch && request.method === "DELETE") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
+
     const site = await getSiteBySlug(env, hostSlug);
     if (!site) {
       return json({ error: "Site not found" }, 404);
     }
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
 
-    const rawId = path.slice("/api/comments/".length);
-    const id = Number(rawId);
-    if (!Number.isInteger(id) || id <= 0) {
-      return json({ error: "Invalid comment id" }, 400);
-    }
-    const deleted = await deleteComment(env, site.id, id);
+    const deleted = await deleteSitePasskey(
+      env,
+      site.id,
+      session.member.id,
+      Number(passkeyMatch[1])
+    );
     if (!deleted) {
-      return json({ error: "Comment not found" }, 404);
+      return json({ error: "Passkey not found" }, 404);
     }
     return json({ ok: true }, 200);
   }
 
-  if (request.method === "GET" && path.startsWith("/api/posts/")) {
+  if (request.method === "GET" && path === "/api/tokens") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
@@ -1446,34 +2042,65 @@ async function handleApi(request, env, ctx, context) {
       return json({ error: "Site not found" }, 404);
     }
 
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
 
-    const postSlug = decodeURIComponent(path.slice("/api/posts/".length)).toLowerCase();
-    if (!postSlug || postSlug.includes("/")) {
-      return json({ error: "Invalid post slug" }, 400);
+    const tokens = await listSiteApiTokens(env, site.id, session.member.id);
+    return json({ tokens, scopes: Object.keys(API_TOKEN_SCOPES) }, 200);
+  }
+
+  if (request.method === "POST" && path === "/api/tokens") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
     }
 
-    const post = await getPostMeta(env, site.id, postSlug, true);
-    if (!post) {
-      return json({ error: "Post not found" }, 404);
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
     }
 
-    const file = await githubReadFile(env, getPostFilePath(site.slug, post.postSlug));
-    return json(
-      {
-        post: {
-          ...post,
-          content: file ? file.content : "",
-        },
-      },
-      200
-    );
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await readJson(request);
+    const name = String(body.name || "").trim().slice(0, 60);
+    if (!name) {
+      return json({ error: "Token name is required" }, 400);
+    }
+    const scopes = parseApiTokenScopes(body.scopes);
+    if (!scopes.length) {
+      return json({ error: "Select at least one scope" }, 400);
+    }
+    const deniedScope = scopes.find((scope) => {
+      const [basePermission] = API_TOKEN_SCOPES[scope];
+      return Boolean(basePermission) && !hasSitePermission(session, basePermission);
+    });
+    if (deniedScope) {
+      return json({ error: `Your role cannot grant scope ${deniedScope}` }, 403);
+    }
+
+    const expiresInDays = Number.parseInt(String(body.expiresInDays ?? API_TOKEN_DEFAULT_TTL_DAYS), 10);
+    if (!Number.isFinite(expiresInDays) || expiresInDays < 0 || expiresInDays > API_TOKEN_MAX_TTL_DAYS) {
+      return json({ error: `expiresInDays must be between 0 and ${API_TOKEN_MAX_TTL_DAYS}` }, 400);
+    }
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const created = await createSiteApiToken(env, site.id, session.member.id, {
+      name,
+      scopes,
+      expiresAt,
+    });
+    return json({ ok: true, token: created.token, apiToken: created.apiToken }, 201);
   }
 
-  if (request.method === "DELETE" && path.startsWith("/api/posts/")) {
+  const apiTokenMatch = path.match(/^\/api\/tokens\/(\d+)$/);
+  if (request.method === "DELETE" && apiTokenMatch) {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
@@ -1483,45 +2110,48 @@ async function handleApi(request, env, ctx, context) {
       return json({ error: "Site not found" }, 404);
     }
 
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
 
-    const postSlug = decodeURIComponent(path.slice("/api/posts/".length)).toLowerCase();
-    if (!postSlug || postSlug.includes("/")) {
-      return json({ error: "Invalid post slug" }, 400);
+    const revoked = await revokeSiteApiTokens(
+      env,
+      site.id,
+      session.member.id,
+      Number(apiTokenMatch[1])
+    );
+    if (!revoked) {
+      return json({ error: "Token not found" }, 404);
     }
+    return json({ ok: true }, 200);
+  }
 
-    const post = await getPostMeta(env, site.id, postSlug, true);
-    if (!post) {
-      return json({ error: "Post not found" }, 404);
+  if (request.method === "GET" && path === "/api/sessions") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
     }
 
-    try {
-      await githubDeleteFile(
-        env,
-        getPostFilePath(site.slug, post.postSlug),
-        `feat(${site.slug}): delete post ${post.postSlug}`
-      );
-      await deletePostMeta(env, site.id, post.postSlug);
-      await deleteCommentsByPost(env, site.id, post.postSlug);
-      await deleteReactionsByPost(env, site.id, post.postSlug);
-    } catch (error) {
-      console.error("Failed to delete post", error);
-      return json(
-        {
-          error: "Failed to delete post",
-          detail: String(error && error.message ? error.message : error),
-        },
-        502
-      );
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
     }
 
-    return json({ ok: true, postSlug: post.postSlug }, 200);
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    const sessions = await listSiteSessions(env, site.id, session.member.id);
+    return json(
+      {
+        sessions: sessions.map((item) => ({ ...item, current: item.id === session.sessionId })),
+      },
+      200
+    );
   }
 
-  if (request.method === "POST" && path === "/api/posts") {
+  if (request.method === "POST" && path === "/api/sessions/revoke-all") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
@@ -1531,114 +2161,76 @@ async function handleApi(request, env, ctx, context) {
       return json({ error: "Site not found" }, 404);
     }
 
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
 
-    const body = await readJson(request);
+    const revoked = await revokeSiteSessions(env, site.id, session.member.id);
+    return withCookie(json({ ok: true, revoked }, 200), buildClearSessionCookie());
+  }
 
-    const title = sanitizeTitle(body.title || "");
-    const requestedSlug = String(body.postSlug || "").trim().toLowerCase();
-    const postSlug = requestedSlug || slugifyValue(title);
-    const previousSlugRaw = String(body.previousSlug || "").trim().toLowerCase();
-    const previousSlug = previousSlugRaw && !previousSlugRaw.includes("/")
-      ? previousSlugRaw
-      : "";
-    const description = sanitizeDescription(body.description || "");
-    const content = String(body.content || "");
-    const published = Boolean(body.published) ? 1 : 0;
-    const isPage = Boolean(body.isPage) ? 1 : 0;
-
-    if (!title) {
-      return json({ error: "Title is required" }, 400);
+  const sessionMatch = path.match(/^\/api\/sessions\/([a-f0-9]{32})$/);
+  if (request.method === "DELETE" && sessionMatch) {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
     }
 
-    const validation = validatePostSlug(postSlug);
-    if (!validation.ok) {
-      return json({ error: "Invalid post slug", reason: validation.reason }, 400);
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
     }
 
-    const now = new Date().toISOString();
-    const isRenaming = Boolean(previousSlug && previousSlug !== postSlug);
-
-    try {
-      let existingPost = null;
-      let previousPost = null;
-
-      if (isRenaming) {
-        previousPost = await getPostMeta(env, site.id, previousSlug, true);
-        if (!previousPost) {
-          return json({ error: "Original post not found" }, 404);
-        }
-      }
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
 
-      existingPost = await getPostMeta(env, site.id, postSlug, true);
-      if (existingPost && isRenaming) {
-        return json({ error: "Target post slug already exists" }, 409);
-      }
+    const revoked = await revokeSiteSessions(env, site.id, session.member.id, {
+      sessionId: sessionMatch[1],
+    });
+    if (!revoked) {
+      return json({ error: "Session not found" }, 404);
+    }
+    const response = json({ ok: true, current: sessionMatch[1] === session.sessionId }, 200);
+    return sessionMatch[1] === session.sessionId
+      ? withCookie(response, buildClearSessionCookie())
+      : response;
+  }
 
-      await githubWriteFile(
-        env,
-        getPostFilePath(site.slug, postSlug),
-        content,
-        `feat(${site.slug}): update post ${postSlug}`
-      );
+  if (request.method === "GET" && path === "/api/site-members") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-      if (isRenaming) {
-        await githubDeleteFile(
-          env,
-          getPostFilePath(site.slug, previousSlug),
-          `feat(${site.slug}): rename post ${previousSlug} -> ${postSlug}`
-        );
-        await deletePostMeta(env, site.id, previousSlug);
-        await moveCommentsToPost(env, site.id, previousSlug, postSlug);
-        await moveReactionsToPost(env, site.id, previousSlug, postSlug);
-      }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-      const createdAt = previousPost?.createdAt || existingPost?.createdAt || now;
-      await upsertPostMeta(
-        env,
-        site.id,
-        postSlug,
-        title,
-        description,
-        published,
-        now,
-        createdAt,
-        { isPage: isPage === 1 }
-      );
-    } catch (error) {
-      if (error && error.status === 409) {
-        return json({ error: error.userMessage || "文章已被其他人修改，請重新載入後再儲存。" }, 409);
-      }
-      console.error("Failed to save post", error);
-      return json(
-        {
-          error: "Failed to save post",
-          detail: String(error && error.message ? error.message : error),
-        },
-        502
-      );
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSitePermission(session, "members:manage")) {
+      return json({ error: "Forbidden" }, 403);
     }
 
+    const [members, invitations] = await Promise.all([
+      listSiteMembers(env, site.id),
+      listSiteInvitations(env, site.id),
+    ]);
     return json(
       {
-        ok: true,
-        post: {
-          postSlug,
-          title,
-          description,
-          published,
-          isPage,
-          updatedAt: now,
-        },
+        me: formatMemberForClient(session.member),
+        members: members.map((member) => ({ ...formatMemberForClient(member), createdAt: member.createdAt })),
+        invitations,
       },
       200
     );
   }
 
-  if (request.method === "GET" && path === "/api/export") {
+  if (request.method === "POST" && path === "/api/site-members/invitations") {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
@@ -1648,49 +2240,36 @@ async function handleApi(request, env, ctx, context) {
       return json({ error: "Site not found" }, 404);
     }
 
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
+    if (!hasSitePermission(session, "members:manage")) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
-    const posts = await listPosts(env, site.id, true);
-    const config = await getSiteConfig(env, site);
-    const files = await Promise.all(
-      posts.map((post) =>
-        githubReadFile(env, getPostFilePath(site.slug, post.postSlug)).catch((error) => {
-          console.error("Failed to read post during export", post.postSlug, error);
-          return null;
-        })
-      )
-    );
-    const exportedPosts = posts.map((post, index) => ({
-      ...post,
-      content: files[index] ? files[index].content : "",
-    }));
-
-    const payload = {
-      exportedAt: new Date().toISOString(),
-      site: {
-        slug: site.slug,
-        displayName: site.displayName,
-        description: site.description,
-        createdAt: site.createdAt,
-      },
-      config,
-      posts: exportedPosts,
-    };
+    const body = await readJson(request);
+    const role = String(body.role || "").trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(SITE_ROLE_PERMISSIONS, role)) {
+      return json({ error: "Invalid role" }, 400);
+    }
+    if (!canAssignSiteRole(session, role)) {
+      return json({ error: "Only owners can grant the owner role" }, 403);
+    }
 
-    const filename = `${site.slug}-export-${new Date().toISOString().slice(0, 10)}.json`;
-    return new Response(JSON.stringify(payload, null, 2), {
-      status: 200,
-      headers: {
-        "Content-Type": "application/json; charset=utf-8",
-        "Content-Disposition": `attachment; filename="${filename}"`,
+    const created = await createSiteInvitation(env, site.id, role, session.member.username);
+    return json(
+      {
+        ok: true,
+        invitation: created.invitation,
+        inviteUrl: `https://${site.slug}.${baseDomain}/admin?invite=${created.token}`,
       },
-    });
+      201
+    );
   }
 
-  if (request.method === "POST" && path === "/api/import") {
+  const invitationMatch = path.match(/^\/api\/site-members\/invitations\/(\d+)$/);
+  if (request.method === "DELETE" && invitationMatch) {
     if (!hostSlug) {
       return json({ error: "Missing site context" }, 400);
     }
@@ -1700,4532 +2279,12957 @@ async function handleApi(request, env, ctx, context) {
       return json({ error: "Site not found" }, 404);
     }
 
-    const authed = await isSiteAuthenticated(request, env, site.slug);
-    if (!authed) {
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
       return json({ error: "Unauthorized" }, 401);
     }
-
-    let formData;
-    try {
-      formData = await request.formData();
-    } catch {
-      return json({ error: "Invalid form data" }, 400);
+    if (!hasSitePermission(session, "members:manage")) {
+      return json({ error: "Forbidden" }, 403);
     }
 
-    const file = formData.get("file");
-    if (!file || typeof file.text !== "function") {
-      return json({ error: "No file uploaded" }, 400);
+    const revoked = await revokeSiteInvitation(env, site.id, Number(invitationMatch[1]));
+    if (!revoked) {
+      return json({ error: "Invitation not found" }, 404);
     }
+    return json({ ok: true }, 200);
+  }
 
-    let csvText;
-    try {
-      csvText = await file.text();
-    } catch {
-      return json({ error: "Failed to read file" }, 400);
+  if (request.method === "POST" && path === "/api/site-members/accept") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
     }
 
-    if (!csvText || csvText.length < 10) {
-      return json({ error: "File is empty or too small" }, 400);
+    const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
+    const rateKey = `${clientIp}:${hostSlug}:accept-invite`;
+    const rateResult = await consumeRateLimit(
+      env,
+      rateKey,
+      LOGIN_RATE_WINDOW_MS,
+      LOGIN_RATE_MAX_ATTEMPTS,
+      ctx
+    );
+    if (!rateResult.allowed) {
+      return json(
+        { error: "Too many attempts, please try later" },
+        429,
+        { "Retry-After": String(Math.ceil(rateResult.retryAfterMs / 1000)) }
+      );
     }
 
-    if (csvText.length > 10 * 1024 * 1024) {
-      return json({ error: "File too large (max 10MB)" }, 400);
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
     }
 
-    const parsed = parseCSV(csvText);
-    if (!parsed.headers.length || !parsed.rows.length) {
-      return json({ error: "No valid rows found in CSV" }, 400);
+    const body = await readJson(request);
+    const token = String(body.token || "").trim().toLowerCase();
+    const username = sanitizeMemberUsername(body.username);
+    const displayName = sanitizeName(body.displayName || "") || username;
+    const password = String(body.password || "");
+    if (!/^[a-f0-9]{48}$/.test(token)) {
+      return json({ error: "Invalid invitation" }, 400);
+    }
+    if (!username) {
+      return json({ error: "Username must be 2-30 characters: a-z, 0-9, _ or -" }, 400);
+    }
+    if (password.length < 8) {
+      return json({ error: "Password must be at least 8 characters" }, 400);
+    }
+    if (await getSiteMemberByUsername(env, site.id, username)) {
+      return json({ error: "Username already exists" }, 409);
     }
 
-    const imported = [];
-    const skipped = [];
-    const errors = [];
-
-    for (const row of parsed.rows) {
-      try {
-        const title = String(row.title || "").trim();
-        if (!title) {
-          skipped.push({ reason: "missing title" });
-          continue;
-        }
+    let member;
+    try {
+      member = await acceptSiteInvitation(env, site.id, token, {
+        username,
+        displayName,
+        passwordHash: await createPasswordHash(password, env),
+      });
+    } catch (error) {
+      if (String(error?.message || "").includes("UNIQUE")) {
+        return json({ error: "Username already exists" }, 409);
+      }
+      throw error;
+    }
+    if (!member) {
+      return json({ error: "Invitation is invalid or expired" }, 404);
+    }
 
-        const isPage = String(row.is_page || "").toLowerCase() === "true" ? 1 : 0;
+    await clearRateLimit(env, rateKey);
+    const sessionToken = await startSiteSession(request, env, site, member.id);
+    return withCookie(
+      json({ ok: true, member: formatMemberForClient(member) }, 201),
+      buildSessionCookie(sessionToken)
+    );
+  }
 
-        let rawSlug = String(row.slug || row.link || "").trim();
-        rawSlug = rawSlug.replace(/^\/+/, "");
-        let postSlug = rawSlug ? slugifyValue(rawSlug) : slugifyValue(title);
-        if (!postSlug) {
-          postSlug = slugifyValue(title);
-        }
-        if (!postSlug) {
-          skipped.push({ title, reason: "cannot derive slug" });
-          continue;
-        }
+  const memberMatch = path.match(/^\/api\/site-members\/(\d+)$/);
+  if ((request.method === "POST" || request.method === "DELETE") && memberMatch) {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-        const slugCheck = validatePostSlug(postSlug);
-        if (!slugCheck.ok) {
-          postSlug = slugifyValue(title);
-          const recheck = validatePostSlug(postSlug);
-          if (!recheck.ok) {
-            skipped.push({ title, reason: "invalid slug" });
-            continue;
-          }
-          postSlug = recheck.slug;
-        } else {
-          postSlug = slugCheck.slug;
-        }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-        const content = String(row.content || "").trim();
-        const description = String(row.meta_description || "").trim().slice(0, 240);
+    const session = await getSiteSession(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSitePermission(session, "members:manage")) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
-        let publishedDate = String(row.published_date || "").trim();
-        let createdAt;
-        if (publishedDate) {
-          const d = new Date(publishedDate);
-          createdAt = Number.isNaN(d.getTime()) ? new Date().toISOString() : d.toISOString();
-        } else {
-          createdAt = new Date().toISOString();
-        }
+    const memberId = Number(memberMatch[1]);
+    if (memberId === Number(session.member.id || 0)) {
+      return json({ error: "You cannot change your own membership" }, 400);
+    }
 
-        const discoverable = String(row.make_discoverable || "true").toLowerCase();
-        const published = discoverable === "false" ? 0 : 1;
+    if (request.method === "DELETE") {
+      const deleted = await deleteSiteMember(env, site.id, memberId);
+      if (!deleted) {
+        return json({ error: "Member not found" }, 404);
+      }
+      await revokeSiteSessions(env, site.id, memberId);
+      await deleteSiteTotp(env, site.id, memberId);
+      await deleteMemberPasskeys(env, site.id, memberId);
+      await revokeSiteApiTokens(env, site.id, memberId);
+      return json({ ok: true }, 200);
+    }
 
-        await githubWriteFile(
-          env,
-          getPostFilePath(site.slug, postSlug),
-          content || `# ${title}\n`,
-          `import(${site.slug}): ${postSlug} from BearBlog`
-        );
+    const body = await readJson(request);
+    const role = String(body.role || "").trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(SITE_ROLE_PERMISSIONS, role)) {
+      return json({ error: "Invalid role" }, 400);
+    }
+    if (!canAssignSiteRole(session, role)) {
+      return json({ error: "Only owners can grant the owner role" }, 403);
+    }
+    const updated = await updateSiteMemberRole(env, site.id, memberId, role);
+    if (!updated) {
+      return json({ error: "Member not found" }, 404);
+    }
+    const member = await getSiteMember(env, site.id, memberId);
+    return json({ ok: true, member: formatMemberForClient(member) }, 200);
+  }
 
-        await upsertPostMeta(
-          env,
-          site.id,
-          postSlug,
-          sanitizeTitle(title),
-          sanitizeDescription(description),
-          published,
-          createdAt,
-          createdAt,
-          { isPage: isPage === 1 }
-        );
+  if (request.method === "GET" && path === "/api/list-posts") {
+    let slug = hostSlug;
+    if (!slug) {
+      slug = String(url.searchParams.get("slug") || "")
+        .trim()
+        .toLowerCase();
+    }
 
-        imported.push({ title, postSlug, isPage: isPage === 1 });
-      } catch (error) {
-        errors.push({ title: row.title || "unknown", error: error.message || "unknown error" });
+    if (!slug) {
+      return json({ error: "Missing slug" }, 400);
+    }
+
+    const site = await getSiteBySlug(env, slug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+
+    let draftScope = null;
+    if (url.searchParams.get("includeDrafts") === "1") {
+      const session = await getSiteAuth(request, env, site);
+      draftScope = session ? getDraftListingScope(session) : null;
+    }
+
+    const posts = await listPosts(env, site.id, Boolean(draftScope), draftScope?.authorMemberId ?? null);
+    return json(
+      {
+        site: {
+          slug: site.slug,
+          displayName: site.displayName,
+          description: site.description,
+        },
+        posts,
+      },
+      200
+    );
+  }
+
+  if (request.method === "GET" && path === "/api/search" && (!hostSlug || hostSlug === apiEntrySlug)) {
+    const query = String(url.searchParams.get("q") || "").trim().slice(0, SEARCH_QUERY_MAX_LENGTH);
+    const page = parsePositiveInt(url.searchParams.get("page"), 1, 1, 9999);
+    try {
+      const results = await searchCampusPosts(env, query, baseDomain, page);
+      return json({ query, ...results }, 200);
+    } catch (error) {
+      console.error("Failed to search campus posts", error);
+      return json(
+        {
+          error: "Failed to search campus posts",
+          detail: String(error && error.message ? error.message : error),
+        },
+        502
+      );
+    }
+  }
+
+  if (request.method === "GET" && path === "/api/search") {
+
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+
+    let draftScope = null;
+    if (url.searchParams.get("includeDrafts") === "1") {
+      const session = await getSiteAuth(request, env, site);
+      if (!session) {
+        return json({ error: "Unauthorized" }, 401);
+      }
+      draftScope = getDraftListingScope(session);
+      if (!draftScope) {
+        return json({ error: "Forbidden" }, 403);
       }
     }
 
-    return json({
-      ok: true,
-      imported: imported.length,
-      skipped: skipped.length,
-      errors: errors.length,
-      details: { imported, skipped, errors },
-    });
+    const query = String(url.searchParams.get("q") || "").trim().slice(0, SEARCH_QUERY_MAX_LENGTH);
+    try {
+      const results = await searchSitePosts(env, site.id, query, {
+        includeDrafts: Boolean(draftScope),
+        authorMemberId: draftScope?.authorMemberId ?? null,
+      });
+      return json({ query, results }, 200);
+    } catch (error) {
+      console.error("Failed to search posts", error);
+      return json(
+        {
+          error: "Failed to search posts",
+          detail: String(error && error.message ? error.message : error),
+        },
+        502
+      );
+    }
   }
 
-  return notFound();
-}
+  if (request.method === "POST" && path === "/api/search/reindex") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-async function getSiteBySlug(env, slug) {
-  return env.DB.prepare(
-    `SELECT
-      id,
-      slug,
-      display_name AS displayName,
-      description,
-      admin_secret_hash AS adminSecretHash,
-      created_at AS createdAt,
-      updated_at AS updatedAt
-    FROM sites
-    WHERE slug = ?
-    LIMIT 1`
-  )
-    .bind(slug)
-    .first();
-}
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-function formatSiteForClient(site) {
-  if (!site) {
-    return null;
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSitePermission(session, "posts:write-any")) {
+      return json({ error: "Forbidden" }, 403);
+    }
+
+    try {
+      const rebuilt = await rebuildSiteSearchIndex(env, site);
+      return json({ ok: true, ...rebuilt }, 200);
+    } catch (error) {
+      console.error("Failed to rebuild search index", error);
+      return json(
+        {
+          error: "Failed to rebuild search index",
+          detail: String(error && error.message ? error.message : error),
+        },
+        502
+      );
+    }
   }
 
-  return {
-    id: site.id,
-    slug: site.slug,
-    displayName: site.displayName,
-    description: site.description,
-    createdAt: site.createdAt,
-    updatedAt: site.updatedAt,
-    url: `https://${site.slug}.bdfz.net`,
-  };
-}
+  if (request.method === "GET" && path === "/api/post-redirects") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-async function listPublicSites(env, limit = 500) {
-  const safeLimit = Math.min(Math.max(Number(limit) || 100, 1), 1000);
-  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
-  const postCountClause = hasIsPageColumn
-    ? "p.site_id = s.id AND p.published = 1 AND p.is_page = 0"
-    : "p.site_id = s.id AND p.published = 1";
-  const result = await env.DB.prepare(
-    `SELECT
-      s.slug AS slug,
-      s.display_name AS displayName,
-      s.description AS description,
-      s.created_at AS createdAt,
-      s.updated_at AS updatedAt,
-      (
-        SELECT COUNT(*)
-        FROM posts p
-        WHERE ${postCountClause}
-      ) AS postCount
-    FROM sites s
-    ORDER BY s.created_at DESC
-    LIMIT ?`
-  )
-    .bind(safeLimit)
-    .all();
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-  const rows = result.results || [];
-  return rows.map((site) => ({
-    slug: site.slug,
-    displayName: site.displayName,
-    description: site.description || "",
-    createdAt: site.createdAt,
-    updatedAt: site.updatedAt,
-    postCount: Number(site.postCount || 0),
-    url: `https://${site.slug}.bdfz.net`,
-  }));
-}
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSitePermission(session, "posts:write-any")) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
-async function listCommunitySites(env, currentSlug, limit = 12) {
-  const safeLimit = Math.min(Math.max(Number(limit) || 12, 1), 60);
-  const result = await env.DB.prepare(
-    `SELECT
-      slug,
-      display_name AS displayName,
-      description,
-      created_at AS createdAt
-    FROM sites
-    WHERE slug != ?
-    ORDER BY created_at DESC
-    LIMIT ?`
-  )
-    .bind(currentSlug, safeLimit)
-    .all();
+    return json({ redirects: await listPostRedirects(env, site.id) }, 200);
+  }
 
-  const rows = result.results || [];
-  return rows.map((site) => ({
-    slug: site.slug,
-    displayName: site.displayName,
-    description: site.description || "",
-    createdAt: site.createdAt,
-    url: `https://${site.slug}.bdfz.net`,
-  }));
-}
+  if (request.method === "POST" && path === "/api/post-redirects") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-async function listCampusFeed(env, excludeSiteId = null, limit = 24) {
-  const safeLimit = Math.min(Math.max(Number(limit) || 24, 1), 120);
-  const hasExcludeColumn = await hasPostsColumn(env, "exclude_from_campus_feed");
-  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
-  const feedVisibilityClause = hasExcludeColumn
-    ? "p.published = 1 AND p.exclude_from_campus_feed = 0"
-    : "p.published = 1 AND NOT (p.post_slug = 'hello-world' AND p.title = 'Hello World')";
-  const pageExclusionClause = hasIsPageColumn ? "AND p.is_page = 0" : "";
-  const visibilityClause = `${feedVisibilityClause} ${pageExclusionClause}`.trim();
-  const sql = excludeSiteId
-    ? `SELECT
-        p.post_slug AS postSlug,
-        p.title AS title,
-        p.description AS description,
-        p.updated_at AS updatedAt,
-        s.slug AS siteSlug,
-        s.display_name AS siteName
-      FROM posts p
-      INNER JOIN sites s ON p.site_id = s.id
-      WHERE ${visibilityClause} AND p.site_id != ?
-      ORDER BY p.updated_at DESC
-      LIMIT ?`
-    : `SELECT
-        p.post_slug AS postSlug,
-        p.title AS title,
-        p.description AS description,
-        p.updated_at AS updatedAt,
-        s.slug AS siteSlug,
-        s.display_name AS siteName
-      FROM posts p
-      INNER JOIN sites s ON p.site_id = s.id
-      WHERE ${visibilityClause}
-      ORDER BY p.updated_at DESC
-      LIMIT ?`;
-
-  const statement = excludeSiteId
-    ? env.DB.prepare(sql).bind(excludeSiteId, safeLimit)
-    : env.DB.prepare(sql).bind(safeLimit);
-  const result = await statement.all();
-  const rows = result.results || [];
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-  return rows.map((post) => ({
-    siteSlug: post.siteSlug,
-    siteName: post.siteName,
-    postSlug: post.postSlug,
-    title: post.title,
-    description: post.description || "",
-    updatedAt: post.updatedAt,
-    url: `https://${post.siteSlug}.bdfz.net/${post.postSlug}`,
-  }));
-}
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSitePermission(session, "posts:write-any")) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
-async function listPostsPage(env, siteId, page = 1, pageSize = POSTS_PAGE_SIZE) {
-  const safePageSize = Math.min(Math.max(Number(pageSize) || POSTS_PAGE_SIZE, 1), 60);
-  const safePage = Math.max(Number(page) || 1, 1);
-  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
-  const isPageSelect = hasIsPageColumn ? "is_page AS isPage" : "0 AS isPage";
-  const pageFilter = hasIsPageColumn ? "AND is_page = 0" : "";
+    const body = await readJson(request);
+    const fromSlug = String(body.fromSlug || "").trim().toLowerCase();
+    const toSlug = String(body.toSlug || "").trim().toLowerCase();
+    const validation = validatePostSlug(fromSlug);
+    if (!validation.ok) {
+      return json({ error: "Invalid post slug", reason: validation.reason }, 400);
+    }
+    if (await getPostMeta(env, site.id, fromSlug, true)) {
+      return json({ error: "A post with this slug already exists" }, 409);
+    }
 
-  const totalResult = await env.DB.prepare(
-    `SELECT COUNT(*) AS total
-     FROM posts
-     WHERE site_id = ? AND published = 1 ${pageFilter}`
-  )
-    .bind(siteId)
-    .first();
+    let target = toSlug ? await getPostMeta(env, site.id, toSlug, true) : null;
+    if (!target && toSlug) {
+      const chained = await getPostRedirect(env, site.id, toSlug);
+      target = chained ? await getPostMeta(env, site.id, chained.toSlug, true) : null;
+    }
+    if (!target) {
+      return json({ error: "Target post not found" }, 404);
+    }
+    if (target.postSlug === fromSlug) {
+      return json({ error: "Redirect would point to itself" }, 400);
+    }
 
-  const total = Math.max(Number(totalResult?.total || 0), 0);
-  const totalPages = Math.max(1, Math.ceil(total / safePageSize));
-  const boundedPage = Math.min(safePage, totalPages);
-  const offset = (boundedPage - 1) * safePageSize;
-  const rowsResult = await env.DB.prepare(
-    `SELECT
-      post_slug AS postSlug,
-      title,
-      description,
-      published,
-      ${isPageSelect},
-      created_at AS createdAt,
-      updated_at AS updatedAt
-    FROM posts
-    WHERE site_id = ? AND published = 1 ${pageFilter}
-    ORDER BY updated_at DESC
-    LIMIT ? OFFSET ?`
-  )
-    .bind(siteId, safePageSize, offset)
-    .all();
-
-  return {
-    posts: rowsResult.results || [],
-    total,
-    page: boundedPage,
-    pageSize: safePageSize,
-    totalPages,
-    hasPrev: boundedPage > 1,
-    hasNext: boundedPage < totalPages,
-  };
-}
+    await setPostRedirect(env, site.id, fromSlug, target.postSlug);
+    return json({ ok: true, redirect: { fromSlug, toSlug: target.postSlug } }, 200);
+  }
 
-async function listPosts(env, siteId, includeDrafts = false) {
-  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
-  const isPageSelect = hasIsPageColumn ? "is_page AS isPage" : "0 AS isPage";
-  const publishedFilter = includeDrafts ? "" : "AND published = 1";
-  const pageFilter = includeDrafts
-    ? ""
-    : (hasIsPageColumn ? "AND is_page = 0" : "");
+  if (request.method === "DELETE" && path.startsWith("/api/post-redirects/")) {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-  const sql = `SELECT
-      post_slug AS postSlug,
-      title,
-      description,
-      published,
-      ${isPageSelect},
-      created_at AS createdAt,
-      updated_at AS updatedAt
-    FROM posts
-    WHERE site_id = ? ${publishedFilter} ${pageFilter}
-    ORDER BY updated_at DESC`;
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-  const result = await env.DB.prepare(sql).bind(siteId).all();
-  return result.results || [];
-}
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSitePermission(session, "posts:write-any")) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
-async function listSitePages(env, siteId, limit = 20) {
-  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
-  if (!hasIsPageColumn) {
-    return [];
+    let fromSlug = "";
+    try {
+      fromSlug = decodeURIComponent(path.slice("/api/post-redirects/".length)).toLowerCase();
+    } catch {
+      return json({ error: "Invalid post slug" }, 400);
+    }
+    if (!(await deletePostRedirect(env, site.id, fromSlug))) {
+      return json({ error: "Redirect not found" }, 404);
+    }
+    return json({ ok: true }, 200);
   }
 
-  const safeLimit = Math.min(Math.max(Number(limit) || 20, 1), 100);
-  const result = await env.DB.prepare(
-    `SELECT
-      post_slug AS postSlug,
-      title,
-      description,
-      created_at AS createdAt,
-      updated_at AS updatedAt
-    FROM posts
-    WHERE site_id = ? AND published = 1 AND is_page = 1
-    ORDER BY updated_at DESC
-    LIMIT ?`
-  )
-    .bind(siteId, safeLimit)
-    .all();
+  if (request.method === "POST" && path === "/api/view") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const body = await readJson(request);
+    const resourceType = normalizeViewResourceType(body.resourceType || body.type || "post");
+    const resourceKeyInput = String(body.resourceKey || body.postSlug || "").trim().toLowerCase();
+    const resourceKey = resourceType === "home" ? HOME_VIEW_KEY : resourceKeyInput;
+    if (!resourceKey) {
+      return json({ error: "Missing resource key" }, 400);
+    }
+    if (resourceType === "post") {
+      const post = await getPostMeta(env, site.id, resourceKey, false);
+      if (!post) {
+        return json({ error: "Post not found" }, 404);
+      }
+    }
 
-  return result.results || [];
-}
+    const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
+    const viewRate = await consumeRateLimit(
+      env,
+      `${clientIp}:${site.slug}:view:${resourceType}:${resourceKey}`,
+      VIEW_RATE_WINDOW_MS,
+      VIEW_RATE_MAX_ATTEMPTS,
+      ctx
+    );
+    if (!viewRate.allowed) {
+      const viewMap = await listPageViewCounts(env, site.id, resourceType, [resourceKey]);
+      const currentCount = Math.max(Number(viewMap.get(resourceKey) || 0), 0);
+      return json(
+        { ok: true, throttled: true, count: currentCount },
+        200
+      );
+    }
 
-async function ensureCommentsTable(env) {
-  if (!commentsTableReadyPromise) {
-    commentsTableReadyPromise = (async () => {
-      await env.DB.prepare(
-        `CREATE TABLE IF NOT EXISTS comments (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          site_id INTEGER NOT NULL,
-          post_slug TEXT NOT NULL,
-          author_name TEXT NOT NULL,
-          author_site_slug TEXT NOT NULL DEFAULT '',
-          content TEXT NOT NULL,
-          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
-          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
-        )`
-      ).run();
-      await env.DB.prepare(
-        `CREATE INDEX IF NOT EXISTS idx_comments_site_post_created
-         ON comments(site_id, post_slug, created_at DESC)`
-      ).run();
-      await env.DB.prepare(
-        `CREATE INDEX IF NOT EXISTS idx_comments_site_created
-         ON comments(site_id, created_at DESC)`
-      ).run();
-    })().catch((error) => {
-      commentsTableReadyPromise = null;
-      throw error;
-    });
+    const count = await incrementPageViewCount(env, site.id, resourceType, resourceKey);
+    return json(
+      {
+        ok: true,
+        resourceType,
+        resourceKey,
+        count,
+      },
+      200
+    );
   }
-  return commentsTableReadyPromise;
-}
 
-async function ensureReactionsTable(env) {
-  if (!reactionsTableReadyPromise) {
-    reactionsTableReadyPromise = (async () => {
-      await env.DB.prepare(
-        `CREATE TABLE IF NOT EXISTS reactions (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          site_id INTEGER NOT NULL,
-          post_slug TEXT NOT NULL,
-          reaction_key TEXT NOT NULL,
-          actor_token TEXT NOT NULL,
-          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
-          UNIQUE(site_id, post_slug, reaction_key, actor_token),
-          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
-        )`
-      ).run();
-      await env.DB.prepare(
-        `CREATE INDEX IF NOT EXISTS idx_reactions_site_post
-         ON reactions(site_id, post_slug, created_at DESC)`
-      ).run();
-      await env.DB.prepare(
-        `CREATE INDEX IF NOT EXISTS idx_reactions_actor
-         ON reactions(site_id, post_slug, actor_token)`
-      ).run();
-    })().catch((error) => {
-      reactionsTableReadyPromise = null;
-      throw error;
-    });
-  }
-  return reactionsTableReadyPromise;
-}
+  if (request.method === "GET" && path === "/api/admin/comments") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
 
-async function ensureViewsTable(env) {
-  if (!viewsTableReadyPromise) {
-    viewsTableReadyPromise = (async () => {
-      await env.DB.prepare(
-        `CREATE TABLE IF NOT EXISTS page_views (
-          site_id INTEGER NOT NULL,
-          resource_type TEXT NOT NULL,
-          resource_key TEXT NOT NULL,
-          view_count INTEGER NOT NULL DEFAULT 0,
-          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
-          PRIMARY KEY(site_id, resource_type, resource_key),
-          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
-        )`
-      ).run();
-      await env.DB.prepare(
-        `CREATE INDEX IF NOT EXISTS idx_page_views_site_type
-         ON page_views(site_id, resource_type, updated_at DESC)`
-      ).run();
-    })().catch((error) => {
-      viewsTableReadyPromise = null;
-      throw error;
-    });
+    await ensureCommentsTable(env);
+    const postSlug = String(url.searchParams.get("postSlug") || "").trim().toLowerCase();
+    const allowed = hasSiteReadPermission(session, "comments:moderate") ||
+      (postSlug && (await canReadPost(env, session, site.id, postSlug)));
+    if (!allowed) {
+      return json({ error: "Forbidden" }, 403);
+    }
+    const page = parsePositiveInt(url.searchParams.get("page"), 1, 1, 9999);
+    const pageSize = COMMENTS_PAGE_SIZE;
+
+    if (postSlug) {
+      const commentsData = await listPostComments(env, site.id, postSlug, page, pageSize);
+      return json(
+        {
+          postSlug,
+          comments: commentsData.comments,
+          page: commentsData.page,
+          totalPages: commentsData.totalPages,
+          total: commentsData.total,
+        },
+        200
+      );
+    }
+
+    const commentsData = await listSiteComments(env, site.id, page, pageSize);
+    return json(
+      {
+        comments: commentsData.comments,
+        page: commentsData.page,
+        totalPages: commentsData.totalPages,
+        total: commentsData.total,
+      },
+      200
+    );
   }
-  return viewsTableReadyPromise;
-}
 
-async function ensureNotificationTables(env) {
-  if (!notificationTablesReadyPromise) {
-    notificationTablesReadyPromise = (async () => {
-      await env.DB.prepare(
-        `CREATE TABLE IF NOT EXISTS site_notifications (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          site_id INTEGER NOT NULL,
-          event_type TEXT NOT NULL,
-          post_slug TEXT NOT NULL,
-          post_title TEXT NOT NULL DEFAULT '',
-          actor_name TEXT NOT NULL DEFAULT '',
-          actor_site_slug TEXT NOT NULL DEFAULT '',
-          content_preview TEXT NOT NULL DEFAULT '',
-          reaction_key TEXT NOT NULL DEFAULT '',
-          reaction_label TEXT NOT NULL DEFAULT '',
-          target_path TEXT NOT NULL DEFAULT '',
-          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
-          read_at TEXT,
-          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
-        )`
-      ).run();
-      await env.DB.prepare(
-        `CREATE INDEX IF NOT EXISTS idx_site_notifications_site_created
-         ON site_notifications(site_id, created_at DESC)`
-      ).run();
-      await env.DB.prepare(
-        `CREATE INDEX IF NOT EXISTS idx_site_notifications_site_read
-         ON site_notifications(site_id, read_at, created_at DESC)`
-      ).run();
-      await env.DB.prepare(
-        `CREATE TABLE IF NOT EXISTS site_telegram_settings (
-          site_id INTEGER PRIMARY KEY,
-          enabled INTEGER NOT NULL DEFAULT 0,
-          notify_comments INTEGER NOT NULL DEFAULT 1,
-          notify_reactions INTEGER NOT NULL DEFAULT 1,
-          telegram_chat_id TEXT NOT NULL DEFAULT '',
-          telegram_bot_token_enc TEXT NOT NULL DEFAULT '',
-          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
-          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
-        )`
-      ).run();
-      await env.DB.prepare(
-        `CREATE INDEX IF NOT EXISTS idx_site_telegram_settings_updated
-         ON site_telegram_settings(updated_at DESC)`
-      ).run();
-    })().catch((error) => {
-      notificationTablesReadyPromise = null;
-      throw error;
-    });
+  if (request.method === "GET" && path === "/api/admin/notify-settings") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSiteReadPermission(session, "settings:write")) {
+      return json({ error: "Forbidden" }, 403);
+    }
+    const settings = await getSiteNotifySettings(env, site.id, { includeBotToken: false });
+    return json({ settings }, 200);
   }
-  return notificationTablesReadyPromise;
-}
 
-async function ensureRateLimitsTable(env) {
-  if (!rateLimitsTableReadyPromise) {
-    rateLimitsTableReadyPromise = (async () => {
-      await env.DB.prepare(
-        `CREATE TABLE IF NOT EXISTS rate_limits (
-          rate_key TEXT PRIMARY KEY,
-          window_start_ms INTEGER NOT NULL,
-          attempts INTEGER NOT NULL DEFAULT 0,
-          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
-        )`
-      ).run();
-      await env.DB.prepare(
-        `CREATE INDEX IF NOT EXISTS idx_rate_limits_updated
-         ON rate_limits(updated_at DESC)`
-      ).run();
-    })().catch((error) => {
-      rateLimitsTableReadyPromise = null;
-      throw error;
+  if (request.method === "POST" && path === "/api/admin/notify-settings") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSitePermission(session, "settings:write")) {
+      return json({ error: "Forbidden" }, 403);
+    }
+
+    const body = await readJson(request);
+    const settings = await upsertSiteNotifySettings(env, site.id, {
+      enabled: body.enabled,
+      notifyComments: body.notifyComments,
+      notifyReactions: body.notifyReactions,
+      telegramChatId: body.telegramChatId,
+      telegramBotToken: body.telegramBotToken,
+      clearBotToken: body.clearBotToken,
     });
+    return json({ ok: true, settings }, 200);
   }
-  return rateLimitsTableReadyPromise;
-}
 
-async function consumeRateLimit(env, rateKey, windowMs, maxAttempts, ctx = null) {
-  await ensureRateLimitsTable(env);
-  maybeScheduleRateLimitGc(env, ctx);
+  if (request.method === "POST" && path === "/api/hooks/github") {
+    if (hostSlug && hostSlug !== apiEntrySlug) {
+      return notFound();
+    }
 
-  const nowMs = Date.now();
-  const nowIso = new Date(nowMs).toISOString();
-  const safeKey = String(rateKey || "").slice(0, 180);
-  const safeWindowMs = Math.max(Number(windowMs) || 60_000, 1_000);
-  const safeMaxAttempts = Math.max(Number(maxAttempts) || 1, 1);
+    const secret = String(env.GITHUB_WEBHOOK_SECRET || "").trim();
+    if (!secret) {
+      return json({ error: "Webhook is not configured" }, 503);
+    }
 
-  const existing = await env.DB.prepare(
-    `SELECT window_start_ms AS windowStartMs, attempts
-     FROM rate_limits
-     WHERE rate_key = ?`
-  )
-    .bind(safeKey)
-    .first();
+    const contentLength = Number(request.headers.get("content-length") || 0);
+    if (contentLength > GITHUB_WEBHOOK_MAX_BYTES) {
+      return json({ error: "Payload too large" }, 413);
+    }
+    const rawBody = await request.text();
+    if (rawBody.length > GITHUB_WEBHOOK_MAX_BYTES) {
+      return json({ error: "Payload too large" }, 413);
+    }
 
-  const windowStartMs = Number(existing?.windowStartMs || 0);
-  const attempts = Number(existing?.attempts || 0);
-  const sameWindow = existing && nowMs - windowStartMs < safeWindowMs;
+    const signature = String(request.headers.get("x-hub-signature-256") || "").trim();
+    const expected = `sha256=${await hmacHex(rawBody, secret)}`;
+    if (!signature || !timingSafeEqual(signature, expected)) {
+      return json({ error: "Invalid signature" }, 401);
+    }
 
-  if (!sameWindow) {
-    await env.DB.prepare(
-      `INSERT INTO rate_limits (rate_key, window_start_ms, attempts, updated_at)
-       VALUES (?, ?, 1, ?)
-       ON CONFLICT(rate_key) DO UPDATE SET
-         window_start_ms = excluded.window_start_ms,
-         attempts = 1,
-         updated_at = excluded.updated_at`
-    )
-      .bind(safeKey, nowMs, nowIso)
-      .run();
-    return {
-      allowed: true,
-      attempts: 1,
-      remaining: Math.max(safeMaxAttempts - 1, 0),
-      retryAfterMs: 0,
-    };
-  }
+    const event = String(request.headers.get("x-github-event") || "").trim();
+    if (event === "ping") {
+      return json({ ok: true }, 200);
+    }
+    if (event !== "push") {
+      return json({ ok: true, ignored: `Unsupported event: ${event || "unknown"}` }, 202);
+    }
 
-  if (attempts >= safeMaxAttempts) {
-    return {
-      allowed: false,
-      attempts,
-      remaining: 0,
-      retryAfterMs: Math.max(safeWindowMs - (nowMs - windowStartMs), 1_000),
-    };
-  }
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      return json({ error: "Invalid JSON payload" }, 400);
+    }
 
-  const nextAttempts = attempts + 1;
-  await env.DB.prepare(
-    `UPDATE rate_limits
-     SET attempts = ?, updated_at = ?
-     WHERE rate_key = ?`
-  )
-    .bind(nextAttempts, nowIso, safeKey)
-    .run();
+    if (getContentStore(env).kind !== "github") {
+      return json({ ok: true, ignored: "Content store is not github" }, 202);
+    }
 
-  return {
-    allowed: true,
-    attempts: nextAttempts,
-    remaining: Math.max(safeMaxAttempts - nextAttempts, 0),
-    retryAfterMs: 0,
-  };
-}
+    try {
+      const { branch } = getGithubConfig(env);
+      if (payload.ref !== `refs/heads/${branch}`) {
+        return json({ ok: true, ignored: `Unwatched ref: ${payload.ref || ""}` }, 202);
+      }
 
-function maybeScheduleRateLimitGc(env, ctx = null) {
-  if (Math.random() >= 0.01) {
-    return;
+      const report = await syncRepositoryPush(env, payload);
+      return json({ ok: true, ...report }, 200);
+    } catch (error) {
+      console.error("Failed to sync repository push", error);
+      return json(
+        {
+          error: "Failed to sync repository push",
+          detail: String(error && error.message ? error.message : error),
+        },
+        502
+      );
+    }
   }
-  const cleanupPromise = env.DB.prepare(
-    `DELETE FROM rate_limits
-     WHERE updated_at < strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-1 day')`
-  )
-    .run()
-    .catch((error) => {
-      console.error("Failed to cleanup stale rate limits", error);
-    });
 
-  if (ctx && typeof ctx.waitUntil === "function") {
-    ctx.waitUntil(cleanupPromise);
+  if (request.method === "POST" && path === "/api/platform/login") {
+    if (hostSlug && hostSlug !== apiEntrySlug) {
+      return notFound();
+    }
+    if (!String(env.PLATFORM_ADMIN_TOKEN || "").trim()) {
+      return json({ error: "Platform admin is not configured" }, 503);
+    }
+
+    const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
+    const rateKey = `${clientIp}:platform`;
+    const rateResult = await consumeRateLimit(
+      env,
+      rateKey,
+      LOGIN_RATE_WINDOW_MS,
+      LOGIN_RATE_MAX_ATTEMPTS,
+      ctx
+    );
+    if (!rateResult.allowed) {
+      return json(
+        { error: "Too many login attempts, please try later" },
+        429,
+        { "Retry-After": String(Math.ceil(rateResult.retryAfterMs / 1000)) }
+      );
+    }
+
+    const body = await readJson(request);
+    if (!timingSafeEqual(String(body.token || "").trim(), String(env.PLATFORM_ADMIN_TOKEN).trim())) {
+      return json({ error: "Invalid credentials" }, 401);
+    }
+
+    await clearRateLimit(env, rateKey);
+    const token = await createPlatformSessionToken(env);
+    return withCookie(json({ ok: true }, 200), buildPlatformSessionCookie(token));
   }
-}
 
-async function clearRateLimit(env, rateKey) {
-  if (!rateKey) {
-    return;
+  if (request.method === "POST" && path === "/api/platform/logout") {
+    if (hostSlug && hostSlug !== apiEntrySlug) {
+      return notFound();
+    }
+    const platformSession = await readPlatformSession(request, env);
+    if (platformSession) {
+      await endPlatformSession(env, platformSession.nonce);
+    }
+    return withCookie(json({ ok: true }, 200), buildClearPlatformSessionCookie());
   }
-  try {
-    await ensureRateLimitsTable(env);
-    await env.DB.prepare("DELETE FROM rate_limits WHERE rate_key = ?")
-      .bind(String(rateKey).slice(0, 180))
-      .run();
-  } catch (error) {
-    console.error("Failed to clear rate limit", error);
+
+  if (request.method === "GET" && path === "/api/platform/stats") {
+    const platformDenied = await requirePlatformAdmin(request, env, hostSlug);
+    if (platformDenied) {
+      return platformDenied;
+    }
+
+    const stats = await getPlatformStats(env);
+    return json({ stats }, 200);
   }
-}
 
-async function getPostsColumns(env) {
-  const db = env?.DB;
-  if (!db) {
-    return new Set();
+  if (request.method === "GET" && path === "/api/platform/sites") {
+    const platformDenied = await requirePlatformAdmin(request, env, hostSlug);
+    if (platformDenied) {
+      return platformDenied;
+    }
+
+    const result = await searchPlatformSites(
+      env,
+      url.searchParams.get("q") || "",
+      parsePositiveInt(url.searchParams.get("page"), 1, 1, 9999)
+    );
+    return json(result, 200);
   }
 
-  let columnsPromise = postsColumnsPromiseByDb.get(db);
-  if (!columnsPromise) {
-    columnsPromise = db
-      .prepare("PRAGMA table_info(posts)")
-      .all()
-      .then((result) => {
-        const rows = result.results || [];
-        return new Set(
-          rows
-            .map((item) => String(item.name || "").toLowerCase())
-            .filter(Boolean)
-        );
-      })
-      .catch((error) => {
-        postsColumnsPromiseByDb.delete(db);
-        throw error;
-      });
-    postsColumnsPromiseByDb.set(db, columnsPromise);
-  }
-  return columnsPromise;
-}
+  if (
+    (request.method === "GET" || request.method === "POST") &&
+    path === "/api/platform/invites"
+  ) {
+    const platformDenied = await requirePlatformAdmin(request, env, hostSlug);
+    if (platformDenied) {
+      return platformDenied;
+    }
 
-async function hasPostsColumn(env, columnName) {
-  try {
-    const columns = await getPostsColumns(env);
-    return columns.has(String(columnName || "").toLowerCase());
-  } catch (error) {
-    console.error("Failed to inspect posts columns", error);
-    return false;
+    if (request.method === "GET") {
+      const invites = await listInvites(env);
+      return json({ invites }, 200);
+    }
+
+    const body = await readJson(request);
+    const count = Number.parseInt(String(body.count ?? 1), 10);
+    const maxUses = Number.parseInt(String(body.maxUses ?? 1), 10);
+    const expiresInDays = Number.parseInt(String(body.expiresInDays ?? 0), 10);
+    if (!Number.isInteger(count) || count < 1 || count > INVITE_BATCH_MAX) {
+      return json({ error: `count must be between 1 and ${INVITE_BATCH_MAX}` }, 400);
+    }
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > INVITE_MAX_USES) {
+      return json({ error: `maxUses must be between 1 and ${INVITE_MAX_USES}` }, 400);
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 0 || expiresInDays > 365) {
+      return json({ error: "expiresInDays must be between 0 and 365" }, 400);
+    }
+
+    const batch = await createInviteBatch(env, {
+      count,
+      maxUses,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      note: String(body.note || "").trim().slice(0, 120),
+    });
+    return json({ ok: true, ...batch }, 201);
   }
-}
 
-async function listPostComments(env, siteId, postSlug, page = 1, pageSize = COMMENTS_PAGE_SIZE) {
-  await ensureCommentsTable(env);
-  const safePageSize = Math.min(Math.max(Number(pageSize) || COMMENTS_PAGE_SIZE, 1), 80);
-  const safePage = Math.max(Number(page) || 1, 1);
+  if (request.method === "POST" && path === "/api/platform/invites/revoke") {
+    const platformDenied = await requirePlatformAdmin(request, env, hostSlug);
+    if (platformDenied) {
+      return platformDenied;
+    }
 
-  const totalResult = await env.DB.prepare(
-    `SELECT COUNT(*) AS total
-     FROM comments
-     WHERE site_id = ? AND post_slug = ?`
-  )
-    .bind(siteId, postSlug)
-    .first();
+    const body = await readJson(request);
+    const revoked = await revokeInvites(env, {
+      batchId: String(body.batchId || "").trim(),
+      ids: Array.isArray(body.ids) ? body.ids : [],
+    });
+    return json({ ok: true, revoked }, 200);
+  }
 
-  const total = Math.max(Number(totalResult?.total || 0), 0);
-  const totalPages = Math.max(1, Math.ceil(total / safePageSize));
-  const boundedPage = Math.min(safePage, totalPages);
-  const offset = (boundedPage - 1) * safePageSize;
-  const rowsResult = await env.DB.prepare(
-    `SELECT
-      id,
-      post_slug AS postSlug,
-      author_name AS authorName,
-      author_site_slug AS authorSiteSlug,
-      content,
-      created_at AS createdAt
-    FROM comments
-    WHERE site_id = ? AND post_slug = ?
-    ORDER BY created_at DESC
-    LIMIT ? OFFSET ?`
-  )
-    .bind(siteId, postSlug, safePageSize, offset)
-    .all();
+  const platformRenameMatch = path.match(/^\/api\/platform\/sites\/([a-z0-9-]+)\/rename$/);
+  if (request.method === "POST" && platformRenameMatch) {
+    const platformDenied = await requirePlatformAdmin(request, env, hostSlug);
+    if (platformDenied) {
+      return platformDenied;
+    }
 
-  const comments = (rowsResult.results || []).map((item) => ({
-    id: Number(item.id),
-    postSlug: item.postSlug,
-    authorName: item.authorName,
-    authorSiteSlug: item.authorSiteSlug || "",
-    content: item.content,
-    createdAt: item.createdAt,
-  }));
+    const site = await getSiteBySlug(env, platformRenameMatch[1]);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-  return {
-    comments,
-    total,
-    page: boundedPage,
-    totalPages,
-    pageSize: safePageSize,
-  };
-}
+    const body = await readJson(request);
+    const newSlug = String(body.newSlug || "").trim().toLowerCase();
+    const check = await checkSiteRename(env, site, newSlug, reservedSlugs);
+    if (!check.ok) {
+      return json({ error: check.error, reason: check.reason }, check.status);
+    }
 
-async function listSiteComments(env, siteId, page = 1, pageSize = COMMENTS_PAGE_SIZE) {
-  await ensureCommentsTable(env);
-  const safePageSize = Math.min(Math.max(Number(pageSize) || COMMENTS_PAGE_SIZE, 1), 80);
-  const safePage = Math.max(Number(page) || 1, 1);
+    try {
+      const renamed = await renameSite(env, site, newSlug);
+      return json({ ok: true, ...renamed }, 200);
+    } catch (error) {
+      if (error && error.status === 409) {
+        return json({ error: "站點內容在搬移期間被修改，請重試。" }, 409);
+      }
+      console.error("Failed to rename site", error);
+      return json(
+        {
+          error: "Failed to rename site",
+          detail: error.message,
+        },
+        502
+      );
+    }
+  }
 
-  const totalResult = await env.DB.prepare(
-    "SELECT COUNT(*) AS total FROM comments WHERE site_id = ?"
-  )
-    .bind(siteId)
-    .first();
+  const platformSiteMatch = path.match(/^\/api\/platform\/sites\/([a-z0-9-]+)(?:\/(suspend|unsuspend))?$/);
+  if (
+    platformSiteMatch &&
+    ((request.method === "POST" && platformSiteMatch[2]) ||
+      (request.method === "DELETE" && !platformSiteMatch[2]))
+  ) {
+    const platformDenied = await requirePlatformAdmin(request, env, hostSlug);
+    if (platformDenied) {
+      return platformDenied;
+    }
 
-  const total = Math.max(Number(totalResult?.total || 0), 0);
-  const totalPages = Math.max(1, Math.ceil(total / safePageSize));
-  const boundedPage = Math.min(safePage, totalPages);
-  const offset = (boundedPage - 1) * safePageSize;
-  const rowsResult = await env.DB.prepare(
-    `SELECT
-      id,
-      post_slug AS postSlug,
-      author_name AS authorName,
-      author_site_slug AS authorSiteSlug,
-      content,
-      created_at AS createdAt
-    FROM comments
-    WHERE site_id = ?
-    ORDER BY created_at DESC
-    LIMIT ? OFFSET ?`
-  )
-    .bind(siteId, safePageSize, offset)
-    .all();
+    const site = await getSiteBySlug(env, platformSiteMatch[1]);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const body = await readJson(request);
 
-  const comments = (rowsResult.results || []).map((item) => ({
-    id: Number(item.id),
-    postSlug: item.postSlug,
-    authorName: item.authorName,
-    authorSiteSlug: item.authorSiteSlug || "",
-    content: item.content,
-    createdAt: item.createdAt,
-  }));
+    if (platformSiteMatch[2] === "suspend") {
+      await setSiteStatus(env, site.id, "suspended", String(body.reason || "").trim());
+      await revokeSiteSessions(env, site.id, null);
+      return json({ ok: true, slug: site.slug, status: "suspended" }, 200);
+    }
 
-  return {
-    comments,
-    total,
-    page: boundedPage,
-    totalPages,
-    pageSize: safePageSize,
-  };
-}
+    if (platformSiteMatch[2] === "unsuspend") {
+      if (site.status !== "suspended") {
+        return json({ error: "Site is not suspended" }, 409);
+      }
+      await clearSiteStatus(env, site.id);
+      return json({ ok: true, slug: site.slug, status: "active" }, 200);
+    }
 
-async function createComment(env, siteId, postSlug, authorName, authorSiteSlug, content) {
-  await ensureCommentsTable(env);
-  const createdAt = new Date().toISOString();
-  const result = await env.DB.prepare(
-    `INSERT INTO comments (site_id, post_slug, author_name, author_site_slug, content, created_at)
-     VALUES (?, ?, ?, ?, ?, ?)`
-  )
-    .bind(siteId, postSlug, authorName, authorSiteSlug, content, createdAt)
-    .run();
+    if (String(body.confirm || "") !== site.slug) {
+      return json({ error: "Type the site slug to confirm deletion" }, 400);
+    }
+    try {
+      const purged = await purgeSite(env, site, `Delete site ${site.slug} (platform admin)`);
+      return json({ ok: true, slug: site.slug, files: purged.files }, 200);
+    } catch (error) {
+      console.error("Failed to delete site", error);
+      return json(
+        {
+          error: "Failed to delete site",
+          detail: error.message,
+        },
+        502
+      );
+    }
+  }
 
-  const id = Number(result.meta?.last_row_id || 0);
-  return {
-    id,
-    postSlug,
-    authorName,
-    authorSiteSlug,
-    content,
-    createdAt,
-  };
-}
+  if (request.method === "POST" && path === "/api/platform/reset-password") {
+    const platformDenied = await requirePlatformAdmin(request, env, hostSlug);
+    if (platformDenied) {
+      return platformDenied;
+    }
 
-async function deleteComment(env, siteId, commentId) {
-  await ensureCommentsTable(env);
-  const result = await env.DB.prepare(
-    "DELETE FROM comments WHERE id = ? AND site_id = ?"
-  )
-    .bind(commentId, siteId)
-    .run();
-  return Number(result.meta?.changes || 0) > 0;
-}
+    const body = await readJson(request);
+    const slug = String(body.slug || "").trim().toLowerCase();
+    const newPassword = String(body.newPassword || "");
+    if (newPassword.length < 8) {
+      return json({ error: "New password must be at least 8 characters" }, 400);
+    }
+    const site = await getSiteBySlug(env, slug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-function normalizeViewResourceType(value) {
-  const type = String(value || "").trim().toLowerCase();
-  if (type === "home") {
-    return "home";
+    const passwordHash = await createPasswordHash(newPassword, env);
+    await env.DB.prepare(
+      `UPDATE sites
+       SET admin_secret_hash = ?, updated_at = ?
+       WHERE id = ?`
+    )
+      .bind(passwordHash, new Date().toISOString(), site.id)
+      .run();
+    await revokeSiteSessions(env, site.id, 0);
+    await revokeSiteApiTokens(env, site.id, 0);
+    if (body.clearTwoFactor) {
+      await deleteSiteTotp(env, site.id, 0);
+    }
+    return json({ ok: true, slug: site.slug }, 200);
   }
-  return "post";
-}
 
-function normalizeViewResourceKey(resourceType, value) {
-  if (resourceType === "home") {
-    return HOME_VIEW_KEY;
-  }
-  const slug = String(value || "").trim().toLowerCase();
-  if (!slug) {
-    return "";
-  }
-  if (slug.length > 120) {
-    return slug.slice(0, 120);
-  }
-  return slug;
-}
 
-function formatViewCount(value) {
-  const safe = Math.max(Number(value) || 0, 0);
-  return new Intl.NumberFormat("zh-Hant").format(safe);
-}
+  if (request.method === "POST" && path === "/api/platform/reindex") {
+    const platformDenied = await requirePlatformAdmin(request, env, hostSlug);
+    if (platformDenied) {
+      return platformDenied;
+    }
 
-async function incrementPageViewCount(env, siteId, resourceType, resourceKey) {
-  await ensureViewsTable(env);
-  const normalizedType = normalizeViewResourceType(resourceType);
-  const normalizedKey = normalizeViewResourceKey(normalizedType, resourceKey);
-  if (!normalizedKey) {
-    return 0;
-  }
-  const now = new Date().toISOString();
-  await env.DB.prepare(
-    `INSERT INTO page_views (site_id, resource_type, resource_key, view_count, updated_at)
-     VALUES (?, ?, ?, 1, ?)
-     ON CONFLICT(site_id, resource_type, resource_key)
-     DO UPDATE SET
-       view_count = page_views.view_count + 1,
-       updated_at = excluded.updated_at`
-  )
-    .bind(siteId, normalizedType, normalizedKey, now)
-    .run();
+    const body = await readJson(request);
+    const mode = String(body.mode || "dry-run").trim();
+    if (mode !== "dry-run" && mode !== "repair") {
+      return json({ error: "mode must be dry-run or repair" }, 400);
+    }
 
-  const row = await env.DB.prepare(
-    `SELECT view_count AS viewCount
-     FROM page_views
-     WHERE site_id = ? AND resource_type = ? AND resource_key = ?
-     LIMIT 1`
-  )
-    .bind(siteId, normalizedType, normalizedKey)
-    .first();
+    try {
+      const report = await reindexFromContentStore(env, {
+        repair: mode === "repair",
+        prune: body.prune === true,
+        limit: parsePositiveInt(body.limit, REINDEX_DEFAULT_LIMIT, 1, 2000),
+      });
+      return json({ ok: true, mode, ...report }, 200);
+    } catch (error) {
+      console.error("Failed to reindex content store", error);
+      return json(
+        {
+          error: "Failed to reindex content store",
+          detail: String(error && error.message ? error.message : error),
+        },
+        502
+      );
+    }
+  }
 
-  return Math.max(Number(row?.viewCount || 0), 0);
-}
+  if (request.method === "GET" && path === "/api/admin/sync-conflicts") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSiteReadPermission(session, "posts:write-any")) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
-async function listPageViewCounts(env, siteId, resourceType, resourceKeys = []) {
-  await ensureViewsTable(env);
-  const normalizedType = normalizeViewResourceType(resourceType);
-  const uniqueKeys = Array.from(
-    new Set(
-      resourceKeys
-        .map((item) => normalizeViewResourceKey(normalizedType, item))
-        .filter(Boolean)
-    )
-  );
-  if (!uniqueKeys.length) {
-    return new Map();
+    const conflicts = await listSyncConflicts(env, site.id, SYNC_CONFLICTS_LIMIT);
+    return json({ conflicts }, 200);
   }
-  const placeholders = uniqueKeys.map(() => "?").join(", ");
-  const query = `SELECT resource_key AS resourceKey, view_count AS viewCount
-    FROM page_views
-    WHERE site_id = ? AND resource_type = ? AND resource_key IN (${placeholders})`;
-  const result = await env.DB.prepare(query)
-    .bind(siteId, normalizedType, ...uniqueKeys)
-    .all();
-  const viewMap = new Map();
-  for (const row of result.results || []) {
-    const key = String(row.resourceKey || "");
-    if (!key) {
-      continue;
+
+  if (request.method === "GET" && path === "/api/admin/notifications") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const authed = await isSiteAuthenticated(request, env, site.slug);
+    if (!authed) {
+      return json({ error: "Unauthorized" }, 401);
     }
-    viewMap.set(key, Math.max(Number(row.viewCount || 0), 0));
-  }
-  return viewMap;
-}
 
-function sanitizeActorToken(value) {
-  const token = String(value || "").trim().toLowerCase();
-  if (!token) {
-    return "";
-  }
-  if (!/^[a-f0-9]{20,64}$/.test(token)) {
-    return "";
+    const page = parsePositiveInt(url.searchParams.get("page"), 1, 1, 9999);
+    const notificationsData = await listSiteNotifications(
+      env,
+      site.id,
+      page,
+      NOTIFICATION_PAGE_SIZE
+    );
+    return json(notificationsData, 200);
   }
-  return token.slice(0, 64);
-}
 
-async function deriveIpActorToken(request, env) {
-  const ip = String(request.headers.get("cf-connecting-ip") || "").trim();
-  const ua = String(request.headers.get("user-agent") || "").trim();
-  if (!ip) {
-    return randomHex(16);
+  if (request.method === "POST" && path === "/api/admin/notifications/read") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const authed = await isSiteAuthenticated(request, env, site.slug);
+    if (!authed) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await readJson(request);
+    await markSiteNotificationsRead(env, site.id, {
+      all: body.all === true,
+      ids: Array.isArray(body.ids) ? body.ids : [],
+    });
+    const notificationsData = await listSiteNotifications(
+      env,
+      site.id,
+      1,
+      NOTIFICATION_PAGE_SIZE
+    );
+    return json({ ok: true, unread: notificationsData.unread }, 200);
   }
-  const digest = await sha256Hex(`${ip}|${ua}|${getSessionSecret(env)}|reactor-ip-v1`);
-  return sanitizeActorToken(digest) || randomHex(16);
-}
 
-async function resolveReactorToken(request, env) {
-  const cookies = parseCookies(request.headers.get("cookie") || "");
-  const existing = sanitizeActorToken(cookies[REACTOR_COOKIE]);
-  const ipToken = await deriveIpActorToken(request, env);
-  if (existing) {
-    if (existing === ipToken) {
-      return { token: ipToken, shouldSetCookie: false };
+  if (request.method === "GET" && path === "/api/reactions") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
     }
-    const mixed = await sha256Hex(`${existing}:${ipToken}:reactor-mix-v1`);
-    return { token: sanitizeActorToken(mixed) || ipToken, shouldSetCookie: false };
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const postSlug = String(url.searchParams.get("postSlug") || "").trim().toLowerCase();
+    if (!postSlug) {
+      return json({ error: "Missing post slug" }, 400);
+    }
+    const post = await getPostMeta(env, site.id, postSlug, false);
+    if (!post) {
+      return json({ error: "Post not found" }, 404);
+    }
+    const reactor = await resolveReactorToken(request, env);
+    const snapshot = await listPostReactionSnapshot(env, site.id, postSlug, reactor.token);
+    let response = json(
+      {
+        ok: true,
+        postSlug,
+        total: snapshot.total,
+        selectedKeys: snapshot.selectedKeys,
+        reactions: snapshot.items.map((item) => ({
+          key: item.key,
+          icon: item.icon,
+          label: item.label,
+          count: item.count,
+          selected: item.selected,
+        })),
+      },
+      200
+    );
+    if (reactor.shouldSetCookie) {
+      response = withCookie(response, buildReactorCookie(reactor.token));
+    }
+    return response;
   }
-  return { token: ipToken, shouldSetCookie: true };
-}
-
-function buildReactorCookie(token) {
-  return `${REACTOR_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${REACTOR_COOKIE_TTL_SECONDS}`;
-}
-
-function sanitizeReactionKey(value) {
-  const key = String(value || "").trim().toLowerCase();
-  return REACTION_PRESET_MAP.has(key) ? key : "";
-}
 
-function buildReactionSnapshot(countsByKey = new Map(), selectedKeys = new Set()) {
-  const normalizedSelected = new Set(
-    Array.from(selectedKeys || []).map((item) => sanitizeReactionKey(item)).filter(Boolean)
-  );
-  const items = REACTION_PRESETS.map((preset, index) => {
-    const count = Math.max(Number(countsByKey.get(preset.key) || 0), 0);
-    return {
-      ...preset,
-      orderIndex: index,
-      count,
-      selected: normalizedSelected.has(preset.key),
-    };
-  }).sort((left, right) => {
-    if (left.count !== right.count) {
-      return right.count - left.count;
+  if (request.method === "POST" && path === "/api/reactions") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
+    const reactionRate = await consumeRateLimit(
+      env,
+      `${clientIp}:${site.slug}:reactions`,
+      REACTION_RATE_WINDOW_MS,
+      REACTION_RATE_MAX_ATTEMPTS,
+      ctx
+    );
+    if (!reactionRate.allowed) {
+      return json(
+        { error: "Too many reaction requests, please try later" },
+        429,
+        { "Retry-After": String(Math.ceil(reactionRate.retryAfterMs / 1000)) }
+      );
     }
-    return left.orderIndex - right.orderIndex;
-  }).map((item) => ({
-    key: item.key,
-    icon: item.icon,
-    label: item.label,
-    count: item.count,
-    selected: item.selected,
-  }));
 
-  return {
-    items,
-    total: items.reduce((sum, item) => sum + item.count, 0),
-    selectedKeys: items.filter((item) => item.selected).map((item) => item.key),
-  };
-}
+    const body = await readJson(request);
+    const postSlug = String(body.postSlug || "").trim().toLowerCase();
+    const reactionKey = sanitizeReactionKey(body.reactionKey || "");
+    if (!postSlug) {
+      return json({ error: "Missing post slug" }, 400);
+    }
+    if (!reactionKey) {
+      return json({ error: "Invalid reaction key" }, 400);
+    }
 
-async function listPostReactionSnapshot(env, siteId, postSlug, actorToken = "") {
-  await ensureReactionsTable(env);
-  const countsResult = await env.DB.prepare(
-    `SELECT reaction_key AS reactionKey, COUNT(*) AS total
-     FROM reactions
-     WHERE site_id = ? AND post_slug = ?
-     GROUP BY reaction_key`
-  )
-    .bind(siteId, postSlug)
-    .all();
-  const countsMap = new Map();
-  for (const row of countsResult.results || []) {
-    const key = sanitizeReactionKey(row.reactionKey);
-    if (!key) {
-      continue;
+    const post = await getPostMeta(env, site.id, postSlug, false);
+    if (!post) {
+      return json({ error: "Post not found" }, 404);
     }
-    countsMap.set(key, Math.max(Number(row.total || 0), 0));
-  }
 
-  const normalizedActorToken = sanitizeActorToken(actorToken);
-  const selected = new Set();
-  if (normalizedActorToken) {
-    const selectedResult = await env.DB.prepare(
-      `SELECT reaction_key AS reactionKey
-       FROM reactions
-       WHERE site_id = ? AND post_slug = ? AND actor_token = ?`
-    )
-      .bind(siteId, postSlug, normalizedActorToken)
-      .all();
-    for (const row of selectedResult.results || []) {
-      const key = sanitizeReactionKey(row.reactionKey);
-      if (key) {
-        selected.add(key);
-      }
+    const reactor = await resolveReactorToken(request, env);
+    const active = await togglePostReaction(env, site.id, postSlug, reactionKey, reactor.token);
+    if (active) {
+      const reactionPreset = REACTION_PRESET_MAP.get(reactionKey);
+      queueSiteNotificationEvent(env, ctx, site, {
+        eventType: "reaction",
+        postSlug,
+        postTitle: post.title || postSlug,
+        reactionKey,
+        reactionLabel: reactionPreset
+          ? `${reactionPreset.icon} ${reactionPreset.label}`
+          : reactionKey,
+        targetPath: `/${encodeURIComponent(postSlug)}#reactions`,
+      });
+    }
+    const snapshot = await listPostReactionSnapshot(env, site.id, postSlug, reactor.token);
+    let response = json(
+      {
+        ok: true,
+        postSlug,
+        reactionKey,
+        active,
+        total: snapshot.total,
+        selectedKeys: snapshot.selectedKeys,
+        reactions: snapshot.items.map((item) => ({
+          key: item.key,
+          icon: item.icon,
+          label: item.label,
+          count: item.count,
+          selected: item.selected,
+        })),
+      },
+      200
+    );
+    if (reactor.shouldSetCookie) {
+      response = withCookie(response, buildReactorCookie(reactor.token));
     }
+    return response;
   }
-  return buildReactionSnapshot(countsMap, selected);
-}
 
-async function togglePostReaction(env, siteId, postSlug, reactionKey, actorToken) {
-  await ensureReactionsTable(env);
-  const normalizedReactionKey = sanitizeReactionKey(reactionKey);
-  const normalizedActorToken = sanitizeActorToken(actorToken);
-  if (!normalizedReactionKey || !normalizedActorToken) {
-    return false;
-  }
+  if (request.method === "GET" && path === "/api/comments") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const postSlug = String(url.searchParams.get("postSlug") || "").trim().toLowerCase();
+    if (!postSlug) {
+      return json({ error: "Missing post slug" }, 400);
+    }
 
-  const existing = await env.DB.prepare(
-    `SELECT id
-     FROM reactions
-     WHERE site_id = ? AND post_slug = ? AND reaction_key = ? AND actor_token = ?
-     LIMIT 1`
-  )
-    .bind(siteId, postSlug, normalizedReactionKey, normalizedActorToken)
-    .first();
+    const post = await getPostMeta(env, site.id, postSlug, false);
+    if (!post) {
+      return json({ error: "Post not found" }, 404);
+    }
 
-  if (existing) {
-    await env.DB.prepare(
-      `DELETE FROM reactions
-       WHERE site_id = ? AND post_slug = ? AND reaction_key = ? AND actor_token = ?`
-    )
-      .bind(siteId, postSlug, normalizedReactionKey, normalizedActorToken)
-      .run();
-    return false;
+    const siteConfig = await getSiteConfig(env, site);
+    if (!siteConfig.commentsEnabled) {
+      return json({ comments: [], page: 1, totalPages: 1, total: 0 }, 200);
+    }
+
+    const page = parsePositiveInt(url.searchParams.get("page"), 1, 1, 9999);
+    const commentsData = await listPostComments(env, site.id, postSlug, page, COMMENTS_PAGE_SIZE);
+    return json(
+      {
+        comments: commentsData.comments,
+        page: commentsData.page,
+        totalPages: commentsData.totalPages,
+        total: commentsData.total,
+      },
+      200
+    );
   }
 
-  await env.DB.prepare(
-    `INSERT INTO reactions (site_id, post_slug, reaction_key, actor_token, created_at)
-     VALUES (?, ?, ?, ?, ?)`
-  )
-    .bind(siteId, postSlug, normalizedReactionKey, normalizedActorToken, new Date().toISOString())
-    .run();
-  return true;
-}
+  if (request.method === "POST" && path === "/api/comments") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-function sanitizeNotifyEventType(value) {
-  const type = String(value || "").trim().toLowerCase();
-  if (type === "comment") {
-    return "comment";
-  }
-  if (type === "reaction") {
-    return "reaction";
-  }
-  return "";
-}
+    const siteConfig = await getSiteConfig(env, site);
+    if (!siteConfig.commentsEnabled) {
+      return json({ error: "Comments are disabled for this site" }, 403);
+    }
 
-function sanitizeNotificationPath(value) {
-  const rawPath = String(value || "").trim();
-  if (!rawPath.startsWith("/")) {
-    return "/";
-  }
-  const path = rawPath
-    .replace(/[\u0000-\u001f\u007f"'<>`]/g, "")
-    .slice(0, 320);
-  return path.startsWith("/") ? path : "/";
-}
+    const clientIp = request.headers.get("cf-connecting-ip") || "unknown";
+    const rateKey = `${clientIp}:${site.slug}:comments`;
+    const rateResult = await consumeRateLimit(
+      env,
+      rateKey,
+      COMMENT_RATE_WINDOW_MS,
+      COMMENT_RATE_MAX_ATTEMPTS,
+      ctx
+    );
+    if (!rateResult.allowed) {
+      return json(
+        { error: "Too many comments, please try later" },
+        429,
+        { "Retry-After": String(Math.ceil(rateResult.retryAfterMs / 1000)) }
+      );
+    }
 
-function sanitizeNotificationPreview(value) {
-  return String(value || "")
-    .replace(/\r\n/g, "\n")
-    .trim()
-    .slice(0, 320);
-}
+    const body = await readJson(request);
+    const postSlug = String(body.postSlug || "").trim().toLowerCase();
+    const authorName = sanitizeCommentAuthor(body.authorName || "");
+    const authorSite = sanitizeOptionalSiteSlug(body.authorSiteSlug || "");
+    const content = sanitizeCommentContent(body.content || "");
+    if (!postSlug) {
+      return json({ error: "Missing post slug" }, 400);
+    }
+    if (!authorName) {
+      return json({ error: "Name is required" }, 400);
+    }
+    if (!content) {
+      return json({ error: "Comment content is required" }, 400);
+    }
 
-function sanitizeTelegramBotToken(value) {
-  const token = String(value || "").trim();
-  if (!token) {
-    return "";
-  }
-  if (!/^\d{6,14}:[A-Za-z0-9_-]{20,140}$/.test(token)) {
-    return "";
-  }
-  return token;
-}
+    const post = await getPostMeta(env, site.id, postSlug, false);
+    if (!post) {
+      return json({ error: "Post not found" }, 404);
+    }
 
-function sanitizeTelegramChatId(value) {
-  const chatId = String(value || "").trim();
-  if (!chatId) {
-    return "";
-  }
-  if (!/^-?\d{5,20}$/.test(chatId)) {
-    return "";
+    const created = await createComment(env, site.id, postSlug, authorName, authorSite, content);
+    queueSiteNotificationEvent(env, ctx, site, {
+      eventType: "comment",
+      postSlug,
+      postTitle: post.title || postSlug,
+      actorName: created.authorName,
+      actorSiteSlug: created.authorSiteSlug,
+      contentPreview: created.content,
+      targetPath: `/${encodeURIComponent(postSlug)}#comments`,
+      createdAt: created.createdAt,
+    });
+    return json({ ok: true, comment: created }, 201);
   }
-  return chatId;
-}
 
-function normalizeNotifyBool(value, fallback = false) {
-  if (value === undefined || value === null) {
-    return Boolean(fallback);
+  if (request.method === "DELETE" && path.startsWith("/api/comments/")) {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSitePermission(session, "comments:moderate")) {
+      return json({ error: "Forbidden" }, 403);
+    }
+
+    const rawId = path.slice("/api/comments/".length);
+    const id = Number(rawId);
+    if (!Number.isInteger(id) || id <= 0) {
+      return json({ error: "Invalid comment id" }, 400);
+    }
+    const deleted = await deleteComment(env, site.id, id);
+    if (!deleted) {
+      return json({ error: "Comment not found" }, 404);
+    }
+    return json({ ok: true }, 200);
   }
-  return Boolean(value);
-}
 
-function defaultSiteNotifySettings() {
-  return {
-    enabled: false,
-    notifyComments: true,
-    notifyReactions: true,
-    telegramChatId: "",
-    hasBotToken: false,
-    telegramBotToken: "",
-    updatedAt: "",
-  };
-}
+  const revisionListMatch = path.match(/^\/api\/posts\/([^/]+)\/revisions$/);
+  if (request.method === "GET" && revisionListMatch) {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-async function getSiteNotifySettings(env, siteId, options = {}) {
-  await ensureNotificationTables(env);
-  const includeBotToken = Boolean(options.includeBotToken);
-  const row = await env.DB.prepare(
-    `SELECT
-      enabled,
-      notify_comments AS notifyComments,
-      notify_reactions AS notifyReactions,
-      telegram_chat_id AS telegramChatId,
-      telegram_bot_token_enc AS telegramBotTokenEnc,
-      updated_at AS updatedAt
-    FROM site_telegram_settings
-    WHERE site_id = ?
-    LIMIT 1`
-  )
-    .bind(siteId)
-    .first();
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-  if (!row) {
-    return defaultSiteNotifySettings();
-  }
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    const postSlug = decodeURIComponent(revisionListMatch[1]).toLowerCase();
+    const post = await getPostMeta(env, site.id, postSlug, true);
+    if (!post) {
+      return json({ error: "Post not found" }, 404);
+    }
+    if (!(await canReadPost(env, session, site.id, post.postSlug))) {
+      return json({ error: "Forbidden" }, 403);
+    }
+
+    const store = getContentStore(env);
+    if (typeof store.listRevisions !== "function") {
+      return json({ error: "Revision history is not available for this content store" }, 501);
+    }
 
-  const encryptedToken = String(row.telegramBotTokenEnc || "");
-  let telegramBotToken = "";
-  if (includeBotToken && encryptedToken) {
     try {
-      telegramBotToken = await decryptSensitiveValue(encryptedToken, env);
+      const revisions = await store.listRevisions(env, getPostFilePath(site.slug, post.postSlug));
+      return json({ postSlug: post.postSlug, revisions }, 200);
     } catch (error) {
-      console.error("Failed to decrypt telegram bot token", error);
-      telegramBotToken = "";
+      console.error("Failed to list revisions", error);
+      return json(
+        {
+          error: "Failed to list revisions",
+          detail: String(error && error.message ? error.message : error),
+        },
+        502
+      );
     }
   }
 
-  return {
-    enabled: Number(row.enabled || 0) === 1,
-    notifyComments: Number(row.notifyComments || 0) !== 0,
-    notifyReactions: Number(row.notifyReactions || 0) !== 0,
-    telegramChatId: sanitizeTelegramChatId(row.telegramChatId || ""),
-    hasBotToken: Boolean(encryptedToken),
-    telegramBotToken: sanitizeTelegramBotToken(telegramBotToken),
-    updatedAt: String(row.updatedAt || ""),
-  };
-}
+  const revisionMatch = path.match(/^\/api\/posts\/([^/]+)\/revisions\/([0-9a-f]{40})(\/restore)?$/i);
+  if (
+    revisionMatch &&
+    ((request.method === "GET" && !revisionMatch[3]) ||
+      (request.method === "POST" && revisionMatch[3]))
+  ) {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-async function upsertSiteNotifySettings(env, siteId, payload) {
-  await ensureNotificationTables(env);
-  const existing = await env.DB.prepare(
-    `SELECT telegram_bot_token_enc AS token
-     FROM site_telegram_settings
-     WHERE site_id = ?
-     LIMIT 1`
-  )
-    .bind(siteId)
-    .first();
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-  const enabled = normalizeNotifyBool(payload.enabled, false);
-  const notifyComments = normalizeNotifyBool(payload.notifyComments, true);
-  const notifyReactions = normalizeNotifyBool(payload.notifyReactions, true);
-  const chatId = sanitizeTelegramChatId(payload.telegramChatId || "");
-  const rawToken = sanitizeTelegramBotToken(payload.telegramBotToken || "");
-  const clearBotToken = Boolean(payload.clearBotToken);
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
 
-  let tokenEnc = String(existing?.token || "");
-  if (rawToken) {
-    tokenEnc = await encryptSensitiveValue(rawToken, env);
-  } else if (clearBotToken) {
-    tokenEnc = "";
-  }
+    const postSlug = decodeURIComponent(revisionMatch[1]).toLowerCase();
+    const revisionSha = revisionMatch[2].toLowerCase();
+    const post = await getPostMeta(env, site.id, postSlug, true);
+    if (!post) {
+      return json({ error: "Post not found" }, 404);
+    }
+    const allowed = revisionMatch[3]
+      ? await canWritePost(env, session, site.id, post.postSlug)
+      : await canReadPost(env, session, site.id, post.postSlug);
+    if (!allowed) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
-  const now = new Date().toISOString();
-  await env.DB.prepare(
-    `INSERT INTO site_telegram_settings (
-      site_id,
-      enabled,
-      notify_comments,
-      notify_reactions,
-      telegram_chat_id,
-      telegram_bot_token_enc,
-      updated_at
-    )
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-    ON CONFLICT(site_id)
-    DO UPDATE SET
-      enabled = excluded.enabled,
-      notify_comments = excluded.notify_comments,
-      notify_reactions = excluded.notify_reactions,
-      telegram_chat_id = excluded.telegram_chat_id,
-      telegram_bot_token_enc = excluded.telegram_bot_token_enc,
-      updated_at = excluded.updated_at`
-  )
-    .bind(
-      siteId,
-      enabled ? 1 : 0,
-      notifyComments ? 1 : 0,
-      notifyReactions ? 1 : 0,
-      chatId,
-      tokenEnc,
-      now
-    )
-    .run();
+    const store = getContentStore(env);
+    if (typeof store.readRevision !== "function") {
+      return json({ error: "Revision history is not available for this content store" }, 501);
+    }
 
-  return getSiteNotifySettings(env, siteId, { includeBotToken: false });
-}
+    const filePath = getPostFilePath(site.slug, post.postSlug);
+    let revision;
+    try {
+      revision = await store.readRevision(env, filePath, revisionSha);
+    } catch (error) {
+      console.error("Failed to read revision", error);
+      return json(
+        {
+          error: "Failed to read revision",
+          detail: String(error && error.message ? error.message : error),
+        },
+        502
+      );
+    }
+    if (!revision) {
+      return json({ error: "Revision not found" }, 404);
+    }
 
-async function createSiteNotification(env, siteId, payload) {
-  await ensureNotificationTables(env);
-  const eventType = sanitizeNotifyEventType(payload.eventType);
-  if (!eventType) {
-    return null;
-  }
-  const postSlug = String(payload.postSlug || "").trim().toLowerCase().slice(0, 120);
-  if (!postSlug) {
-    return null;
+    if (request.method === "GET") {
+      return json(
+        {
+          revision: {
+            sha: revisionSha,
+            postSlug: post.postSlug,
+            content: parseFrontMatter(revision.content).body,
+          },
+        },
+        200
+      );
+    }
+
+    const now = new Date().toISOString();
+    const restoredBody = parseFrontMatter(revision.content).body;
+    try {
+      const tags = await getPostTags(env, site.id, post.postSlug);
+      const written = await writeContentFile(
+        env,
+        filePath,
+        buildPostDocument({ ...post, tags, updatedAt: now }, restoredBody),
+        `feat(${site.slug}): restore post ${post.postSlug} to ${revisionSha.slice(0, 7)}`
+      );
+      await upsertPostMeta(
+        env,
+        site.id,
+        post.postSlug,
+        post.title,
+        post.description,
+        Number(post.published) === 1 ? 1 : 0,
+        now,
+        post.createdAt,
+        { isPage: Number(post.isPage) === 1 }
+      );
+      await upsertPostContent(env, site.id, post.postSlug, restoredBody, written.sha);
+    } catch (error) {
+      if (error && error.status === 409) {
+        return json({ error: error.userMessage || "文章已被其他人修改，請重新載入後再儲存。" }, 409);
+      }
+      console.error("Failed to restore revision", error);
+      return json(
+        {
+          error: "Failed to restore revision",
+          detail: String(error && error.message ? error.message : error),
+        },
+        502
+      );
+    }
+
+    return json(
+      {
+        ok: true,
+        post: {
+          ...post,
+          content: restoredBody,
+          updatedAt: now,
+        },
+      },
+      200
+    );
   }
 
-  const now = String(payload.createdAt || new Date().toISOString());
-  const postTitle = sanitizeTitle(payload.postTitle || postSlug);
-  const actorName = sanitizeName(payload.actorName || "");
-  const actorSiteSlug = sanitizeOptionalSiteSlug(payload.actorSiteSlug || "");
-  const contentPreview = sanitizeNotificationPreview(payload.contentPreview || "");
-  const reactionKey = sanitizeReactionKey(payload.reactionKey || "");
-  const reactionPreset = reactionKey ? REACTION_PRESET_MAP.get(reactionKey) : null;
-  const reactionLabel = reactionPreset
-    ? `${reactionPreset.icon} ${reactionPreset.label}`
-    : sanitizeNotificationPreview(payload.reactionLabel || "");
-  const targetPath = sanitizeNotificationPath(payload.targetPath || `/${encodeURIComponent(postSlug)}`);
+  if (request.method === "GET" && path.startsWith("/api/posts/")) {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-  const result = await env.DB.prepare(
-    `INSERT INTO site_notifications (
-      site_id,
-      event_type,
-      post_slug,
-      post_title,
-      actor_name,
-      actor_site_slug,
-      content_preview,
-      reaction_key,
-      reaction_label,
-      target_path,
-      created_at
-    )
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-  )
-    .bind(
-      siteId,
-      eventType,
-      postSlug,
-      postTitle,
-      actorName,
-      actorSiteSlug,
-      contentPreview,
-      reactionKey,
-      reactionLabel,
-      targetPath,
-      now
-    )
-    .run();
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-  return Number(result.meta?.last_row_id || 0);
-}
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
 
-async function listSiteNotifications(env, siteId, page = 1, pageSize = NOTIFICATION_PAGE_SIZE) {
-  await ensureNotificationTables(env);
-  const safePageSize = Math.min(Math.max(Number(pageSize) || NOTIFICATION_PAGE_SIZE, 1), 100);
-  const safePage = Math.max(Number(page) || 1, 1);
-  const totalResult = await env.DB.prepare(
-    `SELECT COUNT(*) AS total
-     FROM site_notifications
-     WHERE site_id = ?`
-  )
-    .bind(siteId)
-    .first();
-  const unreadResult = await env.DB.prepare(
-    `SELECT COUNT(*) AS total
-     FROM site_notifications
-     WHERE site_id = ? AND read_at IS NULL`
-  )
-    .bind(siteId)
-    .first();
+    const postSlug = decodeURIComponent(path.slice("/api/posts/".length)).toLowerCase();
+    if (!postSlug || postSlug.includes("/")) {
+      return json({ error: "Invalid post slug" }, 400);
+    }
 
-  const total = Math.max(Number(totalResult?.total || 0), 0);
-  const unread = Math.max(Number(unreadResult?.total || 0), 0);
-  const totalPages = Math.max(1, Math.ceil(total / safePageSize));
-  const boundedPage = Math.min(safePage, totalPages);
-  const offset = (boundedPage - 1) * safePageSize;
-  const rows = await env.DB.prepare(
-    `SELECT
-      id,
-      event_type AS eventType,
-      post_slug AS postSlug,
-      post_title AS postTitle,
-      actor_name AS actorName,
-      actor_site_slug AS actorSiteSlug,
-      content_preview AS contentPreview,
-      reaction_key AS reactionKey,
-      reaction_label AS reactionLabel,
-      target_path AS targetPath,
-      created_at AS createdAt,
-      read_at AS readAt
-    FROM site_notifications
-    WHERE site_id = ?
-    ORDER BY created_at DESC
-    LIMIT ? OFFSET ?`
-  )
-    .bind(siteId, safePageSize, offset)
-    .all();
+    const post = await getPostMeta(env, site.id, postSlug, true);
+    if (!post) {
+      return json({ error: "Post not found" }, 404);
+    }
+    // Moderators open published posts in the editor to manage their comments.
+    const readable = (await canReadPost(env, session, site.id, post.postSlug)) ||
+      (Number(post.published) === 1 && hasSiteReadPermission(session, "comments:moderate"));
+    if (!readable) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
-  const notifications = (rows.results || []).map((row) => ({
-    id: Number(row.id || 0),
-    eventType: sanitizeNotifyEventType(row.eventType),
-    postSlug: String(row.postSlug || ""),
-    postTitle: String(row.postTitle || ""),
-    actorName: String(row.actorName || ""),
-    actorSiteSlug: String(row.actorSiteSlug || ""),
-    contentPreview: String(row.contentPreview || ""),
-    reactionKey: sanitizeReactionKey(row.reactionKey),
-    reactionLabel: String(row.reactionLabel || ""),
-    targetPath: sanitizeNotificationPath(row.targetPath || "/"),
-    createdAt: String(row.createdAt || ""),
-    read: Boolean(row.readAt),
-  }));
+    const file = await readContentFile(env, getPostFilePath(site.slug, post.postSlug));
+    const tags = await getPostTags(env, site.id, post.postSlug);
+    return json(
+      {
+        post: {
+          ...post,
+          tags,
+          content: file ? parseFrontMatter(file.content).body : "",
+          sha: file ? file.sha : "",
+        },
+      },
+      200
+    );
+  }
 
-  return {
-    notifications,
-    unread,
-    total,
-    page: boundedPage,
-    pageSize: safePageSize,
-    totalPages,
-    hasPrev: boundedPage > 1,
-    hasNext: boundedPage < totalPages,
-  };
-}
+  if (request.method === "DELETE" && path.startsWith("/api/posts/")) {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-async function markSiteNotificationsRead(env, siteId, options = {}) {
-  await ensureNotificationTables(env);
-  const now = new Date().toISOString();
-  const markAll = Boolean(options.all);
-  if (markAll) {
-    await env.DB.prepare(
-      `UPDATE site_notifications
-       SET read_at = COALESCE(read_at, ?)
-       WHERE site_id = ?`
-    )
-      .bind(now, siteId)
-      .run();
-  } else {
-    const ids = Array.isArray(options.ids)
-      ? Array.from(
-        new Set(
-          options.ids
-            .map((item) => Number(item))
-            .filter((item) => Number.isInteger(item) && item > 0)
-            .slice(0, 80)
-        )
-      )
-      : [];
-    if (!ids.length) {
-      return;
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
     }
-    const placeholders = ids.map(() => "?").join(",");
-    await env.DB.prepare(
-      `UPDATE site_notifications
-       SET read_at = COALESCE(read_at, ?)
-       WHERE site_id = ? AND id IN (${placeholders})`
-    )
-      .bind(now, siteId, ...ids)
-      .run();
-  }
-}
 
-function maybeScheduleNotificationsGc(env, siteId, ctx = null) {
-  if (Math.random() >= 0.02) {
-    return;
-  }
-  const cleanup = (async () => {
-    const cutoff = await env.DB.prepare(
-      `SELECT id
-       FROM site_notifications
-       WHERE site_id = ?
-       ORDER BY created_at DESC
-       LIMIT 1 OFFSET 799`
-    )
-      .bind(siteId)
-      .first();
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
 
-    const cutoffId = Number(cutoff?.id || 0);
-    if (!cutoffId) {
-      return;
+    const postSlug = decodeURIComponent(path.slice("/api/posts/".length)).toLowerCase();
+    if (!postSlug || postSlug.includes("/")) {
+      return json({ error: "Invalid post slug" }, 400);
     }
 
-    await env.DB.prepare(
-      `DELETE FROM site_notifications
-       WHERE site_id = ? AND id < ?`
-    )
-      .bind(siteId, cutoffId)
-      .run();
-  })()
-    .catch((error) => {
-      console.error("Failed to cleanup old notifications", error);
-    });
-  if (ctx && typeof ctx.waitUntil === "function") {
-    ctx.waitUntil(cleanup);
-  }
-}
+    const post = await getPostMeta(env, site.id, postSlug, true);
+    if (!post) {
+      return json({ error: "Post not found" }, 404);
+    }
 
-function buildSiteNotificationMessage(event, site, baseDomain) {
-  const fullSite = `${site.slug}.${baseDomain}`;
-  const postUrl = `https://${fullSite}/${encodeURIComponent(event.postSlug)}`;
-  if (sanitizeNotifyEventType(event.eventType) === "reaction") {
-    const reactionLine = event.reactionLabel
-      ? `反應：${event.reactionLabel}`
-      : "反應：新點贊";
-    return [
-      "🔔 新點贊通知",
-      `站點：${fullSite}`,
-      `文章：${event.postTitle || event.postSlug}`,
-      reactionLine,
-      `連結：${postUrl}`,
-      `時間：${event.createdAt || new Date().toISOString()}`,
-    ].join("\n");
-  }
-  const actorLine = event.actorSiteSlug
-    ? `${event.actorName}（${event.actorSiteSlug}.${baseDomain}）`
-    : (event.actorName || "匿名");
-  return [
-    "💬 新留言通知",
-    `站點：${fullSite}`,
-    `文章：${event.postTitle || event.postSlug}`,
-    `留言者：${actorLine}`,
-    `內容：${event.contentPreview || "(無文字)"}`,
-    `連結：${postUrl}#comments`,
-    `時間：${event.createdAt || new Date().toISOString()}`,
-  ].join("\n");
-}
+    if (!(await canWritePost(env, session, site.id, post.postSlug))) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
-async function sendTelegramViaCustomBot(botToken, chatId, text) {
-  const endpoint = `https://api.telegram.org/bot${botToken}/sendMessage`;
-  let response;
-  try {
-    response = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text,
-        disable_web_page_preview: true,
-      }),
-    });
-  } catch {
-    throw new Error("Telegram custom notify request failed");
-  }
+    try {
+      await deleteContentFile(
+        env,
+        getPostFilePath(site.slug, post.postSlug),
+        `feat(${site.slug}): delete post ${post.postSlug}`
+      );
+      await deletePostMeta(env, site.id, post.postSlug);
+      await deletePostContent(env, site.id, post.postSlug);
+      await deleteCommentsByPost(env, site.id, post.postSlug);
+      await deleteReactionsByPost(env, site.id, post.postSlug);
+      await deletePostTags(env, site.id, post.postSlug);
+      await deletePostRedirectsTo(env, site.id, post.postSlug);
+    } catch (error) {
+      console.error("Failed to delete post", error);
+      return json(
+        {
+          error: "Failed to delete post",
+          detail: String(error && error.message ? error.message : error),
+        },
+        502
+      );
+    }
 
-  if (!response.ok) {
-    throw new Error(`Telegram custom notify failed (${response.status})`);
+    return json({ ok: true, postSlug: post.postSlug }, 200);
   }
-}
 
-function queueSiteNotificationEvent(env, ctx, site, payload) {
-  const task = (async () => {
-    const event = {
-      eventType: sanitizeNotifyEventType(payload.eventType),
-      postSlug: String(payload.postSlug || "").trim().toLowerCase(),
-      postTitle: sanitizeTitle(payload.postTitle || payload.postSlug || ""),
-      actorName: sanitizeName(payload.actorName || ""),
-      actorSiteSlug: sanitizeOptionalSiteSlug(payload.actorSiteSlug || ""),
-      contentPreview: sanitizeNotificationPreview(payload.contentPreview || ""),
-      reactionKey: sanitizeReactionKey(payload.reactionKey || ""),
-      reactionLabel: sanitizeNotificationPreview(payload.reactionLabel || ""),
-      targetPath: sanitizeNotificationPath(
-        payload.targetPath || `/${encodeURIComponent(String(payload.postSlug || "").trim().toLowerCase())}`
-      ),
-      createdAt: String(payload.createdAt || new Date().toISOString()),
-    };
-    if (!event.eventType || !event.postSlug) {
-      return;
+  if (request.method === "POST" && path === "/api/posts") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
     }
 
-    await createSiteNotification(env, site.id, event);
-    maybeScheduleNotificationsGc(env, site.id, ctx);
-
-    const notifySettings = await getSiteNotifySettings(env, site.id, { includeBotToken: true });
-    if (!notifySettings.enabled || !notifySettings.telegramChatId || !notifySettings.telegramBotToken) {
-      return;
-    }
-    if (event.eventType === "comment" && !notifySettings.notifyComments) {
-      return;
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
     }
-    if (event.eventType === "reaction" && !notifySettings.notifyReactions) {
-      return;
+
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
     }
-    const baseDomain = String(env.BASE_DOMAIN || "bdfz.net").toLowerCase();
-    const message = buildSiteNotificationMessage(event, site, baseDomain);
-    await sendTelegramViaCustomBot(
-      notifySettings.telegramBotToken,
-      notifySettings.telegramChatId,
-      message
-    );
-  })().catch((error) => {
-    console.error("Failed to queue site notification event", error);
-  });
 
-  if (ctx && typeof ctx.waitUntil === "function") {
-    ctx.waitUntil(task);
-  }
-}
+    const body = await readJson(request);
 
-async function getPostMeta(env, siteId, postSlug, includeDrafts = false) {
-  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
-  const isPageSelect = hasIsPageColumn ? "is_page AS isPage" : "0 AS isPage";
-  const sql = includeDrafts
-    ? `SELECT
-        post_slug AS postSlug,
-        title,
-        description,
-        published,
-        ${isPageSelect},
-        created_at AS createdAt,
-        updated_at AS updatedAt
-      FROM posts
-      WHERE site_id = ? AND post_slug = ?
-      LIMIT 1`
-    : `SELECT
-        post_slug AS postSlug,
-        title,
-        description,
-        published,
-        ${isPageSelect},
-        created_at AS createdAt,
-        updated_at AS updatedAt
-      FROM posts
-      WHERE site_id = ? AND post_slug = ? AND published = 1
-      LIMIT 1`;
+    const title = sanitizeTitle(body.title || "");
+    const requestedSlug = String(body.postSlug || "").trim().toLowerCase();
+    const postSlug = requestedSlug || slugifyValue(title);
+    const previousSlugRaw = String(body.previousSlug || "").trim().toLowerCase();
+    const previousSlug = previousSlugRaw && !previousSlugRaw.includes("/")
+      ? previousSlugRaw
+      : "";
+    const description = sanitizeDescription(body.description || "");
+    const content = parseFrontMatter(String(body.content || "")).body;
+    const publishAt = normalizePublishAt(body.publishAt);
+    const published = !publishAt && Boolean(body.published) ? 1 : 0;
+    const isPage = Boolean(body.isPage) ? 1 : 0;
+    const tags = normalizePostTags(body.tags || []);
+    const baseSha = String(body.baseSha || "").trim();
 
-  return env.DB.prepare(sql).bind(siteId, postSlug).first();
-}
+    if (!title) {
+      return json({ error: "Title is required" }, 400);
+    }
 
-async function upsertPostMeta(
-  env,
-  siteId,
-  postSlug,
-  title,
-  description,
-  published,
-  updatedAt,
-  createdAt,
-  options = {}
-) {
-  const created = createdAt || updatedAt;
-  const excludeFromCampusFeed = options.excludeFromCampusFeed ? 1 : 0;
-  const isPage = options.isPage ? 1 : 0;
-  const hasExcludeColumn = await hasPostsColumn(env, "exclude_from_campus_feed");
-  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
+    if (body.publishAt && !publishAt) {
+      return json({ error: "Invalid publishAt" }, 400);
+    }
+    if (publishAt && Date.parse(publishAt) <= Date.now()) {
+      return json({ error: "publishAt must be in the future" }, 400);
+    }
 
-  if (hasExcludeColumn && hasIsPageColumn) {
-    return env.DB.prepare(
-      `INSERT INTO posts (
-        site_id,
-        post_slug,
-        title,
-        description,
-        published,
-        is_page,
-        exclude_from_campus_feed,
-        created_at,
-        updated_at
-      )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(site_id, post_slug)
-      DO UPDATE SET
-        title = excluded.title,
-        description = excluded.description,
-        published = excluded.published,
-        is_page = excluded.is_page,
-        exclude_from_campus_feed = excluded.exclude_from_campus_feed,
-        updated_at = excluded.updated_at`
-    )
-      .bind(
-        siteId,
-        postSlug,
-        title,
-        description,
-        published,
-        isPage,
-        excludeFromCampusFeed,
-        created,
-        updatedAt
-      )
-      .run();
-  }
+    const validation = validatePostSlug(postSlug);
+    if (!validation.ok) {
+      return json({ error: "Invalid post slug", reason: validation.reason }, 400);
+    }
 
-  if (hasExcludeColumn) {
-    return env.DB.prepare(
-      `INSERT INTO posts (
-        site_id,
-        post_slug,
-        title,
-        description,
-        published,
-        exclude_from_campus_feed,
-        created_at,
-        updated_at
-      )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(site_id, post_slug)
-      DO UPDATE SET
-        title = excluded.title,
-        description = excluded.description,
-        published = excluded.published,
-        exclude_from_campus_feed = excluded.exclude_from_campus_feed,
-        updated_at = excluded.updated_at`
-    )
-      .bind(
-        siteId,
-        postSlug,
-        title,
-        description,
-        published,
-        excludeFromCampusFeed,
-        created,
-        updatedAt
-      )
-      .run();
-  }
+    const now = new Date().toISOString();
+    const isRenaming = Boolean(previousSlug && previousSlug !== postSlug);
+    let savedSha = "";
+    let checksBase = Boolean(baseSha);
 
-  if (hasIsPageColumn) {
-    return env.DB.prepare(
-      `INSERT INTO posts (
-        site_id,
-        post_slug,
-        title,
-        description,
-        published,
-        is_page,
-        created_at,
-        updated_at
-      )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(site_id, post_slug)
-      DO UPDATE SET
-        title = excluded.title,
-        description = excluded.description,
-        published = excluded.published,
-        is_page = excluded.is_page,
-        updated_at = excluded.updated_at`
-    )
-      .bind(
-        siteId,
+    try {
+      let existingPost = null;
+      let previousPost = null;
+
+      if (isRenaming) {
+        previousPost = await getPostMeta(env, site.id, previousSlug, true);
+        if (!previousPost) {
+          return json({ error: "Original post not found" }, 404);
+        }
+      }
+
+      existingPost = await getPostMeta(env, site.id, postSlug, true);
+      if (existingPost && isRenaming) {
+        return json({ error: "Target post slug already exists" }, 409);
+      }
+
+      const sourcePost = previousPost || existingPost;
+      const allowed = sourcePost
+        ? await canWritePost(env, session, site.id, sourcePost.postSlug)
+        : hasSitePermission(session, "posts:write");
+      if (!allowed) {
+        return json({ error: "Forbidden" }, 403);
+      }
+      const authorMemberId = sourcePost
+        ? await getPostAuthorMemberId(env, site.id, sourcePost.postSlug)
+        : Number(session.member.id || 0) || null;
+
+      checksBase = Boolean(baseSha || sourcePost);
+      if (checksBase) {
+        const sourcePath = getPostFilePath(site.slug, isRenaming ? previousSlug : postSlug);
+        const current = await readContentFile(env, sourcePath);
+        if (current ? current.sha !== baseSha : Boolean(baseSha)) {
+          return json(
+            {
+              error: baseSha
+                ? "文章已被其他人修改，請合併後再儲存。"
+                : "編輯既有文章需要 baseSha，請合併目前版本後再儲存。",
+              conflict: buildPostConflict(current),
+            },
+            409
+          );
+        }
+      }
+
+      const createdAt = previousPost?.createdAt || existingPost?.createdAt || now;
+      const document = buildPostDocument(
+        { title, description, published, isPage, createdAt, updatedAt: now, tags, publishAt },
+        content
+      );
+      const postPath = getPostFilePath(site.slug, postSlug);
+      let contentSha = "";
+      if (isRenaming) {
+        const committed = await commitContentFiles(
+          env,
+          [
+            { path: postPath, content: document },
+            { path: getPostFilePath(site.slug, previousSlug), delete: true },
+          ],
+          `feat(${site.slug}): rename post ${previousSlug} -> ${postSlug}`
+        );
+        contentSha = committed.files[postPath];
+      } else {
+        const written = await writeContentFile(
+          env,
+          postPath,
+          document,
+          `feat(${site.slug}): update post ${postSlug}`
+        );
+        contentSha = written.sha;
+      }
+
+      if (isRenaming) {
+        await deletePostMeta(env, site.id, previousSlug);
+        await deletePostContent(env, site.id, previousSlug);
+        await moveCommentsToPost(env, site.id, previousSlug, postSlug);
+        await moveReactionsToPost(env, site.id, previousSlug, postSlug);
+        await deletePostTags(env, site.id, previousSlug);
+      }
+      if (!existingPost) {
+        await deletePostRedirect(env, site.id, postSlug);
+      }
+      if (isRenaming) {
+        await setPostRedirect(env, site.id, previousSlug, postSlug);
+      }
+
+      await upsertPostMeta(
+        env,
+        site.id,
         postSlug,
         title,
         description,
         published,
-        isPage,
-        created,
-        updatedAt
-      )
-      .run();
+        now,
+        createdAt,
+        { isPage: isPage === 1 }
+      );
+      if (!existingPost) {
+        await setPostAuthorMemberId(env, site.id, postSlug, authorMemberId);
+      }
+      await upsertPostContent(env, site.id, postSlug, content, contentSha);
+      await setPostTags(env, site.id, postSlug, tags);
+      await setPostPublishAt(env, site.id, postSlug, publishAt);
+      savedSha = contentSha;
+    } catch (error) {
+      if (error && error.status === 409) {
+        const current = checksBase
+          ? await readContentFile(
+            env,
+            getPostFilePath(site.slug, isRenaming ? previousSlug : postSlug)
+          ).catch(() => null)
+          : null;
+        return json(
+          {
+            error: error.userMessage || "文章已被其他人修改，請重新載入後再儲存。",
+            ...(checksBase ? { conflict: buildPostConflict(current) } : {}),
+          },
+          409
+        );
+      }
+      console.error("Failed to save post", error);
+      return json(
+        {
+          error: "Failed to save post",
+          detail: String(error && error.message ? error.message : error),
+        },
+        502
+      );
+    }
+
+    return json(
+      {
+        ok: true,
+        post: {
+          postSlug,
+          title,
+          description,
+          published,
+          isPage,
+          tags,
+          publishAt: publishAt || null,
+          updatedAt: now,
+          sha: savedSha,
+        },
+      },
+      200
+    );
   }
 
-  return env.DB.prepare(
-    `INSERT INTO posts (site_id, post_slug, title, description, published, created_at, updated_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?)
-     ON CONFLICT(site_id, post_slug)
-     DO UPDATE SET
-       title = excluded.title,
-       description = excluded.description,
-       published = excluded.published,
-      updated_at = excluded.updated_at`
-  )
-    .bind(siteId, postSlug, title, description, published, created, updatedAt)
-    .run();
-}
+  if (request.method === "GET" && path === "/api/export") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-async function deletePostMeta(env, siteId, postSlug) {
-  const result = await env.DB.prepare(
-    "DELETE FROM posts WHERE site_id = ? AND post_slug = ?"
-  )
-    .bind(siteId, postSlug)
-    .run();
-  return Number(result.meta?.changes || 0) > 0;
-}
-
-async function deleteCommentsByPost(env, siteId, postSlug) {
-  await ensureCommentsTable(env);
-  await env.DB.prepare(
-    "DELETE FROM comments WHERE site_id = ? AND post_slug = ?"
-  )
-    .bind(siteId, postSlug)
-    .run();
-}
-
-async function moveCommentsToPost(env, siteId, fromPostSlug, toPostSlug) {
-  await ensureCommentsTable(env);
-  await env.DB.prepare(
-    `UPDATE comments
-     SET post_slug = ?
-     WHERE site_id = ? AND post_slug = ?`
-  )
-    .bind(toPostSlug, siteId, fromPostSlug)
-    .run();
-}
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-async function deleteReactionsByPost(env, siteId, postSlug) {
-  await ensureReactionsTable(env);
-  await env.DB.prepare(
-    "DELETE FROM reactions WHERE site_id = ? AND post_slug = ?"
-  )
-    .bind(siteId, postSlug)
-    .run();
-}
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSitePermission(session, "export")) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
-async function moveReactionsToPost(env, siteId, fromPostSlug, toPostSlug) {
-  await ensureReactionsTable(env);
-  await env.DB.prepare(
-    `UPDATE reactions
-     SET post_slug = ?
-     WHERE site_id = ? AND post_slug = ?`
-  )
-    .bind(toPostSlug, siteId, fromPostSlug)
-    .run();
-}
+    const posts = await listPosts(env, site.id, true);
+    const config = await getSiteConfig(env, site);
+    const files = await Promise.all(
+      posts.map((post) =>
+        readContentFile(env, getPostFilePath(site.slug, post.postSlug)).catch((error) => {
+          console.error("Failed to read post during export", post.postSlug, error);
+          return null;
+        })
+      )
+    );
+    const exportedPosts = posts.map((post, index) => {
+      const parsed = files[index] ? parseFrontMatter(files[index].content) : null;
+      return {
+        ...post,
+        tags: parsed ? postMetaFromFrontMatter(parsed.data, post).tags : [],
+        content: parsed ? parsed.body : "",
+      };
+    });
 
-function getGithubConfig(env) {
-  const owner = String(env.GITHUB_OWNER || "").trim();
-  const repo = String(env.GITHUB_REPO || "").trim();
-  const branch = String(env.GITHUB_BRANCH || "main").trim();
-  const token = String(env.GITHUB_TOKEN || "").trim();
+    const payload = {
+      exportedAt: new Date().toISOString(),
+      site: {
+        slug: site.slug,
+        displayName: site.displayName,
+        description: site.description,
+        createdAt: site.createdAt,
+      },
+      config,
+      posts: exportedPosts,
+    };
 
-  if (!owner || !repo || !token) {
-    throw new Error("Missing GitHub config: GITHUB_OWNER, GITHUB_REPO, GITHUB_TOKEN");
+    const filename = `${site.slug}-export-${new Date().toISOString().slice(0, 10)}.json`;
+    return new Response(JSON.stringify(payload, null, 2), {
+      status: 200,
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      },
+    });
   }
 
-  return { owner, repo, branch, token };
-}
+  if (request.method === "POST" && path === "/api/import") {
+    if (!hostSlug) {
+      return json({ error: "Missing site context" }, 400);
+    }
 
-async function githubRequest(env, path, init = {}) {
-  const config = getGithubConfig(env);
-  const url = `https://api.github.com/repos/${encodeURIComponent(config.owner)}/${encodeURIComponent(config.repo)}${path}`;
+    const site = await getSiteBySlug(env, hostSlug);
+    if (!site) {
+      return json({ error: "Site not found" }, 404);
+    }
 
-  const response = await fetch(url, {
-    method: init.method || "GET",
-    headers: {
-      Accept: "application/vnd.github+json",
-      Authorization: `Bearer ${config.token}`,
-      "User-Agent": "stublogs-worker",
-      ...(init.headers || {}),
-    },
-    body: init.body,
-  });
+    const session = await getSiteAuth(request, env, site);
+    if (!session) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!hasSitePermission(session, "posts:write-any")) {
+      return json({ error: "Forbidden" }, 403);
+    }
 
-  return response;
-}
+    let formData;
+    try {
+      formData = await request.formData();
+    } catch {
+      return json({ error: "Invalid form data" }, 400);
+    }
 
-async function githubReadFile(env, filePath) {
-  const config = getGithubConfig(env);
-  const encodedPath = encodeGitHubPath(filePath);
-  const response = await githubRequest(
-    env,
-    `/contents/${encodedPath}?ref=${encodeURIComponent(config.branch)}`
-  );
+    const file = formData.get("file");
+    if (!file || typeof file.text !== "function") {
+      return json({ error: "No file uploaded" }, 400);
+    }
 
-  if (response.status === 404) {
-    return null;
-  }
+    let csvText;
+    try {
+      csvText = await file.text();
+    } catch {
+      return json({ error: "Failed to read file" }, 400);
+    }
 
-  if (!response.ok) {
-    const detail = await response.text();
-    throw new Error(`GitHub read failed: ${response.status} ${detail}`);
-  }
+    if (!csvText || csvText.length < 10) {
+      return json({ error: "File is empty or too small" }, 400);
+    }
 
-  const data = await response.json();
-  if (!data || Array.isArray(data) || typeof data.content !== "string") {
-    return null;
-  }
+    if (csvText.length > 10 * 1024 * 1024) {
+      return json({ error: "File too large (max 10MB)" }, 400);
+    }
 
-  return {
-    sha: data.sha,
-    content: fromBase64Utf8(data.content),
-  };
-}
+    const parsed = parseCSV(csvText);
+    if (!parsed.headers.length || !parsed.rows.length) {
+      return json({ error: "No valid rows found in CSV" }, 400);
+    }
 
-async function githubWriteFile(env, filePath, content, message) {
-  const config = getGithubConfig(env);
-  const existing = await githubReadFile(env, filePath);
-  const encodedPath = encodeGitHubPath(filePath);
+    const imported = [];
+    const skipped = [];
+    const errors = [];
+    const entries = new Map();
 
-  const payload = {
-    message,
-    branch: config.branch,
-    content: toBase64Utf8(content),
-  };
+    for (const row of parsed.rows) {
+      try {
+        const title = String(row.title || "").trim();
+        if (!title) {
+          skipped.push({ reason: "missing title" });
+          continue;
+        }
 
-  if (existing && existing.sha) {
-    payload.sha = existing.sha;
-  }
+        const isPage = String(row.is_page || "").toLowerCase() === "true" ? 1 : 0;
 
-  const response = await githubRequest(env, `/contents/${encodedPath}`, {
-    method: "PUT",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
-  });
+        let rawSlug = String(row.slug || row.link || "").trim();
+        rawSlug = rawSlug.replace(/^\/+/, "");
+        let postSlug = rawSlug ? slugifyValue(rawSlug) : slugifyValue(title);
+        if (!postSlug) {
+          postSlug = slugifyValue(title);
+        }
+        if (!postSlug) {
+          skipped.push({ title, reason: "cannot derive slug" });
+          continue;
+        }
 
-  if (!response.ok) {
-    const detail = await response.text();
-    if (response.status === 409) {
-      const conflictError = new Error("GitHub write conflict: resource changed by another editor");
-      conflictError.status = 409;
-      conflictError.userMessage = "文章已被其他人修改，請重新載入後再儲存。";
-      conflictError.detail = detail;
-      throw conflictError;
-    }
-    throw new Error(`GitHub write failed: ${response.status} ${detail}`);
-  }
+        const slugCheck = validatePostSlug(postSlug);
+        if (!slugCheck.ok) {
+          postSlug = slugifyValue(title);
+          const recheck = validatePostSlug(postSlug);
+          if (!recheck.ok) {
+            skipped.push({ title, reason: "invalid slug" });
+            continue;
+          }
+          postSlug = recheck.slug;
+        } else {
+          postSlug = slugCheck.slug;
+        }
 
-  return response.json();
-}
+        const parsedContent = parseFrontMatter(String(row.content || "").trim());
+        const content = parsedContent.body.trim();
+        const description = String(
+          row.meta_description || parsedContent.data.description || ""
+        ).trim().slice(0, 240);
+        const tags = normalizePostTags(row.all_tags || parsedContent.data.tags || []);
 
-async function githubDeleteFile(env, filePath, message) {
-  const config = getGithubConfig(env);
-  const existing = await githubReadFile(env, filePath);
-  if (!existing || !existing.sha) {
-    return { deleted: false };
-  }
-  const encodedPath = encodeGitHubPath(filePath);
-  const response = await githubRequest(env, `/contents/${encodedPath}`, {
-    method: "DELETE",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      message,
-      branch: config.branch,
-      sha: existing.sha,
-    }),
-  });
+        let publishedDate = String(row.published_date || "").trim();
+        let createdAt;
+        if (publishedDate) {
+          const d = new Date(publishedDate);
+          createdAt = Number.isNaN(d.getTime()) ? new Date().toISOString() : d.toISOString();
+        } else {
+          createdAt = new Date().toISOString();
+        }
 
-  if (!response.ok) {
-    const detail = await response.text();
-    throw new Error(`GitHub delete failed: ${response.status} ${detail}`);
-  }
+        const discoverable = String(row.make_discoverable || "true").toLowerCase();
+        const published = discoverable === "false" ? 0 : 1;
 
-  return response.json();
-}
+        if (entries.has(postSlug)) {
+          skipped.push({ title, reason: "duplicate slug" });
+          continue;
+        }
 
-function encodeGitHubPath(path) {
-  return String(path)
-    .split("/")
-    .filter(Boolean)
-    .map((segment) => encodeURIComponent(segment))
-    .join("/");
-}
+        const postBody = content || `# ${title}\n`;
+        entries.set(postSlug, {
+          title,
+          postSlug,
+          description,
+          published,
+          createdAt,
+          isPage,
+          tags,
+          content: postBody,
+          document: buildPostDocument(
+            {
+              title: sanitizeTitle(title),
+              description: sanitizeDescription(description),
+              published,
+              isPage,
+              createdAt,
+              updatedAt: createdAt,
+              tags,
+            },
+            postBody
+          ),
+          path: getPostFilePath(site.slug, postSlug),
+        });
+      } catch (error) {
+        errors.push({ title: row.title || "unknown", error: error.message || "unknown error" });
+      }
+    }
 
-function getSiteConfigPath(siteSlug) {
-  return `sites/${siteSlug}/site.json`;
+    if (entries.size) {
+      let committed;
+      try {
+        committed = await commitContentFiles(
+          env,
+          [...entries.values()].map((entry) => ({ path: entry.path, content: entry.document })),
+          `import(${site.slug}): ${entries.size} posts from BearBlog`
+        );
+      } catch (error) {
+        console.error("Failed to import posts", error);
+        return json(
+          {
+            error: "Failed to import posts",
+            detail: String(error && error.message ? error.message : error),
+          },
+          502
+        );
+      }
+
+      for (const entry of entries.values()) {
+        try {
+          await upsertPostMeta(
+            env,
+            site.id,
+            entry.postSlug,
+            sanitizeTitle(entry.title),
+            sanitizeDescription(entry.description),
+            entry.published,
+            entry.createdAt,
+            entry.createdAt,
+            { isPage: entry.isPage === 1 }
+          );
+          await upsertPostContent(
+            env,
+            site.id,
+            entry.postSlug,
+            entry.content,
+            committed.files[entry.path]
+          );
+          await setPostTags(env, site.id, entry.postSlug, entry.tags);
+          imported.push({ title: entry.title, postSlug: entry.postSlug, isPage: entry.isPage === 1 });
+        } catch (error) {
+          errors.push({ title: entry.title, error: error.message || "unknown error" });
+        }
+      }
+    }
+
+    return json({
+      ok: true,
+      imported: imported.length,
+      skipped: skipped.length,
+      errors: errors.length,
+      details: { imported, skipped, errors },
+    });
+  }
+
+  return notFound();
 }
 
-function getPostFilePath(siteSlug, postSlug) {
-  return `sites/${siteSlug}/posts/${postSlug}.md`;
+async function getSiteBySlug(env, slug) {
+  await ensureSiteStatusTable(env);
+  return env.DB.prepare(
+    `SELECT
+      s.id,
+      s.slug,
+      s.display_name AS displayName,
+      s.description,
+      s.admin_secret_hash AS adminSecretHash,
+      s.created_at AS createdAt,
+      s.updated_at AS updatedAt,
+      st.status,
+      st.reason AS statusReason,
+      st.purge_after AS purgeAfter
+    FROM sites s
+    LEFT JOIN site_status st ON st.site_id = s.id
+    WHERE s.slug = ?
+    LIMIT 1`
+  )
+    .bind(slug)
+    .first();
 }
 
-function defaultSiteConfigFromSite(site) {
+function formatSiteForClient(site) {
+  if (!site) {
+    return null;
+  }
+
   return {
+    id: site.id,
     slug: site.slug,
-    displayName: site.displayName || site.slug,
-    description: site.description || "",
-    heroTitle: "",
-    heroSubtitle: "",
-    colorTheme: "default",
-    footerNote: "",
-    customCss: "",
-    faviconUrl: DEFAULT_FAVICON_URL,
-    headerLinks: [],
-    hideCommunitySites: false,
-    hideCampusFeed: false,
-    commentsEnabled: true,
-    createdAt: site.createdAt || new Date().toISOString(),
-    updatedAt: site.updatedAt || new Date().toISOString(),
-    exportVersion: SITE_CONFIG_VERSION,
+    displayName: site.displayName,
+    description: site.description,
+    createdAt: site.createdAt,
+    updatedAt: site.updatedAt,
+    url: `https://${site.slug}.bdfz.net`,
   };
 }
 
-function sanitizeHexColor(value) {
-  const raw = String(value || "")
-    .trim()
-    .toLowerCase();
+async function listPublicSites(env, limit = 500) {
+  await ensureSiteStatusTable(env);
+  const safeLimit = Math.min(Math.max(Number(limit) || 100, 1), 1000);
+  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
+  const postCountClause = hasIsPageColumn
+    ? "p.site_id = s.id AND p.published = 1 AND p.is_page = 0"
+    : "p.site_id = s.id AND p.published = 1";
+  const result = await env.DB.prepare(
+    `SELECT
+      s.slug AS slug,
+      s.display_name AS displayName,
+      s.description AS description,
+      s.created_at AS createdAt,
+      s.updated_at AS updatedAt,
+      (
+        SELECT COUNT(*)
+        FROM posts p
+        WHERE ${postCountClause}
+      ) AS postCount
+    FROM sites s
+    WHERE NOT EXISTS (SELECT 1 FROM site_status st WHERE st.site_id = s.id)
+    ORDER BY s.created_at DESC
+    LIMIT ?`
+  )
+    .bind(safeLimit)
+    .all();
 
-  if (/^#[0-9a-f]{6}$/.test(raw)) {
-    return raw;
-  }
+  const rows = result.results || [];
+  return rows.map((site) => ({
+    slug: site.slug,
+    displayName: site.displayName,
+    description: site.description || "",
+    createdAt: site.createdAt,
+    updatedAt: site.updatedAt,
+    postCount: Number(site.postCount || 0),
+    url: `https://${site.slug}.bdfz.net`,
+  }));
+}
 
-  if (/^#[0-9a-f]{3}$/.test(raw)) {
-    return `#${raw[1]}${raw[1]}${raw[2]}${raw[2]}${raw[3]}${raw[3]}`;
-  }
+async function listCommunitySites(env, currentSlug, limit = 12) {
+  await ensureSiteStatusTable(env);
+  const safeLimit = Math.min(Math.max(Number(limit) || 12, 1), 60);
+  const result = await env.DB.prepare(
+    `SELECT
+      slug,
+      display_name AS displayName,
+      description,
+      created_at AS createdAt
+    FROM sites
+    WHERE slug != ?
+      AND NOT EXISTS (SELECT 1 FROM site_status st WHERE st.site_id = sites.id)
+    ORDER BY created_at DESC
+    LIMIT ?`
+  )
+    .bind(currentSlug, safeLimit)
+    .all();
 
-  return "#7b5034";
+  const rows = result.results || [];
+  return rows.map((site) => ({
+    slug: site.slug,
+    displayName: site.displayName,
+    description: site.description || "",
+    createdAt: site.createdAt,
+    url: `https://${site.slug}.bdfz.net`,
+  }));
 }
 
-function sanitizeColorTheme(value) {
-  const theme = String(value || "")
-    .trim()
-    .toLowerCase();
-  if (
-    theme === "ocean" ||
-    theme === "forest" ||
-    theme === "violet" ||
-    theme === "sunset" ||
-    theme === "mint" ||
-    theme === "graphite"
-  ) {
-    return theme;
-  }
-  return "default";
+async function getCampusVisibilityClause(env) {
+  await ensureSiteStatusTable(env);
+  const hasExcludeColumn = await hasPostsColumn(env, "exclude_from_campus_feed");
+  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
+  const feedVisibilityClause = hasExcludeColumn
+    ? "p.published = 1 AND p.exclude_from_campus_feed = 0"
+    : "p.published = 1 AND NOT (p.post_slug = 'hello-world' AND p.title = 'Hello World')";
+  const pageExclusionClause = hasIsPageColumn ? "AND p.is_page = 0" : "";
+  return `${feedVisibilityClause} ${pageExclusionClause}
+    AND NOT EXISTS (SELECT 1 FROM site_status st WHERE st.site_id = p.site_id)`;
 }
 
-function sanitizeHeaderLinks(value) {
-  if (!Array.isArray(value)) {
-    return [];
-  }
+async function listCampusFeed(env, excludeSiteId = null, limit = 24, tag = "") {
+  await ensurePostTagsTable(env);
+  const safeLimit = Math.min(Math.max(Number(limit) || 24, 1), 120);
+  const tagClause = tag
+    ? "AND EXISTS (SELECT 1 FROM post_tags t WHERE t.site_id = p.site_id AND t.post_slug = p.post_slug AND t.tag = ?)"
+    : "";
+  const visibilityClause = `${await getCampusVisibilityClause(env)} ${tagClause}`.trim();
+  const sql = `SELECT
+      p.post_slug AS postSlug,
+      p.title AS title,
+      p.description AS description,
+      p.updated_at AS updatedAt,
+      s.slug AS siteSlug,
+      s.display_name AS siteName,
+      (
+        SELECT group_concat(t.tag, ',')
+        FROM post_tags t
+        WHERE t.site_id = p.site_id AND t.post_slug = p.post_slug
+      ) AS tags
+    FROM posts p
+    INNER JOIN sites s ON p.site_id = s.id
+    WHERE ${visibilityClause} ${excludeSiteId ? "AND p.site_id != ?" : ""}
+    ORDER BY p.updated_at DESC
+    LIMIT ?`;
+
+  const binds = [
+    ...(tag ? [tag] : []),
+    ...(excludeSiteId ? [excludeSiteId] : []),
+    safeLimit,
+  ];
+  const result = await env.DB.prepare(sql).bind(...binds).all();
+  const rows = result.results || [];
 
-  return value
-    .slice(0, 8)
-    .map((item) => ({
-      label: sanitizeName(item?.label || "").slice(0, 24),
-      url: sanitizeUrl(item?.url || ""),
-    }))
-    .filter((item) => item.label && item.url);
+  return rows.map((post) => ({
+    siteSlug: post.siteSlug,
+    siteName: post.siteName,
+    postSlug: post.postSlug,
+    title: post.title,
+    description: post.description || "",
+    updatedAt: post.updatedAt,
+    tags: post.tags ? String(post.tags).split(",") : [],
+    url: `https://${post.siteSlug}.bdfz.net/${post.postSlug}`,
+  }));
 }
 
-function sanitizeUrl(value) {
-  const url = String(value || "").trim();
-  if (!url) {
-    return "";
-  }
+async function listPostsPage(env, siteId, page = 1, pageSize = POSTS_PAGE_SIZE) {
+  const safePageSize = Math.min(Math.max(Number(pageSize) || POSTS_PAGE_SIZE, 1), 60);
+  const safePage = Math.max(Number(page) || 1, 1);
+  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
+  const isPageSelect = hasIsPageColumn ? "is_page AS isPage" : "0 AS isPage";
+  const pageFilter = hasIsPageColumn ? "AND is_page = 0" : "";
 
-  if (/^https?:\/\//i.test(url)) {
-    return url.slice(0, 240);
-  }
+  const totalResult = await env.DB.prepare(
+    `SELECT COUNT(*) AS total
+     FROM posts
+     WHERE site_id = ? AND published = 1 ${pageFilter}`
+  )
+    .bind(siteId)
+    .first();
 
-  return "";
+  const total = Math.max(Number(totalResult?.total || 0), 0);
+  const totalPages = Math.max(1, Math.ceil(total / safePageSize));
+  const boundedPage = Math.min(safePage, totalPages);
+  const offset = (boundedPage - 1) * safePageSize;
+  const rowsResult = await env.DB.prepare(
+    `SELECT
+      post_slug AS postSlug,
+      title,
+      description,
+      published,
+      ${isPageSelect},
+      created_at AS createdAt,
+      updated_at AS updatedAt
+    FROM posts
+    WHERE site_id = ? AND published = 1 ${pageFilter}
+    ORDER BY updated_at DESC
+    LIMIT ? OFFSET ?`
+  )
+    .bind(siteId, safePageSize, offset)
+    .all();
+
+  return {
+    posts: rowsResult.results || [],
+    total,
+    page: boundedPage,
+    pageSize: safePageSize,
+    totalPages,
+    hasPrev: boundedPage > 1,
+    hasNext: boundedPage < totalPages,
+  };
 }
 
-function sanitizeFaviconUrl(value) {
-  const url = String(value || "").trim();
-  if (!url) {
-    return "";
+async function listPosts(env, siteId, includeDrafts = false, authorMemberId = null) {
+  if (authorMemberId !== null && !(await hasPostsColumn(env, "author_member_id"))) {
+    return [];
   }
-  if (/^https?:\/\//i.test(url)) {
-    return url.slice(0, 500);
-  }
-  return "";
-}
-
-function normalizeSiteConfig(rawConfig, site) {
-  const base = site
-    ? defaultSiteConfigFromSite(site)
-    : {
-      slug: "",
-      displayName: "",
-      description: "",
-      heroTitle: "",
-      heroSubtitle: "",
-      colorTheme: "default",
-      footerNote: "",
-      customCss: "",
-      faviconUrl: DEFAULT_FAVICON_URL,
-      headerLinks: [],
-      hideCommunitySites: false,
-      hideCampusFeed: false,
-      commentsEnabled: true,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      exportVersion: SITE_CONFIG_VERSION,
-    };
+  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
+  const isPageSelect = hasIsPageColumn ? "is_page AS isPage" : "0 AS isPage";
+  const publishedFilter = includeDrafts ? "" : "AND published = 1";
+  const pageFilter = includeDrafts
+    ? ""
+    : (hasIsPageColumn ? "AND is_page = 0" : "");
+  const publishAtSelect = includeDrafts && (await hasPostsColumn(env, "publish_at"))
+    ? "publish_at AS publishAt"
+    : "NULL AS publishAt";
+  const authorBinds = authorMemberId === null ? [] : [Number(authorMemberId)];
+  const authorFilter = authorBinds.length ? "AND author_member_id = ?" : "";
 
-  const merged = {
-    ...base,
-    ...(rawConfig && typeof rawConfig === "object" ? rawConfig : {}),
-  };
-  const normalizedFooterNote = sanitizeDescription(merged.footerNote || base.footerNote);
+  const sql = `SELECT
+      post_slug AS postSlug,
+      title,
+      description,
+      published,
+      ${isPageSelect},
+      ${publishAtSelect},
+      created_at AS createdAt,
+      updated_at AS updatedAt
+    FROM posts
+    WHERE site_id = ? ${publishedFilter} ${pageFilter} ${authorFilter}
+    ORDER BY updated_at DESC`;
 
-  return {
-    slug: String(merged.slug || base.slug).toLowerCase(),
-    displayName: sanitizeName(merged.displayName || base.displayName) || base.slug,
-    description: sanitizeDescription(merged.description || ""),
-    heroTitle: sanitizeTitle(merged.heroTitle || ""),
-    heroSubtitle: sanitizeDescription(merged.heroSubtitle || ""),
-    colorTheme: sanitizeColorTheme(merged.colorTheme || base.colorTheme || "default"),
-    footerNote: normalizedFooterNote === LEGACY_FOOTER_NOTE ? "" : normalizedFooterNote,
-    customCss: sanitizeCustomCss(merged.customCss || base.customCss || ""),
-    faviconUrl: sanitizeFaviconUrl(merged.faviconUrl || base.faviconUrl || DEFAULT_FAVICON_URL),
-    headerLinks: sanitizeHeaderLinks(Array.isArray(merged.headerLinks) ? merged.headerLinks : []),
-    hideCommunitySites: Boolean(merged.hideCommunitySites),
-    hideCampusFeed: Boolean(merged.hideCampusFeed),
-    commentsEnabled: merged.commentsEnabled === undefined ? true : Boolean(merged.commentsEnabled),
-    createdAt: String(merged.createdAt || base.createdAt),
-    updatedAt: String(merged.updatedAt || new Date().toISOString()),
-    exportVersion: SITE_CONFIG_VERSION,
-  };
+  const result = await env.DB.prepare(sql).bind(siteId, ...authorBinds).all();
+  return result.results || [];
 }
 
-async function getSiteConfig(env, site) {
-  const fallback = normalizeSiteConfig({}, site);
-  const filePath = getSiteConfigPath(site.slug);
-
-  try {
-    const file = await githubReadFile(env, filePath);
-    if (!file || !file.content) {
-      return fallback;
-    }
-
-    const parsed = JSON.parse(file.content);
-    return normalizeSiteConfig(parsed, site);
-  } catch (error) {
-    console.error("Failed to load site config", error);
-    return fallback;
+async function listSitePages(env, siteId, limit = 20) {
+  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
+  if (!hasIsPageColumn) {
+    return [];
   }
-}
-
-async function notifyTelegramNewSite(env, payload) {
-  const botToken = String(env.TELEGRAM_BOT_TOKEN || "").trim();
-  const chatId = String(env.TELEGRAM_CHAT_ID || "").trim();
 
-  if (!botToken || !chatId) {
-    return;
-  }
+  const safeLimit = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const result = await env.DB.prepare(
+    `SELECT
+      post_slug AS postSlug,
+      title,
+      description,
+      created_at AS createdAt,
+      updated_at AS updatedAt
+    FROM posts
+    WHERE site_id = ? AND published = 1 AND is_page = 1
+    ORDER BY updated_at DESC
+    LIMIT ?`
+  )
+    .bind(siteId, safeLimit)
+    .all();
 
-  const lines = [
-    "🆕 新 Blog 註冊",
-    `站點：${payload.slug}.bdfz.net`,
-    `名稱：${payload.displayName}`,
-    `時間：${payload.createdAt}`,
-    `後台：${payload.siteUrl}/admin`,
-  ];
+  return result.results || [];
+}
 
-  const endpoint = `https://api.telegram.org/bot${botToken}/sendMessage`;
-  let response;
-  try {
-    response = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text: lines.join("\n"),
-        disable_web_page_preview: true,
-      }),
+async function ensureCommentsTable(env) {
+  if (!commentsTableReadyPromise) {
+    commentsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS comments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          site_id INTEGER NOT NULL,
+          post_slug TEXT NOT NULL,
+          author_name TEXT NOT NULL,
+          author_site_slug TEXT NOT NULL DEFAULT '',
+          content TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_comments_site_post_created
+         ON comments(site_id, post_slug, created_at DESC)`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_comments_site_created
+         ON comments(site_id, created_at DESC)`
+      ).run();
+    })().catch((error) => {
+      commentsTableReadyPromise = null;
+      throw error;
     });
-  } catch {
-    throw new Error("Telegram notify request failed");
-  }
-
-  if (!response.ok) {
-    throw new Error(`Telegram notify failed (${response.status})`);
   }
+  return commentsTableReadyPromise;
 }
 
-async function createPasswordHash(password, env) {
-  const salt = randomHex(16);
-  const digest = deriveScryptHex(password, salt, env, {
-    n: PASSWORD_SCRYPT_N,
-    r: PASSWORD_SCRYPT_R,
-    p: PASSWORD_SCRYPT_P,
-    keyLength: PASSWORD_SCRYPT_KEYLEN,
-  });
-  return `scrypt$${PASSWORD_SCRYPT_N}$${PASSWORD_SCRYPT_R}$${PASSWORD_SCRYPT_P}$${salt}$${digest}`;
-}
-
-async function verifyPassword(password, stored, env) {
-  const parsedScrypt = parseScryptPasswordHash(stored);
-  if (parsedScrypt) {
-    const digest = deriveScryptHex(password, parsedScrypt.salt, env, {
-      n: parsedScrypt.n,
-      r: parsedScrypt.r,
-      p: parsedScrypt.p,
-      keyLength: PASSWORD_SCRYPT_KEYLEN,
+async function ensureReactionsTable(env) {
+  if (!reactionsTableReadyPromise) {
+    reactionsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS reactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          site_id INTEGER NOT NULL,
+          post_slug TEXT NOT NULL,
+          reaction_key TEXT NOT NULL,
+          actor_token TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          UNIQUE(site_id, post_slug, reaction_key, actor_token),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_reactions_site_post
+         ON reactions(site_id, post_slug, created_at DESC)`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_reactions_actor
+         ON reactions(site_id, post_slug, actor_token)`
+      ).run();
+    })().catch((error) => {
+      reactionsTableReadyPromise = null;
+      throw error;
     });
-    return timingSafeEqual(parsedScrypt.digest, digest);
-  }
-
-  const [salt, hash] = String(stored || "").split(":");
-  if (!salt || !hash) {
-    return false;
   }
-  const digest = await sha256Hex(`${salt}:${password}:${getSessionSecret(env)}`);
-  return timingSafeEqual(hash, digest);
+  return reactionsTableReadyPromise;
 }
 
-function parseScryptPasswordHash(stored) {
-  const raw = String(stored || "");
-  if (!raw.startsWith("scrypt$")) {
-    return null;
-  }
-  const parts = raw.split("$");
-  if (parts.length !== 6) {
-    return null;
+async function ensureViewsTable(env) {
+  if (!viewsTableReadyPromise) {
+    viewsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS page_views (
+          site_id INTEGER NOT NULL,
+          resource_type TEXT NOT NULL,
+          resource_key TEXT NOT NULL,
+          view_count INTEGER NOT NULL DEFAULT 0,
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          PRIMARY KEY(site_id, resource_type, resource_key),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_page_views_site_type
+         ON page_views(site_id, resource_type, updated_at DESC)`
+      ).run();
+    })().catch((error) => {
+      viewsTableReadyPromise = null;
+      throw error;
+    });
   }
+  return viewsTableReadyPromise;
+}
 
-  const n = Number(parts[1]);
-  const r = Number(parts[2]);
-  const p = Number(parts[3]);
-  const salt = String(parts[4] || "");
-  const digest = String(parts[5] || "");
-  if (!Number.isFinite(n) || !Number.isFinite(r) || !Number.isFinite(p)) {
-    return null;
-  }
-  if (!salt || !/^[a-f0-9]{16,64}$/i.test(salt)) {
-    return null;
-  }
-  if (!digest || !/^[a-f0-9]{32,256}$/i.test(digest)) {
-    return null;
+async function ensureNotificationTables(env) {
+  if (!notificationTablesReadyPromise) {
+    notificationTablesReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS site_notifications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          site_id INTEGER NOT NULL,
+          event_type TEXT NOT NULL,
+          post_slug TEXT NOT NULL,
+          post_title TEXT NOT NULL DEFAULT '',
+          actor_name TEXT NOT NULL DEFAULT '',
+          actor_site_slug TEXT NOT NULL DEFAULT '',
+          content_preview TEXT NOT NULL DEFAULT '',
+          reaction_key TEXT NOT NULL DEFAULT '',
+          reaction_label TEXT NOT NULL DEFAULT '',
+          target_path TEXT NOT NULL DEFAULT '',
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          read_at TEXT,
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_site_notifications_site_created
+         ON site_notifications(site_id, created_at DESC)`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_site_notifications_site_read
+         ON site_notifications(site_id, read_at, created_at DESC)`
+      ).run();
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS site_telegram_settings (
+          site_id INTEGER PRIMARY KEY,
+          enabled INTEGER NOT NULL DEFAULT 0,
+          notify_comments INTEGER NOT NULL DEFAULT 1,
+          notify_reactions INTEGER NOT NULL DEFAULT 1,
+          telegram_chat_id TEXT NOT NULL DEFAULT '',
+          telegram_bot_token_enc TEXT NOT NULL DEFAULT '',
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_site_telegram_settings_updated
+         ON site_telegram_settings(updated_at DESC)`
+      ).run();
+    })().catch((error) => {
+      notificationTablesReadyPromise = null;
+      throw error;
+    });
   }
-
-  return { n, r, p, salt, digest: digest.toLowerCase() };
+  return notificationTablesReadyPromise;
 }
 
-function isLegacyPasswordHash(stored) {
-  return !String(stored || "").startsWith("scrypt$");
+async function ensureRateLimitsTable(env) {
+  if (!rateLimitsTableReadyPromise) {
+    rateLimitsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS rate_limits (
+          rate_key TEXT PRIMARY KEY,
+          window_start_ms INTEGER NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_rate_limits_updated
+         ON rate_limits(updated_at DESC)`
+      ).run();
+    })().catch((error) => {
+      rateLimitsTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return rateLimitsTableReadyPromise;
 }
 
-function deriveScryptHex(password, salt, env, options) {
-  const keyLength = Math.max(Number(options?.keyLength || PASSWORD_SCRYPT_KEYLEN), 16);
-  const n = Math.max(Number(options?.n || PASSWORD_SCRYPT_N), 2);
-  const r = Math.max(Number(options?.r || PASSWORD_SCRYPT_R), 1);
-  const p = Math.max(Number(options?.p || PASSWORD_SCRYPT_P), 1);
+async function consumeRateLimit(env, rateKey, windowMs, maxAttempts, ctx = null) {
+  await ensureRateLimitsTable(env);
+  maybeScheduleRateLimitGc(env, ctx);
 
-  const material = `${String(password || "")}:${getSessionSecret(env)}`;
-  const derived = scryptSync(material, salt, keyLength, {
-    N: n,
-    r,
-    p,
-    maxmem: 128 * 1024 * 1024,
-  });
-  return derived.toString("hex");
-}
+  const nowMs = Date.now();
+  const nowIso = new Date(nowMs).toISOString();
+  const safeKey = String(rateKey || "").slice(0, 180);
+  const safeWindowMs = Math.max(Number(windowMs) || 60_000, 1_000);
+  const safeMaxAttempts = Math.max(Number(maxAttempts) || 1, 1);
 
-async function createSessionToken(slug, env) {
-  const payload = {
-    slug,
-    exp: Date.now() + SESSION_TTL_SECONDS * 1000,
-  };
+  const existing = await env.DB.prepare(
+    `SELECT window_start_ms AS windowStartMs, attempts
+     FROM rate_limits
+     WHERE rate_key = ?`
+  )
+    .bind(safeKey)
+    .first();
 
-  const payloadEncoded = toBase64Url(JSON.stringify(payload));
-  const signature = await hmacHex(payloadEncoded, getSessionSecret(env));
-  return `${payloadEncoded}.${signature}`;
-}
+  const windowStartMs = Number(existing?.windowStartMs || 0);
+  const attempts = Number(existing?.attempts || 0);
+  const sameWindow = existing && nowMs - windowStartMs < safeWindowMs;
 
-async function verifySessionToken(token, env) {
-  const raw = String(token || "");
-  if (!raw.includes(".")) {
-    return null;
+  if (!sameWindow) {
+    await env.DB.prepare(
+      `INSERT INTO rate_limits (rate_key, window_start_ms, attempts, updated_at)
+       VALUES (?, ?, 1, ?)
+       ON CONFLICT(rate_key) DO UPDATE SET
+         window_start_ms = excluded.window_start_ms,
+         attempts = 1,
+         updated_at = excluded.updated_at`
+    )
+      .bind(safeKey, nowMs, nowIso)
+      .run();
+    return {
+      allowed: true,
+      attempts: 1,
+      remaining: Math.max(safeMaxAttempts - 1, 0),
+      retryAfterMs: 0,
+    };
   }
 
-  const [payloadEncoded, signature] = raw.split(".");
-  if (!payloadEncoded || !signature) {
-    return null;
+  if (attempts >= safeMaxAttempts) {
+    return {
+      allowed: false,
+      attempts,
+      remaining: 0,
+      retryAfterMs: Math.max(safeWindowMs - (nowMs - windowStartMs), 1_000),
+    };
   }
 
-  const expected = await hmacHex(payloadEncoded, getSessionSecret(env));
-  if (!timingSafeEqual(signature, expected)) {
-    return null;
-  }
+  const nextAttempts = attempts + 1;
+  await env.DB.prepare(
+    `UPDATE rate_limits
+     SET attempts = ?, updated_at = ?
+     WHERE rate_key = ?`
+  )
+    .bind(nextAttempts, nowIso, safeKey)
+    .run();
 
-  let payload;
-  try {
-    payload = JSON.parse(fromBase64Url(payloadEncoded));
-  } catch {
-    return null;
-  }
+  return {
+    allowed: true,
+    attempts: nextAttempts,
+    remaining: Math.max(safeMaxAttempts - nextAttempts, 0),
+    retryAfterMs: 0,
+  };
+}
 
-  if (!payload || typeof payload.slug !== "string" || typeof payload.exp !== "number") {
-    return null;
+function maybeScheduleRateLimitGc(env, ctx = null) {
+  if (Math.random() >= 0.01) {
+    return;
   }
+  const cleanupPromise = env.DB.prepare(
+    `DELETE FROM rate_limits
+     WHERE updated_at < strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-1 day')`
+  )
+    .run()
+    .catch((error) => {
+      console.error("Failed to cleanup stale rate limits", error);
+    });
 
-  if (Date.now() > payload.exp) {
-    return null;
+  if (ctx && typeof ctx.waitUntil === "function") {
+    ctx.waitUntil(cleanupPromise);
   }
-
-  return payload;
 }
 
-async function isSiteAuthenticated(request, env, slug) {
-  const cookies = parseCookies(request.headers.get("cookie") || "");
-  const token = cookies[SESSION_COOKIE];
-  if (!token) {
-    return false;
+async function clearRateLimit(env, rateKey) {
+  if (!rateKey) {
+    return;
   }
-
-  let session;
   try {
-    session = await verifySessionToken(token, env);
+    await ensureRateLimitsTable(env);
+    await env.DB.prepare("DELETE FROM rate_limits WHERE rate_key = ?")
+      .bind(String(rateKey).slice(0, 180))
+      .run();
   } catch (error) {
-    console.error("Session verification failed", error);
-    return false;
+    console.error("Failed to clear rate limit", error);
   }
+}
 
-  if (!session) {
-    return false;
+async function getPostsColumns(env) {
+  const db = env?.DB;
+  if (!db) {
+    return new Set();
   }
 
-  return session.slug === slug;
+  let columnsPromise = postsColumnsPromiseByDb.get(db);
+  if (!columnsPromise) {
+    columnsPromise = db
+      .prepare("PRAGMA table_info(posts)")
+      .all()
+      .then((result) => {
+        const rows = result.results || [];
+        return new Set(
+          rows
+            .map((item) => String(item.name || "").toLowerCase())
+            .filter(Boolean)
+        );
+      })
+      .catch((error) => {
+        postsColumnsPromiseByDb.delete(db);
+        throw error;
+      });
+    postsColumnsPromiseByDb.set(db, columnsPromise);
+  }
+  return columnsPromise;
 }
 
-function buildSessionCookie(token) {
-  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${SESSION_TTL_SECONDS}`;
+async function hasPostsColumn(env, columnName) {
+  try {
+    const columns = await getPostsColumns(env);
+    return columns.has(String(columnName || "").toLowerCase());
+  } catch (error) {
+    console.error("Failed to inspect posts columns", error);
+    return false;
+  }
 }
 
-function buildClearSessionCookie() {
-  return `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`;
-}
+async function listPostComments(env, siteId, postSlug, page = 1, pageSize = COMMENTS_PAGE_SIZE) {
+  await ensureCommentsTable(env);
+  const safePageSize = Math.min(Math.max(Number(pageSize) || COMMENTS_PAGE_SIZE, 1), 80);
+  const safePage = Math.max(Number(page) || 1, 1);
 
-function withCookie(response, cookieValue) {
-  const headers = new Headers(response.headers);
-  headers.append("Set-Cookie", cookieValue);
-  return new Response(response.body, {
-    status: response.status,
-    headers,
-  });
-}
+  const totalResult = await env.DB.prepare(
+    `SELECT COUNT(*) AS total
+     FROM comments
+     WHERE site_id = ? AND post_slug = ?`
+  )
+    .bind(siteId, postSlug)
+    .first();
 
-function parseCookies(cookieHeader) {
-  const entries = String(cookieHeader || "")
-    .split(";")
-    .map((value) => value.trim())
-    .filter(Boolean)
-    .map((pair) => {
-      const [name, ...rest] = pair.split("=");
-      return [name, rest.join("=")];
-    });
+  const total = Math.max(Number(totalResult?.total || 0), 0);
+  const totalPages = Math.max(1, Math.ceil(total / safePageSize));
+  const boundedPage = Math.min(safePage, totalPages);
+  const offset = (boundedPage - 1) * safePageSize;
+  const rowsResult = await env.DB.prepare(
+    `SELECT
+      id,
+      post_slug AS postSlug,
+      author_name AS authorName,
+      author_site_slug AS authorSiteSlug,
+      content,
+      created_at AS createdAt
+    FROM comments
+    WHERE site_id = ? AND post_slug = ?
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?`
+  )
+    .bind(siteId, postSlug, safePageSize, offset)
+    .all();
 
-  return Object.fromEntries(entries);
-}
+  const comments = (rowsResult.results || []).map((item) => ({
+    id: Number(item.id),
+    postSlug: item.postSlug,
+    authorName: item.authorName,
+    authorSiteSlug: item.authorSiteSlug || "",
+    content: item.content,
+    createdAt: item.createdAt,
+  }));
 
-function getInviteCodes(env) {
-  return new Set(
-    String(env.INVITE_CODES || "")
-      .split(",")
-      .map((value) => value.trim())
-      .filter(Boolean)
-  );
+  return {
+    comments,
+    total,
+    page: boundedPage,
+    totalPages,
+    pageSize: safePageSize,
+  };
 }
 
-function getAllowedCorsOrigins(env) {
-  return new Set(
-    String(env.CORS_ALLOWED_ORIGINS || "")
-      .split(",")
-      .map((value) => value.trim())
-      .filter(Boolean)
-  );
-}
+async function listSiteComments(env, siteId, page = 1, pageSize = COMMENTS_PAGE_SIZE) {
+  await ensureCommentsTable(env);
+  const safePageSize = Math.min(Math.max(Number(pageSize) || COMMENTS_PAGE_SIZE, 1), 80);
+  const safePage = Math.max(Number(page) || 1, 1);
 
-function resolveCorsOrigin(request, env) {
-  const origin = String(request.headers.get("origin") || "").trim();
-  if (!origin) {
-    return null;
-  }
+  const totalResult = await env.DB.prepare(
+    "SELECT COUNT(*) AS total FROM comments WHERE site_id = ?"
+  )
+    .bind(siteId)
+    .first();
 
-  const allowedOrigins = getAllowedCorsOrigins(env);
-  if (!allowedOrigins.size) {
-    return null;
-  }
+  const total = Math.max(Number(totalResult?.total || 0), 0);
+  const totalPages = Math.max(1, Math.ceil(total / safePageSize));
+  const boundedPage = Math.min(safePage, totalPages);
+  const offset = (boundedPage - 1) * safePageSize;
+  const rowsResult = await env.DB.prepare(
+    `SELECT
+      id,
+      post_slug AS postSlug,
+      author_name AS authorName,
+      author_site_slug AS authorSiteSlug,
+      content,
+      created_at AS createdAt
+    FROM comments
+    WHERE site_id = ?
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?`
+  )
+    .bind(siteId, safePageSize, offset)
+    .all();
 
-  if (allowedOrigins.has("*")) {
-    return "*";
-  }
+  const comments = (rowsResult.results || []).map((item) => ({
+    id: Number(item.id),
+    postSlug: item.postSlug,
+    authorName: item.authorName,
+    authorSiteSlug: item.authorSiteSlug || "",
+    content: item.content,
+    createdAt: item.createdAt,
+  }));
 
-  return allowedOrigins.has(origin) ? origin : null;
+  return {
+    comments,
+    total,
+    page: boundedPage,
+    totalPages,
+    pageSize: safePageSize,
+  };
 }
 
-function withCors(response, request, env) {
-  const allowedOrigin = resolveCorsOrigin(request, env);
-  if (!allowedOrigin) {
-    return response;
-  }
-
-  const headers = new Headers(response.headers);
-  headers.set("Access-Control-Allow-Origin", allowedOrigin);
-  headers.set("Access-Control-Allow-Methods", "GET,POST,DELETE,OPTIONS");
-  headers.set("Access-Control-Allow-Headers", "Content-Type");
-  headers.set("Vary", "Origin");
+async function createComment(env, siteId, postSlug, authorName, authorSiteSlug, content) {
+  await ensureCommentsTable(env);
+  const createdAt = new Date().toISOString();
+  const result = await env.DB.prepare(
+    `INSERT INTO comments (site_id, post_slug, author_name, author_site_slug, content, created_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  )
+    .bind(siteId, postSlug, authorName, authorSiteSlug, content, createdAt)
+    .run();
 
-  return new Response(response.body, {
-    status: response.status,
-    headers,
-  });
+  const id = Number(result.meta?.last_row_id || 0);
+  return {
+    id,
+    postSlug,
+    authorName,
+    authorSiteSlug,
+    content,
+    createdAt,
+  };
 }
 
-function buildApiPreflightResponse(request, env) {
-  const allowedOrigin = resolveCorsOrigin(request, env);
-  if (!allowedOrigin) {
-    return new Response("Forbidden origin", { status: 403 });
-  }
-
-  return new Response(null, {
-    status: 204,
-    headers: {
-      "Access-Control-Allow-Origin": allowedOrigin,
-      "Access-Control-Allow-Methods": "GET,POST,DELETE,OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
-      "Access-Control-Max-Age": "86400",
-      Vary: "Origin",
-    },
-  });
+async function deleteComment(env, siteId, commentId) {
+  await ensureCommentsTable(env);
+  const result = await env.DB.prepare(
+    "DELETE FROM comments WHERE id = ? AND site_id = ?"
+  )
+    .bind(commentId, siteId)
+    .run();
+  return Number(result.meta?.changes || 0) > 0;
 }
 
-function getSessionSecret(env) {
-  const secret = String(env.SESSION_SECRET || "").trim();
-  if (!secret) {
-    throw new Error("Missing SESSION_SECRET");
+function normalizeViewResourceType(value) {
+  const type = String(value || "").trim().toLowerCase();
+  if (type === "home") {
+    return "home";
   }
-  return secret;
-}
-
-function randomHex(byteLength) {
-  const bytes = new Uint8Array(byteLength);
-  crypto.getRandomValues(bytes);
-  return Array.from(bytes, (value) => value.toString(16).padStart(2, "0")).join("");
-}
-
-function bytesToHex(bytes) {
-  return Array.from(bytes || [], (value) => Number(value).toString(16).padStart(2, "0")).join("");
+  return "post";
 }
 
-function hexToBytes(hex) {
-  const raw = String(hex || "").trim().toLowerCase();
-  if (!raw || raw.length % 2 !== 0 || /[^0-9a-f]/.test(raw)) {
-    return null;
+function normalizeViewResourceKey(resourceType, value) {
+  if (resourceType === "home") {
+    return HOME_VIEW_KEY;
   }
-  const bytes = new Uint8Array(raw.length / 2);
-  for (let index = 0; index < raw.length; index += 2) {
-    bytes[index / 2] = Number.parseInt(raw.slice(index, index + 2), 16);
+  const slug = String(value || "").trim().toLowerCase();
+  if (!slug) {
+    return "";
   }
-  return bytes;
+  if (slug.length > 120) {
+    return slug.slice(0, 120);
+  }
+  return slug;
 }
 
-async function getSensitiveCryptoKey(env) {
-  const secret = `${getSessionSecret(env)}:site-tele-notify:v1`;
-  const secretDigest = await crypto.subtle.digest(
-    "SHA-256",
-    new TextEncoder().encode(secret)
-  );
-  return crypto.subtle.importKey(
-    "raw",
-    secretDigest,
-    { name: "AES-GCM" },
-    false,
-    ["encrypt", "decrypt"]
-  );
+function formatViewCount(value) {
+  const safe = Math.max(Number(value) || 0, 0);
+  return new Intl.NumberFormat("zh-Hant").format(safe);
 }
 
-async function encryptSensitiveValue(value, env) {
-  const plain = String(value || "");
-  if (!plain) {
-    return "";
+async function incrementPageViewCount(env, siteId, resourceType, resourceKey) {
+  await ensureViewsTable(env);
+  const normalizedType = normalizeViewResourceType(resourceType);
+  const normalizedKey = normalizeViewResourceKey(normalizedType, resourceKey);
+  if (!normalizedKey) {
+    return 0;
   }
-  const iv = new Uint8Array(12);
-  crypto.getRandomValues(iv);
-  const key = await getSensitiveCryptoKey(env);
-  const encrypted = await crypto.subtle.encrypt(
-    { name: "AES-GCM", iv },
-    key,
-    new TextEncoder().encode(plain)
-  );
-  return `v1$${bytesToHex(iv)}$${bytesToHex(new Uint8Array(encrypted))}`;
+  const now = new Date().toISOString();
+  await env.DB.prepare(
+    `INSERT INTO page_views (site_id, resource_type, resource_key, view_count, updated_at)
+     VALUES (?, ?, ?, 1, ?)
+     ON CONFLICT(site_id, resource_type, resource_key)
+     DO UPDATE SET
+       view_count = page_views.view_count + 1,
+       updated_at = excluded.updated_at`
+  )
+    .bind(siteId, normalizedType, normalizedKey, now)
+    .run();
+
+  const row = await env.DB.prepare(
+    `SELECT view_count AS viewCount
+     FROM page_views
+     WHERE site_id = ? AND resource_type = ? AND resource_key = ?
+     LIMIT 1`
+  )
+    .bind(siteId, normalizedType, normalizedKey)
+    .first();
+
+  return Math.max(Number(row?.viewCount || 0), 0);
 }
 
-async function decryptSensitiveValue(value, env) {
-  const raw = String(value || "").trim();
-  if (!raw) {
-    return "";
+async function listPageViewCounts(env, siteId, resourceType, resourceKeys = []) {
+  await ensureViewsTable(env);
+  const normalizedType = normalizeViewResourceType(resourceType);
+  const uniqueKeys = Array.from(
+    new Set(
+      resourceKeys
+        .map((item) => normalizeViewResourceKey(normalizedType, item))
+        .filter(Boolean)
+    )
+  );
+  if (!uniqueKeys.length) {
+    return new Map();
   }
-  const parts = raw.split("$");
-  if (parts.length !== 3 || parts[0] !== "v1") {
+  const placeholders = uniqueKeys.map(() => "?").join(", ");
+  const query = `SELECT resource_key AS resourceKey, view_count AS viewCount
+    FROM page_views
+    WHERE site_id = ? AND resource_type = ? AND resource_key IN (${placeholders})`;
+  const result = await env.DB.prepare(query)
+    .bind(siteId, normalizedType, ...uniqueKeys)
+    .all();
+  const viewMap = new Map();
+  for (const row of result.results || []) {
+    const key = String(row.resourceKey || "");
+    if (!key) {
+      continue;
+    }
+    viewMap.set(key, Math.max(Number(row.viewCount || 0), 0));
+  }
+  return viewMap;
+}
+
+function sanitizeActorToken(value) {
+  const token = String(value || "").trim().toLowerCase();
+  if (!token) {
     return "";
   }
-  const iv = hexToBytes(parts[1]);
-  const cipherBytes = hexToBytes(parts[2]);
-  if (!iv || !cipherBytes) {
+  if (!/^[a-f0-9]{20,64}$/.test(token)) {
     return "";
   }
+  return token.slice(0, 64);
+}
 
-  const key = await getSensitiveCryptoKey(env);
-  const decrypted = await crypto.subtle.decrypt(
-    { name: "AES-GCM", iv },
-    key,
-    cipherBytes
-  );
-  return new TextDecoder().decode(decrypted);
+async function deriveIpActorToken(request, env) {
+  const ip = String(request.headers.get("cf-connecting-ip") || "").trim();
+  const ua = String(request.headers.get("user-agent") || "").trim();
+  if (!ip) {
+    return randomHex(16);
+  }
+  const digest = await sha256Hex(`${ip}|${ua}|${getSessionSecret(env)}|reactor-ip-v1`);
+  return sanitizeActorToken(digest) || randomHex(16);
 }
 
-async function sha256Hex(value) {
-  const encoded = new TextEncoder().encode(value);
-  const digest = await crypto.subtle.digest("SHA-256", encoded);
-  const bytes = new Uint8Array(digest);
-  return Array.from(bytes, (value) => value.toString(16).padStart(2, "0")).join("");
+async function resolveReactorToken(request, env) {
+  const cookies = parseCookies(request.headers.get("cookie") || "");
+  const existing = sanitizeActorToken(cookies[REACTOR_COOKIE]);
+  const ipToken = await deriveIpActorToken(request, env);
+  if (existing) {
+    if (existing === ipToken) {
+      return { token: ipToken, shouldSetCookie: false };
+    }
+    const mixed = await sha256Hex(`${existing}:${ipToken}:reactor-mix-v1`);
+    return { token: sanitizeActorToken(mixed) || ipToken, shouldSetCookie: false };
+  }
+  return { token: ipToken, shouldSetCookie: true };
 }
 
-async function hmacHex(value, secret) {
-  const key = await crypto.subtle.importKey(
-    "raw",
-    new TextEncoder().encode(secret),
-    {
-      name: "HMAC",
-      hash: "SHA-256",
-    },
-    false,
-    ["sign"]
-  );
+function buildReactorCookie(token) {
+  return `${REACTOR_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${REACTOR_COOKIE_TTL_SECONDS}`;
+}
 
-  const signature = await crypto.subtle.sign(
-    "HMAC",
-    key,
-    new TextEncoder().encode(value)
+function sanitizeReactionKey(value) {
+  const key = String(value || "").trim().toLowerCase();
+  return REACTION_PRESET_MAP.has(key) ? key : "";
+}
+
+function buildReactionSnapshot(countsByKey = new Map(), selectedKeys = new Set()) {
+  const normalizedSelected = new Set(
+    Array.from(selectedKeys || []).map((item) => sanitizeReactionKey(item)).filter(Boolean)
   );
+  const items = REACTION_PRESETS.map((preset, index) => {
+    const count = Math.max(Number(countsByKey.get(preset.key) || 0), 0);
+    return {
+      ...preset,
+      orderIndex: index,
+      count,
+      selected: normalizedSelected.has(preset.key),
+    };
+  }).sort((left, right) => {
+    if (left.count !== right.count) {
+      return right.count - left.count;
+    }
+    return left.orderIndex - right.orderIndex;
+  }).map((item) => ({
+    key: item.key,
+    icon: item.icon,
+    label: item.label,
+    count: item.count,
+    selected: item.selected,
+  }));
 
-  const bytes = new Uint8Array(signature);
-  return Array.from(bytes, (item) => item.toString(16).padStart(2, "0")).join("");
+  return {
+    items,
+    total: items.reduce((sum, item) => sum + item.count, 0),
+    selectedKeys: items.filter((item) => item.selected).map((item) => item.key),
+  };
 }
 
-function timingSafeEqual(left, right) {
-  const a = String(left || "");
-  const b = String(right || "");
-
-  const length = Math.max(a.length, b.length);
-  let mismatch = a.length ^ b.length;
-  for (let i = 0; i < length; i += 1) {
-    mismatch |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+async function listPostReactionSnapshot(env, siteId, postSlug, actorToken = "") {
+  await ensureReactionsTable(env);
+  const countsResult = await env.DB.prepare(
+    `SELECT reaction_key AS reactionKey, COUNT(*) AS total
+     FROM reactions
+     WHERE site_id = ? AND post_slug = ?
+     GROUP BY reaction_key`
+  )
+    .bind(siteId, postSlug)
+    .all();
+  const countsMap = new Map();
+  for (const row of countsResult.results || []) {
+    const key = sanitizeReactionKey(row.reactionKey);
+    if (!key) {
+      continue;
+    }
+    countsMap.set(key, Math.max(Number(row.total || 0), 0));
   }
 
-  return mismatch === 0;
+  const normalizedActorToken = sanitizeActorToken(actorToken);
+  const selected = new Set();
+  if (normalizedActorToken) {
+    const selectedResult = await env.DB.prepare(
+      `SELECT reaction_key AS reactionKey
+       FROM reactions
+       WHERE site_id = ? AND post_slug = ? AND actor_token = ?`
+    )
+      .bind(siteId, postSlug, normalizedActorToken)
+      .all();
+    for (const row of selectedResult.results || []) {
+      const key = sanitizeReactionKey(row.reactionKey);
+      if (key) {
+        selected.add(key);
+      }
+    }
+  }
+  return buildReactionSnapshot(countsMap, selected);
 }
 
-function toBase64Utf8(value) {
-  const bytes = new TextEncoder().encode(String(value || ""));
-  let binary = "";
-  for (const byte of bytes) {
-    binary += String.fromCharCode(byte);
+async function togglePostReaction(env, siteId, postSlug, reactionKey, actorToken) {
+  await ensureReactionsTable(env);
+  const normalizedReactionKey = sanitizeReactionKey(reactionKey);
+  const normalizedActorToken = sanitizeActorToken(actorToken);
+  if (!normalizedReactionKey || !normalizedActorToken) {
+    return false;
   }
-  return btoa(binary);
-}
 
-function fromBase64Utf8(base64Value) {
-  const normalized = String(base64Value || "").replace(/\n/g, "");
-  const binary = atob(normalized);
-  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
-  return new TextDecoder().decode(bytes);
-}
+  const existing = await env.DB.prepare(
+    `SELECT id
+     FROM reactions
+     WHERE site_id = ? AND post_slug = ? AND reaction_key = ? AND actor_token = ?
+     LIMIT 1`
+  )
+    .bind(siteId, postSlug, normalizedReactionKey, normalizedActorToken)
+    .first();
 
-function toBase64Url(value) {
-  return toBase64Utf8(value).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
-}
+  if (existing) {
+    await env.DB.prepare(
+      `DELETE FROM reactions
+       WHERE site_id = ? AND post_slug = ? AND reaction_key = ? AND actor_token = ?`
+    )
+      .bind(siteId, postSlug, normalizedReactionKey, normalizedActorToken)
+      .run();
+    return false;
+  }
 
-function fromBase64Url(value) {
-  const base64 = String(value || "").replace(/-/g, "+").replace(/_/g, "/");
-  const padding = (4 - (base64.length % 4)) % 4;
-  return fromBase64Utf8(base64 + "=".repeat(padding));
+  await env.DB.prepare(
+    `INSERT INTO reactions (site_id, post_slug, reaction_key, actor_token, created_at)
+     VALUES (?, ?, ?, ?, ?)`
+  )
+    .bind(siteId, postSlug, normalizedReactionKey, normalizedActorToken, new Date().toISOString())
+    .run();
+  return true;
 }
 
-function normalizePath(pathname) {
-  const path = String(pathname || "/");
-  if (path.length > 1 && path.endsWith("/")) {
-    return path.slice(0, -1);
+function sanitizeNotifyEventType(value) {
+  const type = String(value || "").trim().toLowerCase();
+  if (type === "comment") {
+    return "comment";
   }
-  return path;
-}
-
-function parsePositiveInt(value, fallback = 1, min = 1, max = 9999) {
-  const parsed = Number.parseInt(String(value || ""), 10);
-  if (!Number.isFinite(parsed) || parsed < min) {
-    return fallback;
-  }
-  if (parsed > max) {
-    return max;
-  }
-  return parsed;
-}
-
-function parseCSV(text) {
-  const lines = String(text || "").replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-  const result = { headers: [], rows: [] };
-  let i = 0;
-  const len = lines.length;
-
-  function parseField() {
-    if (i >= len || lines[i] === "\n") return "";
-    if (lines[i] === '"') {
-      i++;
-      let val = "";
-      while (i < len) {
-        if (lines[i] === '"') {
-          if (i + 1 < len && lines[i + 1] === '"') {
-            val += '"';
-            i += 2;
-          } else {
-            i++;
-            break;
-          }
-        } else {
-          val += lines[i];
-          i++;
-        }
-      }
-      return val;
-    }
-    let val = "";
-    while (i < len && lines[i] !== "," && lines[i] !== "\n") {
-      val += lines[i];
-      i++;
-    }
-    return val;
-  }
-
-  function parseRow() {
-    const fields = [];
-    while (i < len && lines[i] !== "\n") {
-      fields.push(parseField());
-      if (i < len && lines[i] === ",") i++;
-    }
-    if (i < len && lines[i] === "\n") i++;
-    return fields;
+  if (type === "reaction") {
+    return "reaction";
   }
-
-  if (len === 0) return result;
-
-  result.headers = parseRow().map((h) => h.trim().toLowerCase().replace(/\s+/g, "_"));
-  if (!result.headers.length) return result;
-
-  while (i < len) {
-    if (lines[i] === "\n") { i++; continue; }
-    const fields = parseRow();
-    if (fields.length === 0 || (fields.length === 1 && !fields[0])) continue;
-    const obj = {};
-    for (let j = 0; j < result.headers.length; j++) {
-      obj[result.headers[j]] = j < fields.length ? fields[j] : "";
-    }
-    result.rows.push(obj);
+  if (type === "publish") {
+    return "publish";
   }
-
-  return result;
+  return "";
 }
 
-const MAX_BODY_BYTES = 65536;
-
-async function readJson(request) {
-  try {
-    const contentLength = Number(request.headers.get("content-length") || 0);
-    if (contentLength > MAX_BODY_BYTES) {
-      throw new Error("Request body too large");
-    }
-    const text = await request.text();
-    if (text.length > MAX_BODY_BYTES) {
-      throw new Error("Request body too large");
-    }
-    return JSON.parse(text);
-  } catch (error) {
-    if (error && error.message === "Request body too large") {
-      throw error;
-    }
-    return {};
+function sanitizeNotificationPath(value) {
+  const rawPath = String(value || "").trim();
+  if (!rawPath.startsWith("/")) {
+    return "/";
   }
+  const path = rawPath
+    .replace(/[\u0000-\u001f\u007f"'<>`]/g, "")
+    .slice(0, 320);
+  return path.startsWith("/") ? path : "/";
 }
 
-function sanitizeName(value) {
-  return String(value || "")
-    .trim()
-    .slice(0, 60);
-}
-
-function sanitizeTitle(value) {
-  return String(value || "")
-    .trim()
-    .slice(0, 120);
-}
-
-function sanitizeDescription(value) {
-  return String(value || "")
-    .trim()
-    .slice(0, 240);
-}
-
-function sanitizeCustomCss(value) {
-  return String(value || "")
-    .replace(/\u0000/g, "")
-    .slice(0, CUSTOM_CSS_MAX_LENGTH);
-}
-
-function sanitizeCommentAuthor(value) {
-  return sanitizeName(value)
-    .replace(/\s+/g, " ")
-    .slice(0, 40);
-}
-
-function sanitizeCommentContent(value) {
+function sanitizeNotificationPreview(value) {
   return String(value || "")
     .replace(/\r\n/g, "\n")
     .trim()
-    .slice(0, 2000);
+    .slice(0, 320);
 }
 
-function sanitizeOptionalSiteSlug(value) {
-  const slug = String(value || "").trim().toLowerCase();
-  if (!slug) {
+function sanitizeTelegramBotToken(value) {
+  const token = String(value || "").trim();
+  if (!token) {
     return "";
   }
-  if (slug.length < 2 || slug.length > 30) {
+  if (!/^\d{6,14}:[A-Za-z0-9_-]{20,140}$/.test(token)) {
     return "";
   }
-  if (!/^[a-z0-9-]+$/.test(slug)) {
+  return token;
+}
+
+function sanitizeTelegramChatId(value) {
+  const chatId = String(value || "").trim();
+  if (!chatId) {
     return "";
   }
-  if (slug.startsWith("-") || slug.endsWith("-") || slug.includes("--")) {
+  if (!/^-?\d{5,20}$/.test(chatId)) {
     return "";
   }
-  return slug;
+  return chatId;
 }
 
-function json(data, status = 200, extraHeaders = {}) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      "Content-Type": "application/json; charset=utf-8",
-      ...extraHeaders,
-    },
-  });
+function normalizeNotifyBool(value, fallback = false) {
+  if (value === undefined || value === null) {
+    return Boolean(fallback);
+  }
+  return Boolean(value);
 }
 
-function text(body, status = 200) {
-  return new Response(body, {
-    status,
-    headers: {
-      "Content-Type": "text/plain; charset=utf-8",
-    },
-  });
+function defaultSiteNotifySettings() {
+  return {
+    enabled: false,
+    notifyComments: true,
+    notifyReactions: true,
+    telegramChatId: "",
+    hasBotToken: false,
+    telegramBotToken: "",
+    updatedAt: "",
+  };
 }
 
-function xml(body, status = 200, extraHeaders = {}) {
-  return new Response(body, {
-    status,
-    headers: {
-      "Content-Type": "application/xml; charset=utf-8",
-      ...extraHeaders,
-    },
-  });
-}
+async function getSiteNotifySettings(env, siteId, options = {}) {
+  await ensureNotificationTables(env);
+  const includeBotToken = Boolean(options.includeBotToken);
+  const row = await env.DB.prepare(
+    `SELECT
+      enabled,
+      notify_comments AS notifyComments,
+      notify_reactions AS notifyReactions,
+      telegram_chat_id AS telegramChatId,
+      telegram_bot_token_enc AS telegramBotTokenEnc,
+      updated_at AS updatedAt
+    FROM site_telegram_settings
+    WHERE site_id = ?
+    LIMIT 1`
+  )
+    .bind(siteId)
+    .first();
 
-function html(body, status = 200, extraHeaders = {}) {
-  return new Response(body, {
-    status,
-    headers: {
-      "Content-Type": "text/html; charset=utf-8",
-      "Content-Security-Policy": "default-src 'self'; script-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net; style-src 'self' 'unsafe-inline' https:; font-src https: data:; connect-src 'self'; img-src 'self' data: https:; frame-src https://www.youtube.com https://www.youtube-nocookie.com https://player.bilibili.com https://open.spotify.com https://twitframe.com https://www.instagram.com; media-src https: data:; frame-ancestors 'none'",
-      "X-Content-Type-Options": "nosniff",
-      "X-Frame-Options": "DENY",
-      "Referrer-Policy": "strict-origin-when-cross-origin",
-      ...extraHeaders,
-    },
-  });
-}
+  if (!row) {
+    return defaultSiteNotifySettings();
+  }
 
-function escapeXml(value) {
-  return String(value || "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&apos;");
-}
+  const encryptedToken = String(row.telegramBotTokenEnc || "");
+  let telegramBotToken = "";
+  if (includeBotToken && encryptedToken) {
+    try {
+      telegramBotToken = await decryptSensitiveValue(encryptedToken, env);
+    } catch (error) {
+      console.error("Failed to decrypt telegram bot token", error);
+      telegramBotToken = "";
+    }
+  }
 
-function notFound(message = "Not found") {
-  return html(renderSimpleMessage("404", message), 404);
+  return {
+    enabled: Number(row.enabled || 0) === 1,
+    notifyComments: Number(row.notifyComments || 0) !== 0,
+    notifyReactions: Number(row.notifyReactions || 0) !== 0,
+    telegramChatId: sanitizeTelegramChatId(row.telegramChatId || ""),
+    hasBotToken: Boolean(encryptedToken),
+    telegramBotToken: sanitizeTelegramBotToken(telegramBotToken),
+    updatedAt: String(row.updatedAt || ""),
+  };
 }
 
-function renderRootPage(baseDomain) {
-  return renderLayout(
-    "Stublogs",
-    `
-    <section class="panel">
-      <p class="eyebrow">bdfz.net student blogs</p>
-      <h1>所謂語文，無非你寫。</h1>
-      <p class="muted">每位學生可選擇自己的 <code>xxx</code>，站點會是 <code>https://xxx.${escapeHtml(baseDomain)}</code>。</p>
-
-      <form id="register-form" class="stack" autocomplete="off">
-        <label>子域名 slug</label>
-        <input id="slug" name="slug" placeholder="alice" minlength="2" maxlength="30" required />
-
-        <label>顯示名稱</label>
-        <input id="displayName" name="displayName" placeholder="Alice" maxlength="60" required />
-
-        <label>管理密碼</label>
-        <input id="adminPassword" name="adminPassword" type="password" minlength="8" required />
-
-        <label>註冊邀請碼</label>
-        <input id="inviteCode" name="inviteCode" placeholder="請輸入邀請碼" required />
-
-        <label>站點簡介（可選）</label>
-        <input id="description" name="description" maxlength="240" placeholder="這裡寫你的簡介" />
+async function upsertSiteNotifySettings(env, siteId, payload) {
+  await ensureNotificationTables(env);
+  const existing = await env.DB.prepare(
+    `SELECT telegram_bot_token_enc AS token
+     FROM site_telegram_settings
+     WHERE site_id = ?
+     LIMIT 1`
+  )
+    .bind(siteId)
+    .first();
 
-        <button type="submit">建立 Blog</button>
-      </form>
+  const enabled = normalizeNotifyBool(payload.enabled, false);
+  const notifyComments = normalizeNotifyBool(payload.notifyComments, true);
+  const notifyReactions = normalizeNotifyBool(payload.notifyReactions, true);
+  const chatId = sanitizeTelegramChatId(payload.telegramChatId || "");
+  const rawToken = sanitizeTelegramBotToken(payload.telegramBotToken || "");
+  const clearBotToken = Boolean(payload.clearBotToken);
 
-      <p id="status" class="muted"></p>
-    </section>
+  let tokenEnc = String(existing?.token || "");
+  if (rawToken) {
+    tokenEnc = await encryptSensitiveValue(rawToken, env);
+  } else if (clearBotToken) {
+    tokenEnc = "";
+  }
 
-    <script>
-      const statusEl = document.getElementById("status");
-      const form = document.getElementById("register-form");
-      const slugInput = document.getElementById("slug");
-      const nameInput = document.getElementById("displayName");
+  const now = new Date().toISOString();
+  await env.DB.prepare(
+    `INSERT INTO site_telegram_settings (
+      site_id,
+      enabled,
+      notify_comments,
+      notify_reactions,
+      telegram_chat_id,
+      telegram_bot_token_enc,
+      updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(site_id)
+    DO UPDATE SET
+      enabled = excluded.enabled,
+      notify_comments = excluded.notify_comments,
+      notify_reactions = excluded.notify_reactions,
+      telegram_chat_id = excluded.telegram_chat_id,
+      telegram_bot_token_enc = excluded.telegram_bot_token_enc,
+      updated_at = excluded.updated_at`
+  )
+    .bind(
+      siteId,
+      enabled ? 1 : 0,
+      notifyComments ? 1 : 0,
+      notifyReactions ? 1 : 0,
+      chatId,
+      tokenEnc,
+      now
+    )
+    .run();
 
-      let timer = null;
+  return getSiteNotifySettings(env, siteId, { includeBotToken: false });
+}
 
-      function setStatus(message, isError = false) {
-        statusEl.textContent = message;
-        statusEl.style.color = isError ? "var(--danger)" : "var(--muted)";
-      }
+async function createSiteNotification(env, siteId, payload) {
+  await ensureNotificationTables(env);
+  const eventType = sanitizeNotifyEventType(payload.eventType);
+  if (!eventType) {
+    return null;
+  }
+  const postSlug = String(payload.postSlug || "").trim().toLowerCase().slice(0, 120);
+  if (!postSlug) {
+    return null;
+  }
 
-      async function checkSlug() {
-        const slug = slugInput.value.trim().toLowerCase();
-        if (!slug) {
-          setStatus("");
-          return;
-        }
+  const now = String(payload.createdAt || new Date().toISOString());
+  const postTitle = sanitizeTitle(payload.postTitle || postSlug);
+  const actorName = sanitizeName(payload.actorName || "");
+  const actorSiteSlug = sanitizeOptionalSiteSlug(payload.actorSiteSlug || "");
+  const contentPreview = sanitizeNotificationPreview(payload.contentPreview || "");
+  const reactionKey = sanitizeReactionKey(payload.reactionKey || "");
+  const reactionPreset = reactionKey ? REACTION_PRESET_MAP.get(reactionKey) : null;
+  const reactionLabel = reactionPreset
+    ? `${reactionPreset.icon} ${reactionPreset.label}`
+    : sanitizeNotificationPreview(payload.reactionLabel || "");
+  const targetPath = sanitizeNotificationPath(payload.targetPath || `/${encodeURIComponent(postSlug)}`);
 
-        try {
-          const response = await fetch('/api/check-slug?slug=' + encodeURIComponent(slug));
-          const payload = await response.json();
-          if (payload.available) {
-            setStatus('可用：' + slug + '.${escapeHtml(baseDomain)}');
-          } else {
-            setStatus('不可用（' + (payload.reason || 'unknown') + '）', true);
-          }
-        } catch {
-          setStatus('無法檢查 slug，請稍後再試', true);
-        }
-      }
+  const result = await env.DB.prepare(
+    `INSERT INTO site_notifications (
+      site_id,
+      event_type,
+      post_slug,
+      post_title,
+      actor_name,
+      actor_site_slug,
+      content_preview,
+      reaction_key,
+      reaction_label,
+      target_path,
+      created_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  )
+    .bind(
+      siteId,
+      eventType,
+      postSlug,
+      postTitle,
+      actorName,
+      actorSiteSlug,
+      contentPreview,
+      reactionKey,
+      reactionLabel,
+      targetPath,
+      now
+    )
+    .run();
 
-      slugInput.addEventListener('input', () => {
-        const value = slugInput.value
-          .toLowerCase()
-          .replace(/[^a-z0-9-]/g, '')
-          .replace(/--+/g, '-')
-          .replace(/^-|-$/g, '')
-          .slice(0, 30);
-        slugInput.value = value;
+  return Number(result.meta?.last_row_id || 0);
+}
 
-        if (!nameInput.value.trim()) {
-          nameInput.value = value;
-        }
+async function listSiteNotifications(env, siteId, page = 1, pageSize = NOTIFICATION_PAGE_SIZE) {
+  await ensureNotificationTables(env);
+  const safePageSize = Math.min(Math.max(Number(pageSize) || NOTIFICATION_PAGE_SIZE, 1), 100);
+  const safePage = Math.max(Number(page) || 1, 1);
+  const totalResult = await env.DB.prepare(
+    `SELECT COUNT(*) AS total
+     FROM site_notifications
+     WHERE site_id = ?`
+  )
+    .bind(siteId)
+    .first();
+  const unreadResult = await env.DB.prepare(
+    `SELECT COUNT(*) AS total
+     FROM site_notifications
+     WHERE site_id = ? AND read_at IS NULL`
+  )
+    .bind(siteId)
+    .first();
 
-        clearTimeout(timer);
-        timer = setTimeout(checkSlug, 220);
-      });
+  const total = Math.max(Number(totalResult?.total || 0), 0);
+  const unread = Math.max(Number(unreadResult?.total || 0), 0);
+  const totalPages = Math.max(1, Math.ceil(total / safePageSize));
+  const boundedPage = Math.min(safePage, totalPages);
+  const offset = (boundedPage - 1) * safePageSize;
+  const rows = await env.DB.prepare(
+    `SELECT
+      id,
+      event_type AS eventType,
+      post_slug AS postSlug,
+      post_title AS postTitle,
+      actor_name AS actorName,
+      actor_site_slug AS actorSiteSlug,
+      content_preview AS contentPreview,
+      reaction_key AS reactionKey,
+      reaction_label AS reactionLabel,
+      target_path AS targetPath,
+      created_at AS createdAt,
+      read_at AS readAt
+    FROM site_notifications
+    WHERE site_id = ?
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?`
+  )
+    .bind(siteId, safePageSize, offset)
+    .all();
 
-      form.addEventListener('submit', async (event) => {
-        event.preventDefault();
+  const notifications = (rows.results || []).map((row) => ({
+    id: Number(row.id || 0),
+    eventType: sanitizeNotifyEventType(row.eventType),
+    postSlug: String(row.postSlug || ""),
+    postTitle: String(row.postTitle || ""),
+    actorName: String(row.actorName || ""),
+    actorSiteSlug: String(row.actorSiteSlug || ""),
+    contentPreview: String(row.contentPreview || ""),
+    reactionKey: sanitizeReactionKey(row.reactionKey),
+    reactionLabel: String(row.reactionLabel || ""),
+    targetPath: sanitizeNotificationPath(row.targetPath || "/"),
+    createdAt: String(row.createdAt || ""),
+    read: Boolean(row.readAt),
+  }));
 
-        const payload = {
-          slug: slugInput.value.trim().toLowerCase(),
-          displayName: nameInput.value.trim(),
-          adminPassword: document.getElementById('adminPassword').value,
-          inviteCode: document.getElementById('inviteCode').value.trim(),
-          description: document.getElementById('description').value.trim(),
-        };
+  return {
+    notifications,
+    unread,
+    total,
+    page: boundedPage,
+    pageSize: safePageSize,
+    totalPages,
+    hasPrev: boundedPage > 1,
+    hasNext: boundedPage < totalPages,
+  };
+}
 
-        setStatus('正在建立...');
-
-        try {
-          const response = await fetch('/api/register', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload),
-          });
-          const result = await response.json();
-
-          if (!response.ok) {
-            setStatus(result.error || '建立失敗', true);
-            return;
-          }
-
-          setStatus('建立成功，跳轉中...');
-          window.location.href = result.siteUrl + '/admin';
-        } catch {
-          setStatus('建立失敗，請稍後重試', true);
-        }
-      });
-    </script>
-  `
-  );
+async function markSiteNotificationsRead(env, siteId, options = {}) {
+  await ensureNotificationTables(env);
+  const now = new Date().toISOString();
+  const markAll = Boolean(options.all);
+  if (markAll) {
+    await env.DB.prepare(
+      `UPDATE site_notifications
+       SET read_at = COALESCE(read_at, ?)
+       WHERE site_id = ?`
+    )
+      .bind(now, siteId)
+      .run();
+  } else {
+    const ids = Array.isArray(options.ids)
+      ? Array.from(
+        new Set(
+          options.ids
+            .map((item) => Number(item))
+            .filter((item) => Number.isInteger(item) && item > 0)
+            .slice(0, 80)
+        )
+      )
+      : [];
+    if (!ids.length) {
+      return;
+    }
+    const placeholders = ids.map(() => "?").join(",");
+    await env.DB.prepare(
+      `UPDATE site_notifications
+       SET read_at = COALESCE(read_at, ?)
+       WHERE site_id = ? AND id IN (${placeholders})`
+    )
+      .bind(now, siteId, ...ids)
+      .run();
+  }
 }
 
-function renderClaimPage(slug, baseDomain) {
-  return renderLayout(
-    `${slug}.${baseDomain}`,
-    `
-    <section class="panel">
-      <p class="eyebrow">claim this subdomain</p>
-      <h1>建立 <code>${escapeHtml(slug)}.${escapeHtml(baseDomain)}</code></h1>
-
-      <form id="claim-form" class="stack" autocomplete="off">
-        <label>子域名</label>
-        <input id="slug" value="${escapeHtml(slug)}" readonly />
-
-        <label>顯示名稱</label>
-        <input id="displayName" name="displayName" maxlength="60" placeholder="${escapeHtml(slug)}" required />
-
-        <label>管理密碼</label>
-        <input id="adminPassword" type="password" minlength="8" required />
+function maybeScheduleNotificationsGc(env, siteId, ctx = null) {
+  if (Math.random() >= 0.02) {
+    return;
+  }
+  const cleanup = (async () => {
+    const cutoff = await env.DB.prepare(
+      `SELECT id
+       FROM site_notifications
+       WHERE site_id = ?
+       ORDER BY created_at DESC
+       LIMIT 1 OFFSET 799`
+    )
+      .bind(siteId)
+      .first();
 
-        <label>註冊邀請碼</label>
-        <input id="inviteCode" placeholder="請輸入邀請碼" required />
+    const cutoffId = Number(cutoff?.id || 0);
+    if (!cutoffId) {
+      return;
+    }
 
-        <label>站點簡介（可選）</label>
-        <input id="description" maxlength="240" placeholder="這裡寫你的簡介" />
+    await env.DB.prepare(
+      `DELETE FROM site_notifications
+       WHERE site_id = ? AND id < ?`
+    )
+      .bind(siteId, cutoffId)
+      .run();
+  })()
+    .catch((error) => {
+      console.error("Failed to cleanup old notifications", error);
+    });
+  if (ctx && typeof ctx.waitUntil === "function") {
+    ctx.waitUntil(cleanup);
+  }
+}
 
-        <button type="submit">建立並進入後台</button>
-      </form>
+function buildSiteNotificationMessage(event, site, baseDomain) {
+  const fullSite = `${site.slug}.${baseDomain}`;
+  const postUrl = `https://${fullSite}/${encodeURIComponent(event.postSlug)}`;
+  if (sanitizeNotifyEventType(event.eventType) === "publish") {
+    return [
+      "🗓️ 排程文章已發佈",
+      `站點：${fullSite}`,
+      `文章：${event.postTitle || event.postSlug}`,
+      `連結：${postUrl}`,
+      `時間：${event.createdAt || new Date().toISOString()}`,
+    ].join("\n");
+  }
+  if (sanitizeNotifyEventType(event.eventType) === "reaction") {
+    const reactionLine = event.reactionLabel
+      ? `反應：${event.reactionLabel}`
+      : "反應：新點贊";
+    return [
+      "🔔 新點贊通知",
+      `站點：${fullSite}`,
+      `文章：${event.postTitle || event.postSlug}`,
+      reactionLine,
+      `連結：${postUrl}`,
+      `時間：${event.createdAt || new Date().toISOString()}`,
+    ].join("\n");
+  }
+  const actorLine = event.actorSiteSlug
+    ? `${event.actorName}（${event.actorSiteSlug}.${baseDomain}）`
+    : (event.actorName || "匿名");
+  return [
+    "💬 新留言通知",
+    `站點：${fullSite}`,
+    `文章：${event.postTitle || event.postSlug}`,
+    `留言者：${actorLine}`,
+    `內容：${event.contentPreview || "(無文字)"}`,
+    `連結：${postUrl}#comments`,
+    `時間：${event.createdAt || new Date().toISOString()}`,
+  ].join("\n");
+}
 
-      <p id="status" class="muted"></p>
-    </section>
+async function sendTelegramViaCustomBot(botToken, chatId, text) {
+  const endpoint = `https://api.telegram.org/bot${botToken}/sendMessage`;
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        chat_id: chatId,
+        text,
+        disable_web_page_preview: true,
+      }),
+    });
+  } catch {
+    throw new Error("Telegram custom notify request failed");
+  }
 
-    <script>
-      const form = document.getElementById('claim-form');
-      const statusEl = document.getElementById('status');
+  if (!response.ok) {
+    throw new Error(`Telegram custom notify failed (${response.status})`);
+  }
+}
 
-      function setStatus(message, isError = false) {
-        statusEl.textContent = message;
-        statusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
-      }
+async function deliverSiteNotificationEvent(env, ctx, site, payload) {
+  const event = {
+    eventType: sanitizeNotifyEventType(payload.eventType),
+    postSlug: String(payload.postSlug || "").trim().toLowerCase(),
+    postTitle: sanitizeTitle(payload.postTitle || payload.postSlug || ""),
+    actorName: sanitizeName(payload.actorName || ""),
+    actorSiteSlug: sanitizeOptionalSiteSlug(payload.actorSiteSlug || ""),
+    contentPreview: sanitizeNotificationPreview(payload.contentPreview || ""),
+    reactionKey: sanitizeReactionKey(payload.reactionKey || ""),
+    reactionLabel: sanitizeNotificationPreview(payload.reactionLabel || ""),
+    targetPath: sanitizeNotificationPath(
+      payload.targetPath || `/${encodeURIComponent(String(payload.postSlug || "").trim().toLowerCase())}`
+    ),
+    createdAt: String(payload.createdAt || new Date().toISOString()),
+  };
+  if (!event.eventType || !event.postSlug) {
+    return;
+  }
 
-      form.addEventListener('submit', async (event) => {
-        event.preventDefault();
+  await createSiteNotification(env, site.id, event);
+  maybeScheduleNotificationsGc(env, site.id, ctx);
 
-        const payload = {
-          slug: ${JSON.stringify(slug)},
-          displayName: document.getElementById('displayName').value.trim() || ${JSON.stringify(slug)},
-          adminPassword: document.getElementById('adminPassword').value,
-          inviteCode: document.getElementById('inviteCode').value.trim(),
-          description: document.getElementById('description').value.trim(),
-        };
+  const notifySettings = await getSiteNotifySettings(env, site.id, { includeBotToken: true });
+  if (!notifySettings.enabled || !notifySettings.telegramChatId || !notifySettings.telegramBotToken) {
+    return;
+  }
+  if (event.eventType === "comment" && !notifySettings.notifyComments) {
+    return;
+  }
+  if (event.eventType === "reaction" && !notifySettings.notifyReactions) {
+    return;
+  }
+  const baseDomain = String(env.BASE_DOMAIN || "bdfz.net").toLowerCase();
+  const message = buildSiteNotificationMessage(event, site, baseDomain);
+  await sendTelegramViaCustomBot(
+    notifySettings.telegramBotToken,
+    notifySettings.telegramChatId,
+    message
+  );
+}
 
-        setStatus('正在建立...');
+function queueSiteNotificationEvent(env, ctx, site, payload) {
+  const task = deliverSiteNotificationEvent(env, ctx, site, payload).catch((error) => {
+    console.error("Failed to queue site notification event", error);
+  });
 
-        try {
-          const response = await fetch('/api/register', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload),
-          });
+  if (ctx && typeof ctx.waitUntil === "function") {
+    ctx.waitUntil(task);
+  }
+}
 
-          const result = await response.json();
-          if (!response.ok) {
-            setStatus(result.error || '建立失敗', true);
-            return;
-          }
+async function getPostMeta(env, siteId, postSlug, includeDrafts = false) {
+  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
+  const isPageSelect = hasIsPageColumn ? "is_page AS isPage" : "0 AS isPage";
+  const publishAtSelect = (await hasPostsColumn(env, "publish_at"))
+    ? "publish_at AS publishAt"
+    : "NULL AS publishAt";
+  const sql = includeDrafts
+    ? `SELECT
+        post_slug AS postSlug,
+        title,
+        description,
+        published,
+        ${isPageSelect},
+        ${publishAtSelect},
+        created_at AS createdAt,
+        updated_at AS updatedAt
+      FROM posts
+      WHERE site_id = ? AND post_slug = ?
+      LIMIT 1`
+    : `SELECT
+        post_slug AS postSlug,
+        title,
+        description,
+        published,
+        ${isPageSelect},
+        created_at AS createdAt,
+        updated_at AS updatedAt
+      FROM posts
+      WHERE site_id = ? AND post_slug = ? AND published = 1
+      LIMIT 1`;
 
-          window.location.href = '/admin';
-        } catch {
-          setStatus('建立失敗，請稍後再試', true);
-        }
-      });
-    </script>
-  `
-  );
+  return env.DB.prepare(sql).bind(siteId, postSlug).first();
 }
 
-function renderRootAdminHelp(baseDomain) {
-  return renderLayout(
-    "Admin",
-    `
-    <section class="panel">
-      <p class="eyebrow">admin gateway</p>
-      <h1>請從你的子域名登入</h1>
-      <p class="muted">管理地址格式：<code>https://xxx.${escapeHtml(baseDomain)}/admin</code></p>
-    </section>
-  `, 'default'
-  );
-}
+async function upsertPostMeta(
+  env,
+  siteId,
+  postSlug,
+  title,
+  description,
+  published,
+  updatedAt,
+  createdAt,
+  options = {}
+) {
+  const created = createdAt || updatedAt;
+  const excludeFromCampusFeed = options.excludeFromCampusFeed ? 1 : 0;
+  const isPage = options.isPage ? 1 : 0;
+  const hasExcludeColumn = await hasPostsColumn(env, "exclude_from_campus_feed");
+  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
 
-const SITE_PAGE_NAV_PRIORITY = Object.freeze({
-  home: 0,
-  now: 1,
-  projects: 2,
-});
+  if (hasExcludeColumn && hasIsPageColumn) {
+    return env.DB.prepare(
+      `INSERT INTO posts (
+        site_id,
+        post_slug,
+        title,
+        description,
+        published,
+        is_page,
+        exclude_from_campus_feed,
+        created_at,
+        updated_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(site_id, post_slug)
+      DO UPDATE SET
+        title = excluded.title,
+        description = excluded.description,
+        published = excluded.published,
+        is_page = excluded.is_page,
+        exclude_from_campus_feed = excluded.exclude_from_campus_feed,
+        updated_at = excluded.updated_at`
+    )
+      .bind(
+        siteId,
+        postSlug,
+        title,
+        description,
+        published,
+        isPage,
+        excludeFromCampusFeed,
+        created,
+        updatedAt
+      )
+      .run();
+  }
 
-function sortSitePagesForNav(sitePages) {
-  const pages = Array.isArray(sitePages) ? [...sitePages] : [];
-  pages.sort((left, right) => {
-    const leftSlug = String(left?.postSlug || "").toLowerCase();
-    const rightSlug = String(right?.postSlug || "").toLowerCase();
-    const leftPriority = Object.prototype.hasOwnProperty.call(
-      SITE_PAGE_NAV_PRIORITY,
-      leftSlug
+  if (hasExcludeColumn) {
+    return env.DB.prepare(
+      `INSERT INTO posts (
+        site_id,
+        post_slug,
+        title,
+        description,
+        published,
+        exclude_from_campus_feed,
+        created_at,
+        updated_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(site_id, post_slug)
+      DO UPDATE SET
+        title = excluded.title,
+        description = excluded.description,
+        published = excluded.published,
+        exclude_from_campus_feed = excluded.exclude_from_campus_feed,
+        updated_at = excluded.updated_at`
     )
-      ? SITE_PAGE_NAV_PRIORITY[leftSlug]
-      : 99;
-    const rightPriority = Object.prototype.hasOwnProperty.call(
-      SITE_PAGE_NAV_PRIORITY,
-      rightSlug
+      .bind(
+        siteId,
+        postSlug,
+        title,
+        description,
+        published,
+        excludeFromCampusFeed,
+        created,
+        updatedAt
+      )
+      .run();
+  }
+
+  if (hasIsPageColumn) {
+    return env.DB.prepare(
+      `INSERT INTO posts (
+        site_id,
+        post_slug,
+        title,
+        description,
+        published,
+        is_page,
+        created_at,
+        updated_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(site_id, post_slug)
+      DO UPDATE SET
+        title = excluded.title,
+        description = excluded.description,
+        published = excluded.published,
+        is_page = excluded.is_page,
+        updated_at = excluded.updated_at`
     )
-      ? SITE_PAGE_NAV_PRIORITY[rightSlug]
-      : 99;
-    if (leftPriority !== rightPriority) {
-      return leftPriority - rightPriority;
+      .bind(
+        siteId,
+        postSlug,
+        title,
+        description,
+        published,
+        isPage,
+        created,
+        updatedAt
+      )
+      .run();
+  }
+
+  return env.DB.prepare(
+    `INSERT INTO posts (site_id, post_slug, title, description, published, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(site_id, post_slug)
+     DO UPDATE SET
+       title = excluded.title,
+       description = excluded.description,
+       published = excluded.published,
+      updated_at = excluded.updated_at`
+  )
+    .bind(siteId, postSlug, title, description, published, created, updatedAt)
+    .run();
+}
+
+export function normalizePostTags(value) {
+  const raw = Array.isArray(value)
+    ? value
+    : String(value || "").split(/[,，、]/);
+  const tags = [];
+  for (const item of raw) {
+    const tag = String(item || "")
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, "-")
+      .replace(/[^\p{L}\p{N}_-]/gu, "")
+      .replace(/-+/g, "-")
+      .replace(/^-|-$/g, "")
+      .slice(0, POST_TAG_MAX_LENGTH);
+    if (tag && !tags.includes(tag)) {
+      tags.push(tag);
     }
-    const leftUpdated = Date.parse(left?.updatedAt || left?.createdAt || "") || 0;
-    const rightUpdated = Date.parse(right?.updatedAt || right?.createdAt || "") || 0;
-    if (leftUpdated !== rightUpdated) {
-      return rightUpdated - leftUpdated;
+    if (tags.length >= POST_TAGS_MAX) {
+      break;
     }
-    return leftSlug.localeCompare(rightSlug);
-  });
-  return pages;
+  }
+  return tags;
 }
 
-function renderSiteModeNav(sitePages, activeSlug = "blog") {
-  const sortedPages = sortSitePagesForNav(sitePages);
-  if (!sortedPages.length) {
-    return "";
+async function ensurePostTagsTable(env) {
+  if (!postTagsTableReadyPromise) {
+    postTagsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS post_tags (
+          site_id INTEGER NOT NULL,
+          post_slug TEXT NOT NULL,
+          tag TEXT NOT NULL,
+          PRIMARY KEY(site_id, post_slug, tag),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_post_tags_tag
+         ON post_tags(tag, site_id)`
+      ).run();
+    })().catch((error) => {
+      postTagsTableReadyPromise = null;
+      throw error;
+    });
   }
+  return postTagsTableReadyPromise;
+}
 
-  const normalizedActiveSlug = String(activeSlug || "blog").toLowerCase();
-  const pageLinks = sortedPages
-    .map((item) => {
-      const slug = String(item.postSlug || "").toLowerCase();
-      const activeClass = slug === normalizedActiveSlug ? "active" : "";
-      return `<a class="${activeClass}" href="/${encodeURIComponent(item.postSlug)}">${escapeHtml(
-        item.title
-      )}</a>`;
-    })
-    .join("");
-  const blogActiveClass = normalizedActiveSlug === "blog" ? "active" : "";
-
-  return `<nav class="site-nav mode-nav" aria-label="站點導覽">${pageLinks}<a class="${blogActiveClass}" href="/">Blog</a></nav>`;
+async function getPostTags(env, siteId, postSlug) {
+  await ensurePostTagsTable(env);
+  const result = await env.DB.prepare(
+    `SELECT tag
+     FROM post_tags
+     WHERE site_id = ? AND post_slug = ?
+     ORDER BY rowid ASC`
+  )
+    .bind(siteId, postSlug)
+    .all();
+  return (result.results || []).map((row) => row.tag);
 }
 
-function renderSiteHomePage(
-  site,
-  siteConfig,
-  posts,
-  sitePages,
-  communitySites,
-  campusFeed,
-  baseDomain,
-  postsPage = null,
-  homeViewCount = 0
-) {
-  const heading = siteConfig.heroTitle || site.displayName;
-  const subtitle = siteConfig.heroSubtitle || site.description || "";
-  const siteUrl = `https://${site.slug}.${baseDomain}/`;
+async function setPostTags(env, siteId, postSlug, tags) {
+  await ensurePostTagsTable(env);
+  await env.DB.batch([
+    env.DB.prepare(
+      `DELETE FROM post_tags
+       WHERE site_id = ? AND post_slug = ?`
+    ).bind(siteId, postSlug),
+    ...normalizePostTags(tags).map((tag) =>
+      env.DB.prepare(
+        `INSERT OR IGNORE INTO post_tags (site_id, post_slug, tag)
+         VALUES (?, ?, ?)`
+      ).bind(siteId, postSlug, tag)
+    ),
+  ]);
+}
 
-  const navLinks = (siteConfig.headerLinks || []).length
-    ? `<nav class="site-nav">${siteConfig.headerLinks
-      .map(
-        (item) =>
-          `<a href="${escapeHtml(item.url)}" target="_blank" rel="noreferrer noopener">${escapeHtml(
-            item.label
-          )}</a>`
-      )
-      .join("")}</nav>`
-    : "";
+async function deletePostTags(env, siteId, postSlug) {
+  await ensurePostTagsTable(env);
+  await env.DB.prepare(
+    `DELETE FROM post_tags
+     WHERE site_id = ? AND post_slug = ?`
+  )
+    .bind(siteId, postSlug)
+    .run();
+}
 
-  const modeNav = renderSiteModeNav(sitePages, "blog");
+async function listSiteTags(env, siteId) {
+  await ensurePostTagsTable(env);
+  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
+  const pageFilter = hasIsPageColumn ? "AND p.is_page = 0" : "";
+  const result = await env.DB.prepare(
+    `SELECT t.tag AS tag, COUNT(*) AS postCount
+     FROM post_tags t
+     INNER JOIN posts p ON p.site_id = t.site_id AND p.post_slug = t.post_slug
+     WHERE t.site_id = ? AND p.published = 1 ${pageFilter}
+     GROUP BY t.tag
+     ORDER BY postCount DESC, t.tag ASC`
+  )
+    .bind(siteId)
+    .all();
+  return (result.results || []).map((row) => ({
+    tag: row.tag,
+    postCount: Number(row.postCount || 0),
+  }));
+}
 
-  const list = posts.length
-    ? posts
-      .map(
-        (post) => `
-          <li class="post-item">
-            <a href="/${encodeURIComponent(post.postSlug)}" class="post-link">${escapeHtml(post.title)}</a>
-            <p class="muted">${escapeHtml(post.description || "")}</p>
-            <small>${escapeHtml(formatDate(post.updatedAt))} · 訪問 ${escapeHtml(formatViewCount(post.viewCount))}</small>
-          </li>
-        `
-      )
-      .join("\n")
-    : `<li class="post-item muted">還沒有已發佈文章。</li>`;
+async function listPostsByTag(env, siteId, tag, limit = 200) {
+  await ensurePostTagsTable(env);
+  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
+  const pageFilter = hasIsPageColumn ? "AND p.is_page = 0" : "";
+  const result = await env.DB.prepare(
+    `SELECT
+      p.post_slug AS postSlug,
+      p.title,
+      p.description,
+      p.published,
+      p.created_at AS createdAt,
+      p.updated_at AS updatedAt
+    FROM post_tags t
+    INNER JOIN posts p ON p.site_id = t.site_id AND p.post_slug = t.post_slug
+    WHERE t.site_id = ? AND t.tag = ? AND p.published = 1 ${pageFilter}
+    ORDER BY p.updated_at DESC
+    LIMIT ?`
+  )
+    .bind(siteId, tag, limit)
+    .all();
+  return result.results || [];
+}
 
-  const peerSites = communitySites.length
-    ? communitySites
-      .map(
-        (peer) =>
-          `<li><a href="${escapeHtml(peer.url)}" target="_blank" rel="noreferrer noopener">${escapeHtml(
-            peer.displayName
-          )}</a><span class="muted"> · ${escapeHtml(peer.slug)}.bdfz.net</span></li>`
-      )
-      .join("")
-    : `<li class="muted">暫時沒有其他同學站點。</li>`;
+async function ensurePostRedirectsTable(env) {
+  if (!postRedirectsTableReadyPromise) {
+    postRedirectsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS post_redirects (
+          site_id INTEGER NOT NULL,
+          from_slug TEXT NOT NULL,
+          to_slug TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          PRIMARY KEY(site_id, from_slug),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_post_redirects_target
+         ON post_redirects(site_id, to_slug)`
+      ).run();
+    })().catch((error) => {
+      postRedirectsTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return postRedirectsTableReadyPromise;
+}
 
-  const feedItems = campusFeed.length
-    ? campusFeed
-      .map(
-        (entry) =>
-          `<li><a href="${escapeHtml(entry.url)}" target="_blank" rel="noreferrer noopener">${escapeHtml(
-            entry.title
-          )}</a><span class="muted"> · ${escapeHtml(entry.siteName)}</span></li>`
-      )
-      .join("")
-    : `<li class="muted">全校文章流暫時為空。</li>`;
+async function getPostRedirect(env, siteId, fromSlug) {
+  await ensurePostRedirectsTable(env);
+  return env.DB.prepare(
+    `SELECT from_slug AS fromSlug, to_slug AS toSlug, created_at AS createdAt
+     FROM post_redirects
+     WHERE site_id = ? AND from_slug = ?
+     LIMIT 1`
+  )
+    .bind(siteId, fromSlug)
+    .first();
+}
 
-  const pagination = postsPage && postsPage.totalPages > 1
-    ? `<nav class="pager" aria-label="文章分頁">
-        <a class="${postsPage.hasPrev ? "" : "disabled"}" href="${postsPage.hasPrev ? (postsPage.page - 1 <= 1 ? "/" : `/?page=${postsPage.page - 1}`) : "#"}">上一頁</a>
-        <span class="muted">第 ${postsPage.page} / ${postsPage.totalPages} 頁</span>
-        <a class="${postsPage.hasNext ? "" : "disabled"}" href="${postsPage.hasNext ? `/?page=${postsPage.page + 1}` : "#"}">下一頁</a>
-      </nav>`
-    : "";
+async function listPostRedirects(env, siteId) {
+  await ensurePostRedirectsTable(env);
+  const result = await env.DB.prepare(
+    `SELECT from_slug AS fromSlug, to_slug AS toSlug, created_at AS createdAt
+     FROM post_redirects
+     WHERE site_id = ?
+     ORDER BY created_at DESC
+     LIMIT ?`
+  )
+    .bind(siteId, POST_REDIRECTS_LIST_LIMIT)
+    .all();
+  return result.results || [];
+}
 
-  return renderLayout(
-    site.displayName,
-    `
-    <section class="panel wide site-home-shell">
-      <header class="site-header">
-        <div>
-          <p class="eyebrow">${escapeHtml(site.slug)}.${escapeHtml(baseDomain)}</p>
-          <h1>${escapeHtml(heading)}</h1>
-          <p class="muted">${escapeHtml(subtitle)}</p>
-          <p class="muted">首頁訪問：<span id="home-view-count">${escapeHtml(formatViewCount(homeViewCount))}</span></p>
-        </div>
-        <div class="row-actions">
-          <a class="link-button" href="/admin">Admin</a>
-        </div>
-      </header>
-      ${renderThemeControlDock("front")}
-      ${navLinks}
-      ${modeNav}
+// Chains are collapsed on write, so the public route never follows more than one hop.
+export async function setPostRedirect(env, siteId, fromSlug, toSlug) {
+  await ensurePostRedirectsTable(env);
+  const now = new Date().toISOString();
+  await env.DB.batch([
+    env.DB.prepare(
+      `DELETE FROM post_redirects
+       WHERE site_id = ? AND from_slug = ?`
+    ).bind(siteId, toSlug),
+    env.DB.prepare(
+      `UPDATE post_redirects
+       SET to_slug = ?
+       WHERE site_id = ? AND to_slug = ?`
+    ).bind(toSlug, siteId, fromSlug),
+    env.DB.prepare(
+      `INSERT INTO post_redirects (site_id, from_slug, to_slug, created_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(site_id, from_slug)
+       DO UPDATE SET
+         to_slug = excluded.to_slug,
+         created_at = excluded.created_at`
+    ).bind(siteId, fromSlug, toSlug, now),
+  ]);
+}
 
-      <div class="community-grid">
-        <section>
-          <h2>文章</h2>
-          <ul class="post-list">
-            ${list}
-          </ul>
-          ${pagination}
-        </section>
-        ${(!siteConfig.hideCommunitySites || !siteConfig.hideCampusFeed) ? `
-        <aside class="community-panel">
-          ${!siteConfig.hideCommunitySites ? `<h3>同學新站</h3><ul class="mini-list">${peerSites}</ul>` : ''}
-          ${!siteConfig.hideCampusFeed ? `<h3>全校最新文章</h3><ul class="mini-list">${feedItems}</ul>` : ''}
-        </aside>
-        ` : ''}
-      </div>
+async function deletePostRedirect(env, siteId, fromSlug) {
+  await ensurePostRedirectsTable(env);
+  const result = await env.DB.prepare(
+    `DELETE FROM post_redirects
+     WHERE site_id = ? AND from_slug = ?`
+  )
+    .bind(siteId, fromSlug)
+    .run();
+  return Number(result.meta?.changes || 0) > 0;
+}
 
-      ${(siteConfig.footerNote)
-      ? `<footer class="site-footer muted">${escapeHtml(siteConfig.footerNote)}</footer>`
-      : ''}
-    </section>
-    <script>
-      (function () {
-        const viewEl = document.getElementById('home-view-count');
-        const dedupeKey = 'stublogs-view:' + location.host + ':home';
-        try {
-          if (sessionStorage.getItem(dedupeKey)) {
-            return;
-          }
-          sessionStorage.setItem(dedupeKey, '1');
-        } catch {
-          // ignore
-        }
-        fetch('/api/view', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ resourceType: 'home', resourceKey: '${HOME_VIEW_KEY}' }),
-        })
-          .then((response) => (response.ok ? response.json() : null))
-          .then((payload) => {
-            if (!payload || typeof payload.count !== 'number' || !viewEl) {
-              return;
-            }
-            const next = Math.max(Number(payload.count || 0), 0);
-            viewEl.textContent = new Intl.NumberFormat('zh-Hant').format(next);
-          })
-          .catch(() => {
-            // ignore view beacon failures
-          });
-      })();
-    </script>
-    `,
-    siteConfig.colorTheme || 'default',
-    siteConfig.customCss || "",
-    siteConfig.faviconUrl || DEFAULT_FAVICON_URL,
-    {
-      title: site.displayName,
-      description: subtitle || site.description || `${site.displayName} 的部落格`,
-      type: "website",
-      url: siteUrl,
-    }
-  );
+export async function deletePostRedirectsTo(env, siteId, toSlug) {
+  await ensurePostRedirectsTable(env);
+  await env.DB.prepare(
+    `DELETE FROM post_redirects
+     WHERE site_id = ? AND to_slug = ?`
+  )
+    .bind(siteId, toSlug)
+    .run();
 }
 
-function renderSiteRssXml(site, siteConfig, posts, baseDomain) {
-  const siteUrl = `https://${site.slug}.${baseDomain}`;
-  const safePosts = Array.isArray(posts) ? posts.slice(0, 80) : [];
-  const now = new Date().toUTCString();
+async function deletePostMeta(env, siteId, postSlug) {
+  const result = await env.DB.prepare(
+    "DELETE FROM posts WHERE site_id = ? AND post_slug = ?"
+  )
+    .bind(siteId, postSlug)
+    .run();
+  return Number(result.meta?.changes || 0) > 0;
+}
 
-  const items = safePosts
-    .map((post) => {
-      const postUrl = `${siteUrl}/${encodeURIComponent(post.postSlug)}`;
-      const publishedAt = new Date(post.updatedAt || post.createdAt || Date.now()).toUTCString();
-      const description = post.description || "";
-      return [
-        "<item>",
-        `<title>${escapeXml(post.title || post.postSlug)}</title>`,
-        `<link>${escapeXml(postUrl)}</link>`,
-        `<guid>${escapeXml(postUrl)}</guid>`,
-        `<pubDate>${escapeXml(publishedAt)}</pubDate>`,
-        `<description>${escapeXml(description)}</description>`,
-        "</item>",
-      ].join("");
-    })
-    .join("");
+async function deleteCommentsByPost(env, siteId, postSlug) {
+  await ensureCommentsTable(env);
+  await env.DB.prepare(
+    "DELETE FROM comments WHERE site_id = ? AND post_slug = ?"
+  )
+    .bind(siteId, postSlug)
+    .run();
+}
 
-  const channelTitle = siteConfig.heroTitle || site.displayName;
-  const channelDescription = siteConfig.heroSubtitle || site.description || `${site.displayName} 的最新文章`;
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0">
-  <channel>
-    <title>${escapeXml(channelTitle)}</title>
-    <link>${escapeXml(siteUrl)}</link>
-    <description>${escapeXml(channelDescription)}</description>
-    <language>zh-Hant</language>
-    <lastBuildDate>${escapeXml(now)}</lastBuildDate>
-    ${items}
-  </channel>
-</rss>`;
+async function moveCommentsToPost(env, siteId, fromPostSlug, toPostSlug) {
+  await ensureCommentsTable(env);
+  await env.DB.prepare(
+    `UPDATE comments
+     SET post_slug = ?
+     WHERE site_id = ? AND post_slug = ?`
+  )
+    .bind(toPostSlug, siteId, fromPostSlug)
+    .run();
 }
 
-function renderSiteSitemapXml(site, posts, pages, baseDomain) {
-  const siteUrl = `https://${site.slug}.${baseDomain}`;
-  const urls = [
-    { loc: `${siteUrl}/`, lastmod: site.updatedAt || site.createdAt || new Date().toISOString() },
-  ];
+async function deleteReactionsByPost(env, siteId, postSlug) {
+  await ensureReactionsTable(env);
+  await env.DB.prepare(
+    "DELETE FROM reactions WHERE site_id = ? AND post_slug = ?"
+  )
+    .bind(siteId, postSlug)
+    .run();
+}
 
-  for (const post of Array.isArray(posts) ? posts : []) {
-    urls.push({
-      loc: `${siteUrl}/${encodeURIComponent(post.postSlug)}`,
-      lastmod: post.updatedAt || post.createdAt || new Date().toISOString(),
-    });
-  }
-  for (const page of Array.isArray(pages) ? pages : []) {
-    urls.push({
-      loc: `${siteUrl}/${encodeURIComponent(page.postSlug)}`,
-      lastmod: page.updatedAt || page.createdAt || new Date().toISOString(),
+async function moveReactionsToPost(env, siteId, fromPostSlug, toPostSlug) {
+  await ensureReactionsTable(env);
+  await env.DB.prepare(
+    `UPDATE reactions
+     SET post_slug = ?
+     WHERE site_id = ? AND post_slug = ?`
+  )
+    .bind(toPostSlug, siteId, fromPostSlug)
+    .run();
+}
+
+async function ensurePostContentsTable(env) {
+  if (!postContentsTableReadyPromise) {
+    postContentsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS post_contents (
+          site_id INTEGER NOT NULL,
+          post_slug TEXT NOT NULL,
+          content TEXT NOT NULL,
+          content_html TEXT NOT NULL,
+          content_sha TEXT NOT NULL DEFAULT '',
+          render_version INTEGER NOT NULL DEFAULT 0,
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          PRIMARY KEY(site_id, post_slug),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+    })().catch((error) => {
+      postContentsTableReadyPromise = null;
+      throw error;
     });
   }
+  return postContentsTableReadyPromise;
+}
 
-  const body = urls
-    .map((item) => {
-      const lastmod = new Date(item.lastmod).toISOString();
-      return `<url><loc>${escapeXml(item.loc)}</loc><lastmod>${escapeXml(lastmod)}</lastmod></url>`;
-    })
-    .join("");
-
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  ${body}
-</urlset>`;
+async function upsertPostContent(env, siteId, postSlug, content, contentSha = "") {
+  await ensurePostContentsTable(env);
+  const source = parseFrontMatter(content).body;
+  const contentHtml = renderMarkdown(source);
+  await env.DB.prepare(
+    `INSERT INTO post_contents (site_id, post_slug, content, content_html, content_sha, render_version, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(site_id, post_slug)
+     DO UPDATE SET
+       content = excluded.content,
+       content_html = excluded.content_html,
+       content_sha = excluded.content_sha,
+       render_version = excluded.render_version,
+       updated_at = excluded.updated_at`
+  )
+    .bind(
+      siteId,
+      postSlug,
+      source,
+      contentHtml,
+      String(contentSha || ""),
+      MARKDOWN_RENDER_VERSION,
+      new Date().toISOString()
+    )
+    .run();
+  await indexPostSearch(env, siteId, postSlug, source).catch((error) => {
+    console.error("Failed to update search index", error);
+  });
+  return { content: source, html: contentHtml };
 }
 
-export function renderPostPage(
-  site,
-  siteConfig,
-  post,
-  articleHtml,
-  communitySites,
-  sitePages,
-  baseDomain,
-  options = {}
-) {
-  const previewMode = Boolean(options.previewMode);
-  const commentsEnabled = options.commentsEnabled !== false;
-  const comments = Array.isArray(options.comments) ? options.comments : [];
-  const commentsPage = Math.max(Number(options.commentsPage) || 1, 1);
-  const commentsTotalPages = Math.max(Number(options.commentsTotalPages) || 1, 1);
-  const commentBasePath = String(
-    options.commentBasePath || `/${encodeURIComponent(post.postSlug)}`
-  );
-  const commentsTotal = Number(options.commentsTotal || comments.length || 0);
-  const postViewCount = Math.max(Number(options.postViewCount || 0), 0);
-  const reactionsEnabled = options.reactionsEnabled !== false && !previewMode;
-  const reactionSnapshot = buildReactionSnapshot(
-    new Map(
-      Array.isArray(options.reactionSnapshot?.items)
-        ? options.reactionSnapshot.items.map((item) => [
-          sanitizeReactionKey(item.key),
-          Math.max(Number(item.count || 0), 0),
-        ]).filter((entry) => Boolean(entry[0]))
-        : []
-    ),
-    new Set(Array.isArray(options.reactionSnapshot?.selectedKeys) ? options.reactionSnapshot.selectedKeys : [])
-  );
-  const showCommunityPanel = !siteConfig.hideCommunitySites;
-  const canonicalPostUrl = `https://${site.slug}.${baseDomain}/${encodeURIComponent(post.postSlug)}`;
-  const modeNav = renderSiteModeNav(
-    sitePages,
-    Number(post.isPage) === 1 ? post.postSlug : "blog"
-  );
+async function getPostContent(env, siteId, postSlug) {
+  await ensurePostContentsTable(env);
+  const row = await env.DB.prepare(
+    `SELECT
+      content,
+      content_html AS contentHtml,
+      content_sha AS contentSha,
+      render_version AS renderVersion
+    FROM post_contents
+    WHERE site_id = ? AND post_slug = ?
+    LIMIT 1`
+  )
+    .bind(siteId, postSlug)
+    .first();
+  if (!row) {
+    return null;
+  }
 
-  const peerSites = communitySites.length
-    ? communitySites
-      .map(
-        (peer) =>
-          `<li><a href="${escapeHtml(peer.url)}" target="_blank" rel="noreferrer noopener">${escapeHtml(
-            peer.displayName
-          )}</a></li>`
-      )
-      .join("")
-    : `<li class="muted">暫時沒有其他同學站點。</li>`;
+  const content = String(row.content || "");
+  const sha = String(row.contentSha || "");
+  if (Number(row.renderVersion) === MARKDOWN_RENDER_VERSION) {
+    return { content, html: String(row.contentHtml || ""), sha };
+  }
 
-  const commentsList = comments.length
-    ? comments
-      .map((item) => {
-        const author = item.authorSiteSlug
-          ? `<a href="https://${escapeHtml(item.authorSiteSlug)}.${escapeHtml(baseDomain)}" target="_blank" rel="noreferrer noopener">${escapeHtml(item.authorName)}</a>`
-          : escapeHtml(item.authorName);
-        return `<li class="comment-item">
-          <p class="comment-meta">${author} · ${escapeHtml(formatDate(item.createdAt))}</p>
-          <p class="comment-content">${escapeHtml(item.content).replace(/\n/g, "<br />")}</p>
-        </li>`;
-      })
-      .join("")
-    : `<li class="comment-item muted">目前還沒有留言。</li>`;
+  const html = renderMarkdown(content);
+  await env.DB.prepare(
+    `UPDATE post_contents
+     SET content_html = ?, render_version = ?
+     WHERE site_id = ? AND post_slug = ? AND content_sha = ? AND render_version = ?`
+  )
+    .bind(html, MARKDOWN_RENDER_VERSION, siteId, postSlug, sha, Number(row.renderVersion) || 0)
+    .run()
+    .catch((error) => {
+      console.error("Failed to persist re-rendered post", error);
+    });
+  return { content, html, sha };
+}
 
-  const commentPager = commentsTotalPages > 1
-    ? `<nav class="pager comments-pager" aria-label="留言分頁">
-        <a class="${commentsPage > 1 ? "" : "disabled"}" href="${commentsPage > 1 ? `${commentBasePath}?cpage=${commentsPage - 1}#comments` : "#"}">上一頁</a>
-        <span class="muted">留言 ${commentsPage} / ${commentsTotalPages}</span>
-        <a class="${commentsPage < commentsTotalPages ? "" : "disabled"}" href="${commentsPage < commentsTotalPages ? `${commentBasePath}?cpage=${commentsPage + 1}#comments` : "#"}">下一頁</a>
-      </nav>`
-    : "";
+async function deletePostContent(env, siteId, postSlug) {
+  await ensurePostContentsTable(env);
+  await env.DB.prepare(
+    "DELETE FROM post_contents WHERE site_id = ? AND post_slug = ?"
+  )
+    .bind(siteId, postSlug)
+    .run();
+  await deletePostSearch(env, siteId, postSlug).catch((error) => {
+    console.error("Failed to remove post from search index", error);
+  });
+}
 
-  const reactionsPanel = reactionsEnabled
-    ? `<section id="reactions" class="panel wide reaction-panel" data-post-slug="${escapeHtml(post.postSlug)}">
-        <div class="reaction-head">
-          <h2>點贊反應</h2>
-          <p class="muted">總反應：<span id="reaction-total">${reactionSnapshot.total}</span></p>
-        </div>
-        <div class="reaction-grid">
-          ${reactionSnapshot.items
-        .map((item) => `
-            <button
-              type="button"
-              class="reaction-btn ${item.selected ? "active" : ""}"
-              data-reaction-key="${escapeHtml(item.key)}"
-              aria-pressed="${item.selected ? "true" : "false"}"
-              title="${escapeHtml(item.label)}"
-            >
-              <span class="reaction-icon">${escapeHtml(item.icon)}</span>
-              <span class="reaction-label">${escapeHtml(item.label)}</span>
-              <span class="reaction-count" data-role="count">${item.count}</span>
-            </button>
-          `)
-        .join("")}
-        </div>
-        <p id="reaction-status" class="muted"></p>
-      </section>`
-    : "";
+const SEARCH_CJK_RUN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+const SEARCH_TERM_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{L}\p{N}_]+/gu;
 
-  // Estimate read time (~400 chars/min for Chinese)
-  const charCount = articleHtml.replace(/<[^>]+>/g, "").length;
-  const readMinutes = Math.max(1, Math.round(charCount / 400));
+export function extractSearchTerms(query) {
+  const terms = [];
+  for (const match of String(query || "").toLowerCase().slice(0, SEARCH_QUERY_MAX_LENGTH).matchAll(SEARCH_TERM_PATTERN)) {
+    if (!terms.includes(match[0])) {
+      terms.push(match[0]);
+    }
+  }
+  return terms.slice(0, SEARCH_TERMS_MAX);
+}
 
-  return renderLayout(
-    `${post.title} - ${site.displayName}`,
-    String.raw`
-    <div class="reading-progress" id="reading-progress"></div>
-    <section class="panel wide article-wrap">
-      <article class="article">
-        <p class="eyebrow"><a href="/">← ${escapeHtml(site.displayName)}</a> · ${escapeHtml(
-      site.slug
-    )}.${escapeHtml(baseDomain)} ${Number(post.isPage) === 1 ? '<span class="preview-badge">Page</span>' : ''} ${previewMode ? '<span class="preview-badge">Preview</span>' : ''}</p>
-        <h1>${escapeHtml(post.title)}</h1>
-        <p class="muted">${escapeHtml(formatDate(post.updatedAt))} <span class="read-time">· ${readMinutes} min read</span> <span class="read-time">· 訪問 <span id="post-view-count">${escapeHtml(formatViewCount(postViewCount))}</span></span></p>
-        ${renderThemeControlDock("front")}
-        ${modeNav}
-        <div class="article-body">${articleHtml}</div>
-      </article>
-      ${showCommunityPanel ? `
-      <aside class="article-side">
-        <h3>同學站點</h3>
-        <ul class="mini-list">${peerSites}</ul>
-      </aside>
-      ` : ''}
-    </section>
-    ${reactionsPanel}
-    ${commentsEnabled ? `
-    <section id="comments" class="panel wide comment-panel">
-      <h2>留言 (${commentsTotal})</h2>
-      <ul class="comment-list">${commentsList}</ul>
-      ${commentPager}
-      <form id="comment-form" class="stack" autocomplete="off">
-        <label>名稱</label>
-        <input id="comment-author" maxlength="40" required placeholder="你的名字" />
-        <label>你的站點 slug（可選）</label>
-        <input id="comment-site" maxlength="30" placeholder="alice" />
-        <label>留言內容</label>
-        <textarea id="comment-content" class="small-textarea" maxlength="2000" required placeholder="寫下你的留言"></textarea>
-        <button id="comment-submit" type="submit">送出留言</button>
-      </form>
-      <p id="comment-status" class="muted"></p>
-    </section>
-    ` : ""}
-    <button class="back-top" id="back-top" aria-label="Back to top">↑</button>
-    <script>
-      (function() {
-        const progress = document.getElementById('reading-progress');
-        const backTop = document.getElementById('back-top');
-        const postViewEl = document.getElementById('post-view-count');
-        const canTrackView = ${previewMode ? "false" : "true"};
-        if (canTrackView) {
-          const dedupeKey = 'stublogs-view:' + location.host + ':post:' + ${JSON.stringify(post.postSlug)};
-          let shouldSend = true;
-          try {
-            if (sessionStorage.getItem(dedupeKey)) {
-              shouldSend = false;
-            } else {
-              sessionStorage.setItem(dedupeKey, '1');
-            }
-          } catch {
-            // ignore
-          }
-          if (shouldSend) {
-            fetch('/api/view', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ resourceType: 'post', resourceKey: ${JSON.stringify(post.postSlug)} }),
-            })
-              .then((response) => (response.ok ? response.json() : null))
-              .then((payload) => {
-                if (!payload || typeof payload.count !== 'number' || !postViewEl) {
-                  return;
-                }
-                const next = Math.max(Number(payload.count || 0), 0);
-                postViewEl.textContent = new Intl.NumberFormat('zh-Hant').format(next);
-              })
-              .catch(() => {
-                // ignore view beacon failures
-              });
-          }
-        }
-        function onScroll() {
-          const scrollTop = window.scrollY;
-          const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-          if (docHeight > 0 && progress) {
-            progress.style.width = Math.min(100, (scrollTop / docHeight) * 100) + '%';
-          }
-          if (backTop) {
-            backTop.classList.toggle('visible', scrollTop > 400);
-          }
-        }
-        window.addEventListener('scroll', onScroll, { passive: true });
-        if (backTop) {
-          backTop.addEventListener('click', function() {
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-          });
-        }
+function toSearchBigrams(run) {
+  const chars = Array.from(run);
+  if (chars.length < 2) {
+    return chars;
+  }
+  const grams = [];
+  for (let index = 0; index < chars.length - 1; index += 1) {
+    grams.push(chars[index] + chars[index + 1]);
+  }
+  return grams;
+}
 
-        const reactionPanel = document.getElementById('reactions');
-        if (reactionPanel) {
-          const reactionStatusEl = document.getElementById('reaction-status');
-          const reactionTotalEl = document.getElementById('reaction-total');
-          const reactionButtons = Array.from(
-            reactionPanel.querySelectorAll('.reaction-btn[data-reaction-key]')
-          );
-          let isSubmittingReaction = false;
+export function tokenizeForSearch(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(SEARCH_CJK_RUN_PATTERN, (run) => ` ${toSearchBigrams(run).join(" ")} `)
+    .replace(/\s+/g, " ")
+    .trim();
+}
 
-          function setReactionStatus(message, isError) {
-            if (!reactionStatusEl) return;
-            reactionStatusEl.textContent = message;
-            reactionStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
-          }
+export function buildSearchMatchQuery(query) {
+  return extractSearchTerms(query)
+    .map((term) => {
+      if (new RegExp(SEARCH_CJK_RUN_PATTERN.source, "u").test(term)) {
+        const grams = toSearchBigrams(term);
+        return grams[0].length < 2 ? `"${grams[0]}"*` : `"${grams.join(" ")}"`;
+      }
+      return `"${term}"*`;
+    })
+    .join(" ");
+}
 
-          function applyReactionSnapshot(snapshot) {
-            const selected = new Set(Array.isArray(snapshot.selectedKeys) ? snapshot.selectedKeys : []);
-            const counts = {};
-            const items = Array.isArray(snapshot.reactions) ? snapshot.reactions : [];
-            for (const item of items) {
-              if (!item || !item.key) continue;
-              counts[item.key] = Math.max(Number(item.count || 0), 0);
-            }
-            let total = Math.max(Number(snapshot.total || 0), 0);
-            if (!Number.isFinite(total) || total < 0) {
-              total = Object.values(counts).reduce((sum, value) => sum + value, 0);
-            }
+function stripMarkdownForSearch(source) {
+  return parseFrontMatter(String(source || ""))
+    .body.replace(/```[^\n]*\n/g, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "")
+    .replace(/[*_~`]+/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
 
-            reactionButtons.forEach((button) => {
-              const key = String(button.getAttribute('data-reaction-key') || '');
-              const countEl = button.querySelector('[data-role="count"]');
-              if (countEl) {
-                countEl.textContent = String(Math.max(Number(counts[key] || 0), 0));
-              }
-              const active = selected.has(key);
-              button.classList.toggle('active', active);
-              button.setAttribute('aria-pressed', active ? 'true' : 'false');
-            });
+export function highlightSearchTerms(text, terms) {
+  const source = String(text || "");
+  const patterns = (terms || [])
+    .filter(Boolean)
+    .sort((left, right) => right.length - left.length)
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  if (!patterns.length) {
+    return escapeHtml(source);
+  }
+  const matcher = new RegExp(patterns.join("|"), "giu");
+  let html = "";
+  let cursor = 0;
+  for (const match of source.matchAll(matcher)) {
+    html += `${escapeHtml(source.slice(cursor, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = match.index + match[0].length;
+  }
+  return html + escapeHtml(source.slice(cursor));
+}
 
-            if (reactionTotalEl) {
-              reactionTotalEl.textContent = String(total);
-            }
-          }
+export function buildSearchSnippet(text, terms, radius = SEARCH_SNIPPET_RADIUS) {
+  const source = String(text || "");
+  const lower = source.toLowerCase();
+  const hits = (terms || []).map((term) => lower.indexOf(term)).filter((index) => index >= 0);
+  const first = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(first - radius, 0);
+  const end = Math.min(first + radius * 2, source.length);
+  return `${start > 0 ? "…" : ""}${highlightSearchTerms(source.slice(start, end), terms)}${end < source.length ? "…" : ""}`;
+}
 
-          reactionPanel.addEventListener('click', async (event) => {
-            const target = event.target;
-            if (!(target instanceof HTMLElement)) {
-              return;
-            }
-            const button = target.closest('.reaction-btn[data-reaction-key]');
-            if (!button || isSubmittingReaction) {
-              return;
-            }
-            const reactionKey = String(button.getAttribute('data-reaction-key') || '');
-            if (!reactionKey) {
-              return;
-            }
+async function ensurePostSearchTable(env) {
+  if (!postSearchTableReadyPromise) {
+    postSearchTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE VIRTUAL TABLE IF NOT EXISTS post_search USING fts5(
+          title,
+          description,
+          body,
+          site_id UNINDEXED,
+          post_slug UNINDEXED,
+          tokenize = 'unicode61 remove_diacritics 2'
+        )`
+      ).run();
+      // UNINDEXED columns cannot be filtered without a full scan, so deletes go through rowids.
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS post_search_rows (
+          site_id INTEGER NOT NULL,
+          post_slug TEXT NOT NULL,
+          search_rowid INTEGER NOT NULL,
+          PRIMARY KEY(site_id, post_slug)
+        )`
+      ).run();
+      await env.DB.prepare(
+        `INSERT OR IGNORE INTO post_search_rows (site_id, post_slug, search_rowid)
+         SELECT site_id, post_slug, rowid
+         FROM post_search
+         WHERE NOT EXISTS (SELECT 1 FROM post_search_rows)`
+      ).run();
+    })().catch((error) => {
+      postSearchTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return postSearchTableReadyPromise;
+}
 
-            isSubmittingReaction = true;
-            reactionButtons.forEach((item) => {
-              item.disabled = true;
-            });
-            setReactionStatus('更新反應中...', false);
-            try {
-              const response = await fetch('/api/reactions', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  postSlug: ${JSON.stringify(post.postSlug)},
-                  reactionKey,
-                }),
-              });
-              const data = await response.json();
-              if (!response.ok) {
-                setReactionStatus(data.error || '更新反應失敗', true);
-                return;
-              }
-              applyReactionSnapshot(data);
-              setReactionStatus('反應已更新', false);
-            } catch (error) {
-              setReactionStatus(error.message || '更新反應失敗', true);
-            } finally {
-              isSubmittingReaction = false;
-              reactionButtons.forEach((item) => {
-                item.disabled = false;
-              });
-            }
-          });
-        }
+async function indexPostSearch(env, siteId, postSlug, source) {
+  await ensurePostSearchTable(env);
+  const post = await env.DB.prepare(
+    `SELECT title, description
+     FROM posts
+     WHERE site_id = ? AND post_slug = ?
+     LIMIT 1`
+  )
+    .bind(siteId, postSlug)
+    .first();
+  const statements = postSearchDeleteStatements(env, siteId, postSlug);
+  if (post) {
+    statements.push(
+      env.DB.prepare(
+        `INSERT INTO post_search (title, description, body, site_id, post_slug)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind(
+        tokenizeForSearch(post.title),
+        tokenizeForSearch(post.description),
+        tokenizeForSearch(stripMarkdownForSearch(source)),
+        siteId,
+        postSlug
+      ),
+      env.DB.prepare(
+        `INSERT INTO post_search_rows (site_id, post_slug, search_rowid)
+         VALUES (?, ?, last_insert_rowid())`
+      ).bind(siteId, postSlug)
+    );
+  }
+  await env.DB.batch(statements);
+}
 
-        const form = document.getElementById('comment-form');
-        const statusEl = document.getElementById('comment-status');
-        if (form && statusEl) {
-          const authorInput = document.getElementById('comment-author');
-          const siteInput = document.getElementById('comment-site');
-          const contentInput = document.getElementById('comment-content');
-          const submitBtn = document.getElementById('comment-submit');
-          const commentsSection = document.getElementById('comments');
-          const commentsListEl = commentsSection ? commentsSection.querySelector('.comment-list') : null;
-          const commentsTitleEl = commentsSection ? commentsSection.querySelector('h2') : null;
-          const storageKey = 'stublogs-comment-profile:' + location.host;
-          let isSubmittingComment = false;
+function postSearchDeleteStatements(env, siteId, postSlug = null) {
+  const where = postSlug === null ? "site_id = ?" : "site_id = ? AND post_slug = ?";
+  const binds = postSlug === null ? [siteId] : [siteId, postSlug];
+  return [
+    env.DB.prepare(
+      `DELETE FROM post_search
+       WHERE rowid IN (
+         SELECT search_rowid
+         FROM post_search_rows
+         WHERE ${where}
+       )`
+    ).bind(...binds),
+    env.DB.prepare(
+      `DELETE FROM post_search_rows
+       WHERE ${where}`
+    ).bind(...binds),
+  ];
+}
 
-          try {
-            const profile = JSON.parse(localStorage.getItem(storageKey) || '{}');
-            if (profile.authorName) authorInput.value = profile.authorName;
-            if (profile.authorSiteSlug) siteInput.value = profile.authorSiteSlug;
-          } catch {}
+async function deletePostSearch(env, siteId, postSlug) {
+  await ensurePostSearchTable(env);
+  await env.DB.batch(postSearchDeleteStatements(env, siteId, postSlug));
+}
 
-          function escapeHtml(value) {
-            return String(value || '')
-              .replace(/&/g, '&amp;')
-              .replace(/</g, '&lt;')
-              .replace(/>/g, '&gt;')
-              .replace(/"/g, '&quot;')
-              .replace(/'/g, '&#39;');
-          }
+async function searchSitePosts(env, siteId, query, options = {}) {
+  const match = buildSearchMatchQuery(query);
+  if (!match) {
+    return [];
+  }
+  if (options.authorMemberId != null && !(await hasPostsColumn(env, "author_member_id"))) {
+    return [];
+  }
+  await Promise.all([ensurePostSearchTable(env), ensurePostContentsTable(env)]);
+  const hasIsPageColumn = await hasPostsColumn(env, "is_page");
+  const isPageSelect = hasIsPageColumn ? "p.is_page AS isPage" : "0 AS isPage";
+  const publishedFilter = options.includeDrafts ? "" : "AND p.published = 1";
+  const authorBinds = options.authorMemberId == null ? [] : [Number(options.authorMemberId)];
+  const authorFilter = authorBinds.length ? "AND p.author_member_id = ?" : "";
+  const limit = Math.min(Math.max(Number(options.limit) || SEARCH_RESULTS_LIMIT, 1), 100);
+  const result = await env.DB.prepare(
+    `SELECT
+      p.post_slug AS postSlug,
+      p.title,
+      p.description,
+      p.published,
+      ${isPageSelect},
+      p.updated_at AS updatedAt,
+      c.content AS content
+    FROM post_search
+    JOIN posts p ON p.site_id = post_search.site_id AND p.post_slug = post_search.post_slug
+    LEFT JOIN post_contents c ON c.site_id = p.site_id AND c.post_slug = p.post_slug
+    WHERE post_search MATCH ? AND post_search.site_id = ? ${publishedFilter} ${authorFilter}
+    ORDER BY bm25(post_search, 10.0, 4.0, 1.0)
+    LIMIT ?`
+  )
+    .bind(match, siteId, ...authorBinds, limit)
+    .all();
 
-          function addCommentToList(comment) {
-            if (!commentsListEl || !comment) return;
+  const terms = extractSearchTerms(query);
+  return (result.results || []).map((row) => ({
+    postSlug: row.postSlug,
+    title: row.title,
+    description: row.description,
+    published: row.published,
+    isPage: row.isPage,
+    updatedAt: row.updatedAt,
+    titleHtml: highlightSearchTerms(row.title, terms),
+    snippetHtml: buildSearchSnippet(stripMarkdownForSearch(row.content || row.description || ""), terms),
+  }));
+}
 
-            const placeholder = commentsListEl.querySelector('.comment-item.muted');
-            if (placeholder) {
-              placeholder.remove();
-            }
+async function searchCampusPosts(env, query, baseDomain, page = 1, pageSize = CAMPUS_SEARCH_PAGE_SIZE) {
+  const match = buildSearchMatchQuery(query);
+  if (!match) {
+    return { sites: [], total: 0, page: 1, totalPages: 1 };
+  }
+  await Promise.all([ensurePostSearchTable(env), ensurePostContentsTable(env)]);
+  const visibilityClause = await getCampusVisibilityClause(env);
 
-            const author = comment.authorSiteSlug
-              ? comment.authorName + ' · ' + comment.authorSiteSlug + '.bdfz.net'
-              : comment.authorName;
-            const createdAt = comment.createdAt
-              ? new Date(comment.createdAt).toLocaleString('zh-Hant')
-              : new Date().toLocaleString('zh-Hant');
-            const safeContent = escapeHtml(comment.content || '').split('\n').join('<br />');
+  const totalResult = await env.DB.prepare(
+    `SELECT COUNT(*) AS total
+     FROM post_search
+     JOIN posts p ON p.site_id = post_search.site_id AND p.post_slug = post_search.post_slug
+     WHERE post_search MATCH ? AND ${visibilityClause}`
+  )
+    .bind(match)
+    .first();
+  const total = Math.max(Number(totalResult?.total || 0), 0);
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const boundedPage = Math.min(Math.max(Number(page) || 1, 1), totalPages);
 
-            const item = document.createElement('li');
-            item.className = 'comment-item';
-            item.innerHTML =
-              '<p class="comment-meta">' + escapeHtml(author) + ' · ' + escapeHtml(createdAt) + '</p>' +
-              '<p class="comment-content">' + safeContent + '</p>';
+  const result = await env.DB.prepare(
+    `SELECT
+      p.post_slug AS postSlug,
+      p.title,
+      p.description,
+      p.updated_at AS updatedAt,
+      s.slug AS siteSlug,
+      s.display_name AS siteName,
+      c.content AS content
+    FROM post_search
+    JOIN posts p ON p.site_id = post_search.site_id AND p.post_slug = post_search.post_slug
+    JOIN sites s ON s.id = p.site_id
+    LEFT JOIN post_contents c ON c.site_id = p.site_id AND c.post_slug = p.post_slug
+    WHERE post_search MATCH ? AND ${visibilityClause}
+    ORDER BY bm25(post_search, 10.0, 4.0, 1.0)
+    LIMIT ? OFFSET ?`
+  )
+    .bind(match, pageSize, (boundedPage - 1) * pageSize)
+    .all();
 
-            commentsListEl.prepend(item);
-          }
+  const terms = extractSearchTerms(query);
+  const groups = new Map();
+  for (const row of result.results || []) {
+    if (!groups.has(row.siteSlug)) {
+      groups.set(row.siteSlug, {
+        siteSlug: row.siteSlug,
+        siteName: row.siteName,
+        siteUrl: `https://${row.siteSlug}.${baseDomain}`,
+        posts: [],
+      });
+    }
+    groups.get(row.siteSlug).posts.push({
+      postSlug: row.postSlug,
+      title: row.title,
+      updatedAt: row.updatedAt,
+      url: `https://${row.siteSlug}.${baseDomain}/${encodeURIComponent(row.postSlug)}`,
+      titleHtml: highlightSearchTerms(row.title, terms),
+      snippetHtml: buildSearchSnippet(stripMarkdownForSearch(row.content || row.description || ""), terms),
+    });
+  }
+  return { sites: [...groups.values()], total, page: boundedPage, totalPages };
+}
 
-          function bumpCommentCount() {
-            if (!commentsTitleEl) return;
-            const text = commentsTitleEl.textContent || '';
-            const match = text.match(/\((\d+)\)/);
-            const current = match ? Number(match[1]) : 0;
-            commentsTitleEl.textContent = '留言 (' + (current + 1) + ')';
-          }
+async function rebuildSiteSearchIndex(env, site) {
+  await Promise.all([ensurePostSearchTable(env), ensurePostContentsTable(env)]);
+  const posts = await listPosts(env, site.id, true);
+  await env.DB.batch(postSearchDeleteStatements(env, site.id));
+  let indexed = 0;
+  for (const post of posts) {
+    const mirrored = await getPostContent(env, site.id, post.postSlug);
+    if (mirrored) {
+      await indexPostSearch(env, site.id, post.postSlug, mirrored.content);
+      indexed += 1;
+      continue;
+    }
+    const file = await readContentFile(env, getPostFilePath(site.slug, post.postSlug));
+    if (file) {
+      await upsertPostContent(env, site.id, post.postSlug, file.content, file.sha);
+      indexed += 1;
+    }
+  }
+  return { posts: posts.length, indexed };
+}
 
-          function setCommentStatus(message, isError) {
-            statusEl.textContent = message;
-            statusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
-          }
+function buildPostConflict(file) {
+  if (!file) {
+    return { sha: "", content: "", deleted: true };
+  }
+  const parsed = parseFrontMatter(file.content);
+  const meta = postMetaFromFrontMatter(parsed.data);
+  return {
+    sha: file.sha,
+    content: parsed.body,
+    title: meta.title,
+    description: meta.description,
+    updatedAt: meta.updatedAt,
+    deleted: false,
+  };
+}
 
-          form.addEventListener('submit', async (event) => {
-            event.preventDefault();
-            if (isSubmittingComment) {
-              return;
-            }
-            const payload = {
-              postSlug: ${JSON.stringify(post.postSlug)},
-              authorName: authorInput.value.trim(),
-              authorSiteSlug: siteInput.value.trim().toLowerCase(),
-              content: contentInput.value.trim(),
-            };
-            if (!payload.authorName || !payload.content) {
-              setCommentStatus('請填寫名稱與留言內容', true);
-              return;
-            }
+async function loadPostContent(env, ctx, site, postSlug) {
+  try {
+    const mirrored = await getPostContent(env, site.id, postSlug);
+    if (mirrored) {
+      return mirrored;
+    }
+  } catch (error) {
+    console.error("Failed to read post mirror", error);
+  }
 
-            isSubmittingComment = true;
-            submitBtn.disabled = true;
-            setCommentStatus('送出中...', false);
-            try {
-              const response = await fetch('/api/comments', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
-              });
-              const data = await response.json();
-              if (!response.ok) {
-                setCommentStatus(data.error || '留言送出失敗', true);
-                return;
-              }
-              try {
-                localStorage.setItem(storageKey, JSON.stringify({
-                  authorName: payload.authorName,
-                  authorSiteSlug: payload.authorSiteSlug,
-                }));
-              } catch {}
+  const file = await readContentFile(env, getPostFilePath(site.slug, postSlug));
+  if (!file) {
+    return null;
+  }
 
-              const createdComment = data && data.comment
-                ? data.comment
-                : {
-                  authorName: payload.authorName,
-                  authorSiteSlug: payload.authorSiteSlug,
-                  content: payload.content,
-                  createdAt: new Date().toISOString(),
-                };
-              addCommentToList(createdComment);
-              bumpCommentCount();
-              contentInput.value = '';
-              contentInput.focus();
-              setCommentStatus('留言成功，已更新列表。', false);
-            } catch (error) {
-              setCommentStatus(error.message || '留言送出失敗', true);
-            } finally {
-              isSubmittingComment = false;
-              submitBtn.disabled = false;
-            }
-          });
-        }
-      })();
-    </script>
-    `,
-    siteConfig.colorTheme || "default",
-    siteConfig.customCss || "",
-    siteConfig.faviconUrl || DEFAULT_FAVICON_URL,
-    {
-      title: post.title,
-      description: post.description || site.description || `${site.displayName} 的文章`,
-      type: "article",
-      url: canonicalPostUrl,
+  const backfillTask = upsertPostContent(env, site.id, postSlug, file.content, file.sha).catch(
+    (error) => {
+      console.error("Failed to backfill post mirror", error);
     }
   );
+  if (ctx && typeof ctx.waitUntil === "function") {
+    ctx.waitUntil(backfillTask);
+  } else {
+    await backfillTask;
+  }
+
+  return {
+    content: parseFrontMatter(file.content).body,
+    html: renderMarkdown(file.content),
+    sha: file.sha,
+  };
 }
 
-export function renderAdminPage(site, siteConfig, authed, baseDomain) {
-  if (!authed) {
-    return renderLayout(
-      `${site.displayName} Admin`,
-      `
-      <section class="panel">
-        <p class="eyebrow">admin</p>
-        <h1>${escapeHtml(site.displayName)}</h1>
+export function getContentStore(env) {
+  const kind = String(env.CONTENT_STORE || "github").trim().toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(CONTENT_STORES, kind)) {
+    throw new Error(`Unknown CONTENT_STORE: ${kind}`);
+  }
+  return CONTENT_STORES[kind];
+}
 
-        <form id="login-form" class="stack" autocomplete="off">
-          <label>管理密碼</label>
-          <input id="password" type="password" minlength="8" required />
-          <button type="submit">登入</button>
-        </form>
+async function readContentFile(env, filePath) {
+  return getContentStore(env).read(env, filePath);
+}
 
-        <p id="status" class="muted"></p>
-      </section>
+async function writeContentFile(env, filePath, content, message) {
+  return getContentStore(env).write(env, filePath, content, message);
+}
 
-      <script>
-        const form = document.getElementById('login-form');
-        const statusEl = document.getElementById('status');
+async function deleteContentFile(env, filePath, message) {
+  return getContentStore(env).delete(env, filePath, message);
+}
 
-        function setStatus(message, isError = false) {
-          statusEl.textContent = message;
-          statusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
-        }
+async function commitContentFiles(env, changes, message, options = {}) {
+  return getContentStore(env).commit(env, changes, message, options);
+}
 
-        form.addEventListener('submit', async (event) => {
-          event.preventDefault();
-          setStatus('登入中...');
+async function applyContentChanges(env, changes, message, writeFile, deleteFile) {
+  const files = {};
+  for (const change of changes) {
+    if (change.delete) {
+      await deleteFile(env, change.path, message);
+      continue;
+    }
+    let content = change.content;
+    if (change.copyFrom) {
+      const source = await getContentStore(env).read(env, change.copyFrom);
+      if (!source) {
+        throw new Error(`Content file to copy is missing: ${change.copyFrom}`);
+      }
+      content = source.content;
+    }
+    const written = await writeFile(env, change.path, content, message);
+    files[change.path] = written.sha;
+  }
+  return { sha: "", files };
+}
 
-          try {
-            const response = await fetch('/api/login', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                slug: ${JSON.stringify(site.slug)},
-                password: document.getElementById('password').value,
-              }),
-            });
+async function ensureContentFilesTable(env) {
+  if (!contentFilesTableReadyPromise) {
+    contentFilesTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS content_files (
+          path TEXT PRIMARY KEY,
+          content TEXT NOT NULL,
+          sha TEXT NOT NULL,
+          message TEXT NOT NULL DEFAULT '',
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        )`
+      ).run();
+    })().catch((error) => {
+      contentFilesTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return contentFilesTableReadyPromise;
+}
 
-            const result = await response.json();
-            if (!response.ok) {
-              setStatus(result.error || '登入失敗', true);
-              return;
-            }
+async function d1ReadFile(env, filePath) {
+  await ensureContentFilesTable(env);
+  const row = await env.DB.prepare(
+    "SELECT sha, content FROM content_files WHERE path = ? LIMIT 1"
+  )
+    .bind(filePath)
+    .first();
+  if (!row) {
+    return null;
+  }
+  return { sha: String(row.sha || ""), content: String(row.content || "") };
+}
 
-            location.reload();
-          } catch {
-            setStatus('登入失敗，請稍後再試', true);
-          }
-        });
-      </script>
-    `,
-      siteConfig.colorTheme || 'default',
-      "",
-      siteConfig.faviconUrl || DEFAULT_FAVICON_URL
+async function d1WriteFile(env, filePath, content, message) {
+  await ensureContentFilesTable(env);
+  const sha = await sha256Hex(content);
+  await env.DB.prepare(
+    `INSERT INTO content_files (path, content, sha, message, updated_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(path)
+     DO UPDATE SET
+       content = excluded.content,
+       sha = excluded.sha,
+       message = excluded.message,
+       updated_at = excluded.updated_at`
+  )
+    .bind(filePath, content, sha, String(message || ""), new Date().toISOString())
+    .run();
+  return { sha };
+}
+
+async function d1DeleteFile(env, filePath) {
+  await ensureContentFilesTable(env);
+  const result = await env.DB.prepare("DELETE FROM content_files WHERE path = ?")
+    .bind(filePath)
+    .run();
+  return { deleted: Number(result.meta?.changes || 0) > 0 };
+}
+
+async function d1CommitFiles(env, changes, message) {
+  await ensureContentFilesTable(env);
+  const now = new Date().toISOString();
+  const files = {};
+  const statements = [];
+  for (const change of changes) {
+    if (change.delete) {
+      statements.push(
+        env.DB.prepare("DELETE FROM content_files WHERE path = ?").bind(change.path)
+      );
+      continue;
+    }
+    if (change.copyFrom) {
+      files[change.path] = change.sha;
+      statements.push(
+        env.DB.prepare(
+          `INSERT INTO content_files (path, content, sha, message, updated_at)
+           SELECT ?, content, sha, ?, ?
+           FROM content_files
+           WHERE path = ?
+           ON CONFLICT(path)
+           DO UPDATE SET
+             content = excluded.content,
+             sha = excluded.sha,
+             message = excluded.message,
+             updated_at = excluded.updated_at`
+        ).bind(change.path, String(message || ""), now, change.copyFrom)
+      );
+      continue;
+    }
+    const sha = await sha256Hex(change.content);
+    files[change.path] = sha;
+    statements.push(
+      env.DB.prepare(
+        `INSERT INTO content_files (path, content, sha, message, updated_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(path)
+         DO UPDATE SET
+           content = excluded.content,
+           sha = excluded.sha,
+           message = excluded.message,
+           updated_at = excluded.updated_at`
+      ).bind(change.path, change.content, sha, String(message || ""), now)
     );
   }
+  if (statements.length) {
+    await env.DB.batch(statements);
+  }
+  return { sha: "", files };
+}
 
-  return renderLayout(
-    `${site.displayName} Admin`,
-    String.raw`
-    <section class="panel wide admin-shell">
-      <header class="site-header">
-        <div>
-          <p class="eyebrow">editor</p>
-          <h1>${escapeHtml(siteConfig.heroTitle || site.displayName)}</h1>
-          <p class="muted">${escapeHtml(site.slug)}.${escapeHtml(baseDomain)}</p>
-        </div>
-        <div class="row-actions">
-          <a class="link-button" href="/" target="_blank" rel="noreferrer noopener">Frontend</a>
-          <button id="new-post" class="link-button" type="button">New</button>
-          <button id="logout" class="link-button" type="button">Logout</button>
-          <a class="link-button" href="/api/export">Export</a>
-          <a class="link-button" href="https://blog.bdfz.net/" target="_blank" rel="noreferrer noopener">Project</a>
-        </div>
-      </header>
+async function d1ListFiles(env, prefix) {
+  await ensureContentFilesTable(env);
+  const result = await env.DB.prepare(
+    `SELECT path, sha
+     FROM content_files
+     WHERE substr(path, 1, ?) = ?
+     ORDER BY path ASC`
+  )
+    .bind(prefix.length, prefix)
+    .all();
+  return {
+    files: (result.results || []).map((row) => ({ path: String(row.path), sha: String(row.sha || "") })),
+    truncated: false,
+  };
+}
 
-      <nav class="admin-tabs">
-        <button id="tab-posts" class="admin-tab active" type="button">✏️ Posts</button>
-        <button id="tab-notifications" class="admin-tab" type="button">🔔 通知 <span id="notify-tab-badge" class="tab-badge">0</span></button>
-        <button id="tab-settings" class="admin-tab" type="button">⚙️ Settings</button>
-      </nav>
+function getContentBucket(env) {
+  if (!env.CONTENT_BUCKET) {
+    throw new Error("Missing R2 binding: CONTENT_BUCKET");
+  }
+  return env.CONTENT_BUCKET;
+}
 
-      <!-- ═══ POSTS TAB ═══ -->
-      <div id="panel-posts" class="admin-panel">
-        <div class="admin-grid">
-          <aside class="admin-list">
-            <p class="muted">My Posts</p>
-            <input id="post-filter" placeholder="搜尋標題或 slug..." />
-            <p id="post-count" class="muted">0 篇</p>
-            <ul id="post-list"></ul>
-          </aside>
-          <section class="admin-editor">
-            <label>Title</label>
-            <input id="title" maxlength="120" />
-            <label>Post slug</label>
-            <input id="postSlug" maxlength="80" />
-            <label>Description</label>
-            <input id="description" maxlength="240" />
-            <label class="inline-check">
-              <input id="published" type="checkbox" />
-              Published
-            </label>
-            <label class="inline-check">
-              <input id="isPage" type="checkbox" />
-              Page（顯示於頁面導航，不進文章流）
-            </label>
-            <label>Content</label>
-            <div class="md-toolbar">
-              <button type="button" data-md="h1" title="Heading 1">H1</button>
-              <button type="button" data-md="bold" title="Bold">B</button>
-              <button type="button" data-md="italic" title="Italic">I</button>
-              <button type="button" data-md="code" title="Code">&#96;</button>
-              <button type="button" data-md="heading" title="Heading">H2</button>
-              <button type="button" data-md="h3" title="Heading 3">H3</button>
-              <button type="button" data-md="link" title="Link">🔗</button>
-              <button type="button" data-md="image" title="Image">🖼</button>
-              <button type="button" data-md="youtube" title="YouTube">▶︎YT</button>
-              <button type="button" data-md="bilibili" title="Bilibili">▶︎B站</button>
-              <button type="button" data-md="spotify" title="Spotify">♫SP</button>
-              <button type="button" data-md="x" title="X / Twitter">𝕏</button>
-              <button type="button" data-md="instagram" title="Instagram">◎INS</button>
-              <button type="button" data-md="list" title="List">•</button>
-              <button type="button" data-md="task" title="Task list">☑︎</button>
-              <button type="button" data-md="ordered" title="Ordered list">1.</button>
-              <button type="button" data-md="quote" title="Quote">❝</button>
-              <button type="button" data-md="table" title="Table">▦</button>
-              <button type="button" data-md="math-inline" title="Inline KaTeX">∑</button>
-              <button type="button" data-md="math-block" title="Block KaTeX">$$</button>
-              <button type="button" data-md="br" title="Line break">↵</button>
-              <button type="button" data-md="codeblock" title="Code block">{ }</button>
-              <button type="button" data-md="hr" title="Divider">—</button>
-              <button type="button" id="fullscreen-toggle" class="fullscreen-btn">⛶ 全屏</button>
-            </div>
-            <div class="template-row">
-              <select id="content-template" aria-label="內容範本">
-                <option value="">選擇內容範本（Bear 風格）</option>
-                <option value="daily-note">每日筆記</option>
-                <option value="reading-note">閱讀筆記</option>
-                <option value="essay-outline">文章大綱</option>
-                <option value="project-log">專案日誌</option>
-                <option value="math-note">數學筆記（KaTeX）</option>
-                <option value="about-page">關於頁面</option>
-                <option value="links-page">連結頁面</option>
-              </select>
-              <button id="apply-template" type="button" class="link-button">插入範本</button>
-            </div>
-            <textarea id="content" placeholder="# Start writing..."></textarea>
-            <div class="row-actions">
-              <button id="save" type="button">發佈 / 更新</button>
-              <a id="preview" class="link-button" href="#" target="_blank" rel="noreferrer noopener">預覽</a>
-              <button id="delete-post" type="button" class="link-button danger-ghost">刪除文章</button>
-            </div>
-            <p id="editor-status" class="muted"></p>
-            <section class="comment-admin-panel">
-              <h3>留言管理（目前文章）</h3>
-              <ul id="comment-admin-list" class="comment-list compact"></ul>
-              <p id="comment-admin-status" class="muted"></p>
-            </section>
-          </section>
-        </div>
-      </div>
+async function r2ReadFile(env, filePath) {
+  const object = await getContentBucket(env).get(filePath);
+  if (!object) {
+    return null;
+  }
+  return { sha: String(object.etag || ""), content: await object.text() };
+}
 
-      <!-- ═══ SETTINGS TAB ═══ -->
-      <div id="panel-settings" class="admin-panel" style="display:none">
-        <div class="settings-grid">
-          <section class="settings-form">
-            <h2>站點設定</h2>
-            <label>顯示名稱</label>
-            <input id="siteDisplayName" maxlength="60" />
-            <label>站點簡介</label>
-            <input id="siteDescription" maxlength="240" />
-            <label>首頁標題</label>
-            <input id="siteHeroTitle" maxlength="120" />
-            <label>首頁副標</label>
-            <input id="siteHeroSubtitle" maxlength="240" />
-            <label>主題色系</label>
-            <select id="siteColorTheme" style="font:inherit;border-radius:10px;border:1px solid var(--line);background:rgba(255,255,255,.65);padding:.65rem .78rem;color:var(--ink);font-family:var(--font-mono);font-size:.92rem;">
-              <option value="default">預設 / 棕色 (Brown)</option>
-              <option value="ocean">大海 / 湖藍 (Ocean)</option>
-              <option value="forest">森林 / 墨綠 (Forest)</option>
-              <option value="violet">紫羅蘭 / 淡紫 (Violet)</option>
-              <option value="sunset">晚霞 / 赭紅 (Sunset)</option>
-              <option value="mint">薄荷 / 青綠 (Mint)</option>
-              <option value="graphite">石墨 / 藍灰 (Graphite)</option>
-            </select>
-            <label>站點 Favicon URL</label>
-            <input id="siteFaviconUrl" maxlength="500" placeholder="https://example.com/favicon.webp" />
-            <label>頁尾文字</label>
-            <input id="siteFooterNote" maxlength="240" />
-            <label>自訂 CSS（前台）</label>
-            <textarea id="siteCustomCss" class="small-textarea" maxlength="64000" placeholder="@import url('https://fonts.googleapis.com/css2?family=Noto+Serif+TC:wght@400;700&display=swap');"></textarea>
-            <p class="muted">僅作用於你的前台頁面（首頁與文章頁），支援 @import 與字體 CDN。</p>
-            <label>外部連結（每行：標題|https://url）</label>
-            <textarea id="siteHeaderLinks" class="small-textarea" placeholder="作品集|https://example.com"></textarea>
-            <label class="inline-check">
-              <input id="siteHideCommunitySites" type="checkbox" />
-              隱藏「同學新站」板塊
-            </label>
-            <label class="inline-check">
-              <input id="siteHideCampusFeed" type="checkbox" />
-              隱藏「全校最新文章」板塊
-            </label>
-            <label class="inline-check">
-              <input id="siteCommentsEnabled" type="checkbox" />
-              啟用文章留言
-            </label>
-            <h3>通知設定</h3>
-            <label class="inline-check">
-              <input id="notifyEnabled" type="checkbox" />
-              啟用 Telegram 即時通知
-            </label>
-            <label class="inline-check">
-              <input id="notifyComments" type="checkbox" />
-              留言通知
-            </label>
-            <label class="inline-check">
-              <input id="notifyReactions" type="checkbox" />
-              點贊通知
-            </label>
-            <label>Telegram Bot Token（選填）</label>
-            <input id="notifyTelegramBotToken" type="password" maxlength="200" placeholder="123456789:AA..." />
-            <label>Telegram Chat ID（選填）</label>
-            <input id="notifyTelegramChatId" maxlength="24" placeholder="5016203472 或 -100xxxxxxxxxx" />
-            <label class="inline-check">
-              <input id="notifyClearBotToken" type="checkbox" />
-              清除已儲存 Bot Token
-            </label>
-            <p id="notify-settings-hint" class="muted">Bot Token 僅保存在平台資料庫，不會寫入 GitHub 倉庫。</p>
-            <button id="save-settings" type="button">儲存站點設定</button>
-            <p id="settings-status" class="muted"></p>
-            <h3>修改密碼</h3>
-            <label>目前密碼</label>
-            <input id="currentPassword" type="password" minlength="8" />
-            <label>新密碼</label>
-            <input id="newPassword" type="password" minlength="8" />
-            <label>確認新密碼</label>
-            <input id="confirmNewPassword" type="password" minlength="8" />
-            <button id="change-password" type="button">更新密碼</button>
-            <p id="password-status" class="muted"></p>
-          </section>
-          <aside class="settings-aside">
-            <h3>匯入</h3>
-            <p class="muted">從 BearBlog 匯入 CSV</p>
-            <input id="import-file" type="file" accept=".csv" />
-            <button id="import-btn" type="button">匯入</button>
-            <p id="import-status" class="muted"></p>
-          </aside>
-        </div>
-      </div>
+async function r2WriteFile(env, filePath, content, message) {
+  const object = await getContentBucket(env).put(filePath, content, {
+    httpMetadata: {
+      contentType: filePath.endsWith(".json")
+        ? "application/json; charset=utf-8"
+        : "text/markdown; charset=utf-8",
+    },
+    customMetadata: {
+      message: String(message || "").slice(0, 200),
+    },
+  });
+  return { sha: String(object?.etag || "") };
+}
 
-      <!-- ═══ NOTIFICATIONS TAB ═══ -->
-      <div id="panel-notifications" class="admin-panel" style="display:none">
-        <section class="notification-panel">
-          <div class="row-actions">
-            <button id="refresh-notifications" type="button">重新整理</button>
-            <button id="mark-all-notifications-read" type="button" class="link-button">全部標為已讀</button>
-          </div>
-          <ul id="notification-list" class="notification-list"></ul>
-          <p id="notification-status" class="muted"></p>
-        </section>
-      </div>
-    </section>
+async function r2ListFiles(env, prefix) {
+  const bucket = getContentBucket(env);
+  const files = [];
+  let cursor;
+  do {
+    const page = await bucket.list({ prefix, cursor });
+    for (const object of page.objects || []) {
+      files.push({ path: object.key, sha: String(object.etag || "") });
+    }
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  return { files, truncated: false };
+}
 
-    <script>
-      const initialConfig = ${toScriptJson(siteConfig)};
-      const state = {
-        currentSlug: '',
-        posts: [],
-        comments: [],
-        notifications: [],
-        postFilter: '',
-        keepEditorSelection: false,
-        siteConfig: initialConfig,
-        notifySettings: {
-          enabled: false,
-          notifyComments: true,
-          notifyReactions: true,
-          telegramChatId: '',
-          hasBotToken: false,
-        },
-        notificationUnread: 0,
-      };
+async function r2DeleteFile(env, filePath) {
+  const bucket = getContentBucket(env);
+  const existing = await bucket.head(filePath);
+  if (!existing) {
+    return { deleted: false };
+  }
+  await bucket.delete(filePath);
+  return { deleted: true };
+}
 
-      const postList = document.getElementById('post-list');
-      const postFilterInput = document.getElementById('post-filter');
-      const postCountEl = document.getElementById('post-count');
-      const siteDisplayNameInput = document.getElementById('siteDisplayName');
-      const siteDescriptionInput = document.getElementById('siteDescription');
-      const siteHeroTitleInput = document.getElementById('siteHeroTitle');
-      const siteHeroSubtitleInput = document.getElementById('siteHeroSubtitle');
-      const siteColorThemeInput = document.getElementById('siteColorTheme');
-      const siteFaviconUrlInput = document.getElementById('siteFaviconUrl');
-      const siteFooterNoteInput = document.getElementById('siteFooterNote');
-      const siteCustomCssInput = document.getElementById('siteCustomCss');
-      const siteHeaderLinksInput = document.getElementById('siteHeaderLinks');
-      const siteHideCommunitySitesInput = document.getElementById('siteHideCommunitySites');
-      const siteHideCampusFeedInput = document.getElementById('siteHideCampusFeed');
-      const siteCommentsEnabledInput = document.getElementById('siteCommentsEnabled');
-      const notifyEnabledInput = document.getElementById('notifyEnabled');
-      const notifyCommentsInput = document.getElementById('notifyComments');
-      const notifyReactionsInput = document.getElementById('notifyReactions');
-      const notifyTelegramBotTokenInput = document.getElementById('notifyTelegramBotToken');
-      const notifyTelegramChatIdInput = document.getElementById('notifyTelegramChatId');
-      const notifyClearBotTokenInput = document.getElementById('notifyClearBotToken');
-      const notifySettingsHintEl = document.getElementById('notify-settings-hint');
-      const currentPasswordInput = document.getElementById('currentPassword');
-      const newPasswordInput = document.getElementById('newPassword');
-      const confirmNewPasswordInput = document.getElementById('confirmNewPassword');
-      const passwordStatusEl = document.getElementById('password-status');
-      const notificationListEl = document.getElementById('notification-list');
-      const notificationStatusEl = document.getElementById('notification-status');
-      const notificationBadgeEl = document.getElementById('notify-tab-badge');
-      const markAllNotificationsReadBtn = document.getElementById('mark-all-notifications-read');
-      const refreshNotificationsBtn = document.getElementById('refresh-notifications');
-      const titleInput = document.getElementById('title');
-      const postSlugInput = document.getElementById('postSlug');
-      const descriptionInput = document.getElementById('description');
-      const publishedInput = document.getElementById('published');
-      const isPageInput = document.getElementById('isPage');
-      const contentInput = document.getElementById('content');
-      const statusEl = document.getElementById('editor-status');
-      const settingsStatusEl = document.getElementById('settings-status');
-      const commentAdminListEl = document.getElementById('comment-admin-list');
-      const commentAdminStatusEl = document.getElementById('comment-admin-status');
-      const previewLink = document.getElementById('preview');
-      const deletePostBtn = document.getElementById('delete-post');
-      const applyTemplateBtn = document.getElementById('apply-template');
-      const contentTemplateSelect = document.getElementById('content-template');
-      let savingPost = false;
-      let savingSettings = false;
-      let importingPosts = false;
-      let loadPostToken = 0;
-      let baselineState = '';
+function resolveFsContentPath(env, filePath) {
+  const segments = String(filePath).split("/").filter(Boolean);
+  if (!segments.length || segments.some((segment) => segment === "." || segment === "..")) {
+    throw new Error(`Invalid content path: ${filePath}`);
+  }
+  const root = String(env.CONTENT_FS_ROOT || ".").trim().replace(/\/+$/, "") || ".";
+  return `${root}/${segments.join("/")}`;
+}
 
-      function setStatus(message, isError = false) {
-        statusEl.textContent = message;
-        statusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
-      }
+async function fsReadFile(env, filePath) {
+  const fs = await import("node:fs/promises");
+  const fullPath = resolveFsContentPath(env, filePath);
+  let content;
+  try {
+    content = await fs.readFile(fullPath, "utf8");
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+  return { sha: await sha256Hex(content), content };
+}
 
-      function setSettingsStatus(message, isError = false) {
-        if (!settingsStatusEl) {
-          return;
-        }
-        settingsStatusEl.textContent = message;
-        settingsStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
-      }
+async function fsWriteFile(env, filePath, content) {
+  const fs = await import("node:fs/promises");
+  const fullPath = resolveFsContentPath(env, filePath);
+  await fs.mkdir(fullPath.slice(0, fullPath.lastIndexOf("/")), { recursive: true });
+  await fs.writeFile(fullPath, content, "utf8");
+  return { sha: await sha256Hex(content) };
+}
 
-      function setPasswordStatus(message, isError = false) {
-        if (!passwordStatusEl) {
-          return;
-        }
-        passwordStatusEl.textContent = message;
-        passwordStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+async function fsListFiles(env, prefix) {
+  const fs = await import("node:fs/promises");
+  const root = resolveFsContentPath(env, prefix);
+  const relativeBase = prefix.replace(/\/+$/, "");
+  const files = [];
+  const walk = async (dir, relative) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error && error.code === "ENOENT") {
+        return;
       }
-
-      function setNotificationStatus(message, isError = false) {
-        if (!notificationStatusEl) {
-          return;
-        }
-        notificationStatusEl.textContent = message;
-        notificationStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+      throw error;
+    }
+    for (const entry of entries) {
+      const childRelative = `${relative}/${entry.name}`;
+      if (entry.isDirectory()) {
+        await walk(`${dir}/${entry.name}`, childRelative);
+      } else if (entry.isFile()) {
+        const content = await fs.readFile(`${dir}/${entry.name}`, "utf8");
+        files.push({ path: childRelative, sha: await sha256Hex(content) });
       }
+    }
+  };
+  await walk(root, relativeBase);
+  files.sort((left, right) => left.path.localeCompare(right.path));
+  return { files, truncated: false };
+}
 
-      function updateNotificationBadge() {
-        if (!notificationBadgeEl) {
-          return;
-        }
-        const unread = Math.max(Number(state.notificationUnread || 0), 0);
-        notificationBadgeEl.textContent = String(unread);
-        notificationBadgeEl.classList.toggle('has-unread', unread > 0);
-      }
+async function fsDeleteFile(env, filePath) {
+  const fs = await import("node:fs/promises");
+  const fullPath = resolveFsContentPath(env, filePath);
+  try {
+    await fs.unlink(fullPath);
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return { deleted: false };
+    }
+    throw error;
+  }
+  return { deleted: true };
+}
 
-      function syncNotifyInputsState() {
-        if (!notifyEnabledInput) {
-          return;
-        }
-        const disabled = !notifyEnabledInput.checked;
-        if (notifyCommentsInput) notifyCommentsInput.disabled = disabled;
-        if (notifyReactionsInput) notifyReactionsInput.disabled = disabled;
-        if (notifyTelegramBotTokenInput) notifyTelegramBotTokenInput.disabled = disabled;
-        if (notifyTelegramChatIdInput) notifyTelegramChatIdInput.disabled = disabled;
-        if (notifyClearBotTokenInput) notifyClearBotTokenInput.disabled = disabled;
-      }
+function getGithubConfig(env) {
+  const owner = String(env.GITHUB_OWNER || "").trim();
+  const repo = String(env.GITHUB_REPO || "").trim();
+  const branch = String(env.GITHUB_BRANCH || "main").trim();
+  const token = String(env.GITHUB_TOKEN || "").trim();
 
-      function applyNotifySettingsToForm(settings) {
-        const safe = settings || {};
-        state.notifySettings = {
-          enabled: !!safe.enabled,
-          notifyComments: safe.notifyComments !== false,
-          notifyReactions: safe.notifyReactions !== false,
-          telegramChatId: safe.telegramChatId || '',
-          hasBotToken: !!safe.hasBotToken,
-        };
-        if (notifyEnabledInput) notifyEnabledInput.checked = state.notifySettings.enabled;
-        if (notifyCommentsInput) notifyCommentsInput.checked = state.notifySettings.notifyComments;
-        if (notifyReactionsInput) notifyReactionsInput.checked = state.notifySettings.notifyReactions;
-        if (notifyTelegramChatIdInput) notifyTelegramChatIdInput.value = state.notifySettings.telegramChatId || '';
-        if (notifyTelegramBotTokenInput) notifyTelegramBotTokenInput.value = '';
-        if (notifyClearBotTokenInput) notifyClearBotTokenInput.checked = false;
-        if (notifySettingsHintEl) {
-          notifySettingsHintEl.textContent = state.notifySettings.hasBotToken
-            ? '已儲存 Telegram Bot Token（留空表示保持不變）。'
-            : '尚未儲存 Telegram Bot Token（可選填）。';
-        }
-        syncNotifyInputsState();
-      }
+  if (!owner || !repo || !token) {
+    throw new Error("Missing GitHub config: GITHUB_OWNER, GITHUB_REPO, GITHUB_TOKEN");
+  }
 
-      function renderNotificationList() {
-        if (!notificationListEl) {
-          return;
-        }
-        if (!state.notifications.length) {
-          notificationListEl.innerHTML = '<li class="muted">目前沒有通知。</li>';
-          return;
+  return { owner, repo, branch, token };
+}
+
+async function githubRequest(env, path, init = {}) {
+  const config = getGithubConfig(env);
+  const url = `https://api.github.com/repos/${encodeURIComponent(config.owner)}/${encodeURIComponent(config.repo)}${path}`;
+  const method = init.method || "GET";
+  const idempotent = method === "GET" || method === "HEAD";
+
+  if (Date.now() < githubClientState.circuitOpenUntil) {
+    const circuitError = new Error("GitHub circuit open: failing fast after repeated errors");
+    circuitError.status = 503;
+    circuitError.userMessage = "GitHub 暫時無法連線，請稍後再試。";
+    throw circuitError;
+  }
+
+  for (let attempt = 1; ; attempt += 1) {
+    githubClientState.requests += 1;
+    let response = null;
+    let networkError = null;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          Accept: "application/vnd.github+json",
+          Authorization: `Bearer ${config.token}`,
+          "User-Agent": "stublogs-worker",
+          ...(init.headers || {}),
+        },
+        body: init.body,
+      });
+    } catch (error) {
+      networkError = error;
+    }
+
+    if (response) {
+      recordGithubRateLimit(response);
+    }
+
+    const throttled = response ? isGithubThrottled(response) : false;
+    const serverError = networkError || (response && response.status >= 500);
+    if (!throttled && !serverError) {
+      githubClientState.consecutiveFailures = 0;
+      githubClientState.circuitOpenUntil = 0;
+      return response;
+    }
+
+    const retryable = throttled || idempotent;
+    const delayMs = getGithubRetryDelayMs(response, attempt);
+    if (retryable && attempt < GITHUB_REQUEST_MAX_ATTEMPTS && delayMs !== null) {
+      githubClientState.retries += 1;
+      if (response) {
+        await response.body?.cancel();
+      }
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      continue;
+    }
+
+    recordGithubFailure(
+      networkError ? String(networkError.message || networkError) : `${method} ${path}: ${response.status}`
+    );
+    if (networkError) {
+      throw networkError;
+    }
+    return response;
+  }
+}
+
+function isGithubThrottled(response) {
+  if (response.status === 429) {
+    return true;
+  }
+  if (response.status !== 403) {
+    return false;
+  }
+  return (
+    response.headers.has("retry-after") ||
+    response.headers.get("x-ratelimit-remaining") === "0"
+  );
+}
+
+function getGithubRetryDelayMs(response, attempt) {
+  const retryAfter = Number(response?.headers.get("retry-after") || "");
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    const delayMs = retryAfter * 1000;
+    return delayMs <= GITHUB_RETRY_MAX_DELAY_MS ? delayMs : null;
+  }
+
+  if (response?.headers.get("x-ratelimit-remaining") === "0") {
+    const resetAt = Number(response.headers.get("x-ratelimit-reset") || "") * 1000;
+    const delayMs = resetAt - Date.now();
+    if (!Number.isFinite(delayMs) || delayMs > GITHUB_RETRY_MAX_DELAY_MS) {
+      return null;
+    }
+    return Math.max(delayMs, 0);
+  }
+
+  const ceiling = Math.min(GITHUB_RETRY_MAX_DELAY_MS, GITHUB_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+function recordGithubRateLimit(response) {
+  const remaining = response.headers.get("x-ratelimit-remaining");
+  if (remaining === null) {
+    return;
+  }
+  const resetSeconds = Number(response.headers.get("x-ratelimit-reset") || 0);
+  githubClientState.rateLimit = {
+    resource: response.headers.get("x-ratelimit-resource") || "core",
+    limit: Number(response.headers.get("x-ratelimit-limit") || 0),
+    remaining: Number(remaining),
+    used: Number(response.headers.get("x-ratelimit-used") || 0),
+    resetAt: resetSeconds ? new Date(resetSeconds * 1000).toISOString() : "",
+    observedAt: new Date().toISOString(),
+  };
+}
+
+function recordGithubFailure(message) {
+  githubClientState.failures += 1;
+  githubClientState.consecutiveFailures += 1;
+  githubClientState.lastError = String(message || "").slice(0, 200);
+  if (githubClientState.consecutiveFailures >= GITHUB_CIRCUIT_FAILURE_THRESHOLD) {
+    githubClientState.circuitOpenUntil = Date.now() + GITHUB_CIRCUIT_OPEN_MS;
+  }
+}
+
+export function getGithubTelemetry() {
+  const open = Date.now() < githubClientState.circuitOpenUntil;
+  return {
+    requests: githubClientState.requests,
+    retries: githubClientState.retries,
+    failures: githubClientState.failures,
+    circuit: {
+      state: open ? "open" : "closed",
+      consecutiveFailures: githubClientState.consecutiveFailures,
+      openUntil: open ? new Date(githubClientState.circuitOpenUntil).toISOString() : "",
+    },
+    lastError: githubClientState.lastError,
+    rateLimit: githubClientState.rateLimit,
+  };
+}
+
+function getGithubShaCache() {
+  return githubRequestScope.getStore()?.shaCache || null;
+}
+
+function rememberGithubSha(filePath, sha) {
+  const cache = getGithubShaCache();
+  if (cache) {
+    cache.set(filePath, sha || null);
+  }
+}
+
+async function githubReadFile(env, filePath, ref = "") {
+  const config = getGithubConfig(env);
+  const encodedPath = encodeGitHubPath(filePath);
+  const response = await githubRequest(
+    env,
+    `/contents/${encodedPath}?ref=${encodeURIComponent(ref || config.branch)}`
+  );
+
+  if (response.status === 404) {
+    if (!ref) {
+      rememberGithubSha(filePath, null);
+    }
+    return null;
+  }
+
+  if (!response.ok) {
+    const detail = await response.text();
+    throw new Error(`GitHub read failed: ${response.status} ${detail}`);
+  }
+
+  const data = await response.json();
+  if (!data || Array.isArray(data) || typeof data.content !== "string") {
+    return null;
+  }
+
+  if (!ref) {
+    rememberGithubSha(filePath, data.sha);
+  }
+  return {
+    sha: data.sha,
+    content: fromBase64Utf8(data.content),
+  };
+}
+
+async function githubFileSha(env, filePath) {
+  const cache = getGithubShaCache();
+  if (cache && cache.has(filePath)) {
+    return cache.get(filePath);
+  }
+  const existing = await githubReadFile(env, filePath);
+  return existing ? existing.sha : null;
+}
+
+async function githubWriteFile(env, filePath, content, message) {
+  const config = getGithubConfig(env);
+  const existingSha = await githubFileSha(env, filePath);
+  const encodedPath = encodeGitHubPath(filePath);
+
+  const payload = {
+    message,
+    branch: config.branch,
+    content: toBase64Utf8(content),
+  };
+
+  if (existingSha) {
+    payload.sha = existingSha;
+  }
+
+  const response = await githubRequest(env, `/contents/${encodedPath}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    const detail = await response.text();
+    if (response.status === 409) {
+      const conflictError = new Error("GitHub write conflict: resource changed by another editor");
+      conflictError.status = 409;
+      conflictError.userMessage = "文章已被其他人修改，請重新載入後再儲存。";
+      conflictError.detail = detail;
+      throw conflictError;
+    }
+    throw new Error(`GitHub write failed: ${response.status} ${detail}`);
+  }
+
+  const result = await response.json();
+  rememberGithubSha(filePath, result?.content?.sha);
+  return result;
+}
+
+async function githubDeleteFile(env, filePath, message) {
+  const config = getGithubConfig(env);
+  const existingSha = await githubFileSha(env, filePath);
+  if (!existingSha) {
+    return { deleted: false };
+  }
+  const encodedPath = encodeGitHubPath(filePath);
+  const response = await githubRequest(env, `/contents/${encodedPath}`, {
+    method: "DELETE",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      message,
+      branch: config.branch,
+      sha: existingSha,
+    }),
+  });
+
+  if (!response.ok) {
+    const detail = await response.text();
+    throw new Error(`GitHub delete failed: ${response.status} ${detail}`);
+  }
+
+  rememberGithubSha(filePath, null);
+  return response.json();
+}
+
+async function githubListFileCommits(env, filePath, limit = POST_REVISIONS_LIMIT) {
+  const config = getGithubConfig(env);
+  const query = new URLSearchParams({
+    path: filePath,
+    sha: config.branch,
+    per_page: String(limit),
+  });
+  const commits = await githubJson(env, `/commits?${query.toString()}`, {}, "history read");
+  if (!Array.isArray(commits)) {
+    return [];
+  }
+
+  return commits.map((item) => ({
+    sha: String(item.sha || ""),
+    message: String(item.commit?.message || "").split("\n")[0].slice(0, 200),
+    authorName: String(item.commit?.author?.name || item.author?.login || ""),
+    committedAt: String(item.commit?.committer?.date || item.commit?.author?.date || ""),
+  }));
+}
+
+async function githubListFiles(env, prefix) {
+  const config = getGithubConfig(env);
+  const ref = await githubJson(
+    env,
+    `/git/refs/heads/${encodeGitHubPath(config.branch)}`,
+    {},
+    "ref read"
+  );
+  const headSha = String(ref.object?.sha || "");
+  const tree = await githubJson(
+    env,
+    `/git/trees/${encodeURIComponent(headSha)}?recursive=1`,
+    {},
+    "tree read"
+  );
+  const files = (Array.isArray(tree.tree) ? tree.tree : [])
+    .filter((item) => item.type === "blob" && String(item.path || "").startsWith(prefix))
+    .map((item) => ({ path: item.path, sha: item.sha }));
+  for (const file of files) {
+    rememberGithubSha(file.path, file.sha);
+  }
+  return { files, truncated: Boolean(tree.truncated), headSha };
+}
+
+async function githubJson(env, path, init, action) {
+  const response = await githubRequest(env, path, init);
+  if (!response.ok) {
+    const detail = await response.text();
+    const error = new Error(`GitHub ${action} failed: ${response.status} ${detail}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+async function githubCommitFiles(env, changes, message, options = {}) {
+  const config = getGithubConfig(env);
+  const refPath = `/git/refs/heads/${encodeGitHubPath(config.branch)}`;
+  const files = {};
+  const blobEntries = [];
+
+  for (const change of changes) {
+    if (change.delete) {
+      continue;
+    }
+    if (change.copyFrom) {
+      const sha = change.sha || (await githubFileSha(env, change.copyFrom));
+      if (!sha) {
+        throw new Error(`Content file to copy is missing: ${change.copyFrom}`);
+      }
+      files[change.path] = sha;
+      blobEntries.push({ path: change.path, mode: "100644", type: "blob", sha });
+      continue;
+    }
+    const blob = await githubJson(
+      env,
+      "/git/blobs",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ content: change.content, encoding: "utf-8" }),
+      },
+      "blob create"
+    );
+    files[change.path] = blob.sha;
+    blobEntries.push({ path: change.path, mode: "100644", type: "blob", sha: blob.sha });
+  }
+
+  let deleteEntries = changes
+    .filter((change) => change.delete)
+    .map((change) => ({ path: change.path, mode: "100644", type: "blob", sha: null }));
+  if (!blobEntries.length && !deleteEntries.length) {
+    return { sha: "", files };
+  }
+
+  const pinnedHead = String(options.baseSha || "");
+  let expectedHead = pinnedHead;
+  for (let attempt = 0; attempt < GITHUB_COMMIT_MAX_ATTEMPTS; attempt += 1) {
+    const ref = await githubJson(env, refPath, {}, "ref read");
+    const headSha = ref.object.sha;
+    if (expectedHead && headSha !== expectedHead) {
+      if (pinnedHead || (await githubPathsChangedBetween(env, expectedHead, headSha, changes))) {
+        throw createGithubCommitConflict();
+      }
+    }
+    expectedHead = headSha;
+
+    const headCommit = await githubJson(env, `/git/commits/${headSha}`, {}, "commit read");
+    const createTree = (entries) =>
+      githubJson(
+        env,
+        "/git/trees",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ base_tree: headCommit.tree.sha, tree: entries }),
+        },
+        "tree create"
+      );
+    let tree;
+    try {
+      tree = await createTree([...blobEntries, ...deleteEntries]);
+    } catch (error) {
+      // GitHub rejects `sha: null` for paths missing from the base tree; drop those and retry once.
+      if (error.status !== 422 || !deleteEntries.length) {
+        throw error;
+      }
+      const existing = [];
+      for (const entry of deleteEntries) {
+        if (await githubFileSha(env, entry.path)) {
+          existing.push(entry);
         }
-        notificationListEl.innerHTML = state.notifications
-          .map((item) => {
-            const safeTitle = escapeText(item.postTitle || item.postSlug || 'untitled');
-            const safePath = String(item.targetPath || '/');
-            const safeHref = escapeText(safePath);
-            const safeContent = escapeText(item.contentPreview || '').replace(/\n/g, '<br />');
-            const safeTime = item.createdAt ? escapeText(new Date(item.createdAt).toLocaleString('zh-Hant')) : '';
-            const safeActor = item.actorName ? (' · ' + escapeText(item.actorName)) : '';
-            const kind = item.eventType === 'reaction'
-              ? '點贊'
-              : (item.eventType === 'comment' ? '留言' : '通知');
-            const reactionLine = item.eventType === 'reaction' && item.reactionLabel
-              ? ('<p class="muted">' + escapeText(item.reactionLabel) + '</p>')
-              : '';
-            const unreadClass = item.read ? '' : ' unread';
-            return '<li class="notification-item' + unreadClass + '" data-id="' + item.id + '">' +
-              '<div class="notification-head">' +
-                '<span class="notification-kind">' + kind + safeActor + '</span>' +
-                '<time>' + safeTime + '</time>' +
-              '</div>' +
-              '<p><a href="' + safeHref + '" target="_blank" rel="noreferrer noopener">' + safeTitle + '</a></p>' +
-              (safeContent ? ('<p class="notification-content">' + safeContent + '</p>') : '') +
-              reactionLine +
-              '<div class="row-actions">' +
-                '<button type="button" class="link-button small ghost notification-read-btn" data-id="' + item.id + '">標為已讀</button>' +
-              '</div>' +
-            '</li>';
-          })
-          .join('');
       }
+      if (existing.length === deleteEntries.length) {
+        throw error;
+      }
+      deleteEntries = existing;
+      if (!blobEntries.length && !deleteEntries.length) {
+        return { sha: "", files };
+      }
+      tree = await createTree([...blobEntries, ...deleteEntries]);
+    }
+    const commit = await githubJson(
+      env,
+      "/git/commits",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ message, tree: tree.sha, parents: [headSha] }),
+      },
+      "commit create"
+    );
+
+    const response = await githubRequest(env, refPath, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ sha: commit.sha, force: false }),
+    });
+    if (response.ok) {
+      for (const change of changes) {
+        rememberGithubSha(change.path, change.delete ? null : files[change.path]);
+      }
+      return { sha: commit.sha, files };
+    }
+
+    const detail = await response.text();
+    if (response.status !== 422 && response.status !== 409) {
+      throw new Error(`GitHub ref update failed: ${response.status} ${detail}`);
+    }
+  }
+
+  throw createGithubCommitConflict();
+}
+
+async function githubCompareFiles(env, fromSha, toSha) {
+  const comparison = await githubJson(
+    env,
+    `/compare/${encodeURIComponent(fromSha)}...${encodeURIComponent(toSha)}`,
+    {},
+    "compare"
+  );
+  return Array.isArray(comparison.files) ? comparison.files : [];
+}
+
+async function githubPathsChangedBetween(env, fromSha, toSha, changes) {
+  const changedFiles = await githubCompareFiles(env, fromSha, toSha);
+  // The compare API caps its file list; treat a capped list as overlapping.
+  if (changedFiles.length >= GITHUB_COMPARE_FILES_LIMIT) {
+    return true;
+  }
+  const touched = new Set(
+    changedFiles.flatMap((file) => [file.filename, file.previous_filename].filter(Boolean))
+  );
+  return changes.some((change) => touched.has(change.path));
+}
+
+function createGithubCommitConflict() {
+  const conflictError = new Error("GitHub commit conflict: branch moved during commit");
+  conflictError.status = 409;
+  conflictError.userMessage = "內容已被其他人修改，請重新載入後再儲存。";
+  return conflictError;
+}
+
+function encodeGitHubPath(path) {
+  return String(path)
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => encodeURIComponent(segment))
+    .join("/");
+}
+
+function getSiteConfigPath(siteSlug) {
+  return `sites/${siteSlug}/site.json`;
+}
+
+function getPostFilePath(siteSlug, postSlug) {
+  return `sites/${siteSlug}/posts/${postSlug}.md`;
+}
+
+function defaultSiteConfigFromSite(site) {
+  return {
+    slug: site.slug,
+    displayName: site.displayName || site.slug,
+    description: site.description || "",
+    heroTitle: "",
+    heroSubtitle: "",
+    colorTheme: "default",
+    footerNote: "",
+    customCss: "",
+    faviconUrl: DEFAULT_FAVICON_URL,
+    headerLinks: [],
+    hideCommunitySites: false,
+    hideCampusFeed: false,
+    commentsEnabled: true,
+    createdAt: site.createdAt || new Date().toISOString(),
+    updatedAt: site.updatedAt || new Date().toISOString(),
+    exportVersion: SITE_CONFIG_VERSION,
+  };
+}
+
+function sanitizeHexColor(value) {
+  const raw = String(value || "")
+    .trim()
+    .toLowerCase();
+
+  if (/^#[0-9a-f]{6}$/.test(raw)) {
+    return raw;
+  }
+
+  if (/^#[0-9a-f]{3}$/.test(raw)) {
+    return `#${raw[1]}${raw[1]}${raw[2]}${raw[2]}${raw[3]}${raw[3]}`;
+  }
+
+  return "#7b5034";
+}
+
+function sanitizeColorTheme(value) {
+  const theme = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (
+    theme === "ocean" ||
+    theme === "forest" ||
+    theme === "violet" ||
+    theme === "sunset" ||
+    theme === "mint" ||
+    theme === "graphite"
+  ) {
+    return theme;
+  }
+  return "default";
+}
+
+function sanitizeHeaderLinks(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+
+  return value
+    .slice(0, 8)
+    .map((item) => ({
+      label: sanitizeName(item?.label || "").slice(0, 24),
+      url: sanitizeUrl(item?.url || ""),
+    }))
+    .filter((item) => item.label && item.url);
+}
+
+function sanitizeUrl(value) {
+  const url = String(value || "").trim();
+  if (!url) {
+    return "";
+  }
+
+  if (/^https?:\/\//i.test(url)) {
+    return url.slice(0, 240);
+  }
+
+  return "";
+}
+
+function sanitizeFaviconUrl(value) {
+  const url = String(value || "").trim();
+  if (!url) {
+    return "";
+  }
+  if (/^https?:\/\//i.test(url)) {
+    return url.slice(0, 500);
+  }
+  return "";
+}
+
+function normalizeSiteConfig(rawConfig, site) {
+  const base = site
+    ? defaultSiteConfigFromSite(site)
+    : {
+      slug: "",
+      displayName: "",
+      description: "",
+      heroTitle: "",
+      heroSubtitle: "",
+      colorTheme: "default",
+      footerNote: "",
+      customCss: "",
+      faviconUrl: DEFAULT_FAVICON_URL,
+      headerLinks: [],
+      hideCommunitySites: false,
+      hideCampusFeed: false,
+      commentsEnabled: true,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      exportVersion: SITE_CONFIG_VERSION,
+    };
+
+  const merged = {
+    ...base,
+    ...(rawConfig && typeof rawConfig === "object" ? rawConfig : {}),
+  };
+  const normalizedFooterNote = sanitizeDescription(merged.footerNote || base.footerNote);
+
+  return {
+    slug: String(merged.slug || base.slug).toLowerCase(),
+    displayName: sanitizeName(merged.displayName || base.displayName) || base.slug,
+    description: sanitizeDescription(merged.description || ""),
+    heroTitle: sanitizeTitle(merged.heroTitle || ""),
+    heroSubtitle: sanitizeDescription(merged.heroSubtitle || ""),
+    colorTheme: sanitizeColorTheme(merged.colorTheme || base.colorTheme || "default"),
+    footerNote: normalizedFooterNote === LEGACY_FOOTER_NOTE ? "" : normalizedFooterNote,
+    customCss: sanitizeCustomCss(merged.customCss || base.customCss || ""),
+    faviconUrl: sanitizeFaviconUrl(merged.faviconUrl || base.faviconUrl || DEFAULT_FAVICON_URL),
+    headerLinks: sanitizeHeaderLinks(Array.isArray(merged.headerLinks) ? merged.headerLinks : []),
+    hideCommunitySites: Boolean(merged.hideCommunitySites),
+    hideCampusFeed: Boolean(merged.hideCampusFeed),
+    commentsEnabled: merged.commentsEnabled === undefined ? true : Boolean(merged.commentsEnabled),
+    createdAt: String(merged.createdAt || base.createdAt),
+    updatedAt: String(merged.updatedAt || new Date().toISOString()),
+    exportVersion: SITE_CONFIG_VERSION,
+  };
+}
+
+async function ensureSiteConfigsTable(env) {
+  if (!siteConfigsTableReadyPromise) {
+    siteConfigsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS site_configs (
+          site_id INTEGER PRIMARY KEY,
+          config_json TEXT NOT NULL,
+          config_version INTEGER NOT NULL DEFAULT 0,
+          content_sha TEXT NOT NULL DEFAULT '',
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+    })().catch((error) => {
+      siteConfigsTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return siteConfigsTableReadyPromise;
+}
+
+async function getSiteConfigCache(env, siteId) {
+  await ensureSiteConfigsTable(env);
+  const row = await env.DB.prepare(
+    `SELECT
+      config_json AS configJson,
+      config_version AS configVersion,
+      content_sha AS contentSha,
+      updated_at AS updatedAt
+    FROM site_configs
+    WHERE site_id = ?
+    LIMIT 1`
+  )
+    .bind(siteId)
+    .first();
+  if (!row) {
+    return null;
+  }
+
+  let config = null;
+  try {
+    config = JSON.parse(String(row.configJson || ""));
+  } catch {
+    return null;
+  }
+  return {
+    config,
+    version: Number(row.configVersion || 0),
+    sha: String(row.contentSha || ""),
+    updatedAt: String(row.updatedAt || ""),
+  };
+}
+
+async function upsertSiteConfigCache(env, siteId, config, contentSha = "", updatedAt = "") {
+  await ensureSiteConfigsTable(env);
+  await env.DB.prepare(
+    `INSERT INTO site_configs (site_id, config_json, config_version, content_sha, updated_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(site_id)
+     DO UPDATE SET
+       config_json = excluded.config_json,
+       config_version = excluded.config_version,
+       content_sha = excluded.content_sha,
+       updated_at = excluded.updated_at`
+  )
+    .bind(
+      siteId,
+      JSON.stringify(config),
+      SITE_CONFIG_VERSION,
+      String(contentSha || ""),
+      updatedAt || new Date().toISOString()
+    )
+    .run();
+}
+
+function isSiteConfigCacheFresh(cached, site) {
+  if (!cached || !cached.config || cached.version !== SITE_CONFIG_VERSION) {
+    return false;
+  }
+  return !site.updatedAt || cached.updatedAt >= String(site.updatedAt);
+}
+
+async function getSiteConfig(env, site) {
+  const fallback = normalizeSiteConfig({}, site);
+  const filePath = getSiteConfigPath(site.slug);
+
+  let cached = null;
+  try {
+    cached = await getSiteConfigCache(env, site.id);
+    if (isSiteConfigCacheFresh(cached, site)) {
+      return normalizeSiteConfig(cached.config, site);
+    }
+  } catch (error) {
+    console.error("Failed to read site config cache", error);
+  }
+
+  try {
+    const file = await readContentFile(env, filePath);
+    if (!file || !file.content) {
+      return cached && cached.config ? normalizeSiteConfig(cached.config, site) : fallback;
+    }
+
+    const config = normalizeSiteConfig(JSON.parse(file.content), site);
+    await upsertSiteConfigCache(env, site.id, config, file.sha).catch((error) => {
+      console.error("Failed to refresh site config cache", error);
+    });
+    return config;
+  } catch (error) {
+    console.error("Failed to load site config", error);
+    return cached && cached.config ? normalizeSiteConfig(cached.config, site) : fallback;
+  }
+}
+
+async function ensureSyncConflictsTable(env) {
+  if (!syncConflictsTableReadyPromise) {
+    syncConflictsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS sync_conflicts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          site_id INTEGER NOT NULL,
+          post_slug TEXT NOT NULL,
+          file_path TEXT NOT NULL,
+          commit_sha TEXT NOT NULL DEFAULT '',
+          repo_sha TEXT NOT NULL DEFAULT '',
+          reason TEXT NOT NULL DEFAULT '',
+          committed_at TEXT NOT NULL DEFAULT '',
+          admin_updated_at TEXT NOT NULL DEFAULT '',
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_sync_conflicts_site_created
+         ON sync_conflicts(site_id, created_at DESC)`
+      ).run();
+    })().catch((error) => {
+      syncConflictsTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return syncConflictsTableReadyPromise;
+}
+
+async function recordSyncConflict(env, siteId, conflict) {
+  await ensureSyncConflictsTable(env);
+  await env.DB.prepare(
+    `INSERT INTO sync_conflicts (
+      site_id,
+      post_slug,
+      file_path,
+      commit_sha,
+      repo_sha,
+      reason,
+      committed_at,
+      admin_updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  )
+    .bind(
+      siteId,
+      conflict.postSlug,
+      conflict.filePath,
+      conflict.commitSha || "",
+      conflict.repoSha || "",
+      conflict.reason || "",
+      conflict.committedAt || "",
+      conflict.adminUpdatedAt || ""
+    )
+    .run();
+}
+
+async function listSyncConflicts(env, siteId, limit = SYNC_CONFLICTS_LIMIT) {
+  await ensureSyncConflictsTable(env);
+  const result = await env.DB.prepare(
+    `SELECT
+      id,
+      post_slug AS postSlug,
+      file_path AS filePath,
+      commit_sha AS commitSha,
+      repo_sha AS repoSha,
+      reason,
+      committed_at AS committedAt,
+      admin_updated_at AS adminUpdatedAt,
+      created_at AS createdAt
+    FROM sync_conflicts
+    WHERE site_id = ?
+    ORDER BY created_at DESC
+    LIMIT ?`
+  )
+    .bind(siteId, limit)
+    .all();
+  return result.results || [];
+}
+
+function parseSiteContentPath(filePath) {
+  const match = String(filePath || "").match(
+    /^sites\/([a-z0-9-]+)\/(?:(site\.json)|posts\/([a-z0-9-]+)\.md)$/
+  );
+  if (!match) {
+    return null;
+  }
+  if (match[2]) {
+    return { siteSlug: match[1], kind: "config" };
+  }
+  const validation = validatePostSlug(match[3]);
+  return validation.ok ? { siteSlug: match[1], kind: "post", postSlug: validation.slug } : null;
+}
+
+function toCommittedAt(value) {
+  const timestamp = new Date(value || Date.now());
+  return Number.isNaN(timestamp.getTime()) ? new Date().toISOString() : timestamp.toISOString();
+}
+
+function collectPushedChanges(payload) {
+  const changes = new Map();
+  const commits = Array.isArray(payload?.commits) ? payload.commits : [];
+  for (const commit of commits) {
+    const committedAt = toCommittedAt(commit?.timestamp);
+    for (const filePath of [...(commit?.added || []), ...(commit?.modified || [])]) {
+      changes.set(filePath, { action: "upsert", committedAt });
+    }
+    for (const filePath of commit?.removed || []) {
+      changes.set(filePath, { action: "delete", committedAt });
+    }
+  }
+  return changes;
+}
+
+// Push payloads list at most 20 commits and cap the files listed per commit.
+function isPushPayloadTruncated(payload) {
+  const commits = Array.isArray(payload?.commits) ? payload.commits : [];
+  if (commits.length >= GITHUB_PUSH_COMMITS_LIMIT || Number(payload?.size || 0) > commits.length) {
+    return true;
+  }
+  return commits.some(
+    (commit) =>
+      (commit?.added || []).length + (commit?.modified || []).length + (commit?.removed || []).length >=
+      GITHUB_PUSH_COMMIT_FILES_LIMIT
+  );
+}
+
+async function collectComparedChanges(env, payload) {
+  const before = String(payload?.before || "");
+  const after = String(payload?.after || "");
+  if (!/^[0-9a-f]{40}$/i.test(before) || /^0+$/.test(before) || !after) {
+    return null;
+  }
+  const files = await githubCompareFiles(env, before, after);
+  if (files.length >= GITHUB_COMPARE_FILES_LIMIT) {
+    return null;
+  }
+
+  const committedAt = toCommittedAt(payload?.head_commit?.timestamp);
+  const changes = new Map();
+  for (const file of files) {
+    if (file.previous_filename) {
+      changes.set(file.previous_filename, { action: "delete", committedAt });
+    }
+    changes.set(file.filename, { action: file.status === "removed" ? "delete" : "upsert", committedAt });
+  }
+  return changes;
+}
+
+function deriveTitleFromMarkdown(content, fallback) {
+  const heading = String(content || "").match(/^#\s+(.+)$/m);
+  return sanitizeTitle(heading ? heading[1] : "") || sanitizeTitle(fallback);
+}
+
+async function syncRepositoryPush(env, payload) {
+  const commitSha = String(payload?.after || "");
+  const report = { upserted: [], deleted: [], renamed: [], configs: [], conflicts: [], skipped: [] };
+  const groups = new Map();
+
+  let pushedChanges = collectPushedChanges(payload);
+  let needsReindex = false;
+  if (isPushPayloadTruncated(payload)) {
+    const compared = await collectComparedChanges(env, payload);
+    if (compared) {
+      pushedChanges = compared;
+      report.compared = true;
+    } else {
+      needsReindex = true;
+    }
+  }
+
+  for (const [filePath, change] of pushedChanges) {
+    const target = parseSiteContentPath(filePath);
+    if (!target) {
+      continue;
+    }
+    if (!groups.has(target.siteSlug)) {
+      groups.set(target.siteSlug, { config: false, upserts: [], deletes: [] });
+    }
+    const group = groups.get(target.siteSlug);
+    if (target.kind === "config") {
+      group.config = group.config || change.action === "upsert";
+      continue;
+    }
+    const entry = { postSlug: target.postSlug, filePath, committedAt: change.committedAt };
+    (change.action === "delete" ? group.deletes : group.upserts).push(entry);
+  }
+
+  for (const [siteSlug, group] of groups) {
+    const site = await getSiteBySlug(env, siteSlug);
+    if (!site) {
+      report.skipped.push({ path: `sites/${siteSlug}/`, reason: "unknown site" });
+      continue;
+    }
+
+    if (group.config) {
+      await syncSiteConfigFromRepo(env, site, report);
+    }
+
+    const conflict = async (entry, reason, adminUpdatedAt, repoSha = "") => {
+      await recordSyncConflict(env, site.id, {
+        postSlug: entry.postSlug,
+        filePath: entry.filePath,
+        commitSha,
+        repoSha,
+        reason,
+        committedAt: entry.committedAt,
+        adminUpdatedAt,
+      });
+      report.conflicts.push({ path: entry.filePath, reason });
+    };
+
+    const removedPosts = [];
+    for (const entry of group.deletes) {
+      const post = await getPostMeta(env, site.id, entry.postSlug, true);
+      if (!post) {
+        continue;
+      }
+      if (String(post.updatedAt || "") > entry.committedAt) {
+        await conflict(entry, "deleted in repository after an admin edit", post.updatedAt);
+        continue;
+      }
+      removedPosts.push({ ...entry, post });
+    }
+
+    const addedFiles = [];
+    for (const entry of group.upserts) {
+      const file = await githubReadFile(env, entry.filePath);
+      if (!file) {
+        report.skipped.push({ path: entry.filePath, reason: "missing at branch head" });
+        continue;
+      }
+      const post = await getPostMeta(env, site.id, entry.postSlug, true);
+      if (!post) {
+        addedFiles.push({ ...entry, file });
+        continue;
+      }
+      const mirror = await getPostContent(env, site.id, entry.postSlug);
+      if (mirror && mirror.sha === file.sha) {
+        continue;
+      }
+      if (String(post.updatedAt || "") > entry.committedAt) {
+        await conflict(entry, "edited in repository and admin concurrently", post.updatedAt, file.sha);
+        continue;
+      }
+      const meta = postMetaFromFrontMatter(parseFrontMatter(file.content).data, post);
+      await upsertPostMeta(
+        env,
+        site.id,
+        entry.postSlug,
+        meta.title,
+        meta.description,
+        meta.published,
+        entry.committedAt,
+        meta.createdAt,
+        { isPage: meta.isPage === 1 }
+      );
+      await upsertPostContent(env, site.id, entry.postSlug, file.content, file.sha);
+      await setPostTags(env, site.id, entry.postSlug, meta.tags);
+      await setPostPublishAt(env, site.id, entry.postSlug, meta.publishAt);
+      report.upserted.push(entry.filePath);
+    }
+
+    if (removedPosts.length === 1 && addedFiles.length === 1) {
+      const [from] = removedPosts;
+      const [to] = addedFiles;
+      const meta = postMetaFromFrontMatter(parseFrontMatter(to.file.content).data, from.post);
+      await upsertPostMeta(
+        env,
+        site.id,
+        to.postSlug,
+        meta.title,
+        meta.description,
+        meta.published,
+        to.committedAt,
+        meta.createdAt,
+        { isPage: meta.isPage === 1 }
+      );
+      await upsertPostContent(env, site.id, to.postSlug, to.file.content, to.file.sha);
+      await deletePostMeta(env, site.id, from.postSlug);
+      await deletePostContent(env, site.id, from.postSlug);
+      await moveCommentsToPost(env, site.id, from.postSlug, to.postSlug);
+      await moveReactionsToPost(env, site.id, from.postSlug, to.postSlug);
+      await deletePostTags(env, site.id, from.postSlug);
+      await setPostTags(env, site.id, to.postSlug, meta.tags);
+      await setPostPublishAt(env, site.id, to.postSlug, meta.publishAt);
+      await deletePostRedirect(env, site.id, to.postSlug);
+      await setPostRedirect(env, site.id, from.postSlug, to.postSlug);
+      report.renamed.push({ from: from.filePath, to: to.filePath });
+      continue;
+    }
+
+    for (const removed of removedPosts) {
+      await deletePostMeta(env, site.id, removed.postSlug);
+      await deletePostContent(env, site.id, removed.postSlug);
+      await deleteCommentsByPost(env, site.id, removed.postSlug);
+      await deleteReactionsByPost(env, site.id, removed.postSlug);
+      await deletePostTags(env, site.id, removed.postSlug);
+      await deletePostRedirectsTo(env, site.id, removed.postSlug);
+      report.deleted.push(removed.filePath);
+    }
+
+    for (const added of addedFiles) {
+      const parsed = parseFrontMatter(added.file.content);
+      const meta = postMetaFromFrontMatter(parsed.data, {
+        title: deriveTitleFromMarkdown(parsed.body, added.postSlug),
+        published: 1,
+        isPage: 0,
+        createdAt: added.committedAt,
+        updatedAt: added.committedAt,
+      });
+      await upsertPostMeta(
+        env,
+        site.id,
+        added.postSlug,
+        meta.title,
+        meta.description,
+        meta.published,
+        added.committedAt,
+        meta.createdAt,
+        { isPage: meta.isPage === 1 }
+      );
+      await upsertPostContent(env, site.id, added.postSlug, added.file.content, added.file.sha);
+      await setPostTags(env, site.id, added.postSlug, meta.tags);
+      await setPostPublishAt(env, site.id, added.postSlug, meta.publishAt);
+      report.upserted.push(added.filePath);
+    }
+  }
+
+  if (needsReindex) {
+    // Neither the payload nor the compare API listed every file; add whatever is still missing from D1.
+    report.reindex = await reindexFromContentStore(env, { repair: true });
+  }
+
+  return report;
+}
+
+async function syncSiteConfigFromRepo(env, site, report) {
+  const filePath = getSiteConfigPath(site.slug);
+  const file = await githubReadFile(env, filePath);
+  if (!file) {
+    return;
+  }
+
+  const cached = await getSiteConfigCache(env, site.id).catch(() => null);
+  if (cached && cached.sha === file.sha) {
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(file.content);
+  } catch {
+    report.skipped.push({ path: filePath, reason: "invalid json" });
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const config = normalizeSiteConfig(parsed, site);
+  await env.DB.prepare(
+    `UPDATE sites
+     SET display_name = ?, description = ?, updated_at = ?
+     WHERE id = ?`
+  )
+    .bind(config.displayName, config.description, now, site.id)
+    .run();
+  await upsertSiteConfigCache(env, site.id, config, file.sha, now);
+  report.configs.push(filePath);
+}
+
+async function ensureSiteMembersTables(env) {
+  if (!siteMembersTablesReadyPromise) {
+    siteMembersTablesReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS site_members (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          site_id INTEGER NOT NULL,
+          username TEXT NOT NULL,
+          display_name TEXT NOT NULL DEFAULT '',
+          role TEXT NOT NULL,
+          password_hash TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          UNIQUE(site_id, username),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS site_member_invitations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          site_id INTEGER NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          role TEXT NOT NULL,
+          created_by TEXT NOT NULL DEFAULT '',
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          expires_at TEXT NOT NULL,
+          accepted_at TEXT,
+          accepted_member_id INTEGER,
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_site_member_invitations_site
+         ON site_member_invitations(site_id, accepted_at, expires_at)`
+      ).run();
+    })().catch((error) => {
+      siteMembersTablesReadyPromise = null;
+      throw error;
+    });
+  }
+  return siteMembersTablesReadyPromise;
+}
+
+function sanitizeMemberUsername(value) {
+  const username = String(value || "").trim().toLowerCase();
+  return /^[a-z0-9][a-z0-9_-]{1,29}$/.test(username) && username !== "owner" ? username : "";
+}
+
+async function getSiteMember(env, siteId, memberId) {
+  await ensureSiteMembersTables(env);
+  return env.DB.prepare(
+    `SELECT
+      id,
+      username,
+      display_name AS displayName,
+      role
+    FROM site_members
+    WHERE site_id = ? AND id = ?
+    LIMIT 1`
+  )
+    .bind(siteId, memberId)
+    .first();
+}
+
+async function getSiteMemberByUsername(env, siteId, username) {
+  await ensureSiteMembersTables(env);
+  return env.DB.prepare(
+    `SELECT
+      id,
+      username,
+      display_name AS displayName,
+      role,
+      password_hash AS passwordHash
+    FROM site_members
+    WHERE site_id = ? AND username = ?
+    LIMIT 1`
+  )
+    .bind(siteId, username)
+    .first();
+}
+
+async function listSiteMembers(env, siteId) {
+  await ensureSiteMembersTables(env);
+  const result = await env.DB.prepare(
+    `SELECT
+      id,
+      username,
+      display_name AS displayName,
+      role,
+      created_at AS createdAt
+    FROM site_members
+    WHERE site_id = ?
+    ORDER BY created_at ASC`
+  )
+    .bind(siteId)
+    .all();
+  return result.results || [];
+}
+
+async function updateSiteMemberRole(env, siteId, memberId, role) {
+  await ensureSiteMembersTables(env);
+  const result = await env.DB.prepare(
+    `UPDATE site_members
+     SET role = ?, updated_at = ?
+     WHERE site_id = ? AND id = ?`
+  )
+    .bind(role, new Date().toISOString(), siteId, memberId)
+    .run();
+  return Number(result.meta?.changes || 0) > 0;
+}
+
+async function updateSiteMemberPassword(env, siteId, memberId, passwordHash) {
+  await ensureSiteMembersTables(env);
+  await env.DB.prepare(
+    `UPDATE site_members
+     SET password_hash = ?, updated_at = ?
+     WHERE site_id = ? AND id = ?`
+  )
+    .bind(passwordHash, new Date().toISOString(), siteId, memberId)
+    .run();
+}
+
+async function deleteSiteMember(env, siteId, memberId) {
+  await ensureSiteMembersTables(env);
+  const result = await env.DB.prepare(
+    `DELETE FROM site_members
+     WHERE site_id = ? AND id = ?`
+  )
+    .bind(siteId, memberId)
+    .run();
+  return Number(result.meta?.changes || 0) > 0;
+}
+
+async function createSiteInvitation(env, siteId, role, createdBy) {
+  await ensureSiteMembersTables(env);
+  const token = randomHex(24);
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SITE_INVITATION_TTL_MS).toISOString();
+  const insert = await env.DB.prepare(
+    `INSERT INTO site_member_invitations (site_id, token_hash, role, created_by, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  )
+    .bind(siteId, await sha256Hex(token), role, createdBy, now.toISOString(), expiresAt)
+    .run();
+  return {
+    token,
+    invitation: {
+      id: Number(insert.meta?.last_row_id || 0),
+      role,
+      createdBy,
+      createdAt: now.toISOString(),
+      expiresAt,
+    },
+  };
+}
+
+async function listSiteInvitations(env, siteId) {
+  await ensureSiteMembersTables(env);
+  const result = await env.DB.prepare(
+    `SELECT
+      id,
+      role,
+      created_by AS createdBy,
+      created_at AS createdAt,
+      expires_at AS expiresAt
+    FROM site_member_invitations
+    WHERE site_id = ? AND accepted_at IS NULL AND expires_at > ?
+    ORDER BY created_at DESC`
+  )
+    .bind(siteId, new Date().toISOString())
+    .all();
+  return result.results || [];
+}
+
+async function revokeSiteInvitation(env, siteId, invitationId) {
+  await ensureSiteMembersTables(env);
+  const result = await env.DB.prepare(
+    `DELETE FROM site_member_invitations
+     WHERE site_id = ? AND id = ? AND accepted_at IS NULL`
+  )
+    .bind(siteId, invitationId)
+    .run();
+  return Number(result.meta?.changes || 0) > 0;
+}
+
+async function acceptSiteInvitation(env, siteId, token, member) {
+  await ensureSiteMembersTables(env);
+  const now = new Date().toISOString();
+  const invitation = await env.DB.prepare(
+    `SELECT id, role
+     FROM site_member_invitations
+     WHERE site_id = ? AND token_hash = ? AND accepted_at IS NULL AND expires_at > ?
+     LIMIT 1`
+  )
+    .bind(siteId, await sha256Hex(token), now)
+    .first();
+  if (!invitation) {
+    return null;
+  }
+
+  const claim = await env.DB.prepare(
+    `UPDATE site_member_invitations
+     SET accepted_at = ?
+     WHERE id = ? AND accepted_at IS NULL`
+  )
+    .bind(now, invitation.id)
+    .run();
+  if (!Number(claim.meta?.changes || 0)) {
+    return null;
+  }
+
+  let insert;
+  try {
+    insert = await env.DB.prepare(
+      `INSERT INTO site_members (site_id, username, display_name, role, password_hash, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+      .bind(siteId, member.username, member.displayName, invitation.role, member.passwordHash, now, now)
+      .run();
+  } catch (error) {
+    await env.DB.prepare(
+      `UPDATE site_member_invitations
+       SET accepted_at = NULL
+       WHERE id = ? AND accepted_member_id IS NULL`
+    )
+      .bind(invitation.id)
+      .run();
+    throw error;
+  }
+  const memberId = Number(insert.meta?.last_row_id || 0);
+  await env.DB.prepare(
+    `UPDATE site_member_invitations
+     SET accepted_member_id = ?
+     WHERE id = ?`
+  )
+    .bind(memberId, invitation.id)
+    .run();
+  return { id: memberId, username: member.username, displayName: member.displayName, role: invitation.role };
+}
+
+async function getPostAuthorMemberId(env, siteId, postSlug) {
+  if (!(await hasPostsColumn(env, "author_member_id"))) {
+    return null;
+  }
+  const row = await env.DB.prepare(
+    `SELECT author_member_id AS authorMemberId
+     FROM posts
+     WHERE site_id = ? AND post_slug = ?
+     LIMIT 1`
+  )
+    .bind(siteId, postSlug)
+    .first();
+  return row && row.authorMemberId !== null ? Number(row.authorMemberId) : null;
+}
+
+async function setPostAuthorMemberId(env, siteId, postSlug, memberId) {
+  if (!(await hasPostsColumn(env, "author_member_id"))) {
+    return;
+  }
+  await env.DB.prepare(
+    `UPDATE posts
+     SET author_member_id = ?
+     WHERE site_id = ? AND post_slug = ?`
+  )
+    .bind(memberId || null, siteId, postSlug)
+    .run();
+}
+
+function normalizePublishAt(value) {
+  if (!value) {
+    return "";
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? "" : date.toISOString();
+}
+
+async function setPostPublishAt(env, siteId, postSlug, publishAt) {
+  if (!(await hasPostsColumn(env, "publish_at"))) {
+    return;
+  }
+  await env.DB.prepare(
+    `UPDATE posts
+     SET publish_at = ?
+     WHERE site_id = ? AND post_slug = ?`
+  )
+    .bind(normalizePublishAt(publishAt) || null, siteId, postSlug)
+    .run();
+}
+
+async function canWritePost(env, session, siteId, postSlug) {
+  if (hasSitePermission(session, "posts:write-any")) {
+    return true;
+  }
+  if (!hasSitePermission(session, "posts:write")) {
+    return false;
+  }
+  const authorMemberId = await getPostAuthorMemberId(env, siteId, postSlug);
+  return authorMemberId !== null && authorMemberId === Number(session.member.id);
+}
+
+async function reindexFromContentStore(env, options = {}) {
+  const store = getContentStore(env);
+  if (typeof store.list !== "function") {
+    throw new Error(`Content store "${store.kind}" cannot list files`);
+  }
+
+  const repair = options.repair === true;
+  const prune = options.prune === true;
+  const limit = Number(options.limit || REINDEX_DEFAULT_LIMIT);
+  const now = new Date().toISOString();
+  const report = {
+    store: store.kind,
+    truncated: false,
+    scanned: { files: 0, sites: 0, posts: 0 },
+    orphans: { sitesWithoutFiles: [], filesWithoutSite: [], postsWithoutFiles: [], filesWithoutPosts: [] },
+    repaired: { sites: [], posts: [], pruned: [] },
+    lockedSites: [],
+    skipped: [],
+    deferred: 0,
+  };
+
+  const listing = await store.list(env, "sites/");
+  report.truncated = Boolean(listing.truncated);
+  if (report.truncated && repair && prune) {
+    throw new Error("Content listing is truncated, refusing to prune against a partial tree");
+  }
+  const tree = new Map();
+  for (const file of listing.files) {
+    const target = parseSiteContentPath(file.path);
+    if (!target) {
+      continue;
+    }
+    report.scanned.files += 1;
+    if (!tree.has(target.siteSlug)) {
+      tree.set(target.siteSlug, { config: null, posts: new Map() });
+    }
+    const entry = tree.get(target.siteSlug);
+    if (target.kind === "config") {
+      entry.config = file;
+    } else {
+      entry.posts.set(target.postSlug, file);
+    }
+  }
+
+  const siteRows = await env.DB.prepare(
+    `SELECT slug FROM sites ORDER BY slug ASC`
+  ).all();
+  const knownSlugs = new Set((siteRows.results || []).map((row) => String(row.slug)));
+  report.scanned.sites = knownSlugs.size;
+
+  for (const slug of knownSlugs) {
+    if (!tree.has(slug)) {
+      report.orphans.sitesWithoutFiles.push(slug);
+    }
+  }
+
+  let budget = limit;
+  for (const [siteSlug, entry] of tree) {
+    let site = knownSlugs.has(siteSlug) ? await getSiteBySlug(env, siteSlug) : null;
+
+    if (!site) {
+      report.orphans.filesWithoutSite.push(getSiteConfigPath(siteSlug));
+      if (!repair) {
+        continue;
+      }
+      if (!entry.config) {
+        report.skipped.push({ path: `sites/${siteSlug}/`, reason: "missing site.json" });
+        continue;
+      }
+      if (budget <= 0) {
+        report.deferred += 1 + entry.posts.size;
+        continue;
+      }
+      budget -= 1;
+      site = await restoreSiteFromConfig(env, store, siteSlug, entry.config, now, report);
+      if (!site) {
+        continue;
+      }
+    }
+
+    const posts = await listPosts(env, site.id, true);
+    report.scanned.posts += posts.length;
+    const postSlugs = new Set(posts.map((post) => String(post.postSlug)));
+
+    for (const post of posts) {
+      if (entry.posts.has(post.postSlug)) {
+        continue;
+      }
+      const filePath = getPostFilePath(siteSlug, post.postSlug);
+      report.orphans.postsWithoutFiles.push(filePath);
+      if (repair && prune) {
+        await deletePostMeta(env, site.id, post.postSlug);
+        await deletePostContent(env, site.id, post.postSlug);
+        await deletePostTags(env, site.id, post.postSlug);
+        report.repaired.pruned.push(filePath);
+      }
+    }
+
+    for (const [postSlug, file] of entry.posts) {
+      if (postSlugs.has(postSlug)) {
+        continue;
+      }
+      report.orphans.filesWithoutPosts.push(file.path);
+      if (!repair) {
+        continue;
+      }
+      if (budget <= 0) {
+        report.deferred += 1;
+        continue;
+      }
+      budget -= 1;
+      await restorePostFromFile(env, store, site, postSlug, file, now, report);
+    }
+  }
+
+  return report;
+}
+
+async function restoreSiteFromConfig(env, store, siteSlug, configFile, now, report) {
+  const file = await store.read(env, configFile.path);
+  if (!file) {
+    report.skipped.push({ path: configFile.path, reason: "missing at read time" });
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(file.content);
+  } catch {
+    report.skipped.push({ path: configFile.path, reason: "invalid json" });
+    return null;
+  }
+
+  const createdAt = String(parsed?.createdAt || "") || now;
+  const config = normalizeSiteConfig(parsed, {
+    slug: siteSlug,
+    displayName: String(parsed?.displayName || siteSlug),
+    description: String(parsed?.description || ""),
+    createdAt,
+    updatedAt: now,
+  });
+  await env.DB.prepare(
+    `INSERT INTO sites (slug, display_name, description, admin_secret_hash, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  )
+    .bind(siteSlug, config.displayName, config.description, createLockedPasswordHash(), createdAt, now)
+    .run();
+
+  const site = await getSiteBySlug(env, siteSlug);
+  await upsertSiteConfigCache(env, site.id, config, file.sha, now);
+  report.repaired.sites.push(siteSlug);
+  report.lockedSites.push(siteSlug);
+  return site;
+}
+
+async function restorePostFromFile(env, store, site, postSlug, listedFile, now, report) {
+  const file = await store.read(env, listedFile.path);
+  if (!file) {
+    report.skipped.push({ path: listedFile.path, reason: "missing at read time" });
+    return;
+  }
+
+  const parsed = parseFrontMatter(file.content);
+  const meta = postMetaFromFrontMatter(parsed.data, {
+    title: deriveTitleFromMarkdown(parsed.body, postSlug),
+    published: 1,
+    isPage: 0,
+    createdAt: now,
+    updatedAt: now,
+  });
+  await upsertPostMeta(
+    env,
+    site.id,
+    postSlug,
+    meta.title,
+    meta.description,
+    meta.published,
+    meta.updatedAt,
+    meta.createdAt,
+    { isPage: meta.isPage === 1 }
+  );
+  await upsertPostContent(env, site.id, postSlug, file.content, file.sha);
+  await setPostTags(env, site.id, postSlug, meta.tags);
+  await setPostPublishAt(env, site.id, postSlug, meta.publishAt);
+  report.repaired.posts.push(listedFile.path);
+}
+
+async function notifyTelegramNewSite(env, payload) {
+  const botToken = String(env.TELEGRAM_BOT_TOKEN || "").trim();
+  const chatId = String(env.TELEGRAM_CHAT_ID || "").trim();
+
+  if (!botToken || !chatId) {
+    return;
+  }
+
+  const lines = [
+    "🆕 新 Blog 註冊",
+    `站點：${payload.slug}.bdfz.net`,
+    `名稱：${payload.displayName}`,
+    `時間：${payload.createdAt}`,
+    `後台：${payload.siteUrl}/admin`,
+  ];
+
+  const endpoint = `https://api.telegram.org/bot${botToken}/sendMessage`;
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        chat_id: chatId,
+        text: lines.join("\n"),
+        disable_web_page_preview: true,
+      }),
+    });
+  } catch {
+    throw new Error("Telegram notify request failed");
+  }
+
+  if (!response.ok) {
+    throw new Error(`Telegram notify failed (${response.status})`);
+  }
+}
+
+async function createPasswordHash(password, env) {
+  const salt = randomHex(16);
+  const digest = deriveScryptHex(password, salt, env, {
+    n: PASSWORD_SCRYPT_N,
+    r: PASSWORD_SCRYPT_R,
+    p: PASSWORD_SCRYPT_P,
+    keyLength: PASSWORD_SCRYPT_KEYLEN,
+  });
+  return `scrypt$${PASSWORD_SCRYPT_N}$${PASSWORD_SCRYPT_R}$${PASSWORD_SCRYPT_P}$${salt}$${digest}`;
+}
+
+async function verifyPassword(password, stored, env) {
+  const parsedScrypt = parseScryptPasswordHash(stored);
+  if (parsedScrypt) {
+    const digest = deriveScryptHex(password, parsedScrypt.salt, env, {
+      n: parsedScrypt.n,
+      r: parsedScrypt.r,
+      p: parsedScrypt.p,
+      keyLength: PASSWORD_SCRYPT_KEYLEN,
+    });
+    return timingSafeEqual(parsedScrypt.digest, digest);
+  }
+
+  const [salt, hash] = String(stored || "").split(":");
+  if (!salt || !hash) {
+    return false;
+  }
+  const digest = await sha256Hex(`${salt}:${password}:${getSessionSecret(env)}`);
+  return timingSafeEqual(hash, digest);
+}
+
+function parseScryptPasswordHash(stored) {
+  const raw = String(stored || "");
+  if (!raw.startsWith("scrypt$")) {
+    return null;
+  }
+  const parts = raw.split("$");
+  if (parts.length !== 6) {
+    return null;
+  }
+
+  const n = Number(parts[1]);
+  const r = Number(parts[2]);
+  const p = Number(parts[3]);
+  const salt = String(parts[4] || "");
+  const digest = String(parts[5] || "");
+  if (!Number.isFinite(n) || !Number.isFinite(r) || !Number.isFinite(p)) {
+    return null;
+  }
+  if (!salt || !/^[a-f0-9]{16,64}$/i.test(salt)) {
+    return null;
+  }
+  if (!digest || !/^[a-f0-9]{32,256}$/i.test(digest)) {
+    return null;
+  }
+
+  return { n, r, p, salt, digest: digest.toLowerCase() };
+}
+
+function isLegacyPasswordHash(stored) {
+  return !String(stored || "").startsWith("scrypt$");
+}
+
+function createLockedPasswordHash() {
+  return `${LOCKED_PASSWORD_HASH_PREFIX}${randomHex(16)}`;
+}
+
+function isLockedPasswordHash(stored) {
+  return String(stored || "").startsWith(LOCKED_PASSWORD_HASH_PREFIX);
+}
+
+function deriveScryptHex(password, salt, env, options) {
+  const keyLength = Math.max(Number(options?.keyLength || PASSWORD_SCRYPT_KEYLEN), 16);
+  const n = Math.max(Number(options?.n || PASSWORD_SCRYPT_N), 2);
+  const r = Math.max(Number(options?.r || PASSWORD_SCRYPT_R), 1);
+  const p = Math.max(Number(options?.p || PASSWORD_SCRYPT_P), 1);
+
+  const material = `${String(password || "")}:${getSessionSecret(env)}`;
+  const derived = scryptSync(material, salt, keyLength, {
+    N: n,
+    r,
+    p,
+    maxmem: 128 * 1024 * 1024,
+  });
+  return derived.toString("hex");
+}
+
+async function createSessionToken(slug, env, memberId = 0, sessionId = "") {
+  const payload = {
+    slug,
+    exp: Date.now() + SESSION_TTL_SECONDS * 1000,
+  };
+  if (memberId) {
+    payload.mid = Number(memberId);
+  }
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
+  const payloadEncoded = toBase64Url(JSON.stringify(payload));
+  const signature = await hmacHex(payloadEncoded, getSessionSecret(env));
+  return `${payloadEncoded}.${signature}`;
+}
+
+async function verifySessionToken(token, env) {
+  const raw = String(token || "");
+  if (!raw.includes(".")) {
+    return null;
+  }
+
+  const [payloadEncoded, signature] = raw.split(".");
+  if (!payloadEncoded || !signature) {
+    return null;
+  }
+
+  const expected = await hmacHex(payloadEncoded, getSessionSecret(env));
+  if (!timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(payloadEncoded));
+  } catch {
+    return null;
+  }
+
+  if (!payload || typeof payload.slug !== "string" || typeof payload.exp !== "number") {
+    return null;
+  }
+
+  if (Date.now() > payload.exp) {
+    return null;
+  }
+
+  return payload;
+}
+
+async function readSessionFromRequest(request, env) {
+  const cookies = parseCookies(request.headers.get("cookie") || "");
+  const token = cookies[SESSION_COOKIE];
+  if (!token) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = await verifySessionToken(token, env);
+  } catch (error) {
+    console.error("Session verification failed", error);
+    return null;
+  }
+  if (!payload || typeof payload.sid !== "string" || !payload.sid) {
+    return null;
+  }
+
+  const record = await getActiveSiteSession(env, payload.sid);
+  if (!record || record.slug !== payload.slug || Number(record.memberId || 0) !== Number(payload.mid || 0)) {
+    return null;
+  }
+  if (Date.now() - Date.parse(record.lastSeenAt || 0) > SESSION_TOUCH_INTERVAL_MS) {
+    await touchSiteSession(env, payload.sid, request).catch((error) => {
+      console.error("Failed to touch session", error);
+    });
+  }
+  return payload;
+}
+
+async function startSiteSession(request, env, site, memberId = 0) {
+  await ensureSiteSessionsTable(env);
+  const sessionId = randomHex(16);
+  const now = new Date();
+  await env.DB.prepare(
+    `DELETE FROM site_sessions
+     WHERE site_id = ? AND expires_at < ?`
+  )
+    .bind(site.id, now.toISOString())
+    .run();
+  await env.DB.prepare(
+    `INSERT INTO site_sessions (
+      id,
+      site_id,
+      member_id,
+      label,
+      ip_hash,
+      created_at,
+      last_seen_at,
+      expires_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  )
+    .bind(
+      sessionId,
+      site.id,
+      Number(memberId || 0),
+      describeUserAgent(request.headers.get("user-agent") || ""),
+      await hashSessionIp(request, env),
+      now.toISOString(),
+      now.toISOString(),
+      new Date(now.getTime() + SESSION_TTL_SECONDS * 1000).toISOString()
+    )
+    .run();
+  return createSessionToken(site.slug, env, memberId, sessionId);
+}
+
+async function isSiteAuthenticated(request, env, slug) {
+  if (readApiTokenFromRequest(request)) {
+    const site = await getSiteBySlug(env, slug);
+    const auth = site ? await getSiteAuth(request, env, site) : null;
+    return Boolean(auth && auth.scopes.includes("admin:read"));
+  }
+
+  const session = await readSessionFromRequest(request, env);
+  if (!session || session.slug !== slug) {
+    return false;
+  }
+  if (!session.mid) {
+    return true;
+  }
+
+  await ensureSiteMembersTables(env);
+  const member = await env.DB.prepare(
+    `SELECT m.id
+     FROM site_members m
+     JOIN sites s ON s.id = m.site_id
+     WHERE s.slug = ? AND m.id = ?
+     LIMIT 1`
+  )
+    .bind(slug, session.mid)
+    .first();
+  return Boolean(member);
+}
+
+async function getSiteAuth(request, env, site) {
+  const bearer = readApiTokenFromRequest(request);
+  if (!bearer) {
+    return getSiteSession(request, env, site);
+  }
+
+  const token = await getActiveApiToken(env, site.id, bearer);
+  if (!token) {
+    return null;
+  }
+
+  let member;
+  if (Number(token.memberId || 0) === 0) {
+    member = { id: 0, username: "owner", displayName: site.displayName || site.slug, role: "owner" };
+  } else {
+    member = await getSiteMember(env, site.id, token.memberId);
+    if (!member) {
+      return null;
+    }
+  }
+
+  const lastUsedMs = Date.parse(token.lastUsedAt || "") || 0;
+  if (Date.now() - lastUsedMs > SESSION_TOUCH_INTERVAL_MS) {
+    await env.DB.prepare(
+      `UPDATE site_api_tokens
+       SET last_used_at = ?
+       WHERE id = ?`
+    )
+      .bind(new Date().toISOString(), token.id)
+      .run();
+  }
+
+  return {
+    slug: site.slug,
+    sessionId: "",
+    member,
+    apiTokenId: Number(token.id),
+    scopes: parseApiTokenScopes(token.scopes),
+  };
+}
+
+async function checkCsrf(request, env, url, path) {
+  if (CSRF_SAFE_METHODS.has(request.method) || readApiTokenFromRequest(request)) {
+    return "";
+  }
+  const cookies = parseCookies(request.headers.get("cookie") || "");
+  if (!cookies[SESSION_COOKIE] && !cookies[PLATFORM_SESSION_COOKIE]) {
+    return "";
+  }
+
+  const fetchSite = String(request.headers.get("sec-fetch-site") || "").toLowerCase();
+  if (fetchSite && fetchSite !== "same-origin" && fetchSite !== "none") {
+    return "Cross-site request blocked";
+  }
+  const origin = String(request.headers.get("origin") || "");
+  if (origin && origin !== url.origin) {
+    return "Cross-site request blocked";
+  }
+  if (CSRF_TOKEN_EXEMPT_PATHS.has(path)) {
+    return "";
+  }
+
+  const sessionIds = [];
+  if (cookies[SESSION_COOKIE]) {
+    const session = await readSessionFromRequest(request, env);
+    if (session) {
+      sessionIds.push(session.sid);
+    }
+  }
+  if (cookies[PLATFORM_SESSION_COOKIE]) {
+    const platformSession = await readPlatformSession(request, env);
+    if (platformSession) {
+      sessionIds.push(`platform:${platformSession.nonce}`);
+    }
+  }
+  if (!sessionIds.length) {
+    return "";
+  }
+
+  const provided = String(request.headers.get(CSRF_HEADER) || "");
+  for (const sessionId of sessionIds) {
+    if (timingSafeEqual(provided, await createCsrfToken(sessionId, env))) {
+      return "";
+    }
+  }
+  return "Invalid CSRF token, please reload the page";
+}
+
+async function createCsrfToken(sessionId, env) {
+  return hmacHex(`csrf:${sessionId}`, getSessionSecret(env));
+}
+
+function readApiTokenFromRequest(request) {
+  const header = String(request.headers.get("authorization") || "");
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match || !match[1].startsWith(API_TOKEN_PREFIX)) {
+    return "";
+  }
+  return match[1];
+}
+
+async function ensureSiteApiTokensTable(env) {
+  if (!siteApiTokensTableReadyPromise) {
+    siteApiTokensTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS site_api_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          site_id INTEGER NOT NULL,
+          member_id INTEGER NOT NULL DEFAULT 0,
+          name TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          token_hint TEXT NOT NULL DEFAULT '',
+          scopes TEXT NOT NULL DEFAULT '[]',
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          expires_at TEXT,
+          last_used_at TEXT,
+          revoked_at TEXT,
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_site_api_tokens_site_member
+         ON site_api_tokens(site_id, member_id)`
+      ).run();
+    })().catch((error) => {
+      siteApiTokensTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return siteApiTokensTableReadyPromise;
+}
+
+async function getActiveApiToken(env, siteId, rawToken) {
+  await ensureSiteApiTokensTable(env);
+  return env.DB.prepare(
+    `SELECT
+      id,
+      member_id AS memberId,
+      scopes,
+      last_used_at AS lastUsedAt
+    FROM site_api_tokens
+    WHERE site_id = ?
+      AND token_hash = ?
+      AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > ?)
+    LIMIT 1`
+  )
+    .bind(siteId, await sha256Hex(rawToken), new Date().toISOString())
+    .first();
+}
+
+async function listSiteApiTokens(env, siteId, memberId) {
+  await ensureSiteApiTokensTable(env);
+  const result = await env.DB.prepare(
+    `SELECT
+      id,
+      name,
+      token_hint AS tokenHint,
+      scopes,
+      created_at AS createdAt,
+      expires_at AS expiresAt,
+      last_used_at AS lastUsedAt
+    FROM site_api_tokens
+    WHERE site_id = ? AND member_id = ? AND revoked_at IS NULL
+    ORDER BY id DESC`
+  )
+    .bind(siteId, Number(memberId || 0))
+    .all();
+  return (result.results || []).map((row) => ({
+    ...row,
+    scopes: parseApiTokenScopes(row.scopes),
+  }));
+}
+
+async function createSiteApiToken(env, siteId, memberId, { name, scopes, expiresAt }) {
+  await ensureSiteApiTokensTable(env);
+  const token = `${API_TOKEN_PREFIX}${randomHex(24)}`;
+  const now = new Date().toISOString();
+  const result = await env.DB.prepare(
+    `INSERT INTO site_api_tokens (
+      site_id,
+      member_id,
+      name,
+      token_hash,
+      token_hint,
+      scopes,
+      created_at,
+      expires_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  )
+    .bind(
+      siteId,
+      Number(memberId || 0),
+      name,
+      await sha256Hex(token),
+      token.slice(-4),
+      JSON.stringify(scopes),
+      now,
+      expiresAt
+    )
+    .run();
+  return {
+    token,
+    apiToken: {
+      id: Number(result.meta?.last_row_id || 0),
+      name,
+      tokenHint: token.slice(-4),
+      scopes,
+      createdAt: now,
+      expiresAt,
+      lastUsedAt: null,
+    },
+  };
+}
+
+async function revokeSiteApiTokens(env, siteId, memberId, tokenId = null) {
+  await ensureSiteApiTokensTable(env);
+  const result = await env.DB.prepare(
+    `UPDATE site_api_tokens
+     SET revoked_at = ?
+     WHERE site_id = ? AND member_id = ? AND revoked_at IS NULL
+       AND (? IS NULL OR id = ?)`
+  )
+    .bind(new Date().toISOString(), siteId, Number(memberId || 0), tokenId, tokenId)
+    .run();
+  return Number(result.meta?.changes || 0);
+}
+
+function parseApiTokenScopes(raw) {
+  let parsed = raw;
+  if (typeof raw === "string") {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      parsed = [];
+    }
+  }
+  if (!Array.isArray(parsed)) {
+    return [];
+  }
+  return [...new Set(parsed.map((scope) => String(scope).trim()))].filter((scope) =>
+    Object.prototype.hasOwnProperty.call(API_TOKEN_SCOPES, scope)
+  );
+}
+
+async function getSiteSession(request, env, site) {
+  const session = await readSessionFromRequest(request, env);
+  if (!session || session.slug !== site.slug) {
+    return null;
+  }
+  if (!session.mid) {
+    return {
+      slug: site.slug,
+      sessionId: session.sid,
+      member: { id: 0, username: "owner", displayName: site.displayName || site.slug, role: "owner" },
+    };
+  }
+
+  const member = await getSiteMember(env, site.id, session.mid);
+  if (!member) {
+    return null;
+  }
+  return { slug: site.slug, sessionId: session.sid, member };
+}
+
+// Token scopes only narrow the member's current role; they never add to it.
+function hasSitePermission(session, permission) {
+  const permissions = SITE_ROLE_PERMISSIONS[session?.member?.role] || [];
+  if (!permissions.includes(permission)) {
+    return false;
+  }
+  if (!Array.isArray(session.scopes)) {
+    return true;
+  }
+  return session.scopes.some((scope) => (API_TOKEN_SCOPES[scope] || []).includes(permission));
+}
+
+// Admin reads only need the admin:read scope on tokens; what is visible follows the member's role.
+function hasSiteReadPermission(session, permission) {
+  if (Array.isArray(session?.scopes) && !session.scopes.includes("admin:read")) {
+    return false;
+  }
+  return (SITE_ROLE_PERMISSIONS[session?.member?.role] || []).includes(permission);
+}
+
+async function canReadPost(env, session, siteId, postSlug) {
+  if (hasSiteReadPermission(session, "posts:write-any")) {
+    return true;
+  }
+  if (!hasSiteReadPermission(session, "posts:write")) {
+    return false;
+  }
+  const authorMemberId = await getPostAuthorMemberId(env, siteId, postSlug);
+  return authorMemberId !== null && authorMemberId === Number(session.member.id);
+}
+
+// Members limited to their own posts get only those in draft listings; null means no drafts.
+function getDraftListingScope(session) {
+  if (!hasSiteReadPermission(session, "posts:write")) {
+    return null;
+  }
+  return hasSiteReadPermission(session, "posts:write-any")
+    ? { authorMemberId: null }
+    : { authorMemberId: Number(session.member.id) };
+}
+
+function canAssignSiteRole(session, role) {
+  return SITE_INVITABLE_ROLES.includes(role) || (role === "owner" && session?.member?.role === "owner");
+}
+
+function formatMemberForClient(member) {
+  return {
+    id: Number(member.id || 0),
+    username: member.username,
+    displayName: member.displayName || member.username,
+    role: member.role,
+    permissions: [...(SITE_ROLE_PERMISSIONS[member.role] || [])],
+  };
+}
+
+async function ensureSiteSessionsTable(env) {
+  if (!siteSessionsTableReadyPromise) {
+    siteSessionsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS site_sessions (
+          id TEXT PRIMARY KEY,
+          site_id INTEGER NOT NULL,
+          member_id INTEGER NOT NULL DEFAULT 0,
+          label TEXT NOT NULL DEFAULT '',
+          ip_hash TEXT NOT NULL DEFAULT '',
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          last_seen_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          expires_at TEXT NOT NULL,
+          revoked_at TEXT,
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_site_sessions_site_member
+         ON site_sessions(site_id, member_id, revoked_at, expires_at)`
+      ).run();
+    })().catch((error) => {
+      siteSessionsTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return siteSessionsTableReadyPromise;
+}
+
+async function getActiveSiteSession(env, sessionId) {
+  await ensureSiteSessionsTable(env);
+  return env.DB.prepare(
+    `SELECT
+      ss.id,
+      ss.member_id AS memberId,
+      ss.last_seen_at AS lastSeenAt,
+      s.slug
+    FROM site_sessions ss
+    JOIN sites s ON s.id = ss.site_id
+    WHERE ss.id = ? AND ss.revoked_at IS NULL AND ss.expires_at > ?
+    LIMIT 1`
+  )
+    .bind(sessionId, new Date().toISOString())
+    .first();
+}
+
+async function touchSiteSession(env, sessionId, request) {
+  await env.DB.prepare(
+    `UPDATE site_sessions
+     SET last_seen_at = ?, ip_hash = ?
+     WHERE id = ?`
+  )
+    .bind(new Date().toISOString(), await hashSessionIp(request, env), sessionId)
+    .run();
+}
+
+async function listSiteSessions(env, siteId, memberId) {
+  await ensureSiteSessionsTable(env);
+  const result = await env.DB.prepare(
+    `SELECT
+      id,
+      label,
+      ip_hash AS ipHash,
+      created_at AS createdAt,
+      last_seen_at AS lastSeenAt,
+      expires_at AS expiresAt
+    FROM site_sessions
+    WHERE site_id = ? AND member_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_seen_at DESC`
+  )
+    .bind(siteId, Number(memberId || 0), new Date().toISOString())
+    .all();
+  return result.results || [];
+}
+
+async function revokeSiteSessions(env, siteId, memberId, options = {}) {
+  await ensureSiteSessionsTable(env);
+  const filters = ["site_id = ?", "revoked_at IS NULL"];
+  const binds = [siteId];
+  if (memberId !== null) {
+    filters.push("member_id = ?");
+    binds.push(Number(memberId || 0));
+  }
+  if (options.sessionId) {
+    filters.push("id = ?");
+    binds.push(options.sessionId);
+  }
+  if (options.exceptSessionId) {
+    filters.push("id <> ?");
+    binds.push(options.exceptSessionId);
+  }
+  const result = await env.DB.prepare(
+    `UPDATE site_sessions
+     SET revoked_at = ?
+     WHERE ${filters.join(" AND ")}`
+  )
+    .bind(new Date().toISOString(), ...binds)
+    .run();
+  return Number(result.meta?.changes || 0);
+}
+
+async function endSiteSession(env, sessionId) {
+  await ensureSiteSessionsTable(env);
+  await env.DB.prepare(
+    `UPDATE site_sessions
+     SET revoked_at = ?
+     WHERE id = ? AND revoked_at IS NULL`
+  )
+    .bind(new Date().toISOString(), sessionId)
+    .run();
+}
+
+async function hashSessionIp(request, env) {
+  const ip = String(request.headers.get("cf-connecting-ip") || "").trim();
+  if (!ip) {
+    return "";
+  }
+  return (await sha256Hex(`${ip}|${getSessionSecret(env)}|session-ip-v1`)).slice(0, 16);
+}
+
+function describeUserAgent(userAgent) {
+  const ua = String(userAgent || "");
+  const browser = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Firefox", /Firefox\//],
+    ["Chrome", /Chrome\//],
+    ["Safari", /Safari\//],
+  ].find(([, pattern]) => pattern.test(ua));
+  const platform = [
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Android", /Android/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["ChromeOS", /CrOS/],
+    ["Linux", /Linux/],
+  ].find(([, pattern]) => pattern.test(ua));
+  const label = [browser ? browser[0] : "", platform ? platform[0] : ""].filter(Boolean).join(" · ");
+  return label || (ua ? ua.slice(0, 60) : "未知裝置");
+}
+
+async function finishPasswordLogin(request, env, site, memberId, rateKey) {
+  await clearRateLimit(env, rateKey);
+  const totp = await getSiteTotp(env, site.id, memberId);
+  if (totp && totp.secretEnc) {
+    const challenge = await createLoginChallenge(site.slug, memberId, env);
+    return json({ ok: true, twoFactorRequired: true, challenge }, 200);
+  }
+
+  const token = await startSiteSession(request, env, site, memberId);
+  return withCookie(json({ ok: true }, 200), buildSessionCookie(token));
+}
+
+async function createLoginChallenge(slug, memberId, env) {
+  const payload = {
+    slug,
+    mid: Number(memberId || 0),
+    purpose: "totp-login",
+    exp: Date.now() + LOGIN_CHALLENGE_TTL_MS,
+  };
+  const payloadEncoded = toBase64Url(JSON.stringify(payload));
+  const signature = await hmacHex(`totp:${payloadEncoded}`, getSessionSecret(env));
+  return `${payloadEncoded}.${signature}`;
+}
+
+async function verifyLoginChallenge(token, env) {
+  const [payloadEncoded, signature] = String(token || "").split(".");
+  if (!payloadEncoded || !signature) {
+    return null;
+  }
+  const expected = await hmacHex(`totp:${payloadEncoded}`, getSessionSecret(env));
+  if (!timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(payloadEncoded));
+  } catch {
+    return null;
+  }
+  if (!payload || payload.purpose !== "totp-login" || typeof payload.slug !== "string") {
+    return null;
+  }
+  if (Date.now() > Number(payload.exp || 0)) {
+    return null;
+  }
+  return payload;
+}
+
+async function ensureSiteTotpTable(env) {
+  if (!siteTotpTableReadyPromise) {
+    siteTotpTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS site_totp (
+          site_id INTEGER NOT NULL,
+          member_id INTEGER NOT NULL DEFAULT 0,
+          secret_enc TEXT NOT NULL DEFAULT '',
+          pending_secret_enc TEXT NOT NULL DEFAULT '',
+          last_used_step INTEGER NOT NULL DEFAULT 0,
+          recovery_codes TEXT NOT NULL DEFAULT '[]',
+          enabled_at TEXT,
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          PRIMARY KEY(site_id, member_id),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+    })().catch((error) => {
+      siteTotpTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return siteTotpTableReadyPromise;
+}
+
+async function getSiteTotp(env, siteId, memberId) {
+  await ensureSiteTotpTable(env);
+  return env.DB.prepare(
+    `SELECT
+      secret_enc AS secretEnc,
+      pending_secret_enc AS pendingSecretEnc,
+      last_used_step AS lastUsedStep,
+      recovery_codes AS recoveryCodes,
+      enabled_at AS enabledAt
+    FROM site_totp
+    WHERE site_id = ? AND member_id = ?
+    LIMIT 1`
+  )
+    .bind(siteId, Number(memberId || 0))
+    .first();
+}
+
+async function savePendingTotpSecret(env, siteId, memberId, pendingSecretEnc) {
+  await ensureSiteTotpTable(env);
+  await env.DB.prepare(
+    `INSERT INTO site_totp (site_id, member_id, pending_secret_enc, updated_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(site_id, member_id)
+     DO UPDATE SET
+       pending_secret_enc = excluded.pending_secret_enc,
+       updated_at = excluded.updated_at`
+  )
+    .bind(siteId, Number(memberId || 0), pendingSecretEnc, new Date().toISOString())
+    .run();
+}
+
+async function enableSiteTotp(env, siteId, memberId, secretEnc, step, recoveryCodeHashes) {
+  const now = new Date().toISOString();
+  await env.DB.prepare(
+    `UPDATE site_totp
+     SET secret_enc = ?,
+       pending_secret_enc = '',
+       last_used_step = ?,
+       recovery_codes = ?,
+       enabled_at = ?,
+       updated_at = ?
+     WHERE site_id = ? AND member_id = ?`
+  )
+    .bind(secretEnc, step, JSON.stringify(recoveryCodeHashes), now, now, siteId, Number(memberId || 0))
+    .run();
+}
+
+async function updateRecoveryCodeHashes(env, siteId, memberId, recoveryCodeHashes) {
+  await env.DB.prepare(
+    `UPDATE site_totp
+     SET recovery_codes = ?, updated_at = ?
+     WHERE site_id = ? AND member_id = ?`
+  )
+    .bind(JSON.stringify(recoveryCodeHashes), new Date().toISOString(), siteId, Number(memberId || 0))
+    .run();
+}
+
+async function deleteSiteTotp(env, siteId, memberId) {
+  await ensureSiteTotpTable(env);
+  await env.DB.prepare(
+    `DELETE FROM site_totp
+     WHERE site_id = ? AND member_id = ?`
+  )
+    .bind(siteId, Number(memberId || 0))
+    .run();
+}
+
+export async function verifySecondFactor(env, siteId, memberId, rawCode) {
+  const record = await getSiteTotp(env, siteId, memberId);
+  if (!record || !record.secretEnc) {
+    return false;
+  }
+
+  const code = String(rawCode || "").replace(/[\s-]/g, "").toLowerCase();
+  if (/^\d{6}$/.test(code)) {
+    const secret = await decryptSensitiveValue(record.secretEnc, env);
+    const step = await matchTotpStep(secret, code, Number(record.lastUsedStep || 0));
+    if (step === null) {
+      return false;
+    }
+    const claimed = await env.DB.prepare(
+      `UPDATE site_totp
+       SET last_used_step = ?, updated_at = ?
+       WHERE site_id = ? AND member_id = ? AND last_used_step < ?`
+    )
+      .bind(step, new Date().toISOString(), siteId, Number(memberId || 0), step)
+      .run();
+    return Number(claimed.meta?.changes || 0) > 0 ? "totp" : false;
+  }
+
+  if (!/^[a-f0-9]{10}$/.test(code)) {
+    return false;
+  }
+  const hashes = parseRecoveryCodeHashes(record.recoveryCodes);
+  const codeHash = await hashRecoveryCode(code, env);
+  const index = hashes.findIndex((hash) => timingSafeEqual(hash, codeHash));
+  if (index === -1) {
+    return false;
+  }
+  hashes.splice(index, 1);
+  const claimed = await env.DB.prepare(
+    `UPDATE site_totp
+     SET recovery_codes = ?, updated_at = ?
+     WHERE site_id = ? AND member_id = ? AND recovery_codes = ?`
+  )
+    .bind(
+      JSON.stringify(hashes),
+      new Date().toISOString(),
+      siteId,
+      Number(memberId || 0),
+      String(record.recoveryCodes || "")
+    )
+    .run();
+  return Number(claimed.meta?.changes || 0) > 0 ? "recovery" : false;
+}
+
+function parseRecoveryCodeHashes(raw) {
+  try {
+    const parsed = JSON.parse(String(raw || "[]"));
+    return Array.isArray(parsed) ? parsed.map(String) : [];
+  } catch {
+    return [];
+  }
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: TOTP_RECOVERY_CODE_COUNT }, () => {
+    const code = randomHex(5);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+async function hashRecoveryCodes(codes, env) {
+  return Promise.all(codes.map((code) => hashRecoveryCode(code, env)));
+}
+
+async function hashRecoveryCode(code, env) {
+  const normalized = String(code || "").replace(/[\s-]/g, "").toLowerCase();
+  return sha256Hex(`${normalized}:${getSessionSecret(env)}:recovery-v1`);
+}
+
+export async function generateTotpCode(secret, step) {
+  const keyBytes = base32Decode(secret);
+  const counter = new Uint8Array(8);
+  let value = Math.floor(step);
+  for (let i = 7; i >= 0; i -= 1) {
+    counter[i] = value & 0xff;
+    value = Math.floor(value / 256);
+  }
+  const key = await crypto.subtle.importKey(
+    "raw",
+    keyBytes,
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"]
+  );
+  const digest = new Uint8Array(await crypto.subtle.sign("HMAC", key, counter));
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary =
+    ((digest[offset] & 0x7f) << 24) |
+    (digest[offset + 1] << 16) |
+    (digest[offset + 2] << 8) |
+    digest[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+export async function matchTotpStep(secret, rawCode, lastUsedStep = 0, now = Date.now()) {
+  const code = String(rawCode || "").replace(/\s/g, "");
+  if (!secret || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+  const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift += 1) {
+    const step = currentStep + drift;
+    if (step <= lastUsedStep) {
+      continue;
+    }
+    if (timingSafeEqual(await generateTotpCode(secret, step), code)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function base32Encode(bytes) {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += alphabet[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  const clean = String(input || "").toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of clean) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+// QR code (byte mode, error correction level M) for otpauth enrollment links.
+export function renderQrCodeSvg(text) {
+  const modules = buildQrCodeModules(new TextEncoder().encode(String(text || "")));
+  const quiet = 4;
+  const size = modules.length + quiet * 2;
+  let path = "";
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        path += `M${x + quiet} ${y + quiet}h1v1h-1z`;
+      }
+    });
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size * 4}" height="${size * 4}" shape-rendering="crispEdges" role="img" aria-label="QR code"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+function buildQrCodeModules(bytes) {
+  let version = 1;
+  while (version < QR_EC_BLOCKS_M.length) {
+    const [, count1, data1, count2, data2] = QR_EC_BLOCKS_M[version];
+    const capacityBits = (count1 * data1 + count2 * data2) * 8;
+    if (4 + (version < 10 ? 8 : 16) + bytes.length * 8 <= capacityBits) {
+      break;
+    }
+    version += 1;
+  }
+  if (version >= QR_EC_BLOCKS_M.length) {
+    throw new Error("QR payload is too long");
+  }
+
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) {
+          continue;
+        }
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+  const alignment = QR_ALIGNMENT_POSITIONS[version];
+  alignment.forEach((cy, i) => {
+    alignment.forEach((cx, j) => {
+      const last = alignment.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+  drawQrFormatBits(modules, reserved, 0);
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i += 1) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i += 1) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  const codewords = encodeQrCodewords(bytes, version);
+  let bitIndex = 0;
+  let upward = true;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    for (let vertical = 0; vertical < size; vertical += 1) {
+      const y = upward ? size - 1 - vertical : vertical;
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        if (reserved[y][x]) {
+          continue;
+        }
+        if (bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          bitIndex += 1;
+        }
+      }
+    }
+    upward = !upward;
+  }
+
+  let best = null;
+  for (let mask = 0; mask < 8; mask += 1) {
+    const candidate = modules.map((row, y) =>
+      row.map((dark, x) => (reserved[y][x] ? dark : dark !== QR_MASKS[mask](x, y)))
+    );
+    drawQrFormatBits(candidate, null, mask);
+    const penalty = scoreQrPenalty(candidate);
+    if (!best || penalty < best.penalty) {
+      best = { modules: candidate, penalty };
+    }
+  }
+  return best.modules;
+}
+
+function drawQrFormatBits(modules, reserved, mask) {
+  const size = modules.length;
+  const data = mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i += 1) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    if (reserved) {
+      reserved[y][x] = true;
+    }
+  };
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i += 1) {
+    set(8, i, bit(i));
+  }
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i += 1) {
+    set(14 - i, 8, bit(i));
+  }
+  for (let i = 0; i < 8; i += 1) {
+    set(size - 1 - i, 8, bit(i));
+  }
+  for (let i = 8; i < 15; i += 1) {
+    set(8, size - 15 + i, bit(i));
+  }
+  set(8, size - 8, true);
+}
+
+function encodeQrCodewords(bytes, version) {
+  const [ecLength, count1, data1, count2, data2] = QR_EC_BLOCKS_M[version];
+  const capacity = count1 * data1 + count2 * data2;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const byte of bytes) {
+    push(byte, 8);
+  }
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((value, bitValue) => (value << 1) | bitValue, 0));
+  }
+  for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) {
+    data.push(pad);
+  }
+
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < count1 + count2; i += 1) {
+    const length = i < count1 ? data1 : data2;
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    blocks.push({ data: block, ec: computeQrErrorCorrection(block, ecLength) });
+  }
+  const output = [];
+  for (let i = 0; i < Math.max(data1, data2); i += 1) {
+    for (const block of blocks) {
+      if (i < block.data.length) {
+        output.push(block.data[i]);
+      }
+    }
+  }
+  for (let i = 0; i < ecLength; i += 1) {
+    for (const block of blocks) {
+      output.push(block.ec[i]);
+    }
+  }
+  return output;
+}
+
+function computeQrErrorCorrection(data, ecLength) {
+  let generator = [1];
+  let root = 1;
+  for (let i = 0; i < ecLength; i += 1) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= multiplyQrField(coefficient, root);
+    });
+    generator = next;
+    root = multiplyQrField(root, 2);
+  }
+  const remainder = new Array(ecLength).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let j = 0; j < ecLength; j += 1) {
+      remainder[j] ^= multiplyQrField(generator[j + 1], factor);
+    }
+  }
+  return remainder;
+}
+
+function multiplyQrField(a, b) {
+  let result = 0;
+  let x = a;
+  for (let y = b; y > 0; y >>>= 1) {
+    if (y & 1) {
+      result ^= x;
+    }
+    x <<= 1;
+    if (x & 0x100) {
+      x ^= 0x11d;
+    }
+  }
+  return result;
+}
+
+function scoreQrPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+  const finderLike = [true, false, true, true, true, false, true];
+  for (let line = 0; line < size; line += 1) {
+    for (const get of [(i) => modules[line][i], (i) => modules[i][line]]) {
+      let run = 1;
+      for (let i = 1; i <= size; i += 1) {
+        if (i < size && get(i) === get(i - 1)) {
+          run += 1;
+          continue;
+        }
+        if (run >= 5) {
+          penalty += run - 2;
+        }
+        run = 1;
+      }
+      for (let i = 0; i + 7 <= size; i += 1) {
+        if (!finderLike.every((value, k) => get(i + k) === value)) {
+          continue;
+        }
+        const lightBefore = [1, 2, 3, 4].every((k) => i - k < 0 || !get(i - k));
+        const lightAfter = [0, 1, 2, 3].every((k) => i + 7 + k >= size || !get(i + 7 + k));
+        if (lightBefore || lightAfter) {
+          penalty += 40;
+        }
+      }
+    }
+  }
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (modules[y][x]) {
+        dark += 1;
+      }
+      if (
+        x + 1 < size &&
+        y + 1 < size &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+  return penalty;
+}
+
+async function ensureSitePasskeysTables(env) {
+  if (!sitePasskeysTablesReadyPromise) {
+    sitePasskeysTablesReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS site_passkeys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          site_id INTEGER NOT NULL,
+          member_id INTEGER NOT NULL DEFAULT 0,
+          credential_id TEXT NOT NULL,
+          public_key_jwk TEXT NOT NULL,
+          algorithm INTEGER NOT NULL,
+          sign_count INTEGER NOT NULL DEFAULT 0,
+          label TEXT NOT NULL DEFAULT '',
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          last_used_at TEXT,
+          UNIQUE(site_id, credential_id),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS passkey_challenges (
+          challenge TEXT PRIMARY KEY,
+          site_id INTEGER NOT NULL,
+          member_id INTEGER NOT NULL DEFAULT 0,
+          purpose TEXT NOT NULL,
+          expires_at TEXT NOT NULL
+        )`
+      ).run();
+    })().catch((error) => {
+      sitePasskeysTablesReadyPromise = null;
+      throw error;
+    });
+  }
+  return sitePasskeysTablesReadyPromise;
+}
+
+async function createPasskeyChallenge(env, siteId, memberId, purpose) {
+  await ensureSitePasskeysTables(env);
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  const challenge = bytesToBase64Url(bytes);
+  const now = Date.now();
+  await env.DB.prepare(
+    `DELETE FROM passkey_challenges
+     WHERE expires_at < ?`
+  )
+    .bind(new Date(now).toISOString())
+    .run();
+  await env.DB.prepare(
+    `INSERT INTO passkey_challenges (challenge, site_id, member_id, purpose, expires_at)
+     VALUES (?, ?, ?, ?, ?)`
+  )
+    .bind(
+      challenge,
+      siteId,
+      Number(memberId || 0),
+      purpose,
+      new Date(now + PASSKEY_CHALLENGE_TTL_MS).toISOString()
+    )
+    .run();
+  return challenge;
+}
+
+async function consumePasskeyChallenge(env, challenge, siteId, memberId, purpose) {
+  if (!challenge) {
+    return false;
+  }
+  await ensureSitePasskeysTables(env);
+  const result = await env.DB.prepare(
+    `DELETE FROM passkey_challenges
+     WHERE challenge = ? AND site_id = ? AND member_id = ? AND purpose = ? AND expires_at >= ?`
+  )
+    .bind(String(challenge), siteId, Number(memberId || 0), purpose, new Date().toISOString())
+    .run();
+  return Number(result.meta?.changes || 0) > 0;
+}
+
+async function listSitePasskeys(env, siteId, memberId) {
+  await ensureSitePasskeysTables(env);
+  const result = await env.DB.prepare(
+    `SELECT
+      id,
+      credential_id AS credentialId,
+      label,
+      created_at AS createdAt,
+      last_used_at AS lastUsedAt
+    FROM site_passkeys
+    WHERE site_id = ? AND member_id = ?
+    ORDER BY id ASC`
+  )
+    .bind(siteId, Number(memberId || 0))
+    .all();
+  return result.results || [];
+}
+
+async function getSitePasskeyByCredentialId(env, siteId, credentialId) {
+  await ensureSitePasskeysTables(env);
+  return env.DB.prepare(
+    `SELECT
+      id,
+      member_id AS memberId,
+      credential_id AS credentialId,
+      public_key_jwk AS publicKeyJwk,
+      algorithm,
+      sign_count AS signCount
+    FROM site_passkeys
+    WHERE site_id = ? AND credential_id = ?
+    LIMIT 1`
+  )
+    .bind(siteId, credentialId)
+    .first();
+}
+
+async function createSitePasskey(env, siteId, memberId, passkey) {
+  await ensureSitePasskeysTables(env);
+  const now = new Date().toISOString();
+  const result = await env.DB.prepare(
+    `INSERT INTO site_passkeys (
+      site_id,
+      member_id,
+      credential_id,
+      public_key_jwk,
+      algorithm,
+      sign_count,
+      label,
+      created_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  )
+    .bind(
+      siteId,
+      Number(memberId || 0),
+      passkey.credentialId,
+      JSON.stringify(passkey.publicKeyJwk),
+      passkey.algorithm,
+      passkey.signCount,
+      passkey.label,
+      now
+    )
+    .run();
+  return {
+    id: Number(result.meta?.last_row_id || 0),
+    credentialId: passkey.credentialId,
+    label: passkey.label,
+    createdAt: now,
+    lastUsedAt: null,
+  };
+}
+
+async function touchSitePasskey(env, passkeyId, signCount) {
+  await env.DB.prepare(
+    `UPDATE site_passkeys
+     SET sign_count = ?, last_used_at = ?
+     WHERE id = ?`
+  )
+    .bind(signCount, new Date().toISOString(), passkeyId)
+    .run();
+}
+
+async function deleteSitePasskey(env, siteId, memberId, passkeyId) {
+  await ensureSitePasskeysTables(env);
+  const result = await env.DB.prepare(
+    `DELETE FROM site_passkeys
+     WHERE site_id = ? AND member_id = ? AND id = ?`
+  )
+    .bind(siteId, Number(memberId || 0), passkeyId)
+    .run();
+  return Number(result.meta?.changes || 0) > 0;
+}
+
+async function deleteMemberPasskeys(env, siteId, memberId) {
+  await ensureSitePasskeysTables(env);
+  await env.DB.prepare(
+    `DELETE FROM site_passkeys
+     WHERE site_id = ? AND member_id = ?`
+  )
+    .bind(siteId, Number(memberId || 0))
+    .run();
+}
+
+export async function verifyPasskeyRegistration(credential, expected) {
+  const clientDataBytes = base64UrlToBytes(credential?.response?.clientDataJSON);
+  verifyPasskeyClientData(clientDataBytes, "webauthn.create", expected);
+
+  const attestation = decodeCbor(base64UrlToBytes(credential?.response?.attestationObject));
+  if (!attestation || !(attestation.authData instanceof Uint8Array)) {
+    throw new Error("Invalid attestation object");
+  }
+  const authData = await parsePasskeyAuthData(attestation.authData, expected.rpId);
+  if (!(authData.flags & 0x04)) {
+    throw new Error("User verification required");
+  }
+  if (!authData.credentialId || !authData.publicKey) {
+    throw new Error("Missing attested credential data");
+  }
+
+  const { jwk, algorithm } = coseKeyToJwk(authData.publicKey);
+  const credentialId = bytesToBase64Url(authData.credentialId);
+  if (credential.id && credential.id !== credentialId) {
+    throw new Error("Credential id mismatch");
+  }
+
+  const attStmt = attestation.attStmt || {};
+  if (attestation.fmt === "packed") {
+    const signedData = concatBytes(
+      attestation.authData,
+      new Uint8Array(await crypto.subtle.digest("SHA-256", clientDataBytes))
+    );
+    let verified;
+    if (Array.isArray(attStmt.x5c) && attStmt.x5c.length) {
+      const spki = extractCertificateSpki(attStmt.x5c[0]);
+      verified = await verifyCoseSignature("spki", spki, attStmt.alg, attStmt.sig, signedData);
+    } else {
+      if (attStmt.alg !== algorithm) {
+        throw new Error("Attestation algorithm mismatch");
+      }
+      verified = await verifyCoseSignature("jwk", jwk, algorithm, attStmt.sig, signedData);
+    }
+    if (!verified) {
+      throw new Error("Invalid attestation signature");
+    }
+  } else if (attestation.fmt !== "none") {
+    throw new Error(`Unsupported attestation format: ${attestation.fmt}`);
+  }
+
+  return {
+    credentialId,
+    publicKeyJwk: jwk,
+    algorithm,
+    signCount: authData.signCount,
+  };
+}
+
+export async function verifyPasskeyAssertion(credential, passkey, expected) {
+  const clientDataBytes = base64UrlToBytes(credential?.response?.clientDataJSON);
+  verifyPasskeyClientData(clientDataBytes, "webauthn.get", expected);
+
+  const authDataBytes = base64UrlToBytes(credential?.response?.authenticatorData);
+  const authData = await parsePasskeyAuthData(authDataBytes, expected.rpId);
+  if (!(authData.flags & 0x04)) {
+    throw new Error("User verification required");
+  }
+  const signedData = concatBytes(
+    authDataBytes,
+    new Uint8Array(await crypto.subtle.digest("SHA-256", clientDataBytes))
+  );
+  const verified = await verifyCoseSignature(
+    "jwk",
+    JSON.parse(passkey.publicKeyJwk),
+    Number(passkey.algorithm),
+    base64UrlToBytes(credential?.response?.signature),
+    signedData
+  );
+  if (!verified) {
+    throw new Error("Invalid assertion signature");
+  }
+
+  const storedCount = Number(passkey.signCount || 0);
+  if ((storedCount > 0 || authData.signCount > 0) && authData.signCount <= storedCount) {
+    throw new Error("Authenticator counter did not increase");
+  }
+  return authData.signCount;
+}
+
+function verifyPasskeyClientData(clientDataBytes, type, expected) {
+  let clientData;
+  try {
+    clientData = JSON.parse(new TextDecoder().decode(clientDataBytes));
+  } catch {
+    throw new Error("Invalid client data");
+  }
+  if (clientData.type !== type) {
+    throw new Error("Unexpected client data type");
+  }
+  if (!clientData.challenge || clientData.challenge !== expected.challenge) {
+    throw new Error("Challenge mismatch");
+  }
+  if (clientData.origin !== expected.origin) {
+    throw new Error("Origin mismatch");
+  }
+}
+
+async function parsePasskeyAuthData(bytes, rpId) {
+  if (!(bytes instanceof Uint8Array) || bytes.length < 37) {
+    throw new Error("Invalid authenticator data");
+  }
+  const rpIdHash = new Uint8Array(
+    await crypto.subtle.digest("SHA-256", new TextEncoder().encode(rpId))
+  );
+  if (!timingSafeEqual(bytesToHex(bytes.slice(0, 32)), bytesToHex(rpIdHash))) {
+    throw new Error("RP id mismatch");
+  }
+
+  const flags = bytes[32];
+  if (!(flags & 0x01)) {
+    throw new Error("User presence required");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parsed = {
+    flags,
+    signCount: view.getUint32(33),
+    credentialId: null,
+    publicKey: null,
+  };
+
+  if (flags & 0x40) {
+    if (bytes.length < 55) {
+      throw new Error("Invalid attested credential data");
+    }
+    const idLength = view.getUint16(53);
+    parsed.credentialId = bytes.slice(55, 55 + idLength);
+    parsed.publicKey = decodeCbor(bytes.slice(55 + idLength), { allowTrailing: true });
+  }
+  return parsed;
+}
+
+function coseKeyToJwk(coseKey) {
+  const get = (label) => (coseKey instanceof Map ? coseKey.get(label) : undefined);
+  const kty = get(1);
+  const alg = get(3);
+  if (kty === 2 && alg === COSE_ALG_ES256 && get(-1) === 1) {
+    return {
+      algorithm: alg,
+      jwk: {
+        kty: "EC",
+        crv: "P-256",
+        x: bytesToBase64Url(get(-2)),
+        y: bytesToBase64Url(get(-3)),
+      },
+    };
+  }
+  if (kty === 3 && alg === COSE_ALG_RS256) {
+    return {
+      algorithm: alg,
+      jwk: {
+        kty: "RSA",
+        alg: "RS256",
+        n: bytesToBase64Url(get(-1)),
+        e: bytesToBase64Url(get(-2)),
+      },
+    };
+  }
+  throw new Error("Unsupported passkey algorithm (ES256 or RS256 required)");
+}
+
+async function verifyCoseSignature(format, keyData, algorithm, signature, data) {
+  if (!(signature instanceof Uint8Array)) {
+    return false;
+  }
+  if (algorithm === COSE_ALG_ES256) {
+    const key = await crypto.subtle.importKey(
+      format,
+      keyData,
+      { name: "ECDSA", namedCurve: "P-256" },
+      false,
+      ["verify"]
+    );
+    const rawSignature = derEcdsaSignatureToRaw(signature);
+    if (!rawSignature) {
+      return false;
+    }
+    return crypto.subtle.verify({ name: "ECDSA", hash: "SHA-256" }, key, rawSignature, data);
+  }
+  if (algorithm === COSE_ALG_RS256) {
+    const key = await crypto.subtle.importKey(
+      format,
+      keyData,
+      { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+      false,
+      ["verify"]
+    );
+    return crypto.subtle.verify("RSASSA-PKCS1-v1_5", key, signature, data);
+  }
+  return false;
+}
+
+function derEcdsaSignatureToRaw(signature) {
+  const sequence = readDerElement(signature, 0);
+  if (!sequence || sequence.tag !== 0x30) {
+    return null;
+  }
+  const r = readDerElement(signature, sequence.contentStart);
+  const s = r ? readDerElement(signature, r.end) : null;
+  if (!r || !s || r.tag !== 0x02 || s.tag !== 0x02) {
+    return null;
+  }
+
+  const raw = new Uint8Array(64);
+  const copyInteger = (element, offset) => {
+    let value = signature.slice(element.contentStart, element.end);
+    while (value.length > 32 && value[0] === 0) {
+      value = value.slice(1);
+    }
+    if (value.length > 32) {
+      return false;
+    }
+    raw.set(value, offset + 32 - value.length);
+    return true;
+  };
+  if (!copyInteger(r, 0) || !copyInteger(s, 32)) {
+    return null;
+  }
+  return raw;
+}
+
+function extractCertificateSpki(certificate) {
+  const bytes = certificate instanceof Uint8Array ? certificate : new Uint8Array(0);
+  const cert = readDerElement(bytes, 0);
+  const tbs = cert ? readDerElement(bytes, cert.contentStart) : null;
+  if (!tbs || tbs.tag !== 0x30) {
+    throw new Error("Invalid attestation certificate");
+  }
+
+  let element = readDerElement(bytes, tbs.contentStart);
+  if (element && element.tag === 0xa0) {
+    element = readDerElement(bytes, element.end);
+  }
+  for (let index = 0; index < 5 && element; index += 1) {
+    element = readDerElement(bytes, element.end);
+  }
+  if (!element || element.tag !== 0x30) {
+    throw new Error("Invalid attestation certificate");
+  }
+  return bytes.slice(element.start, element.end);
+}
+
+function readDerElement(bytes, offset) {
+  if (offset + 2 > bytes.length) {
+    return null;
+  }
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let contentStart = offset + 2;
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    if (lengthBytes < 1 || lengthBytes > 4 || contentStart + lengthBytes > bytes.length) {
+      return null;
+    }
+    length = 0;
+    for (let i = 0; i < lengthBytes; i += 1) {
+      length = length * 256 + bytes[contentStart + i];
+    }
+    contentStart += lengthBytes;
+  }
+  const end = contentStart + length;
+  if (end > bytes.length) {
+    return null;
+  }
+  return { tag, start: offset, contentStart, end };
+}
+
+export function decodeCbor(bytes, options = {}) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  const readLength = (info) => {
+    if (info < 24) {
+      return info;
+    }
+    if (info === 24) {
+      offset += 1;
+      return view.getUint8(offset - 1);
+    }
+    if (info === 25) {
+      offset += 2;
+      return view.getUint16(offset - 2);
+    }
+    if (info === 26) {
+      offset += 4;
+      return view.getUint32(offset - 4);
+    }
+    if (info === 27) {
+      offset += 8;
+      return view.getUint32(offset - 8) * 2 ** 32 + view.getUint32(offset - 4);
+    }
+    throw new Error("Unsupported CBOR length");
+  };
+
+  const readItem = (depth) => {
+    if (depth > 16 || offset >= bytes.length) {
+      throw new Error("Invalid CBOR data");
+    }
+    const initial = bytes[offset];
+    offset += 1;
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (major === 7) {
+      if (info === 20) return false;
+      if (info === 21) return true;
+      if (info === 22 || info === 23) return null;
+      throw new Error("Unsupported CBOR simple value");
+    }
+
+    const length = readLength(info);
+    if (major === 0) {
+      return length;
+    }
+    if (major === 1) {
+      return -1 - length;
+    }
+    if (major === 2 || major === 3) {
+      if (offset + length > bytes.length) {
+        throw new Error("Invalid CBOR data");
+      }
+      const chunk = bytes.slice(offset, offset + length);
+      offset += length;
+      return major === 2 ? chunk : new TextDecoder().decode(chunk);
+    }
+    if (major === 4) {
+      const items = [];
+      for (let i = 0; i < length; i += 1) {
+        items.push(readItem(depth + 1));
+      }
+      return items;
+    }
+    if (major === 5) {
+      const entries = [];
+      for (let i = 0; i < length; i += 1) {
+        const key = readItem(depth + 1);
+        entries.push([key, readItem(depth + 1)]);
+      }
+      return entries.every(([key]) => typeof key === "string")
+        ? Object.fromEntries(entries)
+        : new Map(entries);
+    }
+    throw new Error("Unsupported CBOR type");
+  };
+
+  const value = readItem(0);
+  if (!options.allowTrailing && offset !== bytes.length) {
+    throw new Error("Unexpected trailing CBOR data");
+  }
+  return value;
+}
+
+function concatBytes(...parts) {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+async function requirePlatformAdmin(request, env, hostSlug) {
+  if (hostSlug && hostSlug !== getApiEntrySlug(env)) {
+    return notFound();
+  }
+  if (!String(env.PLATFORM_ADMIN_TOKEN || "").trim()) {
+    return json({ error: "Platform admin is not configured" }, 503);
+  }
+  if (!(await isPlatformAdminRequest(request, env))) {
+    return json({ error: "Unauthorized" }, 401);
+  }
+  return null;
+}
+
+async function isPlatformAdminRequest(request, env) {
+  const expected = String(env.PLATFORM_ADMIN_TOKEN || "").trim();
+  if (!expected) {
+    return false;
+  }
+  const header = String(request.headers.get("authorization") || "");
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return timingSafeEqual(match[1].trim(), expected);
+  }
+  return Boolean(await readPlatformSession(request, env));
+}
+
+async function ensurePlatformSessionsTable(env) {
+  if (!platformSessionsTableReadyPromise) {
+    platformSessionsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS platform_sessions (
+          id TEXT PRIMARY KEY,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          expires_at TEXT NOT NULL,
+          revoked_at TEXT
+        )`
+      ).run();
+    })().catch((error) => {
+      platformSessionsTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return platformSessionsTableReadyPromise;
+}
+
+async function createPlatformSessionToken(env) {
+  const payload = {
+    purpose: "platform",
+    nonce: randomHex(16),
+    exp: Date.now() + PLATFORM_SESSION_TTL_SECONDS * 1000,
+  };
+  await ensurePlatformSessionsTable(env);
+  await env.DB.prepare(
+    `INSERT INTO platform_sessions (id, created_at, expires_at)
+     VALUES (?, ?, ?)`
+  )
+    .bind(payload.nonce, new Date().toISOString(), new Date(payload.exp).toISOString())
+    .run();
+  const payloadEncoded = toBase64Url(JSON.stringify(payload));
+  const signature = await hmacHex(
+    `platform:${payloadEncoded}:${String(env.PLATFORM_ADMIN_TOKEN || "")}`,
+    getSessionSecret(env)
+  );
+  return `${payloadEncoded}.${signature}`;
+}
+
+async function readPlatformSession(request, env) {
+  const cookies = parseCookies(request.headers.get("cookie") || "");
+  const [payloadEncoded, signature] = String(cookies[PLATFORM_SESSION_COOKIE] || "").split(".");
+  if (!payloadEncoded || !signature || !String(env.PLATFORM_ADMIN_TOKEN || "").trim()) {
+    return null;
+  }
+  const expected = await hmacHex(
+    `platform:${payloadEncoded}:${String(env.PLATFORM_ADMIN_TOKEN || "")}`,
+    getSessionSecret(env)
+  );
+  if (!timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(payloadEncoded));
+  } catch {
+    return null;
+  }
+  if (!payload || payload.purpose !== "platform" || Date.now() > Number(payload.exp || 0)) {
+    return null;
+  }
+
+  await ensurePlatformSessionsTable(env);
+  const row = await env.DB.prepare(
+    `SELECT id
+     FROM platform_sessions
+     WHERE id = ? AND revoked_at IS NULL AND expires_at > ?
+     LIMIT 1`
+  )
+    .bind(String(payload.nonce || ""), new Date().toISOString())
+    .first();
+  return row ? payload : null;
+}
+
+async function endPlatformSession(env, sessionId) {
+  await ensurePlatformSessionsTable(env);
+  await env.DB.prepare(
+    `UPDATE platform_sessions
+     SET revoked_at = ?
+     WHERE id = ? AND revoked_at IS NULL`
+  )
+    .bind(new Date().toISOString(), sessionId)
+    .run();
+}
+
+function buildPlatformSessionCookie(token) {
+  return `${PLATFORM_SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${PLATFORM_SESSION_TTL_SECONDS}`;
+}
+
+function buildClearPlatformSessionCookie() {
+  return `${PLATFORM_SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0`;
+}
+
+async function ensureSiteStatusTable(env) {
+  if (!siteStatusTableReadyPromise) {
+    siteStatusTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS site_status (
+          site_id INTEGER PRIMARY KEY,
+          status TEXT NOT NULL,
+          reason TEXT NOT NULL DEFAULT '',
+          purge_after TEXT,
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+    })().catch((error) => {
+      siteStatusTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return siteStatusTableReadyPromise;
+}
+
+async function setSiteStatus(env, siteId, status, reason = "", purgeAfter = null) {
+  await ensureSiteStatusTable(env);
+  await env.DB.prepare(
+    `INSERT INTO site_status (site_id, status, reason, purge_after, updated_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(site_id)
+     DO UPDATE SET
+       status = excluded.status,
+       reason = excluded.reason,
+       purge_after = excluded.purge_after,
+       updated_at = excluded.updated_at`
+  )
+    .bind(siteId, status, String(reason || "").slice(0, 300), purgeAfter, new Date().toISOString())
+    .run();
+}
+
+async function clearSiteStatus(env, siteId) {
+  await ensureSiteStatusTable(env);
+  const result = await env.DB.prepare(
+    `DELETE FROM site_status
+     WHERE site_id = ?`
+  )
+    .bind(siteId)
+    .run();
+  return Number(result.meta?.changes || 0) > 0;
+}
+
+async function searchPlatformSites(env, query, page = 1) {
+  await Promise.all([ensureSiteStatusTable(env), ensureInvitesTables(env)]);
+  const safePage = Math.max(Number(page) || 1, 1);
+  const pattern = `%${String(query || "").trim().toLowerCase().replace(/[%_]/g, "")}%`;
+  const offset = (safePage - 1) * PLATFORM_SITES_PAGE_SIZE;
+  const [rows, total] = await Promise.all([
+    env.DB.prepare(
+      `SELECT
+        s.id,
+        s.slug,
+        s.display_name AS displayName,
+        s.created_at AS createdAt,
+        s.updated_at AS updatedAt,
+        st.status,
+        st.reason AS statusReason,
+        st.purge_after AS purgeAfter,
+        s.admin_secret_hash LIKE ? AS locked,
+        (SELECT COUNT(*) FROM posts p WHERE p.site_id = s.id) AS postCount,
+        (
+          SELECT i.issuer_note
+          FROM invite_redemptions r
+          JOIN invites i ON i.id = r.invite_id
+          WHERE r.site_id = s.id
+          ORDER BY r.id DESC
+          LIMIT 1
+        ) AS inviteNote
+      FROM sites s
+      LEFT JOIN site_status st ON st.site_id = s.id
+      WHERE lower(s.slug) LIKE ? OR lower(s.display_name) LIKE ?
+      ORDER BY s.created_at DESC
+      LIMIT ? OFFSET ?`
+    )
+      .bind(`${LOCKED_PASSWORD_HASH_PREFIX}%`, pattern, pattern, PLATFORM_SITES_PAGE_SIZE, offset)
+      .all(),
+    env.DB.prepare(
+      `SELECT COUNT(*) AS total
+      FROM sites s
+      WHERE lower(s.slug) LIKE ? OR lower(s.display_name) LIKE ?`
+    )
+      .bind(pattern, pattern)
+      .first(),
+  ]);
+
+  const totalCount = Number(total?.total || 0);
+  return {
+    sites: (rows.results || []).map((site) => ({
+      slug: site.slug,
+      displayName: site.displayName,
+      createdAt: site.createdAt,
+      updatedAt: site.updatedAt,
+      status: site.status || "active",
+      statusReason: site.statusReason || "",
+      purgeAfter: site.purgeAfter || null,
+      postCount: Number(site.postCount || 0),
+      locked: Boolean(site.locked),
+      inviteNote: site.inviteNote || "",
+      url: `https://${site.slug}.${String(env.BASE_DOMAIN || "bdfz.net").toLowerCase()}`,
+    })),
+    page: safePage,
+    totalPages: Math.max(Math.ceil(totalCount / PLATFORM_SITES_PAGE_SIZE), 1),
+    total: totalCount,
+  };
+}
+
+async function getPlatformStats(env) {
+  await Promise.all([ensureSiteStatusTable(env), ensureCommentsTable(env), ensureViewsTable(env)]);
+  const row = await env.DB.prepare(
+    `SELECT
+      (SELECT COUNT(*) FROM sites) AS sites,
+      (SELECT COUNT(*) FROM site_status WHERE status = 'suspended') AS suspendedSites,
+      (SELECT COUNT(*) FROM posts) AS posts,
+      (SELECT COUNT(*) FROM posts WHERE published = 1) AS publishedPosts,
+      (SELECT COUNT(*) FROM comments) AS comments,
+      (SELECT COALESCE(SUM(view_count), 0) FROM page_views) AS views`
+  ).first();
+  return {
+    sites: Number(row?.sites || 0),
+    suspendedSites: Number(row?.suspendedSites || 0),
+    posts: Number(row?.posts || 0),
+    publishedPosts: Number(row?.publishedPosts || 0),
+    comments: Number(row?.comments || 0),
+    views: Number(row?.views || 0),
+  };
+}
+
+async function purgeSite(env, site, message) {
+  const listing = await getContentStore(env).list(env, `sites/${site.slug}/`);
+  if (listing.truncated) {
+    throw new Error("Content listing is truncated, refusing to purge a partial tree");
+  }
+  if (listing.files.length) {
+    await commitContentFiles(
+      env,
+      listing.files.map((file) => ({ path: file.path, delete: true })),
+      message
+    );
+  }
+
+  await Promise.all([ensureSitePasskeysTables(env), ensurePostSearchTable(env)]);
+  await env.DB.batch([
+    env.DB.prepare(
+      `DELETE FROM passkey_challenges
+       WHERE site_id = ?`
+    ).bind(site.id),
+    // FTS5 tables have no foreign keys, so the site cascade does not reach them.
+    ...postSearchDeleteStatements(env, site.id),
+    env.DB.prepare(
+      `DELETE FROM posts
+       WHERE site_id = ?`
+    ).bind(site.id),
+    env.DB.prepare(
+      `DELETE FROM sites
+       WHERE id = ?`
+    ).bind(site.id),
+  ]);
+  return { files: listing.files.length };
+}
+
+async function runScheduledTasks(env) {
+  await publishDueScheduledPosts(env);
+  await purgeExpiredSites(env);
+  await pruneExpiredSlugRedirects(env);
+}
+
+export async function publishDueScheduledPosts(env, limit = SCHEDULED_PUBLISH_BATCH_SIZE) {
+  if (!(await hasPostsColumn(env, "publish_at"))) {
+    return [];
+  }
+  await ensureSiteStatusTable(env);
+  const rows = await env.DB.prepare(
+    `SELECT s.slug AS siteSlug, p.post_slug AS postSlug
+     FROM posts p
+     JOIN sites s ON s.id = p.site_id
+     LEFT JOIN site_status st ON st.site_id = p.site_id
+     WHERE p.published = 0 AND p.publish_at IS NOT NULL AND p.publish_at <= ? AND st.site_id IS NULL
+     ORDER BY p.publish_at ASC
+     LIMIT ?`
+  )
+    .bind(new Date().toISOString(), limit)
+    .all();
+
+  const published = [];
+  for (const row of rows.results || []) {
+    try {
+      const site = await getSiteBySlug(env, row.siteSlug);
+      if (!site || site.status) {
+        continue;
+      }
+      if (await publishScheduledPost(env, site, row.postSlug)) {
+        published.push(`${site.slug}/${row.postSlug}`);
+      }
+    } catch (error) {
+      console.error("Failed to publish scheduled post", row.siteSlug, row.postSlug, error);
+    }
+  }
+  return published;
+}
+
+async function publishScheduledPost(env, site, postSlug) {
+  const post = await getPostMeta(env, site.id, postSlug, true);
+  if (!post || Number(post.published) === 1 || !post.publishAt) {
+    return false;
+  }
+
+  const filePath = getPostFilePath(site.slug, post.postSlug);
+  const file = await readContentFile(env, filePath);
+  if (!file) {
+    await setPostPublishAt(env, site.id, post.postSlug, "");
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  const content = parseFrontMatter(file.content).body;
+  const tags = await getPostTags(env, site.id, post.postSlug);
+  const written = await writeContentFile(
+    env,
+    filePath,
+    buildPostDocument({ ...post, tags, published: 1, publishAt: "", updatedAt: now }, content),
+    `feat(${site.slug}): publish scheduled post ${post.postSlug}`
+  );
+  await upsertPostMeta(
+    env,
+    site.id,
+    post.postSlug,
+    post.title,
+    post.description,
+    1,
+    now,
+    post.createdAt,
+    { isPage: Number(post.isPage) === 1 }
+  );
+  await setPostPublishAt(env, site.id, post.postSlug, "");
+  await upsertPostContent(env, site.id, post.postSlug, content, written.sha);
+
+  await deliverSiteNotificationEvent(env, null, site, {
+    eventType: "publish",
+    postSlug: post.postSlug,
+    postTitle: post.title,
+    createdAt: now,
+  }).catch((error) => {
+    console.error("Failed to send scheduled publish notification", error);
+  });
+  await purgeSitePageCache(env, site, [
+    "/",
+    "/feed.xml",
+    "/sitemap.xml",
+    `/${encodeURIComponent(post.postSlug)}`,
+    ...tags.flatMap((tag) => [
+      `/tags/${encodeURIComponent(tag)}`,
+      `/tags/${encodeURIComponent(tag)}/feed.xml`,
+    ]),
+  ]);
+  return true;
+}
+
+async function purgeSitePageCache(env, site, paths) {
+  if (typeof caches === "undefined" || !caches.default) {
+    return;
+  }
+  const baseDomain = String(env.BASE_DOMAIN || "bdfz.net").toLowerCase();
+  await Promise.all(
+    paths.map((pathname) =>
+      caches.default.delete(`https://${site.slug}.${baseDomain}${pathname}`).catch((error) => {
+        console.error("Failed to purge cached page", pathname, error);
+      })
+    )
+  );
+}
+
+export async function purgeExpiredSites(env, limit = SITE_PURGE_BATCH_SIZE) {
+  await ensureSiteStatusTable(env);
+  const rows = await env.DB.prepare(
+    `SELECT s.slug
+     FROM site_status st
+     JOIN sites s ON s.id = st.site_id
+     WHERE st.status = 'pending_deletion' AND st.purge_after <= ?
+     ORDER BY st.purge_after ASC
+     LIMIT ?`
+  )
+    .bind(new Date().toISOString(), limit)
+    .all();
+
+  const purged = [];
+  for (const row of rows.results || []) {
+    try {
+      const site = await getSiteBySlug(env, row.slug);
+      if (!site || site.status !== "pending_deletion") {
+        continue;
+      }
+      await purgeSite(env, site, `Delete site ${site.slug} (grace period ended)`);
+      purged.push(site.slug);
+    } catch (error) {
+      console.error("Failed to purge site", row.slug, error);
+    }
+  }
+  return purged;
+}
+
+async function checkSiteRename(env, site, newSlug, reservedSlugs) {
+  if (site.status) {
+    return { ok: false, status: 409, error: "Site cannot be renamed while suspended or pending deletion" };
+  }
+  if (newSlug === site.slug) {
+    return { ok: false, status: 400, error: "New slug is the same as the current slug" };
+  }
+  const validation = validateSlug(newSlug, reservedSlugs);
+  if (!validation.ok) {
+    return { ok: false, status: 400, error: "Invalid slug", reason: validation.reason };
+  }
+  if (await getSiteBySlug(env, newSlug)) {
+    return { ok: false, status: 409, error: "Slug already exists" };
+  }
+  const redirect = await getSiteSlugRedirect(env, newSlug);
+  if (redirect && Number(redirect.siteId) !== Number(site.id)) {
+    return { ok: false, status: 409, error: "Slug is reserved by a recent rename" };
+  }
+  return { ok: true };
+}
+
+async function ensureSiteSlugRedirectsTable(env) {
+  if (!siteSlugRedirectsTableReadyPromise) {
+    siteSlugRedirectsTableReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS site_slug_redirects (
+          old_slug TEXT PRIMARY KEY,
+          site_id INTEGER NOT NULL,
+          expires_at TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE CASCADE
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_site_slug_redirects_site
+         ON site_slug_redirects(site_id)`
+      ).run();
+    })().catch((error) => {
+      siteSlugRedirectsTableReadyPromise = null;
+      throw error;
+    });
+  }
+  return siteSlugRedirectsTableReadyPromise;
+}
+
+function getSlugRedirectDays(env) {
+  return parsePositiveInt(env.SLUG_REDIRECT_DAYS, DEFAULT_SLUG_REDIRECT_DAYS, 1, 3650);
+}
+
+async function getSiteSlugRedirect(env, oldSlug) {
+  await ensureSiteSlugRedirectsTable(env);
+  return env.DB.prepare(
+    `SELECT
+      r.site_id AS siteId,
+      s.slug AS slug,
+      r.expires_at AS expiresAt
+    FROM site_slug_redirects r
+    JOIN sites s ON s.id = r.site_id
+    WHERE r.old_slug = ? AND r.expires_at > ?
+    LIMIT 1`
+  )
+    .bind(oldSlug, new Date().toISOString())
+    .first();
+}
+
+async function pruneExpiredSlugRedirects(env) {
+  await ensureSiteSlugRedirectsTable(env);
+  const result = await env.DB.prepare(
+    `DELETE FROM site_slug_redirects
+     WHERE expires_at <= ?`
+  )
+    .bind(new Date().toISOString())
+    .run();
+  return Number(result.meta?.changes || 0);
+}
+
+async function renameSite(env, site, newSlug) {
+  const oldSlug = site.slug;
+  const listing = await getContentStore(env).list(env, `sites/${oldSlug}/`);
+  if (listing.truncated) {
+    throw new Error("Content listing is truncated, refusing to move a partial tree");
+  }
+
+  const now = new Date().toISOString();
+  const oldConfigPath = getSiteConfigPath(oldSlug);
+  const configPath = getSiteConfigPath(newSlug);
+  const renamedSite = { ...site, slug: newSlug, updatedAt: now };
+  // Only site.json is rewritten; every other file keeps its blob and is copied by sha.
+  const moves = [];
+  const changes = [];
+  let originalConfig = null;
+  let nextConfig = null;
+  for (const file of listing.files) {
+    const nextPath = `sites/${newSlug}/${file.path.slice(`sites/${oldSlug}/`.length)}`;
+    if (file.path === oldConfigPath) {
+      originalConfig = await readContentFile(env, file.path);
+      if (!originalConfig) {
+        continue;
+      }
+      nextConfig = normalizeSiteConfig(
+        { ...JSON.parse(originalConfig.content), slug: newSlug, updatedAt: now },
+        renamedSite
+      );
+      changes.push({ path: nextPath, content: `${JSON.stringify(nextConfig, null, 2)}\n` });
+    } else {
+      changes.push({ path: nextPath, copyFrom: file.path, sha: file.sha });
+    }
+    moves.push({ path: file.path, nextPath, sha: file.sha });
+    changes.push({ path: file.path, delete: true });
+  }
+
+  const committed = changes.length
+    ? await commitContentFiles(env, changes, `feat(${newSlug}): rename site ${oldSlug} -> ${newSlug}`, {
+        baseSha: listing.headSha,
+      })
+    : { files: {} };
+
+  await Promise.all([
+    ensureCommentsTable(env),
+    ensureNotificationTables(env),
+    ensureInvitesTables(env),
+    ensureSiteSlugRedirectsTable(env),
+    ensureSitePasskeysTables(env),
+  ]);
+  const expiresAt = new Date(Date.now() + getSlugRedirectDays(env) * 24 * 60 * 60 * 1000).toISOString();
+  let batchResults;
+  try {
+    batchResults = await env.DB.batch([
+      env.DB.prepare(
+        `UPDATE sites
+         SET slug = ?, updated_at = ?
+         WHERE id = ?`
+      ).bind(newSlug, now, site.id),
+      env.DB.prepare(
+        `UPDATE comments
+         SET author_site_slug = ?
+         WHERE author_site_slug = ?`
+      ).bind(newSlug, oldSlug),
+      env.DB.prepare(
+        `UPDATE site_notifications
+         SET actor_site_slug = ?
+         WHERE actor_site_slug = ?`
+      ).bind(newSlug, oldSlug),
+      env.DB.prepare(
+        `UPDATE invite_redemptions
+         SET site_slug = ?
+         WHERE site_id = ?`
+      ).bind(newSlug, site.id),
+      env.DB.prepare(
+        `DELETE FROM site_slug_redirects
+         WHERE old_slug = ?`
+      ).bind(newSlug),
+      env.DB.prepare(
+        `INSERT INTO site_slug_redirects (old_slug, site_id, expires_at, created_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(old_slug)
+         DO UPDATE SET
+           site_id = excluded.site_id,
+           expires_at = excluded.expires_at,
+           created_at = excluded.created_at`
+      ).bind(oldSlug, site.id, expiresAt, now),
+      // Passkeys are bound to the <slug>.<domain> RP ID and cannot sign for the new host.
+      env.DB.prepare(
+        `DELETE FROM site_passkeys
+         WHERE site_id = ?`
+      ).bind(site.id),
+    ]);
+  } catch (error) {
+    if (moves.length) {
+      await commitContentFiles(
+        env,
+        [
+          ...moves.map((move) =>
+            move.path === oldConfigPath
+              ? { path: move.path, content: originalConfig.content }
+              : { path: move.path, copyFrom: move.nextPath, sha: move.sha }
+          ),
+          ...moves.map((move) => ({ path: move.nextPath, delete: true })),
+        ],
+        `revert(${oldSlug}): undo rename to ${newSlug}`
+      ).catch((revertError) => {
+        console.error("Failed to revert site rename commit", revertError);
+      });
+    }
+    throw error;
+  }
+
+  if (nextConfig) {
+    await upsertSiteConfigCache(env, site.id, nextConfig, committed.files[configPath], now);
+  }
+  await revokeSiteSessions(env, site.id, null);
+  return {
+    oldSlug,
+    slug: newSlug,
+    files: listing.files.length,
+    redirectUntil: expiresAt,
+    passkeysRemoved: Number(batchResults?.at(-1)?.meta?.changes || 0),
+  };
+}
+
+function buildSessionCookie(token) {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${SESSION_TTL_SECONDS}`;
+}
+
+function buildClearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`;
+}
+
+function withCookie(response, cookieValue) {
+  const headers = new Headers(response.headers);
+  headers.append("Set-Cookie", cookieValue);
+  return new Response(response.body, {
+    status: response.status,
+    headers,
+  });
+}
+
+function parseCookies(cookieHeader) {
+  const entries = String(cookieHeader || "")
+    .split(";")
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [name, ...rest] = pair.split("=");
+      return [name, rest.join("=")];
+    });
+
+  return Object.fromEntries(entries);
+}
+
+function getInviteCodes(env) {
+  return new Set(
+    String(env.INVITE_CODES || "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean)
+  );
+}
+
+async function ensureInvitesTables(env) {
+  if (!invitesTablesReadyPromise) {
+    invitesTablesReadyPromise = (async () => {
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS invites (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          batch_id TEXT NOT NULL,
+          code_hash TEXT NOT NULL UNIQUE,
+          code_hint TEXT NOT NULL DEFAULT '',
+          issuer_note TEXT NOT NULL DEFAULT '',
+          max_uses INTEGER NOT NULL DEFAULT 1,
+          use_count INTEGER NOT NULL DEFAULT 0,
+          expires_at TEXT,
+          revoked_at TEXT,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_invites_batch
+         ON invites(batch_id, created_at DESC)`
+      ).run();
+      await env.DB.prepare(
+        `CREATE TABLE IF NOT EXISTS invite_redemptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          invite_id INTEGER NOT NULL,
+          site_id INTEGER,
+          site_slug TEXT NOT NULL,
+          redeemed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          FOREIGN KEY(invite_id) REFERENCES invites(id) ON DELETE CASCADE,
+          FOREIGN KEY(site_id) REFERENCES sites(id) ON DELETE SET NULL
+        )`
+      ).run();
+      await env.DB.prepare(
+        `CREATE INDEX IF NOT EXISTS idx_invite_redemptions_invite
+         ON invite_redemptions(invite_id, redeemed_at DESC)`
+      ).run();
+    })().catch((error) => {
+      invitesTablesReadyPromise = null;
+      throw error;
+    });
+  }
+  return invitesTablesReadyPromise;
+}
+
+function normalizeInviteCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+async function hashInviteCode(code) {
+  return sha256Hex(`invite:${normalizeInviteCode(code)}`);
+}
+
+function generateInviteCode() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = new Uint8Array(INVITE_CODE_LENGTH);
+  crypto.getRandomValues(bytes);
+  const chars = Array.from(bytes, (byte) => alphabet[byte % alphabet.length]).join("");
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+async function consumeInviteCode(env, code) {
+  const normalized = normalizeInviteCode(code);
+  if (!normalized) {
+    return { ok: false };
+  }
+
+  await ensureInvitesTables(env);
+  const codeHash = await hashInviteCode(normalized);
+  const result = await env.DB.prepare(
+    `UPDATE invites
+     SET use_count = use_count + 1
+     WHERE code_hash = ?
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > ?)
+       AND use_count < max_uses`
+  )
+    .bind(codeHash, new Date().toISOString())
+    .run();
+  if (Number(result.meta?.changes || 0) > 0) {
+    const invite = await env.DB.prepare(
+      `SELECT id
+       FROM invites
+       WHERE code_hash = ?
+       LIMIT 1`
+    )
+      .bind(codeHash)
+      .first();
+    return { ok: true, inviteId: Number(invite?.id || 0) || null };
+  }
+
+  const legacyCodes = getInviteCodes(env);
+  if (legacyCodes.has(String(code || "").trim())) {
+    return { ok: true, inviteId: null };
+  }
+
+  if (!legacyCodes.size) {
+    const configured = await env.DB.prepare(
+      `SELECT COUNT(*) AS total
+       FROM invites`
+    ).first();
+    if (!Number(configured?.total || 0)) {
+      return { ok: false, unconfigured: true };
+    }
+  }
+  return { ok: false };
+}
+
+async function releaseInviteCode(env, inviteId) {
+  if (!inviteId) {
+    return;
+  }
+  await env.DB.prepare(
+    `UPDATE invites
+     SET use_count = MAX(use_count - 1, 0)
+     WHERE id = ?`
+  )
+    .bind(inviteId)
+    .run();
+}
+
+async function recordInviteRedemption(env, inviteId, siteId, siteSlug) {
+  if (!inviteId) {
+    return;
+  }
+  await env.DB.prepare(
+    `INSERT INTO invite_redemptions (invite_id, site_id, site_slug, redeemed_at)
+     VALUES (?, ?, ?, ?)`
+  )
+    .bind(inviteId, siteId, siteSlug, new Date().toISOString())
+    .run();
+}
+
+async function createInviteBatch(env, { count, maxUses, expiresAt, note }) {
+  await ensureInvitesTables(env);
+  const batchId = randomHex(8);
+  const now = new Date().toISOString();
+  const codes = Array.from({ length: count }, () => generateInviteCode());
+  const statements = await Promise.all(
+    codes.map(async (code) =>
+      env.DB.prepare(
+        `INSERT INTO invites (
+          batch_id,
+          code_hash,
+          code_hint,
+          issuer_note,
+          max_uses,
+          expires_at,
+          created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?)`
+      ).bind(batchId, await hashInviteCode(code), code.slice(-4), note, maxUses, expiresAt, now)
+    )
+  );
+  await env.DB.batch(statements);
+  return { batchId, codes, createdAt: now };
+}
+
+async function listInvites(env, limit = INVITES_LIST_LIMIT) {
+  await ensureInvitesTables(env);
+  const [invites, redemptions] = await Promise.all([
+    env.DB.prepare(
+      `SELECT
+        id,
+        batch_id AS batchId,
+        code_hint AS codeHint,
+        issuer_note AS note,
+        max_uses AS maxUses,
+        use_count AS useCount,
+        expires_at AS expiresAt,
+        revoked_at AS revokedAt,
+        created_at AS createdAt
+      FROM invites
+      ORDER BY id DESC
+      LIMIT ?`
+    )
+      .bind(limit)
+      .all(),
+    env.DB.prepare(
+      `SELECT
+        r.invite_id AS inviteId,
+        r.site_slug AS siteSlug,
+        r.site_id AS siteId,
+        r.redeemed_at AS redeemedAt
+      FROM invite_redemptions r
+      WHERE r.invite_id IN (SELECT id FROM invites ORDER BY id DESC LIMIT ?)
+      ORDER BY r.redeemed_at DESC`
+    )
+      .bind(limit)
+      .all(),
+  ]);
+
+  const redemptionsByInvite = new Map();
+  for (const redemption of redemptions.results || []) {
+    const list = redemptionsByInvite.get(redemption.inviteId) || [];
+    list.push({
+      siteSlug: redemption.siteSlug,
+      siteDeleted: !redemption.siteId,
+      redeemedAt: redemption.redeemedAt,
+    });
+    redemptionsByInvite.set(redemption.inviteId, list);
+  }
+  return (invites.results || []).map((invite) => ({
+    ...invite,
+    redemptions: redemptionsByInvite.get(invite.id) || [],
+  }));
+}
+
+async function revokeInvites(env, { batchId = "", ids = [] }) {
+  await ensureInvitesTables(env);
+  const now = new Date().toISOString();
+  if (batchId) {
+    const result = await env.DB.prepare(
+      `UPDATE invites
+       SET revoked_at = ?
+       WHERE batch_id = ? AND revoked_at IS NULL`
+    )
+      .bind(now, batchId)
+      .run();
+    return Number(result.meta?.changes || 0);
+  }
+
+  const safeIds = ids.map((id) => Number(id)).filter((id) => Number.isInteger(id) && id > 0).slice(0, 500);
+  if (!safeIds.length) {
+    return 0;
+  }
+  const result = await env.DB.prepare(
+    `UPDATE invites
+     SET revoked_at = ?
+     WHERE id IN (${safeIds.map(() => "?").join(", ")}) AND revoked_at IS NULL`
+  )
+    .bind(now, ...safeIds)
+    .run();
+  return Number(result.meta?.changes || 0);
+}
+
+function getAllowedCorsOrigins(env) {
+  return new Set(
+    String(env.CORS_ALLOWED_ORIGINS || "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean)
+  );
+}
+
+function resolveCorsOrigin(request, env) {
+  const origin = String(request.headers.get("origin") || "").trim();
+  if (!origin) {
+    return null;
+  }
+
+  const allowedOrigins = getAllowedCorsOrigins(env);
+  if (!allowedOrigins.size) {
+    return null;
+  }
+
+  if (allowedOrigins.has("*")) {
+    return "*";
+  }
+
+  return allowedOrigins.has(origin) ? origin : null;
+}
+
+function withCors(response, request, env) {
+  const allowedOrigin = resolveCorsOrigin(request, env);
+  if (!allowedOrigin) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set("Access-Control-Allow-Origin", allowedOrigin);
+  headers.set("Access-Control-Allow-Methods", "GET,POST,DELETE,OPTIONS");
+  headers.set("Access-Control-Allow-Headers", "Content-Type");
+  headers.set("Vary", "Origin");
+
+  return new Response(response.body, {
+    status: response.status,
+    headers,
+  });
+}
+
+function buildApiPreflightResponse(request, env) {
+  const allowedOrigin = resolveCorsOrigin(request, env);
+  if (!allowedOrigin) {
+    return new Response("Forbidden origin", { status: 403 });
+  }
+
+  return new Response(null, {
+    status: 204,
+    headers: {
+      "Access-Control-Allow-Origin": allowedOrigin,
+      "Access-Control-Allow-Methods": "GET,POST,DELETE,OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Max-Age": "86400",
+      Vary: "Origin",
+    },
+  });
+}
+
+function getSessionSecret(env) {
+  const secret = String(env.SESSION_SECRET || "").trim();
+  if (!secret) {
+    throw new Error("Missing SESSION_SECRET");
+  }
+  return secret;
+}
+
+function randomHex(byteLength) {
+  const bytes = new Uint8Array(byteLength);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (value) => value.toString(16).padStart(2, "0")).join("");
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes || [], (value) => Number(value).toString(16).padStart(2, "0")).join("");
+}
+
+function hexToBytes(hex) {
+  const raw = String(hex || "").trim().toLowerCase();
+  if (!raw || raw.length % 2 !== 0 || /[^0-9a-f]/.test(raw)) {
+    return null;
+  }
+  const bytes = new Uint8Array(raw.length / 2);
+  for (let index = 0; index < raw.length; index += 2) {
+    bytes[index / 2] = Number.parseInt(raw.slice(index, index + 2), 16);
+  }
+  return bytes;
+}
+
+async function getSensitiveCryptoKey(env) {
+  const secret = `${getSessionSecret(env)}:site-tele-notify:v1`;
+  const secretDigest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(secret)
+  );
+  return crypto.subtle.importKey(
+    "raw",
+    secretDigest,
+    { name: "AES-GCM" },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encryptSensitiveValue(value, env) {
+  const plain = String(value || "");
+  if (!plain) {
+    return "";
+  }
+  const iv = new Uint8Array(12);
+  crypto.getRandomValues(iv);
+  const key = await getSensitiveCryptoKey(env);
+  const encrypted = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(plain)
+  );
+  return `v1$${bytesToHex(iv)}$${bytesToHex(new Uint8Array(encrypted))}`;
+}
+
+async function decryptSensitiveValue(value, env) {
+  const raw = String(value || "").trim();
+  if (!raw) {
+    return "";
+  }
+  const parts = raw.split("$");
+  if (parts.length !== 3 || parts[0] !== "v1") {
+    return "";
+  }
+  const iv = hexToBytes(parts[1]);
+  const cipherBytes = hexToBytes(parts[2]);
+  if (!iv || !cipherBytes) {
+    return "";
+  }
+
+  const key = await getSensitiveCryptoKey(env);
+  const decrypted = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv },
+    key,
+    cipherBytes
+  );
+  return new TextDecoder().decode(decrypted);
+}
+
+async function sha256Hex(value) {
+  const encoded = new TextEncoder().encode(value);
+  const digest = await crypto.subtle.digest("SHA-256", encoded);
+  const bytes = new Uint8Array(digest);
+  return Array.from(bytes, (value) => value.toString(16).padStart(2, "0")).join("");
+}
+
+async function hmacHex(value, secret) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    {
+      name: "HMAC",
+      hash: "SHA-256",
+    },
+    false,
+    ["sign"]
+  );
+
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(value)
+  );
+
+  const bytes = new Uint8Array(signature);
+  return Array.from(bytes, (item) => item.toString(16).padStart(2, "0")).join("");
+}
+
+function timingSafeEqual(left, right) {
+  const a = String(left || "");
+  const b = String(right || "");
+
+  const length = Math.max(a.length, b.length);
+  let mismatch = a.length ^ b.length;
+  for (let i = 0; i < length; i += 1) {
+    mismatch |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+
+  return mismatch === 0;
+}
+
+function toBase64Utf8(value) {
+  const bytes = new TextEncoder().encode(String(value || ""));
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function fromBase64Utf8(base64Value) {
+  const normalized = String(base64Value || "").replace(/\n/g, "");
+  const binary = atob(normalized);
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+function toBase64Url(value) {
+  return toBase64Utf8(value).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+function fromBase64Url(value) {
+  const base64 = String(value || "").replace(/-/g, "+").replace(/_/g, "/");
+  const padding = (4 - (base64.length % 4)) % 4;
+  return fromBase64Utf8(base64 + "=".repeat(padding));
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  for (const byte of bytes || []) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+function base64UrlToBytes(value) {
+  const base64 = String(value || "").replace(/-/g, "+").replace(/_/g, "/");
+  const padding = (4 - (base64.length % 4)) % 4;
+  const binary = atob(base64 + "=".repeat(padding));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+function normalizePath(pathname) {
+  const path = String(pathname || "/");
+  if (path.length > 1 && path.endsWith("/")) {
+    return path.slice(0, -1);
+  }
+  return path;
+}
+
+function parsePositiveInt(value, fallback = 1, min = 1, max = 9999) {
+  const parsed = Number.parseInt(String(value || ""), 10);
+  if (!Number.isFinite(parsed) || parsed < min) {
+    return fallback;
+  }
+  if (parsed > max) {
+    return max;
+  }
+  return parsed;
+}
+
+function parseCSV(text) {
+  const lines = String(text || "").replace(/\r\n/g, "\n").replace(/\r/g, "\n");
+  const result = { headers: [], rows: [] };
+  let i = 0;
+  const len = lines.length;
+
+  function parseField() {
+    if (i >= len || lines[i] === "\n") return "";
+    if (lines[i] === '"') {
+      i++;
+      let val = "";
+      while (i < len) {
+        if (lines[i] === '"') {
+          if (i + 1 < len && lines[i + 1] === '"') {
+            val += '"';
+            i += 2;
+          } else {
+            i++;
+            break;
+          }
+        } else {
+          val += lines[i];
+          i++;
+        }
+      }
+      return val;
+    }
+    let val = "";
+    while (i < len && lines[i] !== "," && lines[i] !== "\n") {
+      val += lines[i];
+      i++;
+    }
+    return val;
+  }
+
+  function parseRow() {
+    const fields = [];
+    while (i < len && lines[i] !== "\n") {
+      fields.push(parseField());
+      if (i < len && lines[i] === ",") i++;
+    }
+    if (i < len && lines[i] === "\n") i++;
+    return fields;
+  }
+
+  if (len === 0) return result;
+
+  result.headers = parseRow().map((h) => h.trim().toLowerCase().replace(/\s+/g, "_"));
+  if (!result.headers.length) return result;
+
+  while (i < len) {
+    if (lines[i] === "\n") { i++; continue; }
+    const fields = parseRow();
+    if (fields.length === 0 || (fields.length === 1 && !fields[0])) continue;
+    const obj = {};
+    for (let j = 0; j < result.headers.length; j++) {
+      obj[result.headers[j]] = j < fields.length ? fields[j] : "";
+    }
+    result.rows.push(obj);
+  }
+
+  return result;
+}
+
+const MAX_BODY_BYTES = 65536;
+
+async function readJson(request) {
+  try {
+    const contentLength = Number(request.headers.get("content-length") || 0);
+    if (contentLength > MAX_BODY_BYTES) {
+      throw new Error("Request body too large");
+    }
+    const text = await request.text();
+    if (text.length > MAX_BODY_BYTES) {
+      throw new Error("Request body too large");
+    }
+    return JSON.parse(text);
+  } catch (error) {
+    if (error && error.message === "Request body too large") {
+      throw error;
+    }
+    return {};
+  }
+}
+
+function sanitizeName(value) {
+  return String(value || "")
+    .trim()
+    .slice(0, 60);
+}
+
+function sanitizeTitle(value) {
+  return String(value || "")
+    .trim()
+    .slice(0, 120);
+}
+
+function sanitizeDescription(value) {
+  return String(value || "")
+    .trim()
+    .slice(0, 240);
+}
+
+function sanitizeCustomCss(value) {
+  return String(value || "")
+    .replace(/\u0000/g, "")
+    .slice(0, CUSTOM_CSS_MAX_LENGTH);
+}
+
+function sanitizeCommentAuthor(value) {
+  return sanitizeName(value)
+    .replace(/\s+/g, " ")
+    .slice(0, 40);
+}
+
+function sanitizeCommentContent(value) {
+  return String(value || "")
+    .replace(/\r\n/g, "\n")
+    .trim()
+    .slice(0, 2000);
+}
+
+function sanitizeOptionalSiteSlug(value) {
+  const slug = String(value || "").trim().toLowerCase();
+  if (!slug) {
+    return "";
+  }
+  if (slug.length < 2 || slug.length > 30) {
+    return "";
+  }
+  if (!/^[a-z0-9-]+$/.test(slug)) {
+    return "";
+  }
+  if (slug.startsWith("-") || slug.endsWith("-") || slug.includes("--")) {
+    return "";
+  }
+  return slug;
+}
+
+function json(data, status = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      ...extraHeaders,
+    },
+  });
+}
+
+function text(body, status = 200) {
+  return new Response(body, {
+    status,
+    headers: {
+      "Content-Type": "text/plain; charset=utf-8",
+    },
+  });
+}
+
+function xml(body, status = 200, extraHeaders = {}) {
+  return new Response(body, {
+    status,
+    headers: {
+      "Content-Type": "application/xml; charset=utf-8",
+      ...extraHeaders,
+    },
+  });
+}
+
+function html(body, status = 200, extraHeaders = {}) {
+  return new Response(body, {
+    status,
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      "Content-Security-Policy": "default-src 'self'; script-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net; style-src 'self' 'unsafe-inline' https:; font-src https: data:; connect-src 'self'; img-src 'self' data: https:; frame-src https://www.youtube.com https://www.youtube-nocookie.com https://player.bilibili.com https://open.spotify.com https://twitframe.com https://www.instagram.com; media-src https: data:; frame-ancestors 'none'",
+      "X-Content-Type-Options": "nosniff",
+      "X-Frame-Options": "DENY",
+      "Referrer-Policy": "strict-origin-when-cross-origin",
+      ...extraHeaders,
+    },
+  });
+}
+
+function escapeXml(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function notFound(message = "Not found") {
+  return html(renderSimpleMessage("404", message), 404);
+}
+
+function renderRootPage(baseDomain) {
+  return renderLayout(
+    "Stublogs",
+    `
+    <section class="panel">
+      <p class="eyebrow">bdfz.net student blogs</p>
+      <h1>所謂語文，無非你寫。</h1>
+      <p class="muted">每位學生可選擇自己的 <code>xxx</code>，站點會是 <code>https://xxx.${escapeHtml(baseDomain)}</code>。</p>
+
+      <form id="register-form" class="stack" autocomplete="off">
+        <label>子域名 slug</label>
+        <input id="slug" name="slug" placeholder="alice" minlength="2" maxlength="30" required />
+
+        <label>顯示名稱</label>
+        <input id="displayName" name="displayName" placeholder="Alice" maxlength="60" required />
+
+        <label>管理密碼</label>
+        <input id="adminPassword" name="adminPassword" type="password" minlength="8" required />
+
+        <label>註冊邀請碼</label>
+        <input id="inviteCode" name="inviteCode" placeholder="請輸入邀請碼" required />
+
+        <label>站點簡介（可選）</label>
+        <input id="description" name="description" maxlength="240" placeholder="這裡寫你的簡介" />
+
+        <button type="submit">建立 Blog</button>
+      </form>
+
+      <p id="status" class="muted"></p>
+    </section>
+
+    <script>
+      const statusEl = document.getElementById("status");
+      const form = document.getElementById("register-form");
+      const slugInput = document.getElementById("slug");
+      const nameInput = document.getElementById("displayName");
+
+      let timer = null;
+
+      function setStatus(message, isError = false) {
+        statusEl.textContent = message;
+        statusEl.style.color = isError ? "var(--danger)" : "var(--muted)";
+      }
+
+      async function checkSlug() {
+        const slug = slugInput.value.trim().toLowerCase();
+        if (!slug) {
+          setStatus("");
+          return;
+        }
+
+        try {
+          const response = await fetch('/api/check-slug?slug=' + encodeURIComponent(slug));
+          const payload = await response.json();
+          if (payload.available) {
+            setStatus('可用：' + slug + '.${escapeHtml(baseDomain)}');
+          } else {
+            setStatus('不可用（' + (payload.reason || 'unknown') + '）', true);
+          }
+        } catch {
+          setStatus('無法檢查 slug，請稍後再試', true);
+        }
+      }
+
+      slugInput.addEventListener('input', () => {
+        const value = slugInput.value
+          .toLowerCase()
+          .replace(/[^a-z0-9-]/g, '')
+          .replace(/--+/g, '-')
+          .replace(/^-|-$/g, '')
+          .slice(0, 30);
+        slugInput.value = value;
+
+        if (!nameInput.value.trim()) {
+          nameInput.value = value;
+        }
+
+        clearTimeout(timer);
+        timer = setTimeout(checkSlug, 220);
+      });
+
+      form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        const payload = {
+          slug: slugInput.value.trim().toLowerCase(),
+          displayName: nameInput.value.trim(),
+          adminPassword: document.getElementById('adminPassword').value,
+          inviteCode: document.getElementById('inviteCode').value.trim(),
+          description: document.getElementById('description').value.trim(),
+        };
+
+        setStatus('正在建立...');
+
+        try {
+          const response = await fetch('/api/register', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+          });
+          const result = await response.json();
+
+          if (!response.ok) {
+            setStatus(result.error || '建立失敗', true);
+            return;
+          }
+
+          setStatus('建立成功，跳轉中...');
+          window.location.href = result.siteUrl + '/admin';
+        } catch {
+          setStatus('建立失敗，請稍後重試', true);
+        }
+      });
+    </script>
+  `
+  );
+}
+
+function renderClaimPage(slug, baseDomain) {
+  return renderLayout(
+    `${slug}.${baseDomain}`,
+    `
+    <section class="panel">
+      <p class="eyebrow">claim this subdomain</p>
+      <h1>建立 <code>${escapeHtml(slug)}.${escapeHtml(baseDomain)}</code></h1>
+
+      <form id="claim-form" class="stack" autocomplete="off">
+        <label>子域名</label>
+        <input id="slug" value="${escapeHtml(slug)}" readonly />
+
+        <label>顯示名稱</label>
+        <input id="displayName" name="displayName" maxlength="60" placeholder="${escapeHtml(slug)}" required />
+
+        <label>管理密碼</label>
+        <input id="adminPassword" type="password" minlength="8" required />
+
+        <label>註冊邀請碼</label>
+        <input id="inviteCode" placeholder="請輸入邀請碼" required />
+
+        <label>站點簡介（可選）</label>
+        <input id="description" maxlength="240" placeholder="這裡寫你的簡介" />
+
+        <button type="submit">建立並進入後台</button>
+      </form>
+
+      <p id="status" class="muted"></p>
+    </section>
+
+    <script>
+      const form = document.getElementById('claim-form');
+      const statusEl = document.getElementById('status');
+
+      function setStatus(message, isError = false) {
+        statusEl.textContent = message;
+        statusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+      }
+
+      form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        const payload = {
+          slug: ${JSON.stringify(slug)},
+          displayName: document.getElementById('displayName').value.trim() || ${JSON.stringify(slug)},
+          adminPassword: document.getElementById('adminPassword').value,
+          inviteCode: document.getElementById('inviteCode').value.trim(),
+          description: document.getElementById('description').value.trim(),
+        };
+
+        setStatus('正在建立...');
+
+        try {
+          const response = await fetch('/api/register', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+          });
+
+          const result = await response.json();
+          if (!response.ok) {
+            setStatus(result.error || '建立失敗', true);
+            return;
+          }
+
+          window.location.href = '/admin';
+        } catch {
+          setStatus('建立失敗，請稍後再試', true);
+        }
+      });
+    </script>
+  `
+  );
+}
+
+function renderRootAdminHelp(baseDomain) {
+  return renderLayout(
+    "Admin",
+    `
+    <section class="panel">
+      <p class="eyebrow">admin gateway</p>
+      <h1>請從你的子域名登入</h1>
+      <p class="muted">管理地址格式：<code>https://xxx.${escapeHtml(baseDomain)}/admin</code></p>
+    </section>
+  `, 'default'
+  );
+}
+
+export function renderPlatformAdminPage(baseDomain, authed, csrfToken = "") {
+  if (!authed) {
+    return renderLayout(
+      "Platform Admin",
+      `
+      <section class="panel">
+        <p class="eyebrow">platform admin</p>
+        <h1>平台管理</h1>
+        <p class="muted">站點管理請到 <code>https://xxx.${escapeHtml(baseDomain)}/admin</code>。</p>
+
+        <form id="platform-login-form" class="stack" autocomplete="off">
+          <label>平台管理 Token</label>
+          <input id="platform-token" type="password" required />
+          <button type="submit">登入</button>
+        </form>
+
+        <p id="status" class="muted"></p>
+      </section>
+
+      <script>
+        const form = document.getElementById('platform-login-form');
+        const statusEl = document.getElementById('status');
+
+        form.addEventListener('submit', async (event) => {
+          event.preventDefault();
+          statusEl.textContent = '登入中...';
+
+          try {
+            const response = await fetch('/api/platform/login', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ token: document.getElementById('platform-token').value }),
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+              statusEl.textContent = result.error || '登入失敗';
+              statusEl.style.color = 'var(--danger)';
+              return;
+            }
+
+            location.reload();
+          } catch {
+            statusEl.textContent = '登入失敗，請稍後再試';
+            statusEl.style.color = 'var(--danger)';
+          }
+        });
+      </script>
+    `,
+      "default"
+    );
+  }
+
+  return renderLayout(
+    "Platform Admin",
+    String.raw`
+    <section class="panel wide">
+      <header class="site-header">
+        <div>
+          <p class="eyebrow">platform admin</p>
+          <h1>平台管理</h1>
+          <p class="muted">${escapeHtml(baseDomain)}</p>
+        </div>
+        <div class="row-actions">
+          <button id="platform-logout" class="link-button" type="button">Logout</button>
+        </div>
+      </header>
+
+      <div id="platform-stats" class="platform-stats"></div>
+
+      <div class="row-actions">
+        <input id="site-search" placeholder="搜尋 slug 或站名..." />
+        <button id="site-search-btn" type="button">搜尋</button>
+      </div>
+      <p id="platform-status" class="muted"></p>
+      <ul id="platform-site-list" class="member-list"></ul>
+      <div class="row-actions">
+        <button id="site-prev" type="button" class="link-button">上一頁</button>
+        <span id="site-page" class="muted"></span>
+        <button id="site-next" type="button" class="link-button">下一頁</button>
+      </div>
+    </section>
+
+    <section class="panel wide">
+      <h2>邀請碼</h2>
+      <p class="muted">邀請碼只會在產生時顯示一次；每個站點會記錄它使用的邀請碼與發放備註。</p>
+      <div class="row-actions">
+        <input id="invite-count" type="number" min="1" max="200" value="10" title="數量" />
+        <input id="invite-max-uses" type="number" min="1" max="1000" value="1" title="每碼可用次數" />
+        <input id="invite-expires" type="number" min="0" max="365" value="30" title="有效天數（0 為不過期）" />
+        <input id="invite-note" maxlength="120" placeholder="發放備註，例如：王老師 高一 3 班" />
+        <button id="invite-create" type="button">產生</button>
+      </div>
+      <pre id="invite-codes" style="display:none"></pre>
+      <p id="invite-status" class="muted"></p>
+      <ul id="invite-list" class="member-list"></ul>
+    </section>
+
+    <script>
+      const csrfToken = ${toScriptJson(csrfToken)};
+      const statsEl = document.getElementById('platform-stats');
+      const siteListEl = document.getElementById('platform-site-list');
+      const statusEl = document.getElementById('platform-status');
+      const searchInput = document.getElementById('site-search');
+      const pageEl = document.getElementById('site-page');
+      const state = { page: 1, totalPages: 1, query: '' };
+      const STATUS_LABELS = {
+        active: '正常',
+        suspended: '已暫停',
+        pending_deletion: '待刪除',
+      };
+
+      function escapeText(value) {
+        return String(value || '')
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;');
+      }
+
+      function setStatus(message, isError = false) {
+        statusEl.textContent = message;
+        statusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+      }
+
+      async function fetchJson(path, options) {
+        const nextOptions = { ...(options || {}) };
+        const method = String(nextOptions.method || 'GET').toUpperCase();
+        if (method !== 'GET') {
+          nextOptions.headers = { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken };
+        }
+        const response = await fetch(path, nextOptions);
+        const payload = await response.json().catch(() => null);
+        if (response.status === 401) {
+          location.reload();
+          throw new Error('登入已過期');
+        }
+        if (!response.ok || !payload) {
+          throw new Error((payload && (payload.detail || payload.error)) || ('Request failed (' + response.status + ')'));
+        }
+        return payload;
+      }
+
+      async function refreshStats() {
+        const payload = await fetchJson('/api/platform/stats');
+        const stats = payload.stats || {};
+        statsEl.innerHTML = [
+          ['站點', stats.sites],
+          ['已暫停', stats.suspendedSites],
+          ['文章', stats.posts],
+          ['已發佈', stats.publishedPosts],
+          ['留言', stats.comments],
+          ['瀏覽', stats.views],
+        ]
+          .map((item) => '<div class="platform-stat"><strong>' + Number(item[1] || 0).toLocaleString() + '</strong><span class="muted">' + item[0] + '</span></div>')
+          .join('');
+      }
+
+      async function refreshSites() {
+        const params = new URLSearchParams({ q: state.query, page: String(state.page) });
+        const payload = await fetchJson('/api/platform/sites?' + params.toString());
+        state.totalPages = payload.totalPages || 1;
+        pageEl.textContent = state.page + ' / ' + state.totalPages + '（共 ' + (payload.total || 0) + ' 站）';
+        const sites = Array.isArray(payload.sites) ? payload.sites : [];
+        siteListEl.innerHTML = sites
+          .map((site) => '<li class="member-item" data-slug="' + escapeText(site.slug) + '">' +
+            '<span><a href="' + escapeText(site.url) + '" target="_blank" rel="noreferrer noopener">' + escapeText(site.displayName) + '</a>' +
+            ' <small class="muted">' + escapeText(site.slug) + ' · ' + site.postCount + ' 篇 · ' + escapeText(STATUS_LABELS[site.status] || site.status) +
+            (site.locked ? ' · 已鎖定' : '') +
+            (site.purgeAfter ? ' · 將於 ' + escapeText(new Date(site.purgeAfter).toLocaleDateString()) + ' 清除' : '') +
+            (site.inviteNote ? ' · 邀請：' + escapeText(site.inviteNote) : '') +
+            (site.statusReason ? ' · ' + escapeText(site.statusReason) : '') + '</small></span>' +
+            '<span class="row-actions">' +
+            (site.status === 'suspended'
+              ? '<button type="button" class="link-button small ghost" data-action="unsuspend">恢復</button>'
+              : '<button type="button" class="link-button small ghost" data-action="suspend">暫停</button>') +
+            '<button type="button" class="link-button small ghost" data-action="rename">改名</button>' +
+            '<button type="button" class="link-button small ghost" data-action="reset-password">重設密碼</button>' +
+            '<button type="button" class="link-button small danger-ghost" data-action="delete">刪除</button>' +
+            '</span>' +
+          '</li>')
+          .join('') || '<li class="muted">沒有符合的站點</li>';
+      }
+
+      async function runSiteAction(slug, action) {
+        if (action === 'suspend') {
+          const reason = prompt('暫停原因（會顯示在平台管理列表）', '');
+          if (reason === null) {
+            return;
+          }
+          await fetchJson('/api/platform/sites/' + encodeURIComponent(slug) + '/suspend', {
+            method: 'POST',
+            body: JSON.stringify({ reason }),
+          });
+          setStatus(slug + ' 已暫停');
+        } else if (action === 'unsuspend') {
+          await fetchJson('/api/platform/sites/' + encodeURIComponent(slug) + '/unsuspend', { method: 'POST', body: '{}' });
+          setStatus(slug + ' 已恢復');
+        } else if (action === 'rename') {
+          const newSlug = prompt('把 ' + slug + ' 改名為（舊網址會轉址到新網址）', '');
+          if (!newSlug) {
+            return;
+          }
+          const payload = await fetchJson('/api/platform/sites/' + encodeURIComponent(slug) + '/rename', {
+            method: 'POST',
+            body: JSON.stringify({ newSlug: newSlug.trim().toLowerCase() }),
+          });
+          setStatus(slug + ' 已改名為 ' + payload.slug);
+        } else if (action === 'reset-password') {
+          const newPassword = prompt('為 ' + slug + ' 設定新密碼（至少 8 字元）', '');
+          if (!newPassword) {
+            return;
+          }
+          const clearTwoFactor = confirm('同時移除站長的兩步驟驗證？');
+          await fetchJson('/api/platform/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({ slug, newPassword, clearTwoFactor }),
+          });
+          setStatus(slug + ' 密碼已重設，站長會話已全部登出');
+        } else if (action === 'delete') {
+          const confirmSlug = prompt('刪除會移除所有文章、留言與倉庫檔案，無法復原。輸入 ' + slug + ' 確認：', '');
+          if (confirmSlug !== slug) {
+            return;
+          }
+          setStatus('刪除中...');
+          const payload = await fetchJson('/api/platform/sites/' + encodeURIComponent(slug), {
+            method: 'DELETE',
+            body: JSON.stringify({ confirm: confirmSlug }),
+          });
+          setStatus(slug + ' 已刪除（移除 ' + payload.files + ' 個檔案）');
+        }
+        await Promise.all([refreshSites(), refreshStats()]);
+      }
+
+      siteListEl.addEventListener('click', (event) => {
+        const target = event.target;
+        if (!(target instanceof HTMLElement) || !target.dataset.action) {
+          return;
+        }
+        const item = target.closest('[data-slug]');
+        runSiteAction(item ? item.getAttribute('data-slug') : '', target.dataset.action).catch((error) => {
+          setStatus(error.message || '操作失敗', true);
+        });
+      });
+
+      function search() {
+        state.query = searchInput.value.trim();
+        state.page = 1;
+        refreshSites().catch((error) => setStatus(error.message || '載入失敗', true));
+      }
+
+      document.getElementById('site-search-btn').addEventListener('click', search);
+      searchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          search();
+        }
+      });
+      document.getElementById('site-prev').addEventListener('click', () => {
+        if (state.page > 1) {
+          state.page -= 1;
+          refreshSites().catch((error) => setStatus(error.message || '載入失敗', true));
+        }
+      });
+      document.getElementById('site-next').addEventListener('click', () => {
+        if (state.page < state.totalPages) {
+          state.page += 1;
+          refreshSites().catch((error) => setStatus(error.message || '載入失敗', true));
+        }
+      });
+      document.getElementById('platform-logout').addEventListener('click', async () => {
+        await fetch('/api/platform/logout', { method: 'POST', headers: { 'X-CSRF-Token': csrfToken } });
+        location.reload();
+      });
+
+      const inviteListEl = document.getElementById('invite-list');
+      const inviteCodesEl = document.getElementById('invite-codes');
+      const inviteStatusEl = document.getElementById('invite-status');
+
+      function setInviteStatus(message, isError = false) {
+        inviteStatusEl.textContent = message;
+        inviteStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+      }
+
+      async function refreshInvites() {
+        const payload = await fetchJson('/api/platform/invites');
+        const batches = new Map();
+        for (const invite of Array.isArray(payload.invites) ? payload.invites : []) {
+          const batch = batches.get(invite.batchId) || {
+            batchId: invite.batchId,
+            note: invite.note,
+            createdAt: invite.createdAt,
+            expiresAt: invite.expiresAt,
+            codes: 0,
+            active: 0,
+            used: 0,
+            capacity: 0,
+            sites: [],
+          };
+          batch.codes += 1;
+          batch.used += Number(invite.useCount || 0);
+          batch.capacity += Number(invite.maxUses || 0);
+          if (!invite.revokedAt) {
+            batch.active += 1;
+          }
+          for (const redemption of invite.redemptions || []) {
+            batch.sites.push(redemption.siteSlug + (redemption.siteDeleted ? '（已刪除）' : ''));
+          }
+          batches.set(invite.batchId, batch);
+        }
+        inviteListEl.innerHTML = Array.from(batches.values())
+          .map((batch) => '<li class="member-item" data-batch-id="' + escapeText(batch.batchId) + '">' +
+            '<span>' + escapeText(batch.note || '（無備註）') +
+            ' <small class="muted">' + batch.codes + ' 碼 · 已用 ' + batch.used + ' / ' + batch.capacity +
+            ' · ' + (batch.expiresAt ? '到期 ' + escapeText(String(batch.expiresAt).slice(0, 10)) : '不過期') +
+            (batch.active ? '' : ' · 已撤銷') +
+            (batch.sites.length ? ' · ' + escapeText(batch.sites.join(', ')) : '') + '</small></span>' +
+            (batch.active
+              ? '<span class="row-actions"><button type="button" class="link-button small danger-ghost" data-action="revoke-batch">撤銷整批</button></span>'
+              : '') +
+          '</li>')
+          .join('') || '<li class="muted">尚未產生邀請碼</li>';
+      }
+
+      document.getElementById('invite-create').addEventListener('click', async () => {
+        setInviteStatus('產生中...');
+        try {
+          const payload = await fetchJson('/api/platform/invites', {
+            method: 'POST',
+            body: JSON.stringify({
+              count: Number(document.getElementById('invite-count').value || 1),
+              maxUses: Number(document.getElementById('invite-max-uses').value || 1),
+              expiresInDays: Number(document.getElementById('invite-expires').value || 0),
+              note: document.getElementById('invite-note').value,
+            }),
+          });
+          inviteCodesEl.textContent = '新邀請碼（只顯示這一次）：\n' + payload.codes.join('\n');
+          inviteCodesEl.style.display = '';
+          setInviteStatus('已產生 ' + payload.codes.length + ' 個邀請碼');
+          await refreshInvites();
+        } catch (error) {
+          setInviteStatus(error.message || '產生失敗', true);
+        }
+      });
+
+      inviteListEl.addEventListener('click', async (event) => {
+        const target = event.target;
+        if (!(target instanceof HTMLElement) || target.dataset.action !== 'revoke-batch') {
+          return;
+        }
+        const item = target.closest('[data-batch-id]');
+        if (!item || !confirm('撤銷這一批所有尚未用完的邀請碼？')) {
+          return;
+        }
+        try {
+          const payload = await fetchJson('/api/platform/invites/revoke', {
+            method: 'POST',
+            body: JSON.stringify({ batchId: item.getAttribute('data-batch-id') }),
+          });
+          setInviteStatus('已撤銷 ' + payload.revoked + ' 個邀請碼');
+          await refreshInvites();
+        } catch (error) {
+          setInviteStatus(error.message || '撤銷失敗', true);
+        }
+      });
+
+      refreshStats().catch((error) => setStatus(error.message || '統計載入失敗', true));
+      refreshSites().catch((error) => setStatus(error.message || '站點載入失敗', true));
+      refreshInvites().catch((error) => setInviteStatus(error.message || '邀請碼載入失敗', true));
+    </script>
+  `,
+    "default"
+  );
+}
+
+const SITE_PAGE_NAV_PRIORITY = Object.freeze({
+  home: 0,
+  now: 1,
+  projects: 2,
+});
+
+function sortSitePagesForNav(sitePages) {
+  const pages = Array.isArray(sitePages) ? [...sitePages] : [];
+  pages.sort((left, right) => {
+    const leftSlug = String(left?.postSlug || "").toLowerCase();
+    const rightSlug = String(right?.postSlug || "").toLowerCase();
+    const leftPriority = Object.prototype.hasOwnProperty.call(
+      SITE_PAGE_NAV_PRIORITY,
+      leftSlug
+    )
+      ? SITE_PAGE_NAV_PRIORITY[leftSlug]
+      : 99;
+    const rightPriority = Object.prototype.hasOwnProperty.call(
+      SITE_PAGE_NAV_PRIORITY,
+      rightSlug
+    )
+      ? SITE_PAGE_NAV_PRIORITY[rightSlug]
+      : 99;
+    if (leftPriority !== rightPriority) {
+      return leftPriority - rightPriority;
+    }
+    const leftUpdated = Date.parse(left?.updatedAt || left?.createdAt || "") || 0;
+    const rightUpdated = Date.parse(right?.updatedAt || right?.createdAt || "") || 0;
+    if (leftUpdated !== rightUpdated) {
+      return rightUpdated - leftUpdated;
+    }
+    return leftSlug.localeCompare(rightSlug);
+  });
+  return pages;
+}
+
+function renderSiteModeNav(sitePages, activeSlug = "blog") {
+  const sortedPages = sortSitePagesForNav(sitePages);
+  if (!sortedPages.length) {
+    return "";
+  }
+
+  const normalizedActiveSlug = String(activeSlug || "blog").toLowerCase();
+  const pageLinks = sortedPages
+    .map((item) => {
+      const slug = String(item.postSlug || "").toLowerCase();
+      const activeClass = slug === normalizedActiveSlug ? "active" : "";
+      return `<a class="${activeClass}" href="/${encodeURIComponent(item.postSlug)}">${escapeHtml(
+        item.title
+      )}</a>`;
+    })
+    .join("");
+  const blogActiveClass = normalizedActiveSlug === "blog" ? "active" : "";
+
+  return `<nav class="site-nav mode-nav" aria-label="站點導覽">${pageLinks}<a class="${blogActiveClass}" href="/">Blog</a></nav>`;
+}
+
+function renderPostTagLinks(tags, activeTag = "") {
+  const items = Array.isArray(tags) ? tags : [];
+  if (!items.length) {
+    return "";
+  }
+  const links = items
+    .map((item) => {
+      const tag = typeof item === "string" ? item : item.tag;
+      const count = typeof item === "string" ? "" : ` <span class="muted">${Number(item.postCount || 0)}</span>`;
+      const activeClass = tag === activeTag ? "active" : "";
+      return `<a class="${activeClass}" href="/tags/${encodeURIComponent(tag)}">#${escapeHtml(tag)}${count}</a>`;
+    })
+    .join("");
+  return `<nav class="site-nav post-tags" aria-label="標籤">${links}</nav>`;
+}
+
+function renderSiteSearchForm(query = "") {
+  return `<form class="site-search" action="/search" method="get" role="search">
+        <input type="search" name="q" maxlength="${SEARCH_QUERY_MAX_LENGTH}" value="${escapeHtml(query)}" placeholder="搜尋文章" />
+        <button type="submit">搜尋</button>
+      </form>`;
+}
+
+function renderSearchPage(site, siteConfig, query, results, sitePages, baseDomain) {
+  const list = results.length
+    ? results
+      .map(
+        (post) => `
+          <li class="post-item">
+            <a href="/${encodeURIComponent(post.postSlug)}" class="post-link">${post.titleHtml}</a>
+            <p class="muted search-snippet">${post.snippetHtml}</p>
+            <small>${escapeHtml(formatDate(post.updatedAt))}</small>
+          </li>
+        `
+      )
+      .join("\n")
+    : `<li class="post-item muted">${query ? "沒有找到相關文章。" : "輸入關鍵字搜尋這個站點的文章。"}</li>`;
+
+  return renderLayout(
+    query ? `搜尋：${query} - ${site.displayName}` : `搜尋 - ${site.displayName}`,
+    `
+    <section class="panel wide site-home-shell">
+      <header class="site-header">
+        <div>
+          <p class="eyebrow"><a href="/">← ${escapeHtml(site.displayName)}</a> · ${escapeHtml(site.slug)}.${escapeHtml(baseDomain)}</p>
+          <h1>搜尋</h1>
+          ${query ? `<p class="muted">「${escapeHtml(query)}」共 ${results.length} 篇</p>` : ""}
+        </div>
+      </header>
+      ${renderThemeControlDock("front")}
+      ${renderSiteModeNav(sitePages, "blog")}
+      ${renderSiteSearchForm(query)}
+      <ul class="post-list">
+        ${list}
+      </ul>
+    </section>
+    `,
+    siteConfig.colorTheme || 'default',
+    siteConfig.customCss || "",
+    siteConfig.faviconUrl || DEFAULT_FAVICON_URL,
+    {
+      title: `搜尋 - ${site.displayName}`,
+      description: `搜尋 ${site.displayName} 的文章`,
+      type: "website",
+      url: `https://${site.slug}.${baseDomain}/search`,
+    }
+  );
+}
+
+function renderTagPage(site, siteConfig, tag, posts, siteTags, sitePages, baseDomain) {
+  const tagUrl = `https://${site.slug}.${baseDomain}/tags/${encodeURIComponent(tag)}`;
+  const list = posts
+    .map(
+      (post) => `
+          <li class="post-item">
+            <a href="/${encodeURIComponent(post.postSlug)}" class="post-link">${escapeHtml(post.title)}</a>
+            <p class="muted">${escapeHtml(post.description || "")}</p>
+            <small>${escapeHtml(formatDate(post.updatedAt))}</small>
+          </li>
+        `
+    )
+    .join("\n");
+
+  return renderLayout(
+    `#${tag} - ${site.displayName}`,
+    `
+    <section class="panel wide site-home-shell">
+      <header class="site-header">
+        <div>
+          <p class="eyebrow"><a href="/">← ${escapeHtml(site.displayName)}</a> · ${escapeHtml(site.slug)}.${escapeHtml(baseDomain)}</p>
+          <h1>#${escapeHtml(tag)}</h1>
+          <p class="muted">${posts.length} 篇文章 · <a href="/tags/${encodeURIComponent(tag)}/feed.xml">RSS</a></p>
+        </div>
+      </header>
+      ${renderThemeControlDock("front")}
+      ${renderSiteModeNav(sitePages, "blog")}
+      ${renderPostTagLinks(siteTags, tag)}
+      <ul class="post-list">
+        ${list}
+      </ul>
+    </section>
+    `,
+    siteConfig.colorTheme || 'default',
+    siteConfig.customCss || "",
+    siteConfig.faviconUrl || DEFAULT_FAVICON_URL,
+    {
+      title: `#${tag} - ${site.displayName}`,
+      description: `${site.displayName} 中標記為 #${tag} 的文章`,
+      type: "website",
+      url: tagUrl,
+    }
+  );
+}
+
+function renderSiteHomePage(
+  site,
+  siteConfig,
+  posts,
+  sitePages,
+  communitySites,
+  campusFeed,
+  baseDomain,
+  postsPage = null,
+  homeViewCount = 0,
+  siteTags = []
+) {
+  const heading = siteConfig.heroTitle || site.displayName;
+  const subtitle = siteConfig.heroSubtitle || site.description || "";
+  const siteUrl = `https://${site.slug}.${baseDomain}/`;
+
+  const navLinks = (siteConfig.headerLinks || []).length
+    ? `<nav class="site-nav">${siteConfig.headerLinks
+      .map(
+        (item) =>
+          `<a href="${escapeHtml(item.url)}" target="_blank" rel="noreferrer noopener">${escapeHtml(
+            item.label
+          )}</a>`
+      )
+      .join("")}</nav>`
+    : "";
+
+  const modeNav = renderSiteModeNav(sitePages, "blog");
+
+  const list = posts.length
+    ? posts
+      .map(
+        (post) => `
+          <li class="post-item">
+            <a href="/${encodeURIComponent(post.postSlug)}" class="post-link">${escapeHtml(post.title)}</a>
+            <p class="muted">${escapeHtml(post.description || "")}</p>
+            <small>${escapeHtml(formatDate(post.updatedAt))} · 訪問 ${escapeHtml(formatViewCount(post.viewCount))}</small>
+          </li>
+        `
+      )
+      .join("\n")
+    : `<li class="post-item muted">還沒有已發佈文章。</li>`;
+
+  const peerSites = communitySites.length
+    ? communitySites
+      .map(
+        (peer) =>
+          `<li><a href="${escapeHtml(peer.url)}" target="_blank" rel="noreferrer noopener">${escapeHtml(
+            peer.displayName
+          )}</a><span class="muted"> · ${escapeHtml(peer.slug)}.bdfz.net</span></li>`
+      )
+      .join("")
+    : `<li class="muted">暫時沒有其他同學站點。</li>`;
+
+  const feedItems = campusFeed.length
+    ? campusFeed
+      .map(
+        (entry) =>
+          `<li><a href="${escapeHtml(entry.url)}" target="_blank" rel="noreferrer noopener">${escapeHtml(
+            entry.title
+          )}</a><span class="muted"> · ${escapeHtml(entry.siteName)}</span></li>`
+      )
+      .join("")
+    : `<li class="muted">全校文章流暫時為空。</li>`;
+
+  const pagination = postsPage && postsPage.totalPages > 1
+    ? `<nav class="pager" aria-label="文章分頁">
+        <a class="${postsPage.hasPrev ? "" : "disabled"}" href="${postsPage.hasPrev ? (postsPage.page - 1 <= 1 ? "/" : `/?page=${postsPage.page - 1}`) : "#"}">上一頁</a>
+        <span class="muted">第 ${postsPage.page} / ${postsPage.totalPages} 頁</span>
+        <a class="${postsPage.hasNext ? "" : "disabled"}" href="${postsPage.hasNext ? `/?page=${postsPage.page + 1}` : "#"}">下一頁</a>
+      </nav>`
+    : "";
+
+  return renderLayout(
+    site.displayName,
+    `
+    <section class="panel wide site-home-shell">
+      <header class="site-header">
+        <div>
+          <p class="eyebrow">${escapeHtml(site.slug)}.${escapeHtml(baseDomain)}</p>
+          <h1>${escapeHtml(heading)}</h1>
+          <p class="muted">${escapeHtml(subtitle)}</p>
+          <p class="muted">首頁訪問：<span id="home-view-count">${escapeHtml(formatViewCount(homeViewCount))}</span></p>
+        </div>
+        <div class="row-actions">
+          <a class="link-button" href="/admin">Admin</a>
+        </div>
+      </header>
+      ${renderThemeControlDock("front")}
+      ${navLinks}
+      ${modeNav}
+      ${renderSiteSearchForm()}
+
+      <div class="community-grid">
+        <section>
+          <h2>文章</h2>
+          <ul class="post-list">
+            ${list}
+          </ul>
+          ${pagination}
+        </section>
+        ${(siteTags.length || !siteConfig.hideCommunitySites || !siteConfig.hideCampusFeed) ? `
+        <aside class="community-panel">
+          ${siteTags.length ? `<h3>標籤</h3>${renderPostTagLinks(siteTags)}` : ''}
+          ${!siteConfig.hideCommunitySites ? `<h3>同學新站</h3><ul class="mini-list">${peerSites}</ul>` : ''}
+          ${!siteConfig.hideCampusFeed ? `<h3>全校最新文章</h3><ul class="mini-list">${feedItems}</ul>` : ''}
+        </aside>
+        ` : ''}
+      </div>
+
+      ${(siteConfig.footerNote)
+      ? `<footer class="site-footer muted">${escapeHtml(siteConfig.footerNote)}</footer>`
+      : ''}
+    </section>
+    <script>
+      (function () {
+        const viewEl = document.getElementById('home-view-count');
+        const dedupeKey = 'stublogs-view:' + location.host + ':home';
+        try {
+          if (sessionStorage.getItem(dedupeKey)) {
+            return;
+          }
+          sessionStorage.setItem(dedupeKey, '1');
+        } catch {
+          // ignore
+        }
+        fetch('/api/view', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ resourceType: 'home', resourceKey: '${HOME_VIEW_KEY}' }),
+        })
+          .then((response) => (response.ok ? response.json() : null))
+          .then((payload) => {
+            if (!payload || typeof payload.count !== 'number' || !viewEl) {
+              return;
+            }
+            const next = Math.max(Number(payload.count || 0), 0);
+            viewEl.textContent = new Intl.NumberFormat('zh-Hant').format(next);
+          })
+          .catch(() => {
+            // ignore view beacon failures
+          });
+      })();
+    </script>
+    `,
+    siteConfig.colorTheme || 'default',
+    siteConfig.customCss || "",
+    siteConfig.faviconUrl || DEFAULT_FAVICON_URL,
+    {
+      title: site.displayName,
+      description: subtitle || site.description || `${site.displayName} 的部落格`,
+      type: "website",
+      url: siteUrl,
+    }
+  );
+}
+
+function renderSiteRssXml(site, siteConfig, posts, baseDomain, options = {}) {
+  const siteUrl = `https://${site.slug}.${baseDomain}`;
+  const tag = String(options.tag || "");
+  const safePosts = Array.isArray(posts) ? posts.slice(0, 80) : [];
+  const now = new Date().toUTCString();
+
+  const items = safePosts
+    .map((post) => {
+      const postUrl = `${siteUrl}/${encodeURIComponent(post.postSlug)}`;
+      const publishedAt = new Date(post.updatedAt || post.createdAt || Date.now()).toUTCString();
+      const description = post.description || "";
+      return [
+        "<item>",
+        `<title>${escapeXml(post.title || post.postSlug)}</title>`,
+        `<link>${escapeXml(postUrl)}</link>`,
+        `<guid>${escapeXml(postUrl)}</guid>`,
+        `<pubDate>${escapeXml(publishedAt)}</pubDate>`,
+        `<description>${escapeXml(description)}</description>`,
+        "</item>",
+      ].join("");
+    })
+    .join("");
+
+  const channelTitle = tag
+    ? `${siteConfig.heroTitle || site.displayName} · #${tag}`
+    : siteConfig.heroTitle || site.displayName;
+  const channelDescription = tag
+    ? `${site.displayName} 中標記為 #${tag} 的文章`
+    : siteConfig.heroSubtitle || site.description || `${site.displayName} 的最新文章`;
+  const channelLink = tag ? `${siteUrl}/tags/${encodeURIComponent(tag)}` : siteUrl;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXml(channelTitle)}</title>
+    <link>${escapeXml(channelLink)}</link>
+    <description>${escapeXml(channelDescription)}</description>
+    <language>zh-Hant</language>
+    <lastBuildDate>${escapeXml(now)}</lastBuildDate>
+    ${items}
+  </channel>
+</rss>`;
+}
+
+function renderSiteSitemapXml(site, posts, pages, baseDomain) {
+  const siteUrl = `https://${site.slug}.${baseDomain}`;
+  const urls = [
+    { loc: `${siteUrl}/`, lastmod: site.updatedAt || site.createdAt || new Date().toISOString() },
+  ];
+
+  for (const post of Array.isArray(posts) ? posts : []) {
+    urls.push({
+      loc: `${siteUrl}/${encodeURIComponent(post.postSlug)}`,
+      lastmod: post.updatedAt || post.createdAt || new Date().toISOString(),
+    });
+  }
+  for (const page of Array.isArray(pages) ? pages : []) {
+    urls.push({
+      loc: `${siteUrl}/${encodeURIComponent(page.postSlug)}`,
+      lastmod: page.updatedAt || page.createdAt || new Date().toISOString(),
+    });
+  }
+
+  const body = urls
+    .map((item) => {
+      const lastmod = new Date(item.lastmod).toISOString();
+      return `<url><loc>${escapeXml(item.loc)}</loc><lastmod>${escapeXml(lastmod)}</lastmod></url>`;
+    })
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  ${body}
+</urlset>`;
+}
+
+export function renderPostPage(
+  site,
+  siteConfig,
+  post,
+  articleHtml,
+  communitySites,
+  sitePages,
+  baseDomain,
+  options = {}
+) {
+  const previewMode = Boolean(options.previewMode);
+  const commentsEnabled = options.commentsEnabled !== false;
+  const comments = Array.isArray(options.comments) ? options.comments : [];
+  const commentsPage = Math.max(Number(options.commentsPage) || 1, 1);
+  const commentsTotalPages = Math.max(Number(options.commentsTotalPages) || 1, 1);
+  const commentBasePath = String(
+    options.commentBasePath || `/${encodeURIComponent(post.postSlug)}`
+  );
+  const commentsTotal = Number(options.commentsTotal || comments.length || 0);
+  const postViewCount = Math.max(Number(options.postViewCount || 0), 0);
+  const postTags = Array.isArray(options.tags) ? options.tags : [];
+  const reactionsEnabled = options.reactionsEnabled !== false && !previewMode;
+  const reactionSnapshot = buildReactionSnapshot(
+    new Map(
+      Array.isArray(options.reactionSnapshot?.items)
+        ? options.reactionSnapshot.items.map((item) => [
+          sanitizeReactionKey(item.key),
+          Math.max(Number(item.count || 0), 0),
+        ]).filter((entry) => Boolean(entry[0]))
+        : []
+    ),
+    new Set(Array.isArray(options.reactionSnapshot?.selectedKeys) ? options.reactionSnapshot.selectedKeys : [])
+  );
+  const showCommunityPanel = !siteConfig.hideCommunitySites;
+  const canonicalPostUrl = `https://${site.slug}.${baseDomain}/${encodeURIComponent(post.postSlug)}`;
+  const modeNav = renderSiteModeNav(
+    sitePages,
+    Number(post.isPage) === 1 ? post.postSlug : "blog"
+  );
+
+  const peerSites = communitySites.length
+    ? communitySites
+      .map(
+        (peer) =>
+          `<li><a href="${escapeHtml(peer.url)}" target="_blank" rel="noreferrer noopener">${escapeHtml(
+            peer.displayName
+          )}</a></li>`
+      )
+      .join("")
+    : `<li class="muted">暫時沒有其他同學站點。</li>`;
+
+  const commentsList = comments.length
+    ? comments
+      .map((item) => {
+        const author = item.authorSiteSlug
+          ? `<a href="https://${escapeHtml(item.authorSiteSlug)}.${escapeHtml(baseDomain)}" target="_blank" rel="noreferrer noopener">${escapeHtml(item.authorName)}</a>`
+          : escapeHtml(item.authorName);
+        return `<li class="comment-item">
+          <p class="comment-meta">${author} · ${escapeHtml(formatDate(item.createdAt))}</p>
+          <p class="comment-content">${escapeHtml(item.content).replace(/\n/g, "<br />")}</p>
+        </li>`;
+      })
+      .join("")
+    : `<li class="comment-item muted">目前還沒有留言。</li>`;
+
+  const commentPager = commentsTotalPages > 1
+    ? `<nav class="pager comments-pager" aria-label="留言分頁">
+        <a class="${commentsPage > 1 ? "" : "disabled"}" href="${commentsPage > 1 ? `${commentBasePath}?cpage=${commentsPage - 1}#comments` : "#"}">上一頁</a>
+        <span class="muted">留言 ${commentsPage} / ${commentsTotalPages}</span>
+        <a class="${commentsPage < commentsTotalPages ? "" : "disabled"}" href="${commentsPage < commentsTotalPages ? `${commentBasePath}?cpage=${commentsPage + 1}#comments` : "#"}">下一頁</a>
+      </nav>`
+    : "";
+
+  const reactionsPanel = reactionsEnabled
+    ? `<section id="reactions" class="panel wide reaction-panel" data-post-slug="${escapeHtml(post.postSlug)}">
+        <div class="reaction-head">
+          <h2>點贊反應</h2>
+          <p class="muted">總反應：<span id="reaction-total">${reactionSnapshot.total}</span></p>
+        </div>
+        <div class="reaction-grid">
+          ${reactionSnapshot.items
+        .map((item) => `
+            <button
+              type="button"
+              class="reaction-btn ${item.selected ? "active" : ""}"
+              data-reaction-key="${escapeHtml(item.key)}"
+              aria-pressed="${item.selected ? "true" : "false"}"
+              title="${escapeHtml(item.label)}"
+            >
+              <span class="reaction-icon">${escapeHtml(item.icon)}</span>
+              <span class="reaction-label">${escapeHtml(item.label)}</span>
+              <span class="reaction-count" data-role="count">${item.count}</span>
+            </button>
+          `)
+        .join("")}
+        </div>
+        <p id="reaction-status" class="muted"></p>
+      </section>`
+    : "";
+
+  // Estimate read time (~400 chars/min for Chinese)
+  const charCount = articleHtml.replace(/<[^>]+>/g, "").length;
+  const readMinutes = Math.max(1, Math.round(charCount / 400));
+
+  return renderLayout(
+    `${post.title} - ${site.displayName}`,
+    String.raw`
+    <div class="reading-progress" id="reading-progress"></div>
+    <section class="panel wide article-wrap">
+      <article class="article">
+        <p class="eyebrow"><a href="/">← ${escapeHtml(site.displayName)}</a> · ${escapeHtml(
+      site.slug
+    )}.${escapeHtml(baseDomain)} ${Number(post.isPage) === 1 ? '<span class="preview-badge">Page</span>' : ''} ${previewMode ? '<span class="preview-badge">Preview</span>' : ''}</p>
+        <h1>${escapeHtml(post.title)}</h1>
+        <p class="muted">${escapeHtml(formatDate(post.updatedAt))} <span class="read-time">· ${readMinutes} min read</span> <span class="read-time">· 訪問 <span id="post-view-count">${escapeHtml(formatViewCount(postViewCount))}</span></span></p>
+        ${renderThemeControlDock("front")}
+        ${modeNav}
+        <div class="article-body">${articleHtml}</div>
+        ${renderPostTagLinks(postTags)}
+      </article>
+      ${showCommunityPanel ? `
+      <aside class="article-side">
+        <h3>同學站點</h3>
+        <ul class="mini-list">${peerSites}</ul>
+      </aside>
+      ` : ''}
+    </section>
+    ${reactionsPanel}
+    ${commentsEnabled ? `
+    <section id="comments" class="panel wide comment-panel">
+      <h2>留言 (${commentsTotal})</h2>
+      <ul class="comment-list">${commentsList}</ul>
+      ${commentPager}
+      <form id="comment-form" class="stack" autocomplete="off">
+        <label>名稱</label>
+        <input id="comment-author" maxlength="40" required placeholder="你的名字" />
+        <label>你的站點 slug（可選）</label>
+        <input id="comment-site" maxlength="30" placeholder="alice" />
+        <label>留言內容</label>
+        <textarea id="comment-content" class="small-textarea" maxlength="2000" required placeholder="寫下你的留言"></textarea>
+        <button id="comment-submit" type="submit">送出留言</button>
+      </form>
+      <p id="comment-status" class="muted"></p>
+    </section>
+    ` : ""}
+    <button class="back-top" id="back-top" aria-label="Back to top">↑</button>
+    <script>
+      (function() {
+        const progress = document.getElementById('reading-progress');
+        const backTop = document.getElementById('back-top');
+        const postViewEl = document.getElementById('post-view-count');
+        const canTrackView = ${previewMode ? "false" : "true"};
+        if (canTrackView) {
+          const dedupeKey = 'stublogs-view:' + location.host + ':post:' + ${JSON.stringify(post.postSlug)};
+          let shouldSend = true;
+          try {
+            if (sessionStorage.getItem(dedupeKey)) {
+              shouldSend = false;
+            } else {
+              sessionStorage.setItem(dedupeKey, '1');
+            }
+          } catch {
+            // ignore
+          }
+          if (shouldSend) {
+            fetch('/api/view', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ resourceType: 'post', resourceKey: ${JSON.stringify(post.postSlug)} }),
+            })
+              .then((response) => (response.ok ? response.json() : null))
+              .then((payload) => {
+                if (!payload || typeof payload.count !== 'number' || !postViewEl) {
+                  return;
+                }
+                const next = Math.max(Number(payload.count || 0), 0);
+                postViewEl.textContent = new Intl.NumberFormat('zh-Hant').format(next);
+              })
+              .catch(() => {
+                // ignore view beacon failures
+              });
+          }
+        }
+        function onScroll() {
+          const scrollTop = window.scrollY;
+          const docHeight = document.documentElement.scrollHeight - window.innerHeight;
+          if (docHeight > 0 && progress) {
+            progress.style.width = Math.min(100, (scrollTop / docHeight) * 100) + '%';
+          }
+          if (backTop) {
+            backTop.classList.toggle('visible', scrollTop > 400);
+          }
+        }
+        window.addEventListener('scroll', onScroll, { passive: true });
+        if (backTop) {
+          backTop.addEventListener('click', function() {
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+          });
+        }
+
+        const reactionPanel = document.getElementById('reactions');
+        if (reactionPanel) {
+          const reactionStatusEl = document.getElementById('reaction-status');
+          const reactionTotalEl = document.getElementById('reaction-total');
+          const reactionButtons = Array.from(
+            reactionPanel.querySelectorAll('.reaction-btn[data-reaction-key]')
+          );
+          let isSubmittingReaction = false;
+
+          function setReactionStatus(message, isError) {
+            if (!reactionStatusEl) return;
+            reactionStatusEl.textContent = message;
+            reactionStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+          }
+
+          function applyReactionSnapshot(snapshot) {
+            const selected = new Set(Array.isArray(snapshot.selectedKeys) ? snapshot.selectedKeys : []);
+            const counts = {};
+            const items = Array.isArray(snapshot.reactions) ? snapshot.reactions : [];
+            for (const item of items) {
+              if (!item || !item.key) continue;
+              counts[item.key] = Math.max(Number(item.count || 0), 0);
+            }
+            let total = Math.max(Number(snapshot.total || 0), 0);
+            if (!Number.isFinite(total) || total < 0) {
+              total = Object.values(counts).reduce((sum, value) => sum + value, 0);
+            }
+
+            reactionButtons.forEach((button) => {
+              const key = String(button.getAttribute('data-reaction-key') || '');
+              const countEl = button.querySelector('[data-role="count"]');
+              if (countEl) {
+                countEl.textContent = String(Math.max(Number(counts[key] || 0), 0));
+              }
+              const active = selected.has(key);
+              button.classList.toggle('active', active);
+              button.setAttribute('aria-pressed', active ? 'true' : 'false');
+            });
+
+            if (reactionTotalEl) {
+              reactionTotalEl.textContent = String(total);
+            }
+          }
+
+          reactionPanel.addEventListener('click', async (event) => {
+            const target = event.target;
+            if (!(target instanceof HTMLElement)) {
+              return;
+            }
+            const button = target.closest('.reaction-btn[data-reaction-key]');
+            if (!button || isSubmittingReaction) {
+              return;
+            }
+            const reactionKey = String(button.getAttribute('data-reaction-key') || '');
+            if (!reactionKey) {
+              return;
+            }
+
+            isSubmittingReaction = true;
+            reactionButtons.forEach((item) => {
+              item.disabled = true;
+            });
+            setReactionStatus('更新反應中...', false);
+            try {
+              const response = await fetch('/api/reactions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                  postSlug: ${JSON.stringify(post.postSlug)},
+                  reactionKey,
+                }),
+              });
+              const data = await response.json();
+              if (!response.ok) {
+                setReactionStatus(data.error || '更新反應失敗', true);
+                return;
+              }
+              applyReactionSnapshot(data);
+              setReactionStatus('反應已更新', false);
+            } catch (error) {
+              setReactionStatus(error.message || '更新反應失敗', true);
+            } finally {
+              isSubmittingReaction = false;
+              reactionButtons.forEach((item) => {
+                item.disabled = false;
+              });
+            }
+          });
+        }
+
+        const form = document.getElementById('comment-form');
+        const statusEl = document.getElementById('comment-status');
+        if (form && statusEl) {
+          const authorInput = document.getElementById('comment-author');
+          const siteInput = document.getElementById('comment-site');
+          const contentInput = document.getElementById('comment-content');
+          const submitBtn = document.getElementById('comment-submit');
+          const commentsSection = document.getElementById('comments');
+          const commentsListEl = commentsSection ? commentsSection.querySelector('.comment-list') : null;
+          const commentsTitleEl = commentsSection ? commentsSection.querySelector('h2') : null;
+          const storageKey = 'stublogs-comment-profile:' + location.host;
+          let isSubmittingComment = false;
+
+          try {
+            const profile = JSON.parse(localStorage.getItem(storageKey) || '{}');
+            if (profile.authorName) authorInput.value = profile.authorName;
+            if (profile.authorSiteSlug) siteInput.value = profile.authorSiteSlug;
+          } catch {}
+
+          function escapeHtml(value) {
+            return String(value || '')
+              .replace(/&/g, '&amp;')
+              .replace(/</g, '&lt;')
+              .replace(/>/g, '&gt;')
+              .replace(/"/g, '&quot;')
+              .replace(/'/g, '&#39;');
+          }
+
+          function addCommentToList(comment) {
+            if (!commentsListEl || !comment) return;
+
+            const placeholder = commentsListEl.querySelector('.comment-item.muted');
+            if (placeholder) {
+              placeholder.remove();
+            }
+
+            const author = comment.authorSiteSlug
+              ? comment.authorName + ' · ' + comment.authorSiteSlug + '.bdfz.net'
+              : comment.authorName;
+            const createdAt = comment.createdAt
+              ? new Date(comment.createdAt).toLocaleString('zh-Hant')
+              : new Date().toLocaleString('zh-Hant');
+            const safeContent = escapeHtml(comment.content || '').split('\n').join('<br />');
+
+            const item = document.createElement('li');
+            item.className = 'comment-item';
+            item.innerHTML =
+              '<p class="comment-meta">' + escapeHtml(author) + ' · ' + escapeHtml(createdAt) + '</p>' +
+              '<p class="comment-content">' + safeContent + '</p>';
+
+            commentsListEl.prepend(item);
+          }
+
+          function bumpCommentCount() {
+            if (!commentsTitleEl) return;
+            const text = commentsTitleEl.textContent || '';
+            const match = text.match(/\((\d+)\)/);
+            const current = match ? Number(match[1]) : 0;
+            commentsTitleEl.textContent = '留言 (' + (current + 1) + ')';
+          }
+
+          function setCommentStatus(message, isError) {
+            statusEl.textContent = message;
+            statusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+          }
+
+          form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            if (isSubmittingComment) {
+              return;
+            }
+            const payload = {
+              postSlug: ${JSON.stringify(post.postSlug)},
+              authorName: authorInput.value.trim(),
+              authorSiteSlug: siteInput.value.trim().toLowerCase(),
+              content: contentInput.value.trim(),
+            };
+            if (!payload.authorName || !payload.content) {
+              setCommentStatus('請填寫名稱與留言內容', true);
+              return;
+            }
+
+            isSubmittingComment = true;
+            submitBtn.disabled = true;
+            setCommentStatus('送出中...', false);
+            try {
+              const response = await fetch('/api/comments', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+              });
+              const data = await response.json();
+              if (!response.ok) {
+                setCommentStatus(data.error || '留言送出失敗', true);
+                return;
+              }
+              try {
+                localStorage.setItem(storageKey, JSON.stringify({
+                  authorName: payload.authorName,
+                  authorSiteSlug: payload.authorSiteSlug,
+                }));
+              } catch {}
+
+              const createdComment = data && data.comment
+                ? data.comment
+                : {
+                  authorName: payload.authorName,
+                  authorSiteSlug: payload.authorSiteSlug,
+                  content: payload.content,
+                  createdAt: new Date().toISOString(),
+                };
+              addCommentToList(createdComment);
+              bumpCommentCount();
+              contentInput.value = '';
+              contentInput.focus();
+              setCommentStatus('留言成功，已更新列表。', false);
+            } catch (error) {
+              setCommentStatus(error.message || '留言送出失敗', true);
+            } finally {
+              isSubmittingComment = false;
+              submitBtn.disabled = false;
+            }
+          });
+        }
+      })();
+    </script>
+    `,
+    siteConfig.colorTheme || "default",
+    siteConfig.customCss || "",
+    siteConfig.faviconUrl || DEFAULT_FAVICON_URL,
+    {
+      title: post.title,
+      description: post.description || site.description || `${site.displayName} 的文章`,
+      type: "article",
+      url: canonicalPostUrl,
+    }
+  );
+}
+
+export function renderAdminPage(site, siteConfig, authed, baseDomain, member = null, csrfToken = "") {
+  const currentMember = member || {
+    id: 0,
+    username: "owner",
+    displayName: site.displayName || site.slug,
+    role: "owner",
+    permissions: [...SITE_ROLE_PERMISSIONS.owner],
+  };
+  if (!authed) {
+    return renderLayout(
+      `${site.displayName} Admin`,
+      `
+      <section class="panel">
+        <p class="eyebrow">admin</p>
+        <h1>${escapeHtml(site.displayName)}</h1>
+
+        <form id="login-form" class="stack" autocomplete="off">
+          <label>成員帳號（站長留空）</label>
+          <input id="username" maxlength="30" autocomplete="username" />
+          <label>管理密碼</label>
+          <input id="password" type="password" minlength="8" required />
+          <button type="submit">登入</button>
+          <button id="passkey-login" type="button" class="link-button" style="display:none">使用通行密鑰登入</button>
+        </form>
+
+        <form id="totp-form" class="stack" autocomplete="off" style="display:none">
+          <p class="muted">此帳號已啟用兩步驟驗證，請輸入驗證器 App 的 6 位數字，或一組備用碼。</p>
+          <label>驗證碼</label>
+          <input id="totp-code" inputmode="numeric" autocomplete="one-time-code" maxlength="16" required />
+          <button type="submit">驗證</button>
+        </form>
+
+        <form id="invite-form" class="stack" autocomplete="off" style="display:none">
+          <p class="muted">你收到了這個站點的協作邀請，設定帳號後即可加入。</p>
+          <label>帳號</label>
+          <input id="invite-username" maxlength="30" required />
+          <label>顯示名稱</label>
+          <input id="invite-display-name" maxlength="60" />
+          <label>密碼</label>
+          <input id="invite-password" type="password" minlength="8" required />
+          <button type="submit">接受邀請</button>
+        </form>
+
+        <p id="status" class="muted"></p>
+      </section>
+
+      <script>
+        const form = document.getElementById('login-form');
+        const totpForm = document.getElementById('totp-form');
+        let loginChallenge = '';
+        const inviteForm = document.getElementById('invite-form');
+        const statusEl = document.getElementById('status');
+        const inviteToken = new URLSearchParams(location.search).get('invite') || '';
+
+        function setStatus(message, isError = false) {
+          statusEl.textContent = message;
+          statusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+        }
+
+        if (inviteToken) {
+          form.style.display = 'none';
+          inviteForm.style.display = '';
+        }
+
+        const passkeyLoginBtn = document.getElementById('passkey-login');
+        const toBase64Url = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)))
+          .replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+        const fromBase64Url = (value) => Uint8Array.from(
+          atob(value.replace(/-/g, '+').replace(/_/g, '/')),
+          (char) => char.charCodeAt(0)
+        );
+
+        if (window.PublicKeyCredential && navigator.credentials) {
+          passkeyLoginBtn.style.display = '';
+        }
+
+        passkeyLoginBtn.addEventListener('click', async () => {
+          setStatus('等待通行密鑰...');
+
+          try {
+            const optionsResponse = await fetch('/api/auth/passkeys/login/options', { method: 'POST' });
+            const options = await optionsResponse.json();
+            if (!optionsResponse.ok) {
+              setStatus(options.error || '通行密鑰登入失敗', true);
+              return;
+            }
+
+            const challenge = options.publicKey.challenge;
+            const assertion = await navigator.credentials.get({
+              publicKey: { ...options.publicKey, challenge: fromBase64Url(challenge) },
+            });
+            const response = await fetch('/api/auth/passkeys/login', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                challenge,
+                credential: {
+                  id: assertion.id,
+                  response: {
+                    clientDataJSON: toBase64Url(assertion.response.clientDataJSON),
+                    authenticatorData: toBase64Url(assertion.response.authenticatorData),
+                    signature: toBase64Url(assertion.response.signature),
+                  },
+                },
+              }),
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+              setStatus(result.error || '通行密鑰登入失敗', true);
+              return;
+            }
+
+            location.reload();
+          } catch {
+            setStatus('通行密鑰登入已取消或失敗', true);
+          }
+        });
+
+        inviteForm.addEventListener('submit', async (event) => {
+          event.preventDefault();
+          setStatus('建立帳號中...');
+
+          try {
+            const response = await fetch('/api/site-members/accept', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                token: inviteToken,
+                username: document.getElementById('invite-username').value,
+                displayName: document.getElementById('invite-display-name').value,
+                password: document.getElementById('invite-password').value,
+              }),
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+              setStatus(result.error || '接受邀請失敗', true);
+              return;
+            }
+
+            location.replace('/admin');
+          } catch {
+            setStatus('接受邀請失敗，請稍後再試', true);
+          }
+        });
+
+        form.addEventListener('submit', async (event) => {
+          event.preventDefault();
+          setStatus('登入中...');
+
+          try {
+            const response = await fetch('/api/login', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                slug: ${JSON.stringify(site.slug)},
+                username: document.getElementById('username').value,
+                password: document.getElementById('password').value,
+              }),
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+              setStatus(result.error || '登入失敗', true);
+              return;
+            }
+
+            if (result.twoFactorRequired) {
+              loginChallenge = result.challenge || '';
+              form.style.display = 'none';
+              totpForm.style.display = '';
+              setStatus('');
+              document.getElementById('totp-code').focus();
+              return;
+            }
+
+            location.reload();
+          } catch {
+            setStatus('登入失敗，請稍後再試', true);
+          }
+        });
+
+        totpForm.addEventListener('submit', async (event) => {
+          event.preventDefault();
+          setStatus('驗證中...');
+
+          try {
+            const response = await fetch('/api/login/totp', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                challenge: loginChallenge,
+                code: document.getElementById('totp-code').value,
+              }),
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+              if (response.status === 401 && result.error && result.error.indexOf('expired') !== -1) {
+                totpForm.style.display = 'none';
+                form.style.display = '';
+              }
+              setStatus(result.error || '驗證失敗', true);
+              return;
+            }
+
+            location.reload();
+          } catch {
+            setStatus('驗證失敗，請稍後再試', true);
+          }
+        });
+      </script>
+    `,
+      siteConfig.colorTheme || 'default',
+      "",
+      siteConfig.faviconUrl || DEFAULT_FAVICON_URL
+    );
+  }
+
+  return renderLayout(
+    `${site.displayName} Admin`,
+    String.raw`
+    <section class="panel wide admin-shell">
+      <header class="site-header">
+        <div>
+          <p class="eyebrow">editor</p>
+          <h1>${escapeHtml(siteConfig.heroTitle || site.displayName)}</h1>
+          <p class="muted">${escapeHtml(site.slug)}.${escapeHtml(baseDomain)} · <span id="member-badge">${escapeHtml(currentMember.displayName)}</span></p>
+        </div>
+        <div class="row-actions">
+          <a class="link-button" href="/" target="_blank" rel="noreferrer noopener">Frontend</a>
+          <button id="new-post" class="link-button" type="button">New</button>
+          <button id="logout" class="link-button" type="button">Logout</button>
+          <a id="export-link" class="link-button" href="/api/export">Export</a>
+          <a class="link-button" href="https://blog.bdfz.net/" target="_blank" rel="noreferrer noopener">Project</a>
+        </div>
+      </header>
+
+      <nav class="admin-tabs">
+        <button id="tab-posts" class="admin-tab active" type="button">✏️ Posts</button>
+        <button id="tab-notifications" class="admin-tab" type="button">🔔 通知 <span id="notify-tab-badge" class="tab-badge">0</span></button>
+        <button id="tab-settings" class="admin-tab" type="button">⚙️ Settings</button>
+      </nav>
+
+      <!-- ═══ POSTS TAB ═══ -->
+      <div id="panel-posts" class="admin-panel">
+        <div class="admin-grid">
+          <aside class="admin-list">
+            <p class="muted">My Posts</p>
+            <input id="post-filter" placeholder="搜尋標題、slug 或全文..." />
+            <p id="post-count" class="muted">0 篇</p>
+            <button id="rebuild-search" class="link-button small ghost" type="button">重建搜尋索引</button>
+            <ul id="post-list"></ul>
+          </aside>
+          <section class="admin-editor">
+            <label>Title</label>
+            <input id="title" maxlength="120" />
+            <label>Post slug</label>
+            <input id="postSlug" maxlength="80" />
+            <label>Description</label>
+            <input id="description" maxlength="240" />
+            <label>Tags</label>
+            <input id="tags" maxlength="340" placeholder="用逗號分隔，例如：生活, 讀書筆記" />
+            <label class="inline-check">
+              <input id="published" type="checkbox" />
+              Published
+            </label>
+            <label>Publish at（排程發佈，留空則依 Published 立即生效）</label>
+            <input id="publishAt" type="datetime-local" />
+            <label class="inline-check">
+              <input id="isPage" type="checkbox" />
+              Page（顯示於頁面導航，不進文章流）
+            </label>
+            <label>Content</label>
+            <div class="md-toolbar">
+              <button type="button" data-md="h1" title="Heading 1">H1</button>
+              <button type="button" data-md="bold" title="Bold">B</button>
+              <button type="button" data-md="italic" title="Italic">I</button>
+              <button type="button" data-md="code" title="Code">&#96;</button>
+              <button type="button" data-md="heading" title="Heading">H2</button>
+              <button type="button" data-md="h3" title="Heading 3">H3</button>
+              <button type="button" data-md="link" title="Link">🔗</button>
+              <button type="button" data-md="image" title="Image">🖼</button>
+              <button type="button" data-md="youtube" title="YouTube">▶︎YT</button>
+              <button type="button" data-md="bilibili" title="Bilibili">▶︎B站</button>
+              <button type="button" data-md="spotify" title="Spotify">♫SP</button>
+              <button type="button" data-md="x" title="X / Twitter">𝕏</button>
+              <button type="button" data-md="instagram" title="Instagram">◎INS</button>
+              <button type="button" data-md="list" title="List">•</button>
+              <button type="button" data-md="task" title="Task list">☑︎</button>
+              <button type="button" data-md="ordered" title="Ordered list">1.</button>
+              <button type="button" data-md="quote" title="Quote">❝</button>
+              <button type="button" data-md="table" title="Table">▦</button>
+              <button type="button" data-md="math-inline" title="Inline KaTeX">∑</button>
+              <button type="button" data-md="math-block" title="Block KaTeX">$$</button>
+              <button type="button" data-md="br" title="Line break">↵</button>
+              <button type="button" data-md="codeblock" title="Code block">{ }</button>
+              <button type="button" data-md="hr" title="Divider">—</button>
+              <button type="button" id="fullscreen-toggle" class="fullscreen-btn">⛶ 全屏</button>
+            </div>
+            <div class="template-row">
+              <select id="content-template" aria-label="內容範本">
+                <option value="">選擇內容範本（Bear 風格）</option>
+                <option value="daily-note">每日筆記</option>
+                <option value="reading-note">閱讀筆記</option>
+                <option value="essay-outline">文章大綱</option>
+                <option value="project-log">專案日誌</option>
+                <option value="math-note">數學筆記（KaTeX）</option>
+                <option value="about-page">關於頁面</option>
+                <option value="links-page">連結頁面</option>
+              </select>
+              <button id="apply-template" type="button" class="link-button">插入範本</button>
+            </div>
+            <textarea id="content" placeholder="# Start writing..."></textarea>
+            <div class="row-actions">
+              <button id="save" type="button">發佈 / 更新</button>
+              <a id="preview" class="link-button" href="#" target="_blank" rel="noreferrer noopener">預覽</a>
+              <button id="toggle-history" type="button" class="link-button">歷史版本</button>
+              <button id="delete-post" type="button" class="link-button danger-ghost">刪除文章</button>
+            </div>
+            <p id="editor-status" class="muted"></p>
+            <section id="history-drawer" class="history-drawer" style="display:none">
+              <div class="history-head">
+                <h3>歷史版本</h3>
+                <button id="close-history" type="button" class="link-button small ghost">關閉</button>
+              </div>
+              <div class="history-compare">
+                <label>選擇版本</label>
+                <select id="history-base" aria-label="選擇版本"></select>
+                <label>對照</label>
+                <select id="history-target" aria-label="對照版本"></select>
+              </div>
+              <pre id="history-diff" class="history-diff"></pre>
+              <div class="row-actions">
+                <button id="history-load" type="button" class="link-button small">載入到編輯器</button>
+                <button id="history-restore" type="button" class="link-button small ghost">直接還原此版本</button>
+              </div>
+              <p id="history-status" class="muted"></p>
+            </section>
+            <section id="merge-panel" class="merge-panel" style="display:none">
+              <div class="history-head">
+                <h3>合併衝突</h3>
+                <button id="merge-cancel" type="button" class="link-button small ghost">關閉</button>
+              </div>
+              <p class="muted">文章在你編輯期間已被修改。對照三個版本，在下方調整合併結果後套用，再重新儲存。</p>
+              <div class="merge-columns">
+                <div>
+                  <label>原始版本</label>
+                  <pre id="merge-base" class="history-diff"></pre>
+                </div>
+                <div>
+                  <label>他人版本</label>
+                  <pre id="merge-theirs" class="history-diff"></pre>
+                </div>
+                <div>
+                  <label>我的版本</label>
+                  <pre id="merge-mine" class="history-diff"></pre>
+                </div>
+              </div>
+              <label>合併結果</label>
+              <textarea id="merge-result" class="merge-result"></textarea>
+              <div class="row-actions">
+                <button id="merge-apply" type="button" class="link-button small">套用合併結果</button>
+                <button id="merge-take-theirs" type="button" class="link-button small ghost">放棄我的修改</button>
+              </div>
+              <p id="merge-status" class="muted"></p>
+            </section>
+            <section class="comment-admin-panel">
+              <h3>留言管理（目前文章）</h3>
+              <ul id="comment-admin-list" class="comment-list compact"></ul>
+              <p id="comment-admin-status" class="muted"></p>
+            </section>
+          </section>
+        </div>
+      </div>
+
+      <!-- ═══ SETTINGS TAB ═══ -->
+      <div id="panel-settings" class="admin-panel" style="display:none">
+        <div class="settings-grid">
+          <section class="settings-form">
+            <h2>站點設定</h2>
+            <label>顯示名稱</label>
+            <input id="siteDisplayName" maxlength="60" />
+            <label>站點簡介</label>
+            <input id="siteDescription" maxlength="240" />
+            <label>首頁標題</label>
+            <input id="siteHeroTitle" maxlength="120" />
+            <label>首頁副標</label>
+            <input id="siteHeroSubtitle" maxlength="240" />
+            <label>主題色系</label>
+            <select id="siteColorTheme" style="font:inherit;border-radius:10px;border:1px solid var(--line);background:rgba(255,255,255,.65);padding:.65rem .78rem;color:var(--ink);font-family:var(--font-mono);font-size:.92rem;">
+              <option value="default">預設 / 棕色 (Brown)</option>
+              <option value="ocean">大海 / 湖藍 (Ocean)</option>
+              <option value="forest">森林 / 墨綠 (Forest)</option>
+              <option value="violet">紫羅蘭 / 淡紫 (Violet)</option>
+              <option value="sunset">晚霞 / 赭紅 (Sunset)</option>
+              <option value="mint">薄荷 / 青綠 (Mint)</option>
+              <option value="graphite">石墨 / 藍灰 (Graphite)</option>
+            </select>
+            <label>站點 Favicon URL</label>
+            <input id="siteFaviconUrl" maxlength="500" placeholder="https://example.com/favicon.webp" />
+            <label>頁尾文字</label>
+            <input id="siteFooterNote" maxlength="240" />
+            <label>自訂 CSS（前台）</label>
+            <textarea id="siteCustomCss" class="small-textarea" maxlength="64000" placeholder="@import url('https://fonts.googleapis.com/css2?family=Noto+Serif+TC:wght@400;700&display=swap');"></textarea>
+            <p class="muted">僅作用於你的前台頁面（首頁與文章頁），支援 @import 與字體 CDN。</p>
+            <label>外部連結（每行：標題|https://url）</label>
+            <textarea id="siteHeaderLinks" class="small-textarea" placeholder="作品集|https://example.com"></textarea>
+            <label class="inline-check">
+              <input id="siteHideCommunitySites" type="checkbox" />
+              隱藏「同學新站」板塊
+            </label>
+            <label class="inline-check">
+              <input id="siteHideCampusFeed" type="checkbox" />
+              隱藏「全校最新文章」板塊
+            </label>
+            <label class="inline-check">
+              <input id="siteCommentsEnabled" type="checkbox" />
+              啟用文章留言
+            </label>
+            <h3>通知設定</h3>
+            <label class="inline-check">
+              <input id="notifyEnabled" type="checkbox" />
+              啟用 Telegram 即時通知
+            </label>
+            <label class="inline-check">
+              <input id="notifyComments" type="checkbox" />
+              留言通知
+            </label>
+            <label class="inline-check">
+              <input id="notifyReactions" type="checkbox" />
+              點贊通知
+            </label>
+            <label>Telegram Bot Token（選填）</label>
+            <input id="notifyTelegramBotToken" type="password" maxlength="200" placeholder="123456789:AA..." />
+            <label>Telegram Chat ID（選填）</label>
+            <input id="notifyTelegramChatId" maxlength="24" placeholder="5016203472 或 -100xxxxxxxxxx" />
+            <label class="inline-check">
+              <input id="notifyClearBotToken" type="checkbox" />
+              清除已儲存 Bot Token
+            </label>
+            <p id="notify-settings-hint" class="muted">Bot Token 僅保存在平台資料庫，不會寫入 GitHub 倉庫。</p>
+            <button id="save-settings" type="button">儲存站點設定</button>
+            <p id="settings-status" class="muted"></p>
+            <h3>修改密碼</h3>
+            <label>目前密碼</label>
+            <input id="currentPassword" type="password" minlength="8" />
+            <label>新密碼</label>
+            <input id="newPassword" type="password" minlength="8" />
+            <label>確認新密碼</label>
+            <input id="confirmNewPassword" type="password" minlength="8" />
+            <button id="change-password" type="button">更新密碼</button>
+            <p id="password-status" class="muted"></p>
+            <h3>兩步驟驗證</h3>
+            <p id="totp-state" class="muted">載入中...</p>
+            <button id="totp-setup-btn" type="button" style="display:none">啟用兩步驟驗證</button>
+            <div id="totp-setup" class="stack" style="display:none">
+              <p class="muted">用驗證器 App 掃描 QR code、開啟下方連結，或手動輸入金鑰，再填入 App 顯示的 6 位數字。</p>
+              <div id="totp-qr" class="totp-qr"></div>
+              <a id="totp-otpauth-link" class="link-button" href="#">加入驗證器 App</a>
+              <input id="totp-secret" readonly />
+              <label>驗證碼</label>
+              <input id="totp-setup-code" inputmode="numeric" autocomplete="one-time-code" maxlength="6" />
+              <button id="totp-enable-btn" type="button">確認啟用</button>
+            </div>
+            <div id="totp-manage" class="stack" style="display:none">
+              <label>驗證碼或備用碼</label>
+              <input id="totp-manage-code" autocomplete="one-time-code" maxlength="16" />
+              <div class="row-actions">
+                <button id="totp-regenerate-btn" type="button" class="link-button">重新產生備用碼</button>
+                <button id="totp-disable-btn" type="button" class="link-button danger-ghost">停用兩步驟驗證</button>
+              </div>
+            </div>
+            <pre id="totp-recovery-codes" style="display:none"></pre>
+            <p id="totp-status" class="muted"></p>
+            <h3>通行密鑰</h3>
+            <ul id="passkey-list" class="member-list"></ul>
+            <label>名稱（選填）</label>
+            <input id="passkey-label" maxlength="60" placeholder="例如：我的手機" />
+            <button id="add-passkey" type="button">新增通行密鑰</button>
+            <p id="passkeys-status" class="muted"></p>
+            <h3>API Tokens</h3>
+            <p class="muted">供腳本或外部編輯器使用：<code>Authorization: Bearer sbt_...</code>，權限不超過你目前的角色。</p>
+            <ul id="api-token-list" class="member-list"></ul>
+            <label>名稱</label>
+            <input id="api-token-name" maxlength="60" placeholder="例如：Obsidian 發佈" />
+            <div id="api-token-scopes" class="stack">
+              <label class="inline-check"><input type="checkbox" value="posts:write" checked /> posts:write（新增/編輯/刪除文章、匯入）</label>
+              <label class="inline-check"><input type="checkbox" value="admin:read" /> admin:read（讀取草稿、版本與後台資料）</label>
+              <label class="inline-check"><input type="checkbox" value="comments:moderate" /> comments:moderate（刪除留言）</label>
+              <label class="inline-check"><input type="checkbox" value="export:read" /> export:read（匯出站點）</label>
+              <label class="inline-check"><input type="checkbox" value="settings:write" /> settings:write（修改站點設定）</label>
+            </div>
+            <label>有效期</label>
+            <select id="api-token-expiry">
+              <option value="30">30 天</option>
+              <option value="90" selected>90 天</option>
+              <option value="365">365 天</option>
+              <option value="0">永不過期</option>
+            </select>
+            <button id="create-api-token" type="button">產生 Token</button>
+            <input id="api-token-value" readonly style="display:none" />
+            <p id="api-tokens-status" class="muted"></p>
+            <h3>登入中的裝置</h3>
+            <ul id="session-list" class="member-list"></ul>
+            <button id="revoke-all-sessions" type="button" class="link-button danger-ghost">登出所有裝置</button>
+            <p id="sessions-status" class="muted"></p>
+            <div id="site-slug-section" style="display:none">
+              <h3>更改站點網址</h3>
+              <p class="muted">舊網址會以 301 轉址到新網址一段時間；改名後所有裝置需要在新網址重新登入。通行密鑰綁定舊網址，會一併移除，請先確認仍記得密碼，並在新網址重新登記。</p>
+              <label>新的 slug</label>
+              <input id="site-slug-new" autocomplete="off" maxlength="30" />
+              <label>目前密碼</label>
+              <input id="site-slug-password" type="password" autocomplete="current-password" />
+              <button id="site-slug-rename" type="button">更改網址</button>
+              <p id="site-slug-status" class="muted"></p>
+            </div>
+            <div id="site-deletion-section" style="display:none">
+              <h3>刪除站點</h3>
+              <p id="site-deletion-state" class="muted">載入中...</p>
+              <div id="site-deletion-form" class="stack" style="display:none">
+                <label>輸入站點 slug 確認</label>
+                <input id="site-deletion-confirm" autocomplete="off" />
+                <label>目前密碼</label>
+                <input id="site-deletion-password" type="password" autocomplete="current-password" />
+                <label class="inline-check">
+                  <input id="site-deletion-export-ack" type="checkbox" />
+                  我了解備份只能在寬限期內下載，清除後平台不保留任何副本
+                </label>
+                <button id="site-deletion-request" type="button" class="danger-ghost">刪除站點</button>
+              </div>
+              <div id="site-deletion-pending" class="row-actions" style="display:none">
+                <a class="link-button" href="/api/export">下載最終備份</a>
+                <button id="site-deletion-cancel" type="button" class="link-button">恢復站點</button>
+              </div>
+              <p id="site-deletion-status" class="muted"></p>
+            </div>
+            <div id="members-section" class="members-section" style="display:none">
+              <h3>成員與邀請</h3>
+              <ul id="member-list" class="member-list"></ul>
+              <label>邀請角色</label>
+              <select id="invite-role" class="member-role-select">
+                <option value="editor">編輯（管理所有文章與留言）</option>
+                <option value="author">作者（只能管理自己的文章）</option>
+                <option value="moderator">留言管理員</option>
+                <option value="owner">共同站長</option>
+              </select>
+              <button id="create-invite" type="button">產生邀請連結</button>
+              <input id="invite-link" readonly placeholder="邀請連結會顯示在這裡，7 天內有效" />
+              <ul id="invitation-list" class="member-list"></ul>
+              <p id="members-status" class="muted"></p>
+            </div>
+          </section>
+          <aside id="import-section" class="settings-aside">
+            <h3>匯入</h3>
+            <p class="muted">從 BearBlog 匯入 CSV</p>
+            <input id="import-file" type="file" accept=".csv" />
+            <button id="import-btn" type="button">匯入</button>
+            <p id="import-status" class="muted"></p>
+            <h3>文章轉址</h3>
+            <p class="muted">舊網址以 301 轉到現有文章；文章改名時會自動建立。</p>
+            <ul id="post-redirect-list" class="member-list"></ul>
+            <label>舊 slug</label>
+            <input id="post-redirect-from" autocomplete="off" maxlength="80" />
+            <label>目標文章 slug</label>
+            <input id="post-redirect-to" autocomplete="off" maxlength="80" />
+            <button id="add-post-redirect" type="button">新增轉址</button>
+            <p id="post-redirects-status" class="muted"></p>
+          </aside>
+        </div>
+      </div>
+
+      <!-- ═══ NOTIFICATIONS TAB ═══ -->
+      <div id="panel-notifications" class="admin-panel" style="display:none">
+        <section class="notification-panel">
+          <div class="row-actions">
+            <button id="refresh-notifications" type="button">重新整理</button>
+            <button id="mark-all-notifications-read" type="button" class="link-button">全部標為已讀</button>
+          </div>
+          <ul id="notification-list" class="notification-list"></ul>
+          <p id="notification-status" class="muted"></p>
+        </section>
+      </div>
+    </section>
+
+    <script>
+      const initialConfig = ${toScriptJson(siteConfig)};
+      const currentMember = ${toScriptJson(currentMember)};
+      const csrfToken = ${toScriptJson(csrfToken)};
+      const state = {
+        currentSlug: '',
+        posts: [],
+        comments: [],
+        notifications: [],
+        postFilter: '',
+        searchSlugs: null,
+        keepEditorSelection: false,
+        siteConfig: initialConfig,
+        notifySettings: {
+          enabled: false,
+          notifyComments: true,
+          notifyReactions: true,
+          telegramChatId: '',
+          hasBotToken: false,
+        },
+        notificationUnread: 0,
+        revisions: [],
+        revisionContents: {},
+        baseSha: '',
+        baseContent: '',
+        mergeConflict: null,
+      };
+
+      const postList = document.getElementById('post-list');
+      const postFilterInput = document.getElementById('post-filter');
+      const rebuildSearchBtn = document.getElementById('rebuild-search');
+      const postCountEl = document.getElementById('post-count');
+      const siteDisplayNameInput = document.getElementById('siteDisplayName');
+      const siteDescriptionInput = document.getElementById('siteDescription');
+      const siteHeroTitleInput = document.getElementById('siteHeroTitle');
+      const siteHeroSubtitleInput = document.getElementById('siteHeroSubtitle');
+      const siteColorThemeInput = document.getElementById('siteColorTheme');
+      const siteFaviconUrlInput = document.getElementById('siteFaviconUrl');
+      const siteFooterNoteInput = document.getElementById('siteFooterNote');
+      const siteCustomCssInput = document.getElementById('siteCustomCss');
+      const siteHeaderLinksInput = document.getElementById('siteHeaderLinks');
+      const siteHideCommunitySitesInput = document.getElementById('siteHideCommunitySites');
+      const siteHideCampusFeedInput = document.getElementById('siteHideCampusFeed');
+      const siteCommentsEnabledInput = document.getElementById('siteCommentsEnabled');
+      const notifyEnabledInput = document.getElementById('notifyEnabled');
+      const notifyCommentsInput = document.getElementById('notifyComments');
+      const notifyReactionsInput = document.getElementById('notifyReactions');
+      const notifyTelegramBotTokenInput = document.getElementById('notifyTelegramBotToken');
+      const notifyTelegramChatIdInput = document.getElementById('notifyTelegramChatId');
+      const notifyClearBotTokenInput = document.getElementById('notifyClearBotToken');
+      const notifySettingsHintEl = document.getElementById('notify-settings-hint');
+      const currentPasswordInput = document.getElementById('currentPassword');
+      const newPasswordInput = document.getElementById('newPassword');
+      const confirmNewPasswordInput = document.getElementById('confirmNewPassword');
+      const passwordStatusEl = document.getElementById('password-status');
+      const notificationListEl = document.getElementById('notification-list');
+      const notificationStatusEl = document.getElementById('notification-status');
+      const notificationBadgeEl = document.getElementById('notify-tab-badge');
+      const markAllNotificationsReadBtn = document.getElementById('mark-all-notifications-read');
+      const refreshNotificationsBtn = document.getElementById('refresh-notifications');
+      const titleInput = document.getElementById('title');
+      const postSlugInput = document.getElementById('postSlug');
+      const descriptionInput = document.getElementById('description');
+      const tagsInput = document.getElementById('tags');
+      const publishAtInput = document.getElementById('publishAt');
+      const publishedInput = document.getElementById('published');
+      const isPageInput = document.getElementById('isPage');
+      const contentInput = document.getElementById('content');
+      const statusEl = document.getElementById('editor-status');
+      const settingsStatusEl = document.getElementById('settings-status');
+      const commentAdminListEl = document.getElementById('comment-admin-list');
+      const commentAdminStatusEl = document.getElementById('comment-admin-status');
+      const previewLink = document.getElementById('preview');
+      const deletePostBtn = document.getElementById('delete-post');
+      const applyTemplateBtn = document.getElementById('apply-template');
+      const contentTemplateSelect = document.getElementById('content-template');
+      const historyDrawerEl = document.getElementById('history-drawer');
+      const historyBaseSelect = document.getElementById('history-base');
+      const historyTargetSelect = document.getElementById('history-target');
+      const historyDiffEl = document.getElementById('history-diff');
+      const historyStatusEl = document.getElementById('history-status');
+      const historyLoadBtn = document.getElementById('history-load');
+      const historyRestoreBtn = document.getElementById('history-restore');
+      const mergePanelEl = document.getElementById('merge-panel');
+      const mergeBaseEl = document.getElementById('merge-base');
+      const mergeTheirsEl = document.getElementById('merge-theirs');
+      const mergeMineEl = document.getElementById('merge-mine');
+      const mergeResultInput = document.getElementById('merge-result');
+      const mergeStatusEl = document.getElementById('merge-status');
+      const membersSectionEl = document.getElementById('members-section');
+      const memberListEl = document.getElementById('member-list');
+      const invitationListEl = document.getElementById('invitation-list');
+      const inviteRoleSelect = document.getElementById('invite-role');
+      const inviteLinkInput = document.getElementById('invite-link');
+      const membersStatusEl = document.getElementById('members-status');
+      const sessionListEl = document.getElementById('session-list');
+      const postRedirectListEl = document.getElementById('post-redirect-list');
+      const postRedirectsStatusEl = document.getElementById('post-redirects-status');
+      const totpStateEl = document.getElementById('totp-state');
+      const totpSetupBtn = document.getElementById('totp-setup-btn');
+      const totpSetupEl = document.getElementById('totp-setup');
+      const totpManageEl = document.getElementById('totp-manage');
+      const totpRecoveryCodesEl = document.getElementById('totp-recovery-codes');
+      const totpStatusEl = document.getElementById('totp-status');
+      const passkeyListEl = document.getElementById('passkey-list');
+      const passkeysStatusEl = document.getElementById('passkeys-status');
+      const apiTokenListEl = document.getElementById('api-token-list');
+      const apiTokensStatusEl = document.getElementById('api-tokens-status');
+      const sessionsStatusEl = document.getElementById('sessions-status');
+      const siteSlugSectionEl = document.getElementById('site-slug-section');
+      const siteSlugStatusEl = document.getElementById('site-slug-status');
+      const siteDeletionSectionEl = document.getElementById('site-deletion-section');
+      const siteDeletionStateEl = document.getElementById('site-deletion-state');
+      const siteDeletionFormEl = document.getElementById('site-deletion-form');
+      const siteDeletionPendingEl = document.getElementById('site-deletion-pending');
+      const siteDeletionStatusEl = document.getElementById('site-deletion-status');
+      const ROLE_LABELS = {
+        owner: '站長',
+        editor: '編輯',
+        author: '作者',
+        moderator: '留言管理員',
+      };
+      let savingPost = false;
+      let savingSettings = false;
+      let importingPosts = false;
+      let loadPostToken = 0;
+      let baselineState = '';
+
+      function setStatus(message, isError = false) {
+        statusEl.textContent = message;
+        statusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+      }
+
+      function setSettingsStatus(message, isError = false) {
+        if (!settingsStatusEl) {
+          return;
+        }
+        settingsStatusEl.textContent = message;
+        settingsStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+      }
+
+      function setPasswordStatus(message, isError = false) {
+        if (!passwordStatusEl) {
+          return;
+        }
+        passwordStatusEl.textContent = message;
+        passwordStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+      }
+
+      function setNotificationStatus(message, isError = false) {
+        if (!notificationStatusEl) {
+          return;
+        }
+        notificationStatusEl.textContent = message;
+        notificationStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+      }
+
+      function updateNotificationBadge() {
+        if (!notificationBadgeEl) {
+          return;
+        }
+        const unread = Math.max(Number(state.notificationUnread || 0), 0);
+        notificationBadgeEl.textContent = String(unread);
+        notificationBadgeEl.classList.toggle('has-unread', unread > 0);
+      }
+
+      function syncNotifyInputsState() {
+        if (!notifyEnabledInput) {
+          return;
+        }
+        const disabled = !notifyEnabledInput.checked;
+        if (notifyCommentsInput) notifyCommentsInput.disabled = disabled;
+        if (notifyReactionsInput) notifyReactionsInput.disabled = disabled;
+        if (notifyTelegramBotTokenInput) notifyTelegramBotTokenInput.disabled = disabled;
+        if (notifyTelegramChatIdInput) notifyTelegramChatIdInput.disabled = disabled;
+        if (notifyClearBotTokenInput) notifyClearBotTokenInput.disabled = disabled;
+      }
+
+      function applyNotifySettingsToForm(settings) {
+        const safe = settings || {};
+        state.notifySettings = {
+          enabled: !!safe.enabled,
+          notifyComments: safe.notifyComments !== false,
+          notifyReactions: safe.notifyReactions !== false,
+          telegramChatId: safe.telegramChatId || '',
+          hasBotToken: !!safe.hasBotToken,
+        };
+        if (notifyEnabledInput) notifyEnabledInput.checked = state.notifySettings.enabled;
+        if (notifyCommentsInput) notifyCommentsInput.checked = state.notifySettings.notifyComments;
+        if (notifyReactionsInput) notifyReactionsInput.checked = state.notifySettings.notifyReactions;
+        if (notifyTelegramChatIdInput) notifyTelegramChatIdInput.value = state.notifySettings.telegramChatId || '';
+        if (notifyTelegramBotTokenInput) notifyTelegramBotTokenInput.value = '';
+        if (notifyClearBotTokenInput) notifyClearBotTokenInput.checked = false;
+        if (notifySettingsHintEl) {
+          notifySettingsHintEl.textContent = state.notifySettings.hasBotToken
+            ? '已儲存 Telegram Bot Token（留空表示保持不變）。'
+            : '尚未儲存 Telegram Bot Token（可選填）。';
+        }
+        syncNotifyInputsState();
+      }
+
+      function renderNotificationList() {
+        if (!notificationListEl) {
+          return;
+        }
+        if (!state.notifications.length) {
+          notificationListEl.innerHTML = '<li class="muted">目前沒有通知。</li>';
+          return;
+        }
+        notificationListEl.innerHTML = state.notifications
+          .map((item) => {
+            const safeTitle = escapeText(item.postTitle || item.postSlug || 'untitled');
+            const safePath = String(item.targetPath || '/');
+            const safeHref = escapeText(safePath);
+            const safeContent = escapeText(item.contentPreview || '').replace(/\n/g, '<br />');
+            const safeTime = item.createdAt ? escapeText(new Date(item.createdAt).toLocaleString('zh-Hant')) : '';
+            const safeActor = item.actorName ? (' · ' + escapeText(item.actorName)) : '';
+            const kind = item.eventType === 'reaction'
+              ? '點贊'
+              : (item.eventType === 'comment' ? '留言' : (item.eventType === 'publish' ? '排程發佈' : '通知'));
+            const reactionLine = item.eventType === 'reaction' && item.reactionLabel
+              ? ('<p class="muted">' + escapeText(item.reactionLabel) + '</p>')
+              : '';
+            const unreadClass = item.read ? '' : ' unread';
+            return '<li class="notification-item' + unreadClass + '" data-id="' + item.id + '">' +
+              '<div class="notification-head">' +
+                '<span class="notification-kind">' + kind + safeActor + '</span>' +
+                '<time>' + safeTime + '</time>' +
+              '</div>' +
+              '<p><a href="' + safeHref + '" target="_blank" rel="noreferrer noopener">' + safeTitle + '</a></p>' +
+              (safeContent ? ('<p class="notification-content">' + safeContent + '</p>') : '') +
+              reactionLine +
+              '<div class="row-actions">' +
+                '<button type="button" class="link-button small ghost notification-read-btn" data-id="' + item.id + '">標為已讀</button>' +
+              '</div>' +
+            '</li>';
+          })
+          .join('');
+      }
+
+      async function refreshNotifySettings() {
+        const payload = await fetchJson('/api/admin/notify-settings');
+        applyNotifySettingsToForm(payload.settings || {});
+      }
+
+      async function refreshNotifications(options = {}) {
+        const silent = !!options.silent;
+        if (!silent) {
+          setNotificationStatus('載入通知中...');
+        }
+        const payload = await fetchJson('/api/admin/notifications?page=1');
+        state.notifications = Array.isArray(payload.notifications) ? payload.notifications : [];
+        state.notificationUnread = Math.max(Number(payload.unread || 0), 0);
+        renderNotificationList();
+        updateNotificationBadge();
+        if (!silent) {
+          setNotificationStatus('通知已更新');
+        }
+      }
+
+      async function markNotificationsRead(options = {}) {
+        const all = !!options.all;
+        const ids = Array.isArray(options.ids) ? options.ids : [];
+        const payload = await fetchJson('/api/admin/notifications/read', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ all, ids }),
+        });
+        state.notificationUnread = Math.max(Number(payload.unread || 0), 0);
+        updateNotificationBadge();
+      }
+
+      function toSlug(value, withFallback = false) {
+        const raw = String(value || '').toLowerCase().trim();
+        const slug = raw
+          .replace(/[^a-z0-9\s-]/g, '')
+          .replace(/\s+/g, '-')
+          .replace(/-+/g, '-')
+          .replace(/^-|-$/g, '')
+          .slice(0, 80);
+        if (slug) {
+          return slug;
+        }
+        if (!raw || !withFallback) {
+          return '';
+        }
+        return 'post-' + stableClientHash(raw);
+      }
+
+      function stableClientHash(input) {
+        let hash = 0x811c9dc5;
+        for (let index = 0; index < input.length; index += 1) {
+          hash ^= input.charCodeAt(index);
+          hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36).padStart(6, '0').slice(0, 8);
+      }
+
+      function normalizeHexColor(value) {
+        const raw = String(value || '').trim().toLowerCase();
+      if (/^#[0-9a-f]{6}$/.test(raw)) {
+          return raw;
+        }
+      if (/^#[0-9a-f]{3}$/.test(raw)) {
+          return '#' + raw[1] + raw[1] + raw[2] + raw[2] + raw[3] + raw[3];
+        }
+      return '#7b5034';
+      }
+
+      function escapeText(value) {
+        return String(value || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function parseHeaderLinks(raw) {
+  return String(raw || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .slice(0, 8)
+    .map((line) => {
+      const [label, url] = line.split('|').map((item) => item.trim());
+      if (!label || !url || !/^https?:\/\//i.test(url)) {
+        return null;
+      }
+      return { label: label.slice(0, 24), url: url.slice(0, 240) };
+    })
+    .filter(Boolean);
+}
+
+function renderHeaderLinksValue(links) {
+  return (links || [])
+    .map((item) => item.label + '|' + item.url)
+    .join('\n');
+}
+
+function applySettingsToForm(config) {
+  const safe = config || {};
+  siteDisplayNameInput.value = safe.displayName || '';
+  siteDescriptionInput.value = safe.description || '';
+  siteHeroTitleInput.value = safe.heroTitle || '';
+  siteHeroSubtitleInput.value = safe.heroSubtitle || '';
+  if (siteColorThemeInput) siteColorThemeInput.value = safe.colorTheme || 'default';
+  if (siteFaviconUrlInput) siteFaviconUrlInput.value = safe.faviconUrl || '';
+  siteFooterNoteInput.value = safe.footerNote || '';
+  if (siteCustomCssInput) siteCustomCssInput.value = safe.customCss || '';
+  siteHeaderLinksInput.value = renderHeaderLinksValue(safe.headerLinks || []);
+  if (siteHideCommunitySitesInput) siteHideCommunitySitesInput.checked = !!safe.hideCommunitySites;
+  if (siteHideCampusFeedInput) siteHideCampusFeedInput.checked = !!safe.hideCampusFeed;
+  if (siteCommentsEnabledInput) siteCommentsEnabledInput.checked = safe.commentsEnabled !== false;
+}
+
+function draftKey(slug) {
+  const id = slug || 'new';
+  return 'stublogs-draft:' + location.host + ':' + id;
+}
+
+function getEditorSnapshot() {
+  return JSON.stringify({
+    title: titleInput.value,
+    postSlug: postSlugInput.value,
+    description: descriptionInput.value,
+    tags: tagsInput ? tagsInput.value : '',
+    publishAt: publishAtInput ? publishAtInput.value : '',
+    content: contentInput.value,
+    published: publishedInput.checked,
+    isPage: isPageInput ? isPageInput.checked : false,
+  });
+}
+
+function markBaseline() {
+  baselineState = getEditorSnapshot();
+}
+
+function hasUnsavedChanges() {
+  return baselineState && baselineState !== getEditorSnapshot();
+}
+
+function saveDraft() {
+  const key = draftKey(state.currentSlug);
+  const payload = {
+    title: titleInput.value,
+    postSlug: postSlugInput.value,
+    description: descriptionInput.value,
+    tags: tagsInput ? tagsInput.value : '',
+    publishAt: publishAtInput ? publishAtInput.value : '',
+    content: contentInput.value,
+    published: publishedInput.checked,
+    isPage: isPageInput ? isPageInput.checked : false,
+    savedAt: Date.now(),
+  };
+
+  try {
+    localStorage.setItem(key, JSON.stringify(payload));
+  } catch {
+    // ignore localStorage quota errors
+  }
+}
+
+function tryRestoreDraft(slug) {
+  const key = draftKey(slug);
+  try {
+    const raw = localStorage.getItem(key);
+    if (!raw) {
+      return false;
+    }
+    const draft = JSON.parse(raw);
+    if (!draft || !draft.content) {
+      return false;
+    }
+
+    if (!contentInput.value.trim()) {
+      titleInput.value = draft.title || titleInput.value;
+      postSlugInput.value = draft.postSlug || postSlugInput.value;
+      descriptionInput.value = draft.description || descriptionInput.value;
+      if (tagsInput) tagsInput.value = draft.tags || tagsInput.value;
+      if (publishAtInput) publishAtInput.value = draft.publishAt || publishAtInput.value;
+      contentInput.value = draft.content || contentInput.value;
+      publishedInput.checked = Boolean(draft.published);
+      if (isPageInput) isPageInput.checked = Boolean(draft.isPage);
+      if (typeof updateSaveBtn === 'function') updateSaveBtn();
+      syncPreview();
+      return true;
+    }
+    return false;
+  } catch {
+    // ignore malformed drafts
+    return false;
+  }
+}
+
+function syncPreview() {
+  const slug = postSlugInput.value.trim().toLowerCase();
+  if (previewLink) {
+    const exists = slug && (state.currentSlug === slug || state.posts.some((post) => post.postSlug === slug));
+    previewLink.href = exists ? '/preview/' + encodeURIComponent(slug) : '#';
+    previewLink.setAttribute('aria-disabled', exists ? 'false' : 'true');
+  }
+}
+
+function resetEditor(options = {}) {
+  const { restoreDraft = true, keepEditorSelection = false } = options;
+  state.currentSlug = '';
+  state.keepEditorSelection = keepEditorSelection;
+  titleInput.value = '';
+  postSlugInput.value = '';
+  descriptionInput.value = '';
+  if (tagsInput) tagsInput.value = '';
+  if (publishAtInput) publishAtInput.value = '';
+  publishedInput.checked = true;
+  if (isPageInput) isPageInput.checked = false;
+  contentInput.value = '';
+  if (typeof updateSaveBtn === 'function') updateSaveBtn();
+  syncPreview();
+  state.comments = [];
+  renderCommentAdminList();
+  setCommentAdminStatus('');
+  if (deletePostBtn) deletePostBtn.disabled = true;
+  state.baseSha = '';
+  state.baseContent = '';
+  closeHistoryDrawer();
+  closeMergePanel();
+  let restored = false;
+  if (restoreDraft) {
+    restored = tryRestoreDraft('');
+  }
+  setStatus(restored ? '已恢復未發佈草稿' : 'New post');
+  markBaseline();
+}
+
+function toLocalDateTimeValue(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return '';
+  }
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+function formatCountdown(value) {
+  const remaining = new Date(value).getTime() - Date.now();
+  if (!(remaining > 0)) {
+    return '即將發佈';
+  }
+  const minutes = Math.ceil(remaining / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  if (days) {
+    return days + ' 天 ' + hours + ' 小時後發佈';
+  }
+  if (hours) {
+    return hours + ' 小時 ' + mins + ' 分後發佈';
+  }
+  return mins + ' 分鐘後發佈';
+}
+
+function renderPostList() {
+  if (!state.posts.length) {
+    postList.innerHTML = '<li class="muted">No posts yet</li>';
+    if (postCountEl) postCountEl.textContent = '0 篇';
+    return;
+  }
+
+  const keyword = String(state.postFilter || '').trim().toLowerCase();
+  const filtered = keyword
+    ? state.posts.filter((post) => {
+      const text = (post.title + ' ' + post.postSlug).toLowerCase();
+      return text.includes(keyword) || Boolean(state.searchSlugs && state.searchSlugs.has(post.postSlug));
+    })
+    : state.posts;
+
+  if (postCountEl) {
+    postCountEl.textContent = keyword
+      ? ('共 ' + state.posts.length + ' 篇，顯示 ' + filtered.length + ' 篇')
+      : (state.posts.length + ' 篇');
+  }
+
+  if (!filtered.length) {
+    postList.innerHTML = '<li class="muted">沒有符合搜尋的文章</li>';
+    return;
+  }
+
+  postList.innerHTML = filtered
+    .map((post) => {
+      const activeClass = post.postSlug === state.currentSlug ? 'active' : '';
+      const visibilityLabel = Number(post.published) === 1
+        ? 'Published'
+        : (post.publishAt ? 'Scheduled' : 'Draft');
+      const typeLabel = Number(post.isPage) === 1 ? 'Page' : 'Post';
+      const stateLabel = typeLabel + ' · ' + visibilityLabel;
+      const countdown = Number(post.published) !== 1 && post.publishAt
+        ? ' <small class="muted" data-publish-at="' + escapeText(post.publishAt) + '">' +
+          formatCountdown(post.publishAt) + '</small>'
+        : '';
+      return '<li><button class="post-item-btn ' + activeClass + '" data-slug="' +
+        post.postSlug + '">' +
+        escapeText(post.title) +
+        ' <small>(' + stateLabel + ')</small>' + countdown + '</button></li>';
+    })
+    .join('');
+
+  Array.from(document.querySelectorAll('.post-item-btn')).forEach((button) => {
+    button.addEventListener('click', () => {
+      const targetSlug = button.getAttribute('data-slug');
+      if (!targetSlug || targetSlug === state.currentSlug) {
+        return;
+      }
+      if (hasUnsavedChanges() && !confirm('目前有未儲存內容，確定切換文章？')) {
+        return;
+      }
+      loadPost(targetSlug);
+    });
+  });
+}
+
+function setCommentAdminStatus(message, isError = false) {
+  if (!commentAdminStatusEl) {
+    return;
+  }
+  commentAdminStatusEl.textContent = message;
+  commentAdminStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+}
+
+function renderCommentAdminList() {
+  if (!commentAdminListEl) {
+    return;
+  }
+  if (!state.currentSlug) {
+    commentAdminListEl.innerHTML = '<li class="muted">請先選擇文章。</li>';
+    return;
+  }
+  if (!state.comments.length) {
+    commentAdminListEl.innerHTML = '<li class="muted">此文章目前沒有留言。</li>';
+    return;
+  }
+
+  commentAdminListEl.innerHTML = state.comments
+    .map((comment) => {
+      const authorSite = comment.authorSiteSlug
+        ? '<small class="muted"> · ' + escapeText(comment.authorSiteSlug) + '.bdfz.net</small>'
+        : '';
+      const createdAt = comment.createdAt
+        ? new Date(comment.createdAt).toLocaleString()
+        : '';
+      return '<li class="comment-item" data-comment-id="' + comment.id + '">' +
+        '<p class="comment-meta">' + escapeText(comment.authorName) + authorSite + ' · ' + escapeText(createdAt) + '</p>' +
+        '<p class="comment-content">' + escapeText(comment.content || '').replace(/\n/g, '<br />') + '</p>' +
+        '<button type="button" class="comment-delete-btn" data-comment-id="' + comment.id + '">刪除留言</button>' +
+      '</li>';
+    })
+    .join('');
+}
+
+async function refreshCommentsForCurrentPost() {
+  if (!state.currentSlug) {
+    state.comments = [];
+    renderCommentAdminList();
+    return;
+  }
+  setCommentAdminStatus('載入留言中...');
+  try {
+    const payload = await fetchJson('/api/admin/comments?postSlug=' + encodeURIComponent(state.currentSlug));
+    state.comments = payload.comments || [];
+    renderCommentAdminList();
+    setCommentAdminStatus('留言載入完成');
+  } catch (error) {
+    setCommentAdminStatus(error.message || '留言載入失敗', true);
+  }
+}
+
+function withCsrfHeader(options) {
+  const nextOptions = { ...(options || {}) };
+  const method = String(nextOptions.method || 'GET').toUpperCase();
+  if (method !== 'GET' && method !== 'HEAD') {
+    const headers = new Headers(nextOptions.headers || {});
+    headers.set('X-CSRF-Token', csrfToken);
+    nextOptions.headers = headers;
+  }
+  return nextOptions;
+}
+
+async function fetchJson(path, options) {
+  const response = await fetch(path, withCsrfHeader(options));
+  let payload = null;
+  try {
+    payload = await response.json();
+  } catch {
+    payload = null;
+  }
+  if (!response.ok) {
+    if (response.status === 401) {
+      throw new Error('登入已過期，請重新登入');
+    }
+    const error = new Error((payload && payload.error) || ('Request failed (' + response.status + ')'));
+    error.status = response.status;
+    error.payload = payload;
+    throw error;
+  }
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Invalid server response');
+  }
+  return payload;
+}
+
+async function refreshPosts() {
+  const payload = await fetchJson('/api/list-posts?includeDrafts=1');
+  state.posts = payload.posts || [];
+  if (state.currentSlug && !state.posts.some((post) => post.postSlug === state.currentSlug)) {
+    state.currentSlug = '';
+    if (deletePostBtn) deletePostBtn.disabled = true;
+  }
+  renderPostList();
+  if (!state.currentSlug && state.posts.length && !state.keepEditorSelection) {
+    loadPost(state.posts[0].postSlug).catch((error) => {
+      setStatus(error.message || 'Failed to load first post', true);
+    });
+  } else if (!state.posts.length && deletePostBtn) {
+    deletePostBtn.disabled = true;
+  }
+}
+
+async function refreshSettings() {
+  const payload = await fetchJson('/api/site-settings');
+  state.siteConfig = payload.config || state.siteConfig;
+  applySettingsToForm(state.siteConfig);
+}
+
+async function loadPost(slug) {
+  if (!slug) {
+    return;
+  }
+
+  const token = ++loadPostToken;
+  try {
+    const payload = await fetchJson('/api/posts/' + encodeURIComponent(slug));
+    if (token !== loadPostToken) {
+      return;
+    }
+    const post = payload.post;
+    state.keepEditorSelection = false;
+    state.currentSlug = post.postSlug;
+    state.baseSha = post.sha || '';
+    state.baseContent = post.content || '';
+    closeHistoryDrawer();
+    closeMergePanel();
+    titleInput.value = post.title || '';
+    postSlugInput.value = post.postSlug || '';
+    descriptionInput.value = post.description || '';
+    if (tagsInput) tagsInput.value = (post.tags || []).join(', ');
+    if (publishAtInput) publishAtInput.value = toLocalDateTimeValue(post.publishAt);
+    publishedInput.checked = Number(post.published) === 1;
+    if (isPageInput) isPageInput.checked = Number(post.isPage) === 1;
+    contentInput.value = post.content || '';
+    if (deletePostBtn) deletePostBtn.disabled = !can('posts:write');
+    if (typeof updateSaveBtn === 'function') updateSaveBtn();
+    renderPostList();
+    tryRestoreDraft(post.postSlug);
+    markBaseline();
+    await refreshCommentsForCurrentPost();
+    setStatus('Loaded ' + post.postSlug);
+  } catch (error) {
+    if (deletePostBtn) deletePostBtn.disabled = true;
+    setStatus(error.message || 'Failed to load post', true);
+  }
+}
+
+async function savePost() {
+  if (savingPost) {
+    return;
+  }
+  const title = titleInput.value.trim();
+  const postSlug = (postSlugInput.value.trim() || toSlug(title, true)).toLowerCase();
+
+  if (!title) {
+    setStatus('Title is required', true);
+    return;
+  }
+
+  if (!postSlug) {
+    setStatus('Post slug is required', true);
+    return;
+  }
 
-      async function refreshNotifySettings() {
-        const payload = await fetchJson('/api/admin/notify-settings');
-        applyNotifySettingsToForm(payload.settings || {});
-      }
+  setStatus('Saving...');
+  savingPost = true;
+  if (saveBtn) {
+    saveBtn.disabled = true;
+    saveBtn.textContent = '儲存中...';
+  }
 
-      async function refreshNotifications(options = {}) {
-        const silent = !!options.silent;
-        if (!silent) {
-          setNotificationStatus('載入通知中...');
-        }
-        const payload = await fetchJson('/api/admin/notifications?page=1');
-        state.notifications = Array.isArray(payload.notifications) ? payload.notifications : [];
-        state.notificationUnread = Math.max(Number(payload.unread || 0), 0);
-        renderNotificationList();
-        updateNotificationBadge();
-        if (!silent) {
-          setNotificationStatus('通知已更新');
-        }
-      }
+  const content = contentInput.value;
+  const publishAt = publishAtInput && publishAtInput.value
+    ? new Date(publishAtInput.value).toISOString()
+    : null;
+  try {
+    const payload = await fetchJson('/api/posts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        title,
+        postSlug,
+        previousSlug: state.currentSlug || null,
+        baseSha: state.currentSlug ? state.baseSha || null : null,
+        description: descriptionInput.value.trim(),
+        tags: tagsInput ? tagsInput.value : '',
+        publishAt,
+        content,
+        published: publishedInput.checked,
+        isPage: isPageInput ? isPageInput.checked : false,
+      }),
+    });
 
-      async function markNotificationsRead(options = {}) {
-        const all = !!options.all;
-        const ids = Array.isArray(options.ids) ? options.ids : [];
-        const payload = await fetchJson('/api/admin/notifications/read', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ all, ids }),
-        });
-        state.notificationUnread = Math.max(Number(payload.unread || 0), 0);
-        updateNotificationBadge();
+    state.currentSlug = payload.post.postSlug;
+    state.baseSha = payload.post.sha || '';
+    state.baseContent = content;
+    closeMergePanel();
+    postSlugInput.value = payload.post.postSlug;
+    if (tagsInput) tagsInput.value = (payload.post.tags || []).join(', ');
+    publishedInput.checked = Number(payload.post.published) === 1;
+    syncPreview();
+    await refreshPosts();
+    await refreshCommentsForCurrentPost();
+    if (payload.post.publishAt) {
+      setStatus('已排程於 ' + new Date(payload.post.publishAt).toLocaleString('zh-Hant') + ' 發佈');
+    } else if (publishedInput.checked) {
+      if (isPageInput && isPageInput.checked) {
+        setStatus('頁面已發佈：' + new Date().toLocaleTimeString());
+      } else {
+        setStatus('文章已發佈：' + new Date().toLocaleTimeString());
       }
-
-      function toSlug(value, withFallback = false) {
-        const raw = String(value || '').toLowerCase().trim();
-        const slug = raw
-          .replace(/[^a-z0-9\s-]/g, '')
-          .replace(/\s+/g, '-')
-          .replace(/-+/g, '-')
-          .replace(/^-|-$/g, '')
-          .slice(0, 80);
-        if (slug) {
-          return slug;
-        }
-        if (!raw || !withFallback) {
-          return '';
-        }
-        return 'post-' + stableClientHash(raw);
+    } else {
+      if (isPageInput && isPageInput.checked) {
+        setStatus('頁面草稿已儲存（前台不顯示）');
+      } else {
+        setStatus('文章草稿已儲存（前台不顯示）');
       }
+    }
+    markBaseline();
+    saveDraft();
+  } catch (error) {
+    if (error.status === 409 && error.payload && error.payload.conflict) {
+      openMergePanel(error.payload.conflict, content);
+    }
+    setStatus(error.message || 'Save failed', true);
+  } finally {
+    savingPost = false;
+    if (saveBtn) {
+      saveBtn.disabled = false;
+    }
+    updateSaveBtn();
+  }
+}
 
-      function stableClientHash(input) {
-        let hash = 0x811c9dc5;
-        for (let index = 0; index < input.length; index += 1) {
-          hash ^= input.charCodeAt(index);
-          hash = Math.imul(hash, 0x01000193);
-        }
-        return (hash >>> 0).toString(36).padStart(6, '0').slice(0, 8);
-      }
+function setHistoryStatus(message, isError = false) {
+  if (!historyStatusEl) {
+    return;
+  }
+  historyStatusEl.textContent = message;
+  historyStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+}
 
-      function normalizeHexColor(value) {
-        const raw = String(value || '').trim().toLowerCase();
-      if (/^#[0-9a-f]{6}$/.test(raw)) {
-          return raw;
-        }
-      if (/^#[0-9a-f]{3}$/.test(raw)) {
-          return '#' + raw[1] + raw[1] + raw[2] + raw[2] + raw[3] + raw[3];
-        }
-      return '#7b5034';
-      }
+function diffLines(before, after) {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const head = a.slice(0, start).map((line) => ({ type: 'same', line }));
+  const tail = a.slice(endA).map((line) => ({ type: 'same', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  if (rows * cols > 4000000) {
+    return head
+      .concat(midA.map((line) => ({ type: 'del', line })))
+      .concat(midB.map((line) => ({ type: 'add', line })))
+      .concat(tail);
+  }
+
+  const table = new Uint32Array(rows * cols);
+  for (let i = midA.length - 1; i >= 0; i -= 1) {
+    for (let j = midB.length - 1; j >= 0; j -= 1) {
+      table[i * cols + j] = midA[i] === midB[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
 
-      function escapeText(value) {
-        return String(value || '')
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: 'same', line: midA[i] });
+      i += 1;
+      j += 1;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      middle.push({ type: 'del', line: midA[i] });
+      i += 1;
+    } else {
+      middle.push({ type: 'add', line: midB[j] });
+      j += 1;
+    }
+  }
+  while (i < midA.length) {
+    middle.push({ type: 'del', line: midA[i] });
+    i += 1;
+  }
+  while (j < midB.length) {
+    middle.push({ type: 'add', line: midB[j] });
+    j += 1;
+  }
+  return head.concat(middle, tail);
 }
 
-function parseHeaderLinks(raw) {
-  return String(raw || '')
-    .split('\n')
-    .map((line) => line.trim())
-    .filter(Boolean)
-    .slice(0, 8)
-    .map((line) => {
-      const [label, url] = line.split('|').map((item) => item.trim());
-      if (!label || !url || !/^https?:\/\//i.test(url)) {
-        return null;
-      }
-      return { label: label.slice(0, 24), url: url.slice(0, 240) };
+function renderDiffHtml(rows) {
+  if (!rows.some((row) => row.type !== 'same')) {
+    return '<span class="diff-line muted">兩個版本內容相同</span>';
+  }
+  return rows
+    .map((row) => {
+      const marker = row.type === 'add' ? '+ ' : (row.type === 'del' ? '- ' : '  ');
+      return '<span class="diff-line diff-' + row.type + '">' + escapeText(marker + row.line) + '</span>';
     })
-    .filter(Boolean);
+    .join('');
 }
 
-function renderHeaderLinksValue(links) {
-  return (links || [])
-    .map((item) => item.label + '|' + item.url)
-    .join('\n');
+function formatRevisionLabel(revision) {
+  const time = revision.committedAt ? new Date(revision.committedAt).toLocaleString('zh-Hant') : '';
+  return revision.sha.slice(0, 7) + ' · ' + time + ' · ' + (revision.message || '');
 }
 
-function applySettingsToForm(config) {
-  const safe = config || {};
-  siteDisplayNameInput.value = safe.displayName || '';
-  siteDescriptionInput.value = safe.description || '';
-  siteHeroTitleInput.value = safe.heroTitle || '';
-  siteHeroSubtitleInput.value = safe.heroSubtitle || '';
-  if (siteColorThemeInput) siteColorThemeInput.value = safe.colorTheme || 'default';
-  if (siteFaviconUrlInput) siteFaviconUrlInput.value = safe.faviconUrl || '';
-  siteFooterNoteInput.value = safe.footerNote || '';
-  if (siteCustomCssInput) siteCustomCssInput.value = safe.customCss || '';
-  siteHeaderLinksInput.value = renderHeaderLinksValue(safe.headerLinks || []);
-  if (siteHideCommunitySitesInput) siteHideCommunitySitesInput.checked = !!safe.hideCommunitySites;
-  if (siteHideCampusFeedInput) siteHideCampusFeedInput.checked = !!safe.hideCampusFeed;
-  if (siteCommentsEnabledInput) siteCommentsEnabledInput.checked = safe.commentsEnabled !== false;
+async function getRevisionContent(sha) {
+  if (sha === 'editor') {
+    return contentInput.value;
+  }
+  if (Object.prototype.hasOwnProperty.call(state.revisionContents, sha)) {
+    return state.revisionContents[sha];
+  }
+  const payload = await fetchJson(
+    '/api/posts/' + encodeURIComponent(state.currentSlug) + '/revisions/' + encodeURIComponent(sha)
+  );
+  const content = payload.revision ? payload.revision.content || '' : '';
+  state.revisionContents[sha] = content;
+  return content;
 }
 
-function draftKey(slug) {
-  const id = slug || 'new';
-  return 'stublogs-draft:' + location.host + ':' + id;
+async function renderRevisionDiff() {
+  if (!historyBaseSelect || !historyTargetSelect || !historyDiffEl) {
+    return;
+  }
+  const baseSha = historyBaseSelect.value;
+  const targetSha = historyTargetSelect.value;
+  if (!baseSha || !targetSha) {
+    historyDiffEl.innerHTML = '';
+    return;
+  }
+  setHistoryStatus('比較中...');
+  try {
+    const [baseContent, targetContent] = await Promise.all([
+      getRevisionContent(baseSha),
+      getRevisionContent(targetSha),
+    ]);
+    historyDiffEl.innerHTML = renderDiffHtml(diffLines(baseContent, targetContent));
+    setHistoryStatus('');
+  } catch (error) {
+    setHistoryStatus(error.message || '讀取版本失敗', true);
+  }
 }
 
-function getEditorSnapshot() {
-  return JSON.stringify({
-    title: titleInput.value,
-    postSlug: postSlugInput.value,
-    description: descriptionInput.value,
-    content: contentInput.value,
-    published: publishedInput.checked,
-    isPage: isPageInput ? isPageInput.checked : false,
-  });
+async function openHistoryDrawer() {
+  if (!historyDrawerEl) {
+    return;
+  }
+  if (!state.currentSlug) {
+    setStatus('請先選擇文章', true);
+    return;
+  }
+  historyDrawerEl.style.display = '';
+  historyDiffEl.innerHTML = '';
+  state.revisions = [];
+  state.revisionContents = {};
+  setHistoryStatus('載入歷史版本中...');
+  try {
+    const payload = await fetchJson('/api/posts/' + encodeURIComponent(state.currentSlug) + '/revisions');
+    state.revisions = Array.isArray(payload.revisions) ? payload.revisions : [];
+    if (!state.revisions.length) {
+      historyBaseSelect.innerHTML = '';
+      historyTargetSelect.innerHTML = '';
+      setHistoryStatus('此文章還沒有歷史版本');
+      return;
+    }
+    const options = state.revisions
+      .map((revision) => '<option value="' + escapeText(revision.sha) + '">' + escapeText(formatRevisionLabel(revision)) + '</option>')
+      .join('');
+    historyBaseSelect.innerHTML = options;
+    historyTargetSelect.innerHTML = '<option value="editor">編輯器目前內容</option>' + options;
+    historyBaseSelect.value = state.revisions[0].sha;
+    historyTargetSelect.value = 'editor';
+    await renderRevisionDiff();
+  } catch (error) {
+    setHistoryStatus(error.message || '載入歷史版本失敗', true);
+  }
 }
 
-function markBaseline() {
-  baselineState = getEditorSnapshot();
+function closeHistoryDrawer() {
+  if (historyDrawerEl) {
+    historyDrawerEl.style.display = 'none';
+  }
 }
 
-function hasUnsavedChanges() {
-  return baselineState && baselineState !== getEditorSnapshot();
+async function loadRevisionIntoEditor() {
+  const sha = historyBaseSelect ? historyBaseSelect.value : '';
+  if (!sha) {
+    return;
+  }
+  try {
+    contentInput.value = await getRevisionContent(sha);
+    saveDraft();
+    historyTargetSelect.value = 'editor';
+    await renderRevisionDiff();
+    setStatus('已載入版本 ' + sha.slice(0, 7) + '，儲存後生效');
+  } catch (error) {
+    setHistoryStatus(error.message || '讀取版本失敗', true);
+  }
 }
 
-function saveDraft() {
-  const key = draftKey(state.currentSlug);
-  const payload = {
-    title: titleInput.value,
-    postSlug: postSlugInput.value,
-    description: descriptionInput.value,
-    content: contentInput.value,
-    published: publishedInput.checked,
-    isPage: isPageInput ? isPageInput.checked : false,
-    savedAt: Date.now(),
-  };
+async function restoreRevision() {
+  const sha = historyBaseSelect ? historyBaseSelect.value : '';
+  if (!sha || !state.currentSlug) {
+    return;
+  }
+  if (!confirm('確認將文章還原到版本 ' + sha.slice(0, 7) + '？')) {
+    return;
+  }
+  setHistoryStatus('還原中...');
+  try {
+    await fetchJson(
+      '/api/posts/' + encodeURIComponent(state.currentSlug) + '/revisions/' + encodeURIComponent(sha) + '/restore',
+      { method: 'POST' }
+    );
+    await loadPost(state.currentSlug);
+    await openHistoryDrawer();
+    setHistoryStatus('已還原到版本 ' + sha.slice(0, 7));
+  } catch (error) {
+    setHistoryStatus(error.message || '還原失敗', true);
+  }
+}
+
+function can(permission) {
+  return Array.isArray(currentMember.permissions) && currentMember.permissions.indexOf(permission) !== -1;
+}
+
+function applyRolePermissions() {
+  const badge = document.getElementById('member-badge');
+  if (badge) {
+    badge.textContent = (currentMember.displayName || currentMember.username) + '（' + (ROLE_LABELS[currentMember.role] || currentMember.role) + '）';
+  }
+  const exportLink = document.getElementById('export-link');
+  if (exportLink && !can('export')) {
+    exportLink.style.display = 'none';
+  }
+  const importSection = document.getElementById('import-section');
+  if (importSection && !can('posts:write-any')) {
+    importSection.style.display = 'none';
+  }
+  if (rebuildSearchBtn && !can('posts:write-any')) {
+    rebuildSearchBtn.style.display = 'none';
+  }
+  const saveSettingsButton = document.getElementById('save-settings');
+  if (saveSettingsButton && !can('settings:write')) {
+    saveSettingsButton.disabled = true;
+    setSettingsStatus('目前角色無法修改站點設定');
+  }
+  if (!can('posts:write')) {
+    const saveButton = document.getElementById('save');
+    if (saveButton) saveButton.disabled = true;
+    if (deletePostBtn) deletePostBtn.disabled = true;
+  }
+  if (membersSectionEl) {
+    membersSectionEl.style.display = can('members:manage') ? '' : 'none';
+  }
+  if (siteSlugSectionEl) {
+    siteSlugSectionEl.style.display = can('members:manage') ? '' : 'none';
+  }
+  if (siteDeletionSectionEl) {
+    siteDeletionSectionEl.style.display = can('members:manage') ? '' : 'none';
+  }
+}
+
+function setSiteSlugStatus(message, isError = false) {
+  if (!siteSlugStatusEl) {
+    return;
+  }
+  siteSlugStatusEl.textContent = message;
+  siteSlugStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+}
 
+async function renameSiteSlug() {
+  const newSlugInput = document.getElementById('site-slug-new');
+  const passwordInput = document.getElementById('site-slug-password');
+  const newSlug = newSlugInput.value.trim().toLowerCase();
+  if (!newSlug) {
+    setSiteSlugStatus('請輸入新的 slug', true);
+    return;
+  }
+  if (!confirm('確認把站點網址改為 ' + newSlug + '？所有成員的通行密鑰會被移除，需以密碼登入後重新登記。')) {
+    return;
+  }
+  setSiteSlugStatus('搬移中...');
   try {
-    localStorage.setItem(key, JSON.stringify(payload));
-  } catch {
-    // ignore localStorage quota errors
+    const payload = await fetchJson('/api/site-slug', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ newSlug, password: passwordInput.value }),
+    });
+    passwordInput.value = '';
+    setSiteSlugStatus('網址已更改，正在前往新網址');
+    if (payload.passkeysRemoved) {
+      alert('已移除 ' + payload.passkeysRemoved + ' 個通行密鑰，請在新網址以密碼登入後重新登記。');
+    }
+    location.href = payload.siteUrl + '/admin';
+  } catch (error) {
+    setSiteSlugStatus(error.message || '更改網址失敗', true);
   }
 }
 
-function tryRestoreDraft(slug) {
-  const key = draftKey(slug);
-  try {
-    const raw = localStorage.getItem(key);
-    if (!raw) {
-      return false;
-    }
-    const draft = JSON.parse(raw);
-    if (!draft || !draft.content) {
-      return false;
-    }
+function setSiteDeletionStatus(message, isError = false) {
+  if (!siteDeletionStatusEl) {
+    return;
+  }
+  siteDeletionStatusEl.textContent = message;
+  siteDeletionStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+}
 
-    if (!contentInput.value.trim()) {
-      titleInput.value = draft.title || titleInput.value;
-      postSlugInput.value = draft.postSlug || postSlugInput.value;
-      descriptionInput.value = draft.description || descriptionInput.value;
-      contentInput.value = draft.content || contentInput.value;
-      publishedInput.checked = Boolean(draft.published);
-      if (isPageInput) isPageInput.checked = Boolean(draft.isPage);
-      if (typeof updateSaveBtn === 'function') updateSaveBtn();
-      syncPreview();
-      return true;
-    }
-    return false;
-  } catch {
-    // ignore malformed drafts
-    return false;
+async function refreshSiteDeletion() {
+  if (!siteDeletionStateEl || !can('members:manage')) {
+    return;
   }
+  const payload = await fetchJson('/api/site-deletion');
+  siteDeletionStateEl.textContent = payload.pending
+    ? '站點已排定刪除，將於 ' + new Date(payload.purgeAfter).toLocaleString() + ' 永久清除所有文章、留言與倉庫檔案。期間前台不公開、內容無法修改，可隨時恢復。最終備份請在 ' + new Date(payload.exportAvailableUntil).toLocaleString() + ' 前下載，之後無法取得。'
+    : '刪除後站點會先停用 ' + payload.graceDays + ' 天，期間可恢復並下載備份；之後所有內容永久清除，備份無法再下載，slug 也會釋出。';
+  siteDeletionFormEl.style.display = payload.pending ? 'none' : '';
+  siteDeletionPendingEl.style.display = payload.pending ? '' : 'none';
 }
 
-function syncPreview() {
-  const slug = postSlugInput.value.trim().toLowerCase();
-  if (previewLink) {
-    const exists = slug && (state.currentSlug === slug || state.posts.some((post) => post.postSlug === slug));
-    previewLink.href = exists ? '/preview/' + encodeURIComponent(slug) : '#';
-    previewLink.setAttribute('aria-disabled', exists ? 'false' : 'true');
+async function requestSiteDeletion() {
+  const confirmInput = document.getElementById('site-deletion-confirm');
+  const passwordInput = document.getElementById('site-deletion-password');
+  const exportAckInput = document.getElementById('site-deletion-export-ack');
+  if (confirmInput.value.trim() !== initialConfig.slug) {
+    setSiteDeletionStatus('請輸入站點 slug 確認', true);
+    return;
+  }
+  if (!exportAckInput.checked) {
+    setSiteDeletionStatus('請確認已了解備份只能在寬限期內下載', true);
+    return;
+  }
+  if (!confirm('確認刪除站點？寬限期結束後無法復原。')) {
+    return;
+  }
+  setSiteDeletionStatus('處理中...');
+  try {
+    const payload = await fetchJson('/api/site-deletion', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ confirm: confirmInput.value.trim(), password: passwordInput.value }),
+    });
+    passwordInput.value = '';
+    confirmInput.value = '';
+    exportAckInput.checked = false;
+    await refreshSiteDeletion();
+    setSiteDeletionStatus('已排定刪除，正在下載最終備份（' + new Date(payload.exportAvailableUntil).toLocaleString() + ' 前可重新下載）');
+    location.href = payload.exportUrl;
+  } catch (error) {
+    setSiteDeletionStatus(error.message || '刪除站點失敗', true);
   }
 }
 
-function resetEditor(options = {}) {
-  const { restoreDraft = true, keepEditorSelection = false } = options;
-  state.currentSlug = '';
-  state.keepEditorSelection = keepEditorSelection;
-  titleInput.value = '';
-  postSlugInput.value = '';
-  descriptionInput.value = '';
-  publishedInput.checked = true;
-  if (isPageInput) isPageInput.checked = false;
-  contentInput.value = '';
-  if (typeof updateSaveBtn === 'function') updateSaveBtn();
-  syncPreview();
-  state.comments = [];
-  renderCommentAdminList();
-  setCommentAdminStatus('');
-  if (deletePostBtn) deletePostBtn.disabled = true;
-  let restored = false;
-  if (restoreDraft) {
-    restored = tryRestoreDraft('');
+async function cancelSiteDeletion() {
+  setSiteDeletionStatus('恢復中...');
+  try {
+    await fetchJson('/api/site-deletion/cancel', { method: 'POST' });
+    await refreshSiteDeletion();
+    setSiteDeletionStatus('站點已恢復');
+  } catch (error) {
+    setSiteDeletionStatus(error.message || '恢復站點失敗', true);
   }
-  setStatus(restored ? '已恢復未發佈草稿' : 'New post');
-  markBaseline();
 }
 
-function renderPostList() {
-  if (!state.posts.length) {
-    postList.innerHTML = '<li class="muted">No posts yet</li>';
-    if (postCountEl) postCountEl.textContent = '0 篇';
+function setSessionsStatus(message, isError = false) {
+  if (!sessionsStatusEl) {
     return;
   }
+  sessionsStatusEl.textContent = message;
+  sessionsStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+}
 
-  const keyword = String(state.postFilter || '').trim().toLowerCase();
-  const filtered = keyword
-    ? state.posts.filter((post) => {
-      const text = (post.title + ' ' + post.postSlug).toLowerCase();
-      return text.includes(keyword);
-    })
-    : state.posts;
-
-  if (postCountEl) {
-    postCountEl.textContent = keyword
-      ? ('共 ' + state.posts.length + ' 篇，顯示 ' + filtered.length + ' 篇')
-      : (state.posts.length + ' 篇');
+async function refreshSessions() {
+  if (!sessionListEl) {
+    return;
   }
+  const payload = await fetchJson('/api/sessions');
+  const sessions = Array.isArray(payload.sessions) ? payload.sessions : [];
+  sessionListEl.innerHTML = sessions
+    .map((item) => '<li class="member-item">' +
+      '<span>' + escapeText(item.label || '未知裝置') + (item.current ? ' <small>（目前裝置）</small>' : '') +
+      ' <small class="muted">最近使用 ' + escapeText(new Date(item.lastSeenAt).toLocaleString()) + '</small></span>' +
+      '<button type="button" class="link-button small ghost session-revoke-btn" data-session-id="' + escapeText(item.id) + '">登出</button>' +
+    '</li>')
+    .join('') || '<li class="muted">沒有其他登入中的裝置</li>';
+}
 
-  if (!filtered.length) {
-    postList.innerHTML = '<li class="muted">沒有符合搜尋的文章</li>';
+function setPostRedirectsStatus(message, isError = false) {
+  if (!postRedirectsStatusEl) {
     return;
   }
+  postRedirectsStatusEl.textContent = message;
+  postRedirectsStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+}
 
-  postList.innerHTML = filtered
-    .map((post) => {
-      const activeClass = post.postSlug === state.currentSlug ? 'active' : '';
-      const visibilityLabel = Number(post.published) === 1 ? 'Published' : 'Draft';
-      const typeLabel = Number(post.isPage) === 1 ? 'Page' : 'Post';
-      const stateLabel = typeLabel + ' · ' + visibilityLabel;
-      return '<li><button class="post-item-btn ' + activeClass + '" data-slug="' +
-        post.postSlug + '">' +
-        escapeText(post.title) +
-        ' <small>(' + stateLabel + ')</small></button></li>';
-    })
-    .join('');
+async function refreshPostRedirects() {
+  if (!postRedirectListEl || !can('posts:write-any')) {
+    return;
+  }
+  const payload = await fetchJson('/api/post-redirects');
+  const redirects = Array.isArray(payload.redirects) ? payload.redirects : [];
+  postRedirectListEl.innerHTML = redirects
+    .map((item) => '<li class="member-item">' +
+      '<span>/' + escapeText(item.fromSlug) + ' → /' + escapeText(item.toSlug) + '</span>' +
+      '<button type="button" class="link-button small ghost post-redirect-delete-btn" data-from-slug="' + escapeText(item.fromSlug) + '">移除</button>' +
+    '</li>')
+    .join('') || '<li class="muted">尚無轉址</li>';
+}
 
-  Array.from(document.querySelectorAll('.post-item-btn')).forEach((button) => {
-    button.addEventListener('click', () => {
-      const targetSlug = button.getAttribute('data-slug');
-      if (!targetSlug || targetSlug === state.currentSlug) {
-        return;
-      }
-      if (hasUnsavedChanges() && !confirm('目前有未儲存內容，確定切換文章？')) {
-        return;
-      }
-      loadPost(targetSlug);
+async function addPostRedirect() {
+  const fromInput = document.getElementById('post-redirect-from');
+  const toInput = document.getElementById('post-redirect-to');
+  setPostRedirectsStatus('新增中...');
+  try {
+    const payload = await fetchJson('/api/post-redirects', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fromSlug: fromInput.value.trim(), toSlug: toInput.value.trim() }),
     });
-  });
+    fromInput.value = '';
+    toInput.value = '';
+    await refreshPostRedirects();
+    setPostRedirectsStatus('已新增：/' + payload.redirect.fromSlug + ' → /' + payload.redirect.toSlug);
+  } catch (error) {
+    setPostRedirectsStatus(error.message || '新增轉址失敗', true);
+  }
 }
 
-function setCommentAdminStatus(message, isError = false) {
-  if (!commentAdminStatusEl) {
+function setTotpStatus(message, isError = false) {
+  if (!totpStatusEl) {
     return;
   }
-  commentAdminStatusEl.textContent = message;
-  commentAdminStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+  totpStatusEl.textContent = message;
+  totpStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
 }
 
-function renderCommentAdminList() {
-  if (!commentAdminListEl) {
+function showRecoveryCodes(codes) {
+  if (!totpRecoveryCodesEl) {
     return;
   }
-  if (!state.currentSlug) {
-    commentAdminListEl.innerHTML = '<li class="muted">請先選擇文章。</li>';
+  totpRecoveryCodesEl.textContent = codes.length
+    ? '備用碼（每組只能使用一次，只顯示這一次）：\n' + codes.join('\n')
+    : '';
+  totpRecoveryCodesEl.style.display = codes.length ? '' : 'none';
+}
+
+async function refreshTotp() {
+  if (!totpStateEl) {
     return;
   }
-  if (!state.comments.length) {
-    commentAdminListEl.innerHTML = '<li class="muted">此文章目前沒有留言。</li>';
-    return;
+  const payload = await fetchJson('/api/totp');
+  totpStateEl.textContent = payload.enabled
+    ? '已啟用，剩餘 ' + payload.recoveryCodesRemaining + ' 組備用碼'
+    : '未啟用，登入只需要密碼';
+  totpSetupBtn.style.display = payload.enabled ? 'none' : '';
+  totpManageEl.style.display = payload.enabled ? '' : 'none';
+  if (payload.enabled) {
+    totpSetupEl.style.display = 'none';
   }
-
-  commentAdminListEl.innerHTML = state.comments
-    .map((comment) => {
-      const authorSite = comment.authorSiteSlug
-        ? '<small class="muted"> · ' + escapeText(comment.authorSiteSlug) + '.bdfz.net</small>'
-        : '';
-      const createdAt = comment.createdAt
-        ? new Date(comment.createdAt).toLocaleString()
-        : '';
-      return '<li class="comment-item" data-comment-id="' + comment.id + '">' +
-        '<p class="comment-meta">' + escapeText(comment.authorName) + authorSite + ' · ' + escapeText(createdAt) + '</p>' +
-        '<p class="comment-content">' + escapeText(comment.content || '').replace(/\n/g, '<br />') + '</p>' +
-        '<button type="button" class="comment-delete-btn" data-comment-id="' + comment.id + '">刪除留言</button>' +
-      '</li>';
-    })
-    .join('');
 }
 
-async function refreshCommentsForCurrentPost() {
-  if (!state.currentSlug) {
-    state.comments = [];
-    renderCommentAdminList();
-    return;
+async function startTotpSetup() {
+  setTotpStatus('產生金鑰中...');
+  try {
+    const payload = await fetchJson('/api/totp/setup', { method: 'POST' });
+    document.getElementById('totp-secret').value = payload.secret || '';
+    document.getElementById('totp-otpauth-link').setAttribute('href', payload.otpauthUrl || '#');
+    document.getElementById('totp-qr').innerHTML = payload.qrSvg || '';
+    document.getElementById('totp-setup-code').value = '';
+    totpSetupEl.style.display = '';
+    showRecoveryCodes([]);
+    setTotpStatus('');
+  } catch (error) {
+    setTotpStatus(error.message || '啟用失敗', true);
   }
-  setCommentAdminStatus('載入留言中...');
+}
+
+async function enableTotp() {
+  setTotpStatus('驗證中...');
   try {
-    const payload = await fetchJson('/api/admin/comments?postSlug=' + encodeURIComponent(state.currentSlug));
-    state.comments = payload.comments || [];
-    renderCommentAdminList();
-    setCommentAdminStatus('留言載入完成');
+    const payload = await fetchJson('/api/totp/enable', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: document.getElementById('totp-setup-code').value }),
+    });
+    showRecoveryCodes(Array.isArray(payload.recoveryCodes) ? payload.recoveryCodes : []);
+    await refreshTotp();
+    setTotpStatus('兩步驟驗證已啟用，請妥善保存備用碼');
   } catch (error) {
-    setCommentAdminStatus(error.message || '留言載入失敗', true);
+    setTotpStatus(error.message || '驗證失敗', true);
   }
 }
 
-async function fetchJson(path, options) {
-  const response = await fetch(path, options);
-  let payload = null;
+async function manageTotp(action) {
+  const codeInput = document.getElementById('totp-manage-code');
+  if (action === 'disable' && !confirm('確認停用兩步驟驗證？')) {
+    return;
+  }
+  setTotpStatus('驗證中...');
   try {
-    payload = await response.json();
-  } catch {
-    payload = null;
+    const payload = await fetchJson('/api/totp/' + action, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: codeInput.value }),
+    });
+    codeInput.value = '';
+    showRecoveryCodes(Array.isArray(payload.recoveryCodes) ? payload.recoveryCodes : []);
+    await refreshTotp();
+    setTotpStatus(action === 'disable' ? '兩步驟驗證已停用' : '已產生新的備用碼，舊備用碼失效');
+  } catch (error) {
+    setTotpStatus(error.message || '操作失敗', true);
   }
-  if (!response.ok) {
-    if (response.status === 401) {
-      throw new Error('登入已過期，請重新登入');
-    }
-    throw new Error((payload && payload.error) || ('Request failed (' + response.status + ')'));
+}
+
+function setPasskeysStatus(message, isError = false) {
+  if (!passkeysStatusEl) {
+    return;
   }
-  if (!payload || typeof payload !== 'object') {
-    throw new Error('Invalid server response');
+  passkeysStatusEl.textContent = message;
+  passkeysStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+}
+
+function bufferToBase64Url(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBuffer(value) {
+  return Uint8Array.from(atob(String(value || '').replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0));
+}
+
+async function refreshPasskeys() {
+  if (!passkeyListEl) {
+    return;
   }
-  return payload;
+  const payload = await fetchJson('/api/auth/passkeys');
+  const passkeys = Array.isArray(payload.passkeys) ? payload.passkeys : [];
+  passkeyListEl.innerHTML = passkeys
+    .map((item) => '<li class="member-item">' +
+      '<span>' + escapeText(item.label || '通行密鑰') +
+      ' <small class="muted">' + (item.lastUsedAt ? '最近使用 ' + escapeText(new Date(item.lastUsedAt).toLocaleString()) : '尚未使用') + '</small></span>' +
+      '<button type="button" class="link-button small ghost passkey-remove-btn" data-passkey-id="' + item.id + '">移除</button>' +
+    '</li>')
+    .join('') || '<li class="muted">尚未新增通行密鑰</li>';
 }
 
-async function refreshPosts() {
-  const payload = await fetchJson('/api/list-posts?includeDrafts=1');
-  state.posts = payload.posts || [];
-  if (state.currentSlug && !state.posts.some((post) => post.postSlug === state.currentSlug)) {
-    state.currentSlug = '';
-    if (deletePostBtn) deletePostBtn.disabled = true;
+async function addPasskey() {
+  if (!window.PublicKeyCredential || !navigator.credentials) {
+    setPasskeysStatus('此瀏覽器不支援通行密鑰', true);
+    return;
   }
-  renderPostList();
-  if (!state.currentSlug && state.posts.length && !state.keepEditorSelection) {
-    loadPost(state.posts[0].postSlug).catch((error) => {
-      setStatus(error.message || 'Failed to load first post', true);
+  setPasskeysStatus('等待裝置確認...');
+  try {
+    const options = await fetchJson('/api/auth/passkeys/register/options', { method: 'POST' });
+    const publicKey = options.publicKey;
+    const credential = await navigator.credentials.create({
+      publicKey: {
+        ...publicKey,
+        challenge: base64UrlToBuffer(publicKey.challenge),
+        user: { ...publicKey.user, id: base64UrlToBuffer(publicKey.user.id) },
+        excludeCredentials: (publicKey.excludeCredentials || []).map((item) => ({ ...item, id: base64UrlToBuffer(item.id) })),
+      },
     });
-  } else if (!state.posts.length && deletePostBtn) {
-    deletePostBtn.disabled = true;
+    const labelInput = document.getElementById('passkey-label');
+    await fetchJson('/api/auth/passkeys/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        challenge: publicKey.challenge,
+        label: labelInput ? labelInput.value : '',
+        credential: {
+          id: credential.id,
+          response: {
+            clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+            attestationObject: bufferToBase64Url(credential.response.attestationObject),
+          },
+        },
+      }),
+    });
+    if (labelInput) {
+      labelInput.value = '';
+    }
+    await refreshPasskeys();
+    setPasskeysStatus('通行密鑰已新增');
+  } catch (error) {
+    setPasskeysStatus(error.message || '新增通行密鑰失敗', true);
   }
 }
 
-async function refreshSettings() {
-  const payload = await fetchJson('/api/site-settings');
-  state.siteConfig = payload.config || state.siteConfig;
-  applySettingsToForm(state.siteConfig);
+function setApiTokensStatus(message, isError = false) {
+  if (!apiTokensStatusEl) {
+    return;
+  }
+  apiTokensStatusEl.textContent = message;
+  apiTokensStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
 }
 
-async function loadPost(slug) {
-  if (!slug) {
+async function refreshApiTokens() {
+  if (!apiTokenListEl) {
     return;
   }
+  const payload = await fetchJson('/api/tokens');
+  const tokens = Array.isArray(payload.tokens) ? payload.tokens : [];
+  apiTokenListEl.innerHTML = tokens
+    .map((item) => '<li class="member-item">' +
+      '<span>' + escapeText(item.name) + ' <small class="muted">…' + escapeText(item.tokenHint) + ' · ' + escapeText((item.scopes || []).join(', ')) +
+      ' · ' + (item.expiresAt ? '到期 ' + escapeText(new Date(item.expiresAt).toLocaleDateString()) : '永不過期') +
+      ' · ' + (item.lastUsedAt ? '最近使用 ' + escapeText(new Date(item.lastUsedAt).toLocaleString()) : '尚未使用') + '</small></span>' +
+      '<button type="button" class="link-button small ghost api-token-revoke-btn" data-token-id="' + item.id + '">撤銷</button>' +
+    '</li>')
+    .join('') || '<li class="muted">尚未建立 API Token</li>';
+}
 
-  const token = ++loadPostToken;
+async function createApiToken() {
+  const nameInput = document.getElementById('api-token-name');
+  const scopes = Array.from(document.querySelectorAll('#api-token-scopes input:checked')).map((input) => input.value);
+  setApiTokensStatus('產生中...');
   try {
-    const payload = await fetchJson('/api/posts/' + encodeURIComponent(slug));
-    if (token !== loadPostToken) {
-      return;
+    const payload = await fetchJson('/api/tokens', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: nameInput ? nameInput.value : '',
+        scopes,
+        expiresInDays: Number(document.getElementById('api-token-expiry').value),
+      }),
+    });
+    const valueInput = document.getElementById('api-token-value');
+    valueInput.value = payload.token || '';
+    valueInput.style.display = '';
+    valueInput.select();
+    if (nameInput) {
+      nameInput.value = '';
     }
-    const post = payload.post;
-    state.keepEditorSelection = false;
-    state.currentSlug = post.postSlug;
-    titleInput.value = post.title || '';
-    postSlugInput.value = post.postSlug || '';
-    descriptionInput.value = post.description || '';
-    publishedInput.checked = Number(post.published) === 1;
-    if (isPageInput) isPageInput.checked = Number(post.isPage) === 1;
-    contentInput.value = post.content || '';
-    if (deletePostBtn) deletePostBtn.disabled = false;
-    if (typeof updateSaveBtn === 'function') updateSaveBtn();
-    renderPostList();
-    tryRestoreDraft(post.postSlug);
-    markBaseline();
-    await refreshCommentsForCurrentPost();
-    setStatus('Loaded ' + post.postSlug);
-  } catch (error) {
-    if (deletePostBtn) deletePostBtn.disabled = true;
-    setStatus(error.message || 'Failed to load post', true);
+    await refreshApiTokens();
+    setApiTokensStatus('Token 只顯示這一次，請立即複製保存');
+  } catch (error) {
+    setApiTokensStatus(error.message || '產生 Token 失敗', true);
   }
 }
 
-async function savePost() {
-  if (savingPost) {
+function setMembersStatus(message, isError = false) {
+  if (!membersStatusEl) {
     return;
   }
-  const title = titleInput.value.trim();
-  const postSlug = (postSlugInput.value.trim() || toSlug(title, true)).toLowerCase();
+  membersStatusEl.textContent = message;
+  membersStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+}
 
-  if (!title) {
-    setStatus('Title is required', true);
-    return;
-  }
+function renderMembers(payload) {
+  const members = Array.isArray(payload.members) ? payload.members : [];
+  const invitations = Array.isArray(payload.invitations) ? payload.invitations : [];
+  const roleOptions = (selected) => Object.keys(ROLE_LABELS)
+    .map((role) => '<option value="' + role + '"' + (role === selected ? ' selected' : '') + '>' + ROLE_LABELS[role] + '</option>')
+    .join('');
 
-  if (!postSlug) {
-    setStatus('Post slug is required', true);
-    return;
-  }
+  memberListEl.innerHTML = members.length
+    ? members
+      .map((member) => '<li class="member-item" data-member-id="' + member.id + '">' +
+        '<span>' + escapeText(member.displayName) + ' <small class="muted">@' + escapeText(member.username) + '</small></span>' +
+        '<select class="member-role-select" data-member-id="' + member.id + '">' + roleOptions(member.role) + '</select>' +
+        '<button type="button" class="link-button small ghost member-remove-btn" data-member-id="' + member.id + '">移除</button>' +
+      '</li>')
+      .join('')
+    : '<li class="muted">尚無其他成員</li>';
+
+  invitationListEl.innerHTML = invitations
+    .map((invitation) => '<li class="member-item">' +
+      '<span>' + escapeText(ROLE_LABELS[invitation.role] || invitation.role) + ' <small class="muted">到期 ' + escapeText(new Date(invitation.expiresAt).toLocaleString()) + '</small></span>' +
+      '<button type="button" class="link-button small ghost invitation-revoke-btn" data-invitation-id="' + invitation.id + '">撤銷邀請</button>' +
+    '</li>')
+    .join('');
+}
 
-  setStatus('Saving...');
-  savingPost = true;
-  if (saveBtn) {
-    saveBtn.disabled = true;
-    saveBtn.textContent = '儲存中...';
+async function refreshMembers() {
+  if (!can('members:manage') || !memberListEl) {
+    return;
   }
+  const payload = await fetchJson('/api/site-members');
+  renderMembers(payload);
+}
 
+async function createInvitation() {
+  setMembersStatus('產生邀請中...');
   try {
-    const payload = await fetchJson('/api/posts', {
+    const payload = await fetchJson('/api/site-members/invitations', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        title,
-        postSlug,
-        previousSlug: state.currentSlug || null,
-        description: descriptionInput.value.trim(),
-        content: contentInput.value,
-        published: publishedInput.checked,
-        isPage: isPageInput ? isPageInput.checked : false,
-      }),
+      body: JSON.stringify({ role: inviteRoleSelect.value }),
     });
+    inviteLinkInput.value = payload.inviteUrl || '';
+    inviteLinkInput.select();
+    await refreshMembers();
+    setMembersStatus('邀請連結已產生，請複製後傳給對方（只顯示一次）');
+  } catch (error) {
+    setMembersStatus(error.message || '產生邀請失敗', true);
+  }
+}
 
-    state.currentSlug = payload.post.postSlug;
-    postSlugInput.value = payload.post.postSlug;
-    syncPreview();
-    await refreshPosts();
-    await refreshCommentsForCurrentPost();
-    if (publishedInput.checked) {
-      if (isPageInput && isPageInput.checked) {
-        setStatus('頁面已發佈：' + new Date().toLocaleTimeString());
-      } else {
-        setStatus('文章已發佈：' + new Date().toLocaleTimeString());
-      }
+function setMergeStatus(message, isError = false) {
+  if (!mergeStatusEl) {
+    return;
+  }
+  mergeStatusEl.textContent = message;
+  mergeStatusEl.style.color = isError ? 'var(--danger)' : 'var(--muted)';
+}
+
+function mapDiffToBase(rows, baseLength) {
+  const matches = new Array(baseLength).fill(-1);
+  let baseIndex = 0;
+  let otherIndex = 0;
+  rows.forEach((row) => {
+    if (row.type === 'same') {
+      matches[baseIndex] = otherIndex;
+      baseIndex += 1;
+      otherIndex += 1;
+    } else if (row.type === 'del') {
+      baseIndex += 1;
     } else {
-      if (isPageInput && isPageInput.checked) {
-        setStatus('頁面草稿已儲存（前台不顯示）');
-      } else {
-        setStatus('文章草稿已儲存（前台不顯示）');
-      }
+      otherIndex += 1;
     }
-    markBaseline();
-    saveDraft();
-  } catch (error) {
-    setStatus(error.message || 'Save failed', true);
-  } finally {
-    savingPost = false;
-    if (saveBtn) {
-      saveBtn.disabled = false;
+  });
+  return matches;
+}
+
+function sameLines(left, right) {
+  return left.length === right.length && left.every((line, index) => line === right[index]);
+}
+
+function mergeThreeWay(base, theirs, mine) {
+  const baseLines = String(base || '').split('\n');
+  const theirLines = String(theirs || '').split('\n');
+  const myLines = String(mine || '').split('\n');
+  const theirMatches = mapDiffToBase(diffLines(base, theirs), baseLines.length);
+  const myMatches = mapDiffToBase(diffLines(base, mine), baseLines.length);
+  const output = [];
+  let conflicts = 0;
+  let i = 0;
+  let t = 0;
+  let m = 0;
+
+  while (i < baseLines.length || t < theirLines.length || m < myLines.length) {
+    if (i < baseLines.length && theirMatches[i] === t && myMatches[i] === m) {
+      output.push(baseLines[i]);
+      i += 1;
+      t += 1;
+      m += 1;
+      continue;
     }
-    updateSaveBtn();
+
+    let next = i;
+    while (next < baseLines.length && (theirMatches[next] < 0 || myMatches[next] < 0)) {
+      next += 1;
+    }
+    const theirEnd = next < baseLines.length ? theirMatches[next] : theirLines.length;
+    const myEnd = next < baseLines.length ? myMatches[next] : myLines.length;
+    const baseChunk = baseLines.slice(i, next);
+    const theirChunk = theirLines.slice(t, theirEnd);
+    const myChunk = myLines.slice(m, myEnd);
+
+    if (sameLines(myChunk, baseChunk) || sameLines(myChunk, theirChunk)) {
+      output.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk)) {
+      output.push(...myChunk);
+    } else {
+      conflicts += 1;
+      output.push('<<<<<<< 我的版本', ...myChunk, '=======', ...theirChunk, '>>>>>>> 他人版本');
+    }
+    i = next;
+    t = theirEnd;
+    m = myEnd;
+  }
+
+  return { text: output.join('\n'), conflicts };
+}
+
+function openMergePanel(conflict, mine) {
+  if (!mergePanelEl) {
+    return;
   }
+  const theirs = conflict.deleted ? '' : String(conflict.content || '');
+  state.mergeConflict = conflict;
+  mergeBaseEl.textContent = state.baseContent;
+  mergeTheirsEl.textContent = conflict.deleted ? '（文章已被刪除）' : theirs;
+  mergeMineEl.textContent = mine;
+  const merged = mergeThreeWay(state.baseContent, theirs, mine);
+  mergeResultInput.value = merged.text;
+  mergePanelEl.style.display = '';
+  closeHistoryDrawer();
+  setMergeStatus(
+    merged.conflicts
+      ? ('有 ' + merged.conflicts + ' 處衝突，請處理 <<<<<<< / >>>>>>> 標記後套用')
+      : '已自動合併，確認後套用'
+  );
+}
+
+function closeMergePanel() {
+  state.mergeConflict = null;
+  if (mergePanelEl) {
+    mergePanelEl.style.display = 'none';
+  }
+}
+
+function applyMergeResult(useTheirs) {
+  const conflict = state.mergeConflict;
+  if (!conflict) {
+    return;
+  }
+  const result = useTheirs ? String(conflict.content || '') : mergeResultInput.value;
+  if (!useTheirs && /^(<<<<<<<|>>>>>>>) /m.test(result)) {
+    setMergeStatus('合併結果仍有衝突標記', true);
+    return;
+  }
+  contentInput.value = result;
+  if (useTheirs && conflict.title) {
+    titleInput.value = conflict.title;
+    descriptionInput.value = conflict.description || '';
+  }
+  state.baseSha = conflict.sha || '';
+  state.baseContent = String(conflict.content || '');
+  closeMergePanel();
+  saveDraft();
+  setStatus('已套用合併結果，請再次儲存');
 }
 
 async function saveSiteSettings() {
@@ -6339,7 +15343,7 @@ async function changePassword() {
   }
 
   try {
-    await fetchJson('/api/change-password', {
+    const payload = await fetchJson('/api/change-password', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -6350,7 +15354,13 @@ async function changePassword() {
     currentPasswordInput.value = '';
     newPasswordInput.value = '';
     confirmNewPasswordInput.value = '';
-    setPasswordStatus('密碼更新完成');
+    setPasswordStatus(
+      Number(payload.revokedApiTokens || 0) > 0
+        ? '密碼更新完成，其他裝置已登出，API Token 已全部撤銷'
+        : '密碼更新完成，其他裝置已登出'
+    );
+    refreshSessions().catch(() => {});
+    refreshApiTokens().catch(() => {});
   } catch (error) {
     setPasswordStatus(error.message || '更新密碼失敗', true);
   } finally {
@@ -6373,7 +15383,7 @@ if (changePasswordBtn) {
   changePasswordBtn.addEventListener('click', changePassword);
 }
 document.getElementById('logout').addEventListener('click', async () => {
-  await fetch('/api/logout', { method: 'POST' });
+  await fetch('/api/logout', withCsrfHeader({ method: 'POST' }));
   location.reload();
 });
 
@@ -6462,16 +15472,54 @@ if (previewLink) {
   });
 }
 
+let postSearchTimer = null;
+async function searchPostsFullText(keyword) {
+  const payload = await fetchJson('/api/search?includeDrafts=1&q=' + encodeURIComponent(keyword));
+  if (state.postFilter.trim() !== keyword) {
+    return;
+  }
+  state.searchSlugs = new Set((payload.results || []).map((item) => item.postSlug));
+  renderPostList();
+}
+
 if (postFilterInput) {
   postFilterInput.addEventListener('input', () => {
     state.postFilter = postFilterInput.value;
+    state.searchSlugs = null;
     renderPostList();
+    clearTimeout(postSearchTimer);
+    const keyword = state.postFilter.trim();
+    if (keyword.length < 2) {
+      return;
+    }
+    postSearchTimer = setTimeout(() => {
+      searchPostsFullText(keyword).catch((error) => {
+        setStatus(error.message || '全文搜尋失敗', true);
+      });
+    }, 300);
+  });
+}
+
+if (rebuildSearchBtn) {
+  rebuildSearchBtn.addEventListener('click', async () => {
+    rebuildSearchBtn.disabled = true;
+    setStatus('重建搜尋索引中...');
+    try {
+      const payload = await fetchJson('/api/search/reindex', { method: 'POST' });
+      setStatus('搜尋索引已重建：' + payload.indexed + ' / ' + payload.posts + ' 篇');
+    } catch (error) {
+      setStatus(error.message || '重建搜尋索引失敗', true);
+    } finally {
+      rebuildSearchBtn.disabled = false;
+    }
   });
 }
 
 contentInput.addEventListener('input', saveDraft);
 titleInput.addEventListener('input', saveDraft);
 descriptionInput.addEventListener('input', saveDraft);
+if (tagsInput) tagsInput.addEventListener('input', saveDraft);
+if (publishAtInput) publishAtInput.addEventListener('change', saveDraft);
 
 const saveBtn = document.getElementById('save');
 const saveSettingsBtn = document.getElementById('save-settings');
@@ -6525,12 +15573,36 @@ window.addEventListener('beforeunload', (event) => {
 applySettingsToForm(initialConfig);
 syncNotifyInputsState();
 resetEditor({ restoreDraft: true, keepEditorSelection: false });
-refreshSettings().catch((error) => {
-  setSettingsStatus(error.message || 'Failed to load site settings', true);
+applyRolePermissions();
+refreshMembers().catch((error) => {
+  setMembersStatus(error.message || '成員載入失敗', true);
+});
+refreshSessions().catch((error) => {
+  setSessionsStatus(error.message || '裝置列表載入失敗', true);
+});
+refreshPostRedirects().catch((error) => {
+  setPostRedirectsStatus(error.message || '轉址載入失敗', true);
+});
+refreshTotp().catch((error) => {
+  setTotpStatus(error.message || '兩步驟驗證狀態載入失敗', true);
+});
+refreshPasskeys().catch((error) => {
+  setPasskeysStatus(error.message || '通行密鑰載入失敗', true);
 });
-refreshNotifySettings().catch((error) => {
-  setSettingsStatus(error.message || 'Failed to load notification settings', true);
+refreshApiTokens().catch((error) => {
+  setApiTokensStatus(error.message || 'API Token 載入失敗', true);
 });
+refreshSiteDeletion().catch((error) => {
+  setSiteDeletionStatus(error.message || '刪除狀態載入失敗', true);
+});
+if (can('settings:write')) {
+  refreshSettings().catch((error) => {
+    setSettingsStatus(error.message || 'Failed to load site settings', true);
+  });
+  refreshNotifySettings().catch((error) => {
+    setSettingsStatus(error.message || 'Failed to load notification settings', true);
+  });
+}
 refreshPosts().catch((error) => {
   setStatus(error.message || 'Failed to load posts', true);
 });
@@ -6542,6 +15614,230 @@ setInterval(() => {
     // Ignore transient polling failures.
   });
 }, 30000);
+setInterval(() => {
+  Array.from(document.querySelectorAll('[data-publish-at]')).forEach((el) => {
+    el.textContent = formatCountdown(el.getAttribute('data-publish-at'));
+  });
+}, 30000);
+
+const toggleHistoryBtn = document.getElementById('toggle-history');
+if (toggleHistoryBtn) {
+  toggleHistoryBtn.addEventListener('click', () => {
+    if (historyDrawerEl && historyDrawerEl.style.display !== 'none') {
+      closeHistoryDrawer();
+      return;
+    }
+    openHistoryDrawer();
+  });
+}
+const closeHistoryBtn = document.getElementById('close-history');
+if (closeHistoryBtn) {
+  closeHistoryBtn.addEventListener('click', closeHistoryDrawer);
+}
+if (historyBaseSelect && historyTargetSelect) {
+  historyBaseSelect.addEventListener('change', renderRevisionDiff);
+  historyTargetSelect.addEventListener('change', renderRevisionDiff);
+}
+if (historyLoadBtn) {
+  historyLoadBtn.addEventListener('click', loadRevisionIntoEditor);
+}
+if (historyRestoreBtn) {
+  historyRestoreBtn.addEventListener('click', restoreRevision);
+}
+if (sessionListEl) {
+  sessionListEl.addEventListener('click', async (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement) || !target.classList.contains('session-revoke-btn')) {
+      return;
+    }
+    setSessionsStatus('登出裝置中...');
+    try {
+      const payload = await fetchJson('/api/sessions/' + encodeURIComponent(target.getAttribute('data-session-id') || ''), { method: 'DELETE' });
+      if (payload.current) {
+        location.reload();
+        return;
+      }
+      await refreshSessions();
+      setSessionsStatus('裝置已登出');
+    } catch (error) {
+      setSessionsStatus(error.message || '登出裝置失敗', true);
+    }
+  });
+}
+if (postRedirectListEl) {
+  postRedirectListEl.addEventListener('click', async (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement) || !target.classList.contains('post-redirect-delete-btn')) {
+      return;
+    }
+    setPostRedirectsStatus('移除中...');
+    try {
+      await fetchJson('/api/post-redirects/' + encodeURIComponent(target.getAttribute('data-from-slug') || ''), { method: 'DELETE' });
+      await refreshPostRedirects();
+      setPostRedirectsStatus('轉址已移除');
+    } catch (error) {
+      setPostRedirectsStatus(error.message || '移除轉址失敗', true);
+    }
+  });
+}
+const addPostRedirectBtn = document.getElementById('add-post-redirect');
+if (addPostRedirectBtn) {
+  addPostRedirectBtn.addEventListener('click', addPostRedirect);
+}
+if (totpSetupBtn) {
+  totpSetupBtn.addEventListener('click', startTotpSetup);
+}
+const totpEnableBtn = document.getElementById('totp-enable-btn');
+if (totpEnableBtn) {
+  totpEnableBtn.addEventListener('click', enableTotp);
+}
+const totpRegenerateBtn = document.getElementById('totp-regenerate-btn');
+if (totpRegenerateBtn) {
+  totpRegenerateBtn.addEventListener('click', () => manageTotp('recovery-codes'));
+}
+const totpDisableBtn = document.getElementById('totp-disable-btn');
+if (totpDisableBtn) {
+  totpDisableBtn.addEventListener('click', () => manageTotp('disable'));
+}
+const createApiTokenBtn = document.getElementById('create-api-token');
+if (createApiTokenBtn) {
+  createApiTokenBtn.addEventListener('click', createApiToken);
+}
+if (apiTokenListEl) {
+  apiTokenListEl.addEventListener('click', async (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement) || !target.classList.contains('api-token-revoke-btn')) {
+      return;
+    }
+    if (!confirm('確認撤銷這個 Token？使用它的腳本會立即失效。')) {
+      return;
+    }
+    try {
+      await fetchJson('/api/tokens/' + encodeURIComponent(target.getAttribute('data-token-id') || ''), { method: 'DELETE' });
+      await refreshApiTokens();
+      setApiTokensStatus('Token 已撤銷');
+    } catch (error) {
+      setApiTokensStatus(error.message || '撤銷 Token 失敗', true);
+    }
+  });
+}
+const addPasskeyBtn = document.getElementById('add-passkey');
+if (addPasskeyBtn) {
+  addPasskeyBtn.addEventListener('click', addPasskey);
+}
+if (passkeyListEl) {
+  passkeyListEl.addEventListener('click', async (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement) || !target.classList.contains('passkey-remove-btn')) {
+      return;
+    }
+    if (!confirm('確認移除這個通行密鑰？')) {
+      return;
+    }
+    try {
+      await fetchJson('/api/auth/passkeys/' + encodeURIComponent(target.getAttribute('data-passkey-id') || ''), { method: 'DELETE' });
+      await refreshPasskeys();
+      setPasskeysStatus('通行密鑰已移除');
+    } catch (error) {
+      setPasskeysStatus(error.message || '移除通行密鑰失敗', true);
+    }
+  });
+}
+const siteSlugRenameBtn = document.getElementById('site-slug-rename');
+if (siteSlugRenameBtn) {
+  siteSlugRenameBtn.addEventListener('click', renameSiteSlug);
+}
+const siteDeletionRequestBtn = document.getElementById('site-deletion-request');
+if (siteDeletionRequestBtn) {
+  siteDeletionRequestBtn.addEventListener('click', requestSiteDeletion);
+}
+const siteDeletionCancelBtn = document.getElementById('site-deletion-cancel');
+if (siteDeletionCancelBtn) {
+  siteDeletionCancelBtn.addEventListener('click', cancelSiteDeletion);
+}
+const revokeAllSessionsBtn = document.getElementById('revoke-all-sessions');
+if (revokeAllSessionsBtn) {
+  revokeAllSessionsBtn.addEventListener('click', async () => {
+    if (!confirm('確認登出所有裝置（包含目前裝置）？')) {
+      return;
+    }
+    try {
+      await fetchJson('/api/sessions/revoke-all', { method: 'POST' });
+      location.reload();
+    } catch (error) {
+      setSessionsStatus(error.message || '登出失敗', true);
+    }
+  });
+}
+const createInviteBtn = document.getElementById('create-invite');
+if (createInviteBtn) {
+  createInviteBtn.addEventListener('click', createInvitation);
+}
+if (memberListEl) {
+  memberListEl.addEventListener('change', async (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLSelectElement) || !target.classList.contains('member-role-select')) {
+      return;
+    }
+    setMembersStatus('更新角色中...');
+    try {
+      await fetchJson('/api/site-members/' + encodeURIComponent(target.getAttribute('data-member-id') || ''), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role: target.value }),
+      });
+      setMembersStatus('角色已更新');
+    } catch (error) {
+      setMembersStatus(error.message || '更新角色失敗', true);
+      await refreshMembers().catch(() => {});
+    }
+  });
+  memberListEl.addEventListener('click', async (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement) || !target.classList.contains('member-remove-btn')) {
+      return;
+    }
+    if (!confirm('確認移除此成員？')) {
+      return;
+    }
+    setMembersStatus('移除成員中...');
+    try {
+      await fetchJson('/api/site-members/' + encodeURIComponent(target.getAttribute('data-member-id') || ''), { method: 'DELETE' });
+      await refreshMembers();
+      setMembersStatus('成員已移除');
+    } catch (error) {
+      setMembersStatus(error.message || '移除成員失敗', true);
+    }
+  });
+}
+if (invitationListEl) {
+  invitationListEl.addEventListener('click', async (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement) || !target.classList.contains('invitation-revoke-btn')) {
+      return;
+    }
+    setMembersStatus('撤銷邀請中...');
+    try {
+      await fetchJson('/api/site-members/invitations/' + encodeURIComponent(target.getAttribute('data-invitation-id') || ''), { method: 'DELETE' });
+      await refreshMembers();
+      setMembersStatus('邀請已撤銷');
+    } catch (error) {
+      setMembersStatus(error.message || '撤銷邀請失敗', true);
+    }
+  });
+}
+const mergeApplyBtn = document.getElementById('merge-apply');
+if (mergeApplyBtn) {
+  mergeApplyBtn.addEventListener('click', () => applyMergeResult(false));
+}
+const mergeTakeTheirsBtn = document.getElementById('merge-take-theirs');
+if (mergeTakeTheirsBtn) {
+  mergeTakeTheirsBtn.addEventListener('click', () => applyMergeResult(true));
+}
+const mergeCancelBtn = document.getElementById('merge-cancel');
+if (mergeCancelBtn) {
+  mergeCancelBtn.addEventListener('click', closeMergePanel);
+}
 
 // ── Tab switching ──
 const tabPosts = document.getElementById('tab-posts');
@@ -6825,7 +16121,7 @@ if (importBtn && importFile) {
     try {
       const fd = new FormData();
       fd.append('file', file);
-      const res = await fetch('/api/import', { method: 'POST', body: fd });
+      const res = await fetch('/api/import', withCsrfHeader({ method: 'POST', body: fd }));
       let data = null;
       try {
         data = await res.json();
@@ -7037,6 +16333,11 @@ button:active,.link-button:active{transform:translateY(0)}
 .mode-nav{margin-top:.25rem}
 .mode-nav a.active{background:var(--accent);border-color:var(--accent);color:#fff}
 .mode-nav a.active:hover{color:#fff;filter:brightness(1.04)}
+.post-tags{margin:1.2rem 0 .4rem}
+.site-search{display:flex;gap:.5rem;margin:.4rem 0 1rem}
+.site-search input{flex:1;min-width:0}
+.search-snippet mark,.post-link mark{background:var(--accent-glow);color:inherit;padding:0 .1em}
+.post-tags a.active{background:var(--accent);border-color:var(--accent);color:#fff}
 .community-grid{display:grid;grid-template-columns:1fr 300px;gap:1.2rem}
 .community-panel{border-left:1px solid var(--line);padding-left:1rem}
 .mini-list{list-style:none;padding:0;margin:0 0 1rem;display:grid;gap:.35rem}
@@ -7138,6 +16439,28 @@ button:active,.link-button:active{transform:translateY(0)}
 .inline-check{display:inline-flex;align-items:center;gap:.5rem;margin:.4rem 0}
 .inline-check input[type="checkbox"]{width:18px;height:18px;accent-color:var(--accent)}
 .comment-admin-panel{margin-top:.8rem;display:grid;gap:.5rem}
+.history-drawer{margin-top:.8rem;border:1px solid var(--line);border-radius:10px;padding:.7rem .8rem;display:grid;gap:.5rem}
+.history-head{display:flex;align-items:center;justify-content:space-between;gap:.6rem}
+.history-compare{display:grid;gap:.35rem}
+.history-compare select{border:1px solid var(--line);background:rgba(255,255,255,.65);padding:.5rem .6rem;border-radius:8px;color:var(--ink);font-family:var(--font-mono);font-size:.8rem}
+@media(prefers-color-scheme:dark){.history-compare select{background:rgba(255,255,255,.05)}}
+.history-diff{margin:0;max-height:360px;overflow:auto;border:1px solid var(--line);border-radius:8px;padding:.5rem;font-family:var(--font-mono);font-size:.78rem;white-space:pre-wrap}
+.diff-line{display:block;min-height:1.2em}
+.diff-add{background:rgba(46,160,67,.15)}
+.diff-del{background:rgba(248,81,73,.15);text-decoration:line-through}
+.members-section{display:grid;gap:.5rem;margin-top:1rem}
+.member-list{list-style:none;margin:0;padding:0;display:grid;gap:.4rem}
+.member-item{display:flex;align-items:center;justify-content:space-between;gap:.5rem;flex-wrap:wrap}
+.totp-qr svg{display:block;width:180px;height:180px;border-radius:6px}
+.member-role-select{border:1px solid var(--line);background:rgba(255,255,255,.65);padding:.45rem .6rem;border-radius:8px;color:var(--ink);font-family:var(--font-mono);font-size:.8rem}
+@media(prefers-color-scheme:dark){.member-role-select{background:rgba(255,255,255,.05)}}
+.platform-stats{display:grid;grid-template-columns:repeat(auto-fit,minmax(110px,1fr));gap:.5rem;margin:1rem 0}
+.platform-stat{border:1px solid var(--line);border-radius:10px;padding:.6rem .7rem;display:grid;gap:.15rem}
+.merge-panel{margin-top:.8rem;border:1px solid var(--danger);border-radius:10px;padding:.7rem .8rem;display:grid;gap:.5rem}
+.merge-columns{display:grid;grid-template-columns:repeat(3,minmax(0,1fr));gap:.5rem}
+.merge-columns .history-diff{max-height:240px}
+.merge-result{min-height:220px;font-family:var(--font-mono);font-size:.8rem}
+@media(max-width:760px){.merge-columns{grid-template-columns:1fr}}
 .notification-panel{display:grid;gap:.75rem}
 .notification-list{list-style:none;margin:0;padding:0;display:grid;gap:.65rem}
 .notification-item{border:1px solid var(--line);border-radius:10px;padding:.7rem .8rem;background:rgba(255,255,255,.45);display:grid;gap:.35rem}
@@ -7362,8 +16685,128 @@ function buildWelcomePost(slug, displayName, baseDomain) {
   return `# Welcome to ${displayName} \n\n你已成功建立站點：\`${slug}.${baseDomain}\`。\n\n- 前台首頁：https://${slug}.${baseDomain}\n- 後台編輯：https://${slug}.${baseDomain}/admin\n\n現在你可以直接在後台開始寫作，體驗會偏向 Bear 的簡潔流。\n`;
 }
 
+export function parseFrontMatter(source) {
+  const text = String(source || "").replace(/^\uFEFF/, "").replace(/\r\n/g, "\n");
+  const empty = { data: {}, body: text, hasFrontMatter: false };
+  if (!text.startsWith("---\n")) {
+    return empty;
+  }
+
+  const lines = text.split("\n");
+  const closingIndex = lines.findIndex(
+    (line, index) => index > 0 && (line === "---" || line === "...")
+  );
+  if (closingIndex < 0) {
+    return empty;
+  }
+
+  const data = {};
+  for (const line of lines.slice(1, closingIndex)) {
+    if (!line.trim() || line.trim().startsWith("#")) {
+      continue;
+    }
+    const match = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!match) {
+      return empty;
+    }
+    data[match[1]] = parseFrontMatterValue(match[2].trim());
+  }
+  // Legacy posts may open with a `---` block of plain "Label: text" lines; keep those as body.
+  if (!Object.keys(data).some((key) => POST_FRONT_MATTER_KEYS.has(key))) {
+    return empty;
+  }
+
+  const rest = lines.slice(closingIndex + 1);
+  if (rest.length && !rest[0].trim()) {
+    rest.shift();
+  }
+  return { data, body: rest.join("\n"), hasFrontMatter: true };
+}
+
+function parseFrontMatterValue(raw) {
+  if (raw.startsWith('"') && raw.endsWith('"') && raw.length >= 2) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw.slice(1, -1);
+    }
+  }
+  if (raw.startsWith("'") && raw.endsWith("'") && raw.length >= 2) {
+    return raw.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^(true|yes)$/i.test(raw)) {
+    return true;
+  }
+  if (/^(false|no)$/i.test(raw)) {
+    return false;
+  }
+  if (raw === "~" || /^null$/i.test(raw)) {
+    return null;
+  }
+  if (raw.startsWith("[") && raw.endsWith("]")) {
+    return raw
+      .slice(1, -1)
+      .split(",")
+      .map((item) => parseFrontMatterValue(item.trim()))
+      .filter((item) => item !== "" && item !== null);
+  }
+  return raw;
+}
+
+export function buildPostDocument(meta, body) {
+  const isPublished = Number(meta.published) === 1 || meta.published === true;
+  const lines = [
+    "---",
+    `title: ${JSON.stringify(String(meta.title || ""))}`,
+    `description: ${JSON.stringify(String(meta.description || ""))}`,
+    `published: ${isPublished ? "true" : "false"}`,
+    `is_page: ${Number(meta.isPage) === 1 || meta.isPage === true ? "true" : "false"}`,
+    `created_at: ${JSON.stringify(String(meta.createdAt || ""))}`,
+    `updated_at: ${JSON.stringify(String(meta.updatedAt || ""))}`,
+  ];
+  const tags = normalizePostTags(meta.tags || []);
+  if (tags.length) {
+    lines.push(`tags: ${JSON.stringify(tags)}`);
+  }
+  const publishAt = isPublished ? "" : normalizePublishAt(meta.publishAt);
+  if (publishAt) {
+    lines.push(`publish_at: ${JSON.stringify(publishAt)}`);
+  }
+  lines.push("---", "");
+  return `${lines.join("\n")}${parseFrontMatter(body).body}`;
+}
+
+function postMetaFromFrontMatter(data, fallback = {}) {
+  const safe = data && typeof data === "object" ? data : {};
+  const toFlag = (value, defaultValue) => {
+    if (value === undefined || value === null || value === "") {
+      return defaultValue ? 1 : 0;
+    }
+    return value === true || value === 1 || String(value).toLowerCase() === "true" ? 1 : 0;
+  };
+  const toIsoDate = (value, defaultValue) => {
+    const date = new Date(value || "");
+    return Number.isNaN(date.getTime()) ? defaultValue : date.toISOString();
+  };
+  const updatedAt = toIsoDate(safe.updated_at, fallback.updatedAt || new Date().toISOString());
+  const published = toFlag(safe.published, fallback.published === undefined ? true : Number(fallback.published) === 1);
+
+  return {
+    title: sanitizeTitle(safe.title || "") || sanitizeTitle(fallback.title || ""),
+    description: sanitizeDescription(
+      safe.description === undefined ? fallback.description || "" : safe.description || ""
+    ),
+    published,
+    isPage: toFlag(safe.is_page, Number(fallback.isPage) === 1),
+    createdAt: toIsoDate(safe.created_at, fallback.createdAt || updatedAt),
+    updatedAt,
+    tags: normalizePostTags(safe.tags === undefined ? fallback.tags || [] : safe.tags || []),
+    publishAt: published ? "" : normalizePublishAt(safe.publish_at),
+  };
+}
+
 export function renderMarkdown(source) {
-  const lines = String(source || "").replace(/\r\n/g, "\n").split("\n");
+  const lines = parseFrontMatter(source).body.split("\n");
 
   const blocks = [];
   let paragraph = [];
@@ -2,7 +2,7 @@ import test from "node:test";
 import assert from "node:assert/strict";
 import vm from "node:vm";
 
-import { renderAdminPage } from "../src/index.js";
+import { renderAdminPage, renderPlatformAdminPage } from "../src/index.js";
 
 test("admin inline script parses without syntax error", () => {
   const html = renderAdminPage(
@@ -42,3 +42,88 @@ test("admin inline script parses without syntax error", () => {
   });
 });
 
+
+test("admin inline script parses for a collaborator session", () => {
+  const html = renderAdminPage(
+    {
+      id: 1,
+      slug: "suen",
+      displayName: "suen",
+      description: "",
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    },
+    {
+      slug: "suen",
+      displayName: "suen",
+      description: "",
+      colorTheme: "default",
+      headerLinks: [],
+    },
+    true,
+    "bdfz.net",
+    { id: 3, username: "amy", displayName: "Amy", role: "author", permissions: ["posts:write"] }
+  );
+
+  const match = html.match(/<script>([\s\S]*?)<\/script>/);
+  assert.ok(match, "admin page script should exist");
+  assert.match(match[1], /"role":"author"/);
+  assert.doesNotThrow(() => {
+    new vm.Script(match[1]);
+  });
+});
+
+test("platform console inline scripts parse for both login states", () => {
+  for (const authed of [false, true]) {
+    const html = renderPlatformAdminPage("bdfz.net", authed, "csrf-token");
+    const scripts = [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)].map((match) => match[1]);
+    assert.ok(scripts.length > 0, "platform page script should exist");
+    for (const scriptSource of scripts) {
+      assert.doesNotThrow(() => {
+        new vm.Script(scriptSource);
+      });
+    }
+  }
+});
+
+function loadAdminFunctions(names) {
+  const html = renderAdminPage(
+    { id: 1, slug: "suen", displayName: "suen", description: "" },
+    { slug: "suen", displayName: "suen", description: "", colorTheme: "default", headerLinks: [] },
+    true,
+    "bdfz.net"
+  );
+  const script = html.match(/<script>([\s\S]*?)<\/script>/)[1];
+  const sources = names.map((name) => {
+    const start = script.indexOf(`\nfunction ${name}(`);
+    assert.ok(start > -1, `${name} should exist in the admin script`);
+    return script.slice(start, script.indexOf("\n}\n", start) + 3);
+  });
+  const context = {};
+  vm.runInNewContext(`${sources.join("\n")}\nthis.exports = { ${names.join(", ")} };`, context);
+  return context.exports;
+}
+
+test("admin mergeThreeWay keeps both sides of separate edits and marks overlaps", () => {
+  const { mergeThreeWay } = loadAdminFunctions(["diffLines", "mapDiffToBase", "sameLines", "mergeThreeWay"]);
+  const base = ["title", "alpha", "beta", "gamma", "end"].join("\n");
+
+  const clean = mergeThreeWay(
+    base,
+    ["title", "alpha (theirs)", "beta", "gamma", "end"].join("\n"),
+    ["title", "alpha", "beta", "gamma (mine)", "end", "appendix"].join("\n")
+  );
+  assert.equal(clean.conflicts, 0);
+  assert.equal(clean.text, ["title", "alpha (theirs)", "beta", "gamma (mine)", "end", "appendix"].join("\n"));
+
+  const same = mergeThreeWay(base, base.replace("beta", "BETA"), base.replace("beta", "BETA"));
+  assert.equal(same.conflicts, 0);
+  assert.equal(same.text, base.replace("beta", "BETA"));
+
+  const overlap = mergeThreeWay(base, base.replace("beta", "beta (theirs)"), base.replace("beta", "beta (mine)"));
+  assert.equal(overlap.conflicts, 1);
+  assert.equal(
+    overlap.text,
+    ["title", "alpha", "<<<<<<< 我的版本", "beta (mine)", "=======", "beta (theirs)", ">>>>>>> 他人版本", "gamma", "end"].join("\n")
+  );
+});
@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash, createHmac } from "node:crypto";
+
+import worker from "../src/index.js";
+
+const SECRET = "session-secret";
+const SITE = { id: 7, slug: "demo", displayName: "Demo", adminSecretHash: "x", status: null };
+const AUTHOR = { id: 3, username: "amy", displayName: "Amy", role: "author" };
+
+function createDb() {
+  const tokens = [];
+  return {
+    tokens,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return params[0] === SITE.slug ? SITE : null;
+          }
+          if (/FROM site_sessions ss/.test(sql)) {
+            return params[0] === "sid-1"
+              ? { id: "sid-1", memberId: AUTHOR.id, lastSeenAt: new Date().toISOString(), slug: SITE.slug }
+              : null;
+          }
+          if (/FROM site_members\s+WHERE site_id = \? AND id = \?/.test(sql)) {
+            return params[1] === AUTHOR.id ? AUTHOR : null;
+          }
+          if (/FROM site_api_tokens\s+WHERE site_id = \?\s+AND token_hash/.test(sql)) {
+            return tokens.find((token) => token.tokenHash === params[1]) || null;
+          }
+          return null;
+        },
+        async all() {
+          return { results: [] };
+        },
+        async run() {
+          if (/INSERT INTO site_api_tokens/.test(sql)) {
+            tokens.push({
+              id: tokens.length + 1,
+              memberId: params[1],
+              tokenHash: params[3],
+              scopes: params[5],
+              lastUsedAt: new Date().toISOString(),
+            });
+            return { meta: { changes: 1, last_row_id: tokens.length } };
+          }
+          return { meta: { changes: 0 } };
+        },
+      };
+      return statement;
+    },
+  };
+}
+
+function hmac(value) {
+  return createHmac("sha256", SECRET).update(value).digest("hex");
+}
+
+function sessionCookie() {
+  const payload = Buffer.from(
+    JSON.stringify({ slug: SITE.slug, exp: Date.now() + 60_000, mid: AUTHOR.id, sid: "sid-1" })
+  ).toString("base64url");
+  return `stublogs_session=${payload}.${hmac(payload)}`;
+}
+
+function createTokenRequest(scopes) {
+  return new Request("https://demo.bdfz.net/api/tokens", {
+    method: "POST",
+    headers: {
+      host: "demo.bdfz.net",
+      "content-type": "application/json",
+      cookie: sessionCookie(),
+      "x-csrf-token": hmac("csrf:sid-1"),
+    },
+    body: JSON.stringify({ name: "cli", scopes }),
+  });
+}
+
+test("authors can mint posts:write tokens that stay capped to their role", async () => {
+  const env = { BASE_DOMAIN: "bdfz.net", SESSION_SECRET: SECRET, DB: createDb() };
+
+  const created = await worker.fetch(createTokenRequest(["posts:write"]), env, {});
+  assert.equal(created.status, 201);
+  const payload = await created.json();
+  assert.deepEqual(payload.apiToken.scopes, ["posts:write"]);
+  assert.equal(env.DB.tokens[0].tokenHash, createHash("sha256").update(payload.token).digest("hex"));
+
+  const denied = await worker.fetch(createTokenRequest(["settings:write"]), env, {});
+  assert.equal(denied.status, 403);
+  assert.match((await denied.json()).error, /settings:write/);
+
+  const writeAny = await worker.fetch(
+    new Request("https://demo.bdfz.net/api/post-redirects", {
+      headers: { host: "demo.bdfz.net", authorization: `Bearer ${payload.token}` },
+    }),
+    env,
+    {}
+  );
+  assert.equal(writeAny.status, 403);
+});
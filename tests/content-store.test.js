@@ -0,0 +1,135 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import worker, { getContentStore } from "../src/index.js";
+
+test("getContentStore defaults to github and rejects unknown kinds", () => {
+  assert.equal(getContentStore({}).kind, "github");
+  assert.equal(getContentStore({ CONTENT_STORE: " FS " }).kind, "fs");
+  assert.throws(() => getContentStore({ CONTENT_STORE: "dropbox" }), /Unknown CONTENT_STORE: dropbox/);
+  assert.throws(() => getContentStore({ CONTENT_STORE: "constructor" }), /Unknown CONTENT_STORE/);
+});
+
+test("fs content store reads the existing sites/ layout", async () => {
+  const env = { CONTENT_STORE: "fs", CONTENT_FS_ROOT: "." };
+  const store = getContentStore(env);
+  const file = await store.read(env, "sites/p9/site.json");
+  assert.ok(file);
+  assert.equal(JSON.parse(file.content).slug, "p9");
+  assert.match(file.sha, /^[0-9a-f]{64}$/);
+  assert.equal(await store.read(env, "sites/p9/posts/missing-post.md"), null);
+});
+
+test("fs content store writes, deletes and rejects path traversal", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-store-"));
+  try {
+    const env = { CONTENT_STORE: "fs", CONTENT_FS_ROOT: root };
+    const store = getContentStore(env);
+    const written = await store.write(env, "sites/demo/posts/hello.md", "# Hi\n", "test");
+    assert.equal(await readFile(join(root, "sites/demo/posts/hello.md"), "utf8"), "# Hi\n");
+    assert.equal((await store.read(env, "sites/demo/posts/hello.md")).sha, written.sha);
+    assert.deepEqual(await store.delete(env, "sites/demo/posts/hello.md", "test"), { deleted: true });
+    assert.deepEqual(await store.delete(env, "sites/demo/posts/hello.md", "test"), { deleted: false });
+    await assert.rejects(() => store.read(env, "sites/../../etc/passwd"), /Invalid content path/);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test("fs content store commits a batch of writes and deletes", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-store-"));
+  try {
+    const env = { CONTENT_STORE: "fs", CONTENT_FS_ROOT: root };
+    const store = getContentStore(env);
+    await store.write(env, "sites/demo/posts/old.md", "old\n", "seed");
+    const committed = await store.commit(
+      env,
+      [
+        { path: "sites/demo/posts/new.md", content: "new\n" },
+        { path: "sites/demo/posts/old.md", delete: true },
+      ],
+      "rename"
+    );
+    assert.match(committed.files["sites/demo/posts/new.md"], /^[0-9a-f]{64}$/);
+    assert.equal(await store.read(env, "sites/demo/posts/old.md"), null);
+    assert.equal((await store.read(env, "sites/demo/posts/new.md")).content, "new\n");
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test("fs content store lists files under a prefix", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-store-"));
+  try {
+    const env = { CONTENT_STORE: "fs", CONTENT_FS_ROOT: root };
+    const store = getContentStore(env);
+    await store.write(env, "sites/demo/site.json", "{}\n", "seed");
+    await store.write(env, "sites/demo/posts/hello.md", "# Hi\n", "seed");
+    const listing = await store.list(env, "sites/");
+    assert.equal(listing.truncated, false);
+    assert.deepEqual(
+      listing.files.map((file) => file.path),
+      ["sites/demo/posts/hello.md", "sites/demo/site.json"]
+    );
+    assert.deepEqual((await store.list(env, "sites/missing/")).files, []);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test("platform reindex refuses to prune when the tree listing is truncated", async () => {
+  const originalFetch = globalThis.fetch;
+  const statements = [];
+  const env = {
+    BASE_DOMAIN: "bdfz.net",
+    PLATFORM_ADMIN_TOKEN: "platform-token",
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_TOKEN: "token",
+    DB: {
+      prepare(sql) {
+        statements.push(sql);
+        const statement = {
+          bind: () => statement,
+          all: async () => ({ results: [] }),
+          first: async () => null,
+          run: async () => ({ meta: { changes: 0 } }),
+        };
+        return statement;
+      },
+    },
+  };
+  const request = (body) =>
+    new Request("https://app.bdfz.net/api/platform/reindex", {
+      method: "POST",
+      headers: {
+        host: "app.bdfz.net",
+        "content-type": "application/json",
+        authorization: "Bearer platform-token",
+      },
+      body: JSON.stringify(body),
+    });
+  globalThis.fetch = async () =>
+    new Response(
+      JSON.stringify({
+        truncated: true,
+        tree: [{ type: "blob", path: "sites/demo/site.json", sha: "abc" }],
+      }),
+      { status: 200, headers: { "content-type": "application/json" } }
+    );
+  try {
+    const refused = await worker.fetch(request({ mode: "repair", prune: true }), env, {});
+    assert.equal(refused.status, 502);
+    assert.match((await refused.json()).detail, /truncated/);
+    assert.equal(statements.some((sql) => /DELETE/i.test(sql)), false);
+
+    const dryRun = await worker.fetch(request({ mode: "dry-run", prune: true }), env, {});
+    assert.equal(dryRun.status, 200);
+    assert.equal((await dryRun.json()).truncated, true);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
@@ -0,0 +1,132 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+
+import worker from "../src/index.js";
+
+const env = { BASE_DOMAIN: "bdfz.net" };
+
+function buildRequest(headers = {}) {
+  return new Request("https://app.bdfz.net/api/posts", {
+    method: "POST",
+    headers: {
+      host: "app.bdfz.net",
+      "content-type": "application/json",
+      cookie: "stublogs_session=token",
+      ...headers,
+    },
+    body: "{}",
+  });
+}
+
+test("cookie-bearing writes from sibling sites are blocked", async () => {
+  const sameSite = await worker.fetch(buildRequest({ "sec-fetch-site": "same-site" }), env, {});
+  assert.equal(sameSite.status, 403);
+  assert.equal((await sameSite.json()).error, "Cross-site request blocked");
+
+  const crossSite = await worker.fetch(buildRequest({ "sec-fetch-site": "cross-site" }), env, {});
+  assert.equal(crossSite.status, 403);
+
+  const foreignOrigin = await worker.fetch(
+    buildRequest({ origin: "https://evil.bdfz.net" }),
+    env,
+    {}
+  );
+  assert.equal(foreignOrigin.status, 403);
+});
+
+const SECRET = "session-secret";
+
+function hmac(value) {
+  return createHmac("sha256", SECRET).update(value).digest("hex");
+}
+
+function sessionCookie(sid) {
+  const payload = Buffer.from(
+    JSON.stringify({ slug: "demo", exp: Date.now() + 60_000, mid: 0, sid })
+  ).toString("base64url");
+  return `stublogs_session=${payload}.${hmac(payload)}`;
+}
+
+const sessionEnv = {
+  BASE_DOMAIN: "bdfz.net",
+  SESSION_SECRET: SECRET,
+  DB: {
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return params[0] === "demo" ? { id: 7, slug: "demo", displayName: "Demo", status: null } : null;
+          }
+          if (/FROM site_sessions ss/.test(sql)) {
+            return ["sid-1", "sid-2"].includes(params[0])
+              ? { id: params[0], memberId: 0, lastSeenAt: new Date().toISOString(), slug: "demo" }
+              : null;
+          }
+          return null;
+        },
+        async all() {
+          return { results: [] };
+        },
+        async run() {
+          return { meta: { changes: 0 } };
+        },
+      };
+      return statement;
+    },
+  },
+};
+
+function sessionRequest(path, headers = {}) {
+  return new Request(`https://demo.bdfz.net${path}`, {
+    method: "POST",
+    headers: {
+      host: "demo.bdfz.net",
+      "content-type": "application/json",
+      cookie: sessionCookie("sid-1"),
+      ...headers,
+    },
+    body: "{}",
+  });
+}
+
+test("session writes need the CSRF token bound to their own session", async () => {
+  const missing = await worker.fetch(sessionRequest("/api/posts"), sessionEnv, {});
+  assert.equal(missing.status, 403);
+  assert.match((await missing.json()).error, /Invalid CSRF token/);
+
+  const otherSession = await worker.fetch(
+    sessionRequest("/api/posts", { "x-csrf-token": hmac("csrf:sid-2") }),
+    sessionEnv,
+    {}
+  );
+  assert.equal(otherSession.status, 403);
+  assert.match((await otherSession.json()).error, /Invalid CSRF token/);
+
+  const ownSession = await worker.fetch(
+    sessionRequest("/api/posts", { "x-csrf-token": hmac("csrf:sid-1") }),
+    sessionEnv,
+    {}
+  );
+  assert.doesNotMatch(String((await ownSession.json()).error || ""), /CSRF/);
+});
+
+test("exempt paths skip the CSRF token but keep the origin check", async () => {
+  for (const path of ["/api/login", "/api/view", "/api/comments"]) {
+    const response = await worker.fetch(sessionRequest(path), sessionEnv, {});
+    const payload = await response.json();
+    assert.doesNotMatch(String(payload.error || ""), /CSRF|Cross-site/, path);
+  }
+
+  const crossSite = await worker.fetch(
+    sessionRequest("/api/login", { "sec-fetch-site": "cross-site" }),
+    sessionEnv,
+    {}
+  );
+  assert.equal(crossSite.status, 403);
+});
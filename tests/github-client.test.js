@@ -0,0 +1,213 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import worker, { getContentStore, getGithubTelemetry } from "../src/index.js";
+
+const env = {
+  BASE_DOMAIN: "bdfz.net",
+  GITHUB_OWNER: "owner",
+  GITHUB_REPO: "repo",
+  GITHUB_TOKEN: "token",
+};
+
+function withStubbedFetch(responses, run) {
+  const originalFetch = globalThis.fetch;
+  const originalRandom = Math.random;
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url: String(url), method: init?.method || "GET", body: init?.body ? JSON.parse(init.body) : null });
+    const next = responses.shift();
+    if (!next) {
+      throw new Error("unexpected fetch");
+    }
+    return next();
+  };
+  Math.random = () => 0;
+  return Promise.resolve(run(calls)).finally(() => {
+    globalThis.fetch = originalFetch;
+    Math.random = originalRandom;
+  });
+}
+
+function contentResponse(content, headers = {}) {
+  return new Response(
+    JSON.stringify({ sha: "abc123", content: Buffer.from(content).toString("base64") }),
+    { status: 200, headers: { "content-type": "application/json", ...headers } }
+  );
+}
+
+test("github client retries server errors and records rate-limit headers", async () => {
+  await withStubbedFetch(
+    [
+      () => new Response("bad gateway", { status: 502 }),
+      () =>
+        contentResponse("hello", {
+          "x-ratelimit-limit": "5000",
+          "x-ratelimit-remaining": "4998",
+          "x-ratelimit-used": "2",
+          "x-ratelimit-reset": "1900000000",
+        }),
+    ],
+    async (calls) => {
+      const retriesBefore = getGithubTelemetry().retries;
+      const file = await getContentStore(env).read(env, "sites/demo/site.json");
+      assert.equal(file.content, "hello");
+      assert.equal(calls.length, 2);
+      assert.equal(getGithubTelemetry().retries, retriesBefore + 1);
+      assert.equal(getGithubTelemetry().rateLimit.remaining, 4998);
+    }
+  );
+
+  const publicHealth = await worker.fetch(new Request("https://app.bdfz.net/healthz"), env, {});
+  assert.deepEqual(await publicHealth.json(), {
+    ok: true,
+    status: "ok",
+    github: { circuit: { state: "closed" } },
+  });
+
+  const health = await worker.fetch(
+    new Request("https://app.bdfz.net/healthz", { headers: { authorization: "Bearer platform-token" } }),
+    { ...env, PLATFORM_ADMIN_TOKEN: "platform-token" },
+    {}
+  );
+  const body = await health.json();
+  assert.equal(body.ok, true);
+  assert.equal(body.github.rateLimit.limit, 5000);
+  assert.equal(body.github.circuit.state, "closed");
+  assert.equal(typeof body.github.lastError, "string");
+});
+
+test("github client does not retry non-idempotent writes on server errors", async () => {
+  await withStubbedFetch(
+    [
+      () => new Response("not found", { status: 404 }),
+      () => new Response("unavailable", { status: 503 }),
+    ],
+    async (calls) => {
+      await assert.rejects(
+        () => getContentStore(env).write(env, "sites/demo/site.json", "{}", "test"),
+        /GitHub write failed: 503/
+      );
+      assert.deepEqual(calls.map((call) => call.method), ["GET", "PUT"]);
+    }
+  );
+});
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: { "content-type": "application/json" } });
+}
+
+function commitResponses(headSha, { tree = () => jsonResponse({ sha: "tree1" }), patch = 200 } = {}) {
+  return [
+    () => jsonResponse({ object: { sha: headSha } }),
+    () => jsonResponse({ sha: headSha, tree: { sha: `${headSha}-tree` } }),
+    tree,
+    () => jsonResponse({ sha: "commit1" }),
+    () => (patch === 200 ? jsonResponse({ object: { sha: "commit1" } }) : new Response("not a fast forward", { status: patch })),
+  ];
+}
+
+test("github commits delete with null tree entries and no extra reads", async () => {
+  await withStubbedFetch(commitResponses("head1"), async (calls) => {
+    const committed = await getContentStore(env).commit(
+      env,
+      [{ path: "sites/demo/posts/old.md", delete: true }],
+      "delete"
+    );
+    assert.equal(committed.sha, "commit1");
+    assert.equal(calls.some((call) => call.url.includes("/contents/")), false);
+    const treeCall = calls.find((call) => call.url.endsWith("/git/trees"));
+    assert.deepEqual(treeCall.body.tree, [
+      { path: "sites/demo/posts/old.md", mode: "100644", type: "blob", sha: null },
+    ]);
+    assert.deepEqual(calls.at(-1).body, { sha: "commit1", force: false });
+  });
+});
+
+test("github commits drop deletes of missing paths when the tree is rejected", async () => {
+  await withStubbedFetch(
+    [
+      () => jsonResponse({ sha: "blob1" }),
+      ...commitResponses("head1", { tree: () => new Response("tree.sha not found", { status: 422 }) }).slice(0, 3),
+      () => new Response("not found", { status: 404 }),
+      () => jsonResponse({ sha: "tree1" }),
+      ...commitResponses("head1").slice(3),
+    ],
+    async (calls) => {
+      await getContentStore(env).commit(
+        env,
+        [
+          { path: "sites/demo/posts/new.md", content: "new\n" },
+          { path: "sites/demo/posts/gone.md", delete: true },
+        ],
+        "rename"
+      );
+      const trees = calls.filter((call) => call.url.endsWith("/git/trees"));
+      assert.equal(trees.length, 2);
+      assert.deepEqual(trees[1].body.tree.map((entry) => entry.path), ["sites/demo/posts/new.md"]);
+    }
+  );
+});
+
+test("github commits pinned to a base sha fail when the branch has moved", async () => {
+  await withStubbedFetch([() => jsonResponse({ object: { sha: "head2" } })], async (calls) => {
+    await assert.rejects(
+      () =>
+        getContentStore(env).commit(
+          env,
+          [{ path: "sites/demo/posts/old.md", delete: true }],
+          "delete",
+          { baseSha: "head1" }
+        ),
+      (error) => error.status === 409
+    );
+    assert.equal(calls.length, 1);
+  });
+});
+
+test("github commits retry a lost ref race only when the new commits left their paths alone", async () => {
+  const change = [{ path: "sites/demo/posts/a.md", delete: true }];
+  await withStubbedFetch(
+    [
+      ...commitResponses("head1", { patch: 422 }),
+      () => jsonResponse({ object: { sha: "head2" } }),
+      () => jsonResponse({ files: [{ filename: "sites/other/posts/b.md" }] }),
+      ...commitResponses("head2").slice(1),
+    ],
+    async (calls) => {
+      const committed = await getContentStore(env).commit(env, change, "delete");
+      assert.equal(committed.sha, "commit1");
+      assert.ok(calls.some((call) => call.url.endsWith("/compare/head1...head2")));
+    }
+  );
+
+  await withStubbedFetch(
+    [
+      ...commitResponses("head1", { patch: 422 }),
+      () => jsonResponse({ object: { sha: "head2" } }),
+      () => jsonResponse({ files: [{ filename: "sites/demo/posts/a.md" }] }),
+    ],
+    async () => {
+      await assert.rejects(
+        () => getContentStore(env).commit(env, change, "delete"),
+        (error) => error.status === 409
+      );
+    }
+  );
+});
+
+test("github client opens the circuit after repeated failures", async () => {
+  const failures = Array.from({ length: 30 }, () => () => new Response("down", { status: 503 }));
+  await withStubbedFetch(failures, async (calls) => {
+    const store = getContentStore(env);
+    while (getGithubTelemetry().circuit.state !== "open") {
+      await assert.rejects(() => store.read(env, "sites/demo/site.json"), /GitHub read failed: 503/);
+    }
+    const callsBefore = calls.length;
+    await assert.rejects(
+      () => store.read(env, "sites/demo/site.json"),
+      (error) => error.status === 503 && /circuit open/.test(error.message)
+    );
+    assert.equal(calls.length, callsBefore);
+  });
+});
@@ -0,0 +1,286 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+
+import worker from "../src/index.js";
+
+const SECRET = "webhook-secret";
+
+function buildRequest(body, headers = {}) {
+  return new Request("https://app.bdfz.net/api/hooks/github", {
+    method: "POST",
+    headers: {
+      host: "app.bdfz.net",
+      "content-type": "application/json",
+      ...headers,
+    },
+    body,
+  });
+}
+
+function sign(body) {
+  return `sha256=${createHmac("sha256", SECRET).update(body).digest("hex")}`;
+}
+
+const env = { BASE_DOMAIN: "bdfz.net", GITHUB_WEBHOOK_SECRET: SECRET };
+
+test("github webhook rejects unsigned and mis-signed payloads", async () => {
+  const body = JSON.stringify({ zen: "hi" });
+  const unsigned = await worker.fetch(buildRequest(body, { "x-github-event": "ping" }), env, {});
+  assert.equal(unsigned.status, 401);
+
+  const forged = await worker.fetch(
+    buildRequest(body, { "x-github-event": "ping", "x-hub-signature-256": sign("{}") }),
+    env,
+    {}
+  );
+  assert.equal(forged.status, 401);
+});
+
+test("github webhook accepts signed ping and ignores non-push events", async () => {
+  const body = JSON.stringify({ zen: "hi" });
+  const ping = await worker.fetch(
+    buildRequest(body, { "x-github-event": "ping", "x-hub-signature-256": sign(body) }),
+    env,
+    {}
+  );
+  assert.equal(ping.status, 200);
+
+  const issue = await worker.fetch(
+    buildRequest(body, { "x-github-event": "issues", "x-hub-signature-256": sign(body) }),
+    env,
+    {}
+  );
+  assert.equal(issue.status, 202);
+});
+
+test("github webhook is disabled without a secret", async () => {
+  const body = JSON.stringify({});
+  const response = await worker.fetch(
+    buildRequest(body, { "x-github-event": "push", "x-hub-signature-256": sign(body) }),
+    { BASE_DOMAIN: "bdfz.net" },
+    {}
+  );
+  assert.equal(response.status, 503);
+});
+
+test("platform reindex requires the platform admin token", async () => {
+  const request = (headers = {}) =>
+    new Request("https://app.bdfz.net/api/platform/reindex", {
+      method: "POST",
+      headers: { host: "app.bdfz.net", "content-type": "application/json", ...headers },
+      body: JSON.stringify({ mode: "dry-run" }),
+    });
+
+  const unconfigured = await worker.fetch(request(), env, {});
+  assert.equal(unconfigured.status, 503);
+
+  const adminEnv = { ...env, PLATFORM_ADMIN_TOKEN: "platform-token" };
+  const anonymous = await worker.fetch(request(), adminEnv, {});
+  assert.equal(anonymous.status, 401);
+  const wrong = await worker.fetch(request({ authorization: "Bearer nope" }), adminEnv, {});
+  assert.equal(wrong.status, 401);
+});
+
+const githubEnv = {
+  ...env,
+  GITHUB_OWNER: "owner",
+  GITHUB_REPO: "repo",
+  GITHUB_TOKEN: "token",
+};
+
+function createPushDb(posts) {
+  const statements = [];
+  return {
+    statements,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        sql,
+        bind(...values) {
+          params = values;
+          statement.params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return params[0] === "demo" ? { id: 7, slug: "demo", displayName: "Demo", status: null } : null;
+          }
+          if (/FROM posts\s+WHERE site_id = \? AND post_slug = \?/.test(sql)) {
+            const post = posts[params[1]];
+            return post ? { postSlug: params[1], title: params[1], published: 1, isPage: 0, ...post } : null;
+          }
+          if (/FROM post_contents\s+WHERE site_id = \? AND post_slug = \?/.test(sql)) {
+            const post = posts[params[1]];
+            return post ? { content: "", contentHtml: "", contentSha: post.sha, renderVersion: 2 } : null;
+          }
+          return null;
+        },
+        async all() {
+          return { results: [] };
+        },
+        async run() {
+          statements.push({ sql, params });
+          return { meta: { changes: 1 } };
+        },
+      };
+      return statement;
+    },
+    async batch(batched) {
+      statements.push(...batched.map((entry) => ({ sql: entry.sql, params: entry.params || [] })));
+      return batched.map(() => ({ meta: { changes: 1 } }));
+    },
+  };
+}
+
+async function withGithubFiles(files, run, { compare = [] } = {}) {
+  const originalFetch = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    const target = new URL(String(url));
+    calls.push(target.pathname);
+    const json = (data) =>
+      new Response(JSON.stringify(data), { status: 200, headers: { "content-type": "application/json" } });
+    if (target.pathname.includes("/compare/")) {
+      return json({ files: compare });
+    }
+    if (target.pathname.includes("/git/")) {
+      return json({ sha: "tree", tree: [], truncated: false, object: { sha: "head" } });
+    }
+    const filePath = decodeURIComponent(target.pathname.split("/contents/")[1] || "");
+    if (!(filePath in files)) {
+      return new Response("not found", { status: 404 });
+    }
+    return json({ sha: `${filePath}-sha`, content: Buffer.from(files[filePath]).toString("base64") });
+  };
+  try {
+    return await run(calls);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+function pushRequest(payload) {
+  const body = JSON.stringify({ ref: "refs/heads/main", after: "c".repeat(40), ...payload });
+  return buildRequest(body, { "x-github-event": "push", "x-hub-signature-256": sign(body) });
+}
+
+const pushedAt = "2026-03-01T00:00:00Z";
+const seededPosts = () => ({
+  edited: { updatedAt: "2026-01-01T00:00:00.000Z", sha: "old-sha" },
+  gone: { updatedAt: "2026-01-01T00:00:00.000Z", sha: "gone-sha" },
+  busy: { updatedAt: "2026-05-01T00:00:00.000Z", sha: "busy-sha" },
+});
+const repoFiles = {
+  "sites/demo/posts/edited.md": "---\ntitle: Edited\n---\nnew body\n",
+  "sites/demo/posts/fresh.md": "# Fresh\n\nhello\n",
+  "sites/demo/posts/more.md": "more\n",
+  "sites/demo/posts/busy.md": "---\ntitle: Busy\n---\nrepo body\n",
+};
+
+test("github push updates, adds and deletes posts and records conflicts with newer admin edits", async () => {
+  await withGithubFiles(repoFiles, async () => {
+    const db = createPushDb(seededPosts());
+    const response = await worker.fetch(
+      pushRequest({
+        commits: [
+          {
+            timestamp: pushedAt,
+            added: ["sites/demo/posts/fresh.md", "sites/demo/posts/more.md"],
+            modified: ["sites/demo/posts/edited.md", "sites/demo/posts/busy.md", "README.md"],
+            removed: ["sites/demo/posts/gone.md"],
+          },
+        ],
+      }),
+      { ...githubEnv, DB: db },
+      {}
+    );
+    assert.equal(response.status, 200);
+    const report = await response.json();
+    assert.deepEqual(report.upserted.sort(), [
+      "sites/demo/posts/edited.md",
+      "sites/demo/posts/fresh.md",
+      "sites/demo/posts/more.md",
+    ]);
+    assert.deepEqual(report.deleted, ["sites/demo/posts/gone.md"]);
+    assert.deepEqual(report.conflicts, [
+      { path: "sites/demo/posts/busy.md", reason: "edited in repository and admin concurrently" },
+    ]);
+
+    const postWrites = db.statements.filter((entry) => /INSERT INTO posts/.test(entry.sql));
+    assert.deepEqual(postWrites.map((entry) => entry.params[1]).sort(), ["edited", "fresh", "more"]);
+    assert.ok(postWrites.some((entry) => entry.params.includes("Fresh")));
+    assert.ok(
+      db.statements.some((entry) => /DELETE FROM posts WHERE site_id = \? AND post_slug = \?/.test(entry.sql) && entry.params[1] === "gone")
+    );
+    assert.ok(db.statements.some((entry) => /INSERT INTO sync_conflicts/.test(entry.sql) && entry.params[1] === "busy"));
+  });
+});
+
+test("github push treats a single delete plus add in one site as a rename", async () => {
+  await withGithubFiles(repoFiles, async () => {
+    const db = createPushDb(seededPosts());
+    const response = await worker.fetch(
+      pushRequest({
+        commits: [
+          { timestamp: pushedAt, added: ["sites/demo/posts/fresh.md"], modified: [], removed: ["sites/demo/posts/gone.md"] },
+        ],
+      }),
+      { ...githubEnv, DB: db },
+      {}
+    );
+    const report = await response.json();
+    assert.deepEqual(report.renamed, [{ from: "sites/demo/posts/gone.md", to: "sites/demo/posts/fresh.md" }]);
+    assert.deepEqual(report.deleted, []);
+    assert.ok(db.statements.some((entry) => /INSERT INTO post_redirects/.test(entry.sql) && entry.params.includes("gone")));
+  });
+});
+
+test("github push falls back to the compare API when the payload may be truncated", async () => {
+  const commits = Array.from({ length: 20 }, () => ({ timestamp: pushedAt, added: [], modified: [], removed: [] }));
+  await withGithubFiles(
+    repoFiles,
+    async (calls) => {
+      const db = createPushDb(seededPosts());
+      const response = await worker.fetch(
+        pushRequest({ before: "b".repeat(40), head_commit: { timestamp: pushedAt }, commits }),
+        { ...githubEnv, DB: db },
+        {}
+      );
+      const report = await response.json();
+      assert.equal(report.compared, true);
+      assert.deepEqual(report.upserted, ["sites/demo/posts/edited.md"]);
+      assert.deepEqual(report.deleted, ["sites/demo/posts/gone.md"]);
+      assert.ok(calls.some((path) => path.endsWith(`/compare/${"b".repeat(40)}...${"c".repeat(40)}`)));
+    },
+    {
+      compare: [
+        { filename: "sites/demo/posts/edited.md", status: "modified" },
+        { filename: "sites/demo/posts/gone.md", status: "removed" },
+      ],
+    }
+  );
+});
+
+test("github push runs a repair reindex when even the compare API is capped", async () => {
+  const compare = Array.from({ length: 300 }, (_, index) => ({ filename: `other/${index}.md`, status: "added" }));
+  await withGithubFiles(
+    repoFiles,
+    async () => {
+      const response = await worker.fetch(
+        pushRequest({
+          before: "b".repeat(40),
+          commits: [{ timestamp: pushedAt, added: [], modified: ["sites/demo/posts/edited.md"], removed: [], id: "1" }],
+          size: 40,
+        }),
+        { ...githubEnv, DB: createPushDb(seededPosts()) },
+        {}
+      );
+      const report = await response.json();
+      assert.equal(report.compared, undefined);
+      assert.deepEqual(report.upserted, ["sites/demo/posts/edited.md"]);
+      assert.equal(report.reindex.store, "github");
+    },
+    { compare }
+  );
+});
@@ -0,0 +1,163 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import worker from "../src/index.js";
+
+function inviteHash(code) {
+  return createHash("sha256").update(`invite:${code.trim().toUpperCase()}`).digest("hex");
+}
+
+function createInvite(id, code, overrides = {}) {
+  return {
+    id,
+    codeHash: inviteHash(code),
+    maxUses: 1,
+    useCount: 0,
+    expiresAt: null,
+    revokedAt: null,
+    ...overrides,
+  };
+}
+
+function createDb(invites, { failSiteInsert = false } = {}) {
+  let nextSiteId = 10;
+  return {
+    invites,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/SELECT id\s+FROM invites\s+WHERE code_hash = \?/.test(sql)) {
+            const invite = invites.find((item) => item.codeHash === params[0]);
+            return invite ? { id: invite.id } : null;
+          }
+          if (/SELECT COUNT\(\*\) AS total\s+FROM invites/.test(sql)) {
+            return { total: invites.length };
+          }
+          return null;
+        },
+        async all() {
+          return { results: [] };
+        },
+        async run() {
+          if (/SET use_count = use_count \+ 1/.test(sql)) {
+            const [codeHash, now] = params;
+            const invite = invites.find(
+              (item) =>
+                item.codeHash === codeHash &&
+                !item.revokedAt &&
+                (!item.expiresAt || item.expiresAt > now) &&
+                item.useCount < item.maxUses
+            );
+            if (!invite) {
+              return { meta: { changes: 0 } };
+            }
+            invite.useCount += 1;
+            return { meta: { changes: 1 } };
+          }
+          if (/SET use_count = MAX\(use_count - 1, 0\)/.test(sql)) {
+            const invite = invites.find((item) => item.id === params[0]);
+            if (invite) {
+              invite.useCount = Math.max(invite.useCount - 1, 0);
+            }
+            return { meta: { changes: invite ? 1 : 0 } };
+          }
+          if (/INSERT INTO sites/.test(sql)) {
+            if (failSiteInsert) {
+              throw new Error("D1 unavailable");
+            }
+            nextSiteId += 1;
+            return { meta: { changes: 1, last_row_id: nextSiteId } };
+          }
+          return { meta: { changes: 0 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      return statements.map(() => ({ meta: { changes: 1 } }));
+    },
+  };
+}
+
+function registerRequest(slug, inviteCode) {
+  return new Request("https://app.bdfz.net/api/register", {
+    method: "POST",
+    headers: { host: "app.bdfz.net", "content-type": "application/json" },
+    body: JSON.stringify({ slug, adminPassword: "correct horse", inviteCode }),
+  });
+}
+
+async function withContentRoot(callback) {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-invite-"));
+  try {
+    return await callback({
+      BASE_DOMAIN: "bdfz.net",
+      SESSION_SECRET: "session-secret",
+      CONTENT_STORE: "fs",
+      CONTENT_FS_ROOT: root,
+    });
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+}
+
+test("single-use invite codes are consumed once even under concurrent registrations", async () => {
+  await withContentRoot(async (base) => {
+    const env = { ...base, DB: createDb([createInvite(1, "ABCD-EFGH")]) };
+    const responses = await Promise.all([
+      worker.fetch(registerRequest("alpha", "abcd-efgh"), env, {}),
+      worker.fetch(registerRequest("bravo", "ABCD-EFGH"), env, {}),
+    ]);
+    assert.deepEqual(responses.map((response) => response.status).sort(), [201, 403]);
+    assert.equal(env.DB.invites[0].useCount, 1);
+  });
+});
+
+test("expired and revoked invite codes are rejected", async () => {
+  await withContentRoot(async (base) => {
+    const env = {
+      ...base,
+      DB: createDb([
+        createInvite(1, "OLD1-CODE", { expiresAt: "2020-01-01T00:00:00.000Z" }),
+        createInvite(2, "GONE-CODE", { revokedAt: "2024-01-01T00:00:00.000Z" }),
+      ]),
+    };
+    const expired = await worker.fetch(registerRequest("alpha", "OLD1-CODE"), env, {});
+    assert.equal(expired.status, 403);
+    const revoked = await worker.fetch(registerRequest("bravo", "GONE-CODE"), env, {});
+    assert.equal(revoked.status, 403);
+    assert.deepEqual(env.DB.invites.map((invite) => invite.useCount), [0, 0]);
+  });
+});
+
+test("legacy INVITE_CODES still work and an empty setup reports unconfigured", async () => {
+  await withContentRoot(async (base) => {
+    const legacy = await worker.fetch(
+      registerRequest("alpha", "legacy-code"),
+      { ...base, INVITE_CODES: "legacy-code, other", DB: createDb([]) },
+      {}
+    );
+    assert.equal(legacy.status, 201);
+
+    const unconfigured = await worker.fetch(registerRequest("bravo", "legacy-code"), { ...base, DB: createDb([]) }, {});
+    assert.equal(unconfigured.status, 503);
+  });
+});
+
+test("a failed registration releases the consumed invite use", async () => {
+  await withContentRoot(async (base) => {
+    const env = { ...base, DB: createDb([createInvite(1, "ABCD-EFGH")], { failSiteInsert: true }) };
+    const response = await worker.fetch(registerRequest("alpha", "ABCD-EFGH"), env, {});
+    assert.equal(response.status, 502);
+    assert.equal(env.DB.invites[0].useCount, 0);
+  });
+});
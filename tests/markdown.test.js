@@ -1,7 +1,7 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
-import { renderMarkdown } from "../src/index.js";
+import { buildPostDocument, normalizePostTags, parseFrontMatter, renderMarkdown } from "../src/index.js";
 
 test("renderMarkdown supports common blocks", () => {
   const html = renderMarkdown(`# 標題
@@ -88,3 +88,73 @@ https://www.instagram.com/p/CxXnabc1234/`);
   assert.match(html, /class="embed-block embed-instagram"/);
   assert.match(html, /instagram\.com\/p\/CxXnabc1234\/embed/);
 });
+
+test("renderMarkdown strips YAML front matter", () => {
+  const html = renderMarkdown('---\ntitle: "Hi"\npublished: true\n---\n\n# Body\n');
+  assert.equal(html.includes("title"), false);
+  assert.match(html, /<h1[^>]*>Body<\/h1>/);
+});
+
+test("buildPostDocument round-trips metadata through parseFrontMatter", () => {
+  const document = buildPostDocument(
+    {
+      title: '引號 "quoted" title',
+      description: "line: with colon",
+      published: 1,
+      isPage: 0,
+      createdAt: "2026-01-02T03:04:05.000Z",
+      updatedAt: "2026-02-03T04:05:06.000Z",
+    },
+    "---\ntitle: stale\n---\n\nHello\n"
+  );
+  const parsed = parseFrontMatter(document);
+  assert.equal(parsed.hasFrontMatter, true);
+  assert.equal(parsed.data.title, '引號 "quoted" title');
+  assert.equal(parsed.data.description, "line: with colon");
+  assert.equal(parsed.data.published, true);
+  assert.equal(parsed.data.is_page, false);
+  assert.equal(parsed.data.created_at, "2026-01-02T03:04:05.000Z");
+  assert.equal(parsed.body, "Hello\n");
+});
+
+test("parseFrontMatter leaves markdown that only starts with a rule untouched", () => {
+  const source = "---\nJust a paragraph between rules\n---\nMore";
+  const parsed = parseFrontMatter(source);
+  assert.equal(parsed.hasFrontMatter, false);
+  assert.equal(parsed.body, source);
+});
+
+test("parseFrontMatter keeps legacy label blocks without known keys in the body", () => {
+  const source = "---\nNote: written before front matter existed\n---\n\nHello";
+  const parsed = parseFrontMatter(source);
+  assert.equal(parsed.hasFrontMatter, false);
+  assert.equal(parsed.body, source);
+  assert.match(renderMarkdown(source), /written before front matter existed/);
+
+  const mixed = parseFrontMatter("---\ntitle: Post\nauthor: Amy\n---\nBody");
+  assert.equal(mixed.hasFrontMatter, true);
+  assert.equal(mixed.data.author, "Amy");
+  assert.equal(mixed.body, "Body");
+});
+
+test("buildPostDocument writes tags that parseFrontMatter reads back", () => {
+  const document = buildPostDocument(
+    { title: "Tagged", tags: ["讀書筆記", "Web Dev", "web-dev", "a,b"] },
+    "Body\n"
+  );
+  const parsed = parseFrontMatter(document);
+  assert.deepEqual(parsed.data.tags, ["讀書筆記", "web-dev", "ab"]);
+  assert.deepEqual(normalizePostTags("生活，讀書、 Code Notes ,,"), ["生活", "讀書", "code-notes"]);
+});
+
+test("buildPostDocument keeps publish_at only for unpublished posts", () => {
+  const scheduled = parseFrontMatter(
+    buildPostDocument({ title: "Later", published: 0, publishAt: "2026-03-01T08:00:00+08:00" }, "Body\n")
+  );
+  assert.equal(scheduled.data.publish_at, "2026-03-01T00:00:00.000Z");
+
+  const live = parseFrontMatter(
+    buildPostDocument({ title: "Now", published: 1, publishAt: "2026-03-01T00:00:00.000Z" }, "Body\n")
+  );
+  assert.equal(live.data.publish_at, undefined);
+});
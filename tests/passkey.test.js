@@ -0,0 +1,251 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import worker, { decodeCbor, verifyPasskeyAssertion, verifyPasskeyRegistration } from "../src/index.js";
+
+const RP_ID = "demo.bdfz.net";
+const ORIGIN = "https://demo.bdfz.net";
+
+function base64Url(bytes) {
+  return Buffer.from(bytes).toString("base64url");
+}
+
+function cborHead(major, length) {
+  if (length < 24) {
+    return [(major << 5) | length];
+  }
+  if (length < 256) {
+    return [(major << 5) | 24, length];
+  }
+  return [(major << 5) | 25, length >> 8, length & 0xff];
+}
+
+function encodeCbor(value) {
+  if (typeof value === "number") {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  }
+  if (typeof value === "string") {
+    const bytes = [...new TextEncoder().encode(value)];
+    return [...cborHead(3, bytes.length), ...bytes];
+  }
+  if (value instanceof Uint8Array) {
+    return [...cborHead(2, value.length), ...value];
+  }
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return [
+    ...cborHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [...encodeCbor(key), ...encodeCbor(item)]),
+  ];
+}
+
+async function sha256(bytes) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+}
+
+function clientData(type, challenge, origin = ORIGIN) {
+  return new TextEncoder().encode(JSON.stringify({ type, challenge, origin }));
+}
+
+async function authData(flags, signCount, attested = new Uint8Array(0)) {
+  const counter = new Uint8Array(4);
+  new DataView(counter.buffer).setUint32(0, signCount);
+  return new Uint8Array([
+    ...(await sha256(new TextEncoder().encode(RP_ID))),
+    flags,
+    ...counter,
+    ...attested,
+  ]);
+}
+
+async function createAuthenticator() {
+  const keyPair = await crypto.subtle.generateKey(
+    { name: "ECDSA", namedCurve: "P-256" },
+    true,
+    ["sign", "verify"]
+  );
+  const jwk = await crypto.subtle.exportKey("jwk", keyPair.publicKey);
+  const coseKey = new Map([
+    [1, 2],
+    [3, -7],
+    [-1, 1],
+    [-2, new Uint8Array(Buffer.from(jwk.x, "base64url"))],
+    [-3, new Uint8Array(Buffer.from(jwk.y, "base64url"))],
+  ]);
+  const credentialId = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]);
+  return { keyPair, coseKey, credentialId };
+}
+
+function rawToDer(raw) {
+  const integer = (bytes) => {
+    let value = [...bytes];
+    while (value.length > 1 && value[0] === 0) value.shift();
+    if (value[0] & 0x80) value.unshift(0);
+    return [0x02, value.length, ...value];
+  };
+  const body = [...integer(raw.slice(0, 32)), ...integer(raw.slice(32))];
+  return new Uint8Array([0x30, body.length, ...body]);
+}
+
+test("decodeCbor reads maps with integer and string keys", () => {
+  const decoded = decodeCbor(new Uint8Array(encodeCbor({ fmt: "none", attStmt: {} })));
+  assert.deepEqual(decoded, { fmt: "none", attStmt: {} });
+  const coseKey = decodeCbor(new Uint8Array(encodeCbor(new Map([[1, 2], [3, -7]]))));
+  assert.equal(coseKey.get(3), -7);
+});
+
+test("passkey registration and assertion verify ES256 signatures", async () => {
+  const { keyPair, coseKey, credentialId } = await createAuthenticator();
+  const attested = new Uint8Array([
+    ...new Uint8Array(16),
+    0,
+    credentialId.length,
+    ...credentialId,
+    ...encodeCbor(coseKey),
+  ]);
+  const registrationCredential = async (flags) => ({
+    id: base64Url(credentialId),
+    response: {
+      clientDataJSON: base64Url(clientData("webauthn.create", "reg-challenge")),
+      attestationObject: base64Url(
+        new Uint8Array(encodeCbor({ fmt: "none", attStmt: {}, authData: await authData(flags, 0, attested) }))
+      ),
+    },
+  });
+  const registrationExpected = { challenge: "reg-challenge", origin: ORIGIN, rpId: RP_ID };
+  await assert.rejects(
+    verifyPasskeyRegistration(await registrationCredential(0x41), registrationExpected),
+    /User verification required/
+  );
+  const registration = await verifyPasskeyRegistration(await registrationCredential(0x45), registrationExpected);
+  assert.equal(registration.credentialId, base64Url(credentialId));
+  assert.equal(registration.algorithm, -7);
+
+  const passkey = {
+    publicKeyJwk: JSON.stringify(registration.publicKeyJwk),
+    algorithm: registration.algorithm,
+    signCount: 0,
+  };
+  const assertionData = await authData(0x05, 1);
+  const assertionClientData = clientData("webauthn.get", "login-challenge");
+  const signature = new Uint8Array(
+    await crypto.subtle.sign(
+      { name: "ECDSA", hash: "SHA-256" },
+      keyPair.privateKey,
+      new Uint8Array([...assertionData, ...(await sha256(assertionClientData))])
+    )
+  );
+  const credential = {
+    id: base64Url(credentialId),
+    response: {
+      clientDataJSON: base64Url(assertionClientData),
+      authenticatorData: base64Url(assertionData),
+      signature: base64Url(rawToDer(signature)),
+    },
+  };
+
+  const signCount = await verifyPasskeyAssertion(credential, passkey, {
+    challenge: "login-challenge",
+    origin: ORIGIN,
+    rpId: RP_ID,
+  });
+  assert.equal(signCount, 1);
+
+  await assert.rejects(
+    verifyPasskeyAssertion(credential, { ...passkey, signCount: 1 }, {
+      challenge: "login-challenge",
+      origin: ORIGIN,
+      rpId: RP_ID,
+    }),
+    /counter/
+  );
+  await assert.rejects(
+    verifyPasskeyAssertion(credential, passkey, {
+      challenge: "login-challenge",
+      origin: "https://other.bdfz.net",
+      rpId: RP_ID,
+    }),
+    /Origin mismatch/
+  );
+
+  const presenceOnlyData = await authData(0x01, 2);
+  const presenceOnlySignature = new Uint8Array(
+    await crypto.subtle.sign(
+      { name: "ECDSA", hash: "SHA-256" },
+      keyPair.privateKey,
+      new Uint8Array([...presenceOnlyData, ...(await sha256(assertionClientData))])
+    )
+  );
+  await assert.rejects(
+    verifyPasskeyAssertion(
+      {
+        id: base64Url(credentialId),
+        response: {
+          clientDataJSON: base64Url(assertionClientData),
+          authenticatorData: base64Url(presenceOnlyData),
+          signature: base64Url(rawToDer(presenceOnlySignature)),
+        },
+      },
+      passkey,
+      { challenge: "login-challenge", origin: ORIGIN, rpId: RP_ID }
+    ),
+    /User verification required/
+  );
+});
+
+test("passkey login options are rate limited per client", async () => {
+  const rateLimits = new Map();
+  let challenges = 0;
+  const env = {
+    BASE_DOMAIN: "bdfz.net",
+    DB: {
+      prepare(sql) {
+        let params = [];
+        const statement = {
+          bind(...values) {
+            params = values;
+            return statement;
+          },
+          async first() {
+            if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+              return params[0] === "demo" ? { id: 7, slug: "demo", displayName: "Demo", status: null } : null;
+            }
+            if (/FROM rate_limits/.test(sql)) {
+              return rateLimits.get(params[0]) || null;
+            }
+            return null;
+          },
+          async all() {
+            return { results: [] };
+          },
+          async run() {
+            if (/INSERT INTO rate_limits/.test(sql)) {
+              rateLimits.set(params[0], { windowStartMs: params[1], attempts: 1 });
+            } else if (/UPDATE rate_limits/.test(sql)) {
+              rateLimits.get(params[2]).attempts = params[0];
+            } else if (/INSERT INTO passkey_challenges/.test(sql)) {
+              challenges += 1;
+            }
+            return { meta: { changes: 1 } };
+          },
+        };
+        return statement;
+      },
+    },
+  };
+  const optionsRequest = (ip) =>
+    new Request(`${ORIGIN}/api/auth/passkeys/login/options`, {
+      method: "POST",
+      headers: { host: RP_ID, "cf-connecting-ip": ip },
+    });
+
+  const statuses = [];
+  for (let index = 0; index < 11; index += 1) {
+    statuses.push((await worker.fetch(optionsRequest("203.0.113.9"), env, {})).status);
+  }
+  assert.deepEqual(statuses, [...new Array(10).fill(200), 429]);
+  assert.equal(challenges, 10);
+
+  const otherClient = await worker.fetch(optionsRequest("203.0.113.10"), env, {});
+  assert.equal(otherClient.status, 200);
+  assert.equal(challenges, 11);
+});
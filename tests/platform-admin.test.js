@@ -0,0 +1,264 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import worker, { getContentStore } from "../src/index.js";
+
+const ADMIN_TOKEN = "platform-secret";
+const SESSION_SECRET = "session-secret";
+
+function createDb() {
+  const sessions = new Map();
+  const statuses = new Map();
+  const runs = [];
+  const batches = [];
+  return {
+    sessions,
+    statuses,
+    runs,
+    batches,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        sql,
+        get params() {
+          return params;
+        },
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return params[0] === "demo" ? { id: 7, slug: "demo", displayName: "Demo", status: statuses.get(7) || null } : null;
+          }
+          if (/FROM platform_sessions\s+WHERE id = \?/.test(sql)) {
+            const session = sessions.get(params[0]);
+            return session && !session.revokedAt && session.expiresAt > params[1] ? { id: params[0] } : null;
+          }
+          if (/\(SELECT COUNT\(\*\) FROM sites\) AS sites/.test(sql)) {
+            return { sites: 3, suspendedSites: 1, posts: 12, publishedPosts: 9, comments: 4, views: 250 };
+          }
+          return null;
+        },
+        async all() {
+          return { results: [] };
+        },
+        async run() {
+          runs.push({ sql, params });
+          if (/INSERT INTO platform_sessions/.test(sql)) {
+            sessions.set(params[0], { expiresAt: params[2], revokedAt: null });
+          }
+          if (/UPDATE platform_sessions\s+SET revoked_at = \?/.test(sql)) {
+            const session = sessions.get(params[1]);
+            if (session && !session.revokedAt) {
+              session.revokedAt = params[0];
+              return { meta: { changes: 1 } };
+            }
+            return { meta: { changes: 0 } };
+          }
+          if (/INSERT INTO site_status/.test(sql)) {
+            statuses.set(params[0], params[1]);
+          }
+          if (/DELETE FROM site_status/.test(sql)) {
+            return { meta: { changes: statuses.delete(params[0]) ? 1 : 0 } };
+          }
+          return { meta: { changes: 1 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      batches.push(statements.map((statement) => ({ sql: statement.sql, params: statement.params })));
+      return statements.map(() => ({ meta: { changes: 1 } }));
+    },
+  };
+}
+
+function createEnv(extra = {}) {
+  return {
+    BASE_DOMAIN: "bdfz.net",
+    SESSION_SECRET,
+    PLATFORM_ADMIN_TOKEN: ADMIN_TOKEN,
+    DB: createDb(),
+    ...extra,
+  };
+}
+
+function platformRequest(path, { method = "GET", body, token, cookie, csrf, host = "app.bdfz.net" } = {}) {
+  const headers = { host, "content-type": "application/json" };
+  if (token) {
+    headers.authorization = `Bearer ${token}`;
+  }
+  if (cookie) {
+    headers.cookie = cookie;
+  }
+  if (csrf) {
+    headers["x-csrf-token"] = csrf;
+  }
+  return new Request(`https://${host}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+function csrfFor(cookie) {
+  const payload = JSON.parse(Buffer.from(cookie.split("=")[1].split(".")[0], "base64url").toString("utf8"));
+  return createHmac("sha256", SESSION_SECRET).update(`csrf:platform:${payload.nonce}`).digest("hex");
+}
+
+test("platform login issues a server-side session that logout revokes", async () => {
+  const env = createEnv();
+  const wrong = await worker.fetch(platformRequest("/api/platform/login", { method: "POST", body: { token: "nope" } }), env, {});
+  assert.equal(wrong.status, 401);
+  assert.equal(env.DB.sessions.size, 0);
+
+  const login = await worker.fetch(platformRequest("/api/platform/login", { method: "POST", body: { token: ADMIN_TOKEN } }), env, {});
+  assert.equal(login.status, 200);
+  const cookie = String(login.headers.get("set-cookie")).split(";")[0];
+  assert.match(cookie, /^stublogs_platform=/);
+  assert.equal(env.DB.sessions.size, 1);
+
+  const stats = await worker.fetch(platformRequest("/api/platform/stats", { cookie }), env, {});
+  assert.equal(stats.status, 200);
+
+  const logout = await worker.fetch(
+    platformRequest("/api/platform/logout", { method: "POST", cookie, csrf: csrfFor(cookie) }),
+    env,
+    {}
+  );
+  assert.equal(logout.status, 200);
+  assert.match(String(logout.headers.get("set-cookie")), /Max-Age=0/);
+
+  const replayed = await worker.fetch(platformRequest("/api/platform/stats", { cookie }), env, {});
+  assert.equal(replayed.status, 401);
+});
+
+test("platform routes share the host, configuration and credential checks", async () => {
+  const env = createEnv();
+  const siteHost = await worker.fetch(platformRequest("/api/platform/stats", { token: ADMIN_TOKEN, host: "demo.bdfz.net" }), env, {});
+  assert.equal(siteHost.status, 404);
+
+  const unconfigured = await worker.fetch(
+    platformRequest("/api/platform/stats", { token: ADMIN_TOKEN }),
+    createEnv({ PLATFORM_ADMIN_TOKEN: "" }),
+    {}
+  );
+  assert.equal(unconfigured.status, 503);
+
+  const anonymous = await worker.fetch(platformRequest("/api/platform/reset-password", { method: "POST", body: {} }), env, {});
+  assert.equal(anonymous.status, 401);
+
+  const stats = await worker.fetch(platformRequest("/api/platform/stats", { token: ADMIN_TOKEN }), env, {});
+  assert.equal(stats.status, 200);
+  assert.deepEqual((await stats.json()).stats, {
+    sites: 3,
+    suspendedSites: 1,
+    posts: 12,
+    publishedPosts: 9,
+    comments: 4,
+    views: 250,
+  });
+});
+
+test("suspend signs the site out and unsuspend only applies to suspended sites", async () => {
+  const env = createEnv();
+  const early = await worker.fetch(
+    platformRequest("/api/platform/sites/demo/unsuspend", { method: "POST", token: ADMIN_TOKEN, body: {} }),
+    env,
+    {}
+  );
+  assert.equal(early.status, 409);
+
+  const suspended = await worker.fetch(
+    platformRequest("/api/platform/sites/demo/suspend", { method: "POST", token: ADMIN_TOKEN, body: { reason: "spam" } }),
+    env,
+    {}
+  );
+  assert.equal(suspended.status, 200);
+  assert.deepEqual(await suspended.json(), { ok: true, slug: "demo", status: "suspended" });
+  assert.equal(env.DB.statuses.get(7), "suspended");
+  const revoke = env.DB.runs.find((run) => /UPDATE site_sessions\s+SET revoked_at = \?/.test(run.sql));
+  assert.ok(revoke);
+  assert.doesNotMatch(revoke.sql, /member_id = \?/);
+
+  const unsuspended = await worker.fetch(
+    platformRequest("/api/platform/sites/demo/unsuspend", { method: "POST", token: ADMIN_TOKEN, body: {} }),
+    env,
+    {}
+  );
+  assert.equal(unsuspended.status, 200);
+  assert.equal(env.DB.statuses.has(7), false);
+
+  const missing = await worker.fetch(
+    platformRequest("/api/platform/sites/nope/suspend", { method: "POST", token: ADMIN_TOKEN, body: {} }),
+    env,
+    {}
+  );
+  assert.equal(missing.status, 404);
+});
+
+test("platform delete needs the slug confirmation and purges files and rows", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-platform-"));
+  try {
+    const env = createEnv({ CONTENT_STORE: "fs", CONTENT_FS_ROOT: root });
+    const store = getContentStore(env);
+    await store.write(env, "sites/demo/site.json", "{}\n", "seed");
+    await store.write(env, "sites/demo/posts/hello.md", "hello\n", "seed");
+    await store.write(env, "sites/other/site.json", "{}\n", "seed");
+
+    const unconfirmed = await worker.fetch(
+      platformRequest("/api/platform/sites/demo", { method: "DELETE", token: ADMIN_TOKEN, body: { confirm: "dem" } }),
+      env,
+      {}
+    );
+    assert.equal(unconfirmed.status, 400);
+    assert.ok(await store.read(env, "sites/demo/site.json"));
+
+    const deleted = await worker.fetch(
+      platformRequest("/api/platform/sites/demo", { method: "DELETE", token: ADMIN_TOKEN, body: { confirm: "demo" } }),
+      env,
+      {}
+    );
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(await deleted.json(), { ok: true, slug: "demo", files: 2 });
+    assert.equal(await store.read(env, "sites/demo/site.json"), null);
+    assert.equal(await store.read(env, "sites/demo/posts/hello.md"), null);
+    assert.ok(await store.read(env, "sites/other/site.json"));
+    const purge = env.DB.batches.at(-1);
+    assert.ok(purge.some((statement) => /DELETE FROM sites\s+WHERE id = \?/.test(statement.sql) && statement.params[0] === 7));
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test("platform password resets replace the owner hash and sign the owner out", async () => {
+  const env = createEnv();
+  const short = await worker.fetch(
+    platformRequest("/api/platform/reset-password", { method: "POST", token: ADMIN_TOKEN, body: { slug: "demo", newPassword: "short" } }),
+    env,
+    {}
+  );
+  assert.equal(short.status, 400);
+
+  const reset = await worker.fetch(
+    platformRequest("/api/platform/reset-password", {
+      method: "POST",
+      token: ADMIN_TOKEN,
+      body: { slug: "demo", newPassword: "correct horse" },
+    }),
+    env,
+    {}
+  );
+  assert.equal(reset.status, 200);
+  const update = env.DB.runs.find((run) => /SET admin_secret_hash = \?/.test(run.sql));
+  assert.ok(update);
+  assert.doesNotMatch(update.params[0], /correct horse/);
+  assert.equal(update.params[2], 7);
+  const revoke = env.DB.runs.find((run) => /UPDATE site_sessions\s+SET revoked_at = \?/.test(run.sql));
+  assert.deepEqual(revoke.params.slice(1), [7, 0]);
+});
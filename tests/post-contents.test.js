@@ -0,0 +1,136 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import worker, { getContentStore } from "../src/index.js";
+
+const SITE = { id: 7, slug: "demo", displayName: "Demo", status: null };
+const POST = {
+  postSlug: "hello",
+  title: "Hello",
+  description: "",
+  published: 1,
+  isPage: 0,
+  createdAt: "2026-01-01T00:00:00.000Z",
+  updatedAt: "2026-01-01T00:00:00.000Z",
+};
+
+function createDb(contents) {
+  const updates = [];
+  return {
+    contents,
+    updates,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return params[0] === SITE.slug ? SITE : null;
+          }
+          if (/FROM posts\s+WHERE site_id = \? AND post_slug = \?/.test(sql)) {
+            return params[1] === POST.postSlug ? POST : null;
+          }
+          if (/FROM post_contents\s+WHERE site_id = \? AND post_slug = \?/.test(sql)) {
+            const row = contents.get(params[1]);
+            return row ? { ...row } : null;
+          }
+          return null;
+        },
+        async all() {
+          return { results: [] };
+        },
+        async run() {
+          if (/INSERT INTO post_contents/.test(sql)) {
+            contents.set(params[1], {
+              content: params[2],
+              contentHtml: params[3],
+              contentSha: params[4],
+              renderVersion: params[5],
+            });
+            return { meta: { changes: 1 } };
+          }
+          if (/UPDATE post_contents\s+SET content_html = \?, render_version = \?/.test(sql)) {
+            updates.push(params);
+            const row = contents.get(params[3]);
+            if (!row || row.contentSha !== params[4] || row.renderVersion !== params[5]) {
+              return { meta: { changes: 0 } };
+            }
+            row.contentHtml = params[0];
+            row.renderVersion = params[1];
+            return { meta: { changes: 1 } };
+          }
+          return { meta: { changes: 0 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      return statements.map(() => ({ meta: { changes: 1 } }));
+    },
+  };
+}
+
+function postRequest() {
+  return new Request("https://demo.bdfz.net/hello", { headers: { host: "demo.bdfz.net" } });
+}
+
+async function withStore(callback) {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-mirror-"));
+  try {
+    return await callback({ BASE_DOMAIN: "bdfz.net", CONTENT_STORE: "fs", CONTENT_FS_ROOT: root });
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+}
+
+test("public post pages serve the D1 mirror without touching the content store", async () => {
+  await withStore(async (base) => {
+    const contents = new Map([
+      ["hello", { content: "mirror", contentHtml: "<p>from the mirror</p>", contentSha: "abc", renderVersion: 2 }],
+    ]);
+    const env = { ...base, DB: createDb(contents) };
+    const response = await worker.fetch(postRequest(), env, {});
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /<p>from the mirror<\/p>/);
+    assert.equal(env.DB.updates.length, 0);
+  });
+});
+
+test("mirror rows with a stale render version are re-rendered once and written back", async () => {
+  await withStore(async (base) => {
+    const contents = new Map([
+      ["hello", { content: "**fresh** render", contentHtml: "<p>old html</p>", contentSha: "abc", renderVersion: 1 }],
+    ]);
+    const env = { ...base, DB: createDb(contents) };
+    const first = await worker.fetch(postRequest(), env, {});
+    const body = await first.text();
+    assert.match(body, /<strong>fresh<\/strong> render/);
+    assert.doesNotMatch(body, /old html/);
+    assert.equal(env.DB.updates.length, 1);
+    assert.notEqual(contents.get("hello").renderVersion, 1);
+    assert.match(contents.get("hello").contentHtml, /<strong>fresh<\/strong>/);
+
+    await worker.fetch(postRequest(), env, {});
+    assert.equal(env.DB.updates.length, 1);
+  });
+});
+
+test("a missing mirror row falls back to the content store and backfills it", async () => {
+  await withStore(async (base) => {
+    const store = getContentStore(base);
+    const written = await store.write(base, "sites/demo/posts/hello.md", "---\ntitle: Hello\n---\n\nfrom the *store*\n", "seed");
+    const env = { ...base, DB: createDb(new Map()) };
+    const response = await worker.fetch(postRequest(), env, {});
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /from the <em>store<\/em>/);
+    const mirrored = env.DB.contents.get("hello");
+    assert.equal(mirrored.content, "from the *store*\n");
+    assert.equal(mirrored.contentSha, written.sha);
+  });
+});
@@ -0,0 +1,127 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+
+import worker, { deletePostRedirectsTo, setPostRedirect } from "../src/index.js";
+
+function createRedirectDb() {
+  const redirects = new Map();
+  const run = (sql, params) => {
+    if (/DELETE FROM post_redirects\s+WHERE site_id = \? AND from_slug = \?/.test(sql)) {
+      const deleted = redirects.delete(params[1]);
+      return { meta: { changes: deleted ? 1 : 0 } };
+    }
+    if (/DELETE FROM post_redirects\s+WHERE site_id = \? AND to_slug = \?/.test(sql)) {
+      let changes = 0;
+      for (const [from, to] of redirects) {
+        if (to === params[1]) {
+          redirects.delete(from);
+          changes += 1;
+        }
+      }
+      return { meta: { changes } };
+    }
+    if (/UPDATE post_redirects\s+SET to_slug = \?/.test(sql)) {
+      for (const [from, to] of redirects) {
+        if (to === params[2]) {
+          redirects.set(from, params[0]);
+        }
+      }
+    } else if (/INSERT INTO post_redirects/.test(sql)) {
+      redirects.set(params[1], params[2]);
+    }
+    return { meta: { changes: 1 } };
+  };
+  return {
+    redirects,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        run: async () => run(sql, params),
+        first: async () => null,
+        all: async () => ({ results: [] }),
+      };
+      return statement;
+    },
+    async batch(statements) {
+      const results = [];
+      for (const statement of statements) {
+        results.push(await statement.run());
+      }
+      return results;
+    },
+  };
+}
+
+test("setPostRedirect collapses chains so every old slug points at the live post", async () => {
+  const env = { DB: createRedirectDb() };
+
+  await setPostRedirect(env, 1, "a", "b");
+  assert.deepEqual(Object.fromEntries(env.DB.redirects), { a: "b" });
+
+  await setPostRedirect(env, 1, "b", "c");
+  assert.deepEqual(Object.fromEntries(env.DB.redirects), { a: "c", b: "c" });
+
+  await setPostRedirect(env, 1, "c", "a");
+  assert.deepEqual(Object.fromEntries(env.DB.redirects), { b: "a", c: "a" });
+});
+
+test("renaming a post back drops the redirect that would shadow it", async () => {
+  const env = { DB: createRedirectDb() };
+
+  await setPostRedirect(env, 1, "a", "b");
+  await setPostRedirect(env, 1, "b", "a");
+  assert.deepEqual(Object.fromEntries(env.DB.redirects), { b: "a" });
+});
+
+test("deleting a post removes every redirect that points to it", async () => {
+  const env = { DB: createRedirectDb() };
+
+  await setPostRedirect(env, 1, "a", "b");
+  await setPostRedirect(env, 1, "b", "c");
+  await setPostRedirect(env, 1, "other", "d");
+  await deletePostRedirectsTo(env, 1, "c");
+  assert.deepEqual(Object.fromEntries(env.DB.redirects), { other: "d" });
+});
+
+test("deleting a redirect with a malformed escape returns 400", async () => {
+  const token = "sbt_redirect-token";
+  const site = { id: 1, slug: "demo", displayName: "Demo", status: null };
+  const db = createRedirectDb();
+  const prepare = db.prepare;
+  db.prepare = (sql) => {
+    const statement = prepare(sql);
+    let params = [];
+    const bind = statement.bind;
+    statement.bind = (...values) => {
+      params = values;
+      return bind(...values);
+    };
+    statement.first = async () => {
+      if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+        return params[0] === site.slug ? site : null;
+      }
+      if (/FROM site_api_tokens/.test(sql)) {
+        return params[1] === createHash("sha256").update(token).digest("hex")
+          ? { id: 1, memberId: 0, scopes: '["posts:write"]', lastUsedAt: new Date().toISOString() }
+          : null;
+      }
+      return null;
+    };
+    return statement;
+  };
+
+  const response = await worker.fetch(
+    new Request("https://demo.bdfz.net/api/post-redirects/%E0%A4%A", {
+      method: "DELETE",
+      headers: { host: "demo.bdfz.net", authorization: `Bearer ${token}` },
+    }),
+    { BASE_DOMAIN: "bdfz.net", DB: db },
+    {}
+  );
+  assert.equal(response.status, 400);
+});
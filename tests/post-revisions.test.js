@@ -0,0 +1,195 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+
+import worker from "../src/index.js";
+
+const SITE = { id: 7, slug: "demo", displayName: "Demo", status: null };
+const REVISION_SHA = "a".repeat(40);
+const MEMBERS = [
+  { id: 3, username: "amy", displayName: "Amy", role: "author" },
+  { id: 4, username: "eve", displayName: "Eve", role: "editor" },
+];
+const TOKENS = {
+  "sbt_owner": { memberId: 0, scopes: ["admin:read", "posts:write"] },
+  "sbt_author": { memberId: 3, scopes: ["admin:read", "posts:write"] },
+  "sbt_editor": { memberId: 4, scopes: ["admin:read", "posts:write"] },
+  "sbt_writeonly": { memberId: 0, scopes: ["posts:write"] },
+};
+const POSTS = [
+  { postSlug: "mine", authorMemberId: 3 },
+  { postSlug: "theirs", authorMemberId: 4 },
+];
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+function createDb() {
+  return {
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return params[0] === SITE.slug ? SITE : null;
+          }
+          if (/FROM site_api_tokens\s+WHERE site_id = \?\s+AND token_hash/.test(sql)) {
+            const entry = Object.entries(TOKENS).find(([raw]) => sha256(raw) === params[1]);
+            return entry
+              ? { id: 1, memberId: entry[1].memberId, scopes: JSON.stringify(entry[1].scopes), lastUsedAt: new Date().toISOString() }
+              : null;
+          }
+          if (/FROM site_members\s+WHERE site_id = \? AND id = \?/.test(sql)) {
+            return MEMBERS.find((member) => member.id === params[1]) || null;
+          }
+          if (/SELECT author_member_id AS authorMemberId/.test(sql)) {
+            const post = POSTS.find((item) => item.postSlug === params[1]);
+            return post ? { authorMemberId: post.authorMemberId } : null;
+          }
+          if (/FROM posts\s+WHERE site_id = \? AND post_slug = \?/.test(sql)) {
+            const post = POSTS.find((item) => item.postSlug === params[1]);
+            return post
+              ? {
+                  postSlug: post.postSlug,
+                  title: post.postSlug,
+                  description: "",
+                  published: 1,
+                  isPage: 0,
+                  createdAt: "2026-01-01T00:00:00.000Z",
+                  updatedAt: "2026-01-02T00:00:00.000Z",
+                }
+              : null;
+          }
+          return null;
+        },
+        async all() {
+          if (/PRAGMA table_info\(posts\)/.test(sql)) {
+            return { results: ["site_id", "post_slug", "is_page", "publish_at", "author_member_id"].map((name) => ({ name })) };
+          }
+          return { results: [] };
+        },
+        async run() {
+          return { meta: { changes: 1 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      return statements.map(() => ({ meta: { changes: 1 } }));
+    },
+  };
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: { "content-type": "application/json" } });
+}
+
+async function withGithub(run) {
+  const originalFetch = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    const target = new URL(String(url));
+    const method = init?.method || "GET";
+    calls.push({ method, path: target.pathname, body: init?.body ? JSON.parse(init.body) : null });
+    if (target.pathname.endsWith("/commits")) {
+      return jsonResponse([
+        {
+          sha: REVISION_SHA,
+          commit: { message: "feat(demo): first draft\n\nbody", author: { name: "Amy" }, committer: { date: "2026-01-01T00:00:00Z" } },
+        },
+      ]);
+    }
+    if (target.pathname.includes("/contents/") && method === "GET") {
+      const ref = target.searchParams.get("ref");
+      const content = ref === REVISION_SHA ? "---\ntitle: Old\n---\n\nold body\n" : ref === "main" ? "current\n" : null;
+      return content === null
+        ? new Response("not found", { status: 404 })
+        : jsonResponse({ sha: ref === "main" ? "current-sha" : "old-sha", content: Buffer.from(content).toString("base64") });
+    }
+    if (target.pathname.includes("/contents/") && method === "PUT") {
+      return jsonResponse({ content: { sha: "restored-sha" } });
+    }
+    throw new Error(`unexpected fetch ${method} ${target.pathname}`);
+  };
+  try {
+    return await run(calls);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+const env = {
+  BASE_DOMAIN: "bdfz.net",
+  GITHUB_OWNER: "owner",
+  GITHUB_REPO: "repo",
+  GITHUB_TOKEN: "token",
+  DB: createDb(),
+};
+
+function apiRequest(path, token, method = "GET") {
+  return new Request(`https://demo.bdfz.net${path}`, {
+    method,
+    headers: { host: "demo.bdfz.net", ...(token ? { authorization: `Bearer ${token}` } : {}) },
+  });
+}
+
+test("revision list returns the file history and needs a signed-in member", async () => {
+  await withGithub(async () => {
+    const anonymous = await worker.fetch(apiRequest("/api/posts/mine/revisions"), env, {});
+    assert.equal(anonymous.status, 401);
+
+    const missing = await worker.fetch(apiRequest("/api/posts/nope/revisions", "sbt_owner"), env, {});
+    assert.equal(missing.status, 404);
+
+    const listed = await worker.fetch(apiRequest("/api/posts/mine/revisions", "sbt_owner"), env, {});
+    assert.equal(listed.status, 200);
+    assert.deepEqual(await listed.json(), {
+      postSlug: "mine",
+      revisions: [
+        { sha: REVISION_SHA, message: "feat(demo): first draft", authorName: "Amy", committedAt: "2026-01-01T00:00:00Z" },
+      ],
+    });
+  });
+});
+
+test("revision reads return the body without front matter", async () => {
+  await withGithub(async () => {
+    const revision = await worker.fetch(apiRequest(`/api/posts/mine/revisions/${REVISION_SHA}`, "sbt_owner"), env, {});
+    assert.equal(revision.status, 200);
+    assert.deepEqual((await revision.json()).revision, { sha: REVISION_SHA, postSlug: "mine", content: "old body\n" });
+
+    const unknown = await worker.fetch(apiRequest(`/api/posts/mine/revisions/${"b".repeat(40)}`, "sbt_owner"), env, {});
+    assert.equal(unknown.status, 404);
+
+    const writeOnly = await worker.fetch(apiRequest(`/api/posts/mine/revisions/${REVISION_SHA}`, "sbt_writeonly"), env, {});
+    assert.equal(writeOnly.status, 403);
+  });
+});
+
+test("revision restore is limited to members who can write the post", async () => {
+  await withGithub(async (calls) => {
+    const restorePath = (slug) => `/api/posts/${slug}/revisions/${REVISION_SHA}/restore`;
+
+    const otherAuthor = await worker.fetch(apiRequest(restorePath("theirs"), "sbt_author", "POST"), env, {});
+    assert.equal(otherAuthor.status, 403);
+    assert.equal(calls.some((call) => call.method === "PUT"), false);
+
+    const ownPost = await worker.fetch(apiRequest(restorePath("mine"), "sbt_author", "POST"), env, {});
+    assert.equal(ownPost.status, 200);
+    assert.equal((await ownPost.json()).post.content, "old body\n");
+
+    const editor = await worker.fetch(apiRequest(restorePath("theirs"), "sbt_editor", "POST"), env, {});
+    assert.equal(editor.status, 200);
+
+    const writes = calls.filter((call) => call.method === "PUT");
+    assert.equal(writes.length, 2);
+    const restored = Buffer.from(writes[0].body.content, "base64").toString("utf8");
+    assert.match(restored, /^---\ntitle: "mine"\n/);
+    assert.match(restored, /\n---\nold body\n$/);
+  });
+});
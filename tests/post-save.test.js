@@ -0,0 +1,140 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import worker, { buildPostDocument, getContentStore, parseFrontMatter } from "../src/index.js";
+
+const API_TOKEN = "sbt_test-token";
+const SITE = { id: 1, slug: "demo", displayName: "Demo", status: null };
+const POST = {
+  postSlug: "hello",
+  title: "Hello",
+  description: "",
+  published: 1,
+  isPage: 0,
+  publishAt: null,
+  createdAt: "2026-01-01T00:00:00.000Z",
+  updatedAt: "2026-01-01T00:00:00.000Z",
+};
+
+function createDb() {
+  return {
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return params[0] === SITE.slug ? SITE : null;
+          }
+          if (/FROM site_api_tokens\s+WHERE site_id = \?\s+AND token_hash/.test(sql)) {
+            const tokenHash = createHash("sha256").update(API_TOKEN).digest("hex");
+            return params[1] === tokenHash
+              ? { id: 1, memberId: 0, scopes: '["posts:write"]', lastUsedAt: new Date().toISOString() }
+              : null;
+          }
+          if (/FROM posts\s+WHERE site_id = \? AND post_slug = \?/.test(sql)) {
+            return params[1] === POST.postSlug ? { ...POST } : null;
+          }
+          return null;
+        },
+        async all() {
+          if (/PRAGMA table_info\(posts\)/.test(sql)) {
+            return { results: ["is_page", "publish_at"].map((name) => ({ name })) };
+          }
+          return { results: [] };
+        },
+        async run() {
+          return { meta: { changes: 1 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      return Promise.all(statements.map((statement) => statement.run()));
+    },
+  };
+}
+
+function saveRequest(baseSha, content) {
+  return new Request("https://demo.bdfz.net/api/posts", {
+    method: "POST",
+    headers: {
+      host: "demo.bdfz.net",
+      "content-type": "application/json",
+      authorization: `Bearer ${API_TOKEN}`,
+    },
+    body: JSON.stringify({ title: "Hello", postSlug: "hello", published: true, content, baseSha }),
+  });
+}
+
+test("post saves are rejected with a conflict payload when the base sha is stale", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-save-"));
+  try {
+    const env = { BASE_DOMAIN: "bdfz.net", CONTENT_STORE: "fs", CONTENT_FS_ROOT: root, DB: createDb() };
+    const store = getContentStore(env);
+    const filePath = "sites/demo/posts/hello.md";
+    const original = await store.write(env, filePath, buildPostDocument(POST, "First draft\n"), "seed");
+    const theirs = await store.write(env, filePath, buildPostDocument(POST, "Their edit\n"), "other tab");
+
+    const stale = await worker.fetch(saveRequest(original.sha, "My edit\n"), env, {});
+    assert.equal(stale.status, 409);
+    const payload = await stale.json();
+    assert.equal(payload.conflict.sha, theirs.sha);
+    assert.equal(payload.conflict.content, "Their edit\n");
+    assert.equal(payload.conflict.deleted, false);
+    assert.equal(parseFrontMatter(await readFile(join(root, filePath), "utf8")).body, "Their edit\n");
+
+    const fresh = await worker.fetch(saveRequest(theirs.sha, "Merged edit\n"), env, {});
+    assert.equal(fresh.status, 200);
+    const saved = await fresh.json();
+    assert.equal(saved.ok, true);
+    assert.equal(saved.post.sha, (await store.read(env, filePath)).sha);
+    assert.equal(parseFrontMatter(await readFile(join(root, filePath), "utf8")).body, "Merged edit\n");
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test("edits of an existing post without a base sha are rejected with the current version", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-save-"));
+  try {
+    const env = { BASE_DOMAIN: "bdfz.net", CONTENT_STORE: "fs", CONTENT_FS_ROOT: root, DB: createDb() };
+    const store = getContentStore(env);
+    const filePath = "sites/demo/posts/hello.md";
+    const current = await store.write(env, filePath, buildPostDocument(POST, "Current\n"), "seed");
+
+    for (const baseSha of [undefined, null, ""]) {
+      const missing = await worker.fetch(saveRequest(baseSha, "Blind overwrite\n"), env, {});
+      assert.equal(missing.status, 409);
+      const payload = await missing.json();
+      assert.equal(payload.conflict.sha, current.sha);
+      assert.equal(payload.conflict.content, "Current\n");
+    }
+    assert.equal(parseFrontMatter(await readFile(join(root, filePath), "utf8")).body, "Current\n");
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test("a post whose file is gone can be written back without a base sha", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-save-"));
+  try {
+    const env = { BASE_DOMAIN: "bdfz.net", CONTENT_STORE: "fs", CONTENT_FS_ROOT: root, DB: createDb() };
+    const stale = await worker.fetch(saveRequest("deadbeef", "Recreated\n"), env, {});
+    assert.equal(stale.status, 409);
+    assert.equal((await stale.json()).conflict.deleted, true);
+
+    const recreated = await worker.fetch(saveRequest("", "Recreated\n"), env, {});
+    assert.equal(recreated.status, 200);
+    assert.equal(parseFrontMatter(await readFile(join(root, "sites/demo/posts/hello.md"), "utf8")).body, "Recreated\n");
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,152 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import worker, { normalizePostTags } from "../src/index.js";
+
+const SITE = { id: 7, slug: "demo", displayName: "Demo", status: null };
+const POSTS = [
+  { postSlug: "reading", title: "Reading", published: 1, tags: ["讀書", "notes"], updatedAt: "2026-02-02T00:00:00.000Z" },
+  { postSlug: "draft", title: "Draft", published: 0, tags: ["讀書"], updatedAt: "2026-02-03T00:00:00.000Z" },
+  { postSlug: "code", title: "Code", published: 1, tags: ["web-dev"], updatedAt: "2026-02-01T00:00:00.000Z" },
+];
+
+function createDb() {
+  const queries = [];
+  return {
+    queries,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return params[0] === SITE.slug ? SITE : null;
+          }
+          return null;
+        },
+        async all() {
+          queries.push({ sql, params });
+          if (/PRAGMA table_info\(posts\)/.test(sql)) {
+            return { results: ["site_id", "post_slug", "published", "is_page"].map((name) => ({ name })) };
+          }
+          if (/WHERE t\.site_id = \? AND t\.tag = \?/.test(sql)) {
+            const results = POSTS.filter((post) => post.published === 1 && post.tags.includes(params[1])).map((post) => ({
+              postSlug: post.postSlug,
+              title: post.title,
+              description: "",
+              published: post.published,
+              createdAt: post.updatedAt,
+              updatedAt: post.updatedAt,
+            }));
+            return { results };
+          }
+          if (/SELECT t\.tag AS tag, COUNT\(\*\) AS postCount/.test(sql)) {
+            return { results: [{ tag: "讀書", postCount: 1 }, { tag: "web-dev", postCount: 1 }] };
+          }
+          if (/FROM posts p\s+INNER JOIN sites s/.test(sql)) {
+            const tag = /t\.tag = \?/.test(sql) ? params[0] : "";
+            const results = POSTS.filter((post) => post.published === 1 && (!tag || post.tags.includes(tag))).map((post) => ({
+              postSlug: post.postSlug,
+              title: post.title,
+              description: "",
+              updatedAt: post.updatedAt,
+              siteSlug: SITE.slug,
+              siteName: SITE.displayName,
+              tags: post.tags.join(","),
+            }));
+            return { results };
+          }
+          return { results: [] };
+        },
+        async run() {
+          return { meta: { changes: 0 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      return statements.map(() => ({ meta: { changes: 0 } }));
+    },
+  };
+}
+
+async function withEnv(callback) {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-tags-"));
+  try {
+    return await callback({ BASE_DOMAIN: "bdfz.net", CONTENT_STORE: "fs", CONTENT_FS_ROOT: root, DB: createDb() });
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+}
+
+function get(host, path) {
+  return new Request(`https://${host}${path}`, { headers: { host } });
+}
+
+test("normalizePostTags splits on CJK separators and caps length and count", () => {
+  assert.deepEqual(normalizePostTags("讀書，生活、旅行,code"), ["讀書", "生活", "旅行", "code"]);
+  assert.deepEqual(normalizePostTags(["  Web   Dev ", "web-dev", "--c++--", "#標籤!"]), ["web-dev", "c", "標籤"]);
+  assert.deepEqual(normalizePostTags(["", "!!!", null]), []);
+  assert.equal(normalizePostTags(["a".repeat(40)])[0].length, 30);
+
+  const many = Array.from({ length: 15 }, (_, index) => `tag${index}`);
+  assert.deepEqual(normalizePostTags(many), many.slice(0, 10));
+  assert.deepEqual(normalizePostTags(["same", "SAME", ...many]), ["same", ...many.slice(0, 9)]);
+});
+
+test("tag pages list published posts with the normalized tag", async () => {
+  await withEnv(async (env) => {
+    const page = await worker.fetch(get("demo.bdfz.net", `/tags/${encodeURIComponent("讀書")}`), env, {});
+    assert.equal(page.status, 200);
+    const body = await page.text();
+    assert.match(body, /href="\/reading"/);
+    assert.doesNotMatch(body, /href="\/draft"/);
+    assert.match(body, /\/tags\/%E8%AE%80%E6%9B%B8\/feed\.xml/);
+
+    const folded = await worker.fetch(get("demo.bdfz.net", "/tags/Web%20Dev"), env, {});
+    assert.equal(folded.status, 200);
+    assert.match(await folded.text(), /href="\/code"/);
+
+    for (const path of ["/tags/unused", "/tags/%21%21", "/tags/%E0%A4%A"]) {
+      assert.equal((await worker.fetch(get("demo.bdfz.net", path), env, {})).status, 404, path);
+    }
+  });
+});
+
+test("tag feeds only carry posts with the tag", async () => {
+  await withEnv(async (env) => {
+    const feed = await worker.fetch(get("demo.bdfz.net", "/tags/notes/feed.xml"), env, {});
+    assert.equal(feed.status, 200);
+    assert.match(feed.headers.get("content-type"), /xml/);
+    const body = await feed.text();
+    assert.match(body, /<link>https:\/\/demo\.bdfz\.net\/tags\/notes<\/link>/);
+    assert.match(body, /https:\/\/demo\.bdfz\.net\/reading/);
+    assert.doesNotMatch(body, /https:\/\/demo\.bdfz\.net\/code/);
+
+    assert.equal((await worker.fetch(get("demo.bdfz.net", "/tags/unused/feed.xml"), env, {})).status, 404);
+  });
+});
+
+test("the public feed filters by a normalized tag", async () => {
+  await withEnv(async (env) => {
+    const all = await worker.fetch(get("app.bdfz.net", "/api/public-feed"), env, {});
+    assert.equal(all.status, 200);
+    const unfiltered = await all.json();
+    assert.equal(unfiltered.tag, null);
+    assert.deepEqual(unfiltered.posts.map((post) => post.postSlug), ["reading", "code"]);
+
+    const tagged = await worker.fetch(get("app.bdfz.net", `/api/public-feed?tag=${encodeURIComponent(" Web Dev ")}`), env, {});
+    const filtered = await tagged.json();
+    assert.equal(filtered.tag, "web-dev");
+    assert.equal(filtered.total, 1);
+    assert.deepEqual(filtered.posts[0].tags, ["web-dev"]);
+    const query = env.DB.queries.findLast((item) => /FROM posts p\s+INNER JOIN sites s/.test(item.sql));
+    assert.equal(query.params[0], "web-dev");
+  });
+});
@@ -0,0 +1,130 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { buildPostDocument, getContentStore, parseFrontMatter, publishDueScheduledPosts } from "../src/index.js";
+
+const POST_COLUMNS = [
+  "site_id",
+  "post_slug",
+  "title",
+  "description",
+  "published",
+  "is_page",
+  "exclude_from_campus_feed",
+  "publish_at",
+  "created_at",
+  "updated_at",
+];
+
+function createDb(sites, posts) {
+  return {
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return sites.find((site) => site.slug === params[0]) || null;
+          }
+          if (/FROM posts\s+WHERE site_id = \? AND post_slug = \?/.test(sql)) {
+            const post = posts.find((item) => item.siteId === params[0] && item.postSlug === params[1]);
+            return post ? { ...post } : null;
+          }
+          return null;
+        },
+        async all() {
+          if (/PRAGMA table_info\(posts\)/.test(sql)) {
+            return { results: POST_COLUMNS.map((name) => ({ name })) };
+          }
+          if (/WHERE p.published = 0 AND p.publish_at IS NOT NULL AND p.publish_at <= \? AND st.site_id IS NULL/.test(sql)) {
+            return {
+              results: posts
+                .filter((post) => post.published === 0 && post.publishAt && post.publishAt <= params[0])
+                .map((post) => ({ post, site: sites.find((site) => site.id === post.siteId) }))
+                .filter(({ site }) => !site.status)
+                .map(({ post, site }) => ({ siteSlug: site.slug, postSlug: post.postSlug })),
+            };
+          }
+          return { results: [] };
+        },
+        async run() {
+          const post = () =>
+            posts.find((item) => item.siteId === params.at(-2) && item.postSlug === params.at(-1));
+          if (/INSERT INTO posts/.test(sql)) {
+            const existing = posts.find((item) => item.siteId === params[0] && item.postSlug === params[1]);
+            Object.assign(existing, { published: params[4], updatedAt: params.at(-1) });
+          } else if (/UPDATE posts\s+SET publish_at = \?/.test(sql)) {
+            post().publishAt = params[0];
+          }
+          return { meta: { changes: 1 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      return Promise.all(statements.map((statement) => statement.run()));
+    },
+  };
+}
+
+test("publishDueScheduledPosts publishes due drafts and skips suspended sites", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-schedule-"));
+  try {
+    const due = new Date(Date.now() - 60_000).toISOString();
+    const later = new Date(Date.now() + 60 * 60_000).toISOString();
+    const sites = [
+      { id: 1, slug: "demo", displayName: "Demo", status: null },
+      { id: 2, slug: "paused", displayName: "Paused", status: "suspended" },
+    ];
+    const draft = (siteId, postSlug, publishAt) => ({
+      siteId,
+      postSlug,
+      title: postSlug,
+      description: "",
+      published: 0,
+      isPage: 0,
+      publishAt,
+      createdAt: due,
+      updatedAt: due,
+    });
+    const posts = [draft(1, "ready", due), draft(1, "later", later), draft(2, "held", due)];
+    const env = { CONTENT_STORE: "fs", CONTENT_FS_ROOT: root, DB: createDb(sites, posts) };
+    const store = getContentStore(env);
+    for (const post of posts) {
+      const site = sites.find((item) => item.id === post.siteId);
+      await store.write(
+        env,
+        `sites/${site.slug}/posts/${post.postSlug}.md`,
+        buildPostDocument(post, "Body text\n"),
+        "seed"
+      );
+    }
+
+    assert.deepEqual(await publishDueScheduledPosts(env), ["demo/ready"]);
+
+    const [ready, pending, held] = posts;
+    assert.equal(ready.published, 1);
+    assert.equal(ready.publishAt, null);
+    assert.equal(pending.published, 0);
+    assert.equal(pending.publishAt, later);
+    assert.equal(held.published, 0);
+    assert.equal(held.publishAt, due);
+
+    const document = parseFrontMatter(await readFile(join(root, "sites/demo/posts/ready.md"), "utf8"));
+    assert.equal(document.data.published, true);
+    assert.equal(document.data.publish_at, undefined);
+    assert.equal(document.body.trim(), "Body text");
+    assert.match(
+      await readFile(join(root, "sites/paused/posts/held.md"), "utf8"),
+      /publish_at:/
+    );
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
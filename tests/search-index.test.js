@@ -0,0 +1,282 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import worker, { purgeExpiredSites } from "../src/index.js";
+
+const past = new Date(Date.now() - 60_000).toISOString();
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+function createDb({ sites, posts }) {
+  const search = new Map();
+  const searchRows = new Map();
+  const contents = new Map(posts.map((post) => [`${post.siteId}:${post.postSlug}`, post.body]));
+  let nextRowid = 1;
+  let lastRowid = 0;
+
+  const findPost = (siteId, postSlug) => posts.find((post) => post.siteId === siteId && post.postSlug === postSlug);
+  const matches = (row, match) => {
+    const text = `${row.title} ${row.description} ${row.body}`;
+    return [...match.matchAll(/"([^"]+)"/g)].every(([, phrase]) => text.includes(phrase));
+  };
+  const campusRows = (sql, match) =>
+    [...search.values()]
+      .filter((row) => matches(row, match))
+      .map((row) => ({
+        post: findPost(row.siteId, row.postSlug),
+        site: sites.find((site) => site.id === row.siteId),
+        content: contents.get(`${row.siteId}:${row.postSlug}`),
+      }))
+      .filter(
+        ({ post, site }) =>
+          post.published === 1 &&
+          (!/p\.exclude_from_campus_feed = 0/.test(sql) || !post.excludeFromCampusFeed) &&
+          (!/p\.is_page = 0/.test(sql) || !post.isPage) &&
+          (!/NOT EXISTS \(SELECT 1 FROM site_status/.test(sql) || !site.status)
+      );
+  const rowKeys = (params) =>
+    [...searchRows.keys()].filter((key) => {
+      const [siteId, postSlug] = key.split(":");
+      return Number(siteId) === params[0] && (params.length < 2 || postSlug === params[1]);
+    });
+
+  return {
+    search,
+    searchRows,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return sites.find((site) => site.slug === params[0]) || null;
+          }
+          if (/FROM site_api_tokens\s+WHERE site_id = \?\s+AND token_hash/.test(sql)) {
+            return params[1] === sha256("sbt_owner")
+              ? { id: 1, memberId: 0, scopes: JSON.stringify(["posts:write"]), lastUsedAt: new Date().toISOString() }
+              : null;
+          }
+          if (/SELECT title, description\s+FROM posts/.test(sql)) {
+            return findPost(params[0], params[1]) || null;
+          }
+          if (/SELECT COUNT\(\*\) AS total\s+FROM post_search/.test(sql)) {
+            return { total: campusRows(sql, params[0]).length };
+          }
+          if (/FROM post_contents\s+WHERE site_id = \? AND post_slug = \?/.test(sql)) {
+            const content = contents.get(`${params[0]}:${params[1]}`);
+            return content === undefined ? null : { content, contentHtml: "", contentSha: "sha", renderVersion: 0 };
+          }
+          return null;
+        },
+        async all() {
+          if (/PRAGMA table_info\(posts\)/.test(sql)) {
+            return {
+              results: ["site_id", "post_slug", "published", "is_page", "exclude_from_campus_feed"].map((name) => ({ name })),
+            };
+          }
+          if (/WHERE st.status = 'pending_deletion' AND st.purge_after <= \?/.test(sql)) {
+            return { results: sites.filter((site) => site.status === "pending_deletion").map((site) => ({ slug: site.slug })) };
+          }
+          if (/FROM posts\s+WHERE site_id = \?/.test(sql)) {
+            return { results: posts.filter((post) => post.siteId === params[0]) };
+          }
+          if (/FROM post_search\s+JOIN posts p[\s\S]*JOIN sites s/.test(sql)) {
+            const [match, limit, offset] = params;
+            const results = campusRows(sql, match)
+              .slice(offset, offset + limit)
+              .map(({ post, site, content }) => ({
+                postSlug: post.postSlug,
+                title: post.title,
+                description: post.description,
+                updatedAt: "2026-02-01T00:00:00.000Z",
+                siteSlug: site.slug,
+                siteName: site.displayName,
+                content,
+              }));
+            return { results };
+          }
+          if (/WHERE post_search MATCH \? AND post_search\.site_id = \?/.test(sql)) {
+            const results = [...search.values()]
+              .filter((row) => row.siteId === params[1] && matches(row, params[0]))
+              .map((row) => ({ ...findPost(row.siteId, row.postSlug), content: contents.get(`${row.siteId}:${row.postSlug}`) }))
+              .filter((post) => !/p\.published = 1/.test(sql) || post.published === 1);
+            return { results };
+          }
+          return { results: [] };
+        },
+        async run() {
+          if (/DELETE FROM post_search\s+WHERE site_id/.test(sql)) {
+            throw new Error("post_search.site_id is UNINDEXED");
+          }
+          if (/INSERT INTO post_search \(/.test(sql)) {
+            const [title, description, body, siteId, postSlug] = params;
+            lastRowid = nextRowid++;
+            search.set(lastRowid, { title, description, body, siteId, postSlug });
+          }
+          if (/INSERT INTO post_search_rows[\s\S]*last_insert_rowid\(\)/.test(sql)) {
+            searchRows.set(`${params[0]}:${params[1]}`, lastRowid);
+          }
+          if (/DELETE FROM post_search\s+WHERE rowid IN/.test(sql)) {
+            for (const key of rowKeys(params)) {
+              search.delete(searchRows.get(key));
+            }
+          }
+          if (/DELETE FROM post_search_rows/.test(sql)) {
+            for (const key of rowKeys(params)) {
+              searchRows.delete(key);
+            }
+          }
+          return { meta: { changes: 1 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      const results = [];
+      for (const statement of statements) {
+        results.push(await statement.run());
+      }
+      return results;
+    },
+  };
+}
+
+function seed() {
+  return {
+    sites: [
+      { id: 7, slug: "demo", displayName: "Demo", status: null },
+      { id: 8, slug: "other", displayName: "Other", status: null },
+    ],
+    posts: [
+      { siteId: 7, postSlug: "hello", title: "Hello world", description: "", published: 1, body: "hello from demo" },
+      { siteId: 7, postSlug: "draft", title: "Hello draft", description: "", published: 0, body: "unfinished" },
+      { siteId: 8, postSlug: "greet", title: "Hello other", description: "", published: 1, body: "hello from other" },
+    ],
+  };
+}
+
+function request(host, path, method = "GET") {
+  return new Request(`https://${host}${path}`, {
+    method,
+    headers: { host, authorization: "Bearer sbt_owner" },
+  });
+}
+
+async function reindex(env, slug) {
+  const response = await worker.fetch(request(`${slug}.bdfz.net`, "/api/search/reindex", "POST"), env, {});
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+test("indexing keeps one FTS row per post and tracks its rowid", async () => {
+  const env = { BASE_DOMAIN: "bdfz.net", DB: createDb(seed()) };
+  assert.deepEqual(await reindex(env, "demo"), { ok: true, posts: 2, indexed: 2 });
+  assert.deepEqual(await reindex(env, "demo"), { ok: true, posts: 2, indexed: 2 });
+  await reindex(env, "other");
+
+  assert.equal(env.DB.search.size, 3);
+  assert.deepEqual([...env.DB.searchRows.keys()].sort(), ["7:draft", "7:hello", "8:greet"]);
+  for (const [key, rowid] of env.DB.searchRows) {
+    const row = env.DB.search.get(rowid);
+    assert.equal(`${row.siteId}:${row.postSlug}`, key);
+  }
+  assert.equal(env.DB.search.get(env.DB.searchRows.get("7:hello")).title, "hello world");
+});
+
+test("site search matches the FTS rows of that site only", async () => {
+  const env = { BASE_DOMAIN: "bdfz.net", DB: createDb(seed()) };
+  await reindex(env, "demo");
+  await reindex(env, "other");
+
+  const response = await worker.fetch(request("demo.bdfz.net", "/api/search?q=hello"), env, {});
+  assert.equal(response.status, 200);
+  const { results } = await response.json();
+  assert.deepEqual(results.map((result) => result.postSlug), ["hello"]);
+  assert.match(results[0].titleHtml, /<mark>Hello<\/mark>/);
+});
+
+test("purging a site deletes its FTS rows by rowid", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-search-"));
+  try {
+    const data = seed();
+    const env = { BASE_DOMAIN: "bdfz.net", CONTENT_STORE: "fs", CONTENT_FS_ROOT: root, DB: createDb(data) };
+    await reindex(env, "demo");
+    await reindex(env, "other");
+
+    data.sites[0].status = "pending_deletion";
+    data.sites[0].purgeAfter = past;
+    assert.deepEqual(await purgeExpiredSites(env), ["demo"]);
+    assert.deepEqual([...env.DB.searchRows.keys()], ["8:greet"]);
+    assert.deepEqual([...env.DB.search.values()].map((row) => row.postSlug), ["greet"]);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test("campus search groups visible posts by site and pages through them", async () => {
+  const data = {
+    sites: [
+      { id: 7, slug: "demo", displayName: "Demo", status: null },
+      { id: 8, slug: "other", displayName: "Other", status: null },
+      { id: 9, slug: "paused", displayName: "Paused", status: null },
+    ],
+    posts: [
+      { siteId: 7, postSlug: "hello", title: "Hello world", description: "", published: 1, body: "hello" },
+      { siteId: 7, postSlug: "draft", title: "Hello draft", description: "", published: 0, body: "hello" },
+      { siteId: 7, postSlug: "about", title: "Hello about", description: "", published: 1, isPage: 1, body: "hello" },
+      { siteId: 7, postSlug: "quiet", title: "Hello quiet", description: "", published: 1, excludeFromCampusFeed: 1, body: "hello" },
+      ...Array.from({ length: 22 }, (_, index) => ({
+        siteId: 8,
+        postSlug: `post-${index}`,
+        title: `Hello ${index}`,
+        description: "",
+        published: 1,
+        body: "hello",
+      })),
+      { siteId: 9, postSlug: "hidden", title: "Hello paused", description: "", published: 1, body: "hello" },
+    ],
+  };
+  const env = { BASE_DOMAIN: "bdfz.net", DB: createDb(data) };
+  for (const slug of ["demo", "other", "paused"]) {
+    await reindex(env, slug);
+  }
+  data.sites[2].status = "suspended";
+
+  const search = async (query) => {
+    const response = await worker.fetch(request("app.bdfz.net", `/api/search?${query}`), env, {});
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+
+  const first = await search("q=hello");
+  assert.equal(first.total, 23);
+  assert.equal(first.page, 1);
+  assert.equal(first.totalPages, 2);
+  assert.deepEqual(
+    first.sites.map((site) => [site.siteSlug, site.siteUrl, site.posts.length]),
+    [
+      ["demo", "https://demo.bdfz.net", 1],
+      ["other", "https://other.bdfz.net", 19],
+    ]
+  );
+  assert.equal(first.sites[0].posts[0].url, "https://demo.bdfz.net/hello");
+  assert.match(first.sites[0].posts[0].snippetHtml, /<mark>hello<\/mark>/);
+
+  const second = await search("q=hello&page=2");
+  assert.equal(second.page, 2);
+  assert.deepEqual(second.sites.map((site) => [site.siteSlug, site.posts.length]), [["other", 3]]);
+
+  const clamped = await search("q=hello&page=99");
+  assert.equal(clamped.page, 2);
+
+  assert.deepEqual(await search("q=%20%20"), { query: "", sites: [], total: 0, page: 1, totalPages: 1 });
+});
@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildSearchMatchQuery,
+  buildSearchSnippet,
+  extractSearchTerms,
+  tokenizeForSearch,
+} from "../src/index.js";
+
+test("tokenizeForSearch splits CJK runs into bigrams and keeps words", () => {
+  assert.equal(tokenizeForSearch("學校生活 Hello, World"), "學校 校生 生活 hello, world");
+  assert.equal(tokenizeForSearch("一"), "一");
+});
+
+test("buildSearchMatchQuery quotes CJK phrases and prefixes latin terms", () => {
+  assert.equal(buildSearchMatchQuery('讀書筆記 Java" OR x'), '"讀書 書筆 筆記" "java"* "or"* "x"*');
+  assert.equal(buildSearchMatchQuery("書"), '"書"*');
+  assert.equal(buildSearchMatchQuery("  ***  "), "");
+});
+
+test("buildSearchSnippet escapes text and marks every term", () => {
+  const text = `${"前言".repeat(60)}今天在學校<b>生活</b>`;
+  const snippet = buildSearchSnippet(text, extractSearchTerms("學校 生活"), 10);
+  assert.ok(snippet.startsWith("…"));
+  assert.match(snippet, /<mark>學校<\/mark>&lt;b&gt;<mark>生活<\/mark>&lt;\/b&gt;$/);
+});
@@ -0,0 +1,183 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import worker, { getContentStore } from "../src/index.js";
+
+const SITE_CONFIG_VERSION = 3;
+const SITE = { id: 7, slug: "demo", displayName: "Demo", status: null, updatedAt: "2026-02-01T00:00:00.000Z" };
+
+function createDb(cacheRow) {
+  const writes = [];
+  return {
+    writes,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return params[0] === SITE.slug ? SITE : null;
+          }
+          if (/FROM site_configs\s+WHERE site_id = \?/.test(sql)) {
+            return cacheRow;
+          }
+          return null;
+        },
+        async all() {
+          return { results: [] };
+        },
+        async run() {
+          if (/INSERT INTO site_configs/.test(sql)) {
+            writes.push({ config: JSON.parse(params[1]), version: params[2], sha: params[3] });
+          }
+          return { meta: { changes: 1 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      return statements.map(() => ({ meta: { changes: 1 } }));
+    },
+  };
+}
+
+function cacheRow(heroTitle, overrides = {}) {
+  return {
+    configJson: JSON.stringify({ slug: SITE.slug, displayName: SITE.displayName, heroTitle }),
+    configVersion: SITE_CONFIG_VERSION,
+    contentSha: "cached-sha",
+    updatedAt: "2026-03-01T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+async function withStore(callback, { heroTitle = "" } = {}) {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-config-"));
+  try {
+    const env = { BASE_DOMAIN: "bdfz.net", CONTENT_STORE: "fs", CONTENT_FS_ROOT: root };
+    let written = null;
+    if (heroTitle) {
+      written = await getContentStore(env).write(
+        env,
+        "sites/demo/site.json",
+        `${JSON.stringify({ slug: SITE.slug, displayName: SITE.displayName, heroTitle })}\n`,
+        "seed"
+      );
+    }
+    return await callback(env, written);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+}
+
+async function homePage(env) {
+  const response = await worker.fetch(
+    new Request("https://demo.bdfz.net/", { headers: { host: "demo.bdfz.net" } }),
+    env,
+    {}
+  );
+  assert.equal(response.status, 200);
+  return response.text();
+}
+
+test("a fresh site_configs row is served without reading the content store", async () => {
+  await withStore(
+    async (base) => {
+      const env = { ...base, DB: createDb(cacheRow("Cached hero")) };
+      const page = await homePage(env);
+      assert.match(page, /Cached hero/);
+      assert.doesNotMatch(page, /Stored hero/);
+      assert.equal(env.DB.writes.length, 0);
+    },
+    { heroTitle: "Stored hero" }
+  );
+});
+
+test("a cache older than the site row or on an old version is rebuilt from the store", async () => {
+  for (const stale of [
+    cacheRow("Cached hero", { updatedAt: "2026-01-01T00:00:00.000Z" }),
+    cacheRow("Cached hero", { configVersion: SITE_CONFIG_VERSION - 1 }),
+    null,
+  ]) {
+    await withStore(
+      async (base, written) => {
+        const env = { ...base, DB: createDb(stale) };
+        assert.match(await homePage(env), /Stored hero/);
+        assert.equal(env.DB.writes.length, 1);
+        assert.equal(env.DB.writes[0].config.heroTitle, "Stored hero");
+        assert.equal(env.DB.writes[0].version, SITE_CONFIG_VERSION);
+        assert.equal(env.DB.writes[0].sha, written.sha);
+      },
+      { heroTitle: "Stored hero" }
+    );
+  }
+});
+
+test("a stale cache is still served when site.json is missing from the store", async () => {
+  await withStore(async (base) => {
+    const env = { ...base, DB: createDb(cacheRow("Cached hero", { updatedAt: "2026-01-01T00:00:00.000Z" })) };
+    assert.match(await homePage(env), /Cached hero/);
+    assert.equal(env.DB.writes.length, 0);
+  });
+});
+
+test("repository pushes only refresh the cache when the site.json sha changed", async () => {
+  const secret = "webhook-secret";
+  const originalFetch = globalThis.fetch;
+  let repoSha = "cached-sha";
+  globalThis.fetch = async () =>
+    new Response(
+      JSON.stringify({
+        sha: repoSha,
+        content: Buffer.from(JSON.stringify({ slug: "demo", heroTitle: "Pushed hero" })).toString("base64"),
+      }),
+      { status: 200, headers: { "content-type": "application/json" } }
+    );
+  const push = () => {
+    const body = JSON.stringify({
+      ref: "refs/heads/main",
+      after: "c1",
+      commits: [{ id: "c1", timestamp: "2026-03-02T00:00:00Z", added: [], modified: ["sites/demo/site.json"], removed: [] }],
+    });
+    return new Request("https://app.bdfz.net/api/hooks/github", {
+      method: "POST",
+      headers: {
+        host: "app.bdfz.net",
+        "content-type": "application/json",
+        "x-github-event": "push",
+        "x-hub-signature-256": `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`,
+      },
+      body,
+    });
+  };
+  const env = {
+    BASE_DOMAIN: "bdfz.net",
+    GITHUB_WEBHOOK_SECRET: secret,
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_TOKEN: "token",
+    DB: createDb(cacheRow("Cached hero")),
+  };
+  try {
+    const unchanged = await worker.fetch(push(), env, {});
+    assert.equal(unchanged.status, 200);
+    assert.deepEqual((await unchanged.json()).configs, []);
+    assert.equal(env.DB.writes.length, 0);
+
+    repoSha = "pushed-sha";
+    const changed = await worker.fetch(push(), env, {});
+    assert.deepEqual((await changed.json()).configs, ["sites/demo/site.json"]);
+    assert.equal(env.DB.writes.length, 1);
+    assert.equal(env.DB.writes[0].sha, "pushed-sha");
+    assert.equal(env.DB.writes[0].config.heroTitle, "Pushed hero");
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
@@ -0,0 +1,135 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { mkdtemp, rm, stat } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import worker, { getContentStore, purgeExpiredSites } from "../src/index.js";
+
+function createDb(sites) {
+  const batches = [];
+  return {
+    batches,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        sql,
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return sites.find((site) => site.slug === params[0]) || null;
+          }
+          if (/FROM site_sessions ss/.test(sql)) {
+            return params[0] === "owner-sid"
+              ? { id: params[0], memberId: 0, lastSeenAt: new Date().toISOString(), slug: sites[0].slug }
+              : null;
+          }
+          return null;
+        },
+        async all() {
+          if (/WHERE st.status = 'pending_deletion' AND st.purge_after <= \?/.test(sql)) {
+            return {
+              results: sites
+                .filter((site) => site.purgeAfter && site.purgeAfter <= params[0])
+                .map((site) => ({ slug: site.slug })),
+            };
+          }
+          return { results: [] };
+        },
+        async run() {
+          return { meta: { changes: 0 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      batches.push(statements.map((statement) => statement.sql));
+      return statements.map(() => ({ meta: { changes: 1 } }));
+    },
+  };
+}
+
+const past = new Date(Date.now() - 60_000).toISOString();
+
+test("purgeExpiredSites removes expired sites and skips restored ones", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-purge-"));
+  try {
+    const env = {
+      CONTENT_STORE: "fs",
+      CONTENT_FS_ROOT: root,
+      DB: createDb([
+        { id: 1, slug: "gone", status: "pending_deletion", purgeAfter: past },
+        // Selected by the due query but cancelled before the purge ran.
+        { id: 2, slug: "kept", status: null, purgeAfter: past },
+      ]),
+    };
+    const store = getContentStore(env);
+    await store.write(env, "sites/gone/site.json", "{}\n", "seed");
+    await store.write(env, "sites/gone/posts/hello.md", "# Hi\n", "seed");
+    await store.write(env, "sites/kept/site.json", "{}\n", "seed");
+
+    assert.deepEqual(await purgeExpiredSites(env), ["gone"]);
+    await assert.rejects(stat(join(root, "sites/gone/posts/hello.md")));
+    await stat(join(root, "sites/kept/site.json"));
+    assert.equal(env.DB.batches.length, 1);
+    assert.ok(env.DB.batches[0].some((sql) => /DELETE FROM sites/.test(sql)));
+    assert.ok(env.DB.batches[0].some((sql) => /DELETE FROM post_search/.test(sql)));
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test("sites pending deletion reject writes except login and cancel", async () => {
+  const env = {
+    BASE_DOMAIN: "bdfz.net",
+    DB: createDb([{ id: 1, slug: "gone", status: "pending_deletion", purgeAfter: past }]),
+  };
+  const request = (path) =>
+    new Request(`https://gone.bdfz.net${path}`, {
+      method: "POST",
+      headers: { host: "gone.bdfz.net", "content-type": "application/json" },
+      body: "{}",
+    });
+
+  const write = await worker.fetch(request("/api/posts"), env, {});
+  assert.equal(write.status, 410);
+  assert.equal((await write.json()).purgeAfter, past);
+
+  const cancel = await worker.fetch(request("/api/site-deletion/cancel"), env, {});
+  assert.equal(cancel.status, 401);
+});
+
+test("the export stays downloadable until the purge deadline", async () => {
+  const secret = "session-secret";
+  const root = await mkdtemp(join(tmpdir(), "stublogs-purge-"));
+  try {
+    const env = {
+      BASE_DOMAIN: "bdfz.net",
+      SESSION_SECRET: secret,
+      CONTENT_STORE: "fs",
+      CONTENT_FS_ROOT: root,
+      DB: createDb([{ id: 1, slug: "gone", displayName: "Gone", status: "pending_deletion", purgeAfter: past }]),
+    };
+    const payload = Buffer.from(
+      JSON.stringify({ slug: "gone", exp: Date.now() + 60_000, mid: 0, sid: "owner-sid" })
+    ).toString("base64url");
+    const cookie = `stublogs_session=${payload}.${createHmac("sha256", secret).update(payload).digest("hex")}`;
+    const request = (path) => new Request(`https://gone.bdfz.net${path}`, { headers: { host: "gone.bdfz.net", cookie } });
+
+    const state = await worker.fetch(request("/api/site-deletion"), env, {});
+    assert.equal(state.status, 200);
+    const body = await state.json();
+    assert.equal(body.exportUrl, "/api/export");
+    assert.equal(body.exportAvailableUntil, past);
+
+    const exported = await worker.fetch(request(body.exportUrl), env, {});
+    assert.equal(exported.status, 200);
+    assert.equal((await exported.json()).site.slug, "gone");
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,265 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, stat } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import worker, { getContentStore } from "../src/index.js";
+
+const TOKEN = "platform-token";
+
+function createDb({ sites = [], redirects = [], failBatch = false } = {}) {
+  const batches = [];
+  return {
+    batches,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        sql,
+        bind(...values) {
+          params = values;
+          statement.params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return sites.find((site) => site.slug === params[0]) || null;
+          }
+          if (/FROM site_slug_redirects r/.test(sql)) {
+            return redirects.find((redirect) => redirect.oldSlug === params[0]) || null;
+          }
+          return null;
+        },
+        async all() {
+          return { results: [] };
+        },
+        async run() {
+          return { meta: { changes: 0 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      batches.push(statements.map((statement) => statement.sql));
+      if (failBatch) {
+        throw new Error("D1 unavailable");
+      }
+      return statements.map((statement) => ({
+        meta: { changes: /DELETE FROM site_passkeys/.test(statement.sql) ? 2 : 1 },
+      }));
+    },
+  };
+}
+
+function renameRequest(slug, newSlug) {
+  return new Request(`https://app.bdfz.net/api/platform/sites/${slug}/rename`, {
+    method: "POST",
+    headers: {
+      host: "app.bdfz.net",
+      "content-type": "application/json",
+      authorization: `Bearer ${TOKEN}`,
+    },
+    body: JSON.stringify({ newSlug }),
+  });
+}
+
+async function seedSite(root) {
+  const env = { CONTENT_STORE: "fs", CONTENT_FS_ROOT: root };
+  const store = getContentStore(env);
+  await store.write(env, "sites/old/site.json", `${JSON.stringify({ slug: "old", displayName: "Old" })}\n`, "seed");
+  await store.write(env, "sites/old/posts/hello.md", "# Hello\n", "seed");
+}
+
+async function exists(path) {
+  return stat(path).then(() => true, () => false);
+}
+
+const demoSite = { id: 5, slug: "old", displayName: "Old", status: null };
+
+test("site rename checks status, slug collisions and reserved redirects", async () => {
+  const base = { BASE_DOMAIN: "bdfz.net", PLATFORM_ADMIN_TOKEN: TOKEN };
+
+  const suspended = await worker.fetch(
+    renameRequest("old", "fresh"),
+    { ...base, DB: createDb({ sites: [{ ...demoSite, status: "suspended" }] }) },
+    {}
+  );
+  assert.equal(suspended.status, 409);
+
+  const same = await worker.fetch(renameRequest("old", "old"), { ...base, DB: createDb({ sites: [demoSite] }) }, {});
+  assert.equal(same.status, 400);
+
+  const invalid = await worker.fetch(renameRequest("old", "a"), { ...base, DB: createDb({ sites: [demoSite] }) }, {});
+  assert.equal(invalid.status, 400);
+
+  const taken = await worker.fetch(
+    renameRequest("old", "fresh"),
+    { ...base, DB: createDb({ sites: [demoSite, { id: 6, slug: "fresh", status: null }] }) },
+    {}
+  );
+  assert.equal(taken.status, 409);
+
+  const reserved = await worker.fetch(
+    renameRequest("old", "fresh"),
+    { ...base, DB: createDb({ sites: [demoSite], redirects: [{ oldSlug: "fresh", siteId: 9 }] }) },
+    {}
+  );
+  assert.equal(reserved.status, 409);
+  assert.match((await reserved.json()).error, /recent rename/);
+});
+
+test("site rename moves files, drops passkeys and keeps its own old slug reclaimable", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-rename-"));
+  try {
+    await seedSite(root);
+    const db = createDb({ sites: [demoSite], redirects: [{ oldSlug: "fresh", siteId: demoSite.id }] });
+    const response = await worker.fetch(
+      renameRequest("old", "fresh"),
+      { BASE_DOMAIN: "bdfz.net", PLATFORM_ADMIN_TOKEN: TOKEN, CONTENT_STORE: "fs", CONTENT_FS_ROOT: root, DB: db },
+      {}
+    );
+    assert.equal(response.status, 200);
+    const payload = await response.json();
+    assert.equal(payload.slug, "fresh");
+    assert.equal(payload.files, 2);
+    assert.equal(payload.passkeysRemoved, 2);
+
+    assert.equal(await exists(join(root, "sites/old/site.json")), false);
+    assert.equal(await exists(join(root, "sites/old/posts/hello.md")), false);
+    assert.equal(await readFile(join(root, "sites/fresh/posts/hello.md"), "utf8"), "# Hello\n");
+    assert.equal(JSON.parse(await readFile(join(root, "sites/fresh/site.json"), "utf8")).slug, "fresh");
+    assert.ok(db.batches[0].some((sql) => /DELETE FROM site_passkeys/.test(sql)));
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test("site rename reverts the content move when the database update fails", async () => {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-rename-"));
+  try {
+    await seedSite(root);
+    const response = await worker.fetch(
+      renameRequest("old", "fresh"),
+      {
+        BASE_DOMAIN: "bdfz.net",
+        PLATFORM_ADMIN_TOKEN: TOKEN,
+        CONTENT_STORE: "fs",
+        CONTENT_FS_ROOT: root,
+        DB: createDb({ sites: [demoSite], failBatch: true }),
+      },
+      {}
+    );
+    assert.equal(response.status, 502);
+    assert.equal(await readFile(join(root, "sites/old/posts/hello.md"), "utf8"), "# Hello\n");
+    assert.equal(JSON.parse(await readFile(join(root, "sites/old/site.json"), "utf8")).slug, "old");
+    assert.equal(await exists(join(root, "sites/fresh/posts/hello.md")), false);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: { "content-type": "application/json" } });
+}
+
+async function withGithub({ head = "head1", movedHead = head } = {}, run) {
+  const originalFetch = globalThis.fetch;
+  const calls = [];
+  let refReads = 0;
+  globalThis.fetch = async (url, init) => {
+    const target = new URL(String(url));
+    const method = init?.method || "GET";
+    const path = target.pathname.replace("/repos/owner/repo", "");
+    calls.push({ method, path, body: init?.body ? JSON.parse(init.body) : null });
+    if (path === "/git/refs/heads/main" && method === "GET") {
+      refReads += 1;
+      return jsonResponse({ object: { sha: refReads === 1 ? head : movedHead } });
+    }
+    if (path === `/git/trees/${head}`) {
+      return jsonResponse({
+        tree: [
+          { path: "sites/old/site.json", type: "blob", sha: "config-blob" },
+          { path: "sites/old/posts/hello.md", type: "blob", sha: "hello-blob" },
+          { path: "sites/old/posts/world.md", type: "blob", sha: "world-blob" },
+          { path: "sites/other/site.json", type: "blob", sha: "other-blob" },
+        ],
+        truncated: false,
+      });
+    }
+    if (path === "/contents/sites/old/site.json") {
+      return jsonResponse({
+        sha: "config-blob",
+        content: Buffer.from(JSON.stringify({ slug: "old", displayName: "Old" })).toString("base64"),
+      });
+    }
+    if (path === "/git/blobs") {
+      return jsonResponse({ sha: "new-config-blob" });
+    }
+    if (path.startsWith("/git/commits/")) {
+      return jsonResponse({ sha: head, tree: { sha: "base-tree" } });
+    }
+    if (path === "/git/trees") {
+      return jsonResponse({ sha: "tree1" });
+    }
+    if (path === "/git/commits") {
+      return jsonResponse({ sha: "commit1" });
+    }
+    if (path === "/git/refs/heads/main" && method === "PATCH") {
+      return jsonResponse({ object: { sha: "commit1" } });
+    }
+    throw new Error(`unexpected fetch ${method} ${path}`);
+  };
+  try {
+    return await run(calls);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+const githubEnv = () => ({
+  BASE_DOMAIN: "bdfz.net",
+  PLATFORM_ADMIN_TOKEN: TOKEN,
+  GITHUB_OWNER: "owner",
+  GITHUB_REPO: "repo",
+  GITHUB_TOKEN: "token",
+  DB: createDb({ sites: [demoSite] }),
+});
+
+test("site rename on GitHub reuses blob shas and only rewrites site.json", async () => {
+  await withGithub({}, async (calls) => {
+    const response = await worker.fetch(renameRequest("old", "fresh"), githubEnv(), {});
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).files, 3);
+
+    assert.deepEqual(
+      calls.filter((call) => call.path.startsWith("/contents/")).map((call) => call.path),
+      ["/contents/sites/old/site.json"]
+    );
+    const blobs = calls.filter((call) => call.path === "/git/blobs");
+    assert.equal(blobs.length, 1);
+    assert.equal(JSON.parse(blobs[0].body.content).slug, "fresh");
+
+    const tree = calls.find((call) => call.path === "/git/trees").body;
+    assert.equal(tree.base_tree, "base-tree");
+    assert.deepEqual(
+      tree.tree.map((entry) => [entry.path, entry.sha]),
+      [
+        ["sites/fresh/site.json", "new-config-blob"],
+        ["sites/fresh/posts/hello.md", "hello-blob"],
+        ["sites/fresh/posts/world.md", "world-blob"],
+        ["sites/old/site.json", null],
+        ["sites/old/posts/hello.md", null],
+        ["sites/old/posts/world.md", null],
+      ]
+    );
+  });
+});
+
+test("site rename on GitHub refuses to commit when the branch moved after the listing", async () => {
+  await withGithub({ movedHead: "head2" }, async (calls) => {
+    const response = await worker.fetch(renameRequest("old", "fresh"), githubEnv(), {});
+    assert.equal(response.status, 409);
+    assert.equal(calls.some((call) => call.path === "/git/trees"), false);
+    assert.equal(calls.some((call) => call.method === "PATCH"), false);
+  });
+});
@@ -0,0 +1,211 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash, createHmac } from "node:crypto";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import worker from "../src/index.js";
+
+const SECRET = "session-secret";
+const SITE = { id: 7, slug: "demo", displayName: "Demo", status: null };
+const MEMBERS = [
+  { id: 3, username: "amy", displayName: "Amy", role: "author" },
+  { id: 4, username: "eve", displayName: "Eve", role: "editor" },
+  { id: 5, username: "mo", displayName: "Mo", role: "moderator" },
+];
+const TOKENS = {
+  owner: { memberId: 0, scopes: ["admin:read"] },
+  editor: { memberId: 4, scopes: ["admin:read"] },
+  author: { memberId: 3, scopes: ["admin:read"] },
+  moderator: { memberId: 5, scopes: ["admin:read"] },
+  "author-write-only": { memberId: 3, scopes: ["posts:write"] },
+};
+const POSTS = [
+  { postSlug: "mine", authorMemberId: 3, published: 0 },
+  { postSlug: "theirs", authorMemberId: 4, published: 0 },
+  { postSlug: "public", authorMemberId: 4, published: 1 },
+];
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+function createDb() {
+  return {
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return params[0] === SITE.slug ? SITE : null;
+          }
+          if (/FROM site_api_tokens\s+WHERE site_id = \?\s+AND token_hash/.test(sql)) {
+            const entry = Object.entries(TOKENS).find(([name]) => sha256(`sbt_${name}`) === params[1]);
+            return entry
+              ? { id: 1, memberId: entry[1].memberId, scopes: JSON.stringify(entry[1].scopes), lastUsedAt: new Date().toISOString() }
+              : null;
+          }
+          if (/FROM site_sessions ss/.test(sql)) {
+            return params[0] === "owner-sid"
+              ? { id: params[0], memberId: 0, lastSeenAt: new Date().toISOString(), slug: SITE.slug }
+              : null;
+          }
+          if (/FROM site_members\s+WHERE site_id = \? AND id = \?/.test(sql)) {
+            return MEMBERS.find((member) => member.id === params[1]) || null;
+          }
+          if (/SELECT author_member_id AS authorMemberId/.test(sql)) {
+            const post = POSTS.find((item) => item.postSlug === params[1]);
+            return post ? { authorMemberId: post.authorMemberId } : null;
+          }
+          if (/FROM posts\s+WHERE site_id = \? AND post_slug = \?/.test(sql)) {
+            const post = POSTS.find((item) => item.postSlug === params[1]);
+            return post
+              ? {
+                  postSlug: post.postSlug,
+                  title: post.postSlug,
+                  description: "",
+                  published: post.published,
+                  isPage: 0,
+                  createdAt: "2026-01-01T00:00:00.000Z",
+                  updatedAt: "2026-01-02T00:00:00.000Z",
+                }
+              : null;
+          }
+          return null;
+        },
+        async all() {
+          if (/PRAGMA table_info\(posts\)/.test(sql)) {
+            return { results: ["site_id", "post_slug", "is_page", "publish_at", "author_member_id"].map((name) => ({ name })) };
+          }
+          if (/FROM posts\s+WHERE site_id = \?/.test(sql)) {
+            const results = POSTS.filter(
+              (post) =>
+                (!/published = 1/.test(sql) || post.published === 1) &&
+                (!/author_member_id = \?/.test(sql) || post.authorMemberId === params[1])
+            ).map((post) => ({ postSlug: post.postSlug, published: post.published }));
+            return { results };
+          }
+          return { results: [] };
+        },
+        async run() {
+          return { meta: { changes: 1, last_row_id: 1 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      return statements.map(() => ({ meta: { changes: 1 } }));
+    },
+  };
+}
+
+async function withEnv(callback) {
+  const root = await mkdtemp(join(tmpdir(), "stublogs-roles-"));
+  try {
+    return await callback({
+      BASE_DOMAIN: "bdfz.net",
+      SESSION_SECRET: SECRET,
+      CONTENT_STORE: "fs",
+      CONTENT_FS_ROOT: root,
+      DB: createDb(),
+    });
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+}
+
+function roleRequest(path, role) {
+  return new Request(`https://demo.bdfz.net${path}`, {
+    headers: { host: "demo.bdfz.net", authorization: `Bearer sbt_${role}` },
+  });
+}
+
+function ownerSessionRequest(path, body) {
+  const payload = Buffer.from(
+    JSON.stringify({ slug: SITE.slug, exp: Date.now() + 60_000, mid: 0, sid: "owner-sid" })
+  ).toString("base64url");
+  const signature = createHmac("sha256", SECRET).update(payload).digest("hex");
+  return new Request(`https://demo.bdfz.net${path}`, {
+    method: "POST",
+    headers: {
+      host: "demo.bdfz.net",
+      "content-type": "application/json",
+      cookie: `stublogs_session=${payload}.${signature}`,
+      "x-csrf-token": createHmac("sha256", SECRET).update("csrf:owner-sid").digest("hex"),
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+const ROLES = ["owner", "editor", "author", "moderator"];
+
+const MATRIX = [
+  ["/api/posts/mine", { owner: 200, editor: 200, author: 200, moderator: 403 }],
+  ["/api/posts/theirs", { owner: 200, editor: 200, author: 403, moderator: 403 }],
+  ["/api/posts/public", { owner: 200, editor: 200, author: 403, moderator: 200 }],
+  ["/api/posts/mine/revisions", { owner: 501, editor: 501, author: 501, moderator: 403 }],
+  ["/api/posts/theirs/revisions", { owner: 501, editor: 501, author: 403, moderator: 403 }],
+  [`/api/posts/theirs/revisions/${"a".repeat(40)}`, { owner: 501, editor: 501, author: 403, moderator: 403 }],
+  ["/api/admin/sync-conflicts", { owner: 200, editor: 200, author: 403, moderator: 403 }],
+  ["/api/site-settings", { owner: 200, editor: 403, author: 403, moderator: 403 }],
+  ["/api/admin/notify-settings", { owner: 200, editor: 403, author: 403, moderator: 403 }],
+  ["/api/admin/comments", { owner: 200, editor: 200, author: 403, moderator: 200 }],
+  ["/api/admin/comments?postSlug=mine", { owner: 200, editor: 200, author: 200, moderator: 200 }],
+  ["/api/admin/comments?postSlug=theirs", { owner: 200, editor: 200, author: 403, moderator: 200 }],
+  ["/preview/theirs", { author: 403, moderator: 403 }],
+];
+
+test("admin reads follow the member role", async () => {
+  await withEnv(async (env) => {
+    for (const [path, expected] of MATRIX) {
+      for (const role of ROLES.filter((name) => expected[name])) {
+        const response = await worker.fetch(roleRequest(path, role), env, {});
+        assert.equal(response.status, expected[role], `${role} ${path}`);
+      }
+    }
+  });
+});
+
+test("reads still need the admin:read scope on API tokens", async () => {
+  await withEnv(async (env) => {
+    const response = await worker.fetch(roleRequest("/api/posts/mine", "author-write-only"), env, {});
+    assert.equal(response.status, 403);
+  });
+});
+
+test("draft listings only include the posts a member can open", async () => {
+  await withEnv(async (env) => {
+    const listed = async (role) => {
+      const response = await worker.fetch(roleRequest("/api/list-posts?includeDrafts=1", role), env, {});
+      assert.equal(response.status, 200);
+      return (await response.json()).posts.map((post) => post.postSlug);
+    };
+    assert.deepEqual(await listed("editor"), ["mine", "theirs", "public"]);
+    assert.deepEqual(await listed("author"), ["mine"]);
+    assert.deepEqual(await listed("moderator"), ["public"]);
+
+    const search = await worker.fetch(roleRequest("/api/search?includeDrafts=1&q=x", "moderator"), env, {});
+    assert.equal(search.status, 403);
+  });
+});
+
+test("invitations are limited to known roles and owners grant the owner role", async () => {
+  await withEnv(async (env) => {
+    const invalid = await worker.fetch(ownerSessionRequest("/api/site-members/invitations", { role: "admin" }), env, {});
+    assert.equal(invalid.status, 400);
+
+    for (const role of ["editor", "author", "moderator", "owner"]) {
+      const created = await worker.fetch(ownerSessionRequest("/api/site-members/invitations", { role }), env, {});
+      assert.equal(created.status, 201, role);
+      assert.equal((await created.json()).invitation.role, role);
+    }
+
+    const promoted = await worker.fetch(ownerSessionRequest("/api/site-members/3", { role: "owner" }), env, {});
+    assert.equal(promoted.status, 200);
+  });
+});
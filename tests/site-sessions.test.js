@@ -0,0 +1,221 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash, createHmac } from "node:crypto";
+
+import worker from "../src/index.js";
+
+const SECRET = "session-secret";
+const PASSWORD = "correct horse";
+
+function hmac(value) {
+  return createHmac("sha256", SECRET).update(value).digest("hex");
+}
+
+function legacyHash(password) {
+  const salt = "salt";
+  return `${salt}:${createHash("sha256").update(`${salt}:${password}:${SECRET}`).digest("hex")}`;
+}
+
+function createDb() {
+  const site = { id: 7, slug: "demo", displayName: "Demo", status: null, adminSecretHash: legacyHash(PASSWORD) };
+  const sessions = new Map();
+  const apiTokens = [
+    { id: 1, memberId: 0, revokedAt: null },
+    { id: 2, memberId: 0, revokedAt: null },
+    { id: 3, memberId: 4, revokedAt: null },
+  ];
+
+  function revokeSessions(sql, params) {
+    const filters = [...sql.split("WHERE")[1].matchAll(/\b(site_id|member_id|id) (=|<>) \?/g)];
+    let changes = 0;
+    for (const [id, session] of sessions) {
+      if (session.revokedAt) {
+        continue;
+      }
+      const matches = filters.every(([, column, operator], index) => {
+        const value = params[index + 1];
+        const actual = column === "site_id" ? session.siteId : column === "member_id" ? session.memberId : id;
+        return operator === "=" ? actual === value : actual !== value;
+      });
+      if (matches) {
+        session.revokedAt = params[0];
+        changes += 1;
+      }
+    }
+    return changes;
+  }
+
+  return {
+    site,
+    sessions,
+    apiTokens,
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        async first() {
+          if (/FROM sites s\s+LEFT JOIN site_status/.test(sql)) {
+            return params[0] === site.slug ? { ...site } : null;
+          }
+          if (/FROM site_sessions ss/.test(sql)) {
+            const session = sessions.get(params[0]);
+            return session && !session.revokedAt && session.expiresAt > params[1]
+              ? { id: params[0], memberId: session.memberId, lastSeenAt: session.lastSeenAt, slug: site.slug }
+              : null;
+          }
+          return null;
+        },
+        async all() {
+          if (/FROM site_sessions\s+WHERE site_id = \? AND member_id = \?/.test(sql)) {
+            const results = [...sessions]
+              .filter(([, session]) => session.siteId === params[0] && session.memberId === params[1] && !session.revokedAt)
+              .map(([id, session]) => ({ id, label: session.label, lastSeenAt: session.lastSeenAt }));
+            return { results };
+          }
+          return { results: [] };
+        },
+        async run() {
+          if (/INSERT INTO site_sessions/.test(sql)) {
+            const [id, siteId, memberId, label, , createdAt, lastSeenAt, expiresAt] = params;
+            sessions.set(id, { siteId, memberId, label, createdAt, lastSeenAt, expiresAt, revokedAt: null });
+            return { meta: { changes: 1 } };
+          }
+          if (/UPDATE site_sessions\s+SET revoked_at = \?/.test(sql)) {
+            return { meta: { changes: revokeSessions(sql, params) } };
+          }
+          if (/UPDATE site_api_tokens\s+SET revoked_at = \?/.test(sql)) {
+            const revoked = apiTokens.filter((token) => token.memberId === params[2] && !token.revokedAt);
+            revoked.forEach((token) => {
+              token.revokedAt = params[0];
+            });
+            return { meta: { changes: revoked.length } };
+          }
+          if (/UPDATE sites\s+SET admin_secret_hash = \?/.test(sql)) {
+            site.adminSecretHash = params[0];
+            return { meta: { changes: 1 } };
+          }
+          return { meta: { changes: 0 } };
+        },
+      };
+      return statement;
+    },
+    async batch(statements) {
+      return Promise.all(statements.map((statement) => statement.run()));
+    },
+  };
+}
+
+function createEnv() {
+  return { BASE_DOMAIN: "bdfz.net", SESSION_SECRET: SECRET, DB: createDb() };
+}
+
+function siteRequest(path, { method = "GET", cookie, body } = {}) {
+  const headers = { host: "demo.bdfz.net", "content-type": "application/json", "user-agent": "Mozilla/5.0 (Macintosh) Firefox/130.0" };
+  if (cookie) {
+    headers.cookie = cookie;
+    const sid = readPayload(cookie).sid;
+    if (method !== "GET" && sid) {
+      headers["x-csrf-token"] = hmac(`csrf:${sid}`);
+    }
+  }
+  return new Request(`https://demo.bdfz.net${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+function readPayload(cookie) {
+  return JSON.parse(Buffer.from(cookie.split("=")[1].split(".")[0], "base64url").toString("utf8"));
+}
+
+function signedCookie(payload) {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `stublogs_session=${encoded}.${hmac(encoded)}`;
+}
+
+async function login(env) {
+  const response = await worker.fetch(siteRequest("/api/login", { method: "POST", body: { password: PASSWORD } }), env, {});
+  assert.equal(response.status, 200);
+  return String(response.headers.get("set-cookie")).split(";")[0];
+}
+
+test("logging in starts a server-side session that the cookie points to", async () => {
+  const env = createEnv();
+  const cookie = await login(env);
+  const { sid, slug } = readPayload(cookie);
+  assert.equal(slug, "demo");
+  assert.equal(env.DB.sessions.get(sid).memberId, 0);
+  assert.equal(env.DB.sessions.get(sid).label, "Firefox · macOS");
+
+  const listed = await worker.fetch(siteRequest("/api/sessions", { cookie }), env, {});
+  assert.equal(listed.status, 200);
+  assert.deepEqual(
+    (await listed.json()).sessions.map((session) => [session.id, session.current]),
+    [[sid, true]]
+  );
+});
+
+test("cookies without a live session row are rejected", async () => {
+  const env = createEnv();
+  const cookie = await login(env);
+  const payload = readPayload(cookie);
+
+  const legacy = signedCookie({ slug: "demo", exp: Date.now() + 60_000 });
+  assert.equal((await worker.fetch(siteRequest("/api/sessions", { cookie: legacy }), env, {})).status, 401);
+
+  const otherMember = signedCookie({ ...payload, mid: 4 });
+  assert.equal((await worker.fetch(siteRequest("/api/sessions", { cookie: otherMember }), env, {})).status, 401);
+
+  const forged = `${cookie.split(".")[0]}.${"0".repeat(64)}`;
+  assert.equal((await worker.fetch(siteRequest("/api/sessions", { cookie: forged }), env, {})).status, 401);
+
+  const logout = await worker.fetch(siteRequest("/api/logout", { method: "POST", cookie }), env, {});
+  assert.equal(logout.status, 200);
+  assert.ok(env.DB.sessions.get(payload.sid).revokedAt);
+  assert.equal((await worker.fetch(siteRequest("/api/sessions", { cookie }), env, {})).status, 401);
+});
+
+test("revoke-all signs out every device of the same identity", async () => {
+  const env = createEnv();
+  const laptop = await login(env);
+  const phone = await login(env);
+
+  const revoked = await worker.fetch(siteRequest("/api/sessions/revoke-all", { method: "POST", cookie: laptop }), env, {});
+  assert.equal(revoked.status, 200);
+  assert.equal((await revoked.json()).revoked, 2);
+  assert.match(String(revoked.headers.get("set-cookie")), /Max-Age=0/);
+
+  for (const cookie of [laptop, phone]) {
+    assert.equal((await worker.fetch(siteRequest("/api/sessions", { cookie }), env, {})).status, 401);
+  }
+});
+
+test("changing the password keeps the current device and revokes other sessions and API tokens", async () => {
+  const env = createEnv();
+  const current = await login(env);
+  const other = await login(env);
+
+  const changed = await worker.fetch(
+    siteRequest("/api/change-password", {
+      method: "POST",
+      cookie: current,
+      body: { currentPassword: PASSWORD, newPassword: "battery staple" },
+    }),
+    env,
+    {}
+  );
+  assert.equal(changed.status, 200);
+  assert.deepEqual(await changed.json(), { ok: true, revokedApiTokens: 2 });
+
+  assert.equal((await worker.fetch(siteRequest("/api/sessions", { cookie: current }), env, {})).status, 200);
+  assert.equal((await worker.fetch(siteRequest("/api/sessions", { cookie: other }), env, {})).status, 401);
+  assert.deepEqual(
+    env.DB.apiTokens.map((token) => Boolean(token.revokedAt)),
+    [true, true, false]
+  );
+  assert.match(env.DB.site.adminSecretHash, /^scrypt\$/);
+});
@@ -0,0 +1,176 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { generateTotpCode, matchTotpStep, renderQrCodeSvg, verifySecondFactor } from "../src/index.js";
+
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+test("generateTotpCode matches RFC 6238 SHA-1 vectors", async () => {
+  assert.equal(await generateTotpCode(RFC_SECRET, Math.floor(59 / 30)), "287082");
+  assert.equal(await generateTotpCode(RFC_SECRET, Math.floor(1111111109 / 30)), "081804");
+  assert.equal(await generateTotpCode(RFC_SECRET, Math.floor(2000000000 / 30)), "279037");
+});
+
+test("matchTotpStep allows one step of drift and blocks replay", async () => {
+  const now = 1111111109 * 1000;
+  const step = Math.floor(1111111109 / 30);
+  const previous = await generateTotpCode(RFC_SECRET, step - 1);
+
+  assert.equal(await matchTotpStep(RFC_SECRET, "081804", 0, now), step);
+  assert.equal(await matchTotpStep(RFC_SECRET, previous, 0, now), step - 1);
+  assert.equal(await matchTotpStep(RFC_SECRET, "081804", step, now), null);
+  assert.equal(await matchTotpStep(RFC_SECRET, await generateTotpCode(RFC_SECRET, step - 3), 0, now), null);
+  assert.equal(await matchTotpStep(RFC_SECRET, "12345", 0, now), null);
+});
+
+test("verifySecondFactor accepts a code only once under concurrent use", async () => {
+  const env = { SESSION_SECRET: "session-secret" };
+  const key = await crypto.subtle.importKey(
+    "raw",
+    await crypto.subtle.digest("SHA-256", new TextEncoder().encode("session-secret:site-tele-notify:v1")),
+    { name: "AES-GCM" },
+    false,
+    ["encrypt"]
+  );
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipher = new Uint8Array(
+    await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(RFC_SECRET))
+  );
+  const record = {
+    secretEnc: `v1$${Buffer.from(iv).toString("hex")}$${Buffer.from(cipher).toString("hex")}`,
+    lastUsedStep: 0,
+    recoveryCodes: "[]",
+  };
+  let storedStep = 0;
+  env.DB = {
+    prepare(sql) {
+      let params = [];
+      const statement = {
+        bind(...values) {
+          params = values;
+          return statement;
+        },
+        first: async () => (/FROM site_totp/.test(sql) ? { ...record } : null),
+        run: async () => {
+          if (/SET last_used_step = \?/.test(sql) && storedStep < params[4]) {
+            storedStep = params[0];
+            return { meta: { changes: 1 } };
+          }
+          return { meta: { changes: 0 } };
+        },
+      };
+      return statement;
+    },
+  };
+
+  const code = await generateTotpCode(RFC_SECRET, Math.floor(Date.now() / 1000 / 30));
+  const results = await Promise.all([
+    verifySecondFactor(env, 1, 0, code),
+    verifySecondFactor(env, 1, 0, code),
+  ]);
+  assert.deepEqual(results.sort(), [false, "totp"]);
+});
+
+test("renderQrCodeSvg draws a version-sized code with finder patterns", () => {
+  const svg = renderQrCodeSvg("otpauth://totp/demo.bdfz.net%3Aowner?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  const size = Number(svg.match(/viewBox="0 0 (\d+) \d+"/)[1]) - 8;
+  assert.equal((size - 17) % 4, 0);
+  const dark = new Set([...svg.matchAll(/M(\d+) (\d+)h/g)].map(([, x, y]) => `${x - 4},${y - 4}`));
+  for (const [ox, oy] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+    assert.ok(dark.has(`${ox},${oy}`));
+    assert.ok(!dark.has(`${ox + 1},${oy + 1}`));
+    assert.ok(dark.has(`${ox + 3},${oy + 3}`));
+  }
+  assert.throws(() => renderQrCodeSvg("x".repeat(500)), /too long/);
+});
+
+function qrRows(svg) {
+  const size = Number(svg.match(/viewBox="0 0 (\d+) \d+"/)[1]) - 8;
+  const rows = Array.from({ length: size }, () => new Array(size).fill("."));
+  for (const [, x, y] of svg.matchAll(/M(\d+) (\d+)h/g)) {
+    rows[y - 4][x - 4] = "#";
+  }
+  return rows.map((row) => row.join(""));
+}
+
+// Reference matrices from the `qrcode` npm package (1.5.4): byte mode, level M, forced to the mask chosen here.
+const QR_GOLDEN = [
+  [
+    "hello",
+    [
+      "#######..##...#######",
+      "#.....#..##...#.....#",
+      "#.###.#..#..#.#.###.#",
+      "#.###.#...##..#.###.#",
+      "#.###.#..##.#.#.###.#",
+      "#.....#.#..##.#.....#",
+      "#######.#.#.#.#######",
+      "...........##........",
+      "#..#.##.##...#.#.....",
+      "..#.##....#...#....##",
+      "...##.####..##...##.#",
+      "###.##..#..#.....#.##",
+      ".##.#.##..#.#.#.#....",
+      "........##.#...##.#.#",
+      "#######...#..#.#.###.",
+      "#.....#.#.####.##....",
+      "#.###.#....#..###...#",
+      "#.###.#.##.#...#.####",
+      "#.###.#..##.#...#.#.#",
+      "#.....#..##..##......",
+      "#######.#####..#.#.#.",
+    ],
+  ],
+  [
+    "otpauth://totp/demo.bdfz.net%3Aowner?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=Stublogs",
+    [
+      "#######.##..###.###....#.#.#...#..#######",
+      "#.....#.#..###..#.#####.###....#..#.....#",
+      "#.###.#.##....#.....#.#..##.#.###.#.###.#",
+      "#.###.#..#.#.#.##.#.#...#.#..#....#.###.#",
+      "#.###.#.##..#...#......#....#.##..#.###.#",
+      "#.....#....#.####.#..#.#........#.#.....#",
+      "#######.#.#.#.#.#.#.#.#.#.#.#.#.#.#######",
+      ".........##..#.##.#...##.###...#.........",
+      "#..#######.#.###.##.#.#.#..#.###.#..#.###",
+      "..##.#..###..##...##..##..##..###.####...",
+      "##..#.##....##..#.#.####.###..#.##...#...",
+      ".##.#..#..##...#.####..#.....###.#...#.##",
+      "#.....##......##.#.###.....##.#.#.##....#",
+      "##.##....####...##.#..#.###.##...####.###",
+      "..#..##.#..#.#.##.#..##...#.####..####.##",
+      "#....#.######.##...#....#.##..#####.#.###",
+      "###...#..##....#...#####.....#..#......##",
+      "#.......######.##..#..##.#....#.##..#..#.",
+      "...#..#.#.##..###..#.###...##..#....#...#",
+      ".###.#..##..#....####.###.###....##.#.##.",
+      "#..#..##..#..###...#.##.###.##.#..###...#",
+      ".#..#..#...#.#..###..#...###.###.#.####..",
+      "#...#.##.#............##.#.##...###.###..",
+      "..##........##.######.##..#..#.##....#..#",
+      "##.#..##....####...##...#..#......###....",
+      "..#.#...#.##..###.#..#.#.#####..##.##.###",
+      "#####.####..#...##.#..#..###.#.#..####..#",
+      "###.#..##..#..###.#...#....#....#.#.####.",
+      "#..#..##.##.#..#.#...#####.....##..###.#.",
+      "##.#...#..###....##..###..#.##.###..##.##",
+      "##....###....#.#..##....#..#.#.#..#...#.#",
+      "###.##.....#.#.#...##.##.#.#..##....#####",
+      "####.###...##.##.#.###.#.####..######.#.#",
+      "........#.#..###.....####.....#.#...###..",
+      "#######.##.#....###.#.##..###...#.#.#.#..",
+      "#.....#.#..###.#.#.#.####.##.#.##...##...",
+      "#.###.#.#..#..#..##.##...####..######.#..",
+      "#.###.#.#.##.####..#...###.##...##...###.",
+      "#.###.#..#######...#..#.####...#.#.####.#",
+      "#.....#...###...##....#...###.#..##.#.#.#",
+      "#######.###......##.#.####.#...##.####...",
+    ],
+  ],
+];
+
+test("renderQrCodeSvg matches reference QR matrices module for module", () => {
+  for (const [text, expected] of QR_GOLDEN) {
+    assert.deepEqual(qrRows(renderQrCodeSvg(text)), expected, text);
+  }
+});